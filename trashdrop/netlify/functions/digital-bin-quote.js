@@ -0,0 +1,385 @@
+// Netlify Function: digital-bin-quote
+// Server-authoritative pricing for digital bins (SOP v4.5.6)
+// Endpoint: POST /.netlify/functions/digital-bin-quote (also /api/digital-bins/quote)
+// Body: { bin_size_liters, bag_count, is_urgent, frequency, waste_type, latitude, longitude, promo_code? }
+// Auth: Authorization: Bearer <supabase access token>
+//
+// Persists the quote in digital_bin_quotes and returns a signed quote ID.
+// digital_bins inserts must reference it; the enforce_digital_bin_quote trigger
+// copies fee and payout fields from the quote so clients cannot set their own price.
+
+const crypto = require('crypto');
+const { getServiceClient } = require('./lib/serviceClient');
+const {
+  DEFAULT_BASE_COSTS,
+  TAX_RULES,
+  normalizeQuoteRequest,
+  calculateQuote,
+  toClientBreakdown,
+  welcomeDiscount,
+  tierDiscount,
+  promoDiscount,
+  referralCreditDiscount,
+  signQuote
+} = require('./lib/quotePricing');
+const { SURGE, targetSurgeMultiplier, smoothSurgeMultiplier } = require('./lib/surgePricing');
+
+const QUERY_TIMEOUT_MS = parseInt(process.env.QUOTE_QUERY_TIMEOUT_MS || '5000', 10);
+const QUOTE_TTL_MINUTES = parseInt(process.env.QUOTE_TTL_MINUTES || '15', 10);
+const MAX_ZONE_DISTANCE_KM = 10;
+
+const DEBUG = /^(1|true|yes)$/i.test(process.env.QUOTE_DEBUG || '');
+const dlog = (...args) => { if (DEBUG) console.log('[digital-bin-quote]', ...args); };
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+function withTimeout(promise, ms, label = 'operation') {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`${label} timed out`)), ms))
+  ]);
+}
+
+function getClient() {
+  return getServiceClient({ allowLocal: true, log: dlog });
+}
+
+function getSigningSecret() {
+  return process.env.QUOTE_SIGNING_SECRET || null;
+}
+
+const respond = (statusCode, body) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Resolve the per-bin base rate from the zone containing the location (nearest
+ * zone centre when no boundary matches), falling back to defaults.
+ * Zone lookup failures degrade to default pricing rather than failing the quote.
+ */
+async function resolveBasePrice(supabase, params) {
+  const fallback = { base_per_bin: DEFAULT_BASE_COSTS[params.bin_size_liters], pricing_source: 'default', pricing_zone: null, zone_id: null };
+  if (params.latitude === null || params.longitude === null) return fallback;
+
+  try {
+    const { data, error } = await withTimeout(
+      supabase.rpc('find_pricing_zone', {
+        p_latitude: params.latitude,
+        p_longitude: params.longitude,
+        p_max_distance_km: MAX_ZONE_DISTANCE_KM
+      }),
+      QUERY_TIMEOUT_MS,
+      'pricing zone lookup'
+    );
+    if (error) throw new Error(error.message);
+
+    const zone = Array.isArray(data) ? data[0] : data;
+    const price = zone ? parseFloat(zone[`price_${params.bin_size_liters}l`]) : NaN;
+    if (!zone || !(price > 0)) return fallback;
+
+    return {
+      base_per_bin: price,
+      pricing_source: 'gps',
+      zone_id: zone.zone_id || zone.id || null,
+      pricing_zone: {
+        region: zone.region,
+        district: zone.district,
+        community: zone.community,
+        suburb: zone.suburb,
+        distance_km: zone.distance_km,
+        match_type: zone.match_type || 'nearest'
+      }
+    };
+  } catch (e) {
+    dlog('Zone lookup failed, using default pricing:', e?.message || String(e));
+    return fallback;
+  }
+}
+
+/**
+ * Surge multiplier for the request's pricing zone. Demand and supply are counted
+ * around the request location and the zone's stored multiplier is smoothed towards
+ * the result. Non-urgent requests, requests without a zone and lookup failures
+ * get no surge.
+ * The smoothed state is not stored here: it goes on the quote as surge_state and the
+ * zone is updated when a bin is created from it, so repeated quotes cannot move it.
+ * @param {Date} now
+ * @returns {Promise<{multiplier: number, state: Object|null}>}
+ */
+async function resolveSurgeMultiplier(supabase, params, zoneId, now) {
+  if (!params.is_urgent || !zoneId) return { multiplier: 1, state: null };
+
+  try {
+    const [{ data: inputs, error: inputsError }, { data: previous, error: previousError }] = await withTimeout(
+      Promise.all([
+        supabase.rpc('get_surge_inputs', {
+          p_latitude: params.latitude,
+          p_longitude: params.longitude,
+          p_radius_km: SURGE.RADIUS_KM
+        }),
+        supabase.from('pricing_zone_surge').select('*').eq('zone_id', zoneId).maybeSingle()
+      ]),
+      QUERY_TIMEOUT_MS,
+      'surge lookup'
+    );
+    if (inputsError) throw new Error(inputsError.message);
+    if (previousError) throw new Error(previousError.message);
+
+    const target = targetSurgeMultiplier(inputs || {});
+    const multiplier = smoothSurgeMultiplier(previous, target, now);
+
+    dlog('Surge for zone', zoneId, { ...inputs, target, multiplier });
+    return {
+      multiplier,
+      state: {
+        zone_id: zoneId,
+        multiplier,
+        target_multiplier: target,
+        pending_requests: inputs?.pending_requests || 0,
+        online_collectors: inputs?.online_collectors || 0
+      }
+    };
+  } catch (e) {
+    dlog('Surge lookup failed, no surge applied:', e?.message || String(e));
+    return { multiplier: 1, state: null };
+  }
+}
+
+/**
+ * Welcome discount eligibility for the user (get_welcome_discount_multiplier).
+ * Lookup failures mean no discount rather than a failed quote.
+ */
+async function resolveWelcomeMultiplier(supabase, userId) {
+  try {
+    const { data, error } = await withTimeout(
+      supabase.rpc('get_welcome_discount_multiplier', { p_user_id: userId }),
+      QUERY_TIMEOUT_MS,
+      'welcome discount lookup'
+    );
+    if (error) throw new Error(error.message);
+    return parseFloat(data) || 0;
+  } catch (e) {
+    dlog('Welcome discount lookup failed:', e?.message || String(e));
+    return 0;
+  }
+}
+
+/**
+ * Loyalty tier for the user (get_user_tier), for the request fee discount.
+ * Lookup failures mean no tier discount rather than a failed quote.
+ */
+async function resolveLoyaltyTier(supabase, userId) {
+  try {
+    const { data, error } = await withTimeout(
+      supabase.rpc('get_user_tier', { p_user_id: userId }),
+      QUERY_TIMEOUT_MS,
+      'loyalty tier lookup'
+    );
+    if (error) throw new Error(error.message);
+    return (Array.isArray(data) ? data[0] : data) || null;
+  } catch (e) {
+    dlog('Loyalty tier lookup failed:', e?.message || String(e));
+    return null;
+  }
+}
+
+/**
+ * Validate a promo code for the user. Unlike the other lookups an invalid code is
+ * reported back, since the customer asked for it explicitly.
+ * @returns {Promise<{ promo?: Object, error?: string }>}
+ */
+async function resolvePromo(supabase, userId, promoCode) {
+  if (!promoCode) return {};
+  const { data, error } = await withTimeout(
+    supabase.rpc('validate_promo_code', {
+      p_code: promoCode,
+      p_user_id: userId,
+      p_service_type: 'digital_bin'
+    }),
+    QUERY_TIMEOUT_MS,
+    'promo code lookup'
+  );
+  if (error) return { error: error.message || 'Promo code not recognised' };
+  const promo = Array.isArray(data) ? data[0] : data;
+  return promo ? { promo } : { error: 'Promo code not recognised' };
+}
+
+async function resolveReferralCredit(supabase, userId) {
+  try {
+    const { data, error } = await withTimeout(
+      supabase.rpc('get_referral_credit_balance', { p_user_id: userId }),
+      QUERY_TIMEOUT_MS,
+      'referral credit lookup'
+    );
+    if (error) throw new Error(error.message);
+    return parseFloat(data) || 0;
+  } catch (e) {
+    dlog('Referral credit lookup failed:', e?.message || String(e));
+    return 0;
+  }
+}
+
+/**
+ * Build the handler with injectable dependencies (used by tests).
+ * @param {Object} [deps]
+ * @param {Function} [deps.getClient] - Returns { supabase } or { error }
+ * @param {Function} [deps.getSigningSecret]
+ * @param {Function} [deps.now] - Returns the current Date
+ */
+function createHandler(deps = {}) {
+  const resolveClient = deps.getClient || getClient;
+  const resolveSecret = deps.getSigningSecret || getSigningSecret;
+  const now = deps.now || (() => new Date());
+
+  return async (event) => {
+    try {
+      if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 204, headers: { ...CORS_HEADERS }, body: '' };
+      }
+      if (event.httpMethod !== 'POST') {
+        return respond(405, { error: 'Method Not Allowed' });
+      }
+
+      const headers = event.headers || {};
+      const authHeader = headers.authorization || headers.Authorization || '';
+      const token = authHeader.replace(/^Bearer\s+/i, '').trim();
+      if (!token) {
+        return respond(401, { error: 'Missing bearer token', code: 'UNAUTHORIZED' });
+      }
+
+      let body;
+      try {
+        body = event.body ? JSON.parse(event.body) : {};
+      } catch (_) {
+        return respond(400, { error: 'Invalid JSON body', code: 'INVALID_REQUEST' });
+      }
+
+      const { params, error: validationError } = normalizeQuoteRequest(body);
+      if (validationError) {
+        return respond(400, { error: validationError, code: 'INVALID_REQUEST' });
+      }
+
+      const secret = resolveSecret();
+      if (!secret) {
+        return respond(500, { error: 'Quote signing is not configured on server', code: 'QUOTE_CONFIG_ERROR' });
+      }
+
+      const { supabase, error: clientError } = resolveClient();
+      if (clientError) {
+        return respond(500, { error: clientError.message, code: 'QUOTE_CONFIG_ERROR' });
+      }
+
+      const { data: userData, error: authError } = await withTimeout(
+        supabase.auth.getUser(token),
+        QUERY_TIMEOUT_MS,
+        'auth lookup'
+      );
+      const user = userData?.user;
+      if (authError || !user) {
+        return respond(401, { error: 'Invalid or expired session', code: 'UNAUTHORIZED' });
+      }
+
+      const [pricing, welcomeMultiplier, loyaltyTier, promoResult, referralBalance] = await Promise.all([
+        resolveBasePrice(supabase, params),
+        resolveWelcomeMultiplier(supabase, user.id),
+        resolveLoyaltyTier(supabase, user.id),
+        resolvePromo(supabase, user.id, params.promo_code),
+        resolveReferralCredit(supabase, user.id)
+      ]);
+      if (promoResult.error) {
+        return respond(400, { error: promoResult.error, code: 'INVALID_PROMO' });
+      }
+
+      const issuedAt = now();
+      const surge = await resolveSurgeMultiplier(supabase, params, pricing.zone_id, issuedAt);
+
+      // Discounts, surge and taxes are resolved server-side; none are accepted from the client.
+      // Order matters: later discounts are trimmed first when the 80% cap is reached.
+      const base = pricing.base_per_bin * params.bag_count;
+      const discounts = [
+        welcomeDiscount(base, welcomeMultiplier),
+        tierDiscount(loyaltyTier),
+        promoDiscount(promoResult.promo, base),
+        referralCreditDiscount(referralBalance)
+      ].filter(Boolean);
+      const breakdown = calculateQuote(params, {
+        base_per_bin: pricing.base_per_bin,
+        on_site_charges: 0,
+        discounts,
+        distance_km: 0,
+        surge_multiplier: surge.multiplier,
+        taxes: TAX_RULES
+      });
+
+      const quote = {
+        id: crypto.randomUUID(),
+        user_id: user.id,
+        fee: breakdown.total,
+        expires_at: new Date(issuedAt.getTime() + QUOTE_TTL_MINUTES * 60 * 1000).toISOString()
+      };
+      const signature = signQuote(quote, secret);
+      const appliedDiscount = (code) => [...breakdown.discounts, ...breakdown.request_fee_discounts]
+        .find((d) => d.code === code)?.amount || 0;
+      const { promo_code: _promoCode, ...serviceParams } = params;
+
+      const { error: insertError } = await withTimeout(
+        supabase
+          .from('digital_bin_quotes')
+          .insert({
+            ...quote,
+            ...serviceParams,
+            promo_code_id: appliedDiscount('PROMO') > 0 ? promoResult.promo.promo_code_id : null,
+            promo_discount: appliedDiscount('PROMO'),
+            referral_credit_applied: appliedDiscount('REFERRAL'),
+            pricing_source: pricing.pricing_source,
+            pricing_zone: pricing.pricing_zone,
+            breakdown,
+            ...breakdown.payouts,
+            surge_multiplier: breakdown.surge_multiplier,
+            surge_state: surge.state,
+            tax_total: breakdown.tax_total,
+            taxes: breakdown.taxes,
+            signature
+          })
+          .select('id')
+          .single(),
+        QUERY_TIMEOUT_MS,
+        'quote insert'
+      );
+      if (insertError) {
+        dlog('Quote insert failed', insertError.message);
+        return respond(500, { error: insertError.message || 'Failed to store quote', code: 'QUOTE_STORE_ERROR' });
+      }
+
+      dlog('Issued quote', quote.id, 'total', breakdown.total);
+      return respond(200, {
+        data: {
+          quote_id: quote.id,
+          signature,
+          expires_at: quote.expires_at,
+          params,
+          breakdown: {
+            ...toClientBreakdown(breakdown),
+            pricing_source: pricing.pricing_source,
+            pricing_zone: pricing.pricing_zone
+          }
+        }
+      });
+    } catch (e) {
+      dlog('Handler error', e?.message || String(e));
+      if ((e?.message || '').includes('timed out')) {
+        return respond(504, { error: 'Server operation timed out', code: 'TIMEOUT' });
+      }
+      return respond(500, { error: e.message || 'Server error', code: 'QUOTE_ERROR' });
+    }
+  };
+}
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,230 @@
+// In-memory Supabase stand-in for running functions without a database.
+// Covers only the client surface the functions use: auth.getUser, rpc and
+// from(table).insert/update/select/eq/single/maybeSingle. Enable in local dev with
+// USE_LOCAL_SUPABASE=true; tests construct it directly.
+
+const { resolvePricingZone, distanceKm } = require('./pricingZones');
+const { promoDiscount } = require('./quotePricing');
+
+const LOCAL_USER = { id: '00000000-0000-4000-8000-000000000001', email: 'local@trashdrop.test' };
+
+// Partial unique indexes the functions rely on: columns and the rows each index covers
+const UNIQUE_INDEXES = {
+  payment_transactions: [
+    { columns: ['purpose', 'reference_id'], where: (row) => row.status === 'pending' },
+    { columns: ['purpose', 'reference_id'], where: (row) => row.status === 'successful' }
+  ]
+};
+
+/**
+ * @param {Object} [options]
+ * @param {Object<string, Object>} [options.users] - Access token → user
+ * @param {boolean} [options.allowAnyToken=false] - Resolve unknown tokens to a local user
+ * @param {Array<Object>} [options.pricingZones] - pricing_zones rows (optionally with a GeoJSON boundary)
+ * @param {Object<string, Array>} [options.tables] - Initial table rows. pickup_requests and
+ *   collector_profiles rows use plain latitude/longitude (current_latitude/current_longitude)
+ *   instead of PostGIS columns.
+ */
+function createLocalSupabase(options = {}) {
+  const users = options.users || {};
+  const pricingZones = options.pricingZones || [];
+  const tables = {};
+  Object.entries(options.tables || {}).forEach(([name, rows]) => {
+    tables[name] = rows.map((row) => ({ ...row }));
+  });
+
+  const rowsFor = (name) => {
+    if (!tables[name]) tables[name] = [];
+    return tables[name];
+  };
+
+  const rpcHandlers = {
+    find_nearest_pricing_zone: ({ p_latitude, p_longitude, p_max_distance_km }) => {
+      // Equirectangular distance is accurate enough at city scale
+      return pricingZones
+        .map((zone) => {
+          const dLat = (zone.latitude - p_latitude) * 111.32;
+          const dLng = (zone.longitude - p_longitude) * 111.32 * Math.cos((p_latitude * Math.PI) / 180);
+          return { ...zone, distance_km: Math.sqrt(dLat * dLat + dLng * dLng) };
+        })
+        .filter((zone) => zone.distance_km <= p_max_distance_km)
+        .sort((a, b) => a.distance_km - b.distance_km)
+        .slice(0, 1);
+    },
+    find_pricing_zone: ({ p_latitude, p_longitude, p_max_distance_km }) => {
+      const zone = resolvePricingZone(pricingZones, p_latitude, p_longitude, p_max_distance_km);
+      return zone ? [zone] : [];
+    },
+    get_welcome_discount_multiplier: ({ p_user_id }) => {
+      const stats = rowsFor('user_stats').find((row) => row.user_id === p_user_id);
+      return (stats?.completed_requests_count || 0) < 5 ? 0.045 : 0;
+    },
+    get_user_tier: ({ p_user_id }) => {
+      const lifetime = rowsFor('points_ledger')
+        .filter((row) => row.user_id === p_user_id && row.entry_type === 'earn')
+        .reduce((sum, row) => sum + row.points, 0);
+      const completed = rowsFor('user_stats').find((row) => row.user_id === p_user_id)?.completed_requests_count || 0;
+      return rowsFor('loyalty_tiers')
+        .filter((tier) => tier.min_lifetime_points <= lifetime && tier.min_completed_pickups <= completed)
+        .sort((a, b) => b.rank - a.rank)[0] || null;
+    },
+    validate_promo_code: ({ p_code, p_user_id, p_service_type }) => {
+      const promo = rowsFor('promo_codes').find((row) => row.code === String(p_code).trim().toUpperCase());
+      const now = new Date();
+      if (!promo || promo.is_active === false) throw new Error('Promo code not recognised');
+      if (promo.valid_until && new Date(promo.valid_until) <= now) throw new Error('Promo code has expired');
+      if (promo.service_types && !promo.service_types.includes(p_service_type)) throw new Error('Promo code cannot be used for this service');
+      if (promo.usage_limit && (promo.usage_count || 0) >= promo.usage_limit) throw new Error('Promo code has reached its usage limit');
+      const uses = rowsFor('promo_redemptions').filter((row) => row.promo_code_id === promo.id && row.user_id === p_user_id && row.status !== 'cancelled').length;
+      if (uses >= (promo.per_user_limit || 1)) throw new Error('You have already used this promo code');
+      return [{ promo_code_id: promo.id, code: promo.code, description: promo.description || null, discount_type: promo.discount_type, discount_value: promo.discount_value, max_discount: promo.max_discount ?? null }];
+    },
+    get_referral_credit_balance: ({ p_user_id }) => {
+      return rowsFor('referral_credits')
+        .filter((row) => row.user_id === p_user_id)
+        .reduce((sum, row) => sum + Number(row.remaining_amount || 0), 0);
+    },
+    get_surge_inputs: ({ p_latitude, p_longitude, p_radius_km }) => {
+      const near = (lat, lng) => lat != null && lng != null && distanceKm(p_latitude, p_longitude, lat, lng) <= p_radius_km;
+      return {
+        pending_requests: rowsFor('pickup_requests')
+          .filter((row) => ['pending', 'available'].includes(row.status) && near(row.latitude, row.longitude)).length,
+        online_collectors: rowsFor('collector_profiles')
+          .filter((row) => row.is_online && near(row.current_latitude, row.current_longitude)).length
+      };
+    },
+    pickup_payment_amount: ({ p_pickup_id }) => {
+      const pickup = rowsFor('scheduled_pickups').find((row) => row.id === p_pickup_id);
+      if (!pickup) throw new Error('Pickup not found');
+      const fee = Number(pickup.fee) || 0;
+      if (fee <= 0) throw new Error('This pickup has no fee to pay');
+      // Priced from the promo definition, never the stored discount_amount
+      const discount = rowsFor('promo_redemptions')
+        .filter((row) => row.request_id === p_pickup_id && row.service_type === 'pickup' && row.status === 'applied')
+        .map((row) => rowsFor('promo_codes').find((promo) => promo.id === row.promo_code_id))
+        .reduce((sum, promo) => sum + (promoDiscount(promo, fee)?.amount || 0), 0);
+      return Math.round((fee - Math.min(discount, fee * 0.8)) * 100) / 100;
+    },
+    // Wallet crediting is reduced to marking the top-up or tip completed (there is no local ledger)
+    settle_payment_transaction: ({ p_payment_id, p_status, p_provider_transaction_id, p_reason }) => {
+      const payment = rowsFor('payment_transactions').find((row) => row.id === p_payment_id);
+      if (!payment) throw new Error('Payment not found');
+      if (payment.status !== 'pending') return { ...payment };
+      Object.assign(payment, {
+        status: p_status,
+        provider_transaction_id: p_provider_transaction_id || payment.provider_transaction_id || null,
+        failure_reason: p_status === 'failed' ? p_reason || null : null,
+        completed_at: new Date().toISOString()
+      });
+      if (payment.purpose === 'wallet_top_up') {
+        const topUp = rowsFor('wallet_top_ups').find((row) => row.id === payment.reference_id && row.status === 'pending');
+        if (topUp) topUp.status = p_status === 'successful' ? 'completed' : 'failed';
+      } else if (payment.purpose === 'pickup_payment' && p_status === 'successful') {
+        const pickup = rowsFor('scheduled_pickups').find((row) => row.id === payment.reference_id);
+        if (pickup) Object.assign(pickup, { payment_method: 'mobile_money', payment_amount: payment.amount, payment_status: 'completed' });
+      } else if (payment.purpose === 'collector_tip') {
+        const tip = rowsFor('collector_tips').find((row) => row.id === payment.reference_id && row.status === 'pending');
+        if (tip) tip.status = p_status === 'successful' ? 'completed' : 'failed';
+      }
+      return { ...payment };
+    },
+    ...(options.rpc || {})
+  };
+
+  function query(table) {
+    const filters = [];
+    let pendingInsert = null;
+    let pendingUpdate = null;
+
+    const violatesUniqueIndex = (row) => (UNIQUE_INDEXES[table] || []).some(({ columns, where }) =>
+      where(row) && rowsFor(table).some((other) => where(other) && columns.every((col) => other[col] === row[col]))
+    );
+
+    const run = () => {
+      if (pendingInsert) {
+        if (pendingInsert.some(violatesUniqueIndex)) {
+          throw Object.assign(new Error(`duplicate key value violates unique constraint on ${table}`), { code: '23505' });
+        }
+        rowsFor(table).push(...pendingInsert);
+        return pendingInsert;
+      }
+      const rows = rowsFor(table).filter((row) => filters.every(([col, val]) => row[col] === val));
+      if (pendingUpdate) rows.forEach((row) => Object.assign(row, pendingUpdate));
+      return rows;
+    };
+
+    // Constraint violations come back as errors, like PostgREST
+    const execute = () => {
+      try {
+        return { rows: run(), error: null };
+      } catch (e) {
+        return { rows: [], error: { message: e.message, code: e.code } };
+      }
+    };
+
+    const builder = {
+      insert(rows) {
+        pendingInsert = (Array.isArray(rows) ? rows : [rows]).map((row) => ({
+          created_at: new Date().toISOString(),
+          ...row
+        }));
+        return builder;
+      },
+      update(values) {
+        pendingUpdate = { ...values };
+        return builder;
+      },
+      select() {
+        return builder;
+      },
+      eq(column, value) {
+        filters.push([column, value]);
+        return builder;
+      },
+      async single() {
+        const { rows, error } = execute();
+        if (error) return { data: null, error };
+        if (rows.length !== 1) {
+          return { data: null, error: { message: 'JSON object requested, multiple (or no) rows returned', code: 'PGRST116' } };
+        }
+        return { data: { ...rows[0] }, error: null };
+      },
+      async maybeSingle() {
+        const { rows, error } = execute();
+        if (error) return { data: null, error };
+        return { data: rows[0] ? { ...rows[0] } : null, error: null };
+      },
+      then(resolve, reject) {
+        const { rows, error } = execute();
+        const result = error ? { data: null, error } : { data: rows.map((row) => ({ ...row })), error: null };
+        return Promise.resolve(result).then(resolve, reject);
+      }
+    };
+    return builder;
+  }
+
+  return {
+    auth: {
+      async getUser(token) {
+        const user = users[token] || (options.allowAnyToken && token ? LOCAL_USER : null);
+        if (!user) return { data: { user: null }, error: { message: 'Invalid JWT', status: 401 } };
+        return { data: { user }, error: null };
+      }
+    },
+    async rpc(name, args) {
+      const handler = rpcHandlers[name];
+      if (!handler) return { data: null, error: { message: `Function ${name} not found`, code: 'PGRST202' } };
+      try {
+        return { data: handler(args || {}), error: null };
+      } catch (e) {
+        // Mirrors RAISE EXCEPTION in the SQL functions
+        return { data: null, error: { message: e.message, code: 'P0001' } };
+      }
+    },
+    from: query,
+    // Test helper: inspect stored rows
+    _tables: tables
+  };
+}
+
+module.exports = { createLocalSupabase };
@@ -0,0 +1,144 @@
+// Mobile money provider (request-to-pay collections)
+// Speaks the MoMo Open API collection flow: the payer gets a prompt on their phone,
+// approves it with their PIN, and the provider calls us back. MTN MoMo exposes this API
+// directly; Telecel Cash and AirtelTigo Money wallets are reached through the collection
+// aggregator configured in MOMO_API_BASE_URL, which accepts the same requests.
+//
+// Configuration (environment):
+//   MOMO_API_BASE_URL          e.g. https://sandbox.momodeveloper.mtn.com
+//   MOMO_API_USER, MOMO_API_KEY  API user credentials (basic auth for the token endpoint)
+//   MOMO_SUBSCRIPTION_KEY      Ocp-Apim-Subscription-Key for the collection product
+//   MOMO_TARGET_ENVIRONMENT    'sandbox' or the production environment name
+//   MOMO_CURRENCY              Defaults to GHS (the sandbox only accepts EUR)
+
+const STATUS_MAP = {
+  PENDING: 'pending',
+  SUCCESSFUL: 'successful',
+  FAILED: 'failed',
+  REJECTED: 'failed',
+  TIMEOUT: 'failed'
+};
+
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+function configFromEnv() {
+  return {
+    baseUrl: (process.env.MOMO_API_BASE_URL || '').replace(/\/$/, ''),
+    apiUser: process.env.MOMO_API_USER,
+    apiKey: process.env.MOMO_API_KEY,
+    subscriptionKey: process.env.MOMO_SUBSCRIPTION_KEY,
+    targetEnvironment: process.env.MOMO_TARGET_ENVIRONMENT || 'sandbox',
+    currency: process.env.MOMO_CURRENCY || null
+  };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Overrides configFromEnv()
+ * @param {Function} [options.fetch] - fetch implementation (tests)
+ * @param {Function} [options.now] - Returns the current time in ms
+ */
+function createMobileMoneyProvider(options = {}) {
+  const config = { ...configFromEnv(), ...(options.config || {}) };
+  const fetchImpl = options.fetch || ((...args) => fetch(...args));
+  const now = options.now || Date.now;
+  let token = null;
+
+  const assertConfigured = () => {
+    const missing = ['baseUrl', 'apiUser', 'apiKey', 'subscriptionKey'].filter((key) => !config[key]);
+    if (missing.length > 0) {
+      throw new Error(`Mobile money provider is not configured (missing ${missing.join(', ')})`);
+    }
+  };
+
+  const accessToken = async () => {
+    if (token && token.expiresAt > now()) return token.value;
+
+    const basic = Buffer.from(`${config.apiUser}:${config.apiKey}`).toString('base64');
+    const response = await fetchImpl(`${config.baseUrl}/collection/token/`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${basic}`,
+        'Ocp-Apim-Subscription-Key': config.subscriptionKey
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`Mobile money token request failed (HTTP ${response.status})`);
+    }
+    const body = await response.json();
+    token = {
+      value: body.access_token,
+      expiresAt: now() + (parseInt(body.expires_in, 10) || 3600) * 1000 - TOKEN_EXPIRY_MARGIN_MS
+    };
+    return token.value;
+  };
+
+  const headers = async (extra = {}) => ({
+    Authorization: `Bearer ${await accessToken()}`,
+    'X-Target-Environment': config.targetEnvironment,
+    'Ocp-Apim-Subscription-Key': config.subscriptionKey,
+    ...extra
+  });
+
+  return {
+    name: 'mobile_money',
+
+    async requestToPay({ reference, amount, currency, msisdn, description, callbackUrl }) {
+      assertConfigured();
+      const response = await fetchImpl(`${config.baseUrl}/collection/v1_0/requesttopay`, {
+        method: 'POST',
+        headers: await headers({
+          'Content-Type': 'application/json',
+          // Our payment ID doubles as the provider reference (must be a UUID)
+          'X-Reference-Id': reference,
+          ...(callbackUrl ? { 'X-Callback-Url': callbackUrl } : {})
+        }),
+        body: JSON.stringify({
+          amount: Number(amount).toFixed(2),
+          currency: config.currency || currency,
+          externalId: reference,
+          payer: { partyIdType: 'MSISDN', partyId: msisdn },
+          payerMessage: description || 'TrashDrop payment',
+          payeeNote: description || 'TrashDrop payment'
+        })
+      });
+      if (response.status !== 202) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.message || `Request to pay was rejected (HTTP ${response.status})`);
+      }
+      return { provider_reference: reference, status: 'pending' };
+    },
+
+    async getStatus(providerReference) {
+      assertConfigured();
+      const response = await fetchImpl(
+        `${config.baseUrl}/collection/v1_0/requesttopay/${encodeURIComponent(providerReference)}`,
+        { method: 'GET', headers: await headers() }
+      );
+      if (response.status === 404) {
+        return { status: 'failed', reason: 'NOT_FOUND', provider_transaction_id: null };
+      }
+      if (!response.ok) {
+        throw new Error(`Payment status request failed (HTTP ${response.status})`);
+      }
+      const body = await response.json();
+      return {
+        status: STATUS_MAP[String(body.status).toUpperCase()] || 'pending',
+        reason: body.reason?.code || body.reason || null,
+        provider_transaction_id: body.financialTransactionId || null
+      };
+    },
+
+    // Callbacks carry the request body with our externalId; they are not signed
+    parseCallback(event) {
+      try {
+        const body = event.body ? JSON.parse(event.body) : {};
+        return body.externalId ? { payment_id: body.externalId } : null;
+      } catch (_) {
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = { createMobileMoneyProvider };
@@ -0,0 +1,92 @@
+// Local mock payment provider for development and tests
+// Behaves like the mobile money provider without moving money. The outcome is
+// chosen by the payer's number so every flow can be exercised by hand:
+//   ...0  the payer declines (failed)
+//   ...1  the prompt is never answered (stays pending)
+//   other numbers succeed once MOCK_PAYMENT_DELAY_MS has passed (default 3s)
+// The outcome and request time are encoded in the provider reference, so status
+// checks do not depend on in-memory state surviving between function invocations.
+
+const crypto = require('crypto');
+
+const OUTCOMES = { SUCCESS: 'success', DECLINE: 'decline', NO_ANSWER: 'noanswer' };
+
+const outcomeFor = (msisdn) => {
+  const last = String(msisdn || '').slice(-1);
+  if (last === '0') return OUTCOMES.DECLINE;
+  if (last === '1') return OUTCOMES.NO_ANSWER;
+  return OUTCOMES.SUCCESS;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.delayMs] - Time before a successful payment is confirmed
+ * @param {Function} [options.now] - Returns the current time in ms
+ */
+function createMockPaymentProvider(options = {}) {
+  const delayMs = options.delayMs ?? parseInt(process.env.MOCK_PAYMENT_DELAY_MS || '3000', 10);
+  const now = options.now || Date.now;
+
+  return {
+    name: 'mock',
+
+    async requestToPay({ reference, amount, msisdn }) {
+      if (!(Number(amount) > 0)) {
+        throw new Error('Amount must be positive');
+      }
+      return {
+        provider_reference: `mock_${outcomeFor(msisdn)}_${now()}_${reference || crypto.randomUUID()}`,
+        status: 'pending'
+      };
+    },
+
+    async getStatus(providerReference) {
+      const match = /^mock_([a-z]+)_(\d+)_/.exec(providerReference || '');
+      if (!match) {
+        return { status: 'failed', reason: 'NOT_FOUND', provider_transaction_id: null };
+      }
+      const [, outcome, requestedAt] = match;
+      if (outcome === OUTCOMES.DECLINE) {
+        return { status: 'failed', reason: 'APPROVAL_REJECTED', provider_transaction_id: null };
+      }
+      if (outcome === OUTCOMES.NO_ANSWER || now() - Number(requestedAt) < delayMs) {
+        return { status: 'pending', reason: null, provider_transaction_id: null };
+      }
+      return { status: 'successful', reason: null, provider_transaction_id: `mocktx_${requestedAt}` };
+    },
+
+    // Accepts any well-formed, unexpired card; numbers ending 0002 are declined
+    async tokenizeCard({ number, expiry, cvv }) {
+      const digits = String(number || '').replace(/\s/g, '');
+      const [month, year] = String(expiry || '').split('/').map((part) => parseInt(part, 10));
+      if (!/^\d{16}$/.test(digits) || !/^\d{3,4}$/.test(String(cvv || ''))) {
+        throw new Error('Invalid card details');
+      }
+      const current = new Date(now());
+      if (!(month >= 1 && month <= 12) || (2000 + year) * 12 + month < current.getFullYear() * 12 + current.getMonth() + 1) {
+        throw new Error('Card has expired');
+      }
+      if (digits.endsWith('0002')) {
+        throw new Error('Card was declined');
+      }
+      return {
+        token: `tok_mock_${crypto.randomUUID().replace(/-/g, '')}`,
+        last4: digits.slice(-4),
+        expiry,
+        brand: digits.startsWith('4') ? 'visa' : digits.startsWith('5') ? 'mastercard' : 'card'
+      };
+    },
+
+    parseCallback(event) {
+      try {
+        const body = event.body ? JSON.parse(event.body) : {};
+        const paymentId = body.externalId || body.payment_id;
+        return paymentId ? { payment_id: paymentId } : null;
+      } catch (_) {
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = { createMockPaymentProvider };
@@ -0,0 +1,84 @@
+// Payment provider layer
+// Every provider implements the same interface so the payments function does not
+// care who moves the money:
+//   name
+//   requestToPay({ reference, amount, currency, msisdn, network, description, callbackUrl })
+//     -> { provider_reference, status }   (reference is our payment_transactions.id)
+//   getStatus(providerReference) -> { status, reason, provider_transaction_id }
+//   parseCallback(event) -> { payment_id } | null
+//   tokenizeCard({ number, expiry, cvv }) -> { token, last4, expiry, brand }   (optional; providers
+//     without it do not take cards). Card details are passed straight through, never stored.
+// Statuses are PAYMENT_STATUS values. Callbacks are only used to learn which payment
+// changed; the status itself is always re-read from the provider.
+
+const networkCatalogue = require('../../../src/utils/mobileMoneyNetworks.json');
+const { createMobileMoneyProvider } = require('./mobileMoneyProvider');
+const { createMockPaymentProvider } = require('./mockPaymentProvider');
+
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  SUCCESSFUL: 'successful',
+  FAILED: 'failed'
+};
+
+const MOBILE_MONEY_NETWORKS = networkCatalogue.networks.map((network) => network.code);
+
+// Same rules as normalizeMsisdn/detectMobileNetwork in src/utils/mobileMoney.js
+/**
+ * Normalise a Ghanaian mobile number to international format without the plus.
+ * @param {string} input - e.g. "024 123 4567", "+233241234567"
+ * @returns {string|null} e.g. "233241234567", or null when not a valid mobile number
+ */
+function normalizeMsisdn(input) {
+  const digits = String(input || '').replace(/[^\d]/g, '');
+  const local = digits.startsWith(networkCatalogue.country_code)
+    ? `0${digits.slice(networkCatalogue.country_code.length)}`
+    : digits;
+  if (!/^0\d{9}$/.test(local)) return null;
+  return `${networkCatalogue.country_code}${local.slice(1)}`;
+}
+
+/**
+ * Network a mobile number belongs to, from its prefix
+ * @param {string} msisdn - Any format accepted by normalizeMsisdn
+ * @returns {string|null} Network code
+ */
+function detectMobileNetwork(msisdn) {
+  const normalized = normalizeMsisdn(msisdn);
+  if (!normalized) return null;
+  const prefix = `0${normalized.slice(networkCatalogue.country_code.length, networkCatalogue.country_code.length + 2)}`;
+  const network = networkCatalogue.networks.find((entry) => entry.prefixes.includes(prefix));
+  return network ? network.code : null;
+}
+
+const PROVIDERS = {
+  mobile_money: createMobileMoneyProvider,
+  mock: createMockPaymentProvider
+};
+
+/**
+ * Provider named by PAYMENT_PROVIDER ('mobile_money' or 'mock'). There is no default:
+ * a deployment without it fails instead of quietly approving payments with the mock.
+ * @param {string} [name]
+ * @param {Object} [options] - Passed to the provider factory
+ */
+function getPaymentProvider(name, options) {
+  const selected = name || process.env.PAYMENT_PROVIDER;
+  if (!selected) {
+    throw new Error('PAYMENT_PROVIDER is not set');
+  }
+  const factory = PROVIDERS[selected];
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${selected}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  PAYMENT_STATUS,
+  MOBILE_MONEY_NETWORKS,
+  CURRENCY: networkCatalogue.currency,
+  normalizeMsisdn,
+  detectMobileNetwork,
+  getPaymentProvider
+};
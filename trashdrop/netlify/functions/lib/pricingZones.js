@@ -0,0 +1,238 @@
+// Pricing zone geometry and GeoJSON import/export helpers.
+// Zones carry an optional GeoJSON Polygon/MultiPolygon boundary. Lookups use
+// point-in-polygon first and fall back to the nearest zone centre, matching the
+// find_pricing_zone database function (client copy in src/utils/geoUtils.js; the
+// pricingZones test checks both resolve the same zones).
+// Used by the local Supabase stand-in and scripts/pricingZones.js.
+
+const catalogue = require('../../../src/utils/pricingCatalogue.json');
+
+// One price_<size>l column per catalogue size
+const PRICE_SIZES = catalogue.bin_sizes.map((entry) => entry.liters);
+const ZONE_KEYS = ['region', 'district', 'community', 'suburb'];
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/** Great-circle distance in km (haversine, same as find_nearest_pricing_zone). */
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/** Ray casting against one linear ring of [lng, lat] positions. Points on an edge count as inside. */
+function pointInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const onSegment =
+      (lng - xi) * (yj - yi) === (lat - yi) * (xj - xi) &&
+      lng >= Math.min(xi, xj) && lng <= Math.max(xi, xj) &&
+      lat >= Math.min(yi, yj) && lat <= Math.max(yi, yj);
+    if (onSegment) return true;
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInPolygonRings(lat, lng, rings) {
+  if (!pointInRing(lat, lng, rings[0])) return false;
+  // Remaining rings are holes
+  return !rings.slice(1).some((hole) => pointInRing(lat, lng, hole));
+}
+
+/**
+ * Whether a point lies inside a GeoJSON Polygon or MultiPolygon.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Object} geometry - GeoJSON geometry (coordinates are [lng, lat])
+ * @returns {boolean}
+ */
+function pointInGeometry(lat, lng, geometry) {
+  if (!geometry) return false;
+  if (geometry.type === 'Polygon') return pointInPolygonRings(lat, lng, geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some((rings) => pointInPolygonRings(lat, lng, rings));
+  }
+  return false;
+}
+
+/** Bounding box [minLng, minLat, maxLng, maxLat] of a Polygon or MultiPolygon. */
+function geometryBounds(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  polygons.forEach((rings) => rings[0].forEach(([lng, lat]) => {
+    bounds[0] = Math.min(bounds[0], lng);
+    bounds[1] = Math.min(bounds[1], lat);
+    bounds[2] = Math.max(bounds[2], lng);
+    bounds[3] = Math.max(bounds[3], lat);
+  }));
+  return bounds;
+}
+
+const boundsArea = ([minLng, minLat, maxLng, maxLat]) => (maxLng - minLng) * (maxLat - minLat);
+
+/**
+ * Resolve the pricing zone for a point: smallest containing boundary wins,
+ * otherwise the nearest active zone centre within maxDistanceKm.
+ * @param {Array<Object>} zones - pricing_zones rows
+ * @returns {Object|null} Zone row plus distance_km and match_type ('polygon' | 'nearest')
+ */
+function resolvePricingZone(zones, lat, lng, maxDistanceKm) {
+  const active = zones.filter((zone) => zone.is_active !== false);
+  const withDistance = (zone) => ({
+    ...zone,
+    distance_km: zone.latitude != null && zone.longitude != null
+      ? distanceKm(lat, lng, Number(zone.latitude), Number(zone.longitude))
+      : null
+  });
+
+  const containing = active
+    .filter((zone) => zone.boundary && pointInGeometry(lat, lng, zone.boundary))
+    .sort((a, b) => boundsArea(geometryBounds(a.boundary)) - boundsArea(geometryBounds(b.boundary)));
+  if (containing.length > 0) {
+    return { ...withDistance(containing[0]), match_type: 'polygon' };
+  }
+
+  const nearest = active
+    .filter((zone) => zone.latitude != null && zone.longitude != null)
+    .map(withDistance)
+    .filter((zone) => zone.distance_km <= maxDistanceKm)
+    .sort((a, b) => a.distance_km - b.distance_km)[0];
+  return nearest ? { ...nearest, match_type: 'nearest' } : null;
+}
+
+function validRing(ring) {
+  return Array.isArray(ring) && ring.length >= 4 &&
+    ring.every((pos) => Array.isArray(pos) && pos.length >= 2 &&
+      Math.abs(pos[0]) <= 180 && Math.abs(pos[1]) <= 90) &&
+    ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+}
+
+function validateGeometry(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'Point') {
+    const [lng, lat] = geometry.coordinates || [];
+    return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? null : 'Point coordinates are out of range';
+  }
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates : null;
+  if (!polygons) return `Unsupported geometry type ${geometry.type}`;
+  if (!Array.isArray(polygons) || polygons.length === 0) return 'Boundary has no polygons';
+  const ok = polygons.every((rings) => Array.isArray(rings) && rings.length > 0 && rings.every(validRing));
+  return ok ? null : 'Each ring needs at least four [lng, lat] positions and must be closed';
+}
+
+/**
+ * Convert a GeoJSON FeatureCollection into pricing zone rows for import_pricing_zones.
+ * Polygon features set the boundary (and the centre if none is given); Point
+ * features set only the centre. Feature properties hold the zone names and
+ * price_<size>l values.
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @returns {{zones: Array<Object>, errors: Array<string>}}
+ */
+function featureCollectionToZones(collection) {
+  const errors = [];
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    return { zones: [], errors: ['Expected a GeoJSON FeatureCollection'] };
+  }
+
+  const zones = [];
+  collection.features.forEach((feature, index) => {
+    const props = feature?.properties || {};
+    const label = props.suburb ? `Feature ${index} (${props.suburb})` : `Feature ${index}`;
+
+    const missing = ZONE_KEYS.filter((key) => !String(props[key] || '').trim());
+    if (missing.length > 0) {
+      errors.push(`${label}: missing ${missing.join(', ')}`);
+      return;
+    }
+    const geometryError = validateGeometry(feature.geometry);
+    if (geometryError) {
+      errors.push(`${label}: ${geometryError}`);
+      return;
+    }
+
+    const zone = {};
+    ZONE_KEYS.forEach((key) => { zone[key] = String(props[key]).trim(); });
+    if (props.country) zone.country = String(props.country).trim();
+    if (props.is_active !== undefined) zone.is_active = props.is_active !== false;
+
+    const badPrice = PRICE_SIZES.find((size) => {
+      const value = props[`price_${size}l`];
+      if (value === undefined || value === null) return false;
+      zone[`price_${size}l`] = Number(value);
+      return !(Number(value) >= 0);
+    });
+    if (badPrice) {
+      errors.push(`${label}: price_${badPrice}l must be a non-negative number`);
+      return;
+    }
+
+    const geometry = feature.geometry;
+    if (geometry?.type === 'Point') {
+      [zone.longitude, zone.latitude] = geometry.coordinates;
+    } else if (geometry) {
+      zone.boundary = { type: geometry.type, coordinates: geometry.coordinates };
+      if (props.latitude != null && props.longitude != null) {
+        zone.latitude = Number(props.latitude);
+        zone.longitude = Number(props.longitude);
+      } else {
+        const [minLng, minLat, maxLng, maxLat] = geometryBounds(geometry);
+        zone.latitude = Math.round(((minLat + maxLat) / 2) * 1e6) / 1e6;
+        zone.longitude = Math.round(((minLng + maxLng) / 2) * 1e6) / 1e6;
+      }
+    }
+    zones.push(zone);
+  });
+
+  return { zones, errors };
+}
+
+/**
+ * Convert pricing zone rows into a GeoJSON FeatureCollection.
+ * Zones with a boundary export it as the geometry (centre kept in properties);
+ * centre-only zones export as Points.
+ * @param {Array<Object>} rows - pricing_zones rows
+ * @returns {Object} FeatureCollection
+ */
+function zonesToFeatureCollection(rows) {
+  return {
+    type: 'FeatureCollection',
+    features: rows.map((row) => {
+      const properties = { country: row.country };
+      ZONE_KEYS.forEach((key) => { properties[key] = row[key]; });
+      PRICE_SIZES.forEach((size) => {
+        const value = row[`price_${size}l`];
+        if (value !== undefined && value !== null) properties[`price_${size}l`] = Number(value);
+      });
+      properties.is_active = row.is_active !== false;
+
+      let geometry = null;
+      if (row.boundary) {
+        geometry = row.boundary;
+        if (row.latitude != null) properties.latitude = Number(row.latitude);
+        if (row.longitude != null) properties.longitude = Number(row.longitude);
+      } else if (row.latitude != null && row.longitude != null) {
+        geometry = { type: 'Point', coordinates: [Number(row.longitude), Number(row.latitude)] };
+      }
+
+      return { type: 'Feature', id: row.id, geometry, properties };
+    })
+  };
+}
+
+module.exports = {
+  PRICE_SIZES,
+  distanceKm,
+  pointInGeometry,
+  geometryBounds,
+  resolvePricingZone,
+  featureCollectionToZones,
+  zonesToFeatureCollection
+};
@@ -0,0 +1,330 @@
+// Server-side pricing for digital bin quotes (SOP v4.5.6)
+// Shared by the digital-bin-quote function. Mirrors the client estimate in
+// src/utils/costCalculator.js, but this is the figure that gets billed.
+//
+// Pricing Order (SOP v4.5.6):
+// Base → On-site → Discounts (max 80%) → Urgent (30% of Base) →
+// Distance (>5-10km, Urgent only) → Surge (hidden from user) → Request fee (₵1) → Taxes
+
+const crypto = require('crypto');
+
+// Default base rates by bin size (GHS), from the shared pricing catalogue
+// (src/utils/pricingCatalogue.json) that also drives the client estimate and bin-size picker.
+const catalogue = require('../../../src/utils/pricingCatalogue.json');
+
+const DEFAULT_BASE_COSTS = Object.fromEntries(
+  catalogue.bin_sizes.map((entry) => [entry.liters, entry.default_price])
+);
+
+// Active tax and levy rules from the same catalogue, charged in order (none yet; see
+// TAX_RULES in src/utils/pricingCatalogue.js)
+const TAX_RULES = catalogue.tax_rules
+  .filter((rule) => rule.active)
+  .map(({ active, ...rule }) => ({ ...rule, applies_to: rule.applies_to || catalogue.taxable_components }));
+
+const SOP = {
+  URGENT_SURCHARGE: 0.30,
+  REQUEST_FEE: 1.0,
+  DISTANCE_THRESHOLD_KM: 5,
+  DISTANCE_CAP_KM: 10,
+  DISTANCE_RATE_MULTIPLIER: 0.06,
+  DISCOUNT_CAP_PERCENTAGE: 0.80,
+  VERSION: '4.5.7'
+};
+
+const VALID_FREQUENCIES = ['one-time', 'weekly', 'biweekly', 'monthly'];
+const VALID_WASTE_TYPES = ['general', 'recycling', 'organic'];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Validate and normalise the client-supplied quote request.
+ * Only describes the service; prices, discounts and payouts are never taken from the client.
+ * @returns {{ params?: Object, error?: string }}
+ */
+function normalizeQuoteRequest(body) {
+  const input = body || {};
+  const binSize = parseInt(input.bin_size_liters, 10);
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_BASE_COSTS, binSize)) {
+    return { error: `Unsupported bin size: ${input.bin_size_liters}` };
+  }
+
+  const bagCount = parseInt(input.bag_count, 10) || 1;
+  if (bagCount < 1 || bagCount > 10) {
+    return { error: 'bag_count must be between 1 and 10' };
+  }
+
+  const frequency = input.frequency || 'weekly';
+  if (!VALID_FREQUENCIES.includes(frequency)) {
+    return { error: `Unsupported frequency: ${frequency}` };
+  }
+
+  const wasteType = input.waste_type || 'general';
+  if (!VALID_WASTE_TYPES.includes(wasteType)) {
+    return { error: `Unsupported waste type: ${wasteType}` };
+  }
+
+  const latitude = input.latitude === null || input.latitude === undefined ? null : Number(input.latitude);
+  const longitude = input.longitude === null || input.longitude === undefined ? null : Number(input.longitude);
+  if ((latitude !== null && !Number.isFinite(latitude)) || (longitude !== null && !Number.isFinite(longitude))) {
+    return { error: 'latitude and longitude must be numbers' };
+  }
+
+  let promoCode = null;
+  if (input.promo_code) {
+    promoCode = String(input.promo_code).trim().toUpperCase();
+    if (!/^[A-Z0-9-]{3,32}$/.test(promoCode)) {
+      return { error: 'Promo code format is invalid' };
+    }
+  }
+
+  return {
+    params: {
+      promo_code: promoCode,
+      bin_size_liters: binSize,
+      bag_count: bagCount,
+      is_urgent: input.is_urgent === true,
+      frequency,
+      waste_type: wasteType,
+      latitude,
+      longitude
+    }
+  };
+}
+
+/**
+ * Tax and levy lines. Each rule is a percentage of the components it applies_to,
+ * which may include codes of earlier rules (e.g. VAT on top of levies).
+ * Mirrors calculateTaxes in src/utils/costCalculator.js.
+ * @param {Array<Object>} rules - { code, label, rate, applies_to? }
+ * @param {Object} components - Pre-tax amounts keyed by catalogue taxable_components
+ * @returns {Array<{code: string, label: string, rate: number, amount: number}>}
+ */
+function calculateTaxes(rules, components) {
+  const amounts = { ...components };
+  return rules.map((rule) => {
+    const taxable = (rule.applies_to || catalogue.taxable_components)
+      .reduce((sum, key) => sum + (amounts[key] || 0), 0);
+    const amount = round2(taxable * rule.rate);
+    amounts[rule.code] = amount;
+    return { code: rule.code, label: rule.label, rate: rule.rate, amount };
+  });
+}
+
+/**
+ * Compute an authoritative quote in SOP order.
+ * @param {Object} params - Normalised request (see normalizeQuoteRequest)
+ * @param {Object} pricing - Server-resolved inputs
+ * @param {number} pricing.base_per_bin - Zone or default base rate
+ * @param {number} [pricing.on_site_charges=0]
+ * @param {Array<{code: string, label: string, amount: number, applies_to?: string}>} [pricing.discounts=[]] - Applied
+ *   in order until the 80% cap is reached; lines with applies_to 'request_fee' reduce the request fee instead
+ * @param {number} [pricing.distance_km=0] - Collector distance, unknown until acceptance
+ * @param {number} [pricing.surge_multiplier=1]
+ * @param {Array<{code: string, label: string, rate: number, applies_to?: string[]}>} [pricing.taxes=[]] - Tax rules
+ *   (see calculateTaxes); rules without applies_to are charged on the whole pre-tax total
+ * @returns {Object} Full breakdown including hidden surge and collector payouts
+ */
+function calculateQuote(params, pricing) {
+  const {
+    base_per_bin: basePerBin,
+    on_site_charges: onSite = 0,
+    discounts: requestedDiscounts = [],
+    distance_km: distanceKm = 0,
+    surge_multiplier: surgeMultiplier = 1,
+    taxes: taxRates = []
+  } = pricing;
+
+  // 1. Base
+  const base = basePerBin * params.bag_count;
+
+  // 2-3. On-site, then discounts capped at 80% of core
+  const coreBeforeDiscount = base + onSite;
+  let discountRemaining = round2(coreBeforeDiscount * SOP.DISCOUNT_CAP_PERCENTAGE);
+  const discounts = [];
+  requestedDiscounts.filter((discount) => discount.applies_to !== 'request_fee').forEach((discount) => {
+    const amount = round2(Math.min(Math.max(0, discount.amount), discountRemaining));
+    if (amount <= 0) return;
+    discountRemaining = round2(discountRemaining - amount);
+    discounts.push({ code: discount.code, label: discount.label, amount });
+  });
+  const discountApplied = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+  const core = Math.max(0, coreBeforeDiscount - discountApplied);
+
+  // 4. Urgent (30% of base, not core)
+  const urgentCharge = params.is_urgent ? base * SOP.URGENT_SURCHARGE : 0;
+
+  // 5. Distance (urgent only, 5-10 km billable)
+  const billableKm = params.is_urgent
+    ? Math.max(0, Math.min(distanceKm, SOP.DISTANCE_CAP_KM) - SOP.DISTANCE_THRESHOLD_KM)
+    : 0;
+  const distanceCharge = billableKm * SOP.DISTANCE_RATE_MULTIPLIER * base;
+
+  // 6. Surge (hidden from user, paid to collector)
+  const preSurge = core + urgentCharge + distanceCharge;
+  const surgeCharge = preSurge * (Math.max(1, surgeMultiplier) - 1);
+  const subtotal = preSurge + surgeCharge;
+
+  // 7. Request fee, less its own discounts (platform revenue, so collector payouts are untouched)
+  let requestFee = SOP.REQUEST_FEE;
+  const requestFeeDiscounts = [];
+  requestedDiscounts.filter((discount) => discount.applies_to === 'request_fee').forEach((discount) => {
+    const amount = round2(Math.min(Math.max(0, discount.amount), requestFee));
+    if (amount <= 0) return;
+    requestFee = round2(requestFee - amount);
+    requestFeeDiscounts.push({ code: discount.code, label: discount.label, amount });
+  });
+  const preTax = subtotal + requestFee;
+
+  // 8. Taxes
+  const taxes = calculateTaxes(taxRates, {
+    core,
+    urgent_charge: urgentCharge,
+    distance_charge: distanceCharge,
+    surge_charge: surgeCharge,
+    request_fee: requestFee
+  });
+  const taxTotal = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+
+  const total = preTax + taxTotal;
+
+  return {
+    base: round2(base),
+    base_per_bin: round2(basePerBin),
+    bin_count: params.bag_count,
+    on_site_charges: round2(onSite),
+    discount_applied: round2(discountApplied),
+    discounts,
+    core: round2(core),
+    urgent_charge: round2(urgentCharge),
+    distance_charge: round2(distanceCharge),
+    distance_km: distanceKm,
+    billable_km: billableKm,
+    surge_multiplier: round2(Math.max(1, surgeMultiplier)),
+    surge_charge: round2(surgeCharge),
+    subtotal: round2(subtotal),
+    request_fee: requestFee,
+    request_fee_discounts: requestFeeDiscounts,
+    taxes,
+    tax_total: round2(taxTotal),
+    total: round2(total),
+    payouts: {
+      collector_core_payout: round2(core),
+      collector_urgent_payout: round2(urgentCharge),
+      collector_distance_payout: round2(distanceCharge),
+      collector_surge_payout: round2(surgeCharge),
+      collector_total_payout: round2(core + urgentCharge + distanceCharge + surgeCharge)
+    }
+  };
+}
+
+/**
+ * Strip server-only fields (surge multiplier, payouts) before returning a breakdown to the client.
+ * Surge is never shown as its own line: it is folded into base and core so the visible lines
+ * still add up to the total. digital_bin_quotes_client folds stored breakdowns the same way.
+ * Display flags match costCalculator.getCostBreakdown so the UI can render either.
+ */
+function toClientBreakdown(breakdown) {
+  const { surge_multiplier, surge_charge = 0, payouts, ...visible } = breakdown;
+  const base = round2(visible.base + surge_charge);
+  return {
+    ...visible,
+    base,
+    base_per_bin: round2(base / (visible.bin_count || 1)),
+    core: round2(visible.core + surge_charge),
+    display: {
+      urgent_charge: visible.urgent_charge > 0,
+      distance_charge: visible.distance_charge > 0,
+      on_site_charges: visible.on_site_charges > 0,
+      discount: visible.discount_applied > 0,
+      taxes: visible.tax_total > 0
+    }
+  };
+}
+
+/**
+ * Welcome discount line (4.5% of base for a customer's first five completed requests).
+ * @param {number} base - Base amount for all bins
+ * @param {number} multiplier - From get_welcome_discount_multiplier (0 when not eligible)
+ * @returns {Object|null} Discount line, or null when not eligible
+ */
+function welcomeDiscount(base, multiplier) {
+  const rate = Number(multiplier) || 0;
+  if (rate <= 0) return null;
+  return { code: 'WELCOME', label: `Welcome discount (${+(rate * 100).toFixed(1)}%)`, amount: round2(base * rate) };
+}
+
+/**
+ * Loyalty tier discount line: the tier's share of the ₵1 request fee.
+ * @param {Object} tier - Row from get_user_tier (request_fee_discount 0-1)
+ * @returns {Object|null} Discount line, or null when the tier has no fee discount
+ */
+function tierDiscount(tier) {
+  const rate = Math.min(1, Number(tier?.request_fee_discount) || 0);
+  if (rate <= 0) return null;
+  const label = rate >= 1 ? `${tier.name} tier: request fee waived` : `${tier.name} tier: ${Math.round(rate * 100)}% off request fee`;
+  return { code: 'TIER', label, amount: round2(SOP.REQUEST_FEE * rate), applies_to: 'request_fee' };
+}
+
+/**
+ * Promo discount line. Percent codes apply to base (optionally capped), fixed codes
+ * are a GHS amount and free_request_fee waives the ₵1 request fee itself.
+ * @param {Object} promo - Row from validate_promo_code
+ * @param {number} base - Base amount for all bins
+ * @returns {Object|null} Discount line, or null when the promo is worth nothing
+ */
+function promoDiscount(promo, base) {
+  if (!promo) return null;
+  if (promo.discount_type === 'free_request_fee') {
+    return { code: 'PROMO', label: `Promo ${promo.code}`, amount: SOP.REQUEST_FEE, applies_to: 'request_fee' };
+  }
+  const value = Number(promo.discount_value) || 0;
+  let amount = 0;
+  if (promo.discount_type === 'percent') {
+    amount = base * (value / 100);
+    if (promo.max_discount !== null && promo.max_discount !== undefined) {
+      amount = Math.min(amount, Number(promo.max_discount));
+    }
+  } else if (promo.discount_type === 'fixed') {
+    amount = value;
+  }
+  amount = round2(amount);
+  if (amount <= 0) return null;
+  return { code: 'PROMO', label: `Promo ${promo.code}`, amount };
+}
+
+/**
+ * Referral credit line, spending up to the available balance.
+ */
+function referralCreditDiscount(balance) {
+  const amount = round2(balance);
+  if (amount <= 0) return null;
+  return { code: 'REFERRAL', label: 'Referral credit', amount };
+}
+
+// Mirrored by verify_quote_signature in the database, which checks it on bin insert
+function signaturePayload(quote) {
+  return [quote.id, quote.user_id, Number(quote.fee).toFixed(2), quote.expires_at].join('.');
+}
+
+/**
+ * HMAC-SHA256 signature binding a quote ID to its owner, amount and expiry.
+ */
+function signQuote(quote, secret) {
+  return crypto.createHmac('sha256', secret).update(signaturePayload(quote)).digest('hex');
+}
+
+module.exports = {
+  DEFAULT_BASE_COSTS,
+  TAX_RULES,
+  SOP,
+  normalizeQuoteRequest,
+  calculateTaxes,
+  calculateQuote,
+  toClientBreakdown,
+  welcomeDiscount,
+  tierDiscount,
+  promoDiscount,
+  referralCreditDiscount,
+  signQuote
+};
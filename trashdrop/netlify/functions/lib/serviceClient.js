@@ -0,0 +1,61 @@
+// Service-role Supabase client shared by the functions. Outside production, variables
+// missing from the environment are read from the first .env file in the working directory.
+
+const { createClient } = require('@supabase/supabase-js');
+const fs = require('fs');
+const path = require('path');
+const { createLocalSupabase } = require('./localSupabase');
+
+function loadEnvFallback(log = () => {}) {
+  try {
+    const cwd = process.cwd();
+    const candidates = ['.env.development.local', '.env.local', '.env.development', '.env'];
+    for (const name of candidates) {
+      const file = path.join(cwd, name);
+      if (!fs.existsSync(file)) continue;
+      fs.readFileSync(file, 'utf8').split('\n').forEach((line) => {
+        const m = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)\s*$/);
+        if (!m) return;
+        let val = m[2];
+        if ((val.startsWith('"') && val.endsWith('"')) || (val.startsWith("'") && val.endsWith("'"))) val = val.slice(1, -1);
+        if (!process.env[m[1]]) process.env[m[1]] = val;
+      });
+      log('Loaded env from', name);
+      break;
+    }
+  } catch (_) {
+    // silent
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.allowLocal=false] - Honour USE_LOCAL_SUPABASE (in-memory stand-in)
+ * @param {Function} [options.log] - Debug logger
+ * @returns {{ supabase: Object }|{ error: Error }}
+ */
+function getServiceClient({ allowLocal = false, log = () => {} } = {}) {
+  if (process.env.NODE_ENV !== 'production') {
+    loadEnvFallback(log);
+  }
+
+  if (allowLocal && /^(1|true|yes)$/i.test(process.env.USE_LOCAL_SUPABASE || '')) {
+    log('Using local Supabase stand-in');
+    return { supabase: createLocalSupabase({ allowAnyToken: true }) };
+  }
+
+  const url = process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL;
+  const serviceKey =
+    process.env.SUPABASE_SERVICE_ROLE ||
+    process.env.SUPABASE_SERVICE_KEY ||
+    process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !serviceKey) {
+    return { error: new Error('Missing Supabase URL or service role key on server') };
+  }
+  const supabase = createClient(url, serviceKey, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  return { supabase };
+}
+
+module.exports = { loadEnvFallback, getServiceClient };
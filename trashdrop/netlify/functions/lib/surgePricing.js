@@ -0,0 +1,57 @@
+// Surge pricing (SOP v4.5.6 hidden surge component)
+// Derives a per-zone multiplier from open pending requests vs online collectors
+// near the request (get_surge_inputs, which counts supply with find_nearby_collectors).
+// The multiplier is smoothed over time per pricing zone (pricing_zone_surge) so a
+// burst of requests or a collector logging off does not swing prices quote to quote.
+// Surge only applies to urgent requests; scheduled collections are not time-critical.
+
+const SURGE = {
+  RADIUS_KM: 5, // Same default radius as collectorService.getNearbyCollectors
+  MIN_PENDING_REQUESTS: 3, // Below this demand there is never surge
+  BALANCED_RATIO: 2, // Pending requests per online collector absorbed without surge
+  STEP_PER_RATIO: 0.1, // Multiplier added per request/collector above the balanced ratio
+  MAX_MULTIPLIER: 1.5,
+  SMOOTHING_MINUTES: 10 // Time constant of the exponential smoothing
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const clampMultiplier = (value) => round2(Math.min(SURGE.MAX_MULTIPLIER, Math.max(1, value)));
+
+/**
+ * Instantaneous multiplier for the current demand and supply.
+ * No online collectors is treated as one, so demand alone still drives surge.
+ * @param {Object} inputs
+ * @param {number} inputs.pending_requests - Open requests within SURGE.RADIUS_KM
+ * @param {number} inputs.online_collectors - Online collectors within SURGE.RADIUS_KM
+ * @returns {number} Multiplier between 1 and SURGE.MAX_MULTIPLIER
+ */
+function targetSurgeMultiplier({ pending_requests: pending = 0, online_collectors: online = 0 } = {}) {
+  if (!(pending >= SURGE.MIN_PENDING_REQUESTS)) return 1;
+  const ratio = pending / Math.max(1, online);
+  return clampMultiplier(1 + (ratio - SURGE.BALANCED_RATIO) * SURGE.STEP_PER_RATIO);
+}
+
+/**
+ * Move the zone's stored multiplier towards the target, weighted by the time since
+ * it was last updated. A zone with no history starts one time constant from neutral.
+ * @param {Object|null} previous - pricing_zone_surge row ({ multiplier, updated_at })
+ * @param {number} target - targetSurgeMultiplier result
+ * @param {Date} now
+ * @returns {number} Smoothed multiplier between 1 and SURGE.MAX_MULTIPLIER
+ */
+function smoothSurgeMultiplier(previous, target, now) {
+  const windowMs = SURGE.SMOOTHING_MINUTES * 60 * 1000;
+  const prior = previous ? parseFloat(previous.multiplier) || 1 : 1;
+  const elapsedMs = previous?.updated_at
+    ? Math.max(0, now.getTime() - new Date(previous.updated_at).getTime())
+    : windowMs;
+  const weight = 1 - Math.exp(-elapsedMs / windowMs);
+  return clampMultiplier(prior + (target - prior) * weight);
+}
+
+module.exports = {
+  SURGE,
+  targetSurgeMultiplier,
+  smoothSurgeMultiplier
+};
@@ -0,0 +1,484 @@
+// Netlify Function: payments
+// Provider payments (mobile money request-to-pay) for wallet top-ups, pickups and collector tips.
+// Endpoints (also under /api/payments/*):
+//   POST /.netlify/functions/payments/request
+//     Body: { purpose: 'wallet_top_up'|'pickup_payment'|'collector_tip', reference_id, payment_method_id? | msisdn, network }
+//     Amounts always come from the database. While a payment for the same reference is
+//     pending it is returned instead of prompting the payer again; a paid reference is refused.
+//     Auth: Authorization: Bearer <supabase access token>
+//   GET  /.netlify/functions/payments/status?id=<payment id>   (same auth; polls the provider)
+//   POST /.netlify/functions/payments/callback                 (called by the provider)
+//   POST /.netlify/functions/payments/tokenize
+//     Body: { type: 'mobile', msisdn, network } | { type: 'card', card_number, expiry, cvv }
+//     Auth: Bearer token. Returns { token, last4, expiry?, brand? } for payment_methods.details;
+//     mobile numbers are vaulted in payment_method_tokens, cards are tokenised by the provider.
+//
+// The provider is chosen with PAYMENT_PROVIDER (lib/paymentProviders.js), which must be set
+// ('mock' for local development). Outcomes are applied by settle_payment_transaction,
+// which credits the wallet top-up, marks the pickup paid or credits the collector's tip.
+
+const crypto = require('crypto');
+const { getServiceClient } = require('./lib/serviceClient');
+const {
+  PAYMENT_STATUS,
+  MOBILE_MONEY_NETWORKS,
+  CURRENCY,
+  normalizeMsisdn,
+  getPaymentProvider
+} = require('./lib/paymentProviders');
+
+const QUERY_TIMEOUT_MS = parseInt(process.env.PAYMENTS_QUERY_TIMEOUT_MS || '5000', 10);
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.PAYMENTS_PROVIDER_TIMEOUT_MS || '8000', 10);
+
+// Postgres unique_violation, raised by idx_payment_transactions_pending
+const UNIQUE_VIOLATION = '23505';
+
+const DEBUG = /^(1|true|yes)$/i.test(process.env.PAYMENTS_DEBUG || '');
+const dlog = (...args) => { if (DEBUG) console.log('[payments]', ...args); };
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+};
+
+function withTimeout(promise, ms, label = 'operation') {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`${label} timed out`)), ms))
+  ]);
+}
+
+function getClient() {
+  return getServiceClient({ allowLocal: true, log: dlog });
+}
+
+// Public URL the provider calls back on; without one the client polls /status instead
+function getCallbackUrl() {
+  const base = process.env.PAYMENTS_CALLBACK_BASE_URL || process.env.URL;
+  return base ? `${base.replace(/\/$/, '')}/.netlify/functions/payments/callback` : null;
+}
+
+const respond = (statusCode, body) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+  body: JSON.stringify(body),
+});
+
+// Fields returned to the client; msisdn is masked
+const toClientPayment = (payment) => ({
+  payment_id: payment.id,
+  purpose: payment.purpose,
+  reference_id: payment.reference_id,
+  amount: Number(payment.amount),
+  currency: payment.currency,
+  network: payment.network,
+  msisdn: payment.msisdn ? `•••${String(payment.msisdn).slice(-4)}` : null,
+  status: payment.status,
+  failure_reason: payment.failure_reason || null
+});
+
+async function authenticate(supabase, event) {
+  const headers = event.headers || {};
+  const authHeader = headers.authorization || headers.Authorization || '';
+  const token = authHeader.replace(/^Bearer\s+/i, '').trim();
+  if (!token) return null;
+
+  const { data, error } = await withTimeout(supabase.auth.getUser(token), QUERY_TIMEOUT_MS, 'auth lookup');
+  return error ? null : data?.user || null;
+}
+
+/**
+ * Payer number and network, from a saved mobile money method or the request body
+ * @returns {Promise<{ msisdn?: string, network?: string, error?: string }>}
+ */
+async function resolvePayer(supabase, userId, body) {
+  let msisdn = body.msisdn;
+  let network = body.network;
+
+  if (body.payment_method_id) {
+    const { data: method, error } = await withTimeout(
+      supabase
+        .from('payment_methods')
+        .select('*')
+        .eq('id', body.payment_method_id)
+        .eq('user_id', userId)
+        .eq('status', 'active')
+        .maybeSingle(),
+      QUERY_TIMEOUT_MS,
+      'payment method lookup'
+    );
+    if (error) throw new Error(error.message);
+    if (!method || method.type !== 'mobile') {
+      return { error: 'Choose a mobile money number to pay with' };
+    }
+    const { data: vaulted, error: vaultError } = await withTimeout(
+      supabase
+        .from('payment_method_tokens')
+        .select('*')
+        .eq('token', method.details?.token || '')
+        .eq('user_id', userId)
+        .maybeSingle(),
+      QUERY_TIMEOUT_MS,
+      'payment token lookup'
+    );
+    if (vaultError) throw new Error(vaultError.message);
+    if (!vaulted) {
+      return { error: 'This mobile money number needs to be added again' };
+    }
+    msisdn = vaulted.msisdn;
+    network = method.provider;
+  }
+
+  const normalized = normalizeMsisdn(msisdn);
+  if (!normalized) return { error: 'Enter a valid mobile money number' };
+  if (!MOBILE_MONEY_NETWORKS.includes(network)) return { error: 'Choose a mobile money network' };
+  return { msisdn: normalized, network };
+}
+
+/**
+ * What is being paid for, who is charged and how much. Top-up and tip amounts come from
+ * the pending top-up or tip; pickup amounts from pickup_payment_amount, like wallet payments.
+ * @returns {Promise<{ user_id?: string, amount?: number, description?: string, error?: string, status?: number }>}
+ */
+async function resolvePurpose(supabase, user, body) {
+  if (body.purpose === 'wallet_top_up') {
+    const { data: topUp, error } = await withTimeout(
+      supabase.from('wallet_top_ups').select('*').eq('id', body.reference_id).eq('user_id', user.id).maybeSingle(),
+      QUERY_TIMEOUT_MS,
+      'top-up lookup'
+    );
+    if (error) throw new Error(error.message);
+    if (!topUp) return { error: 'Top-up not found', status: 404 };
+    if (topUp.status !== 'pending') return { error: `Top-up is ${topUp.status}`, status: 409 };
+    return { user_id: user.id, amount: Number(topUp.amount), description: 'TrashDrop wallet top-up' };
+  }
+
+  if (body.purpose === 'pickup_payment') {
+    const { data: pickup, error } = await withTimeout(
+      supabase.from('scheduled_pickups').select('*').eq('id', body.reference_id).maybeSingle(),
+      QUERY_TIMEOUT_MS,
+      'pickup lookup'
+    );
+    if (error) throw new Error(error.message);
+    if (!pickup) return { error: 'Pickup not found', status: 404 };
+    if (![pickup.user_id, pickup.collector_id].includes(user.id)) {
+      return { error: 'Not authorized to take payment for this pickup', status: 403 };
+    }
+    if (!['pending_payment', 'completed'].includes(pickup.status)) {
+      return { error: 'Pickup must be collected before it is paid', status: 409 };
+    }
+    const { data: amount, error: amountError } = await withTimeout(
+      supabase.rpc('pickup_payment_amount', { p_pickup_id: pickup.id }),
+      QUERY_TIMEOUT_MS,
+      'pickup amount'
+    );
+    if (amountError) return { error: amountError.message, status: 409 };
+    return { user_id: pickup.user_id, amount: Number(amount), description: 'TrashDrop pickup' };
+  }
+
+  if (body.purpose === 'collector_tip') {
+    const { data: tip, error } = await withTimeout(
+      supabase.from('collector_tips').select('*').eq('id', body.reference_id).maybeSingle(),
+      QUERY_TIMEOUT_MS,
+      'tip lookup'
+    );
+    if (error) throw new Error(error.message);
+    if (!tip) return { error: 'Tip not found', status: 404 };
+    if (![tip.user_id, tip.collector_id].includes(user.id)) {
+      return { error: 'Not authorized to take payment for this tip', status: 403 };
+    }
+    if (tip.status !== 'pending' || tip.payment_method !== 'mobile_money') {
+      return { error: `Tip is ${tip.status}`, status: 409 };
+    }
+    return { user_id: tip.user_id, amount: Number(tip.amount), description: 'TrashDrop collector tip' };
+  }
+
+  return { error: 'Unknown payment purpose', status: 400 };
+}
+
+/**
+ * Ask the provider for a pending payment's status and settle it when final.
+ * @returns {Promise<Object>} The (possibly updated) payment row
+ */
+async function refreshPayment(supabase, provider, payment) {
+  if (payment.status !== PAYMENT_STATUS.PENDING || !payment.provider_reference) return payment;
+
+  const result = await withTimeout(provider.getStatus(payment.provider_reference), PROVIDER_TIMEOUT_MS, 'payment status');
+  if (result.status === PAYMENT_STATUS.PENDING) return payment;
+
+  const { data, error } = await withTimeout(
+    supabase.rpc('settle_payment_transaction', {
+      p_payment_id: payment.id,
+      p_status: result.status,
+      p_provider_transaction_id: result.provider_transaction_id || null,
+      p_reason: result.reason || null
+    }),
+    QUERY_TIMEOUT_MS,
+    'payment settlement'
+  );
+  if (error) throw new Error(error.message);
+  dlog('Settled payment', payment.id, result.status);
+  return data || { ...payment, status: result.status };
+}
+
+/**
+ * Latest pending or successful payment for a reference, if any
+ * @returns {Promise<Object|null>}
+ */
+async function findOpenPayment(supabase, purpose, referenceId) {
+  const { data, error } = await withTimeout(
+    supabase.from('payment_transactions').select('*').eq('purpose', purpose).eq('reference_id', referenceId),
+    QUERY_TIMEOUT_MS,
+    'open payment lookup'
+  );
+  if (error) throw new Error(error.message);
+  return (data || [])
+    .filter((payment) => payment.status !== PAYMENT_STATUS.FAILED)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0] || null;
+}
+
+async function loadPayment(supabase, paymentId) {
+  const { data, error } = await withTimeout(
+    supabase.from('payment_transactions').select('*').eq('id', paymentId).maybeSingle(),
+    QUERY_TIMEOUT_MS,
+    'payment lookup'
+  );
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+async function handleRequest(supabase, provider, event, callbackUrl) {
+  const user = await authenticate(supabase, event);
+  if (!user) return respond(401, { error: 'Invalid or expired session', code: 'UNAUTHORIZED' });
+
+  let body;
+  try {
+    body = event.body ? JSON.parse(event.body) : {};
+  } catch (_) {
+    return respond(400, { error: 'Invalid JSON body', code: 'INVALID_REQUEST' });
+  }
+  if (!body.reference_id) {
+    return respond(400, { error: 'reference_id is required', code: 'INVALID_REQUEST' });
+  }
+
+  const payer = await resolvePayer(supabase, user.id, body);
+  if (payer.error) return respond(400, { error: payer.error, code: 'INVALID_PAYER' });
+
+  const purpose = await resolvePurpose(supabase, user, body);
+  if (purpose.error) return respond(purpose.status || 400, { error: purpose.error, code: 'INVALID_REQUEST' });
+
+  // A retry while the payer still has a prompt open reuses it; idx_payment_transactions_settled
+  // allows one successful payment per reference, so a paid reference is not charged again.
+  // idx_payment_transactions_pending catches requests racing past this check (below)
+  const open = await findOpenPayment(supabase, body.purpose, body.reference_id);
+  const current = open && await refreshPayment(supabase, provider, open);
+  if (current?.status === PAYMENT_STATUS.SUCCESSFUL) {
+    return respond(409, { error: 'This has already been paid', code: 'ALREADY_PAID' });
+  }
+  if (current?.status === PAYMENT_STATUS.PENDING) {
+    dlog('Reusing pending payment', current.id);
+    return respond(202, { data: toClientPayment(current) });
+  }
+
+  const payment = {
+    id: crypto.randomUUID(),
+    user_id: purpose.user_id,
+    initiated_by: user.id,
+    purpose: body.purpose,
+    reference_id: body.reference_id,
+    provider: provider.name,
+    network: payer.network,
+    msisdn: payer.msisdn,
+    amount: purpose.amount,
+    currency: CURRENCY,
+    status: PAYMENT_STATUS.PENDING
+  };
+  const { error: insertError } = await withTimeout(
+    supabase.from('payment_transactions').insert(payment).select('id').single(),
+    QUERY_TIMEOUT_MS,
+    'payment insert'
+  );
+  if (insertError) {
+    // A concurrent request for the same reference stored its pending payment first
+    if (insertError.code === UNIQUE_VIOLATION) {
+      const existing = await findOpenPayment(supabase, body.purpose, body.reference_id);
+      if (existing?.status === PAYMENT_STATUS.PENDING) {
+        dlog('Reusing concurrent pending payment', existing.id);
+        return respond(202, { data: toClientPayment(existing) });
+      }
+    }
+    return respond(500, { error: insertError.message || 'Failed to record payment', code: 'PAYMENT_STORE_ERROR' });
+  }
+
+  let providerResult;
+  try {
+    providerResult = await withTimeout(
+      provider.requestToPay({
+        reference: payment.id,
+        amount: payment.amount,
+        currency: payment.currency,
+        msisdn: payment.msisdn,
+        network: payment.network,
+        description: purpose.description,
+        callbackUrl
+      }),
+      PROVIDER_TIMEOUT_MS,
+      'request to pay'
+    );
+  } catch (e) {
+    dlog('Request to pay failed', payment.id, e?.message || String(e));
+    await supabase.rpc('settle_payment_transaction', {
+      p_payment_id: payment.id,
+      p_status: PAYMENT_STATUS.FAILED,
+      p_reason: e?.message || 'Request to pay failed'
+    });
+    return respond(502, { error: 'The payment provider did not accept the request', code: 'PROVIDER_ERROR' });
+  }
+
+  const { error: updateError } = await withTimeout(
+    supabase
+      .from('payment_transactions')
+      .update({ provider_reference: providerResult.provider_reference, updated_at: new Date().toISOString() })
+      .eq('id', payment.id),
+    QUERY_TIMEOUT_MS,
+    'payment update'
+  );
+  if (updateError) dlog('Provider reference not stored', payment.id, updateError.message);
+
+  dlog('Requested payment', payment.id, payment.purpose, payment.amount, 'via', provider.name);
+  return respond(202, { data: toClientPayment({ ...payment, provider_reference: providerResult.provider_reference }) });
+}
+
+async function handleTokenize(supabase, provider, event) {
+  const user = await authenticate(supabase, event);
+  if (!user) return respond(401, { error: 'Invalid or expired session', code: 'UNAUTHORIZED' });
+
+  let body;
+  try {
+    body = event.body ? JSON.parse(event.body) : {};
+  } catch (_) {
+    return respond(400, { error: 'Invalid JSON body', code: 'INVALID_REQUEST' });
+  }
+
+  if (body.type === 'mobile') {
+    const msisdn = normalizeMsisdn(body.msisdn);
+    if (!msisdn) return respond(400, { error: 'Enter a valid mobile money number', code: 'INVALID_PAYER' });
+    if (!MOBILE_MONEY_NETWORKS.includes(body.network)) {
+      return respond(400, { error: 'Choose a mobile money network', code: 'INVALID_PAYER' });
+    }
+
+    const token = `pmt_${crypto.randomUUID().replace(/-/g, '')}`;
+    const { error } = await withTimeout(
+      supabase
+        .from('payment_method_tokens')
+        .insert({ token, user_id: user.id, type: 'mobile', network: body.network, msisdn })
+        .select('token')
+        .single(),
+      QUERY_TIMEOUT_MS,
+      'payment token insert'
+    );
+    if (error) return respond(500, { error: error.message || 'Failed to store payment token', code: 'TOKENIZE_ERROR' });
+    return respond(200, { data: { token, last4: msisdn.slice(-4) } });
+  }
+
+  if (body.type === 'card') {
+    if (typeof provider.tokenizeCard !== 'function') {
+      return respond(400, { error: 'Card payments are not available yet', code: 'UNSUPPORTED_PAYMENT_TYPE' });
+    }
+    try {
+      const card = await withTimeout(
+        provider.tokenizeCard({ number: body.card_number, expiry: body.expiry, cvv: body.cvv }),
+        PROVIDER_TIMEOUT_MS,
+        'card tokenisation'
+      );
+      return respond(200, { data: card });
+    } catch (e) {
+      return respond(400, { error: e.message || 'Card was not accepted', code: 'CARD_DECLINED' });
+    }
+  }
+
+  return respond(400, { error: 'Only card and mobile money details can be tokenised', code: 'INVALID_REQUEST' });
+}
+
+async function handleStatus(supabase, provider, event) {
+  const user = await authenticate(supabase, event);
+  if (!user) return respond(401, { error: 'Invalid or expired session', code: 'UNAUTHORIZED' });
+
+  const paymentId = (event.queryStringParameters || {}).id;
+  if (!paymentId) return respond(400, { error: 'id is required', code: 'INVALID_REQUEST' });
+
+  const payment = await loadPayment(supabase, paymentId);
+  if (!payment || ![payment.user_id, payment.initiated_by].includes(user.id)) {
+    return respond(404, { error: 'Payment not found', code: 'NOT_FOUND' });
+  }
+
+  const current = await refreshPayment(supabase, provider, payment);
+  return respond(200, { data: toClientPayment(current) });
+}
+
+async function handleCallback(supabase, provider, event) {
+  const notice = provider.parseCallback(event);
+  if (!notice?.payment_id) return respond(400, { error: 'Unrecognised callback', code: 'INVALID_REQUEST' });
+
+  const payment = await loadPayment(supabase, notice.payment_id);
+  if (!payment || payment.provider !== provider.name) {
+    return respond(404, { error: 'Payment not found', code: 'NOT_FOUND' });
+  }
+
+  // The callback only tells us which payment changed; the outcome is read back from the provider
+  const current = await refreshPayment(supabase, provider, payment);
+  return respond(200, { data: { payment_id: current.id, status: current.status } });
+}
+
+/**
+ * Build the handler with injectable dependencies (used by tests).
+ * @param {Object} [deps]
+ * @param {Function} [deps.getClient] - Returns { supabase } or { error }
+ * @param {Function} [deps.getProvider] - Returns a payment provider
+ * @param {Function} [deps.getCallbackUrl]
+ */
+function createHandler(deps = {}) {
+  const resolveClient = deps.getClient || getClient;
+  const resolveProvider = deps.getProvider || (() => getPaymentProvider());
+  const resolveCallbackUrl = deps.getCallbackUrl || getCallbackUrl;
+
+  return async (event) => {
+    try {
+      if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 204, headers: { ...CORS_HEADERS }, body: '' };
+      }
+
+      const action = (event.path || '').replace(/\/+$/, '').split('/').pop();
+      const route = `${event.httpMethod} ${action}`;
+      if (!['POST request', 'GET status', 'POST callback', 'POST tokenize'].includes(route)) {
+        return respond(404, { error: 'Not Found' });
+      }
+
+      const { supabase, error: clientError } = resolveClient();
+      if (clientError) {
+        return respond(500, { error: clientError.message, code: 'PAYMENTS_CONFIG_ERROR' });
+      }
+      let provider;
+      try {
+        provider = resolveProvider();
+      } catch (e) {
+        return respond(500, { error: e.message, code: 'PAYMENTS_CONFIG_ERROR' });
+      }
+
+      if (action === 'request') return await handleRequest(supabase, provider, event, resolveCallbackUrl());
+      if (action === 'status') return await handleStatus(supabase, provider, event);
+      if (action === 'tokenize') return await handleTokenize(supabase, provider, event);
+      return await handleCallback(supabase, provider, event);
+    } catch (e) {
+      dlog('Handler error', e?.message || String(e));
+      if ((e?.message || '').includes('timed out')) {
+        return respond(504, { error: 'Server operation timed out', code: 'TIMEOUT' });
+      }
+      return respond(500, { error: e.message || 'Server error', code: 'PAYMENTS_ERROR' });
+    }
+  };
+}
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
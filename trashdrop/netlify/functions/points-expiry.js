@@ -0,0 +1,62 @@
+// Netlify Function: points-expiry
+// Scheduled daily (netlify.toml). Runs expire_points, which posts an expire entry to the
+// points ledger for every customer holding points earned over 12 months ago (oldest
+// points are used first). Returns { points_expired } with the total for this run.
+
+const { getServiceClient } = require('./lib/serviceClient');
+
+const QUERY_TIMEOUT_MS = parseInt(process.env.POINTS_EXPIRY_TIMEOUT_MS || '60000', 10);
+
+function withTimeout(promise, ms, label = 'operation') {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`${label} timed out`)), ms))
+  ]);
+}
+
+function getClient() {
+  return getServiceClient();
+}
+
+const respond = (statusCode, body) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Build the scheduled handler
+ * @param {Object} deps - Overrides for tests
+ * @param {Function} [deps.getClient] - Returns { supabase } or { error }
+ */
+function createHandler(deps = {}) {
+  const resolveClient = deps.getClient || getClient;
+
+  return async () => {
+    try {
+      const { supabase, error: clientError } = resolveClient();
+      if (clientError) {
+        return respond(500, { error: clientError.message, code: 'POINTS_EXPIRY_CONFIG_ERROR' });
+      }
+
+      const { data, error } = await withTimeout(supabase.rpc('expire_points'), QUERY_TIMEOUT_MS, 'points expiry');
+      if (error) {
+        console.error('[points-expiry] Expiry failed:', error.message);
+        return respond(500, { error: error.message, code: error.hint || error.code || 'POINTS_EXPIRY_ERROR' });
+      }
+
+      const pointsExpired = Number(data) || 0;
+      console.log(`[points-expiry] ${pointsExpired} point(s) expired`);
+      return respond(200, { points_expired: pointsExpired });
+    } catch (e) {
+      console.error('[points-expiry] Handler error:', e?.message || String(e));
+      if ((e?.message || '').includes('timed out')) {
+        return respond(504, { error: 'Server operation timed out', code: 'TIMEOUT' });
+      }
+      return respond(500, { error: e.message || 'Server error', code: 'POINTS_EXPIRY_ERROR' });
+    }
+  };
+}
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,67 @@
+// Netlify Function: points-reconciliation
+// Scheduled daily (netlify.toml). Runs reconcile_points_ledger, which compares each
+// customer's points_ledger earn and spend totals with the legacy per-table calculation
+// and records mismatches in points_reconciliation_flags. Flags that now match are resolved.
+// Returns { open_flags } with the number of customers still flagged.
+
+const { getServiceClient } = require('./lib/serviceClient');
+
+const QUERY_TIMEOUT_MS = parseInt(process.env.POINTS_RECONCILIATION_TIMEOUT_MS || '60000', 10);
+
+function withTimeout(promise, ms, label = 'operation') {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`${label} timed out`)), ms))
+  ]);
+}
+
+function getClient() {
+  return getServiceClient();
+}
+
+const respond = (statusCode, body) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Build the scheduled handler
+ * @param {Object} deps - Overrides for tests
+ * @param {Function} [deps.getClient] - Returns { supabase } or { error }
+ */
+function createHandler(deps = {}) {
+  const resolveClient = deps.getClient || getClient;
+
+  return async () => {
+    try {
+      const { supabase, error: clientError } = resolveClient();
+      if (clientError) {
+        return respond(500, { error: clientError.message, code: 'RECONCILIATION_CONFIG_ERROR' });
+      }
+
+      const { data, error } = await withTimeout(
+        supabase.rpc('reconcile_points_ledger'),
+        QUERY_TIMEOUT_MS,
+        'reconciliation'
+      );
+      if (error) {
+        console.error('[points-reconciliation] Reconciliation failed:', error.message);
+        return respond(500, { error: error.message, code: error.hint || error.code || 'RECONCILIATION_ERROR' });
+      }
+
+      const openFlags = Number(data) || 0;
+      console.log(`[points-reconciliation] ${openFlags} customer(s) flagged`);
+      return respond(200, { open_flags: openFlags });
+    } catch (e) {
+      console.error('[points-reconciliation] Handler error:', e?.message || String(e));
+      if ((e?.message || '').includes('timed out')) {
+        return respond(504, { error: 'Server operation timed out', code: 'TIMEOUT' });
+      }
+      return respond(500, { error: e.message || 'Server error', code: 'RECONCILIATION_ERROR' });
+    }
+  };
+}
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
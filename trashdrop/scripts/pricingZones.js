@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/*
+  pricingZones.js
+  Usage:
+    node scripts/pricingZones.js export [out.geojson]
+    node scripts/pricingZones.js import <zones.geojson> [--dry-run]
+
+  Export writes every pricing zone as a GeoJSON FeatureCollection (boundary
+  polygons where set, centre points otherwise). Import upserts zones from a
+  FeatureCollection via import_pricing_zones, matching on
+  region/district/community/suburb. Feature properties carry those names and
+  price_<size>l values; see netlify/functions/lib/pricingZones.js.
+  Requires a service-role key (SUPABASE_SERVICE_ROLE or SUPABASE_SERVICE_KEY).
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { featureCollectionToZones, zonesToFeatureCollection } = require('../netlify/functions/lib/pricingZones');
+
+const IMPORT_CHUNK_SIZE = 100;
+
+function loadEnvFallback() {
+  const envPath = path.resolve(__dirname, '..', '.env');
+  try {
+    const raw = fs.readFileSync(envPath, 'utf8');
+    raw.split(/\r?\n/).forEach((line) => {
+      const m = line.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+      if (!m) return;
+      let val = m[2].trim();
+      if ((val.startsWith('"') && val.endsWith('"')) || (val.startsWith('\'') && val.endsWith('\''))) {
+        val = val.slice(1, -1);
+      }
+      if (!process.env[m[1]]) process.env[m[1]] = val;
+    });
+  } catch (e) {
+    // No .env file; rely on the environment
+  }
+}
+
+function getClient() {
+  loadEnvFallback();
+  const url = process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL;
+  const svc = process.env.SUPABASE_SERVICE_ROLE || process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !svc) {
+    console.error('[pricingZones] Missing Supabase credentials. Need SUPABASE_URL/REACT_APP_SUPABASE_URL and SUPABASE_SERVICE_ROLE');
+    process.exit(1);
+  }
+  console.log('[pricingZones] Target project:', url.replace(/^https?:\/\//, '').slice(0, 28) + '...');
+  return createClient(url, svc, { auth: { persistSession: false } });
+}
+
+async function exportZones(outFile) {
+  const supabase = getClient();
+  const { data, error } = await supabase
+    .from('pricing_zones')
+    .select('*')
+    .order('region')
+    .order('district')
+    .order('suburb');
+  if (error) throw new Error(error.message);
+
+  const json = JSON.stringify(zonesToFeatureCollection(data || []), null, 2);
+  if (outFile) {
+    fs.writeFileSync(outFile, json + '\n');
+    console.log(`[pricingZones] Exported ${data.length} zones to ${outFile}`);
+  } else {
+    process.stdout.write(json + '\n');
+  }
+}
+
+async function importZones(file, dryRun) {
+  const collection = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const { zones, errors } = featureCollectionToZones(collection);
+
+  if (errors.length > 0) {
+    errors.forEach((message) => console.error('[pricingZones]', message));
+    console.error(`[pricingZones] ${errors.length} invalid feature(s); nothing imported`);
+    process.exit(1);
+  }
+
+  const withBoundary = zones.filter((zone) => zone.boundary).length;
+  console.log(`[pricingZones] ${zones.length} zones read (${withBoundary} with boundaries)`);
+  if (dryRun) {
+    console.log('[pricingZones] Dry run; nothing imported');
+    return;
+  }
+
+  const supabase = getClient();
+  const totals = { inserted: 0, updated: 0 };
+  for (let i = 0; i < zones.length; i += IMPORT_CHUNK_SIZE) {
+    const { data, error } = await supabase.rpc('import_pricing_zones', { p_zones: zones.slice(i, i + IMPORT_CHUNK_SIZE) });
+    if (error) throw new Error(`Import failed at zone ${i}: ${error.message}`);
+    totals.inserted += data.inserted;
+    totals.updated += data.updated;
+  }
+  console.log(`[pricingZones] Imported: ${totals.inserted} inserted, ${totals.updated} updated`);
+}
+
+async function main() {
+  const [command, file, ...flags] = process.argv.slice(2);
+  try {
+    if (command === 'export') {
+      await exportZones(file);
+    } else if (command === 'import' && file) {
+      await importZones(file, flags.includes('--dry-run'));
+    } else {
+      console.error('Usage: node scripts/pricingZones.js export [out.geojson] | import <zones.geojson> [--dry-run]');
+      process.exit(2);
+    }
+  } catch (e) {
+    console.error('[pricingZones] Error:', e.message || e);
+    process.exit(1);
+  }
+}
+
+main();
@@ -7,6 +7,7 @@ import PrivateRoute from './components/PrivateRoute.js';
 import Layout from './components/Layout.js';
 import InstallPrompt from './components/InstallPrompt.js';
 import NetworkStatusRibbon from './components/NetworkStatusRibbon.js';
+import pricingSnapshotService from './services/pricingSnapshotService.js';
 
 // Regular imports for common components
 import Login from './pages/Login.js';
@@ -23,6 +24,7 @@ import CollectionForm from './pages/CollectionForm.js';
 import CollectionQRCode from './pages/CollectionQRCode.js';
 import Profile from './pages/Profile.js';
 import PaymentMethods from './pages/PaymentMethods.js';
+import Statements from './pages/Statements.js';
 import Notifications from './pages/Notifications.js';
 import CollectorTracking from './pages/CollectorTracking.js';
 import ToastTest from './pages/ToastTest.js';
@@ -123,6 +125,12 @@ const AppContent = () => {
     return () => clearTimeout(timeoutId);
   }, [location.pathname, isAuthenticated, isLoading, navigate, location]);
   
+  // Keep the offline pricing zone snapshot fresh while signed in
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    return pricingSnapshotService.startScheduledRefresh();
+  }, [isAuthenticated]);
+  
   console.log('[AppContent] Rendering - isAuthenticated:', isAuthenticated, 'isLoading:', isLoading);
 
   // Render normal app routes when authenticated
@@ -198,6 +206,11 @@ const AppContent = () => {
               <Activity />
             </PrivateRoute>
           } />
+          <Route path="/statements" element={
+            <PrivateRoute>
+              <Statements />
+            </PrivateRoute>
+          } />
           <Route path="/schema-test" element={
             <PrivateRoute>
               <SchemaTest />
@@ -11,6 +11,10 @@ import { QRCodeSVG } from 'qrcode.react';
 import { createPortal } from 'react-dom';
 import { subscribeToCollectorLocation, calculateETA } from '../utils/realtime.js';
 import { statusService } from '../services/statusService.js';
+import ReceiptButton from './ReceiptButton.js';
+import DisputeButton from './DisputeButton.js';
+import { formatCollectorRating } from '../services/ratingService.js';
+import { formatCurrency } from '../utils/costCalculator.js';
 
 // Component to update the map view when position changes
 const MapUpdater = ({ position }) => {
@@ -123,14 +127,16 @@ const ActivePickupCard = ({ activePickup, onCancel, onRefresh }) => {
   const [collectorLocation, setCollectorLocation] = useState(null);
   const [subscription, setSubscription] = useState(null);
   const [showQRCode, setShowQRCode] = useState(false);
+  const [dispute, setDispute] = useState(activePickup?.dispute || null);
 
   // Handle offline functionality by checking navigator.onLine
   const [isOnline, setIsOnline] = useState(navigator.onLine);
 
   // Get status configuration using unified status service
-  const statusConfig = statusService.getStatusConfig(activePickup?.status);
-  const availableActions = statusService.getAvailableActions(activePickup?.status);
-  const isTrackingAvailable = statusService.isTrackingAvailable(activePickup?.status);
+  const pickupStatus = statusService.resolveStatus(activePickup?.status);
+  const statusConfig = statusService.getStatusConfig(pickupStatus);
+  const availableActions = statusService.getAvailableActions(pickupStatus);
+  const isTrackingAvailable = statusService.isTrackingAvailable(pickupStatus);
 
   // Add online/offline event listeners
   useEffect(() => {
@@ -352,7 +358,7 @@ const ActivePickupCard = ({ activePickup, onCancel, onRefresh }) => {
                 </svg>
               </div>
               <div className="ml-2">
-                <span className="text-xs text-blue-700 dark:text-blue-300">5★ Rating</span>
+                <span className="text-xs text-blue-700 dark:text-blue-300">★ {formatCollectorRating(activePickup.collector)}</span>
               </div>
             </div>
           </div>
@@ -605,6 +611,22 @@ const ActivePickupCard = ({ activePickup, onCancel, onRefresh }) => {
               Cancel Request
             </button>
           )}
+
+          {availableActions.includes('receipt') && activePickup.id && (
+            <ReceiptButton
+              pickupId={activePickup.id}
+              requestType={activePickup.is_digital_bin ? 'digital_bin' : 'pickup_request'}
+            />
+          )}
+
+          {availableActions.includes('dispute') && activePickup.id && (
+            <DisputeButton
+              requestType={activePickup.is_digital_bin ? 'digital_bin' : 'pickup_request'}
+              requestId={activePickup.id}
+              dispute={dispute}
+              onChange={setDispute}
+            />
+          )}
         </div>
         
         {/* Status description */}
@@ -612,6 +634,11 @@ const ActivePickupCard = ({ activePickup, onCancel, onRefresh }) => {
           <p className="text-sm text-gray-600 dark:text-gray-400">
             {statusConfig.description}
           </p>
+          {activePickup.collector_tips > 0 && (
+            <p className="text-sm text-green-700 dark:text-green-400 mt-1">
+              You tipped your collector {formatCurrency(activePickup.collector_tips)}
+            </p>
+          )}
         </div>
       </div>
     </div>
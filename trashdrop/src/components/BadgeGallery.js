@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { FaMedal, FaTruck, FaRecycle, FaTrophy, FaFire, FaFlag, FaEye, FaQrcode, FaGift, FaLock } from 'react-icons/fa';
+import { achievementService } from '../services/achievementService.js';
+
+// achievements.icon → icon component
+const BADGE_ICONS = {
+  medal: FaMedal,
+  truck: FaTruck,
+  recycle: FaRecycle,
+  trophy: FaTrophy,
+  fire: FaFire,
+  flag: FaFlag,
+  eye: FaEye,
+  qrcode: FaQrcode,
+  gift: FaGift
+};
+
+/**
+ * Badge gallery: earned badges with the date they were earned, then locked badges with
+ * what it takes to earn them. Shown on the Profile and Rewards pages.
+ *
+ * @param {Object} props
+ * @param {string} props.userId - Signed-in user's ID
+ * @param {string} props.className - Extra classes for the card
+ */
+const BadgeGallery = ({ userId, className = '' }) => {
+  const [badges, setBadges] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    let cancelled = false;
+
+    achievementService.getBadges(userId).then(({ data }) => {
+      if (cancelled) return;
+      setBadges(data);
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  if (loading || badges.length === 0) return null;
+
+  const earnedCount = badges.filter((badge) => badge.earned).length;
+
+  return (
+    <div className={`bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-800 dark:text-white">Badges</h2>
+        <span className="text-sm text-gray-500 dark:text-gray-400">{earnedCount} of {badges.length} earned</span>
+      </div>
+
+      <ul className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+        {badges.map((badge) => {
+          const Icon = BADGE_ICONS[badge.icon] || FaMedal;
+          return (
+            <li
+              key={badge.code}
+              className={`flex flex-col items-center text-center p-3 rounded-lg border ${
+                badge.earned
+                  ? 'border-yellow-300 bg-yellow-50 dark:bg-yellow-900/20 dark:border-yellow-700'
+                  : 'border-gray-200 dark:border-gray-700 opacity-60'
+              }`}
+            >
+              <div className="relative">
+                <Icon className={`text-3xl ${badge.earned ? 'text-yellow-500' : 'text-gray-400'}`} />
+                {!badge.earned && <FaLock className="absolute -bottom-1 -right-2 text-xs text-gray-500" />}
+              </div>
+              <p className="mt-2 text-sm font-semibold text-gray-800 dark:text-white">{badge.name}</p>
+              <p className="text-xs text-gray-600 dark:text-gray-300">{badge.description}</p>
+              {badge.earned ? (
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  Earned {new Date(badge.earnedAt).toLocaleDateString()}
+                </p>
+              ) : badge.points_reward > 0 && (
+                <p className="mt-1 text-xs text-primary">+{badge.points_reward} points</p>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default BadgeGallery;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { FaExclamationTriangle, FaSpinner } from 'react-icons/fa';
+import DisputeForm from './DisputeForm.js';
+import { disputeService } from '../services/disputeService.js';
+import { statusService } from '../services/statusService.js';
+import { formatCurrency } from '../utils/costCalculator.js';
+
+/**
+ * "Report a problem" for a completed collection, or the state of the dispute once
+ * one has been raised (with withdraw / receive refund where the state allows it)
+ *
+ * @param {Object} props
+ * @param {string} props.requestType - DISPUTE_REQUEST_TYPES value
+ * @param {string} props.requestId - Pickup or digital bin ID
+ * @param {Object} props.dispute - Existing dispute for this collection (optional)
+ * @param {Function} props.onChange - Called with the created or updated dispute
+ * @param {string} props.className - Extra classes for the wrapper
+ */
+const DisputeButton = ({ requestType, requestId, dispute = null, onChange = () => {}, className = '' }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const runAction = async (action) => {
+    setWorking(true);
+    setError('');
+    const { data, error: actionError } = action === 'withdraw'
+      ? await disputeService.withdrawDispute(dispute.id)
+      : await disputeService.claimRefund(dispute);
+    setWorking(false);
+    if (actionError) {
+      setError(actionError.message);
+      return;
+    }
+    onChange(data);
+  };
+
+  if (!dispute) {
+    return (
+      <div className={className}>
+        <button
+          type="button"
+          onClick={() => setShowForm(true)}
+          className="text-sm text-red-600 hover:text-red-700 flex items-center"
+        >
+          <FaExclamationTriangle className="mr-1" />
+          Report a problem
+        </button>
+        {showForm && (
+          <DisputeForm
+            requestType={requestType}
+            requestId={requestId}
+            onClose={() => setShowForm(false)}
+            onSubmitted={(created) => {
+              setShowForm(false);
+              onChange(created);
+            }}
+          />
+        )}
+      </div>
+    );
+  }
+
+  const config = statusService.getDisputeStatusConfig(dispute.status);
+
+  return (
+    <div className={className}>
+      <p className="text-sm" style={{ color: config.color }}>
+        {config.icon} Dispute: {config.display}
+        {dispute.refund_amount > 0 && ['refund_approved', 'refunded'].includes(dispute.status)
+          ? ` (${formatCurrency(dispute.refund_amount)})`
+          : ''}
+      </p>
+      <p className="text-xs text-gray-500 dark:text-gray-400">{config.description}</p>
+      <div className="flex items-center gap-3 mt-1">
+        {statusService.canPerformDisputeAction(dispute.status, 'claim_refund') && (
+          <button
+            type="button"
+            onClick={() => runAction('claim_refund')}
+            disabled={working}
+            className="px-3 py-1.5 bg-primary text-white text-sm font-medium rounded-md hover:bg-primary-dark flex items-center disabled:opacity-50"
+          >
+            {working && <FaSpinner className="animate-spin mr-2" />}
+            Receive refund
+          </button>
+        )}
+        {statusService.canPerformDisputeAction(dispute.status, 'withdraw') && (
+          <button
+            type="button"
+            onClick={() => runAction('withdraw')}
+            disabled={working}
+            className="text-sm text-gray-600 hover:text-gray-800 disabled:opacity-50"
+          >
+            Withdraw
+          </button>
+        )}
+      </div>
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default DisputeButton;
@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import { FaCamera, FaSpinner, FaTimes } from 'react-icons/fa';
+import CameraModal from './CameraModal.js';
+import { useAuth } from '../context/AuthContext.js';
+import {
+  disputeService,
+  DISPUTE_REASONS,
+  DISPUTE_RESOLUTIONS,
+  MAX_DISPUTE_PHOTOS
+} from '../services/disputeService.js';
+
+/**
+ * Report a problem with a completed collection: what went wrong, photos taken with
+ * the camera and the resolution the customer wants
+ *
+ * @param {Object} props
+ * @param {string} props.requestType - DISPUTE_REQUEST_TYPES value
+ * @param {string} props.requestId - Pickup or digital bin ID
+ * @param {Function} props.onSubmitted - Called with the created dispute
+ * @param {Function} props.onClose - Close without submitting
+ */
+const DisputeForm = ({ requestType, requestId, onSubmitted, onClose }) => {
+  const { user } = useAuth();
+  const [reason, setReason] = useState('');
+  const [description, setDescription] = useState('');
+  const [resolution, setResolution] = useState('');
+  const [amount, setAmount] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [showCamera, setShowCamera] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleCapture = (photo) => {
+    if (!photo?.url || !photo?.id) return;
+    setPhotos((prev) => (prev.some((p) => p.id === photo.id) || prev.length >= MAX_DISPUTE_PHOTOS
+      ? prev
+      : [...prev, photo]));
+  };
+
+  const removePhoto = (photoId) => {
+    setPhotos((prev) => prev.filter((photo) => photo.id !== photoId));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!reason || !resolution) {
+      setError('Choose what went wrong and how you would like it resolved.');
+      return;
+    }
+    if (resolution === 'partial_refund' && !(parseFloat(amount) > 0)) {
+      setError('Enter the amount you would like refunded.');
+      return;
+    }
+
+    setSubmitting(true);
+    const { data, error: disputeError } = await disputeService.openDispute({
+      userId: user?.id,
+      requestType,
+      requestId,
+      reason,
+      description,
+      photos: photos.map((photo) => photo.url),
+      requestedResolution: resolution,
+      requestedAmount: resolution === 'partial_refund' ? parseFloat(amount) : null
+    });
+    setSubmitting(false);
+
+    if (disputeError) {
+      setError(disputeError.code === 'DISPUTE_EXISTS'
+        ? 'You have already reported a problem with this pickup.'
+        : disputeError.message);
+      return;
+    }
+    onSubmitted(data);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" role="dialog" aria-modal="true" aria-labelledby="dispute-title">
+      <form onSubmit={handleSubmit} className="bg-white dark:bg-gray-800 rounded-lg shadow-lg w-full max-w-md max-h-full overflow-y-auto p-5 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 id="dispute-title" className="text-lg font-semibold text-gray-900 dark:text-white">Report a problem</h2>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">
+            <FaTimes />
+          </button>
+        </div>
+
+        <div>
+          <label htmlFor="dispute-reason" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            What went wrong?
+          </label>
+          <select
+            id="dispute-reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+          >
+            <option value="">Choose a reason</option>
+            {DISPUTE_REASONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="dispute-description" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Details (optional)
+          </label>
+          <textarea
+            id="dispute-description"
+            rows="3"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="e.g. 2 of my 3 bags are still at the gate"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+        </div>
+
+        <div>
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Photos ({photos.length}/{MAX_DISPUTE_PHOTOS})</p>
+          <div className="flex flex-wrap gap-2">
+            {photos.map((photo) => (
+              <div key={photo.id} className="relative">
+                <img src={photo.url} alt="Evidence" className="w-16 h-16 object-cover rounded-md" />
+                <button
+                  type="button"
+                  onClick={() => removePhoto(photo.id)}
+                  className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-xs"
+                  aria-label="Remove photo"
+                >
+                  <FaTimes />
+                </button>
+              </div>
+            ))}
+            {photos.length < MAX_DISPUTE_PHOTOS && (
+              <button
+                type="button"
+                onClick={() => setShowCamera(true)}
+                className="w-16 h-16 border-2 border-dashed border-gray-300 rounded-md flex items-center justify-center text-gray-500 hover:border-gray-400"
+                aria-label="Take a photo"
+              >
+                <FaCamera />
+              </button>
+            )}
+          </div>
+        </div>
+
+        <fieldset>
+          <legend className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">How should we fix it?</legend>
+          <div className="space-y-2">
+            {DISPUTE_RESOLUTIONS.map((option) => (
+              <label key={option.value} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="radio"
+                  name="dispute-resolution"
+                  value={option.value}
+                  checked={resolution === option.value}
+                  onChange={() => setResolution(option.value)}
+                  className="mr-2"
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+          {resolution === 'partial_refund' && (
+            <div className="mt-2">
+              <label htmlFor="dispute-amount" className="sr-only">Refund amount</label>
+              <input
+                id="dispute-amount"
+                type="number"
+                min="0.5"
+                step="0.5"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder="Amount to refund (GH₵)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              />
+            </div>
+          )}
+          <p className="text-xs text-gray-500 mt-2">Approved refunds are credited to your TrashDrop wallet.</p>
+        </fieldset>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200"
+            disabled={submitting}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="flex-1 px-4 py-2 bg-primary text-white rounded-md hover:bg-primary-dark flex items-center justify-center disabled:opacity-50"
+            disabled={submitting}
+          >
+            {submitting && <FaSpinner className="animate-spin mr-2" />}
+            Submit report
+          </button>
+        </div>
+
+        {showCamera && (
+          <CameraModal
+            onCapture={handleCapture}
+            onClose={() => setShowCamera(false)}
+            currentPhotoCount={photos.length}
+          />
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default DisputeForm;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FaLeaf, FaRecycle, FaCloud, FaShareAlt } from 'react-icons/fa';
+import { impactService } from '../services/impactService.js';
+import { summarizeImpact, bucketImpact, IMPACT_PERIODS } from '../utils/impactCalculator.js';
+
+const formatKg = (kg) => (kg >= 1000 ? `${(kg / 1000).toFixed(1)} t` : `${kg} kg`);
+
+/**
+ * Text shared from the impact card
+ * @param {Object} summary - summarizeImpact totals
+ * @returns {string}
+ */
+export const buildImpactShareText = (summary) =>
+  `With TrashDrop I've had ${formatKg(summary.totalKg)} of waste collected, ` +
+  `kept ${formatKg(summary.divertedKg)} out of landfill, recycled ${summary.recyclingRate}% ` +
+  `and avoided about ${formatKg(summary.co2eKg)} CO2e.`;
+
+/**
+ * Household environmental impact: totals for all completed pickups, weekly or monthly
+ * charts of kilograms collected and recycled, and a card the customer can share.
+ * Shown on the Dashboard.
+ *
+ * @param {Object} props
+ * @param {string} props.userId - Signed-in user's ID
+ * @param {string} props.className - Extra classes for the card
+ */
+const ImpactDashboard = ({ userId, className = '' }) => {
+  const [pickups, setPickups] = useState(null);
+  const [period, setPeriod] = useState('week');
+  const [shareStatus, setShareStatus] = useState('');
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    let cancelled = false;
+
+    impactService.getCompletedPickups(userId).then(({ data }) => {
+      if (!cancelled) setPickups(data);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const summary = useMemo(() => summarizeImpact(pickups), [pickups]);
+  const buckets = useMemo(() => bucketImpact(pickups, period), [pickups, period]);
+
+  if (!pickups || pickups.length === 0) return null;
+
+  const maxKg = Math.max(...buckets.map((bucket) => bucket.totalKg), 1);
+
+  const handleShare = async () => {
+    const text = buildImpactShareText(summary);
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: 'My TrashDrop impact', text, url: window.location.origin });
+        return;
+      }
+      await navigator.clipboard.writeText(`${text} ${window.location.origin}`);
+      setShareStatus('Copied to clipboard');
+    } catch (error) {
+      if (error?.name !== 'AbortError') {
+        setShareStatus('Could not share your impact');
+      }
+    }
+    setTimeout(() => setShareStatus(''), 3000);
+  };
+
+  return (
+    <div className={`bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg p-6 ${className}`}>
+      <h3 className="text-gray-900 dark:text-gray-100 text-lg font-bold mb-4">Your Impact</h3>
+
+      {/* Shareable impact card */}
+      <div className="rounded-lg bg-gradient-to-br from-green-500 to-emerald-700 text-white p-5">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <p className="text-xs uppercase tracking-wide opacity-80 flex items-center"><FaLeaf className="mr-1" />Diverted</p>
+            <p className="text-2xl font-bold">{formatKg(summary.divertedKg)}</p>
+          </div>
+          <div>
+            <p className="text-xs uppercase tracking-wide opacity-80 flex items-center"><FaCloud className="mr-1" />CO2e avoided</p>
+            <p className="text-2xl font-bold">{formatKg(summary.co2eKg)}</p>
+          </div>
+          <div>
+            <p className="text-xs uppercase tracking-wide opacity-80 flex items-center"><FaRecycle className="mr-1" />Recycling rate</p>
+            <p className="text-2xl font-bold">{summary.recyclingRate}%</p>
+          </div>
+          <div>
+            <p className="text-xs uppercase tracking-wide opacity-80">Collected</p>
+            <p className="text-2xl font-bold">{formatKg(summary.totalKg)}</p>
+            <p className="text-xs opacity-80">{summary.bags} bags · {summary.pickups} pickups</p>
+          </div>
+        </div>
+        <div className="flex items-center justify-between mt-4">
+          <span className="text-xs opacity-80">{shareStatus}</span>
+          <button
+            onClick={handleShare}
+            className="flex items-center text-sm font-semibold bg-white/20 hover:bg-white/30 px-3 py-1.5 rounded-full"
+          >
+            <FaShareAlt className="mr-2" />
+            Share my impact
+          </button>
+        </div>
+      </div>
+
+      {/* Weekly / monthly chart */}
+      <div className="flex items-center justify-between mt-6 mb-3">
+        <p className="text-sm font-medium text-gray-700 dark:text-gray-300">Kilograms collected</p>
+        <div className="flex gap-2">
+          {Object.entries(IMPACT_PERIODS).map(([id, option]) => (
+            <button
+              key={id}
+              onClick={() => setPeriod(id)}
+              className={`px-3 py-1 text-xs rounded-full ${
+                period === id
+                  ? 'bg-primary text-white'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex items-end gap-2 h-32" role="img" aria-label={`${IMPACT_PERIODS[period].label} kilograms collected`}>
+        {buckets.map((bucket) => (
+          <div key={bucket.start.toISOString()} className="flex-1 flex flex-col items-center justify-end h-full">
+            <div
+              className="w-full bg-gray-200 dark:bg-gray-700 rounded-t flex flex-col justify-end overflow-hidden"
+              style={{ height: `${(bucket.totalKg / maxKg) * 100}%` }}
+              title={`${bucket.label}: ${bucket.totalKg} kg collected, ${bucket.recyclingKg} kg recycled, ${bucket.co2eKg} kg CO2e avoided`}
+            >
+              <div
+                className="w-full bg-green-500"
+                style={{ height: bucket.totalKg > 0 ? `${(bucket.recyclingKg / bucket.totalKg) * 100}%` : 0 }}
+              ></div>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2 mt-1">
+        {buckets.map((bucket) => (
+          <span key={bucket.start.toISOString()} className="flex-1 text-center text-[10px] text-gray-500 dark:text-gray-400 truncate">
+            {bucket.label}
+          </span>
+        ))}
+      </div>
+      <div className="flex gap-4 mt-3 text-xs text-gray-500 dark:text-gray-400">
+        <span className="flex items-center"><span className="w-3 h-3 bg-green-500 rounded-sm mr-1"></span>Recycled</span>
+        <span className="flex items-center"><span className="w-3 h-3 bg-gray-200 dark:bg-gray-700 rounded-sm mr-1"></span>Other waste</span>
+      </div>
+
+      <p className="mt-4 text-xs text-gray-400 dark:text-gray-500">
+        Estimates based on bags collected, waste type and recyclables weighed at pickup.
+      </p>
+    </div>
+  );
+};
+
+export default ImpactDashboard;
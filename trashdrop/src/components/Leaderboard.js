@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import { FaTrophy, FaUserSecret } from 'react-icons/fa';
+import {
+  leaderboardService,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_SCOPES,
+  LEADERBOARD_METRICS
+} from '../services/leaderboardService.js';
+
+const PERIOD_OPTIONS = [
+  { id: LEADERBOARD_PERIODS.WEEK, label: 'This week' },
+  { id: LEADERBOARD_PERIODS.MONTH, label: 'This month' }
+];
+
+const SCOPE_OPTIONS = [
+  { id: LEADERBOARD_SCOPES.USERS, label: 'People' },
+  { id: LEADERBOARD_SCOPES.NEIGHBOURHOODS, label: 'Neighbourhoods' }
+];
+
+const METRIC_OPTIONS = [
+  { id: LEADERBOARD_METRICS.BAGS, label: 'Bags collected' },
+  { id: LEADERBOARD_METRICS.RECYCLING_SHARE, label: 'Recycling share' },
+  { id: LEADERBOARD_METRICS.VERIFIED_REPORTS, label: 'Verified dumping reports' }
+];
+
+const formatScore = (entry, metric) => {
+  switch (metric) {
+    case LEADERBOARD_METRICS.RECYCLING_SHARE:
+      return `${Math.round((entry.recyclingShare || 0) * 100)}%`;
+    case LEADERBOARD_METRICS.VERIFIED_REPORTS:
+      return `${entry.verifiedReports} ${entry.verifiedReports === 1 ? 'report' : 'reports'}`;
+    default:
+      return `${entry.bagsCollected} ${entry.bagsCollected === 1 ? 'bag' : 'bags'}`;
+  }
+};
+
+const toggleClass = (active) =>
+  `px-3 py-1 text-sm rounded-full ${
+    active
+      ? 'bg-primary text-white'
+      : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+  }`;
+
+/**
+ * Community leaderboard: an opt-in prompt for customers who have not joined, otherwise
+ * weekly or monthly rankings of people or neighbourhoods. Shown on the Rewards page.
+ *
+ * @param {Object} props
+ * @param {string} props.userId - Signed-in user's ID
+ * @param {string} props.className - Extra classes for the card
+ */
+const Leaderboard = ({ userId, className = '' }) => {
+  const [membership, setMembership] = useState(null);
+  const [membershipLoaded, setMembershipLoaded] = useState(false);
+  const [anonymous, setAnonymous] = useState(false);
+  const [period, setPeriod] = useState(LEADERBOARD_PERIODS.WEEK);
+  const [scope, setScope] = useState(LEADERBOARD_SCOPES.USERS);
+  const [metric, setMetric] = useState(LEADERBOARD_METRICS.BAGS);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    let cancelled = false;
+
+    leaderboardService.getMembership(userId).then(({ data }) => {
+      if (cancelled) return;
+      setMembership(data);
+      setAnonymous(Boolean(data?.anonymous));
+      setMembershipLoaded(true);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  useEffect(() => {
+    if (!membership) return undefined;
+    let cancelled = false;
+    setLoading(true);
+
+    leaderboardService.getLeaderboard({ period, scope, metric }).then(({ data, error }) => {
+      if (cancelled) return;
+      setEntries(data);
+      setErrorMessage(error ? error.message : '');
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [membership, period, scope, metric]);
+
+  const handleJoin = async (asAnonymous) => {
+    setSaving(true);
+    const { data, error } = await leaderboardService.join({ anonymous: asAnonymous });
+    setSaving(false);
+    if (error) {
+      setErrorMessage(error.message);
+      return;
+    }
+    setErrorMessage('');
+    setMembership(data);
+  };
+
+  const handleLeave = async () => {
+    setSaving(true);
+    const { error } = await leaderboardService.leave();
+    setSaving(false);
+    if (error) {
+      setErrorMessage(error.message);
+      return;
+    }
+    setErrorMessage('');
+    setMembership(null);
+    setEntries([]);
+  };
+
+  if (!membershipLoaded) return null;
+
+  if (!membership) {
+    return (
+      <div className={`bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md ${className}`}>
+        <div className="flex items-center mb-3">
+          <FaTrophy className="text-yellow-500 text-2xl mr-3" />
+          <h2 className="text-xl font-bold text-gray-800 dark:text-white">Community leaderboard</h2>
+        </div>
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          See how you and your neighbourhood compare on bags collected, recycling and verified
+          dumping reports. Only your first name and last initial are shown, or an alias if you
+          prefer, and you can leave at any time.
+        </p>
+        <label className="flex items-center mt-4 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={anonymous}
+            onChange={(e) => setAnonymous(e.target.checked)}
+          />
+          Show me anonymously
+        </label>
+        {errorMessage && (
+          <p className="mt-3 text-sm text-red-600 dark:text-red-400" role="alert">{errorMessage}</p>
+        )}
+        <button
+          className="mt-4 px-4 py-2 bg-primary text-white rounded-md hover:bg-primary-dark disabled:opacity-50"
+          onClick={() => handleJoin(anonymous)}
+          disabled={saving}
+        >
+          {saving ? 'Joining...' : 'Join the leaderboard'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-800 dark:text-white">Community leaderboard</h2>
+        <span className="text-sm text-gray-500 dark:text-gray-400 flex items-center">
+          {membership.anonymous && <FaUserSecret className="mr-1" />}
+          You appear as {membership.displayName}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {PERIOD_OPTIONS.map((option) => (
+          <button key={option.id} className={toggleClass(period === option.id)} onClick={() => setPeriod(option.id)}>
+            {option.label}
+          </button>
+        ))}
+        <span className="mx-1 text-gray-300 dark:text-gray-600">|</span>
+        {SCOPE_OPTIONS.map((option) => (
+          <button key={option.id} className={toggleClass(scope === option.id)} onClick={() => setScope(option.id)}>
+            {option.label}
+          </button>
+        ))}
+        <select
+          className="ml-auto text-sm border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+          value={metric}
+          onChange={(e) => setMetric(e.target.value)}
+          aria-label="Rank by"
+        >
+          {METRIC_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {errorMessage && (
+        <p className="mb-3 text-sm text-red-600 dark:text-red-400" role="alert">{errorMessage}</p>
+      )}
+
+      {loading ? (
+        <p className="text-center py-8 text-gray-500 dark:text-gray-400">Loading...</p>
+      ) : entries.length > 0 ? (
+        <ol className="divide-y divide-gray-200 dark:divide-gray-700">
+          {entries.map((entry) => (
+            <li
+              key={`${entry.rank}-${entry.name}`}
+              className={`flex items-center py-3 px-2 ${entry.isMe ? 'bg-primary/10 dark:bg-primary-dark/20 rounded-md' : ''}`}
+            >
+              <span className="w-8 font-bold text-gray-700 dark:text-gray-200">{entry.rank}</span>
+              <div className="flex-1 min-w-0">
+                <p className="font-medium text-gray-800 dark:text-white truncate">
+                  {entry.name}{entry.isMe && scope === LEADERBOARD_SCOPES.USERS ? ' (you)' : ''}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                  {scope === LEADERBOARD_SCOPES.NEIGHBOURHOODS
+                    ? `${entry.members} members${entry.isMe ? ' · your neighbourhood' : ''}`
+                    : entry.neighbourhood}
+                </p>
+              </div>
+              <span className="text-sm font-semibold text-primary dark:text-primary-light">
+                {formatScore(entry, metric)}
+              </span>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-center py-8 text-gray-500 dark:text-gray-400">
+          {scope === LEADERBOARD_SCOPES.NEIGHBOURHOODS
+            ? 'No neighbourhoods with enough members have activity yet.'
+            : 'No activity yet for this period.'}
+        </p>
+      )}
+
+      <div className="flex justify-between mt-4 text-sm">
+        <button
+          className="text-primary dark:text-primary-light hover:underline disabled:opacity-50"
+          onClick={() => handleJoin(!membership.anonymous)}
+          disabled={saving}
+        >
+          {membership.anonymous ? 'Show my name' : 'Show me anonymously'}
+        </button>
+        <button
+          className="text-gray-500 dark:text-gray-400 hover:underline disabled:opacity-50"
+          onClick={handleLeave}
+          disabled={saving}
+        >
+          Leave leaderboard
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Leaderboard;
@@ -13,6 +13,7 @@ import {
 } from '@mui/material';
 import { useAuth } from '../context/AuthContext.js';
 import { paymentService } from '../services/paymentService.js';
+import { MOBILE_MONEY_NETWORKS, normalizeMsisdn, detectMobileNetwork } from '../utils/mobileMoney.js';
 
 const PaymentMethodForm = ({ onSuccess }) => {
   const { user } = useAuth();
@@ -23,15 +24,20 @@ const PaymentMethodForm = ({ onSuccess }) => {
     provider: '',
     cardNumber: '',
     expiryDate: '',
-    cvv: ''
+    cvv: '',
+    msisdn: ''
   });
 
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: value
-    }));
+    setFormData(prev => {
+      const next = { ...prev, [name]: value };
+      // Pick the network from the number's prefix unless one was chosen already
+      if (name === 'msisdn' && prev.type === 'mobile' && !prev.provider) {
+        next.provider = detectMobileNetwork(value) || '';
+      }
+      return next;
+    });
     setError(null);
   };
 
@@ -63,6 +69,10 @@ const PaymentMethodForm = ({ onSuccess }) => {
         return false;
       }
     }
+    if (formData.type === 'mobile' && !normalizeMsisdn(formData.msisdn)) {
+      setError('Invalid mobile money number');
+      return false;
+    }
     return true;
   };
 
@@ -74,15 +84,16 @@ const PaymentMethodForm = ({ onSuccess }) => {
     setError(null);
 
     try {
-      // Format payment details based on type
+      // Raw details are only sent for tokenisation, never stored
       const paymentDetails = {
         type: formData.type,
         provider: formData.provider,
-        details: formData.type === 'card' ? {
-          last4: formData.cardNumber.slice(-4),
+        credentials: formData.type === 'card' ? {
+          number: formData.cardNumber.replace(/\s/g, ''),
           expiry: formData.expiryDate,
-          // In a real app, card details would be tokenized
-          // and processed by a payment processor
+          cvv: formData.cvv
+        } : formData.type === 'mobile' ? {
+          msisdn: normalizeMsisdn(formData.msisdn)
         } : {}
       };
 
@@ -101,7 +112,8 @@ const PaymentMethodForm = ({ onSuccess }) => {
         provider: '',
         cardNumber: '',
         expiryDate: '',
-        cvv: ''
+        cvv: '',
+        msisdn: ''
       });
 
       // Call success callback
@@ -173,12 +185,9 @@ const PaymentMethodForm = ({ onSuccess }) => {
               <option value="wells_fargo">Wells Fargo</option>
             </>
           )}
-          {formData.type === 'mobile' && (
-            <>
-              <option value="mpesa">M-Pesa</option>
-              <option value="airtel">Airtel Money</option>
-            </>
-          )}
+          {formData.type === 'mobile' && MOBILE_MONEY_NETWORKS.map((network) => (
+            <option key={network.code} value={network.code}>{network.label}</option>
+          ))}
         </Select>
       </FormControl>
 
@@ -231,6 +240,23 @@ const PaymentMethodForm = ({ onSuccess }) => {
         </>
       )}
 
+      {formData.type === 'mobile' && (
+        <TextField
+          fullWidth
+          margin="normal"
+          label="Mobile Money Number"
+          name="msisdn"
+          value={formData.msisdn}
+          onChange={handleChange}
+          placeholder="024 123 4567"
+          inputProps={{
+            inputMode: 'tel',
+            maxLength: 16
+          }}
+          required
+        />
+      )}
+
       <Button
         type="submit"
         variant="contained"
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { FaTag, FaTimes, FaSpinner } from 'react-icons/fa';
+import { normalizePromoCode } from '../services/promoService.js';
+
+/**
+ * Promo code entry used on the digital bin review, pickup request and payment screens
+ *
+ * @param {Object} props
+ * @param {string} props.appliedCode - Code currently applied (null when none)
+ * @param {string} props.appliedLabel - Short description of the applied code, e.g. "10% off"
+ * @param {Function} props.onApply - async (code) => ({ error }) - validate and apply a code
+ * @param {Function} props.onRemove - Remove the applied code
+ * @param {boolean} props.disabled - Disable input (e.g. while submitting)
+ */
+const PromoCodeInput = ({ appliedCode = null, appliedLabel = '', onApply, onRemove, disabled = false }) => {
+  const [code, setCode] = useState('');
+  const [isApplying, setIsApplying] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleApply = async () => {
+    const normalized = normalizePromoCode(code);
+    if (!normalized) {
+      setError('Enter a promo code');
+      return;
+    }
+
+    setIsApplying(true);
+    setError('');
+    try {
+      const result = await onApply(normalized);
+      if (result?.error) {
+        setError(result.error.message || 'Promo code could not be applied');
+      } else {
+        setCode('');
+      }
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  if (appliedCode) {
+    return (
+      <div className="flex items-center justify-between bg-green-50 border border-green-200 rounded-md px-3 py-2">
+        <span className="flex items-center text-sm text-green-800 font-medium">
+          <FaTag className="mr-2" />
+          {appliedCode}{appliedLabel ? ` · ${appliedLabel}` : ''}
+        </span>
+        <button
+          type="button"
+          onClick={onRemove}
+          disabled={disabled}
+          className="text-green-700 hover:text-green-900 disabled:opacity-50"
+          aria-label="Remove promo code"
+        >
+          <FaTimes />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => { setCode(e.target.value.toUpperCase()); setError(''); }}
+          onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); handleApply(); } }}
+          placeholder="Promo code"
+          maxLength={32}
+          disabled={disabled || isApplying}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-900 uppercase focus:outline-none focus:ring-primary focus:border-primary"
+          aria-label="Promo code"
+        />
+        <button
+          type="button"
+          onClick={handleApply}
+          disabled={disabled || isApplying || !code.trim()}
+          className="px-4 py-2 bg-gray-800 text-white text-sm font-medium rounded-md hover:bg-gray-900 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isApplying ? <FaSpinner className="animate-spin" /> : 'Apply'}
+        </button>
+      </div>
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default PromoCodeInput;
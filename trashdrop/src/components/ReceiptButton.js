@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { FaFileInvoice, FaSpinner } from 'react-icons/fa';
+import { receiptService, RECEIPT_FORMATS } from '../services/receiptService.js';
+
+/**
+ * Download buttons for a completed pickup's receipt (PDF, with an HTML alternative)
+ *
+ * @param {Object} props
+ * @param {string} props.pickupId - digital_bins or pickup_requests ID
+ * @param {string} props.requestType - 'digital_bin' or 'pickup_request'
+ * @param {string} props.className - Extra classes for the wrapper
+ */
+const ReceiptButton = ({ pickupId, requestType = 'digital_bin', className = '' }) => {
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleDownload = async (format) => {
+    setDownloading(format);
+    setError('');
+    const { error: downloadError } = await receiptService.downloadReceipt(pickupId, format, requestType);
+    if (downloadError) setError(downloadError.message);
+    setDownloading(null);
+  };
+
+  return (
+    <div className={className}>
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={() => handleDownload(RECEIPT_FORMATS.PDF)}
+          disabled={!!downloading}
+          className="px-3 py-1.5 bg-primary text-white text-sm font-medium rounded-md hover:bg-primary-dark transition-colors flex items-center disabled:opacity-50"
+        >
+          {downloading === RECEIPT_FORMATS.PDF
+            ? <FaSpinner className="animate-spin mr-2" />
+            : <FaFileInvoice className="mr-2" />}
+          Receipt
+        </button>
+        <button
+          type="button"
+          onClick={() => handleDownload(RECEIPT_FORMATS.HTML)}
+          disabled={!!downloading}
+          className="text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50"
+          aria-label="Download receipt as HTML"
+        >
+          HTML
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default ReceiptButton;
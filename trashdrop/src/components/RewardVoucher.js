@@ -0,0 +1,36 @@
+import React, { useState, useEffect } from 'react';
+import { rewardsService } from '../services/rewardsService.js';
+
+/**
+ * Voucher issued for a redeemed reward: the code, its QR code for partners to scan
+ * and when it expires
+ *
+ * @param {Object} props
+ * @param {string} props.code - Voucher code
+ * @param {string} props.expiresAt - Voucher expiry (ISO timestamp, optional)
+ */
+const RewardVoucher = ({ code, expiresAt = null }) => {
+  const [qrCode, setQrCode] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    rewardsService.getVoucherQrCode(code).then((dataUrl) => {
+      if (!cancelled) setQrCode(dataUrl);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [code]);
+
+  return (
+    <div className="flex flex-col items-center text-center">
+      {qrCode && <img src={qrCode} alt={`QR code for voucher ${code}`} className="w-32 h-32" />}
+      <p className="font-mono font-bold mt-1">{code}</p>
+      {expiresAt && (
+        <p className="text-xs mt-1">Valid until {new Date(expiresAt).toLocaleDateString()}</p>
+      )}
+    </div>
+  );
+};
+
+export default RewardVoucher;
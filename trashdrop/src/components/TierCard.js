@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { FaMedal, FaExclamationTriangle } from 'react-icons/fa';
+import { userService } from '../services/userService.js';
+import { pointsService, resolveTier, describeTierBenefits } from '../services/pointsService.js';
+
+const progressPercent = (current, required) =>
+  required > 0 ? Math.min(100, Math.round((current / required) * 100)) : 100;
+
+/**
+ * Loyalty tier card: current tier and its benefits, progress towards the next tier and a
+ * warning when points are about to expire. Shown on the Rewards page and the Dashboard.
+ *
+ * @param {Object} props
+ * @param {string} props.userId - Signed-in user's ID
+ * @param {string} props.className - Extra classes for the card
+ */
+const TierCard = ({ userId, className = '' }) => {
+  const [stats, setStats] = useState(null);
+  const [tiers, setTiers] = useState([]);
+  const [expiring, setExpiring] = useState(null);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    let cancelled = false;
+
+    Promise.all([
+      userService.getUserStats(userId),
+      pointsService.getTiers(),
+      pointsService.warnExpiringPoints(userId)
+    ]).then(([statsResult, tiersResult, expiringResult]) => {
+      if (cancelled) return;
+      setStats(statsResult.data);
+      setTiers(tiersResult.data);
+      setExpiring(expiringResult.data);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  if (!stats || tiers.length === 0) return null;
+
+  const { tier, nextTier, pointsToNext, pickupsToNext } = resolveTier(tiers, stats);
+  const benefits = describeTierBenefits(tier);
+
+  return (
+    <div className={`bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md ${className}`}>
+      <div className="flex items-center">
+        <FaMedal className="text-yellow-500 text-2xl mr-3" />
+        <div>
+          <p className="text-sm text-gray-500 dark:text-gray-400">Loyalty tier</p>
+          <h2 className="text-xl font-bold text-gray-800 dark:text-white">{tier ? tier.name : 'No tier yet'}</h2>
+        </div>
+      </div>
+
+      {benefits.length > 0 && (
+        <ul className="mt-3 text-sm text-gray-700 dark:text-gray-300 list-disc list-inside">
+          {benefits.map((benefit) => (
+            <li key={benefit}>{benefit}</li>
+          ))}
+        </ul>
+      )}
+
+      {nextTier ? (
+        <div className="mt-4 space-y-2 text-sm text-gray-600 dark:text-gray-300">
+          <p>
+            {pointsToNext > 0 || pickupsToNext > 0
+              ? `To reach ${nextTier.name}:`
+              : `${nextTier.name} unlocked`}
+          </p>
+          <div>
+            <div className="flex justify-between">
+              <span>Lifetime points</span>
+              <span>{stats.lifetimePoints || 0} / {nextTier.min_lifetime_points}</span>
+            </div>
+            <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 mt-1">
+              <div
+                className="bg-primary h-2 rounded-full"
+                style={{ width: `${progressPercent(stats.lifetimePoints || 0, nextTier.min_lifetime_points)}%` }}
+              ></div>
+            </div>
+          </div>
+          <div>
+            <div className="flex justify-between">
+              <span>Completed pickups</span>
+              <span>{stats.completedPickups || 0} / {nextTier.min_completed_pickups}</span>
+            </div>
+            <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 mt-1">
+              <div
+                className="bg-primary h-2 rounded-full"
+                style={{ width: `${progressPercent(stats.completedPickups || 0, nextTier.min_completed_pickups)}%` }}
+              ></div>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <p className="mt-4 text-sm text-gray-600 dark:text-gray-300">You have reached the top tier.</p>
+      )}
+
+      {expiring && (
+        <p className="mt-4 text-sm text-yellow-700 dark:text-yellow-400 flex items-center" role="status">
+          <FaExclamationTriangle className="mr-2 flex-shrink-0" />
+          {expiring.points} points expire on {new Date(expiring.expiresAt).toLocaleDateString()}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TierCard;
@@ -4,6 +4,7 @@ import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import './UberStyleTrackingMap.css';
 import { formatDistance } from '../utils/geoUtils.js';
+import { formatCollectorRating } from '../services/ratingService.js';
 
 // Fix default Leaflet marker icons
 delete L.Icon.Default.prototype._getIconUrl;
@@ -225,6 +226,11 @@ const UberStyleTrackingMap = ({
     return status;
   }, [activePickup?.status, activePickup?.is_digital_bin, distance]);
 
+  // The live collector profile (when the page loaded one) has the freshest score
+  const collectorRating = formatCollectorRating(
+    collectorData?.rating_count !== undefined ? collectorData : activePickup?.collector
+  );
+
   // Debug logging for incoming props
   useEffect(() => {
     console.log('[UberStyleTrackingMap] Props received:', {
@@ -539,7 +545,7 @@ const UberStyleTrackingMap = ({
                   </p>
                   <div className="flex items-center space-x-1">
                     <span className="text-yellow-500 text-xs">⭐</span>
-                    <span className="text-sm text-gray-600">{activePickup.collector.rating || '5.0'}</span>
+                    <span className="text-sm text-gray-600">{collectorRating}</span>
                   </div>
                 </div>
                 {typeof distance === 'number' && !isNaN(distance) && isFinite(distance) && distance > 0 && (
@@ -577,7 +583,7 @@ const UberStyleTrackingMap = ({
                         </p>
                         <div className="flex items-center space-x-1 mt-1">
                           <span className="text-yellow-500">⭐</span>
-                          <span className="font-semibold text-gray-700">{activePickup.collector.rating || '5.0'}</span>
+                          <span className="font-semibold text-gray-700">{collectorRating}</span>
                         </div>
                         {activePickup.collector.vehicle_plate && (
                           <p className="text-xs text-gray-600 mt-1">
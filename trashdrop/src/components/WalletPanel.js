@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaWallet, FaSpinner, FaArrowDown, FaArrowUp } from 'react-icons/fa';
+import walletService, { WALLET_TOP_UP_LIMITS } from '../services/walletService.js';
+import { paymentService, PAYMENT_PURPOSES } from '../services/paymentService.js';
+import { maskPaymentMethod } from '../utils/paymentMethodDisplay.js';
+
+const formatAmount = (amount) => `GH₵ ${Math.abs(amount).toFixed(2)}`;
+
+/**
+ * TrashDrop Wallet balance, top-up and recent activity, shown on the Payment Methods page
+ *
+ * @param {Object} props
+ * @param {string} props.userId - Signed-in user's ID
+ * @param {Array} props.paymentMethods - Active payment methods; top-ups are charged to a mobile money one
+ */
+const WalletPanel = ({ userId, paymentMethods = [] }) => {
+  const mobileMethods = paymentMethods.filter((method) => method.type === 'mobile');
+  const [balance, setBalance] = useState(0);
+  const [history, setHistory] = useState([]);
+  const [pendingTopUps, setPendingTopUps] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [amount, setAmount] = useState('');
+  const [paymentMethodId, setPaymentMethodId] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const loadWallet = useCallback(async () => {
+    if (!userId) return;
+
+    const [balanceResult, historyResult, topUpsResult] = await Promise.all([
+      walletService.getBalance(userId),
+      walletService.getHistory(userId),
+      walletService.getTopUps(userId)
+    ]);
+
+    if (balanceResult.error || historyResult.error) {
+      setError('Failed to load wallet');
+    }
+    setBalance(balanceResult.data);
+    setHistory(historyResult.data);
+    setPendingTopUps(topUpsResult.data.filter((topUp) => topUp.status === 'pending'));
+    setLoading(false);
+  }, [userId]);
+
+  useEffect(() => {
+    loadWallet();
+  }, [loadWallet]);
+
+  // Default the top-up to the default mobile money number
+  useEffect(() => {
+    const mobile = paymentMethods.filter((method) => method.type === 'mobile');
+    if (!mobile.some((method) => method.id === paymentMethodId)) {
+      const preferred = mobile.find((method) => method.is_default) || mobile[0];
+      setPaymentMethodId(preferred ? preferred.id : '');
+    }
+  }, [paymentMethods, paymentMethodId]);
+
+  const handleTopUp = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const { data: topUp, error: topUpError } = await walletService.requestTopUp(parseFloat(amount), paymentMethodId);
+      if (topUpError) throw new Error(topUpError.message);
+
+      const { data: payment, error: paymentError } = await paymentService.requestMobileMoneyPayment({
+        purpose: PAYMENT_PURPOSES.WALLET_TOP_UP,
+        referenceId: topUp.id,
+        paymentMethodId
+      });
+      if (paymentError) throw new Error(paymentError.message);
+
+      setAmount('');
+      setMessage(`Approve the GH₵ ${Number(topUp.amount).toFixed(2)} payment prompt on your phone.`);
+
+      const { data: result } = await paymentService.waitForPayment(payment.payment_id);
+      if (result?.status === 'successful') {
+        setMessage('Top-up received.');
+      } else if (result?.status === 'failed') {
+        setMessage('');
+        setError('The payment was not approved. Your wallet was not charged.');
+      } else {
+        setMessage('Still waiting for the payment. Your balance updates once it is confirmed.');
+      }
+    } catch (err) {
+      setError(err.message || 'Top-up failed');
+    } finally {
+      await loadWallet();
+      setIsSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <FaSpinner className="animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <FaWallet className="text-primary mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">TrashDrop Wallet</h2>
+        </div>
+        <span className="text-2xl font-bold text-gray-900 dark:text-white" data-testid="wallet-balance">
+          {formatAmount(balance)}
+        </span>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-3 py-2 rounded mb-3 text-sm">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-3 py-2 rounded mb-3 text-sm">
+          {message}
+        </div>
+      )}
+
+      <form onSubmit={handleTopUp} className="flex flex-wrap gap-2 mb-4">
+        <label htmlFor="wallet-top-up-amount" className="sr-only">Top-up amount</label>
+        <input
+          id="wallet-top-up-amount"
+          type="number"
+          min={WALLET_TOP_UP_LIMITS.MIN}
+          max={WALLET_TOP_UP_LIMITS.MAX}
+          step="0.01"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          placeholder="Amount (GH₵)"
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+          disabled={isSubmitting}
+        />
+        {mobileMethods.length > 0 && (
+          <>
+            <label htmlFor="wallet-top-up-method" className="sr-only">Pay with</label>
+            <select
+              id="wallet-top-up-method"
+              value={paymentMethodId}
+              onChange={(e) => setPaymentMethodId(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              disabled={isSubmitting}
+            >
+              {mobileMethods.map((method) => (
+                <option key={method.id} value={method.id}>
+                  {maskPaymentMethod(method)}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+        <button
+          type="submit"
+          disabled={isSubmitting || !amount || !paymentMethodId}
+          className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary-dark transition-colors disabled:opacity-50"
+        >
+          {isSubmitting ? <FaSpinner className="animate-spin" /> : 'Top Up'}
+        </button>
+      </form>
+
+      {mobileMethods.length === 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+          Add a mobile money number to top up your wallet.
+        </p>
+      )}
+
+      {pendingTopUps.length > 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+          {pendingTopUps.length === 1 ? '1 top-up' : `${pendingTopUps.length} top-ups`} awaiting confirmation
+        </p>
+      )}
+
+      <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Recent activity</h3>
+      {history.length > 0 ? (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {history.map((entry) => (
+            <li key={entry.id} className="flex items-center justify-between py-2 text-sm">
+              <div className="flex items-center">
+                {entry.amount > 0
+                  ? <FaArrowDown className="text-green-600 mr-2" />
+                  : <FaArrowUp className="text-gray-500 mr-2" />}
+                <div>
+                  <p className="text-gray-900 dark:text-white">{entry.description}</p>
+                  <p className="text-xs text-gray-500">{new Date(entry.created_at).toLocaleDateString()}</p>
+                </div>
+              </div>
+              <span className={entry.amount > 0 ? 'text-green-600 font-medium' : 'text-gray-900 dark:text-white'}>
+                {entry.amount > 0 ? '+' : '-'}{formatAmount(entry.amount)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No wallet activity yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default WalletPanel;
@@ -160,6 +160,38 @@ describe('PaymentMethodForm', () => {
     });
   });
 
+  it('saves a mobile money number with its network', async () => {
+    render(<PaymentMethodForm />);
+
+    fireEvent.change(screen.getByLabelText(/Payment Type/i), { target: { value: 'mobile' } });
+    fireEvent.change(screen.getByLabelText(/Mobile Money Number/i), { target: { value: '054 123 4567' } });
+
+    // Network is picked from the number's prefix
+    expect(screen.getByLabelText(/Provider/i)).toHaveValue('mtn');
+
+    fireEvent.click(screen.getByRole('button', { name: /Add Payment Method/i }));
+
+    await waitFor(() => {
+      expect(paymentService.addPaymentMethod).toHaveBeenCalledWith('user123', {
+        type: 'mobile',
+        provider: 'mtn',
+        credentials: { msisdn: '233541234567' }
+      });
+    });
+  });
+
+  it('validates mobile money numbers', () => {
+    render(<PaymentMethodForm />);
+
+    fireEvent.change(screen.getByLabelText(/Payment Type/i), { target: { value: 'mobile' } });
+    fireEvent.change(screen.getByLabelText(/Provider/i), { target: { value: 'telecel' } });
+    fireEvent.change(screen.getByLabelText(/Mobile Money Number/i), { target: { value: '12345' } });
+    fireEvent.click(screen.getByRole('button', { name: /Add Payment Method/i }));
+
+    expect(screen.getByText(/Invalid mobile money number/i)).toBeInTheDocument();
+    expect(paymentService.addPaymentMethod).not.toHaveBeenCalled();
+  });
+
   it('shows different providers based on payment type', async () => {
     render(<PaymentMethodForm />);
     
@@ -1,6 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { FaStar, FaCheckCircle, FaTimesCircle, FaSpinner, FaArrowLeft, FaMoneyBillWave } from 'react-icons/fa';
-import supabase from '../../supabaseClient';
+import promoService, { describePromo, PROMO_SERVICE_TYPES } from '../../services/promoService.js';
+import walletService from '../../services/walletService.js';
+import { ratingService, RATING_REQUEST_TYPES } from '../../services/ratingService.js';
+import {
+  paymentService,
+  PAYMENT_PURPOSES,
+  TIP_PRESETS,
+  TIP_REQUEST_TYPES,
+  MIN_TIP,
+  MAX_TIP
+} from '../../services/paymentService.js';
+import { MOBILE_MONEY_NETWORKS, normalizeMsisdn, detectMobileNetwork } from '../../utils/mobileMoney.js';
+import { calculatePromoDiscount, SOP_CONSTANTS } from '../../utils/costCalculator.js';
+import PromoCodeInput from '../PromoCodeInput.js';
 
 export const PaymentAndRating = ({ 
   pickup, 
@@ -11,15 +24,23 @@ export const PaymentAndRating = ({
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [step, setStep] = useState('payment'); // 'payment' or 'rating'
-  const [paymentMethod, setPaymentMethod] = useState('wallet'); // 'wallet' or 'cash'
+  const [paymentMethod, setPaymentMethod] = useState('wallet'); // 'wallet', 'mobile_money' or 'cash'
+  const [momoNumber, setMomoNumber] = useState('');
+  const [momoNetwork, setMomoNetwork] = useState('');
+  const [momoStatus, setMomoStatus] = useState('');
   const [rating, setRating] = useState(5);
   const [review, setReview] = useState('');
+  const [tipChoice, setTipChoice] = useState(0); // preset amount, 0 for no tip, or 'custom'
+  const [customTip, setCustomTip] = useState('');
+  const [recordedTip, setRecordedTip] = useState(null);
   const [paymentComplete, setPaymentComplete] = useState(false);
   const [paymentDetails, setPaymentDetails] = useState({
     amount: 0,
-    fee: 0,
+    discount: 0,
     total: 0
   });
+  const [promo, setPromo] = useState(null);
+  const [promoRecorded, setPromoRecorded] = useState(false);
   const [walletBalance, setWalletBalance] = useState(0);
   const [insufficientFunds, setInsufficientFunds] = useState(false);
 
@@ -29,37 +50,54 @@ export const PaymentAndRating = ({
     fetchWalletBalance();
   }, []);
 
-  // Calculate payment amount based on pickup details
-  const calculatePayment = () => {
-    // In a real app, this would be calculated based on the pickup details
-    const baseAmount = 15.00; // Base amount
-    const fee = 1.50; // Service fee
-    const total = baseAmount + fee;
+  // Preview of the amount due: the pickup's stored fee less the promo. The database charges
+  // the same (pickup_payment_amount), so this only drives the summary and the balance check.
+  const calculatePayment = (appliedPromo = promo) => {
+    const baseAmount = Math.round((Number(pickup.fee) || 0) * 100) / 100;
+    
+    // Promo discount, capped like every other discount at 80% of the service amount
+    const promoAmount = appliedPromo?.discount_type === 'free_request_fee'
+      ? SOP_CONSTANTS.REQUEST_FEE
+      : calculatePromoDiscount(appliedPromo, baseAmount);
+    const discount = Math.round(Math.min(promoAmount, baseAmount * SOP_CONSTANTS.DISCOUNT_CAP_PERCENTAGE) * 100) / 100;
+    const total = Math.round((baseAmount - discount) * 100) / 100;
     
     setPaymentDetails({
       amount: baseAmount,
-      fee,
+      discount,
       total
     });
     
     return total;
   };
 
-  // Fetch user's wallet balance
+  // Apply a promo code and recalculate the total
+  const handleApplyPromo = async (code) => {
+    const { data, error: promoError } = await promoService.validatePromoCode(code, PROMO_SERVICE_TYPES.PICKUP);
+    if (promoError) return { error: promoError };
+    setPromo(data);
+    setInsufficientFunds(walletBalance < calculatePayment(data));
+    return { error: null };
+  };
+
+  const handleRemovePromo = () => {
+    setPromo(null);
+    setInsufficientFunds(walletBalance < calculatePayment(null));
+  };
+
+  // Fetch the customer's wallet balance
   const fetchWalletBalance = async () => {
-    try {
-      // In a real app, this would fetch the actual wallet balance
-      // For demo purposes, we'll use a mock balance
-      const balance = 20.00; // Mock balance
-      setWalletBalance(balance);
-      
-      // Check if balance is sufficient
-      const total = calculatePayment();
-      setInsufficientFunds(balance < total);
-    } catch (error) {
-      console.error('Error fetching wallet balance:', error);
+    const { data: balance, error: balanceError } = await walletService.getBalance(pickup.user_id || null);
+    if (balanceError) {
+      console.error('Error fetching wallet balance:', balanceError);
       setError('Failed to load wallet balance');
+      return;
     }
+    setWalletBalance(balance);
+    
+    // Check if balance is sufficient
+    const total = calculatePayment();
+    setInsufficientFunds(balance < total);
   };
 
   // Process payment
@@ -74,9 +112,68 @@ export const PaymentAndRating = ({
         return;
       }
       
-      // In a real app, this would process the payment through a payment gateway
-      // For demo purposes, we'll simulate a successful payment
-      await new Promise(resolve => setTimeout(resolve, 1500));
+      // Record the promo against this pickup first (converts the reservation made at request
+      // time): the amount charged below is the stored fee less the promo's discount
+      if (promo && !promoRecorded) {
+        const { error: promoError } = await promoService.redeemPromoCode({
+          code: promo.code,
+          serviceType: PROMO_SERVICE_TYPES.PICKUP,
+          requestId: pickup.id,
+          status: 'applied'
+        });
+        if (promoError) {
+          setError(`Promo could not be applied: ${promoError.message}. Remove it to pay the full amount.`);
+          return;
+        }
+        setPromoRecorded(true);
+      }
+      
+      // Cash is handed to the collector; wallet payments are debited from the ledger
+      if (paymentMethod === 'wallet') {
+        const { data: transaction, error: walletError } = await walletService.payForPickup(pickup.id);
+        if (walletError) {
+          if (walletError.code === 'INSUFFICIENT_FUNDS') {
+            await fetchWalletBalance();
+            setError('Insufficient funds in your wallet. Please choose another payment method.');
+            return;
+          }
+          throw new Error(walletError.message);
+        }
+        setWalletBalance(prev => Math.max(0, prev - (Number(transaction?.amount) || paymentDetails.total)));
+      }
+      
+      // Mobile money: the customer approves a prompt on their phone
+      if (paymentMethod === 'mobile_money') {
+        if (!normalizeMsisdn(momoNumber) || !momoNetwork) {
+          setError('Enter the mobile money number and network to charge.');
+          return;
+        }
+        
+        // Retrying resumes the request already on the customer's phone; ALREADY_PAID means
+        // they approved it after we stopped waiting
+        const { data: payment, error: requestError } = await paymentService.requestMobileMoneyPayment({
+          purpose: PAYMENT_PURPOSES.PICKUP_PAYMENT,
+          referenceId: pickup.id,
+          msisdn: momoNumber,
+          network: momoNetwork
+        });
+        if (requestError && requestError.code !== 'ALREADY_PAID') throw new Error(requestError.message);
+        
+        if (!requestError) {
+          setMomoStatus('Waiting for the customer to approve the payment on their phone...');
+          const { data: result, error: statusError } = await paymentService.waitForPayment(payment.payment_id);
+          setMomoStatus('');
+          if (statusError) throw new Error(statusError.message);
+          if (result?.status === 'failed') {
+            setError('The mobile money payment was declined. Please try again or choose another payment method.');
+            return;
+          }
+          if (result?.status !== 'successful') {
+            setError('The mobile money payment has not been approved yet. Please try again once the customer approves it.');
+            return;
+          }
+        }
+      }
       
       setPaymentComplete(true);
       setStep('rating');
@@ -88,26 +185,81 @@ export const PaymentAndRating = ({
     }
   };
 
-  // Submit rating and review
+  const tipAmount = tipChoice === 'custom'
+    ? Math.round((parseFloat(customTip) || 0) * 100) / 100
+    : tipChoice;
+
+  // Tip the collector with the method used for the pickup. Resolves to { tip }, or null if
+  // the tip did not go through so the customer can change it before submitting again.
+  const sendTip = async () => {
+    if (recordedTip) return { tip: recordedTip };
+    if (!tipAmount) return { tip: null };
+    
+    if (tipAmount < MIN_TIP || tipAmount > MAX_TIP) {
+      setError(`Enter a tip between $${MIN_TIP} and $${MAX_TIP}, or choose no tip.`);
+      return null;
+    }
+    if (paymentMethod === 'wallet' && tipAmount > walletBalance) {
+      setError('Insufficient funds in your wallet for this tip. Choose a smaller tip or no tip.');
+      return null;
+    }
+    
+    const { data, error: tipError } = await paymentService.recordTip({
+      requestType: pickup.is_digital_bin ? TIP_REQUEST_TYPES.DIGITAL_BIN : TIP_REQUEST_TYPES.SCHEDULED_PICKUP,
+      requestId: pickup.id,
+      amount: tipAmount,
+      method: paymentMethod,
+      msisdn: momoNumber,
+      network: momoNetwork
+    });
+    if (tipError) {
+      setError(tipError.code === 'INSUFFICIENT_FUNDS'
+        ? 'Insufficient funds in your wallet for this tip. Choose a smaller tip or no tip.'
+        : tipError.message);
+      return null;
+    }
+    
+    let status = data.tip?.status || 'completed';
+    if (data.payment) {
+      setMomoStatus('Waiting for the customer to approve the tip on their phone...');
+      const { data: result, error: statusError } = await paymentService.waitForPayment(data.payment.payment_id);
+      setMomoStatus('');
+      if (statusError || result?.status === 'failed') {
+        setError('The mobile money tip was not approved. Try again or choose no tip.');
+        return null;
+      }
+      status = result?.status === 'successful' ? 'completed' : 'pending';
+    }
+    
+    if (paymentMethod === 'wallet') {
+      setWalletBalance(prev => Math.max(0, prev - tipAmount));
+    }
+    const tip = { id: data.tip?.id || null, amount: tipAmount, method: paymentMethod, status };
+    setRecordedTip(tip);
+    return { tip };
+  };
+
+  // Submit rating, review and tip
   const submitRating = async () => {
     setLoading(true);
     setError('');
     
     try {
-      // In a real app, this would save the rating and review to the database
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const tipResult = await sendTip();
+      if (!tipResult) {
+        setLoading(false);
+        return;
+      }
       
-      // Update the pickup with the rating and review
-      const { error } = await supabase
-        .from('scheduled_pickups')
-        .update({
-          collector_rating: rating,
-          collector_review: review.trim() || null,
-          rated_at: new Date().toISOString()
-        })
-        .eq('id', pickup.id);
+      // A rating already stored by an earlier attempt counts as submitted
+      const { error: ratingError } = await ratingService.submitRating({
+        requestType: pickup.is_digital_bin ? RATING_REQUEST_TYPES.DIGITAL_BIN : RATING_REQUEST_TYPES.SCHEDULED_PICKUP,
+        requestId: pickup.id,
+        rating,
+        review
+      });
       
-      if (error) throw error;
+      if (ratingError && ratingError.code !== 'ALREADY_RATED') throw ratingError;
       
       // Call the onComplete callback to notify the parent component
       onComplete({
@@ -117,7 +269,8 @@ export const PaymentAndRating = ({
           status: 'completed'
         },
         rating,
-        review: review.trim() || null
+        review: review.trim() || null,
+        tip: tipResult.tip
       });
     } catch (error) {
       console.error('Error submitting rating:', error);
@@ -137,10 +290,12 @@ export const PaymentAndRating = ({
             <span className="text-gray-600">Service Fee</span>
             <span className="font-medium">${paymentDetails.amount.toFixed(2)}</span>
           </div>
-          <div className="flex justify-between text-sm">
-            <span className="text-gray-500">Service Fee</span>
-            <span className="text-gray-500">${paymentDetails.fee.toFixed(2)}</span>
-          </div>
+          {paymentDetails.discount > 0 && (
+            <div className="flex justify-between text-sm">
+              <span className="text-green-700">Promo {promo?.code}</span>
+              <span className="text-green-700">-${paymentDetails.discount.toFixed(2)}</span>
+            </div>
+          )}
           <div className="border-t border-gray-200 my-2"></div>
           <div className="flex justify-between font-medium text-lg">
             <span>Total</span>
@@ -148,6 +303,16 @@ export const PaymentAndRating = ({
           </div>
         </div>
         
+        <div className="mt-4">
+          <PromoCodeInput
+            appliedCode={promo?.code || null}
+            appliedLabel={describePromo(promo)}
+            onApply={handleApplyPromo}
+            onRemove={handleRemovePromo}
+            disabled={loading || promoRecorded}
+          />
+        </div>
+        
         <div className="mt-6">
           <h4 className="text-sm font-medium text-gray-700 mb-3">Payment Method</h4>
           
@@ -175,6 +340,55 @@ export const PaymentAndRating = ({
               </div>
             </button>
             
+            <button
+              type="button"
+              onClick={() => setPaymentMethod('mobile_money')}
+              className={`w-full p-4 rounded-lg border-2 ${paymentMethod === 'mobile_money' 
+                ? 'border-primary bg-primary/5' 
+                : 'border-gray-200 hover:border-gray-300'} transition-colors text-left`}
+            >
+              <div className="flex items-center">
+                <div className={`w-5 h-5 rounded-full border-2 flex items-center justify-center mr-3 ${paymentMethod === 'mobile_money' ? 'border-primary bg-primary' : 'border-gray-300'}`}>
+                  {paymentMethod === 'mobile_money' && <div className="w-2 h-2 bg-white rounded-full"></div>}
+                </div>
+                <div>
+                  <p className="font-medium">Mobile Money</p>
+                  <p className="text-sm text-gray-500">MTN MoMo, Telecel Cash or AirtelTigo Money</p>
+                </div>
+              </div>
+            </button>
+            
+            {paymentMethod === 'mobile_money' && (
+              <div className="flex space-x-2">
+                <label htmlFor="momo-number" className="sr-only">Mobile money number</label>
+                <input
+                  id="momo-number"
+                  type="tel"
+                  value={momoNumber}
+                  onChange={(e) => {
+                    setMomoNumber(e.target.value);
+                    setMomoNetwork(detectMobileNetwork(e.target.value) || momoNetwork);
+                  }}
+                  placeholder="024 123 4567"
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary"
+                  disabled={loading}
+                />
+                <label htmlFor="momo-network" className="sr-only">Network</label>
+                <select
+                  id="momo-network"
+                  value={momoNetwork}
+                  onChange={(e) => setMomoNetwork(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary"
+                  disabled={loading}
+                >
+                  <option value="">Network</option>
+                  {MOBILE_MONEY_NETWORKS.map((network) => (
+                    <option key={network.code} value={network.code}>{network.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            
             <button
               type="button"
               onClick={() => setPaymentMethod('cash')}
@@ -196,6 +410,12 @@ export const PaymentAndRating = ({
         </div>
       </div>
       
+      {momoStatus && (
+        <div className="bg-blue-50 border-l-4 border-blue-400 p-4 rounded">
+          <p className="text-sm text-blue-700">{momoStatus}</p>
+        </div>
+      )}
+      
       {error && (
         <div className="bg-red-50 border-l-4 border-red-400 p-4 rounded">
           <div className="flex">
@@ -284,8 +504,62 @@ export const PaymentAndRating = ({
             placeholder="Share your experience..."
           ></textarea>
         </div>
+        
+        <div className="mt-6">
+          <h4 className="text-sm font-medium text-gray-700 mb-1">Add a tip (optional)</h4>
+          <p className="text-xs text-gray-500 mb-3">
+            All of it goes to {collector.name || 'the collector'}
+            {paymentMethod === 'cash' ? ', handed over in cash' : ', paid the same way as this pickup'}.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {[0, ...TIP_PRESETS, 'custom'].map((choice) => (
+              <button
+                key={choice}
+                type="button"
+                onClick={() => setTipChoice(choice)}
+                className={`px-4 py-2 rounded-lg border-2 text-sm font-medium ${tipChoice === choice
+                  ? 'border-primary bg-primary/5 text-primary'
+                  : 'border-gray-200 text-gray-700 hover:border-gray-300'} transition-colors`}
+                aria-pressed={tipChoice === choice}
+                disabled={loading || Boolean(recordedTip)}
+              >
+                {choice === 0 ? 'No tip' : choice === 'custom' ? 'Other' : `$${choice}`}
+              </button>
+            ))}
+          </div>
+          {tipChoice === 'custom' && (
+            <div className="mt-3">
+              <label htmlFor="custom-tip" className="sr-only">Tip amount</label>
+              <input
+                id="custom-tip"
+                type="number"
+                min={MIN_TIP}
+                max={MAX_TIP}
+                step="0.5"
+                value={customTip}
+                onChange={(e) => setCustomTip(e.target.value)}
+                placeholder={`Amount (${MIN_TIP}-${MAX_TIP})`}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary"
+                disabled={loading || Boolean(recordedTip)}
+              />
+            </div>
+          )}
+          {recordedTip && (
+            <p className="mt-2 text-sm text-green-700">
+              Tip of ${recordedTip.amount.toFixed(2)} {recordedTip.status !== 'pending'
+                ? 'sent'
+                : recordedTip.method === 'cash' ? 'recorded. The collector will confirm receiving it' : 'requested'}.
+            </p>
+          )}
+        </div>
       </div>
       
+      {momoStatus && (
+        <div className="bg-blue-50 border-l-4 border-blue-400 p-4 rounded">
+          <p className="text-sm text-blue-700">{momoStatus}</p>
+        </div>
+      )}
+      
       {error && (
         <div className="bg-red-50 border-l-4 border-red-400 p-4 rounded">
           <div className="flex">
@@ -304,7 +578,7 @@ export const PaymentAndRating = ({
           type="button"
           onClick={() => setStep('payment')}
           className="flex-1 bg-gray-100 text-gray-700 py-3 px-4 rounded-lg font-medium hover:bg-gray-200 transition-colors"
-          disabled={loading}
+          disabled={loading || Boolean(recordedTip)}
         >
           Back
         </button>
@@ -319,6 +593,8 @@ export const PaymentAndRating = ({
               <FaSpinner className="animate-spin mr-2" />
               Submitting...
             </>
+          ) : tipAmount > 0 && !recordedTip ? (
+            `Submit & Tip $${tipAmount.toFixed(2)}`
           ) : (
             'Submit Review'
           )}
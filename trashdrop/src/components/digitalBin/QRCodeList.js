@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { FaChevronDown, FaChevronUp, FaQrcode, FaCalendarAlt, FaMapMarkerAlt, 
   FaTrash, FaInfoCircle, FaClock, FaCheckCircle, FaExclamationTriangle, FaShare,
-  FaSpinner, FaSync, FaExpand, FaTimes } from 'react-icons/fa';
+  FaSpinner, FaSync, FaExpand, FaTimes, FaPause, FaPlay, FaForward } from 'react-icons/fa';
 import supabase from '../../utils/supabaseClient.js';
-import { formatDistanceToNow, parseISO } from 'date-fns';
+import { format, formatDistanceToNow, parseISO } from 'date-fns';
 import { getQRCode, storeQRCode } from '../../utils/qrStorage.js';
-import { getBinSizeLabelShort } from '../../utils/costCalculator.js';
+import { getBinSizeLabelShort, getScheduleCostEstimate, formatCurrency } from '../../utils/costCalculator.js';
+import statusService from '../../services/statusService.js';
+import { MAX_PAUSE_DAYS } from '../../services/binScheduleService.js';
+import { toDateKey } from '../../utils/scheduleEngine.js';
 
 // Status badge component
 const StatusBadge = ({ status }) => {
@@ -34,6 +37,12 @@ const getStatusInfo = (status) => {
         color: 'bg-yellow-100 dark:bg-yellow-900 dark:bg-opacity-30 text-yellow-800 dark:text-yellow-300',
         label: 'In Service'
       };
+    case 'paused':
+      return {
+        icon: <FaPause className="mr-1" />,
+        color: 'bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200',
+        label: 'Paused'
+      };
     case 'completed':
       return {
         icon: <FaCheckCircle className="mr-1" />,
@@ -64,8 +73,90 @@ const formatRelativeTime = (dateString) => {
   }
 };
 
+// Format a calendar day (yyyy-MM-dd) for display
+const formatServiceDate = (dateString) => {
+  try {
+    return format(parseISO(dateString), 'EEE, d MMM yyyy');
+  } catch (e) {
+    return dateString;
+  }
+};
+
+const FREQUENCY_OPTIONS = [
+  { value: 'one-time', label: 'One-time' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'biweekly', label: 'Bi-weekly' },
+  { value: 'monthly', label: 'Monthly' }
+];
+
+// Upcoming service dates generated by the schedule engine
+const UpcomingServiceDates = ({ occurrences = [] }) => {
+  if (occurrences.length === 0) {
+    return (
+      <p className="text-gray-500 dark:text-gray-400 text-sm">No upcoming service dates</p>
+    );
+  }
+
+  return (
+    <ul className="space-y-1">
+      {occurrences.slice(0, 4).map((occurrence) => (
+        <li key={occurrence.id || occurrence.original_date} className="text-sm flex flex-wrap items-center gap-2">
+          <span className={`text-gray-900 dark:text-gray-200 ${occurrence.status !== 'scheduled' ? 'line-through opacity-60' : ''}`}>
+            {formatServiceDate(occurrence.scheduled_date)}
+          </span>
+          {occurrence.status === 'skipped' && (
+            <span className="px-2 py-0.5 rounded text-xs bg-gray-100 dark:bg-gray-600 text-gray-600 dark:text-gray-300">Skipped</span>
+          )}
+          {occurrence.status === 'paused' && (
+            <span className="px-2 py-0.5 rounded text-xs bg-gray-100 dark:bg-gray-600 text-gray-600 dark:text-gray-300">Paused</span>
+          )}
+          {occurrence.holiday_name && occurrence.scheduled_date !== occurrence.original_date && (
+            <span className="text-xs text-amber-600 dark:text-amber-400">
+              Moved from {formatServiceDate(occurrence.original_date)} ({occurrence.holiday_name})
+            </span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// What the upcoming schedule costs and what skips/pauses save
+const ScheduleCostSummary = ({ pickup, occurrences = [] }) => {
+  if (occurrences.length === 0) return null;
+
+  const estimate = getScheduleCostEstimate({
+    occurrences,
+    fee_per_service: pickup.fee,
+    bin_size_liters: pickup.bin_size_liters,
+    is_urgent: pickup.is_urgent,
+    bag_count: pickup.bag_count
+  });
+
+  return (
+    <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+      Next {estimate.billable_count} service{estimate.billable_count !== 1 ? 's' : ''}: {formatCurrency(estimate.billable_total)}
+      {estimate.excluded_count > 0 && (
+        <span className="text-green-600 dark:text-green-400">
+          {' • '}Not billed: {formatCurrency(estimate.excluded_total)} ({estimate.excluded_count} skipped/paused)
+        </span>
+      )}
+    </p>
+  );
+};
+
 // Single QR code card component
-const QRCodeCard = ({ pickup, onCancel, onShare, onRefresh }) => {
+const QRCodeCard = ({ 
+  pickup, 
+  occurrences = [], 
+  onCancel, 
+  onShare, 
+  onChangeFrequency, 
+  onPauseBin, 
+  onResumeBin, 
+  onSkipNext, 
+  onRefresh 
+}) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [isImageLoaded, setIsImageLoaded] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
@@ -73,6 +164,14 @@ const QRCodeCard = ({ pickup, onCancel, onShare, onRefresh }) => {
   const [isFullScreenQR, setIsFullScreenQR] = useState(false);
   const [qrCodeUrl, setQrCodeUrl] = useState(pickup.qr_code_url);
   const [qrCodeData, setQrCodeData] = useState(null);
+  const [showPauseForm, setShowPauseForm] = useState(false);
+  const [pauseUntil, setPauseUntil] = useState('');
+  const [isUpdatingSchedule, setIsUpdatingSchedule] = useState(false);
+  
+  const scheduleStatus = pickup.status === 'paused' ? 'paused' : 'active';
+  const canSchedule = (action) => 
+    (pickup.status === 'active' || pickup.status === 'paused') &&
+    statusService.canPerformScheduleAction(scheduleStatus, action);
   
   // Load QR code from local storage when component mounts
   useEffect(() => {
@@ -116,6 +215,38 @@ const QRCodeCard = ({ pickup, onCancel, onShare, onRefresh }) => {
     onCancel(pickup.id);
   };
   
+  // Run a schedule action while blocking repeated taps
+  const runScheduleAction = async (e, action) => {
+    e.stopPropagation();
+    if (isUpdatingSchedule) return;
+    setIsUpdatingSchedule(true);
+    try {
+      await action();
+    } finally {
+      setIsUpdatingSchedule(false);
+    }
+  };
+  
+  const handlePauseSubmit = (e) => runScheduleAction(e, async () => {
+    if (!pauseUntil) return;
+    await onPauseBin?.(pickup.id, pauseUntil);
+    setShowPauseForm(false);
+    setPauseUntil('');
+  });
+  
+  const getMaxPauseDate = () => {
+    const maxDate = new Date();
+    maxDate.setDate(maxDate.getDate() + MAX_PAUSE_DAYS);
+    return toDateKey(maxDate);
+  };
+  
+  const handleFrequencyChange = (e) => {
+    e.stopPropagation();
+    if (e.target.value !== pickup.frequency) {
+      onChangeFrequency?.(pickup.id, e.target.value);
+    }
+  };
+  
   const handleRefreshQR = async (e) => {
     e.stopPropagation();
     const locationId = pickup.location_id;
@@ -319,9 +450,96 @@ const QRCodeCard = ({ pickup, onCancel, onShare, onRefresh }) => {
                           }`
                       : 'Not specified'}
                   </p>
+                  {pickup.status === 'paused' && pickup.paused_until && (
+                    <p className="text-sm text-gray-600 dark:text-gray-400">
+                      Paused until {formatServiceDate(pickup.paused_until)}
+                    </p>
+                  )}
+                  {(pickup.status === 'active' || pickup.status === 'paused') && onChangeFrequency && (
+                    <select
+                      value={pickup.frequency || 'one-time'}
+                      onChange={handleFrequencyChange}
+                      onClick={(e) => e.stopPropagation()}
+                      className="mt-2 p-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-200"
+                      aria-label="Change service frequency"
+                    >
+                      {FREQUENCY_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  )}
                 </div>
               </div>
               
+              {(pickup.status === 'active' || pickup.status === 'in_service' || pickup.status === 'paused') && (
+                <div className="flex items-start">
+                  <FaCalendarAlt className="mt-1 mr-2 text-gray-400 dark:text-gray-500 flex-shrink-0" />
+                  <div className="flex-1">
+                    <h4 className="text-sm font-medium text-gray-500 dark:text-gray-400">Upcoming Service</h4>
+                    <UpcomingServiceDates occurrences={occurrences} />
+                    <ScheduleCostSummary pickup={pickup} occurrences={occurrences} />
+                    
+                    {/* Schedule controls */}
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {canSchedule('skip') && onSkipNext && (
+                        <button
+                          className="px-3 py-1 text-xs font-medium rounded-md border border-gray-300 dark:border-gray-500 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-600 flex items-center disabled:opacity-50"
+                          onClick={(e) => runScheduleAction(e, () => onSkipNext(pickup.id))}
+                          disabled={isUpdatingSchedule}
+                        >
+                          <FaForward className="mr-1" size={10} />
+                          Skip next
+                        </button>
+                      )}
+                      {canSchedule('pause') && onPauseBin && (
+                        <button
+                          className="px-3 py-1 text-xs font-medium rounded-md border border-gray-300 dark:border-gray-500 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-600 flex items-center disabled:opacity-50"
+                          onClick={(e) => { e.stopPropagation(); setShowPauseForm(!showPauseForm); }}
+                          disabled={isUpdatingSchedule}
+                        >
+                          <FaPause className="mr-1" size={10} />
+                          Pause
+                        </button>
+                      )}
+                      {canSchedule('resume') && onResumeBin && (
+                        <button
+                          className="px-3 py-1 text-xs font-medium rounded-md bg-primary text-white hover:bg-primary-dark flex items-center disabled:opacity-50"
+                          onClick={(e) => runScheduleAction(e, () => onResumeBin(pickup.id))}
+                          disabled={isUpdatingSchedule}
+                        >
+                          <FaPlay className="mr-1" size={10} />
+                          Resume
+                        </button>
+                      )}
+                    </div>
+                    
+                    {showPauseForm && (
+                      <div className="mt-3 flex items-center gap-2" onClick={(e) => e.stopPropagation()}>
+                        <label htmlFor={`pause-until-${pickup.id}`} className="text-xs text-gray-600 dark:text-gray-400">
+                          Pause until
+                        </label>
+                        <input
+                          id={`pause-until-${pickup.id}`}
+                          type="date"
+                          value={pauseUntil}
+                          min={toDateKey(new Date())}
+                          max={getMaxPauseDate()}
+                          onChange={(e) => setPauseUntil(e.target.value)}
+                          className="p-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-200"
+                        />
+                        <button
+                          className="px-3 py-1 text-xs font-medium rounded-md bg-primary text-white disabled:opacity-50"
+                          onClick={handlePauseSubmit}
+                          disabled={!pauseUntil || isUpdatingSchedule}
+                        >
+                          Confirm
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+              
               <div className="flex items-start">
                 <FaMapMarkerAlt className="mt-1 mr-2 text-gray-400 dark:text-gray-500 flex-shrink-0" />
                 <div>
@@ -384,7 +602,7 @@ const QRCodeCard = ({ pickup, onCancel, onShare, onRefresh }) => {
                 Show Less
               </button>
               
-              {pickup.status === 'active' && (
+              {(pickup.status === 'active' || pickup.status === 'paused') && (
                 <button 
                   className="text-red-500 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 text-sm font-medium flex items-center"
                   onClick={handleCancel}
@@ -450,6 +668,11 @@ const QRCodeList = ({
   pickups = [], 
   onCancelPickup, 
   onShareQRCode,
+  onChangeFrequency,
+  onPauseBin,
+  onResumeBin,
+  onSkipNext,
+  occurrencesByBin = {},
   isLoading = false,
   emptyStateMessage = "No digital bins found."
 }) => {
@@ -481,8 +704,13 @@ const QRCodeList = ({
         <QRCodeCard 
           key={pickup.id} 
           pickup={pickup} 
+          occurrences={occurrencesByBin[pickup.id]}
           onCancel={onCancelPickup}
           onShare={onShareQRCode}
+          onChangeFrequency={onChangeFrequency}
+          onPauseBin={onPauseBin}
+          onResumeBin={onResumeBin}
+          onSkipNext={onSkipNext}
         />
       ))}
     </div>
@@ -1,18 +1,64 @@
 import React, { useState, useEffect } from 'react';
 import { getCostBreakdown, getCostBreakdownWithGPS, formatCurrency, getBinSizeLabelShort } from '../../utils/costCalculator';
+import quoteService from '../../services/quoteService.js';
+import { formatSnapshotAge } from '../../services/pricingSnapshotService.js';
+import promoService, { describePromo, PROMO_SERVICE_TYPES } from '../../services/promoService.js';
+import pointsService from '../../services/pointsService.js';
+import { useAuth } from '../../context/AuthContext.js';
+import PromoCodeInput from '../PromoCodeInput.js';
 
 const ReviewStep = ({ formData, prevStep, handleSubmit }) => {
+  const { user } = useAuth();
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isLoadingPrice, setIsLoadingPrice] = useState(false);
   const [costBreakdown, setCostBreakdown] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [promoCode, setPromoCode] = useState(null);
+  const [promo, setPromo] = useState(null);
   
-  // Fetch GPS-based pricing on mount with cancellation support
+  // Fetch server quote on mount, falling back to a GPS estimate, with cancellation support
   useEffect(() => {
     let isCancelled = false;
     
-    const fetchGPSPricing = async () => {
+    const fetchPricing = async () => {
       setIsLoadingPrice(true);
+      const binCount = parseInt(formData.numberOfBags || formData.bag_count) || 1;
+      let tier = null;
       try {
+        // Server-authoritative quote (binding until it expires)
+        const { data: serverQuote, error: quoteError } = await quoteService.requestQuote({
+          bin_size_liters: formData.bin_size_liters,
+          bag_count: binCount,
+          is_urgent: formData.is_urgent || false,
+          frequency: formData.frequency,
+          waste_type: formData.wasteType || formData.waste_type,
+          latitude: formData.latitude,
+          longitude: formData.longitude,
+          promo_code: promoCode
+        });
+        
+        if (isCancelled) return;
+        if (serverQuote) {
+          console.log('[ReviewStep] Server quote:', serverQuote.quote_id, serverQuote.breakdown);
+          setQuote(serverQuote);
+          setCostBreakdown(serverQuote.breakdown);
+          return;
+        }
+        if (quoteError?.code === 'INVALID_PROMO') {
+          // Server rejected the code (e.g. limit reached since validation); re-price without it
+          console.warn('[ReviewStep] Promo rejected by server:', quoteError.message);
+          setPromo(null);
+          setPromoCode(null);
+          return;
+        }
+        console.warn('[ReviewStep] Server quote unavailable, showing estimate:', quoteError?.message);
+        setQuote(null);
+
+        // The server takes the loyalty tier's share off the request fee; mirror it in the estimate
+        if (user?.id) {
+          ({ data: tier } = await pointsService.getTier(user.id));
+        }
+
         // Use GPS-based pricing with user's location coordinates
         const breakdown = await getCostBreakdownWithGPS({
           bin_size_liters: formData.bin_size_liters,
@@ -21,10 +67,13 @@ const ReviewStep = ({ formData, prevStep, handleSubmit }) => {
           frequency: formData.frequency,
           waste_type: formData.wasteType || formData.waste_type,
           is_urgent: formData.is_urgent,
-          bag_count: formData.numberOfBags || formData.bag_count || 1,
+          bag_count: binCount,
           distance_km: 0,
           on_site_charges: 0,
-          discount_amount: 0
+          discount_amount: 0,
+          user_id: user?.id || null,
+          promo: promoCode ? promo : null,
+          tier
         });
         
         // Only update state if component is still mounted
@@ -42,10 +91,11 @@ const ReviewStep = ({ formData, prevStep, handleSubmit }) => {
           frequency: formData.frequency,
           waste_type: formData.wasteType || formData.waste_type,
           is_urgent: formData.is_urgent,
-          bag_count: formData.numberOfBags || formData.bag_count || 1,
+          bag_count: binCount,
           distance_km: 0,
           on_site_charges: 0,
-          discount_amount: 0
+          discount_amount: 0,
+          tier
         });
         setCostBreakdown(fallbackBreakdown);
       } finally {
@@ -55,13 +105,27 @@ const ReviewStep = ({ formData, prevStep, handleSubmit }) => {
       }
     };
 
-    fetchGPSPricing();
+    fetchPricing();
     
     // Cleanup function to prevent state updates on unmounted component
     return () => {
       isCancelled = true;
     };
-  }, [formData.bin_size_liters, formData.latitude, formData.longitude, formData.frequency, formData.wasteType, formData.waste_type, formData.is_urgent, formData.numberOfBags, formData.bag_count]);
+  }, [formData.bin_size_liters, formData.latitude, formData.longitude, formData.frequency, formData.wasteType, formData.waste_type, formData.is_urgent, formData.numberOfBags, formData.bag_count, user?.id, promoCode, promo]);
+
+  // Validate a promo code, then re-price with it applied
+  const handleApplyPromo = async (code) => {
+    const { data, error } = await promoService.validatePromoCode(code, PROMO_SERVICE_TYPES.DIGITAL_BIN);
+    if (error) return { error };
+    setPromo(data);
+    setPromoCode(data.code);
+    return { error: null };
+  };
+
+  const handleRemovePromo = () => {
+    setPromo(null);
+    setPromoCode(null);
+  };
   
   // Format waste type for display
   const formatWasteType = (type) => {
@@ -109,7 +173,8 @@ const ReviewStep = ({ formData, prevStep, handleSubmit }) => {
   const onSubmit = async () => {
     setIsSubmitting(true);
     try {
-      await handleSubmit();
+      // Reuse the displayed quote so the user is billed what they saw
+      await handleSubmit(quote);
     } catch (error) {
       console.error('Error submitting form:', error);
       setIsSubmitting(false);
@@ -203,7 +268,7 @@ const ReviewStep = ({ formData, prevStep, handleSubmit }) => {
       )}
       
       <div className="bg-blue-50 p-4 rounded-md mb-6 border border-blue-200">
-        <h3 className="text-lg font-semibold mb-3 text-gray-900">Estimated Cost</h3>
+        <h3 className="text-lg font-semibold mb-3 text-gray-900">{quote ? 'Price' : 'Estimated Cost'}</h3>
         
         {isLoadingPrice || !costBreakdown ? (
           <div className="bg-white p-3 rounded-md mb-3 flex items-center justify-center py-8">
@@ -218,6 +283,13 @@ const ReviewStep = ({ formData, prevStep, handleSubmit }) => {
                 <span className="text-green-800 font-medium">📍 Location-based pricing for {costBreakdown.pricing_zone.suburb || costBreakdown.pricing_zone.community}</span>
               </div>
             )}
+            {costBreakdown.pricing_source === 'snapshot' && costBreakdown.pricing_zone && (
+              <div className="bg-yellow-50 border border-yellow-300 rounded-md p-2 mb-3 text-sm">
+                <span className="text-yellow-800 font-medium">
+                  📍 Offline pricing for {costBreakdown.pricing_zone.suburb || costBreakdown.pricing_zone.community} · zone prices updated {formatSnapshotAge(costBreakdown.pricing_zone.snapshot_synced_at)}
+                </span>
+              </div>
+            )}
             
             {/* Line items breakdown */}
             <div className="bg-white p-3 rounded-md mb-3 space-y-2">
@@ -266,27 +338,42 @@ const ReviewStep = ({ formData, prevStep, handleSubmit }) => {
                 </div>
               )}
               
-              {/* Conditional: Show discount only if applicable */}
-              {costBreakdown.display?.discount && (
-                <div className="flex justify-between items-center">
+              {/* Conditional: Show each discount (welcome, promo) only if applicable */}
+              {costBreakdown.display?.discount && (costBreakdown.discounts?.length ? costBreakdown.discounts : [{ code: 'DISCOUNT', label: 'Discount', amount: costBreakdown.discount_applied }]).map((discount) => (
+                <div key={discount.code} className="flex justify-between items-center">
                   <span className="text-sm text-green-700 font-medium">
-                    Discount
+                    {discount.label}
                   </span>
                   <span className="text-sm text-green-700 font-semibold">
-                    -{formatCurrency(costBreakdown.discount_applied)}
+                    -{formatCurrency(discount.amount)}
                   </span>
                 </div>
-              )}
+              ))}
               
               {/* Always show request fee */}
               <div className="flex justify-between items-center pt-2 border-t border-gray-200">
                 <span className="text-sm text-gray-700 font-medium">
                   Request fee
+                  {costBreakdown.request_fee_discounts?.length > 0 && (
+                    <span className="text-green-700"> ({costBreakdown.request_fee_discounts.map((discount) => discount.label).join(', ')})</span>
+                  )}
                 </span>
                 <span className="text-sm text-gray-900 font-semibold">
                   {formatCurrency(costBreakdown.request_fee)}
                 </span>
               </div>
+              
+              {/* Conditional: Show each tax/levy only if applicable */}
+              {costBreakdown.display?.taxes && costBreakdown.taxes.map((tax) => (
+                <div key={tax.code} className="flex justify-between items-center">
+                  <span className="text-sm text-gray-700 font-medium">
+                    {tax.label}
+                  </span>
+                  <span className="text-sm text-gray-900 font-semibold">
+                    {formatCurrency(tax.amount)}
+                  </span>
+                </div>
+              ))}
             </div>
             
             {/* Total */}
@@ -299,9 +386,25 @@ const ReviewStep = ({ formData, prevStep, handleSubmit }) => {
           </>
         )}
         
-        <p className="text-xs text-gray-600 mt-3 italic">
-          ⚠️ Estimate only. Final price calculated at confirmation.
-        </p>
+        <div className="mt-4">
+          <PromoCodeInput
+            appliedCode={promoCode}
+            appliedLabel={describePromo(promo)}
+            onApply={handleApplyPromo}
+            onRemove={handleRemovePromo}
+            disabled={isSubmitting || isLoadingPrice}
+          />
+        </div>
+        
+        {quote ? (
+          <p className="text-xs text-gray-600 mt-3 italic">
+            Price held until {new Date(quote.expires_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.
+          </p>
+        ) : (
+          <p className="text-xs text-gray-600 mt-3 italic">
+            ⚠️ Estimate only. Final price calculated at confirmation.
+          </p>
+        )}
       </div>
       
       <div className="flex justify-between mt-6">
@@ -4,6 +4,8 @@ import { useAuth } from '../../context/AuthContext.js';
 import supabase from '../../utils/supabaseClient.js';
 import QRCodeList from './QRCodeList.js';
 import { subscribeToPickupUpdates, handlePickupUpdate } from '../../utils/realtime.js';
+import binScheduleService from '../../services/binScheduleService.js';
+import toastService from '../../services/toastService.js';
 import debug from '../../utils/debug.js';
 
 const ScheduledQRTab = ({ scheduledPickups = [], onRefresh, isLoading }) => {
@@ -11,6 +13,7 @@ const ScheduledQRTab = ({ scheduledPickups = [], onRefresh, isLoading }) => {
   const { user } = useAuth();
   const [activeTab, setActiveTab] = useState('active');
   const [localPickups, setLocalPickups] = useState([]);
+  const [occurrencesByBin, setOccurrencesByBin] = useState({});
   const subscriptionRef = useRef(null);  // Use ref to avoid stale closure in cleanup
   
   // Load persisted QR codes from localStorage on component mount
@@ -30,7 +33,7 @@ const ScheduledQRTab = ({ scheduledPickups = [], onRefresh, isLoading }) => {
             debug.log('[ScheduledQRTab] Loaded', parsedPickups.length, 'digital bins from localStorage');
             
             // Auto-select tab with most items or active tab by default
-            const activeCount = parsedPickups.filter(p => p && (p.status === 'active' || p.status === 'in_service')).length;
+            const activeCount = parsedPickups.filter(p => p && (p.status === 'active' || p.status === 'in_service' || p.status === 'paused')).length;
             const completedCount = parsedPickups.filter(p => p && p.status === 'completed').length;
             const cancelledCount = parsedPickups.filter(p => p && p.status === 'cancelled').length;
             
@@ -147,9 +150,28 @@ const ScheduledQRTab = ({ scheduledPickups = [], onRefresh, isLoading }) => {
     });
   }, []);
   
+  // Load upcoming service dates for active bins
+  useEffect(() => {
+    const scheduledBins = localPickups.filter(
+      bin => bin && (bin.status === 'active' || bin.status === 'in_service' || bin.status === 'paused')
+    );
+    if (scheduledBins.length === 0) return;
+
+    let isCurrent = true;
+    binScheduleService.getUpcomingOccurrences(scheduledBins).then(({ data }) => {
+      if (isCurrent) {
+        setOccurrencesByBin(data);
+      }
+    });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [localPickups]);
+  
   // Filter bins by status
   const activeBins = localPickups.filter(
-    bin => bin && (bin.status === 'active' || bin.status === 'in_service')
+    bin => bin && (bin.status === 'active' || bin.status === 'in_service' || bin.status === 'paused')
   );
   
   const completedBins = localPickups.filter(
@@ -189,6 +211,7 @@ const ScheduledQRTab = ({ scheduledPickups = [], onRefresh, isLoading }) => {
         .from('digital_bins')
         .update({ 
           is_active: false,
+          schedule_status: 'cancelled',
           updated_at: new Date().toISOString()
         })
         .eq('id', binId);
@@ -219,6 +242,99 @@ const ScheduledQRTab = ({ scheduledPickups = [], onRefresh, isLoading }) => {
     }
   };
   
+  // Handle frequency change - occurrences are regenerated to match
+  const handleChangeFrequency = async (binId, frequency) => {
+    const previousBins = localPickups;
+    const updatedBins = localPickups.map(bin => 
+      bin.id === binId ? { ...bin, frequency, lastUpdated: new Date().toISOString() } : bin
+    );
+    
+    setLocalPickups(updatedBins);
+    localStorage.setItem('digitalBins', JSON.stringify(updatedBins));
+    
+    const { data, error } = await binScheduleService.updateBinFrequency(binId, frequency);
+    
+    if (error) {
+      console.error('Error updating digital bin frequency:', error);
+      setLocalPickups(previousBins);
+      localStorage.setItem('digitalBins', JSON.stringify(previousBins));
+      alert('Failed to update service frequency. Please try again.');
+      return;
+    }
+    
+    setOccurrencesByBin(prev => ({
+      ...prev,
+      [binId]: data.occurrences?.length ? data.occurrences : binScheduleService.previewOccurrences(data)
+    }));
+    onRefresh();
+  };
+  
+  // Apply a schedule change returned by binScheduleService to local state
+  const applyScheduleUpdate = (updatedBin, status) => {
+    const updatedBins = localPickups.map(bin => 
+      bin.id === updatedBin.id
+        ? {
+            ...bin,
+            schedule_status: updatedBin.schedule_status,
+            paused_until: updatedBin.paused_until,
+            status,
+            lastUpdated: new Date().toISOString()
+          }
+        : bin
+    );
+    
+    setLocalPickups(updatedBins);
+    localStorage.setItem('digitalBins', JSON.stringify(updatedBins));
+    setOccurrencesByBin(prev => ({
+      ...prev,
+      [updatedBin.id]: updatedBin.occurrences?.length
+        ? updatedBin.occurrences
+        : binScheduleService.previewOccurrences(updatedBin)
+    }));
+  };
+  
+  // Handle pausing service until a date
+  const handlePauseBin = async (binId, pausedUntil) => {
+    const bin = localPickups.find(b => b.id === binId);
+    const { data, error } = await binScheduleService.pauseBin(bin, pausedUntil);
+    
+    if (error) {
+      alert(error.message || 'Failed to pause digital bin. Please try again.');
+      return;
+    }
+    
+    applyScheduleUpdate(data, 'paused');
+    toastService.success(`Service paused until ${pausedUntil}`);
+  };
+  
+  // Handle resuming a paused bin
+  const handleResumeBin = async (binId) => {
+    const bin = localPickups.find(b => b.id === binId);
+    const { data, error } = await binScheduleService.resumeBin(bin);
+    
+    if (error) {
+      alert(error.message || 'Failed to resume digital bin. Please try again.');
+      return;
+    }
+    
+    applyScheduleUpdate(data, 'active');
+    toastService.success('Service resumed');
+  };
+  
+  // Handle skipping only the next service
+  const handleSkipNext = async (binId) => {
+    const bin = localPickups.find(b => b.id === binId);
+    const { data, error } = await binScheduleService.skipNextOccurrence(bin);
+    
+    if (error) {
+      alert(error.message || 'Failed to skip the next service. Please try again.');
+      return;
+    }
+    
+    setOccurrencesByBin(prev => ({ ...prev, [binId]: data.occurrences }));
+    toastService.success(`Service on ${data.skipped.scheduled_date} skipped`);
+  };
+  
   // Handle QR code sharing
   const handleShareQRCode = async (bin) => {
     if (!bin.qrCode) {
@@ -374,6 +490,11 @@ const ScheduledQRTab = ({ scheduledPickups = [], onRefresh, isLoading }) => {
               pickups={getCurrentBins()}
               onCancelPickup={handleCancelBin}
               onShareQRCode={handleShareQRCode}
+              onChangeFrequency={handleChangeFrequency}
+              onPauseBin={handlePauseBin}
+              onResumeBin={handleResumeBin}
+              onSkipNext={handleSkipNext}
+              occurrencesByBin={occurrencesByBin}
               onRefresh={onRefresh}
               isLoading={isLoading}
               emptyStateMessage={getEmptyStateMessage()}
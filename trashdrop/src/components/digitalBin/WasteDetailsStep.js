@@ -1,5 +1,6 @@
 import React from 'react';
-import { BIN_SIZES, getBinSizeLabel } from '../../utils/costCalculator';
+import { BIN_SIZES } from '../../utils/pricingCatalogue';
+import { getBinSizeLabel } from '../../utils/costCalculator';
 
 const WasteDetailsStep = ({ formData, updateFormData, nextStep, prevStep }) => {
   // Validation: Bin size is required
@@ -0,0 +1,14 @@
+import React from 'react';
+import { useAuth } from '../../context/AuthContext.js';
+import BadgeGallery from '../BadgeGallery.js';
+
+/**
+ * Badges tab component for the Profile page
+ */
+const Badges = () => {
+  const { user } = useAuth();
+
+  return <BadgeGallery userId={user?.id} />;
+};
+
+export default Badges;
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext.js';
 import { useTheme } from '../../context/ThemeContext.js';
 import supabase from '../../utils/supabaseClient.js';
+import { RECYCLABLES_CREDIT_TYPES, RECYCLABLES_POINTS_PER_CEDI } from '../../services/recyclablesService.js';
 
 /**
  * Preferences tab component for the Profile page
@@ -17,7 +18,8 @@ const Preferences = () => {
     language: 'en-US',
     highContrast: false,
     largerText: false,
-    reduceMotion: false
+    reduceMotion: false,
+    recyclablesCredit: RECYCLABLES_CREDIT_TYPES.WALLET
   });
   
   const [isLoading, setIsLoading] = useState(true);
@@ -39,7 +41,7 @@ const Preferences = () => {
         // Fetch user preferences from Supabase profiles table
         const { data: profileData, error } = await supabase
           .from('profiles')
-          .select('dark_mode, language, notification_preferences')
+          .select('dark_mode, language, notification_preferences, recyclables_credit_type')
           .eq('id', user.id)
           .maybeSingle();
         
@@ -57,7 +59,8 @@ const Preferences = () => {
             language: profileData.language || 'en-US',
             highContrast: accessibilitySettings.highContrast || false,
             largerText: accessibilitySettings.largerText || false,
-            reduceMotion: accessibilitySettings.reduceMotion || false
+            reduceMotion: accessibilitySettings.reduceMotion || false,
+            recyclablesCredit: profileData.recyclables_credit_type || RECYCLABLES_CREDIT_TYPES.WALLET
           };
           
           setPreferences(loadedPreferences);
@@ -134,6 +137,7 @@ const Preferences = () => {
           dark_mode: preferences.darkMode,
           language: preferences.language,
           notification_preferences: updatedNotificationPrefs,
+          recyclables_credit_type: preferences.recyclablesCredit,
           updated_at: new Date().toISOString()
         })
         .eq('id', user.id);
@@ -254,6 +258,26 @@ const Preferences = () => {
           </div>
         </section>
 
+        {/* Recyclables Credit Section */}
+        <section className="mb-8">
+          <h2 className="text-xl font-semibold mb-4 text-gray-900 dark:text-gray-100">Recyclables Credit</h2>
+          <div>
+            <select
+              id="recyclables-credit"
+              name="recyclablesCredit"
+              value={preferences.recyclablesCredit}
+              onChange={(e) => setPreferences({ ...preferences, recyclablesCredit: e.target.value })}
+              className="w-full md:w-72 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value={RECYCLABLES_CREDIT_TYPES.WALLET}>Wallet credit</option>
+              <option value={RECYCLABLES_CREDIT_TYPES.POINTS}>Reward points ({RECYCLABLES_POINTS_PER_CEDI} per ₵1)</option>
+            </select>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              Your 25% share of the value of recyclables collected from you
+            </p>
+          </div>
+        </section>
+
         {/* Accessibility Section */}
         <section>
           <h2 className="text-xl font-semibold mb-4 text-gray-900 dark:text-gray-100">Accessibility</h2>
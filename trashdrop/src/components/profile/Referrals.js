@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../context/AuthContext.js';
+import promoService from '../../services/promoService.js';
+import { formatCurrency } from '../../utils/costCalculator.js';
+
+/**
+ * Referrals tab component for the Profile page
+ * Shows the user's referral code and credit, and lets new customers enter a friend's code
+ */
+const Referrals = () => {
+  const { user } = useAuth();
+
+  const [referralCode, setReferralCode] = useState(null);
+  const [creditBalance, setCreditBalance] = useState(0);
+  const [referrals, setReferrals] = useState([]);
+  const [friendCode, setFriendCode] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isApplying, setIsApplying] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadReferrals = useCallback(async () => {
+    if (!user?.id) {
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+    const [codeResult, balanceResult, referralsResult] = await Promise.all([
+      promoService.getReferralCode(user.id),
+      promoService.getReferralCreditBalance(user.id),
+      promoService.getReferrals(user.id)
+    ]);
+
+    setReferralCode(codeResult.data);
+    setCreditBalance(balanceResult.data);
+    setReferrals(referralsResult.data);
+    setIsLoading(false);
+  }, [user?.id]);
+
+  useEffect(() => {
+    loadReferrals();
+  }, [loadReferrals]);
+
+  const alreadyReferred = referrals.some(r => r.referee_id === user?.id);
+  const invited = referrals.filter(r => r.referrer_id === user?.id);
+
+  const handleShare = async () => {
+    const text = `Join me on TrashDrop! Use my referral code ${referralCode} and we both get credit after your first pickup.`;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: 'TrashDrop referral', text });
+      } else {
+        await navigator.clipboard.writeText(referralCode);
+        setMessage({ type: 'success', text: 'Referral code copied' });
+      }
+    } catch (error) {
+      console.warn('[Referrals] Share cancelled or failed:', error);
+    }
+  };
+
+  const handleApplyCode = async (e) => {
+    e.preventDefault();
+    setIsApplying(true);
+    setMessage(null);
+
+    const { error } = await promoService.applyReferralCode(friendCode);
+    if (error) {
+      setMessage({ type: 'error', text: error.message });
+    } else {
+      setFriendCode('');
+      setMessage({ type: 'success', text: 'Referral code applied. You will both be credited after your first completed pickup.' });
+      await loadReferrals();
+    }
+    setIsApplying(false);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm">
+        <div className="flex justify-center items-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          <span className="ml-3 text-gray-600">Loading referrals...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm">
+      {message && (
+        <div className={`mb-4 p-3 rounded-md ${
+          message.type === 'success' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      <section className="mb-8">
+        <h2 className="text-xl font-semibold mb-2 text-gray-900 dark:text-gray-100">Your Referral Code</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+          Share your code. When a friend completes their first pickup, you both get credit off your next digital bin.
+        </p>
+        <div className="flex items-center space-x-3">
+          <span className="px-4 py-2 bg-gray-100 dark:bg-gray-700 rounded-md font-mono text-lg tracking-widest text-gray-900 dark:text-white">
+            {referralCode || '—'}
+          </span>
+          {referralCode && (
+            <button
+              type="button"
+              onClick={handleShare}
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600"
+            >
+              Share
+            </button>
+          )}
+        </div>
+      </section>
+
+      <section className="mb-8">
+        <h2 className="text-xl font-semibold mb-2 text-gray-900 dark:text-gray-100">Referral Credit</h2>
+        <p className="text-2xl font-bold text-green-600">{formatCurrency(creditBalance)}</p>
+        <p className="text-sm text-gray-600 dark:text-gray-400">Applied automatically to your next digital bin.</p>
+        {invited.length > 0 && (
+          <ul className="mt-4 divide-y divide-gray-200 dark:divide-gray-700">
+            {invited.map(referral => (
+              <li key={referral.id} className="py-2 flex justify-between text-sm">
+                <span className="text-gray-700 dark:text-gray-300">
+                  Friend invited {new Date(referral.created_at).toLocaleDateString()}
+                </span>
+                <span className={referral.status === 'credited' ? 'text-green-600' : 'text-gray-500'}>
+                  {referral.status === 'credited' ? `+${formatCurrency(referral.referrer_credit)}` : 'Awaiting first pickup'}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {!alreadyReferred && (
+        <section>
+          <h2 className="text-xl font-semibold mb-2 text-gray-900 dark:text-gray-100">Have a Friend's Code?</h2>
+          <form onSubmit={handleApplyCode} className="flex space-x-2">
+            <input
+              type="text"
+              value={friendCode}
+              onChange={(e) => setFriendCode(e.target.value.toUpperCase())}
+              placeholder="Referral code"
+              maxLength={12}
+              className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md uppercase dark:bg-gray-700 dark:text-white"
+            />
+            <button
+              type="submit"
+              disabled={isApplying || !friendCode.trim()}
+              className="px-4 py-2 bg-gray-800 text-white rounded-md hover:bg-gray-900 disabled:opacity-50"
+            >
+              {isApplying ? 'Applying...' : 'Apply'}
+            </button>
+          </form>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default Referrals;
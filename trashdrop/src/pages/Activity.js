@@ -1,7 +1,13 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext.js';
 import supabase from '../utils/supabaseClient.js';
 import LoadingSpinner from '../components/LoadingSpinner.js';
+import ReceiptButton from '../components/ReceiptButton.js';
+import DisputeButton from '../components/DisputeButton.js';
+import { disputeService } from '../services/disputeService.js';
+import { receiptService } from '../services/receiptService.js';
+import { formatCurrency } from '../utils/costCalculator.js';
 
 /**
  * Activity page to display user's complete activity history
@@ -13,6 +19,7 @@ const Activity = () => {
   const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [error, setError] = useState('');
   const [filter, setFilter] = useState('all');
+  const [disputes, setDisputes] = useState({});
   const [hasMoreData, setHasMoreData] = useState(true);
   const [cursors, setCursors] = useState({
     user_activity: null,
@@ -410,7 +417,9 @@ const Activity = () => {
             related_id: activity.id,
             description: `Digital bin (${activity.frequency})`,
             address: locationName,
-            created_at: activity.created_at
+            created_at: activity.created_at,
+            receipt_available: receiptService.isReceiptAvailable(activity.status),
+            tip: Number(activity.collector_tips) || 0
           };
         } else if (activity._source === 'batches') {
           const batchNumber = activity.batch_number || activity.code || activity.id;
@@ -503,6 +512,33 @@ const Activity = () => {
     fetchActivities(false);
   }, [user?.id, filter]);
 
+  // Disputes raised against completed collections, keyed by the disputed record
+  useEffect(() => {
+    if (!user?.id) return;
+    disputeService.getUserDisputes(user.id).then(({ data }) => {
+      const byRequest = {};
+      data.forEach((dispute) => {
+        if (dispute.status !== 'withdrawn' && !byRequest[dispute.request_id]) {
+          byRequest[dispute.request_id] = dispute;
+        }
+      });
+      setDisputes(byRequest);
+    });
+  }, [user?.id]);
+
+  const handleDisputeChange = (dispute) => {
+    if (!dispute) return;
+    setDisputes((prev) => {
+      const next = { ...prev };
+      if (dispute.status === 'withdrawn') {
+        delete next[dispute.request_id];
+      } else {
+        next[dispute.request_id] = dispute;
+      }
+      return next;
+    });
+  };
+
   // Intersection Observer for infinite scroll
   useEffect(() => {
     if (!loadingRef.current || !hasMoreData || isLoading || isLoadingMore) return;
@@ -674,6 +710,23 @@ const Activity = () => {
                     </span>
                   </div>
                 )}
+                {activity.tip > 0 && (
+                  <p className="mt-2 text-sm text-gray-600 dark:text-gray-300">
+                    You tipped {formatCurrency(activity.tip)}
+                  </p>
+                )}
+                {activity.receipt_available && (
+                  <ReceiptButton pickupId={activity.id} className="mt-2" />
+                )}
+                {(activity.receipt_available || (activity.type === 'pickup_request' && activity.status === 'completed')) && !activity.isLocal && (
+                  <DisputeButton
+                    requestType={activity.type}
+                    requestId={activity.id}
+                    dispute={disputes[activity.id]}
+                    onChange={handleDisputeChange}
+                    className="mt-2"
+                  />
+                )}
               </div>
             </div>
           </div>
@@ -713,7 +766,12 @@ const Activity = () => {
       {/* Fixed Header - positioned below navbar */}
       <div className="sticky top-0 bg-gray-50 dark:bg-gray-900 z-10 border-b border-gray-200 dark:border-gray-700" style={{top: '70px'}}>
         <div className="container mx-auto px-4 pt-2 pb-3">
-          <h1 className="text-2xl font-bold text-gray-800 dark:text-gray-100">Activity History</h1>
+          <div className="flex items-center justify-between">
+            <h1 className="text-2xl font-bold text-gray-800 dark:text-gray-100">Activity History</h1>
+            <Link to="/statements" className="text-sm font-medium text-blue-600 dark:text-blue-400 hover:text-blue-700">
+              Monthly statements
+            </Link>
+          </div>
         </div>
         
         {/* Filter tabs - Sticky below header */}
@@ -1,10 +1,11 @@
 import React, { useState, useEffect, useMemo, useCallback, memo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import supabase from '../supabaseClient';
+import supabase from '../utils/supabaseClient.js';
 import { useAuth } from '../context/AuthContext';
 import { processQRCode, updatePickupStatus, completePickup } from '../utils/qrScanner';
 import PaymentAndRating from '../components/collection/PaymentAndRating';
 import { collectorService } from '../services/collectorService';
+import { recyclablesService, splitRecyclablesValue, RECYCLABLES_MAX_WEIGHT_KG } from '../services/recyclablesService.js';
 import GeolocationService from '../utils/geolocationService';
 import { 
   FaQrcode, 
@@ -25,7 +26,8 @@ import {
   FaMinus,
   FaShare,
   FaDownload,
-  FaExpand
+  FaExpand,
+  FaRecycle
 } from 'react-icons/fa';
 import { QRCodeSVG } from 'qrcode.react';
 import { saveAs } from 'file-saver';
@@ -89,6 +91,8 @@ const CollectorPickup = () => {
   const [specialHandling, setSpecialHandling] = useState(false);
   const [contamination, setContamination] = useState(false);
   const [contaminationNotes, setContaminationNotes] = useState('');
+  const [recyclables, setRecyclables] = useState({}); // kg by material code
+  const [recyclableMaterials, setRecyclableMaterials] = useState([]);
   
   // Memoize the form data to prevent unnecessary re-renders
   const formData = useMemo(() => ({
@@ -101,7 +105,8 @@ const CollectorPickup = () => {
     photos,
     specialHandling,
     contamination,
-    contaminationNotes
+    contaminationNotes,
+    recyclables
   }), [
     bagCount, 
     wasteType, 
@@ -112,7 +117,8 @@ const CollectorPickup = () => {
     photos, 
     specialHandling, 
     contamination, 
-    contaminationNotes
+    contaminationNotes,
+    recyclables
   ]);
   
   // Memoized input handler for form fields
@@ -152,6 +158,16 @@ const CollectorPickup = () => {
     }
   }, []);
   
+  // Recyclable weight for one material
+  const handleRecyclableWeightChange = useCallback((material, value) => {
+    setRecyclables(prev => ({ ...prev, [material]: value }));
+  }, []);
+  
+  // Load recyclable materials and prices for the recyclables section
+  useEffect(() => {
+    recyclablesService.getMaterials().then(({ data }) => setRecyclableMaterials(data));
+  }, []);
+  
   // Toggle boolean form fields
   const toggleBooleanField = useCallback((field) => {
     try {
@@ -402,6 +418,17 @@ const CollectorPickup = () => {
       );
       
       if (result.success) {
+        // Value the recyclables for the 60/25/15 split, paid once confirmed; the pickup
+        // itself is already recorded, so a failure here is reported without blocking payment
+        const { error: recyclablesError } = await recyclablesService.recordRecyclables({
+          requestType: 'scheduled_pickup',
+          requestId: currentPickup.id,
+          weights: formData.recyclables
+        });
+        if (recyclablesError) {
+          setError(`Pickup recorded, but recyclables were not: ${recyclablesError.message}`);
+        }
+        
         setCurrentPickup(result.pickup);
         setShowPayment(true);
       } else {
@@ -422,7 +449,7 @@ const CollectorPickup = () => {
     setError('');
     
     try {
-      // Update the pickup with payment and rating info
+      // Update the pickup with payment info (the rating is stored by PaymentAndRating)
       const { error } = await supabase
         .from('scheduled_pickups')
         .update({
@@ -430,8 +457,6 @@ const CollectorPickup = () => {
           payment_method: data.payment.method,
           payment_amount: data.payment.total,
           payment_status: data.payment.status,
-          collector_rating: data.rating,
-          collector_review: data.review,
           completed_at: new Date().toISOString()
         })
         .eq('id', currentPickup.id);
@@ -457,6 +482,7 @@ const CollectorPickup = () => {
     setStatus('ready');
     setBagCount(1);
     setNotes('');
+    setRecyclables({});
   };
   
   // Show QR code for the current pickup
@@ -670,6 +696,8 @@ const CollectorPickup = () => {
   const PickupDetails = memo(({ currentPickup, formData, onInputChange, onToggleTag, onCapturePhoto, onRemovePhoto, onUpdatePhotoNotes, activeTab, setActiveTab, status, showPayment, pickupComplete, onCompletePickup }) => {
     if (!currentPickup) return null;
     
+    const recyclablesSplit = splitRecyclablesValue(formData.recyclables, recyclableMaterials);
+    
     return (
       <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
         <div className="p-6 border-b border-gray-100">
@@ -845,6 +873,41 @@ const CollectorPickup = () => {
                     </div>
                   </div>
                   
+                  {recyclableMaterials.length > 0 && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2 flex items-center">
+                        <FaRecycle className="mr-2 text-green-600" />
+                        Recyclables by material (kg)
+                      </label>
+                      <div className="grid grid-cols-2 gap-3">
+                        {recyclableMaterials.map(material => (
+                          <div key={material.code}>
+                            <label htmlFor={`recyclable-${material.code}`} className="block text-xs text-gray-500 mb-1">
+                              {material.name} (₵{Number(material.price_per_kg).toFixed(2)}/kg)
+                            </label>
+                            <input
+                              type="number"
+                              id={`recyclable-${material.code}`}
+                              step="0.1"
+                              min="0"
+                              max={RECYCLABLES_MAX_WEIGHT_KG}
+                              value={formData.recyclables[material.code] || ''}
+                              onChange={(e) => handleRecyclableWeightChange(material.code, e.target.value)}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary focus:border-primary text-black"
+                              placeholder="0.0"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                      {recyclablesSplit.totalValue > 0 && (
+                        <p className="mt-2 text-xs text-gray-600">
+                          Worth ₵{recyclablesSplit.totalValue.toFixed(2)}: you earn ₵{recyclablesSplit.collectorShare.toFixed(2)},
+                          the household is credited ₵{recyclablesSplit.householdShare.toFixed(2)} once the recyclables are confirmed
+                        </p>
+                      )}
+                    </div>
+                  )}
+                  
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Tags
@@ -1038,6 +1101,23 @@ const CollectorPickup = () => {
                       </div>
                     </div>
                     
+                    {recyclablesSplit.items.length > 0 && (
+                      <div>
+                        <h4 className="text-sm font-medium text-gray-500">Recyclables</h4>
+                        <ul className="mt-1 text-sm text-gray-700 space-y-1">
+                          {recyclablesSplit.items.map(item => (
+                            <li key={item.material} className="flex justify-between">
+                              <span>{recyclableMaterials.find(material => material.code === item.material)?.name} · {item.weightKg} kg</span>
+                              <span>₵{item.value.toFixed(2)}</span>
+                            </li>
+                          ))}
+                        </ul>
+                        <p className="mt-1 text-xs text-gray-500">
+                          Collector ₵{recyclablesSplit.collectorShare.toFixed(2)} · Household ₵{recyclablesSplit.householdShare.toFixed(2)} · Platform ₵{recyclablesSplit.platformShare.toFixed(2)}
+                        </p>
+                      </div>
+                    )}
+                    
                     {formData.tags.length > 0 && (
                       <div>
                         <h4 className="text-sm font-medium text-gray-500">Tags</h4>
@@ -176,7 +176,7 @@ const CollectorTracking = () => {
         
         const { data: profileData, error: profileError } = await supabase
           .from('collector_profiles')
-          .select('current_latitude, current_longitude, current_location, location_updated_at, status, is_online')
+          .select('current_latitude, current_longitude, current_location, location_updated_at, status, is_online, rating, rating_count')
           .eq('user_id', activePickup.collector_id)
           .maybeSingle();
 
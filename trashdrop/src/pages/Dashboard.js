@@ -17,6 +17,8 @@ import { subscribeToStatsUpdates, subscribeToDumpingReports, handleDumpingReport
 import realtimeManager from '../utils/realtimeOptimized.js';
 import seamlessDashboardService from '../services/seamlessDashboardService.js';
 import DataFreshnessIndicator from '../components/DataFreshnessIndicator.js';
+import TierCard from '../components/TierCard.js';
+import ImpactDashboard from '../components/ImpactDashboard.js';
 
 // For development: expose cleanup function
 if (process.env.NODE_ENV === 'development') {
@@ -1487,6 +1489,12 @@ const Dashboard = () => {
         </div>
         )}
 
+        {/* Loyalty tier - shown with recent activity */}
+        {dashboardTab === 'activity' && <TierCard userId={user?.id} />}
+
+        {/* Environmental impact - shown with recent activity */}
+        {dashboardTab === 'activity' && <ImpactDashboard userId={user?.id} />}
+
         {/* Active Pickup Card - shown when pickup tab selected */}
         {dashboardTab === 'pickup' && activePickups && activePickups.length > 0 && (
           <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-lg overflow-hidden mt-6">
@@ -17,6 +17,8 @@ import ReviewStep from '../components/digitalBin/ReviewStep.js';
 import ScheduledQRTab from '../components/digitalBin/ScheduledQRTab.js';
 import { getCostBreakdown } from '../utils/costCalculator.js';
 import { prepareDigitalBinData } from '../services/digitalBinService.js';
+import binScheduleService, { getEffectiveScheduleStatus } from '../services/binScheduleService.js';
+import { toDateKey } from '../utils/scheduleEngine.js';
 import useGpsRefinement from '../hooks/useGpsRefinement.js';
 
 
@@ -216,6 +218,13 @@ function DigitalBin() {
             frequency,
             waste_type,
             bag_count,
+            bin_size_liters,
+            is_urgent,
+            start_date,
+            preferred_time,
+            schedule_status,
+            paused_until,
+            fee,
             is_active,
             status,
             collected_at,
@@ -242,7 +251,8 @@ function DigitalBin() {
             address: pickup.bin_locations?.address,
             status: pickup.collected_at ? 'completed' : 
                     (pickup.status === 'completed' || pickup.status === 'disposed') ? 'completed' :
-                    pickup.is_active ? 'active' : 'cancelled'
+                    !pickup.is_active ? 'cancelled' :
+                    getEffectiveScheduleStatus(pickup) === 'paused' ? 'paused' : 'active'
           };
           console.log(`[DigitalBin] Transformed bin:`, transformed);
           return transformed;
@@ -424,7 +434,7 @@ function DigitalBin() {
   };
 
   // Handler for form submission
-  const handleSubmit = async () => {
+  const handleSubmit = async (quote = null) => {
     // Use session from component state
     if (!session || !user) {
       console.error('No active session found');
@@ -786,8 +796,11 @@ function DigitalBin() {
         bin_size_liters: formData.bin_size_liters,
         is_urgent: formData.is_urgent || false,
         expires_at: expiryDate.toISOString(),
+        start_date: formData.startDate || toDateKey(new Date()),
+        preferred_time: formData.preferredTime || null,
         latitude: formData.latitude,
-        longitude: formData.longitude
+        longitude: formData.longitude,
+        quote
       });
       
       debug.log('[DigitalBin] Digital bin data with fees:', digitalBinData);
@@ -812,6 +825,12 @@ function DigitalBin() {
       
       debug.log('[DigitalBin] Successfully created digital bin:', binData);
 
+      // Expand the schedule into concrete service dates (non-blocking for bin creation)
+      const { error: scheduleError } = await binScheduleService.syncBinOccurrences(binData);
+      if (scheduleError) {
+        console.warn('[DigitalBin] Bin created but schedule sync failed:', scheduleError.message);
+      }
+
       // SERVER-FIRST: Immediately refresh from server to get all bins
       debug.log('[DigitalBin] Digital bin created, refreshing from server');
       await fetchScheduledPickups(user.id);
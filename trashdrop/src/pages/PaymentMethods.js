@@ -2,11 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext.js';
 import PaymentMethodForm from '../components/PaymentMethodForm.js';
+import WalletPanel from '../components/WalletPanel.js';
+import { maskPaymentMethod, formatPaymentMethodExpiry } from '../utils/paymentMethodDisplay.js';
 import { paymentService } from '../services/paymentService.js';
 
 /**
  * Payment Methods management page
- * Allows users to add, view, and manage their payment methods
+ * Allows users to add, view, and manage their payment methods and top up their wallet
  */
 const PaymentMethods = () => {
   const navigate = useNavigate();
@@ -101,6 +103,10 @@ const PaymentMethods = () => {
           </div>
         )}
 
+        <div className="mb-8">
+          <WalletPanel userId={user?.id} paymentMethods={paymentMethods} />
+        </div>
+
         <div className="grid md:grid-cols-2 gap-8">
           {/* Existing Payment Methods */}
           <div>
@@ -144,11 +150,11 @@ const PaymentMethods = () => {
                         </div>
                         <div>
                           <div className="text-sm font-medium text-gray-900 dark:text-white">
-                            {method.provider.charAt(0).toUpperCase() + method.provider.slice(1)}
-                            {method.details?.last4 && ` •••• ${method.details.last4}`}
+                            {maskPaymentMethod(method)}
                           </div>
                           <div className="text-sm text-gray-500 dark:text-gray-400">
                             {method.type.charAt(0).toUpperCase() + method.type.slice(1)}
+                            {formatPaymentMethodExpiry(method) && ` · ${formatPaymentMethodExpiry(method)}`}
                             {method.is_default && (
                               <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
                                 Default
@@ -11,6 +11,8 @@ import appConfig from '../utils/app-config.js';
 import GeolocationService from '../utils/geolocationService.js';
 import { subscribeToStatsUpdates } from '../utils/realtime.js';
 import { userServiceOptimized } from '../services/userServiceOptimized.js';
+import promoService, { describePromo, PROMO_SERVICE_TYPES } from '../services/promoService.js';
+import PromoCodeInput from '../components/PromoCodeInput.js';
 
 // Component to handle map view updates when position changes
 const MapViewController = ({ position }) => {
@@ -76,6 +78,7 @@ const PickupRequest = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [success, setSuccess] = useState(false);
   const [error, setError] = useState('');
+  const [promo, setPromo] = useState(null); // Reserved on submit, discounted when the pickup is paid
   const [savedLocations, setSavedLocations] = useState([]);
   const [userStats, setUserStats] = useState(() => {
     // Initialize from test override if present to stabilize first render in tests
@@ -572,6 +575,19 @@ const PickupRequest = () => {
         // Don't throw error - pickup was successful even if points failed
       }
 
+      // Reserve the promo code for this pickup; payment converts the reservation and applies the discount
+      if (promo) {
+        const { error: promoError } = await promoService.redeemPromoCode({
+          code: promo.code,
+          serviceType: PROMO_SERVICE_TYPES.PICKUP,
+          requestId: data.id,
+          status: 'reserved'
+        });
+        if (promoError) {
+          console.warn('[PickupRequest] Failed to reserve promo code (non-fatal):', promoError.message);
+        }
+      }
+
       // NOTE: We do NOT update total_bags in the database
       // - total_bags reflects cumulative bags from batches and never reduces
       // - availableBags is dynamically calculated as: total_bags - requestedBags
@@ -974,6 +990,22 @@ const PickupRequest = () => {
                 <div className="p-4">
                   <h2 className="text-xl font-medium text-gray-800 dark:text-white mb-4">Pricing & Rewards</h2>
                   <p className="text-gray-600 dark:text-gray-400 mb-4">No standard pickup fee</p>
+                  <PromoCodeInput
+                    appliedCode={promo?.code || null}
+                    appliedLabel={describePromo(promo)}
+                    onApply={async (code) => {
+                      const { data: validPromo, error: promoError } = await promoService.validatePromoCode(code, PROMO_SERVICE_TYPES.PICKUP);
+                      if (!promoError) setPromo(validPromo);
+                      return { error: promoError };
+                    }}
+                    onRemove={() => setPromo(null)}
+                    disabled={isSubmitting}
+                  />
+                  {promo && (
+                    <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+                      Applied to any collection charges when this pickup is paid.
+                    </p>
+                  )}
                 </div>
               </div>
               {userStats.totalBags <= 0 && (
@@ -5,6 +5,8 @@ import Locations from '../components/profile/Locations.js';
 import Preferences from '../components/profile/Preferences.js';
 import Notifications from '../components/profile/Notifications.js';
 import Security from '../components/profile/Security.js';
+import Referrals from '../components/profile/Referrals.js';
+import Badges from '../components/profile/Badges.js';
 
 /**
  * Profile page component that displays user profile information and settings
@@ -19,6 +21,8 @@ const Profile = () => {
     { id: 'locations', label: 'Locations' },
     { id: 'preferences', label: 'Preferences' },
     { id: 'notifications', label: 'Notifications' },
+    { id: 'referrals', label: 'Referrals' },
+    { id: 'badges', label: 'Badges' },
     { id: 'security', label: 'Security' }
   ];
 
@@ -49,6 +53,10 @@ const Profile = () => {
         return <Preferences />;
       case 'notifications':
         return <Notifications />;
+      case 'referrals':
+        return <Referrals />;
+      case 'badges':
+        return <Badges />;
       case 'security':
         return <Security />;
       default:
@@ -4,7 +4,25 @@ import LoadingSpinner from '../components/LoadingSpinner.js';
 import supabase from '../utils/supabaseClient.js';
 import { Link } from 'react-router-dom';
 import { subscribeToRewardsUpdates, handleRewardsUpdate } from '../utils/realtime.js';
-import { userService } from '../services/userService.js';
+import { pointsService } from '../services/pointsService.js';
+import { rewardsService } from '../services/rewardsService.js';
+import RewardVoucher from '../components/RewardVoucher.js';
+import TierCard from '../components/TierCard.js';
+import BadgeGallery from '../components/BadgeGallery.js';
+import Leaderboard from '../components/Leaderboard.js';
+
+// Messages for redeem_reward failures the customer can act on
+const REDEEM_ERRORS = {
+  INSUFFICIENT_POINTS: 'Not enough points to redeem this reward',
+  OUT_OF_STOCK: 'Sorry, this reward has just run out',
+  REDEMPTION_LIMIT: 'You have already redeemed this reward the maximum number of times',
+  REWARD_UNAVAILABLE: 'This reward is no longer available'
+};
+
+const TABS = [
+  { id: 'rewards', label: 'Rewards' },
+  { id: 'leaderboard', label: 'Leaderboard' }
+];
 
 /**
  * Rewards page component for viewing and redeeming rewards
@@ -22,101 +40,21 @@ const Rewards = () => {
   const [isRedeeming, setIsRedeeming] = useState(false);
   const [redeemSuccess, setRedeemSuccess] = useState(null);
   const [errorMessage, setErrorMessage] = useState('');
+  const [activeTab, setActiveTab] = useState('rewards');
   const mountedRef = useRef(true);
   const isLoadingRef = useRef(false);
+  const redeemKeysRef = useRef({});
 
   const fetchPointsHistory = async (limit = 10) => {
     if (!user) return;
     
     setIsHistoryLoading(true);
     try {
-      console.log('[Rewards] Fetching points history from source tables');
-      
-      // Fetch from actual source tables (same as userService architecture)
-      const [pickupResult, dumpingResult, scanResult] = await Promise.allSettled([
-        // Pickup requests with points_earned
-        supabase
-          .from('pickup_requests')
-          .select('id, created_at, waste_type, bag_count, status, points_earned')
-          .eq('user_id', user.id)
-          .order('created_at', { ascending: false }),
-        
-        // Dumping reports with severity for points calculation
-        supabase
-          .from('illegal_dumping_mobile')
-          .select('id, created_at, waste_type, severity')
-          .eq('reported_by', user.id)
-          .order('created_at', { ascending: false }),
-        
-        // QR scans from user_activity
-        supabase
-          .from('user_activity')
-          .select('id, created_at, activity_type, points_impact')
-          .eq('user_id', user.id)
-          .eq('activity_type', 'qr_scan')
-          .order('created_at', { ascending: false })
-      ]);
-      
-      let allActivities = [];
-      
-      // Process pickup requests
-      if (pickupResult.status === 'fulfilled' && pickupResult.value?.data) {
-        const pickups = pickupResult.value.data.map(pickup => ({
-          id: pickup.id,
-          activity: 'Pickup Request',
-          date: new Date(pickup.created_at).toLocaleDateString(),
-          points: pickup.points_earned || 10,
-          details: `${pickup.waste_type || 'Waste'} - ${pickup.bag_count || 1} bag(s)`,
-          timestamp: pickup.created_at,
-          type: 'pickup_request'
-        }));
-        allActivities = [...allActivities, ...pickups];
-      }
-      
-      // Process dumping reports
-      if (dumpingResult.status === 'fulfilled' && dumpingResult.value?.data) {
-        const reports = dumpingResult.value.data.map(report => {
-          // Calculate points based on severity (same as userService)
-          const severity = report.severity || 'medium';
-          let points = 15; // default for medium
-          if (severity === 'high') points = 20;
-          else if (severity === 'low') points = 10;
-          
-          return {
-            id: report.id,
-            activity: 'Dumping Report',
-            date: new Date(report.created_at).toLocaleDateString(),
-            points: points,
-            details: `${report.waste_type || 'Illegal dumping'} (${severity} severity)`,
-            timestamp: report.created_at,
-            type: 'dumping_report'
-          };
-        });
-        allActivities = [...allActivities, ...reports];
-      }
-      
-      // Process QR scans
-      if (scanResult.status === 'fulfilled' && scanResult.value?.data) {
-        const scans = scanResult.value.data.map(scan => ({
-          id: scan.id,
-          activity: 'QR Code Scan',
-          date: new Date(scan.created_at).toLocaleDateString(),
-          points: scan.points_impact || 5,
-          details: 'QR code scanned for points',
-          timestamp: scan.created_at,
-          type: 'qr_scan'
-        }));
-        allActivities = [...allActivities, ...scans];
+      const { data: history, error } = await pointsService.getHistory(user.id, limit);
+      if (error) {
+        console.warn('Error fetching points history:', error);
       }
-      
-      // Sort all activities by timestamp (newest first) and limit
-      const sortedActivities = allActivities
-        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-        .slice(0, limit);
-      
-      console.log(`[Rewards] Found ${sortedActivities.length} point-earning activities`);
-      setPointsHistory(sortedActivities);
-      
+      setPointsHistory(history);
     } catch (error) {
       console.error('Error fetching points history:', error);
       setPointsHistory([]);
@@ -125,6 +63,17 @@ const Rewards = () => {
     }
   };
 
+  const refreshUserPoints = async () => {
+    if (!user) return;
+    
+    const { data: balance, error } = await pointsService.getBalance(user.id);
+    if (error) {
+      console.warn('[Rewards] Error fetching points balance:', error);
+      return;
+    }
+    setUserPoints(balance);
+  };
+
   const fetchRecentRedemptions = async (limit = 5) => {
     if (!user) return;
     
@@ -140,6 +89,8 @@ const Rewards = () => {
           created_at,
           points_spent,
           status,
+          voucher_code,
+          voucher_expires_at,
           rewards (
             id,
             name,
@@ -166,7 +117,9 @@ const Rewards = () => {
           pointsSpent: redemption.points_spent,
           status: redemption.status,
           redeemedAt: new Date(redemption.created_at).toLocaleDateString(),
-          timestamp: redemption.created_at
+          timestamp: redemption.created_at,
+          voucherCode: redemption.voucher_code,
+          voucherExpiresAt: redemption.voucher_expires_at
         }));
         
         setRecentRedemptions(formattedRedemptions);
@@ -182,18 +135,6 @@ const Rewards = () => {
     }
   };
 
-  // Helper function to assign points based on activity type
-  const getPointsForActivity = (activityType) => {
-    switch (activityType) {
-      case 'pickup_request': return 10;
-      case 'dumping_report': return 15; // Default medium severity
-      case 'qr_scan': return 5;
-      case 'reward_redemption': return 0; // No points gained for redemption
-      case 'batch_scan': return 8;
-      default: return 5;
-    }
-  };
-
   // Cleanup function for component unmount
   useEffect(() => {
     mountedRef.current = true;
@@ -251,7 +192,8 @@ const Rewards = () => {
                 image: reward.image_url || `https://images.unsplash.com/photo-1560472354-b33ff0c44a43?w=300&h=200&fit=crop`,
                 expiresAt: reward.expires_at,
                 partnerId: reward.partner_id,
-                category: reward.category
+                category: reward.category,
+                stockRemaining: reward.stock_remaining ?? null
               }));
               setRewards(formattedRewards);
             }
@@ -262,23 +204,9 @@ const Rewards = () => {
         fetchUpdatedRewards();
       }
       
-      if (tableType === 'pickup_requests') {
-        // Refresh user points when pickup requests change
-        const refreshUserPoints = async () => {
-          try {
-            const statsResult = await userService.getUserStats(user.id);
-            if (!statsResult.error) {
-              setUserPoints(statsResult.data.points || 0);
-            }
-          } catch (error) {
-            console.warn('[Rewards] Error refreshing points:', error);
-          }
-        };
+      // Any points movement (earned, spent, expired, adjusted) refreshes balance and history
+      if (tableType === 'points_ledger' && payload.eventType === 'INSERT') {
         refreshUserPoints();
-      }
-      
-      // For user_activity updates, refresh points history
-      if (tableType === 'user_activity' && payload.eventType === 'INSERT') {
         fetchPointsHistory(showAllHistory ? 50 : 3);
       }
     });
@@ -305,17 +233,8 @@ const Rewards = () => {
       setErrorMessage('');
       
       try {
-        // Fetch user points from pickup_requests table via userService (single source of truth)
-        const statsResult = await userService.getUserStats(user.id);
-        
-        if (statsResult.error) {
-          console.warn('Error fetching user stats:', statsResult.error);
-          setUserPoints(0);
-        } else {
-          // Use points calculated from pickup_requests table
-          setUserPoints(statsResult.data.points || 0);
-          console.log('[Rewards] Loaded user points from pickup_requests table:', statsResult.data.points || 0);
-        }
+        // Points balance from the points ledger
+        await refreshUserPoints();
         
         // Fetch available rewards from Supabase
         const { data: rewardsData, error: rewardsError } = await supabase
@@ -337,7 +256,8 @@ const Rewards = () => {
             image: reward.image_url || `https://images.unsplash.com/photo-1560472354-b33ff0c44a43?w=300&h=200&fit=crop`,
             expiresAt: reward.expires_at,
             partnerId: reward.partner_id,
-            category: reward.category
+            category: reward.category,
+            stockRemaining: reward.stock_remaining ?? null
           }));
           
           setRewards(formattedRewards);
@@ -382,51 +302,45 @@ const Rewards = () => {
     setRedeemSuccess(null);
     setErrorMessage('');
     
+    // Same key for every attempt at this reward until one succeeds, so a double tap
+    // or a retry after a dropped response redeems it only once
+    if (!redeemKeysRef.current[reward.id]) {
+      redeemKeysRef.current[reward.id] = crypto.randomUUID();
+    }
+    
     try {
-      // Generate a unique redemption code
-      const redemptionCode = `REWARD-${reward.id}-${Math.random().toString(36).substring(2, 10).toUpperCase()}`;
-      
-      // Insert redemption record in Supabase
-      const { data: redemptionData, error: redemptionError } = await supabase
-        .from('rewards_redemption')
-        .insert([
-          {
-            user_id: user.id,
-            reward_id: reward.id,
-            points_spent: reward.pointsCost,
-            status: 'pending'
-          }
-        ])
-        .select();
-      
-      if (redemptionError) throw redemptionError;
-      
-      console.log('[Rewards] Successfully recorded reward redemption:', redemptionData);
+      const { data: redemption, error } = await rewardsService.redeemReward(
+        user.id,
+        reward.id,
+        redeemKeysRef.current[reward.id]
+      );
       
-      // Record activity
-      await supabase.from('user_activity').insert([
-        {
-          user_id: user.id,
-          activity_type: 'reward_redemption',
-          status: 'completed',
-          points: -reward.pointsCost, // negative as points are spent
-          details: {
-            reward_id: reward.id,
-            reward_name: reward.name,
-            redemption_code: redemptionCode
-          },
-          created_at: new Date().toISOString()
+      if (error) {
+        // A refusal is final; anything else may not have reached the server, so keep the key
+        if (REDEEM_ERRORS[error.code]) delete redeemKeysRef.current[reward.id];
+        setErrorMessage(REDEEM_ERRORS[error.code] || 'Failed to redeem reward. Please try again.');
+        if (error.code === 'OUT_OF_STOCK') {
+          setRewards(prev => prev.map(r => (r.id === reward.id ? { ...r, stockRemaining: 0 } : r)));
         }
-      ]);
+        return;
+      }
+      
+      delete redeemKeysRef.current[reward.id];
+      console.log('[Rewards] Successfully redeemed reward:', redemption.id);
       
       // Update local state
-      setUserPoints(prev => prev - reward.pointsCost);
+      setUserPoints(prev => prev - redemption.points_spent);
+      if (reward.stockRemaining !== null) {
+        setRewards(prev => prev.map(r => (r.id === reward.id ? { ...r, stockRemaining: Math.max(0, r.stockRemaining - 1) } : r)));
+      }
+      fetchRecentRedemptions();
       
-      // Show success message
+      // Show the voucher
       setRedeemSuccess({
         id: reward.id,
         message: `Successfully redeemed ${reward.name}!`,
-        code: redemptionCode,
+        code: redemption.voucher_code,
+        expiresAt: redemption.voucher_expires_at
       });
     } catch (error) {
       console.error('Error redeeming reward:', error);
@@ -464,6 +378,23 @@ const Rewards = () => {
         <p className="mt-2 text-gray-600 dark:text-gray-300">
           Earn points by requesting pickups, reporting illegal dumping, and scanning QR codes.
         </p>
+
+        {/* Tab navigation */}
+        <div className="flex mt-4 border-b border-gray-200 dark:border-gray-700">
+          {TABS.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 whitespace-nowrap ${
+                activeTab === tab.id
+                  ? 'text-blue-500 dark:text-blue-400 border-b-2 border-blue-500 dark:border-blue-400 font-medium'
+                  : 'text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
       </div>
       
       {/* Scrollable content area */}
@@ -475,6 +406,13 @@ const Rewards = () => {
           </div>
         )}
         
+        {activeTab === 'leaderboard' ? (
+          <Leaderboard userId={user?.id} />
+        ) : (
+        <>
+        {/* Loyalty tier */}
+        <TierCard userId={user?.id} />
+        
         {/* Rewards list */}
       <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md">
         <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-4">Available Rewards</h2>
@@ -517,17 +455,20 @@ const Rewards = () => {
                 
                 <div className="text-xs text-gray-500 dark:text-gray-400 mb-4">
                   Expires: {new Date(reward.expiresAt).toLocaleDateString()}
+                  {reward.stockRemaining > 0 && reward.stockRemaining <= 10 && (
+                    <span className="ml-2 text-orange-600 dark:text-orange-400">Only {reward.stockRemaining} left</span>
+                  )}
                 </div>
                 
                 {redeemSuccess && redeemSuccess.id === reward.id ? (
                   <div className="bg-green-100 dark:bg-green-900/30 border border-green-400 dark:border-green-700 text-green-700 dark:text-green-300 p-3 rounded-md text-sm">
-                    <p>{redeemSuccess.message}</p>
-                    <p className="font-mono font-bold mt-1">{redeemSuccess.code}</p>
+                    <p className="mb-2">{redeemSuccess.message}</p>
+                    <RewardVoucher code={redeemSuccess.code} expiresAt={redeemSuccess.expiresAt} />
                   </div>
                 ) : (
                   <button
                     onClick={() => handleRedeemReward(reward)}
-                    disabled={isRedeeming || userPoints < reward.pointsCost}
+                    disabled={isRedeeming || userPoints < reward.pointsCost || reward.stockRemaining === 0}
                     className={`w-full px-4 py-2 text-sm font-medium rounded-md ${
                       userPoints >= reward.pointsCost 
                         ? 'bg-primary hover:bg-primary-dark text-white' 
@@ -536,6 +477,8 @@ const Rewards = () => {
                   >
                     {isRedeeming ? (
                       <LoadingSpinner size="sm" color="white" />
+                    ) : reward.stockRemaining === 0 ? (
+                      'Out of stock'
                     ) : userPoints >= reward.pointsCost ? (
                       'Redeem Reward'
                     ) : (
@@ -594,6 +537,14 @@ const Rewards = () => {
                       </span>
                     </div>
                   </div>
+                  {redemption.voucherCode && (
+                    <details className="mt-2 text-sm text-gray-700 dark:text-gray-300">
+                      <summary className="cursor-pointer text-primary dark:text-primary-light">Show voucher</summary>
+                      <div className="mt-2">
+                        <RewardVoucher code={redemption.voucherCode} expiresAt={redemption.voucherExpiresAt} />
+                      </div>
+                    </details>
+                  )}
                 </div>
               </div>
             ))}
@@ -606,6 +557,9 @@ const Rewards = () => {
         )}
       </div>
       
+      {/* Badges */}
+      <BadgeGallery userId={user?.id} />
+      
       {/* Points history */}
       <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md">
         <div className="flex justify-between items-center mb-4">
@@ -676,6 +630,8 @@ const Rewards = () => {
           )}
         </div>
       </div>
+        </>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaFileCsv, FaFilePdf, FaSpinner } from 'react-icons/fa';
+import { useAuth } from '../context/AuthContext.js';
+import { statementService, STATEMENT_FORMATS } from '../services/statementService.js';
+import { STATEMENT_SERVICE_TYPES, listStatementMonths, formatMonth } from '../utils/statementBuilder.js';
+import { formatCurrency } from '../utils/costCalculator.js';
+
+const MONTHS = listStatementMonths(12);
+
+const SummaryTable = ({ title, groups }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+    <h2 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">{title}</h2>
+    {groups.length > 0 ? (
+      <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+        {groups.map((group) => (
+          <li key={group.key} className="flex justify-between py-2 text-sm">
+            <span className="text-gray-900 dark:text-white">
+              {group.label} <span className="text-gray-500">({group.count})</span>
+            </span>
+            <span className="font-medium text-gray-900 dark:text-white">{formatCurrency(group.total)}</span>
+          </li>
+        ))}
+      </ul>
+    ) : (
+      <p className="text-sm text-gray-500 dark:text-gray-400">No charges</p>
+    )}
+  </div>
+);
+
+/**
+ * Monthly statements page
+ * Spending per month on pickups and digital bins, by service type and location,
+ * with CSV and PDF export for reconciliation
+ */
+const Statements = () => {
+  const { user } = useAuth();
+  const [month, setMonth] = useState(MONTHS[0]);
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!user?.id) return undefined;
+    let cancelled = false;
+
+    const loadStatement = async () => {
+      setLoading(true);
+      setError('');
+      const { data, error: statementError } = await statementService.getMonthlyStatement(user.id, month);
+      if (cancelled) return;
+      if (statementError) {
+        setError('Failed to load statement');
+        setStatement(null);
+      } else {
+        setStatement(data);
+      }
+      setLoading(false);
+    };
+
+    loadStatement();
+    return () => {
+      cancelled = true;
+    };
+  }, [user, month]);
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="max-w-4xl mx-auto">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Statements</h1>
+            <Link to="/activity" className="text-sm text-blue-600 hover:text-blue-700">Back to activity</Link>
+          </div>
+          <div className="flex items-center gap-2">
+            <label htmlFor="statement-month" className="sr-only">Month</label>
+            <select
+              id="statement-month"
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              {MONTHS.map((key) => (
+                <option key={key} value={key}>{formatMonth(key)}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => statementService.exportStatement(statement, STATEMENT_FORMATS.CSV)}
+              disabled={!statement}
+              className="px-3 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 flex items-center disabled:opacity-50"
+            >
+              <FaFileCsv className="mr-2" /> CSV
+            </button>
+            <button
+              type="button"
+              onClick={() => statementService.exportStatement(statement, STATEMENT_FORMATS.PDF)}
+              disabled={!statement}
+              className="px-3 py-2 bg-primary text-white rounded-md hover:bg-primary-dark flex items-center disabled:opacity-50"
+            >
+              <FaFilePdf className="mr-2" /> PDF
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <FaSpinner className="animate-spin text-primary" />
+          </div>
+        ) : statement && (
+          <>
+            <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-4 mb-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Total spent in {formatMonth(statement.month)}</p>
+              <p className="text-3xl font-bold text-gray-900 dark:text-white" data-testid="statement-total">
+                {formatCurrency(statement.total)}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Includes {formatCurrency(statement.tax_total)} taxes and levies
+              </p>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-4 mb-4">
+              <SummaryTable title="By service" groups={statement.by_service_type} />
+              <SummaryTable title="By location" groups={statement.by_location} />
+            </div>
+
+            <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+              <h2 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Charges</h2>
+              {statement.entries.length > 0 ? (
+                <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+                  {statement.entries.map((entry) => (
+                    <li key={`${entry.service_type}-${entry.id}`} className="flex justify-between py-2 text-sm">
+                      <div>
+                        <p className="text-gray-900 dark:text-white">{entry.description}</p>
+                        <p className="text-xs text-gray-500">
+                          {new Date(entry.date).toLocaleDateString()} · {STATEMENT_SERVICE_TYPES[entry.service_type]} · {entry.location}
+                        </p>
+                      </div>
+                      <span className="text-gray-900 dark:text-white">{formatCurrency(entry.amount)}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No pickups or digital bins this month.</p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Statements;
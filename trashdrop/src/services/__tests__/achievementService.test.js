@@ -0,0 +1,67 @@
+import supabase from '../../utils/supabaseClient.js';
+import achievementService, { buildBadgeGallery } from '../achievementService.js';
+
+jest.mock('../../utils/supabaseClient.js', () => ({
+  from: jest.fn()
+}));
+
+const ACHIEVEMENTS = [
+  { code: 'first_pickup', name: 'First Pickup', sort_order: 10, points_reward: 10 },
+  { code: 'recycling_10', name: 'Recycling Regular', sort_order: 20, points_reward: 50 },
+  { code: 'streak_4_weeks', name: '4-Week Streak', sort_order: 40, points_reward: 40 },
+  { code: 'first_verified_report', name: 'Community Watch', sort_order: 50, points_reward: 25 }
+];
+
+const AWARDS = [
+  { achievement_code: 'first_pickup', earned_at: '2026-09-01T10:00:00Z' },
+  { achievement_code: 'streak_4_weeks', earned_at: '2026-10-12T10:00:00Z' }
+];
+
+const query = (result) => {
+  const builder = {
+    select: () => builder,
+    eq: () => Promise.resolve(result),
+    order: () => Promise.resolve(result)
+  };
+  return builder;
+};
+
+describe('buildBadgeGallery', () => {
+  it('lists earned badges newest first, then locked badges in display order', () => {
+    const gallery = buildBadgeGallery(ACHIEVEMENTS, AWARDS);
+
+    expect(gallery.map((badge) => [badge.code, badge.earned])).toEqual([
+      ['streak_4_weeks', true],
+      ['first_pickup', true],
+      ['recycling_10', false],
+      ['first_verified_report', false]
+    ]);
+    expect(gallery[0].earnedAt).toBe('2026-10-12T10:00:00Z');
+    expect(gallery[2].earnedAt).toBeNull();
+  });
+});
+
+describe('achievementService', () => {
+  it('reads definitions and the customer\'s awards', async () => {
+    supabase.from.mockImplementation((table) =>
+      table === 'achievements'
+        ? query({ data: ACHIEVEMENTS, error: null })
+        : query({ data: AWARDS, error: null })
+    );
+
+    const { data, error } = await achievementService.getBadges('user-1');
+
+    expect(error).toBeNull();
+    expect(supabase.from).toHaveBeenCalledWith('user_achievements');
+    expect(data.filter((badge) => badge.earned)).toHaveLength(2);
+  });
+
+  it('returns an empty gallery when badges cannot be loaded', async () => {
+    supabase.from.mockImplementation(() => query({ data: null, error: { message: 'permission denied', code: '42501' } }));
+
+    const { data, error } = await achievementService.getBadges('user-1');
+
+    expect(data).toEqual([]);
+    expect(error.code).toBe('42501');
+  });
+});
@@ -0,0 +1,300 @@
+import { createHandler } from '../../../netlify/functions/digital-bin-quote.js';
+import { createLocalSupabase } from '../../../netlify/functions/lib/localSupabase.js';
+import { calculateQuote, signQuote } from '../../../netlify/functions/lib/quotePricing.js';
+import { targetSurgeMultiplier, smoothSurgeMultiplier } from '../../../netlify/functions/lib/surgePricing.js';
+
+const SECRET = 'test-secret';
+const USER = { id: 'user-1' };
+
+const buildHandler = (supabase) => createHandler({
+  getClient: () => ({ supabase }),
+  getSigningSecret: () => SECRET,
+  now: () => new Date('2026-10-19T08:00:00.000Z')
+});
+
+const post = (handler, body, token = 'token-1') => handler({
+  httpMethod: 'POST',
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  body: JSON.stringify(body)
+});
+
+describe('digital-bin-quote function', () => {
+  let supabase;
+
+  beforeEach(() => {
+    supabase = createLocalSupabase({
+      users: { 'token-1': USER, 'token-new': { id: 'user-new' } },
+      pricingZones: [{ suburb: 'Osu', latitude: 5.556, longitude: -0.182, price_120l: 35 }],
+      // user-1 has used up the welcome discount
+      tables: {
+        user_stats: [{ user_id: 'user-1', completed_requests_count: 5 }],
+        promo_codes: [
+          { id: 'promo-1', code: 'SAVE10', discount_type: 'percent', discount_value: 10, max_discount: 5, per_user_limit: 1 },
+          { id: 'promo-2', code: 'OLDCODE', discount_type: 'fixed', discount_value: 5, valid_until: '2020-01-01T00:00:00.000Z' },
+          { id: 'promo-3', code: 'NOFEE', discount_type: 'free_request_fee', discount_value: 0 }
+        ]
+      }
+    });
+  });
+
+  it('issues a signed quote priced from the nearest zone and stores it', async () => {
+    const res = await post(buildHandler(supabase), {
+      bin_size_liters: 120,
+      bag_count: 2,
+      is_urgent: true,
+      frequency: 'weekly',
+      latitude: 5.557,
+      longitude: -0.183
+    });
+    const { data } = JSON.parse(res.body);
+
+    expect(res.statusCode).toBe(200);
+    expect(data.breakdown).toMatchObject({
+      base: 70,
+      core: 70,
+      urgent_charge: 21,
+      request_fee: 1,
+      total: 92,
+      pricing_source: 'gps'
+    });
+    expect(data.breakdown.surge_charge).toBeUndefined();
+    expect(data.breakdown.payouts).toBeUndefined();
+    expect(data.expires_at).toBe('2026-10-19T08:15:00.000Z');
+
+    const [stored] = supabase._tables.digital_bin_quotes;
+    expect(stored).toMatchObject({ id: data.quote_id, user_id: 'user-1', fee: 92, collector_total_payout: 91, tax_total: 0, taxes: [] });
+    expect(stored.signature).toBe(data.signature);
+    expect(signQuote(stored, SECRET)).toBe(data.signature);
+    expect(signQuote({ ...stored, fee: 10 }, SECRET)).not.toBe(data.signature);
+  });
+
+  it('prices from the zone boundary containing the location before the nearest centre', async () => {
+    supabase = createLocalSupabase({
+      users: { 'token-1': USER },
+      pricingZones: [
+        { suburb: 'Osu', latitude: 5.556, longitude: -0.182, price_120l: 35 },
+        {
+          suburb: 'Labone',
+          latitude: 5.568,
+          longitude: -0.165,
+          price_120l: 45,
+          boundary: { type: 'Polygon', coordinates: [[[-0.175, 5.56], [-0.155, 5.56], [-0.155, 5.58], [-0.175, 5.58], [-0.175, 5.56]]] }
+        }
+      ],
+      tables: { user_stats: [{ user_id: 'user-1', completed_requests_count: 5 }] }
+    });
+
+    // Closer to Osu's centre, but inside Labone's boundary
+    const res = await post(buildHandler(supabase), { bin_size_liters: 120, latitude: 5.561, longitude: -0.174 });
+    const { breakdown } = JSON.parse(res.body).data;
+
+    expect(breakdown.base).toBe(45);
+    expect(breakdown.pricing_zone).toMatchObject({ suburb: 'Labone', match_type: 'polygon' });
+  });
+
+  it('falls back to default pricing outside any zone', async () => {
+    const res = await post(buildHandler(supabase), { bin_size_liters: 120, latitude: 9.4, longitude: -0.85 });
+    const { data } = JSON.parse(res.body);
+
+    expect(data.breakdown.pricing_source).toBe('default');
+    expect(data.breakdown.total).toBe(31);
+  });
+
+  it('applies the welcome discount to base for customers with fewer than five completed requests', async () => {
+    const res = await post(buildHandler(supabase), { bin_size_liters: 120, bag_count: 2 }, 'token-new');
+    const { breakdown } = JSON.parse(res.body).data;
+
+    expect(breakdown.discounts).toEqual([{ code: 'WELCOME', label: 'Welcome discount (4.5%)', amount: 2.7 }]);
+    expect(breakdown.discount_applied).toBe(2.7);
+    expect(breakdown.core).toBe(57.3);
+    expect(breakdown.total).toBe(58.3);
+    expect(breakdown.display.discount).toBe(true);
+  });
+
+  it('takes the loyalty tier share off the request fee', async () => {
+    supabase._tables.loyalty_tiers = [
+      { code: 'bronze', name: 'Bronze', rank: 1, min_lifetime_points: 0, min_completed_pickups: 0, request_fee_discount: 0 },
+      { code: 'silver', name: 'Silver', rank: 2, min_lifetime_points: 500, min_completed_pickups: 5, request_fee_discount: 0.25 },
+      { code: 'gold', name: 'Gold', rank: 3, min_lifetime_points: 1500, min_completed_pickups: 15, request_fee_discount: 0.5 }
+    ];
+    supabase._tables.points_ledger = [
+      { user_id: 'user-1', entry_type: 'earn', points: 600 },
+      { user_id: 'user-1', entry_type: 'spend', points: -400 }
+    ];
+    const res = await post(buildHandler(supabase), { bin_size_liters: 120 });
+    const { breakdown } = JSON.parse(res.body).data;
+
+    expect(breakdown.discounts).toEqual([]);
+    expect(breakdown.request_fee_discounts).toEqual([{ code: 'TIER', label: 'Silver tier: 25% off request fee', amount: 0.25 }]);
+    expect(breakdown.core).toBe(30);
+    expect(breakdown.request_fee).toBe(0.75);
+    expect(breakdown.total).toBe(30.75);
+  });
+
+  it('applies promo codes and referral credit after the welcome discount, within the cap', async () => {
+    supabase._tables.referral_credits = [{ user_id: 'user-new', remaining_amount: 100 }];
+    const res = await post(buildHandler(supabase), { bin_size_liters: 120, promo_code: 'save10' }, 'token-new');
+    const { data } = JSON.parse(res.body);
+
+    // Base 30: welcome 1.35, promo 10% capped at 5 → 3, referral fills up to the 24 cap
+    expect(data.breakdown.discounts).toEqual([
+      { code: 'WELCOME', label: 'Welcome discount (4.5%)', amount: 1.35 },
+      { code: 'PROMO', label: 'Promo SAVE10', amount: 3 },
+      { code: 'REFERRAL', label: 'Referral credit', amount: 19.65 }
+    ]);
+    expect(data.breakdown.discount_applied).toBe(24);
+    expect(data.breakdown.total).toBe(7);
+    expect(data.params.promo_code).toBe('SAVE10');
+
+    const [stored] = supabase._tables.digital_bin_quotes;
+    expect(stored).toMatchObject({ promo_code_id: 'promo-1', promo_discount: 3, referral_credit_applied: 19.65 });
+  });
+
+  it('waives the request fee for free_request_fee promos without touching core or payouts', async () => {
+    const res = await post(buildHandler(supabase), { bin_size_liters: 120, promo_code: 'nofee' });
+    const { breakdown } = JSON.parse(res.body).data;
+
+    expect(breakdown).toMatchObject({ core: 30, discount_applied: 0, request_fee: 0, total: 30 });
+    expect(breakdown.discounts).toEqual([]);
+    expect(breakdown.request_fee_discounts).toEqual([{ code: 'PROMO', label: 'Promo NOFEE', amount: 1 }]);
+
+    const [stored] = supabase._tables.digital_bin_quotes;
+    expect(stored).toMatchObject({ promo_code_id: 'promo-3', promo_discount: 1, collector_core_payout: 30, collector_total_payout: 30 });
+  });
+
+  it('rejects invalid promo codes without issuing a quote', async () => {
+    const handler = buildHandler(supabase);
+    const expired = await post(handler, { bin_size_liters: 120, promo_code: 'OLDCODE' });
+    const unknown = await post(handler, { bin_size_liters: 120, promo_code: 'NOPE99' });
+
+    expect(expired.statusCode).toBe(400);
+    expect(JSON.parse(expired.body)).toMatchObject({ error: 'Promo code has expired', code: 'INVALID_PROMO' });
+    expect(JSON.parse(unknown.body).error).toBe('Promo code not recognised');
+    expect(supabase._tables.digital_bin_quotes).toBeUndefined();
+  });
+
+  it('rejects unauthenticated and invalid requests', async () => {
+    const handler = buildHandler(supabase);
+
+    expect((await post(handler, { bin_size_liters: 120 }, null)).statusCode).toBe(401);
+    expect((await post(handler, { bin_size_liters: 120 }, 'bad-token')).statusCode).toBe(401);
+    expect((await post(handler, { bin_size_liters: 55 })).statusCode).toBe(400);
+    expect((await handler({ httpMethod: 'GET', headers: {} })).statusCode).toBe(405);
+    expect(supabase._tables.digital_bin_quotes).toBeUndefined();
+  });
+
+  it('folds the zone surge for urgent requests into the base price', async () => {
+    supabase = createLocalSupabase({
+      users: { 'token-1': USER },
+      pricingZones: [{ id: 'zone-osu', suburb: 'Osu', latitude: 5.556, longitude: -0.182, price_120l: 35 }],
+      tables: {
+        user_stats: [{ user_id: 'user-1', completed_requests_count: 5 }],
+        // Six open requests for one online collector nearby
+        pickup_requests: Array.from({ length: 6 }, (_, i) => ({ id: `pr-${i}`, status: 'pending', latitude: 5.556, longitude: -0.182 })),
+        collector_profiles: [
+          { user_id: 'collector-1', is_online: true, current_latitude: 5.557, current_longitude: -0.181 },
+          { user_id: 'collector-2', is_online: false, current_latitude: 5.557, current_longitude: -0.181 }
+        ]
+      }
+    });
+    const request = { bin_size_liters: 120, bag_count: 2, is_urgent: true, latitude: 5.557, longitude: -0.183 };
+
+    const res = await post(buildHandler(supabase), request);
+    const { data } = JSON.parse(res.body);
+
+    // Target 1.4, smoothed from neutral to 1.25: 25% of (70 + 21)
+    expect(data.breakdown).toMatchObject({
+      base: 92.75,
+      base_per_bin: 46.38,
+      core: 92.75,
+      urgent_charge: 21,
+      subtotal: 113.75,
+      total: 114.75
+    });
+    expect(data.breakdown.surge_multiplier).toBeUndefined();
+    expect(data.breakdown.peak_adjustment).toBeUndefined();
+    expect(data.breakdown.display.peak_adjustment).toBeUndefined();
+    expect(supabase._tables.digital_bin_quotes[0]).toMatchObject({
+      surge_multiplier: 1.25,
+      collector_surge_payout: 22.75,
+      surge_state: { zone_id: 'zone-osu', multiplier: 1.25, target_multiplier: 1.4, pending_requests: 6, online_collectors: 1 }
+    });
+    // The zone only moves when a bin is created from the quote
+    expect(supabase._tables.pricing_zone_surge).toEqual([]);
+
+    const standard = await post(buildHandler(supabase), { ...request, is_urgent: false });
+    expect(JSON.parse(standard.body).data.breakdown).toMatchObject({ base: 70, core: 70, total: 71 });
+    expect(supabase._tables.digital_bin_quotes[1].surge_state).toBeNull();
+  });
+
+  it('ignores client-supplied prices and discounts', async () => {
+    const res = await post(buildHandler(supabase), { bin_size_liters: 120, fee: 1, discount_amount: 30 });
+    expect(JSON.parse(res.body).data.breakdown.total).toBe(31);
+  });
+});
+
+describe('calculateQuote', () => {
+  const params = { bin_size_liters: 120, bag_count: 1, is_urgent: true };
+
+  it('applies SOP ordering with discount cap, distance, hidden surge and taxes', () => {
+    const quote = calculateQuote(params, {
+      base_per_bin: 30,
+      on_site_charges: 10,
+      discounts: [{ code: 'PROMO', label: 'Promo', amount: 100 }],
+      distance_km: 8,
+      surge_multiplier: 1.5,
+      taxes: [{ code: 'VAT', label: 'VAT', rate: 0.1 }]
+    });
+
+    // Discount capped at 80% of 40; urgent and distance are on base (30)
+    expect(quote.discount_applied).toBe(32);
+    expect(quote.core).toBe(8);
+    expect(quote.urgent_charge).toBe(9);
+    expect(quote.distance_charge).toBe(5.4);
+    expect(quote.surge_charge).toBe(11.2);
+    expect(quote.subtotal).toBe(33.6);
+    expect(quote.tax_total).toBe(3.46);
+    expect(quote.total).toBe(38.06);
+    expect(quote.payouts.collector_total_payout).toBe(33.6);
+  });
+
+  it('charges each tax rule on the components it applies to', () => {
+    const quote = calculateQuote(params, {
+      base_per_bin: 30,
+      surge_multiplier: 1.5,
+      taxes: [
+        { code: 'LEVY', label: 'Levy', rate: 0.1, applies_to: ['core', 'surge_charge'] },
+        { code: 'VAT', label: 'VAT', rate: 0.2, applies_to: ['core', 'LEVY'] }
+      ]
+    });
+
+    expect(quote.taxes).toEqual([
+      { code: 'LEVY', label: 'Levy', rate: 0.1, amount: 4.95 },
+      { code: 'VAT', label: 'VAT', rate: 0.2, amount: 6.99 }
+    ]);
+    expect(quote.tax_total).toBe(11.94);
+    expect(quote.total).toBe(71.44);
+  });
+});
+
+describe('surge multiplier', () => {
+  const now = new Date('2026-10-19T08:00:00.000Z');
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000).toISOString();
+
+  it('only surges when demand outstrips collectors, up to the cap', () => {
+    expect(targetSurgeMultiplier({ pending_requests: 2, online_collectors: 0 })).toBe(1);
+    expect(targetSurgeMultiplier({ pending_requests: 8, online_collectors: 4 })).toBe(1);
+    expect(targetSurgeMultiplier({ pending_requests: 6, online_collectors: 2 })).toBe(1.1);
+    expect(targetSurgeMultiplier({ pending_requests: 5, online_collectors: 0 })).toBe(1.3);
+    expect(targetSurgeMultiplier({ pending_requests: 40, online_collectors: 1 })).toBe(1.5);
+  });
+
+  it('moves the stored multiplier towards the target over time', () => {
+    const previous = { multiplier: '1.40', updated_at: minutesAgo(1) };
+
+    // A minute later demand has cleared; the multiplier eases down rather than dropping
+    expect(smoothSurgeMultiplier(previous, 1, now)).toBe(1.36);
+    expect(smoothSurgeMultiplier({ ...previous, updated_at: minutesAgo(60) }, 1, now)).toBe(1);
+    expect(smoothSurgeMultiplier(null, 1.4, now)).toBe(1.25);
+  });
+});
@@ -0,0 +1,134 @@
+import supabase from '../../utils/supabaseClient.js';
+import disputeService from '../disputeService.js';
+import { uploadPhotos, DISPUTE_PHOTO_BUCKET } from '../photoUploadService.js';
+import { notificationService } from '../notificationService.js';
+
+jest.mock('../../utils/supabaseClient.js', () => ({
+  rpc: jest.fn(),
+  from: jest.fn()
+}));
+
+jest.mock('../photoUploadService.js', () => ({
+  DISPUTE_PHOTO_BUCKET: 'dispute-photos',
+  uploadPhotos: jest.fn()
+}));
+
+jest.mock('../notificationService.js', () => ({
+  notificationService: {
+    createDisputeNotification: jest.fn()
+  }
+}));
+
+const DISPUTE = {
+  id: 'dispute-1',
+  request_type: 'digital_bin',
+  request_id: 'bin-1',
+  user_id: 'user-1',
+  collector_id: 'collector-1',
+  status: 'open',
+  refund_amount: null
+};
+
+describe('disputeService', () => {
+  beforeEach(() => {
+    notificationService.createDisputeNotification.mockResolvedValue({ data: {}, error: null });
+  });
+
+  it('uploads evidence to the dispute bucket before opening the dispute', async () => {
+    uploadPhotos.mockResolvedValueOnce({
+      success: true,
+      totalFailed: 0,
+      publicUrls: ['https://x.supabase.co/dispute-photos/user-1/a.jpg'],
+      paths: ['user-1/a.jpg']
+    });
+    supabase.rpc.mockResolvedValueOnce({ data: DISPUTE, error: null });
+
+    const { data, error } = await disputeService.openDispute({
+      userId: 'user-1',
+      requestType: 'digital_bin',
+      requestId: 'bin-1',
+      reason: 'partially_collected',
+      description: 'One bag left at the gate',
+      photos: ['blob:a'],
+      requestedResolution: 'partial_refund',
+      requestedAmount: 20
+    });
+
+    expect(error).toBeNull();
+    expect(data).toEqual(DISPUTE);
+    expect(uploadPhotos).toHaveBeenCalledWith(['blob:a'], 'user-1', { bucket: DISPUTE_PHOTO_BUCKET });
+    expect(supabase.rpc).toHaveBeenCalledWith('open_pickup_dispute', {
+      p_request_type: 'digital_bin',
+      p_request_id: 'bin-1',
+      p_reason: 'partially_collected',
+      p_requested_resolution: 'partial_refund',
+      p_description: 'One bag left at the gate',
+      p_photo_urls: ['user-1/a.jpg'],
+      p_requested_amount: 20
+    });
+    expect(notificationService.createDisputeNotification).toHaveBeenCalledWith(
+      'collector-1', 'dispute-1', 'open', expect.objectContaining({ recipient: 'collector' })
+    );
+  });
+
+  it('does not open a dispute when evidence fails to upload', async () => {
+    uploadPhotos.mockResolvedValueOnce({ success: false, totalFailed: 1, publicUrls: [] });
+
+    const { data, error } = await disputeService.openDispute({
+      userId: 'user-1',
+      requestType: 'digital_bin',
+      requestId: 'bin-1',
+      reason: 'not_collected',
+      photos: ['blob:a'],
+      requestedResolution: 'full_refund'
+    });
+
+    expect(data).toBeNull();
+    expect(error.code).toBe('PHOTO_UPLOAD_ERROR');
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('surfaces an existing dispute on the same pickup', async () => {
+    supabase.rpc.mockResolvedValueOnce({
+      data: null,
+      error: { message: 'This pickup already has a dispute', code: 'P0001', hint: 'DISPUTE_EXISTS' }
+    });
+
+    const { error } = await disputeService.openDispute({
+      userId: 'user-1',
+      requestType: 'pickup_request',
+      requestId: 'pickup-1',
+      reason: 'not_collected',
+      requestedResolution: 'recollection'
+    });
+
+    expect(error.code).toBe('DISPUTE_EXISTS');
+  });
+
+  it('leaves the refund to support when the collector accepts a refund request', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: { ...DISPUTE, status: 'under_review', collector_accepted: true }, error: null });
+
+    const { data, error } = await disputeService.respondToDispute('dispute-1', true);
+
+    expect(error).toBeNull();
+    expect(data.status).toBe('under_review');
+    expect(supabase.rpc).toHaveBeenCalledWith('respond_to_pickup_dispute', {
+      p_dispute_id: 'dispute-1',
+      p_accept: true,
+      p_note: ''
+    });
+    expect(supabase.rpc).not.toHaveBeenCalledWith('refund_pickup_dispute', expect.anything());
+  });
+
+  it('sends contested disputes to review without a refund', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: { ...DISPUTE, status: 'under_review' }, error: null });
+
+    const { data } = await disputeService.respondToDispute('dispute-1', false, 'All bags were collected');
+
+    expect(data.status).toBe('under_review');
+    expect(supabase.rpc).toHaveBeenCalledTimes(1);
+    expect(notificationService.createDisputeNotification).toHaveBeenCalledWith(
+      'user-1', 'dispute-1', 'under_review', expect.objectContaining({ recipient: 'customer' })
+    );
+  });
+});
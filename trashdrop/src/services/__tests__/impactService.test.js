@@ -0,0 +1,62 @@
+import supabase from '../../utils/supabaseClient.js';
+import impactService from '../impactService.js';
+
+jest.mock('../../utils/supabaseClient.js', () => ({
+  from: jest.fn()
+}));
+
+// Chainable stand-in for supabase.from(...) that resolves to the given rows
+const queryResult = (data) => {
+  const query = { then: (resolve, reject) => Promise.resolve({ data, error: null }).then(resolve, reject) };
+  ['select', 'eq', 'neq', 'in'].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  return query;
+};
+
+const TABLES = {
+  pickup_requests: [
+    { id: 'req-1', bag_count: 2, waste_type: 'general', picked_up_at: '2026-10-02T09:00:00Z', disposed_at: '2026-10-02T11:00:00Z', updated_at: '2026-10-15T08:00:00Z' }
+  ],
+  scheduled_pickups: [
+    { id: 'sched-1', bag_count: 1, waste_type: 'recycling', completed_at: '2026-10-05T10:00:00Z', updated_at: '2026-10-16T08:00:00Z' }
+  ],
+  digital_bins: [
+    { id: 'bin-1', bag_count: 3, waste_type: 'general', collected_at: '2026-10-01T07:00:00Z', updated_at: '2026-10-17T08:00:00Z' }
+  ],
+  recyclable_collections: [
+    { request_type: 'scheduled_pickup', request_id: 'sched-1', items: [{ material_code: 'pet', weight_kg: '2.5' }] }
+  ]
+};
+
+describe('impactService', () => {
+  let queries;
+
+  beforeEach(() => {
+    queries = {};
+    supabase.from.mockImplementation((table) => {
+      queries[table] = queryResult(TABLES[table]);
+      return queries[table];
+    });
+  });
+
+  it('loads every collected pickup type, dated by when it was collected', async () => {
+    const { data, error } = await impactService.getCompletedPickups('user-1');
+
+    expect(error).toBeNull();
+    expect(data.map((pickup) => [pickup.requestType, pickup.completedAt])).toEqual([
+      ['digital_bin', '2026-10-01T07:00:00Z'],
+      ['pickup_request', '2026-10-02T09:00:00Z'],
+      ['scheduled_pickup', '2026-10-05T10:00:00Z']
+    ]);
+    expect(data[2].recordedItems).toEqual([{ material: 'pet', weightKg: 2.5 }]);
+  });
+
+  it('counts picked up and disposed pickups as collected', async () => {
+    await impactService.getCompletedPickups('user-1');
+
+    expect(queries.pickup_requests.in).toHaveBeenCalledWith('status', ['picked_up', 'collected', 'disposed', 'completed']);
+    expect(queries.digital_bins.in).toHaveBeenCalledWith('status', ['picked_up', 'collected', 'disposed', 'completed']);
+    expect(queries.recyclable_collections.neq).toHaveBeenCalledWith('status', 'rejected');
+  });
+});
@@ -0,0 +1,79 @@
+import supabase from '../../utils/supabaseClient.js';
+import leaderboardService, { LEADERBOARD_METRICS, LEADERBOARD_SCOPES } from '../leaderboardService.js';
+
+jest.mock('../../utils/supabaseClient.js', () => ({
+  from: jest.fn(),
+  rpc: jest.fn()
+}));
+
+const membershipQuery = (result) => {
+  const builder = {
+    select: () => builder,
+    eq: () => builder,
+    maybeSingle: () => Promise.resolve(result)
+  };
+  return builder;
+};
+
+describe('leaderboardService', () => {
+  it('returns null membership for customers who have not opted in', async () => {
+    supabase.from.mockReturnValue(membershipQuery({ data: null, error: null }));
+
+    const { data, error } = await leaderboardService.getMembership('user-1');
+
+    expect(error).toBeNull();
+    expect(data).toBeNull();
+    expect(supabase.from).toHaveBeenCalledWith('leaderboard_members');
+  });
+
+  it('joins anonymously and returns the display name', async () => {
+    supabase.rpc.mockResolvedValue({
+      data: { user_id: 'user-1', display_name: 'Neighbour 3FA2', anonymous: true, zone_id: 'zone-1', joined_at: '2026-10-19T08:00:00Z' },
+      error: null
+    });
+
+    const { data } = await leaderboardService.join({ anonymous: true });
+
+    expect(supabase.rpc).toHaveBeenCalledWith('join_leaderboard', { p_anonymous: true });
+    expect(data).toEqual({
+      displayName: 'Neighbour 3FA2',
+      anonymous: true,
+      zoneId: 'zone-1',
+      joinedAt: '2026-10-19T08:00:00Z'
+    });
+  });
+
+  it('maps ranked neighbourhood rows', async () => {
+    supabase.rpc.mockResolvedValue({
+      data: [
+        { rank: 1, name: 'Osu', neighbourhood: 'Osu, Accra', members: 4, bags_collected: 12, completed_pickups: 8, recycling_share: '0.7500', verified_reports: 1, is_me: false },
+        { rank: 3, name: 'Adenta', neighbourhood: 'Adenta', members: 3, bags_collected: 5, completed_pickups: 4, recycling_share: '0.5000', verified_reports: 0, is_me: true }
+      ],
+      error: null
+    });
+
+    const { data } = await leaderboardService.getLeaderboard({
+      period: 'month',
+      scope: LEADERBOARD_SCOPES.NEIGHBOURHOODS,
+      metric: LEADERBOARD_METRICS.RECYCLING_SHARE
+    });
+
+    expect(supabase.rpc).toHaveBeenCalledWith('get_leaderboard', {
+      p_period: 'month',
+      p_scope: 'neighbourhoods',
+      p_metric: 'recycling_share',
+      p_limit: 20
+    });
+    expect(data[0]).toMatchObject({ rank: 1, name: 'Osu', members: 4, recyclingShare: 0.75, isMe: false });
+    expect(data[1].isMe).toBe(true);
+  });
+
+  it('surfaces invalid parameters as an error with an empty board', async () => {
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'Invalid period: year', code: '22023' } });
+
+    const { data, error } = await leaderboardService.getLeaderboard({ period: 'year' });
+
+    expect(data).toEqual([]);
+    expect(error).toEqual({ message: 'Invalid period: year', code: '22023' });
+  });
+});
@@ -0,0 +1,332 @@
+import { createHandler } from '../../../netlify/functions/payments.js';
+import { createLocalSupabase } from '../../../netlify/functions/lib/localSupabase.js';
+import { createMockPaymentProvider } from '../../../netlify/functions/lib/mockPaymentProvider.js';
+import { createMobileMoneyProvider } from '../../../netlify/functions/lib/mobileMoneyProvider.js';
+import {
+  normalizeMsisdn as normalizeServerMsisdn,
+  detectMobileNetwork as detectServerNetwork,
+  getPaymentProvider
+} from '../../../netlify/functions/lib/paymentProviders.js';
+import { normalizeMsisdn, detectMobileNetwork } from '../../utils/mobileMoney.js';
+
+const CUSTOMER = { id: 'customer-1' };
+const COLLECTOR = { id: 'collector-1' };
+const STRANGER = { id: 'stranger-1' };
+
+const call = (handler, { method = 'POST', action, body, token = 'token-customer', query }) => handler({
+  httpMethod: method,
+  path: `/.netlify/functions/payments/${action}`,
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  queryStringParameters: query,
+  body: body ? JSON.stringify(body) : undefined
+});
+
+const parse = (res) => ({ status: res.statusCode, ...JSON.parse(res.body) });
+
+describe('payments function', () => {
+  let supabase;
+  let clock;
+  let handler;
+
+  beforeEach(() => {
+    clock = 1000;
+    supabase = createLocalSupabase({
+      users: { 'token-customer': CUSTOMER, 'token-collector': COLLECTOR, 'token-stranger': STRANGER },
+      tables: {
+        wallet_top_ups: [{ id: 'top-up-1', user_id: 'customer-1', amount: 50, status: 'pending' }],
+        payment_methods: [
+          { id: 'pm-momo', user_id: 'customer-1', type: 'mobile', provider: 'mtn', status: 'active', details: { token: 'pmt_momo', last4: '4567' } },
+          { id: 'pm-card', user_id: 'customer-1', type: 'card', provider: 'visa', status: 'active', details: { last4: '4242' } }
+        ],
+        payment_method_tokens: [{ token: 'pmt_momo', user_id: 'customer-1', type: 'mobile', network: 'mtn', msisdn: '233241234567' }],
+        scheduled_pickups: [{ id: 'pickup-1', user_id: 'customer-1', collector_id: 'collector-1', status: 'pending_payment', fee: 16.5 }],
+        collector_tips: [{ id: 'tip-1', user_id: 'customer-1', collector_id: 'collector-1', request_type: 'scheduled_pickup', request_id: 'pickup-1', amount: 5, payment_method: 'mobile_money', status: 'pending' }]
+      }
+    });
+    handler = createHandler({
+      getClient: () => ({ supabase }),
+      getProvider: () => createMockPaymentProvider({ delayMs: 2000, now: () => clock }),
+      getCallbackUrl: () => null
+    });
+  });
+
+  it('tops up the wallet once the payer approves the prompt', async () => {
+    const requested = parse(await call(handler, {
+      action: 'request',
+      body: { purpose: 'wallet_top_up', reference_id: 'top-up-1', payment_method_id: 'pm-momo', amount: 999 }
+    }));
+
+    expect(requested.status).toBe(202);
+    expect(requested.data).toMatchObject({ status: 'pending', amount: 50, network: 'mtn', msisdn: '•••4567' });
+    expect(supabase._tables.payment_transactions[0]).toMatchObject({ user_id: 'customer-1', provider: 'mock', msisdn: '233241234567' });
+
+    const pending = parse(await call(handler, { method: 'GET', action: 'status', query: { id: requested.data.payment_id } }));
+    expect(pending.data.status).toBe('pending');
+
+    clock += 2000;
+    const settled = parse(await call(handler, { method: 'GET', action: 'status', query: { id: requested.data.payment_id } }));
+    expect(settled.data.status).toBe('successful');
+    expect(supabase._tables.wallet_top_ups[0].status).toBe('completed');
+  });
+
+  it('fails the top-up when the payer declines', async () => {
+    const requested = parse(await call(handler, {
+      action: 'request',
+      body: { purpose: 'wallet_top_up', reference_id: 'top-up-1', msisdn: '024 123 4560', network: 'mtn' }
+    }));
+    const result = parse(await call(handler, { method: 'GET', action: 'status', query: { id: requested.data.payment_id } }));
+
+    expect(result.data).toMatchObject({ status: 'failed', failure_reason: 'APPROVAL_REJECTED' });
+    expect(supabase._tables.wallet_top_ups[0].status).toBe('failed');
+  });
+
+  it('lets the collector charge the customer the stored pickup fee', async () => {
+    const requested = parse(await call(handler, {
+      action: 'request',
+      token: 'token-collector',
+      body: { purpose: 'pickup_payment', reference_id: 'pickup-1', amount: 1, msisdn: '0201234567', network: 'telecel' }
+    }));
+
+    expect(requested.status).toBe(202);
+    expect(supabase._tables.payment_transactions[0]).toMatchObject({ user_id: 'customer-1', initiated_by: 'collector-1', amount: 16.5 });
+
+    clock += 5000;
+    await call(handler, { action: 'callback', token: null, body: { externalId: requested.data.payment_id, status: 'SUCCESSFUL' } });
+
+    expect(supabase._tables.scheduled_pickups[0]).toMatchObject({ payment_method: 'mobile_money', payment_amount: 16.5, payment_status: 'completed' });
+  });
+
+  it('takes an applied promo off the pickup fee, priced from the promo itself', async () => {
+    supabase._tables.promo_codes = [{ id: 'promo-1', code: 'SAVE4', discount_type: 'fixed', discount_value: 4 }];
+    supabase._tables.promo_redemptions = [
+      { promo_code_id: 'promo-1', request_id: 'pickup-1', service_type: 'pickup', discount_amount: 16, status: 'applied' }
+    ];
+
+    await call(handler, {
+      action: 'request',
+      token: 'token-collector',
+      body: { purpose: 'pickup_payment', reference_id: 'pickup-1', msisdn: '0201234567', network: 'telecel' }
+    });
+
+    expect(supabase._tables.payment_transactions[0].amount).toBe(12.5);
+  });
+
+  it('reuses a pending request and refuses to charge a paid pickup again', async () => {
+    const body = { purpose: 'pickup_payment', reference_id: 'pickup-1', msisdn: '0201234567', network: 'telecel' };
+    const first = parse(await call(handler, { action: 'request', token: 'token-collector', body }));
+    const retry = parse(await call(handler, { action: 'request', token: 'token-collector', body }));
+
+    expect(retry.status).toBe(202);
+    expect(retry.data.payment_id).toBe(first.data.payment_id);
+    expect(supabase._tables.payment_transactions).toHaveLength(1);
+
+    clock += 5000;
+    const paid = parse(await call(handler, { action: 'request', token: 'token-collector', body }));
+    expect(paid).toMatchObject({ status: 409, code: 'ALREADY_PAID' });
+    expect(supabase._tables.payment_transactions).toHaveLength(1);
+  });
+
+  it('hands concurrent requests for the same reference one pending payment', async () => {
+    const body = { purpose: 'pickup_payment', reference_id: 'pickup-1', msisdn: '0201234567', network: 'telecel' };
+    const [first, second] = (await Promise.all([
+      call(handler, { action: 'request', token: 'token-collector', body }),
+      call(handler, { action: 'request', token: 'token-collector', body })
+    ])).map(parse);
+
+    expect([first.status, second.status]).toEqual([202, 202]);
+    expect(second.data.payment_id).toBe(first.data.payment_id);
+    expect(supabase._tables.payment_transactions).toHaveLength(1);
+  });
+
+  it('charges the tip amount recorded for the collector, not the one requested', async () => {
+    const requested = parse(await call(handler, {
+      action: 'request',
+      token: 'token-collector',
+      body: { purpose: 'collector_tip', reference_id: 'tip-1', amount: 500, msisdn: '0241234567', network: 'mtn' }
+    }));
+
+    expect(requested.status).toBe(202);
+    expect(supabase._tables.payment_transactions[0]).toMatchObject({ user_id: 'customer-1', purpose: 'collector_tip', amount: 5 });
+
+    clock += 2000;
+    await call(handler, { method: 'GET', action: 'status', token: 'token-collector', query: { id: requested.data.payment_id } });
+
+    expect(supabase._tables.collector_tips[0].status).toBe('completed');
+    const again = await call(handler, {
+      action: 'request',
+      body: { purpose: 'collector_tip', reference_id: 'tip-1', msisdn: '0241234567', network: 'mtn' }
+    });
+    expect(again.statusCode).toBe(409);
+  });
+
+  it('reads the outcome from the provider rather than trusting the callback', async () => {
+    const requested = parse(await call(handler, {
+      action: 'request',
+      body: { purpose: 'wallet_top_up', reference_id: 'top-up-1', payment_method_id: 'pm-momo' }
+    }));
+    const res = parse(await call(handler, { action: 'callback', token: null, body: { externalId: requested.data.payment_id, status: 'SUCCESSFUL' } }));
+
+    expect(res.data.status).toBe('pending');
+    expect(supabase._tables.wallet_top_ups[0].status).toBe('pending');
+  });
+
+  it.each([
+    ['someone else\'s pickup', 'token-stranger', { purpose: 'pickup_payment', reference_id: 'pickup-1', amount: 10, msisdn: '0241234567', network: 'mtn' }, 403],
+    ['a card payment method', 'token-customer', { purpose: 'wallet_top_up', reference_id: 'top-up-1', payment_method_id: 'pm-card' }, 400],
+    ['an invalid number', 'token-customer', { purpose: 'wallet_top_up', reference_id: 'top-up-1', msisdn: '12345', network: 'mtn' }, 400],
+    ['an unknown network', 'token-customer', { purpose: 'wallet_top_up', reference_id: 'top-up-1', msisdn: '0241234567', network: 'mpesa' }, 400]
+  ])('rejects %s', async (_label, token, body, status) => {
+    const res = await call(handler, { action: 'request', token, body });
+
+    expect(res.statusCode).toBe(status);
+    expect(supabase._tables.payment_transactions || []).toHaveLength(0);
+  });
+
+  it('vaults mobile money numbers and returns only a token', async () => {
+    const res = parse(await call(handler, { action: 'tokenize', body: { type: 'mobile', msisdn: '055 123 4567', network: 'mtn' } }));
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.data).sort()).toEqual(['last4', 'token']);
+    expect(res.data.last4).toBe('4567');
+    expect(supabase._tables.payment_method_tokens[1]).toMatchObject({
+      token: res.data.token, user_id: 'customer-1', msisdn: '233551234567', network: 'mtn'
+    });
+  });
+
+  it('tokenises cards with the provider without storing them', async () => {
+    const res = parse(await call(handler, {
+      action: 'tokenize',
+      body: { type: 'card', card_number: '4242 4242 4242 4242', expiry: '12/99', cvv: '123' }
+    }));
+    const declined = await call(handler, {
+      action: 'tokenize',
+      body: { type: 'card', card_number: '4000000000000002', expiry: '12/99', cvv: '123' }
+    });
+
+    expect(res.data).toEqual({ token: expect.stringMatching(/^tok_mock_/), last4: '4242', expiry: '12/99', brand: 'visa' });
+    expect(declined.statusCode).toBe(400);
+    expect(JSON.stringify(supabase._tables)).not.toContain('4242424242424242');
+  });
+
+  it('does not charge a saved number from someone else\'s vault entry', async () => {
+    supabase._tables.payment_method_tokens[0].user_id = 'stranger-1';
+    const res = await call(handler, {
+      action: 'request',
+      body: { purpose: 'wallet_top_up', reference_id: 'top-up-1', payment_method_id: 'pm-momo' }
+    });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('requires a session for requests and status checks', async () => {
+    expect((await call(handler, { action: 'request', token: null, body: {} })).statusCode).toBe(401);
+    expect((await call(handler, { method: 'GET', action: 'status', token: null, query: { id: 'x' } })).statusCode).toBe(401);
+    expect((await call(handler, { action: 'tokenize', token: null, body: { type: 'mobile' } })).statusCode).toBe(401);
+  });
+});
+
+describe('mobile money provider', () => {
+  const config = {
+    baseUrl: 'https://momo.test',
+    apiUser: 'api-user',
+    apiKey: 'api-key',
+    subscriptionKey: 'sub-key',
+    targetEnvironment: 'sandbox'
+  };
+
+  const fakeFetch = (responses) => {
+    const calls = [];
+    const fetchImpl = async (url, init) => {
+      calls.push({ url, init });
+      const [status, body] = responses.shift();
+      return { status, ok: status >= 200 && status < 300, json: async () => body };
+    };
+    return { calls, fetchImpl };
+  };
+
+  it('sends a request to pay with a cached access token', async () => {
+    const { calls, fetchImpl } = fakeFetch([
+      [200, { access_token: 'tok', expires_in: 3600 }],
+      [202, {}],
+      [200, { status: 'SUCCESSFUL', financialTransactionId: 'ft-1' }]
+    ]);
+    const provider = createMobileMoneyProvider({ config, fetch: fetchImpl });
+
+    const result = await provider.requestToPay({
+      reference: 'payment-1', amount: 16.5, currency: 'GHS', msisdn: '233241234567', callbackUrl: 'https://app.test/cb'
+    });
+    const status = await provider.getStatus('payment-1');
+
+    expect(result).toEqual({ provider_reference: 'payment-1', status: 'pending' });
+    expect(calls[0].url).toBe('https://momo.test/collection/token/');
+    expect(calls[1].url).toBe('https://momo.test/collection/v1_0/requesttopay');
+    expect(calls[1].init.headers).toMatchObject({
+      Authorization: 'Bearer tok',
+      'X-Reference-Id': 'payment-1',
+      'X-Callback-Url': 'https://app.test/cb',
+      'X-Target-Environment': 'sandbox'
+    });
+    expect(JSON.parse(calls[1].init.body)).toMatchObject({ amount: '16.50', currency: 'GHS', externalId: 'payment-1', payer: { partyId: '233241234567' } });
+    expect(calls).toHaveLength(3);
+    expect(status).toEqual({ status: 'successful', reason: null, provider_transaction_id: 'ft-1' });
+  });
+
+  it('maps rejected requests to failed', async () => {
+    const { fetchImpl } = fakeFetch([
+      [200, { access_token: 'tok', expires_in: 3600 }],
+      [200, { status: 'FAILED', reason: 'APPROVAL_REJECTED' }]
+    ]);
+    const provider = createMobileMoneyProvider({ config, fetch: fetchImpl });
+
+    expect(await provider.getStatus('payment-1')).toMatchObject({ status: 'failed', reason: 'APPROVAL_REJECTED' });
+  });
+
+  it('refuses to run unconfigured', async () => {
+    const provider = createMobileMoneyProvider({ config: { baseUrl: '', apiUser: '', apiKey: '', subscriptionKey: '' } });
+
+    await expect(provider.requestToPay({ reference: 'p', amount: 1, msisdn: '233241234567' })).rejects.toThrow(/not configured/);
+  });
+
+  it('requires PAYMENT_PROVIDER to be set', () => {
+    const previous = process.env.PAYMENT_PROVIDER;
+    delete process.env.PAYMENT_PROVIDER;
+    try {
+      expect(() => getPaymentProvider()).toThrow(/PAYMENT_PROVIDER is not set/);
+      expect(getPaymentProvider('mock').name).toBe('mock');
+      expect(() => getPaymentProvider('paypal')).toThrow(/Unknown payment provider/);
+    } finally {
+      if (previous !== undefined) process.env.PAYMENT_PROVIDER = previous;
+    }
+  });
+
+  it('reports a missing provider as a configuration error', async () => {
+    const unconfigured = createHandler({
+      getClient: () => ({ supabase: createLocalSupabase({ users: { 'token-customer': CUSTOMER } }) }),
+      getProvider: () => getPaymentProvider(),
+      getCallbackUrl: () => null
+    });
+    const previous = process.env.PAYMENT_PROVIDER;
+    delete process.env.PAYMENT_PROVIDER;
+    try {
+      const res = parse(await call(unconfigured, { method: 'GET', action: 'status', query: { id: 'payment-1' } }));
+      expect(res).toMatchObject({ status: 500, code: 'PAYMENTS_CONFIG_ERROR' });
+    } finally {
+      if (previous !== undefined) process.env.PAYMENT_PROVIDER = previous;
+    }
+  });
+});
+
+describe('mobile money numbers', () => {
+  it.each([
+    ['024 123 4567', '233241234567', 'mtn'],
+    ['+233 20 123 4567', '233201234567', 'telecel'],
+    ['0571234567', '233571234567', 'airteltigo'],
+    ['0301234567', '233301234567', null],
+    ['12345', null, null]
+  ])('reads %s the same way on the client and the server', (input, msisdn, network) => {
+    expect(normalizeMsisdn(input)).toBe(msisdn);
+    expect(normalizeServerMsisdn(input)).toBe(msisdn);
+    expect(detectMobileNetwork(input)).toBe(network);
+    expect(detectServerNetwork(input)).toBe(network);
+  });
+});
@@ -0,0 +1,163 @@
+import supabase from '../../utils/supabaseClient.js';
+import { notificationService } from '../notificationService.js';
+import pointsService, { resolveTier, describeTierBenefits } from '../pointsService.js';
+import { createHandler } from '../../../netlify/functions/points-reconciliation.js';
+import { createHandler as createExpiryHandler } from '../../../netlify/functions/points-expiry.js';
+
+jest.mock('../../utils/supabaseClient.js', () => ({
+  rpc: jest.fn(),
+  from: jest.fn()
+}));
+
+jest.mock('../notificationService.js', () => ({
+  notificationService: {
+    createPointsExpiryNotification: jest.fn()
+  }
+}));
+
+const TIERS = [
+  { code: 'silver', name: 'Silver', rank: 2, min_lifetime_points: 500, min_completed_pickups: 5, request_fee_discount: 0.25, priority_matching: false },
+  { code: 'bronze', name: 'Bronze', rank: 1, min_lifetime_points: 0, min_completed_pickups: 0, request_fee_discount: 0, priority_matching: false },
+  { code: 'gold', name: 'Gold', rank: 3, min_lifetime_points: 1500, min_completed_pickups: 15, request_fee_discount: 0.5, priority_matching: true },
+  { code: 'platinum', name: 'Platinum', rank: 4, min_lifetime_points: 4000, min_completed_pickups: 40, request_fee_discount: 1, priority_matching: true }
+];
+
+const ledgerQuery = (result) => {
+  const query = {
+    select: () => query,
+    eq: () => query,
+    order: () => query,
+    limit: () => Promise.resolve(result)
+  };
+  return query;
+};
+
+describe('pointsService', () => {
+  it('reads the balance from the ledger', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: 135, error: null });
+
+    const { data, error } = await pointsService.getBalance('user-1');
+
+    expect(error).toBeNull();
+    expect(data).toBe(135);
+    expect(supabase.rpc).toHaveBeenCalledWith('get_user_points_balance', { p_user_id: 'user-1' });
+  });
+
+  it('returns zero with the error when the balance cannot be loaded', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'permission denied', code: '42501' } });
+
+    const { data, error } = await pointsService.getBalance('user-2');
+
+    expect(data).toBe(0);
+    expect(error.code).toBe('42501');
+  });
+
+  it('labels ledger entries for the points history', async () => {
+    supabase.from.mockReturnValueOnce(ledgerQuery({
+      data: [
+        { id: 'e-3', entry_type: 'expire', points: -20, source_type: 'expiry', source_id: null, description: 'Points expired', created_at: '2026-10-18T10:00:00Z' },
+        { id: 'e-2', entry_type: 'spend', points: -100, source_type: 'reward_redemption', source_id: 'r-1', description: 'Redeemed Coffee voucher', created_at: '2026-10-17T10:00:00Z' },
+        { id: 'e-1', entry_type: 'earn', points: 15, source_type: 'digital_bin', source_id: 'bin-1', description: 'Digital bin', created_at: '2026-10-16T10:00:00Z' }
+      ],
+      error: null
+    }));
+
+    const { data } = await pointsService.getHistory('user-1');
+
+    expect(supabase.from).toHaveBeenCalledWith('points_ledger');
+    expect(data.map((entry) => [entry.activity, entry.points])).toEqual([
+      ['Points Expired', -20],
+      ['Reward Redemption', -100],
+      ['Digital Bin', 15]
+    ]);
+    expect(data[1]).toMatchObject({ type: 'spend', sourceType: 'reward_redemption', sourceId: 'r-1' });
+  });
+});
+
+describe('points expiry warnings', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    notificationService.createPointsExpiryNotification.mockResolvedValue({ data: {}, error: null });
+  });
+
+  it('warns once per expiry date', async () => {
+    supabase.rpc.mockResolvedValue({ data: [{ points: 40, expires_at: '2026-11-02T09:00:00Z' }], error: null });
+
+    const first = await pointsService.warnExpiringPoints('user-1');
+    await pointsService.warnExpiringPoints('user-1');
+
+    expect(first.data).toEqual({ points: 40, expiresAt: '2026-11-02T09:00:00Z' });
+    expect(supabase.rpc).toHaveBeenCalledWith('get_expiring_points', { p_user_id: 'user-1', p_within_days: 30 });
+    expect(notificationService.createPointsExpiryNotification).toHaveBeenCalledTimes(1);
+    expect(notificationService.createPointsExpiryNotification).toHaveBeenCalledWith('user-1', 40, '2026-11-02T09:00:00Z');
+  });
+
+  it('does not warn when nothing is about to expire', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: [], error: null });
+
+    const { data } = await pointsService.warnExpiringPoints('user-1');
+
+    expect(data).toBeNull();
+    expect(notificationService.createPointsExpiryNotification).not.toHaveBeenCalled();
+  });
+});
+
+describe('resolveTier', () => {
+  it('needs both the points and the pickups threshold', () => {
+    const { tier, nextTier, pointsToNext, pickupsToNext } = resolveTier(TIERS, { lifetimePoints: 1800, completedPickups: 9 });
+
+    expect(tier.code).toBe('silver');
+    expect(nextTier.code).toBe('gold');
+    expect(pointsToNext).toBe(0);
+    expect(pickupsToNext).toBe(6);
+  });
+
+  it('has no next tier at the top', () => {
+    const { tier, nextTier } = resolveTier(TIERS, { lifetimePoints: 5000, completedPickups: 60 });
+
+    expect(tier.code).toBe('platinum');
+    expect(nextTier).toBeNull();
+  });
+
+  it('describes tier benefits', () => {
+    expect(describeTierBenefits(TIERS[1])).toEqual([]);
+    expect(describeTierBenefits(TIERS[2])).toEqual(['50% off the request fee', 'Priority collector matching']);
+    expect(describeTierBenefits(TIERS[3])).toEqual(['No request fee', 'Priority collector matching']);
+  });
+});
+
+describe('points-reconciliation function', () => {
+  it('reports the number of customers flagged', async () => {
+    const client = { rpc: jest.fn().mockResolvedValue({ data: 2, error: null }) };
+    const handler = createHandler({ getClient: () => ({ supabase: client }) });
+
+    const res = await handler({});
+
+    expect(client.rpc).toHaveBeenCalledWith('reconcile_points_ledger');
+    expect(res.statusCode).toBe(200);
+    expect(JSON.parse(res.body)).toEqual({ open_flags: 2 });
+  });
+
+  it('fails when the reconciliation fails', async () => {
+    const client = { rpc: jest.fn().mockResolvedValue({ data: null, error: { message: 'boom', code: 'XX000' } }) };
+    const handler = createHandler({ getClient: () => ({ supabase: client }) });
+
+    const res = await handler({});
+
+    expect(res.statusCode).toBe(500);
+    expect(JSON.parse(res.body).code).toBe('XX000');
+  });
+});
+
+describe('points-expiry function', () => {
+  it('reports the points expired', async () => {
+    const client = { rpc: jest.fn().mockResolvedValue({ data: 120, error: null }) };
+    const handler = createExpiryHandler({ getClient: () => ({ supabase: client }) });
+
+    const res = await handler({});
+
+    expect(client.rpc).toHaveBeenCalledWith('expire_points');
+    expect(res.statusCode).toBe(200);
+    expect(JSON.parse(res.body)).toEqual({ points_expired: 120 });
+  });
+});
@@ -0,0 +1,119 @@
+import supabase from '../../utils/supabaseClient.js';
+import pricingSnapshotService, { formatSnapshotAge, SNAPSHOT_SCHEMA_VERSION } from '../pricingSnapshotService.js';
+import { getLocationPrice, clearPricingCache } from '../gpsPricingService.js';
+
+jest.mock('../../utils/supabaseClient.js', () => ({
+  rpc: jest.fn()
+}));
+
+// In-memory stand-in for the IndexedDB snapshot stores (plain functions: CRA resets jest.fn mocks between tests)
+jest.mock('../../utils/offlineStorage.js', () => {
+  const state = { zones: new Map(), meta: null };
+  return {
+    __state: state,
+    savePricingZoneSnapshot: async ({ zones = [], removedIds = [], full = false, meta = {} }) => {
+      if (full) state.zones.clear();
+      removedIds.forEach((id) => state.zones.delete(id));
+      zones.forEach((zone) => state.zones.set(zone.id, zone));
+      state.meta = { ...meta, id: 'singleton', zone_count: state.zones.size };
+      return state.meta;
+    },
+    getPricingZoneSnapshotMeta: async () => state.meta,
+    getCachedPricingZones: async () => Array.from(state.zones.values())
+  };
+});
+
+const { __state: storage } = jest.requireMock('../../utils/offlineStorage.js');
+
+const OSU = { id: 'osu', suburb: 'Osu', latitude: 5.556, longitude: -0.182, price_120l: 35 };
+const LABONE = {
+  id: 'labone',
+  suburb: 'Labone',
+  latitude: 5.568,
+  longitude: -0.165,
+  price_120l: 45,
+  boundary: { type: 'Polygon', coordinates: [[[-0.175, 5.56], [-0.155, 5.56], [-0.155, 5.58], [-0.175, 5.58], [-0.175, 5.56]]] }
+};
+
+describe('pricingSnapshotService', () => {
+  beforeEach(() => {
+    storage.zones.clear();
+    storage.meta = null;
+    supabase.rpc.mockReset();
+  });
+
+  it('downloads a full snapshot first, then applies deltas since the stored version', async () => {
+    supabase.rpc.mockResolvedValueOnce({
+      data: { version: '2026-10-19T08:00:00Z', full: true, zones: [OSU, LABONE], removed_ids: [] },
+      error: null
+    });
+    const first = await pricingSnapshotService.refreshSnapshot();
+
+    expect(supabase.rpc).toHaveBeenLastCalledWith('get_pricing_zone_changes', { p_since: null });
+    expect(first.data).toMatchObject({ version: '2026-10-19T08:00:00Z', zone_count: 2, schema_version: SNAPSHOT_SCHEMA_VERSION });
+
+    supabase.rpc.mockResolvedValueOnce({
+      data: { version: '2026-10-19T14:00:00Z', full: false, zones: [{ ...OSU, price_120l: 38 }], removed_ids: ['labone'] },
+      error: null
+    });
+    const second = await pricingSnapshotService.refreshSnapshot();
+
+    expect(supabase.rpc).toHaveBeenLastCalledWith('get_pricing_zone_changes', { p_since: '2026-10-19T08:00:00Z' });
+    expect(second.data.zone_count).toBe(1);
+    expect(storage.zones.get('osu').price_120l).toBe(38);
+  });
+
+  it('re-downloads everything when the stored schema version is outdated', async () => {
+    storage.meta = { schema_version: 0, version: '2026-10-18T00:00:00Z', synced_at: '2026-10-18T00:00:00Z' };
+    supabase.rpc.mockResolvedValueOnce({ data: { version: 'v2', full: true, zones: [OSU], removed_ids: [] }, error: null });
+
+    await pricingSnapshotService.refreshIfDue(new Date('2026-10-18T01:00:00Z'));
+
+    expect(supabase.rpc).toHaveBeenCalledWith('get_pricing_zone_changes', { p_since: null });
+  });
+
+  it('skips refreshes until the interval has passed', async () => {
+    storage.meta = { schema_version: SNAPSHOT_SCHEMA_VERSION, version: 'v1', synced_at: '2026-10-19T08:00:00Z' };
+
+    await pricingSnapshotService.refreshIfDue(new Date('2026-10-19T13:59:00Z'));
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('resolves zones locally by boundary, then nearest centre', async () => {
+    storage.meta = { schema_version: SNAPSHOT_SCHEMA_VERSION, version: 'v-local', synced_at: '2026-10-19T08:00:00Z' };
+    [OSU, LABONE].forEach((zone) => storage.zones.set(zone.id, zone));
+
+    const inBoundary = await pricingSnapshotService.resolveZone(5.561, -0.174, 10);
+    expect(inBoundary).toMatchObject({ suburb: 'Labone', match_type: 'polygon', from_snapshot: true, snapshot_synced_at: '2026-10-19T08:00:00Z' });
+
+    const near = await pricingSnapshotService.resolveZone(5.55, -0.19, 10);
+    expect(near).toMatchObject({ suburb: 'Osu', match_type: 'nearest' });
+  });
+
+  it('formats snapshot age', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    expect(formatSnapshotAge('2026-10-19T11:59:40Z', now)).toBe('just now');
+    expect(formatSnapshotAge('2026-10-19T11:15:00Z', now)).toBe('45 minutes ago');
+    expect(formatSnapshotAge('2026-10-19T09:00:00Z', now)).toBe('3 hours ago');
+    expect(formatSnapshotAge('2026-10-18T11:00:00Z', now)).toBe('1 day ago');
+  });
+});
+
+describe('gpsPricingService offline pricing', () => {
+  const onLine = jest.spyOn(window.navigator, 'onLine', 'get');
+
+  afterAll(() => onLine.mockRestore());
+
+  it('prices from the snapshot zone when the device is offline', async () => {
+    onLine.mockReturnValue(false);
+    clearPricingCache();
+    storage.meta = { schema_version: SNAPSHOT_SCHEMA_VERSION, version: 'v-offline', synced_at: '2026-10-19T08:00:00Z' };
+    storage.zones.clear();
+    storage.zones.set('osu', OSU);
+
+    const priceInfo = await getLocationPrice(5.557, -0.183, 120);
+
+    expect(supabase.rpc).not.toHaveBeenCalled();
+    expect(priceInfo).toMatchObject({ price: 35, source: 'snapshot', zone: { suburb: 'Osu', snapshot_synced_at: '2026-10-19T08:00:00Z' } });
+  });
+});
@@ -0,0 +1,125 @@
+import {
+  pointInGeometry,
+  resolvePricingZone,
+  featureCollectionToZones,
+  zonesToFeatureCollection
+} from '../../../netlify/functions/lib/pricingZones.js';
+import {
+  pointInGeometry as clientPointInGeometry,
+  resolvePricingZone as clientResolvePricingZone
+} from '../../utils/geoUtils.js';
+
+// Square district around Osu with a hole, and a neighbouring zone whose centre is closer to the boundary
+const OSU_BOUNDARY = {
+  type: 'Polygon',
+  coordinates: [
+    [[-0.19, 5.55], [-0.17, 5.55], [-0.17, 5.57], [-0.19, 5.57], [-0.19, 5.55]],
+    [[-0.182, 5.558], [-0.178, 5.558], [-0.178, 5.562], [-0.182, 5.562], [-0.182, 5.558]]
+  ]
+};
+
+const ZONES = [
+  { id: 'osu', region: 'Greater Accra', district: 'Accra Metro', community: 'Osu', suburb: 'Osu', latitude: 5.56, longitude: -0.18, boundary: OSU_BOUNDARY, price_120l: 35 },
+  { id: 'labone', region: 'Greater Accra', district: 'Accra Metro', community: 'La Dade-Kotopon', suburb: 'Labone', latitude: 5.5685, longitude: -0.1665, price_120l: 45 }
+];
+
+describe('pricing zone geometry', () => {
+  it('excludes holes and treats edges as inside', () => {
+    expect(pointInGeometry(5.552, -0.188, OSU_BOUNDARY)).toBe(true);
+    expect(pointInGeometry(5.56, -0.18, OSU_BOUNDARY)).toBe(false);
+    expect(pointInGeometry(5.55, -0.18, OSU_BOUNDARY)).toBe(true);
+    expect(pointInGeometry(5.58, -0.18, OSU_BOUNDARY)).toBe(false);
+    expect(pointInGeometry(5.552, -0.188, { type: 'MultiPolygon', coordinates: [OSU_BOUNDARY.coordinates] })).toBe(true);
+  });
+
+  it('prefers the containing boundary over a nearer centre on the district edge', () => {
+    // Inside Osu's boundary, but Labone's centre is closer
+    const zone = resolvePricingZone(ZONES, 5.5685, -0.1705, 10);
+    expect(zone).toMatchObject({ id: 'osu', match_type: 'polygon' });
+  });
+
+  it('falls back to the nearest centre outside every boundary', () => {
+    expect(resolvePricingZone(ZONES, 5.572, -0.165, 10)).toMatchObject({ id: 'labone', match_type: 'nearest' });
+    expect(resolvePricingZone(ZONES, 9.4, -0.85, 10)).toBeNull();
+  });
+});
+
+describe('pricing zone GeoJSON import/export', () => {
+  it('round-trips zones through a FeatureCollection', () => {
+    const collection = zonesToFeatureCollection(ZONES);
+    expect(collection.features[0].geometry).toEqual(OSU_BOUNDARY);
+    expect(collection.features[1].geometry).toEqual({ type: 'Point', coordinates: [-0.1665, 5.5685] });
+
+    const { zones, errors } = featureCollectionToZones(collection);
+    expect(errors).toEqual([]);
+    expect(zones[0]).toMatchObject({ suburb: 'Osu', boundary: OSU_BOUNDARY, latitude: 5.56, longitude: -0.18, price_120l: 35 });
+    expect(zones[1]).toMatchObject({ suburb: 'Labone', latitude: 5.5685, longitude: -0.1665 });
+    expect(zones[1].boundary).toBeUndefined();
+  });
+
+  it('derives a centre from the boundary and reports invalid features', () => {
+    const { zones, errors } = featureCollectionToZones({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: OSU_BOUNDARY, properties: { region: 'R', district: 'D', community: 'C', suburb: 'S' } },
+        { type: 'Feature', geometry: OSU_BOUNDARY, properties: { region: 'R', district: 'D', suburb: 'No community' } },
+        { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1]]] }, properties: { region: 'R', district: 'D', community: 'C', suburb: 'Open ring' } },
+        { type: 'Feature', geometry: null, properties: { region: 'R', district: 'D', community: 'C', suburb: 'Bad price', price_120l: 'free' } }
+      ]
+    });
+
+    expect(zones).toHaveLength(1);
+    expect(zones[0]).toMatchObject({ latitude: 5.56, longitude: -0.18 });
+    expect(errors).toEqual([
+      'Feature 1 (No community): missing community',
+      'Feature 2 (Open ring): Each ring needs at least four [lng, lat] positions and must be closed',
+      'Feature 3 (Bad price): price_120l must be a non-negative number'
+    ]);
+  });
+});
+
+// The offline lookup in src/utils/geoUtils.js is a copy of the server helpers above;
+// both must resolve every point the same way
+describe('client and server zone lookups', () => {
+  const CONCAVE = {
+    type: 'Polygon',
+    coordinates: [[[-0.25, 5.6], [-0.21, 5.6], [-0.21, 5.64], [-0.23, 5.62], [-0.25, 5.64], [-0.25, 5.6]]]
+  };
+  const ISLANDS = {
+    type: 'MultiPolygon',
+    coordinates: [
+      [[[-0.16, 5.6], [-0.15, 5.6], [-0.15, 5.61], [-0.16, 5.61], [-0.16, 5.6]]],
+      [[[-0.14, 5.62], [-0.13, 5.62], [-0.13, 5.63], [-0.14, 5.63], [-0.14, 5.62]]]
+    ]
+  };
+  const ALL_ZONES = [
+    ...ZONES,
+    { id: 'concave', suburb: 'Concave', latitude: 5.61, longitude: -0.23, boundary: CONCAVE },
+    { id: 'islands', suburb: 'Islands', latitude: 5.615, longitude: -0.145, boundary: ISLANDS },
+    { id: 'closed', suburb: 'Closed', latitude: 5.6, longitude: -0.2, boundary: CONCAVE, is_active: false }
+  ];
+
+  // Grid over all zones, including edges and vertices
+  const points = [];
+  for (let lat = 5.54; lat <= 5.645; lat += 0.0025) {
+    for (let lng = -0.26; lng <= -0.125; lng += 0.0025) {
+      points.push([Math.round(lat * 1e4) / 1e4, Math.round(lng * 1e4) / 1e4]);
+    }
+  }
+
+  it('agree on point-in-polygon for every boundary', () => {
+    [OSU_BOUNDARY, CONCAVE, ISLANDS].forEach((geometry) => {
+      points.forEach(([lat, lng]) => {
+        expect([lat, lng, clientPointInGeometry(lat, lng, geometry)]).toEqual([lat, lng, pointInGeometry(lat, lng, geometry)]);
+      });
+    });
+  });
+
+  it('resolve the same zone everywhere', () => {
+    const summary = (zone) => zone && { id: zone.id, match_type: zone.match_type, distance_km: zone.distance_km };
+    points.forEach(([lat, lng]) => {
+      expect([lat, lng, summary(clientResolvePricingZone(ALL_ZONES, lat, lng, 3))])
+        .toEqual([lat, lng, summary(resolvePricingZone(ALL_ZONES, lat, lng, 3))]);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import supabase from '../../utils/supabaseClient.js';
+import ratingService, { formatCollectorRating } from '../ratingService.js';
+
+jest.mock('../../utils/supabaseClient.js', () => ({
+  rpc: jest.fn()
+}));
+
+describe('ratingService', () => {
+  it('stores the rating against the pickup', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: { id: 'rating-1', rating: 4 }, error: null });
+
+    const { data, error } = await ratingService.submitRating({
+      requestType: 'digital_bin',
+      requestId: 'bin-1',
+      rating: 4,
+      review: '  Quick and friendly  '
+    });
+
+    expect(error).toBeNull();
+    expect(data.id).toBe('rating-1');
+    expect(supabase.rpc).toHaveBeenCalledWith('submit_collector_rating', {
+      p_request_type: 'digital_bin',
+      p_request_id: 'bin-1',
+      p_rating: 4,
+      p_review: 'Quick and friendly'
+    });
+  });
+
+  it('rejects ratings outside 1-5 stars without calling the database', async () => {
+    const { error } = await ratingService.submitRating({ requestType: 'digital_bin', requestId: 'bin-1', rating: 6 });
+
+    expect(error.code).toBe('INVALID_RATING');
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('reports a pickup that has already been rated', async () => {
+    supabase.rpc.mockResolvedValueOnce({
+      data: null,
+      error: { message: 'This pickup has already been rated', code: 'P0001', hint: 'ALREADY_RATED' }
+    });
+
+    const { error } = await ratingService.submitRating({ requestType: 'pickup_request', requestId: 'pickup-1', rating: 5 });
+
+    expect(error.code).toBe('ALREADY_RATED');
+  });
+});
+
+describe('formatCollectorRating', () => {
+  it('shows the average and number of ratings', () => {
+    expect(formatCollectorRating({ rating: '4.666', rating_count: 23 })).toBe('4.7 (23 ratings)');
+    expect(formatCollectorRating({ rating: 5, rating_count: 1 })).toBe('5.0 (1 rating)');
+  });
+
+  it('marks unrated collectors as new', () => {
+    expect(formatCollectorRating({ rating: 0, rating_count: 0 })).toBe('New collector');
+    expect(formatCollectorRating(null)).toBe('New collector');
+  });
+});
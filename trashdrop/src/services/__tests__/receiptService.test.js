@@ -0,0 +1,183 @@
+import { saveAs } from 'file-saver';
+import supabase from '../../utils/supabaseClient.js';
+import receiptService from '../receiptService.js';
+import { buildReceipt, buildPickupRequestReceipt, receiptToHtml, receiptToPdf } from '../../utils/receiptGenerator.js';
+
+jest.mock('../../utils/supabaseClient.js', () => ({
+  from: jest.fn()
+}));
+
+jest.mock('file-saver', () => ({
+  saveAs: jest.fn()
+}));
+
+const BIN = {
+  id: '1a2b3c4d-0000-4000-8000-000000000001',
+  status: 'picked_up',
+  collected_at: '2026-10-18T09:30:00Z',
+  bin_size_liters: 240,
+  bag_count: 2,
+  waste_type: 'general',
+  frequency: 'weekly',
+  is_urgent: true,
+  fee: 81.26,
+  tax_total: 5.26,
+  taxes: [{ code: 'NHIL', label: 'NHIL (2.5%)', rate: 0.025, amount: 1.88 }, { code: 'VAT', label: 'VAT (4.5%)', rate: 0.045, amount: 3.38 }],
+  quote_id: 'quote-1',
+  collector_id: 'collector-1',
+  bin_locations: { location_name: 'Home', address: '12 Ring Road, Accra' }
+};
+
+// As returned by digital_bin_quotes_client, with the surge folded into base and core
+const BREAKDOWN = {
+  base: 59.25,
+  bin_count: 2,
+  on_site_charges: 0,
+  discounts: [{ code: 'WELCOME', label: 'Welcome discount (4.5%)', amount: 2.25 }],
+  urgent_charge: 15,
+  distance_charge: 3,
+  billable_km: 2,
+  request_fee: 1,
+  taxes: [],
+  total: 81.26
+};
+
+const PICKUP_REQUEST = {
+  id: '5e6f7a8b-0000-4000-8000-000000000002',
+  status: 'disposed',
+  fee: 15,
+  bag_count: 3,
+  waste_type: 'plastic',
+  address: '4 Oxford Street, Osu',
+  collector_id: 'collector-1',
+  picked_up_at: '2026-10-18T08:00:00Z',
+  disposed_at: '2026-10-18T10:15:00Z'
+};
+
+const COLLECTOR = { user_id: 'collector-1', first_name: 'Kofi', last_name: 'Mensah', vehicle_type: 'tricycle', vehicle_plate: 'GR 1234-26' };
+
+// Chainable stand-in for supabase.from(...) that resolves to the given result
+const queryResult = (result) => {
+  const query = {};
+  ['select', 'eq'].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  query.maybeSingle = jest.fn(() => Promise.resolve(result));
+  return query;
+};
+
+describe('receipt generator', () => {
+  it('itemises the stored breakdown without a surge line', () => {
+    const receipt = buildReceipt({ bin: BIN, breakdown: BREAKDOWN, collector: COLLECTOR, location: BIN.bin_locations });
+
+    expect(receipt.number).toBe('TD-1A2B3C4D-20261018');
+    expect(receipt.items.map((item) => [item.label, item.amount])).toEqual([
+      ['Base (240L × 2)', 59.25],
+      ['Urgent surcharge (30%)', 15],
+      ['Distance (2.0 km)', 3],
+      ['Request fee', 1]
+    ]);
+    expect(receipt.discounts).toEqual([{ code: 'WELCOME', label: 'Welcome discount (4.5%)', amount: 2.25 }]);
+    expect(receipt.taxes).toHaveLength(2);
+    expect(receipt.total).toBe(81.26);
+    expect(receipt.collector.name).toBe('Kofi Mensah');
+
+    const html = receiptToHtml(receipt);
+    expect(html).toContain('GH₵ 81.26');
+    expect(html).toContain('-GH₵ 2.25');
+    expect(html).not.toMatch(/surge|payout|multiplier/i);
+  });
+
+  it('falls back to the stored fee for bins without a quote', () => {
+    const receipt = buildReceipt({ bin: { ...BIN, quote_id: null } });
+
+    expect(receipt.items).toEqual([{ code: 'service', label: 'Collection service (240L × 2)', amount: 76 }]);
+    expect(receipt.tax_total).toBe(5.26);
+    expect(receipt.total).toBe(81.26);
+  });
+
+  it('lists the collector tip outside the total', () => {
+    const receipt = buildReceipt({ bin: { ...BIN, collector_tips: 5 }, breakdown: BREAKDOWN });
+
+    expect(receipt.tip).toBe(5);
+    expect(receipt.total).toBe(81.26);
+    expect(receiptToHtml(receipt)).toContain('Tip for collector (paid separately)');
+    expect(receiptToHtml(buildReceipt({ bin: BIN, breakdown: BREAKDOWN }))).not.toContain('Tip for collector');
+  });
+
+  it('bills a pickup request as a single line for its fee', () => {
+    const receipt = buildPickupRequestReceipt({ pickup: PICKUP_REQUEST, collector: COLLECTOR });
+
+    expect(receipt.number).toBe('TD-5E6F7A8B-20261018');
+    expect(receipt.items).toEqual([{ code: 'service', label: 'Pickup (3 bags)', amount: 15 }]);
+    expect(receipt.total).toBe(15);
+    expect(receiptToHtml(receipt)).toContain('3 bags · Plastic');
+  });
+
+  it('escapes customer-entered text in the HTML', () => {
+    const receipt = buildReceipt({ bin: BIN, breakdown: BREAKDOWN, location: { location_name: '<script>x</script>' } });
+
+    expect(receiptToHtml(receipt)).toContain('&lt;script&gt;x&lt;/script&gt;');
+  });
+
+  it('writes a PDF whose cross-reference table points at each object', () => {
+    const bytes = receiptToPdf(buildReceipt({ bin: BIN, breakdown: BREAKDOWN, collector: COLLECTOR }));
+    const text = String.fromCharCode(...bytes);
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('(GHS 81.26) Tj');
+    const xrefOffset = Number(/startxref\n(\d+)/.exec(text)[1]);
+    expect(text.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    const offsets = text.slice(xrefOffset).match(/^\d{10} 00000 n $/gm).map((line) => Number(line.slice(0, 10)));
+    offsets.forEach((offset, index) => {
+      expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+});
+
+describe('receiptService', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+  });
+
+  it('only issues receipts for completed pickups', async () => {
+    supabase.from.mockReturnValueOnce(queryResult({ data: { ...BIN, status: 'accepted' }, error: null }));
+
+    const { data, error } = await receiptService.getReceipt(BIN.id);
+
+    expect(data).toBeNull();
+    expect(error.code).toBe('RECEIPT_UNAVAILABLE');
+    expect(receiptService.isReceiptAvailable('completed')).toBe(true);
+    expect(receiptService.isReceiptAvailable('disposed')).toBe(true);
+    expect(receiptService.isReceiptAvailable('en_route')).toBe(false);
+  });
+
+  it('downloads the receipt with the quote breakdown and collector', async () => {
+    supabase.from.mockImplementation((table) => queryResult({
+      data: { digital_bins: BIN, digital_bin_quotes_client: { breakdown: BREAKDOWN }, collector_profiles: COLLECTOR }[table],
+      error: null
+    }));
+
+    const { data, error } = await receiptService.downloadReceipt(BIN.id, 'html');
+
+    expect(error).toBeNull();
+    expect(data.items).toHaveLength(4);
+    expect(supabase.from).toHaveBeenCalledWith('digital_bin_quotes_client');
+    expect(saveAs).toHaveBeenCalledWith(expect.any(Blob), 'trashdrop-receipt-td-1a2b3c4d-20261018.html');
+  });
+
+  it('downloads the receipt for a completed pickup request', async () => {
+    supabase.from.mockImplementation((table) => queryResult({
+      data: { pickup_requests: PICKUP_REQUEST, collector_profiles: COLLECTOR }[table],
+      error: null
+    }));
+
+    const { data, error } = await receiptService.downloadReceipt(PICKUP_REQUEST.id, 'pdf', 'pickup_request');
+
+    expect(error).toBeNull();
+    expect(data.collector.name).toBe('Kofi Mensah');
+    expect(supabase.from).toHaveBeenCalledWith('pickup_requests');
+    expect(supabase.from).not.toHaveBeenCalledWith('digital_bins');
+    expect(saveAs).toHaveBeenCalledWith(expect.any(Blob), 'trashdrop-receipt-td-5e6f7a8b-20261018.pdf');
+  });
+});
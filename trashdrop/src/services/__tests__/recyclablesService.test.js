@@ -0,0 +1,106 @@
+import supabase from '../../utils/supabaseClient.js';
+import recyclablesService, { splitRecyclablesValue } from '../recyclablesService.js';
+
+jest.mock('../../utils/supabaseClient.js', () => ({
+  rpc: jest.fn(),
+  from: jest.fn()
+}));
+
+const MATERIALS = [
+  { code: 'pet', name: 'PET bottles', price_per_kg: '2.00' },
+  { code: 'aluminium', name: 'Aluminium cans', price_per_kg: '8.00' },
+  { code: 'glass', name: 'Glass', price_per_kg: '0.20' }
+];
+
+describe('splitRecyclablesValue', () => {
+  it('values weighed materials and splits them 60/25/15', () => {
+    const split = splitRecyclablesValue({ pet: '3.5', aluminium: '1.2', glass: '' }, MATERIALS);
+
+    expect(split.items).toEqual([
+      { material: 'pet', weightKg: 3.5, value: 7 },
+      { material: 'aluminium', weightKg: 1.2, value: 9.6 }
+    ]);
+    expect(split.totalWeight).toBe(4.7);
+    expect(split.totalValue).toBe(16.6);
+    expect(split.collectorShare).toBe(9.96);
+    expect(split.householdShare).toBe(4.15);
+    expect(split.platformShare).toBe(2.49);
+    expect(split.householdPoints).toBe(41);
+  });
+
+  it('gives the platform the rounding remainder so the shares add up', () => {
+    const split = splitRecyclablesValue({ glass: '0.7' }, MATERIALS);
+
+    expect(split.totalValue).toBe(0.14);
+    expect(split.collectorShare + split.householdShare + split.platformShare).toBeCloseTo(0.14, 2);
+  });
+
+  it('ignores materials without a price', () => {
+    expect(splitRecyclablesValue({ copper: 4 }, MATERIALS).totalValue).toBe(0);
+  });
+});
+
+describe('recyclablesService', () => {
+  it('records weighed materials with the pickup', async () => {
+    supabase.rpc.mockResolvedValue({
+      data: { id: 'rc-1', total_value: 16.6, household_share: 4.15, household_credit_type: 'wallet' },
+      error: null
+    });
+
+    const { data, error } = await recyclablesService.recordRecyclables({
+      requestType: 'scheduled_pickup',
+      requestId: 'pickup-1',
+      weights: { pet: '3.5', aluminium: '1.2', glass: '' }
+    });
+
+    expect(error).toBeNull();
+    expect(data.id).toBe('rc-1');
+    expect(supabase.rpc).toHaveBeenCalledWith('record_recyclables', {
+      p_request_type: 'scheduled_pickup',
+      p_request_id: 'pickup-1',
+      p_items: [
+        { material: 'pet', weight_kg: 3.5 },
+        { material: 'aluminium', weight_kg: 1.2 }
+      ]
+    });
+  });
+
+  it('skips the call when nothing was weighed', async () => {
+    const { data, error } = await recyclablesService.recordRecyclables({
+      requestType: 'scheduled_pickup',
+      requestId: 'pickup-1',
+      weights: { pet: '' }
+    });
+
+    expect(data).toBeNull();
+    expect(error).toBeNull();
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('rejects more than a pickup can hold before calling the server', async () => {
+    const { data, error } = await recyclablesService.recordRecyclables({
+      requestType: 'scheduled_pickup',
+      requestId: 'pickup-1',
+      weights: { pet: 60, glass: 45 }
+    });
+
+    expect(data).toBeNull();
+    expect(error.code).toBe('WEIGHT_LIMIT');
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('reports a pickup whose recyclables were already recorded', async () => {
+    supabase.rpc.mockResolvedValue({
+      data: null,
+      error: { message: 'Recyclables have already been recorded for this pickup', code: 'P0001', hint: 'ALREADY_RECORDED' }
+    });
+
+    const { error } = await recyclablesService.recordRecyclables({
+      requestType: 'scheduled_pickup',
+      requestId: 'pickup-1',
+      weights: { pet: 2 }
+    });
+
+    expect(error.code).toBe('ALREADY_RECORDED');
+  });
+});
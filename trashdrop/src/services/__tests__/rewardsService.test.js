@@ -0,0 +1,56 @@
+import supabase from '../../utils/supabaseClient.js';
+import rewardsService from '../rewardsService.js';
+
+jest.mock('../../utils/supabaseClient.js', () => ({
+  rpc: jest.fn(),
+  from: jest.fn()
+}));
+
+describe('rewardsService.redeemReward', () => {
+  it('redeems in a single database call with the idempotency key', async () => {
+    const redemption = {
+      id: 'redemption-1',
+      reward_id: 'reward-1',
+      points_spent: 200,
+      status: 'issued',
+      voucher_code: 'TD-AB12-CD34-EF56',
+      voucher_expires_at: '2027-01-17T00:00:00Z'
+    };
+    supabase.rpc.mockResolvedValueOnce({ data: redemption, error: null });
+
+    const { data, error } = await rewardsService.redeemReward('user-1', 'reward-1', 'key-1');
+
+    expect(error).toBeNull();
+    expect(data.voucher_code).toBe('TD-AB12-CD34-EF56');
+    expect(supabase.rpc).toHaveBeenCalledWith('redeem_reward', { p_reward_id: 'reward-1', p_idempotency_key: 'key-1' });
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it.each(['INSUFFICIENT_POINTS', 'OUT_OF_STOCK', 'REDEMPTION_LIMIT'])('reports %s refusals by code', async (hint) => {
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'Refused', code: 'P0001', hint } });
+
+    const { data, error } = await rewardsService.redeemReward('user-1', 'reward-1');
+
+    expect(data).toBeNull();
+    expect(error.code).toBe(hint);
+  });
+
+  it('requires a user and reward', async () => {
+    const { error } = await rewardsService.redeemReward(null, 'reward-1');
+
+    expect(error.message).toBe('User ID and Reward ID are required');
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+});
+
+describe('rewardsService.getVoucherQrCode', () => {
+  it('draws the voucher code as a QR image', async () => {
+    const dataUrl = await rewardsService.getVoucherQrCode('TD-AB12-CD34-EF56');
+
+    expect(dataUrl).toMatch(/^data:image\/png;base64,/);
+  });
+
+  it('returns nothing without a code', async () => {
+    expect(await rewardsService.getVoucherQrCode(null)).toBeNull();
+  });
+});
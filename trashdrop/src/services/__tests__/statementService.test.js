@@ -0,0 +1,133 @@
+import { saveAs } from 'file-saver';
+import supabase from '../../utils/supabaseClient.js';
+import statementService from '../statementService.js';
+import {
+  buildMonthlyStatement,
+  statementToCsv,
+  statementToPdf,
+  listStatementMonths
+} from '../../utils/statementBuilder.js';
+
+jest.mock('../../utils/supabaseClient.js', () => ({
+  from: jest.fn()
+}));
+
+jest.mock('file-saver', () => ({
+  saveAs: jest.fn()
+}));
+
+const PICKUPS = [
+  { id: 'p1', created_at: '2026-10-03T10:00:00', fee: 20, status: 'completed', waste_type: 'general', bag_count: 2, address: 'Osu, Accra' },
+  { id: 'p2', created_at: '2026-10-05T10:00:00', fee: 15, status: 'cancelled', address: 'Osu, Accra' },
+  { id: 'p3', created_at: '2026-09-30T23:00:00', fee: 99, status: 'completed', address: 'Osu, Accra' },
+  { id: 'p4', created_at: '2026-10-06T10:00:00', fee: 25, status: 'accepted', address: 'Osu, Accra' }
+];
+
+const BINS = [
+  { id: 'b1', created_at: '2026-10-10T08:00:00', status: 'disposed', fee: 42.5, tax_total: 2.75, frequency: 'weekly', bin_size_liters: 240, bag_count: 1, bin_locations: { location_name: 'Shop, "Main" St' } },
+  { id: 'b2', created_at: '2026-10-20T08:00:00', status: 'available', payment_status: 'paid', fee: 30, tax_total: 1.94, frequency: 'one-time', bin_size_liters: 120, bag_count: 1, bin_locations: { location_name: 'Osu, Accra' } }
+];
+
+// Chainable stand-in for supabase.from(...) that resolves to the given result
+const queryResult = (result) => {
+  const query = {};
+  ['select', 'eq', 'gte', 'lt', 'order'].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+describe('monthly statements', () => {
+  it('totals the month by service type and location', () => {
+    const statement = buildMonthlyStatement({ month: '2026-10', pickups: PICKUPS, bins: BINS });
+
+    expect(statement.entries.map((entry) => entry.id)).toEqual(['p1', 'b1', 'b2']);
+    expect(statement.total).toBe(92.5);
+    expect(statement.tax_total).toBe(4.69);
+    expect(statement.by_service_type).toEqual([
+      { key: 'digital_bin', label: 'Digital bin', count: 2, total: 72.5 },
+      { key: 'pickup_request', label: 'Waste pickup', count: 1, total: 20 }
+    ]);
+    expect(statement.by_location).toEqual([
+      { key: 'Osu, Accra', label: 'Osu, Accra', count: 2, total: 50 },
+      { key: 'Shop, "Main" St', label: 'Shop, "Main" St', count: 1, total: 42.5 }
+    ]);
+  });
+
+  it('exports CSV with quoted fields and a total row', () => {
+    const csv = statementToCsv(buildMonthlyStatement({ month: '2026-10', pickups: PICKUPS, bins: BINS }));
+    const lines = csv.trim().split('\r\n');
+
+    expect(lines[0]).toBe('Date,Service,Description,Location,Status,Amount (GHS),Tax included (GHS)');
+    expect(lines).toHaveLength(5);
+    expect(lines[2]).toContain('"Shop, ""Main"" St"');
+    expect(lines[2]).toMatch(/,42\.50,2\.75$/);
+    expect(lines[4]).toBe(',,,,Total,92.50,4.69');
+  });
+
+  it('leaves out requests that are neither collected nor paid', () => {
+    const statement = buildMonthlyStatement({
+      month: '2026-10',
+      pickups: PICKUPS,
+      bins: [...BINS, { id: 'b3', created_at: '2026-10-21T08:00:00', status: 'available', fee: 30 }]
+    });
+
+    expect(statement.entries.map((entry) => entry.id)).toEqual(['p1', 'b1', 'b2']);
+  });
+
+  it('keeps spreadsheet formulas in CSV cells as text', () => {
+    const csv = statementToCsv(buildMonthlyStatement({
+      month: '2026-10',
+      pickups: [{ ...PICKUPS[0], address: '=HYPERLINK("http://x.test","Osu")' }, { ...PICKUPS[0], id: 'p5', address: '@SUM(A1)' }]
+    }));
+    const lines = csv.trim().split('\r\n');
+
+    expect(lines[1]).toContain(',"\'=HYPERLINK(""http://x.test"",""Osu"")",');
+    expect(lines[2]).toContain(",'@SUM(A1),");
+  });
+
+  it('exports a PDF with the totals', () => {
+    const text = String.fromCharCode(...statementToPdf(buildMonthlyStatement({ month: '2026-10', pickups: PICKUPS, bins: BINS })));
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('(Statement for October 2026) Tj');
+    expect(text).toContain('(GHS 92.50) Tj');
+  });
+
+  it('lists recent months newest first', () => {
+    expect(listStatementMonths(3, new Date(2026, 0, 15))).toEqual(['2026-01', '2025-12', '2025-11']);
+  });
+});
+
+describe('statementService', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+  });
+
+  it('loads the month from pickup requests and digital bins', async () => {
+    const queries = {
+      pickup_requests: queryResult({ data: PICKUPS.slice(0, 2), error: null }),
+      digital_bins: queryResult({ data: BINS, error: null })
+    };
+    supabase.from.mockImplementation((table) => queries[table]);
+
+    const { data, error } = await statementService.getMonthlyStatement('user-1', '2026-10');
+
+    expect(error).toBeNull();
+    expect(data.total).toBe(92.5);
+    expect(queries.digital_bins.eq).toHaveBeenCalledWith('user_id', 'user-1');
+    expect(queries.pickup_requests.gte).toHaveBeenCalledWith('created_at', new Date(2026, 9, 1).toISOString());
+    expect(queries.pickup_requests.lt).toHaveBeenCalledWith('created_at', new Date(2026, 10, 1).toISOString());
+
+    statementService.exportStatement(data, 'csv');
+    expect(saveAs).toHaveBeenCalledWith(expect.any(Blob), 'trashdrop-statement-2026-10.csv');
+  });
+
+  it('rejects malformed months', async () => {
+    const { error } = await statementService.getMonthlyStatement('user-1', 'October');
+
+    expect(error.code).toBe('STATEMENT_ERROR');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,46 @@
+import statusService, { BIN_SCHEDULE_STATES, DISPUTE_STATES } from '../statusService.js';
+
+describe('statusService schedule rules', () => {
+  it('allows pausing and cancelling active bins', () => {
+    expect(statusService.isValidScheduleTransition('active', 'paused')).toBe(true);
+    expect(statusService.isValidScheduleTransition('active', 'cancelled')).toBe(true);
+    expect(statusService.isValidScheduleTransition('active', 'active')).toBe(false);
+  });
+
+  it('only lets paused bins resume or cancel', () => {
+    expect(statusService.isValidScheduleTransition('paused', 'active')).toBe(true);
+    expect(statusService.canPerformScheduleAction('paused', 'resume')).toBe(true);
+    expect(statusService.canPerformScheduleAction('paused', 'skip')).toBe(false);
+  });
+
+  it('treats cancelled as terminal', () => {
+    expect(BIN_SCHEDULE_STATES.cancelled.terminal).toBe(true);
+    expect(statusService.isValidScheduleTransition('cancelled', 'active')).toBe(false);
+  });
+});
+
+describe('statusService dispute rules', () => {
+  it('offers disputes on completed pickups', () => {
+    expect(statusService.getAvailableActions('completed')).toContain('dispute');
+    expect(statusService.getAvailableActions('en_route')).not.toContain('dispute');
+  });
+
+  it('lets a collector or support move an open dispute on', () => {
+    expect(statusService.isValidDisputeTransition('open', 'refund_approved')).toBe(true);
+    expect(statusService.isValidDisputeTransition('open', 'recollection_scheduled')).toBe(true);
+    expect(statusService.isValidDisputeTransition('under_review', 'rejected')).toBe(true);
+    expect(statusService.isValidDisputeTransition('open', 'refunded')).toBe(false);
+  });
+
+  it('only pays out approved refunds', () => {
+    expect(statusService.canPerformDisputeAction('refund_approved', 'claim_refund')).toBe(true);
+    expect(statusService.canPerformDisputeAction('open', 'claim_refund')).toBe(false);
+    expect(statusService.canPerformDisputeAction('refund_approved', 'withdraw')).toBe(false);
+  });
+
+  it('treats refunded and rejected disputes as terminal', () => {
+    expect(DISPUTE_STATES.refunded.terminal).toBe(true);
+    expect(DISPUTE_STATES.rejected.terminal).toBe(true);
+    expect(statusService.isValidDisputeTransition('refunded', 'open')).toBe(false);
+  });
+});
@@ -0,0 +1,178 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import supabase from '../../utils/supabaseClient.js';
+import walletService from '../walletService.js';
+import PaymentAndRating from '../../components/collection/PaymentAndRating.js';
+
+jest.mock('../../utils/supabaseClient.js', () => ({
+  rpc: jest.fn(),
+  from: jest.fn()
+}));
+
+const INSUFFICIENT = { message: 'Insufficient wallet balance', code: 'P0001', hint: 'INSUFFICIENT_FUNDS' };
+
+// Chainable stand-in for supabase.from(...) that resolves to the given result
+const queryResult = (result) => {
+  const query = {};
+  ['select', 'eq', 'order', 'limit'].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+describe('walletService', () => {
+  beforeEach(() => {
+    supabase.rpc.mockReset();
+    supabase.from.mockReset();
+  });
+
+  it('reads the balance from the ledger', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: '42.5', error: null });
+
+    const { data, error } = await walletService.getBalance('user-1');
+
+    expect(supabase.rpc).toHaveBeenCalledWith('get_wallet_balance', { p_user_id: 'user-1' });
+    expect(error).toBeNull();
+    expect(data).toBe(42.5);
+  });
+
+  it('maps ledger entries to history items', async () => {
+    supabase.from.mockReturnValueOnce(queryResult({
+      data: [
+        {
+          id: 'e2',
+          amount: '-16.5',
+          balance_after: '33.5',
+          created_at: '2026-10-19T10:00:00Z',
+          transaction: { id: 't2', transaction_type: 'pickup_payment', description: null, reference_type: 'scheduled_pickup', reference_id: 'p1' }
+        },
+        {
+          id: 'e1',
+          amount: '50',
+          balance_after: '50',
+          created_at: '2026-10-18T10:00:00Z',
+          transaction: { id: 't1', transaction_type: 'top_up', description: 'Wallet top-up', reference_type: 'wallet_top_up', reference_id: 'u1' }
+        }
+      ],
+      error: null
+    }));
+
+    const { data } = await walletService.getHistory('user-1');
+
+    expect(supabase.from).toHaveBeenCalledWith('wallet_ledger_entries');
+    expect(data).toEqual([
+      expect.objectContaining({ id: 'e2', type: 'pickup_payment', description: 'Pickup payment', amount: -16.5, balance_after: 33.5, reference_id: 'p1' }),
+      expect.objectContaining({ id: 'e1', type: 'top_up', description: 'Wallet top-up', amount: 50, balance_after: 50 })
+    ]);
+  });
+
+  it('rejects top-ups outside the limits without calling the database', async () => {
+    const { data, error } = await walletService.requestTopUp(0.5);
+
+    expect(data).toBeNull();
+    expect(error.code).toBe('INVALID_AMOUNT');
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('requests a pending top-up', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: { id: 'top-up-1', amount: 20, status: 'pending' }, error: null });
+
+    const { data } = await walletService.requestTopUp('20', 'pm-1');
+
+    expect(supabase.rpc).toHaveBeenCalledWith('request_wallet_top_up', { p_amount: 20, p_payment_method_id: 'pm-1' });
+    expect(data.status).toBe('pending');
+  });
+
+  it('reports insufficient funds when paying for a pickup', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: INSUFFICIENT });
+
+    const { error } = await walletService.payForPickup('pickup-1');
+
+    expect(supabase.rpc).toHaveBeenCalledWith('pay_pickup_from_wallet', { p_pickup_id: 'pickup-1' });
+    expect(error).toEqual({ message: 'Insufficient wallet balance', code: 'INSUFFICIENT_FUNDS' });
+  });
+});
+
+describe('PaymentAndRating wallet payment', () => {
+  const pickup = { id: 'pickup-1', user_id: 'customer-1', fee: 16.5 };
+  const collector = { id: 'collector-1', name: 'Kofi' };
+
+  beforeEach(() => {
+    supabase.rpc.mockReset();
+  });
+
+  it('blocks wallet payment when the customer balance is too low', async () => {
+    supabase.rpc.mockResolvedValue({ data: 5, error: null });
+
+    render(<PaymentAndRating pickup={pickup} collector={collector} onComplete={() => {}} onBack={() => {}} />);
+
+    expect(await screen.findByText('Insufficient funds')).toBeInTheDocument();
+    expect(supabase.rpc).toHaveBeenCalledWith('get_wallet_balance', { p_user_id: 'customer-1' });
+    expect(screen.getByRole('button', { name: /Pay \$16\.50/ })).toBeDisabled();
+  });
+
+  it('debits the wallet for the pickup and moves on to rating', async () => {
+    supabase.rpc.mockImplementation((name) => Promise.resolve(
+      name === 'get_wallet_balance'
+        ? { data: 40, error: null }
+        : { data: { id: 'txn-1', transaction_type: 'pickup_payment', amount: 16.5 }, error: null }
+    ));
+
+    render(<PaymentAndRating pickup={pickup} collector={collector} onComplete={() => {}} onBack={() => {}} />);
+    await screen.findByText(/Balance: \$40\.00/);
+
+    fireEvent.click(screen.getByRole('button', { name: /Pay \$16\.50/ }));
+
+    expect(await screen.findByText('Payment Successful!')).toBeInTheDocument();
+    expect(supabase.rpc).toHaveBeenCalledWith('pay_pickup_from_wallet', { p_pickup_id: 'pickup-1' });
+  });
+
+  it('tips the collector from the wallet with the rating', async () => {
+    supabase.rpc.mockImplementation((name) => Promise.resolve({
+      get_wallet_balance: { data: 40, error: null },
+      pay_pickup_from_wallet: { data: { id: 'txn-1' }, error: null },
+      record_collector_tip: { data: { id: 'tip-1', amount: 5, status: 'completed' }, error: null },
+      submit_collector_rating: { data: { id: 'rating-1', rating: 5 }, error: null }
+    }[name]));
+    const onComplete = jest.fn();
+
+    render(<PaymentAndRating pickup={pickup} collector={collector} onComplete={onComplete} onBack={() => {}} />);
+    await screen.findByText(/Balance: \$40\.00/);
+    fireEvent.click(screen.getByRole('button', { name: /Pay \$16\.50/ }));
+    await screen.findByText('Payment Successful!');
+
+    fireEvent.click(screen.getByRole('button', { name: '$5' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Submit & Tip $5.00' }));
+
+    await waitFor(() => expect(onComplete).toHaveBeenCalled(), { timeout: 3000 });
+    expect(supabase.rpc).toHaveBeenCalledWith('record_collector_tip', {
+      p_request_type: 'scheduled_pickup',
+      p_request_id: 'pickup-1',
+      p_amount: 5,
+      p_payment_method: 'wallet',
+      p_message: null
+    });
+    expect(onComplete.mock.calls[0][0].tip).toEqual({ id: 'tip-1', amount: 5, method: 'wallet', status: 'completed' });
+  });
+
+  it('keeps the customer on the rating step when a custom tip is out of range', async () => {
+    supabase.rpc.mockImplementation((name) => Promise.resolve(
+      name === 'get_wallet_balance' ? { data: 40, error: null } : { data: { id: 'txn-1' }, error: null }
+    ));
+    const onComplete = jest.fn();
+
+    render(<PaymentAndRating pickup={pickup} collector={collector} onComplete={onComplete} onBack={() => {}} />);
+    await screen.findByText(/Balance: \$40\.00/);
+    fireEvent.click(screen.getByRole('button', { name: /Pay \$16\.50/ }));
+    await screen.findByText('Payment Successful!');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Other' }));
+    fireEvent.change(screen.getByLabelText('Tip amount'), { target: { value: '500' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Submit & Tip $500.00' }));
+
+    expect(await screen.findByText(/Enter a tip between \$1 and \$200/)).toBeInTheDocument();
+    expect(supabase.rpc).not.toHaveBeenCalledWith('record_collector_tip', expect.anything());
+    expect(onComplete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Achievement service
+ * Badges are awarded by the database: each new user_activity row is checked against the
+ * badge rules in achievements (a count or weekly streak of an activity type), and badge
+ * points are posted to the points ledger. The app only reads definitions and awards.
+ */
+
+import supabase from '../utils/supabaseClient.js';
+
+const toServiceError = (error, message, code) => ({
+  message: error.message || message,
+  code: error.hint || error.code || code
+});
+
+/**
+ * Badge definitions merged with the customer's awards, earned badges first (most recent
+ * first), then locked badges in their display order
+ * @param {Array} achievements - achievements rows
+ * @param {Array} awards - user_achievements rows
+ * @returns {Array<Object>} Definitions with earned and earnedAt
+ */
+export const buildBadgeGallery = (achievements, awards) => {
+  const earnedAt = new Map((awards || []).map((award) => [award.achievement_code, award.earned_at]));
+  const badges = (achievements || []).map((achievement) => ({
+    ...achievement,
+    earned: earnedAt.has(achievement.code),
+    earnedAt: earnedAt.get(achievement.code) || null
+  }));
+
+  return [
+    ...badges.filter((badge) => badge.earned).sort((a, b) => new Date(b.earnedAt) - new Date(a.earnedAt)),
+    ...badges.filter((badge) => !badge.earned).sort((a, b) => a.sort_order - b.sort_order)
+  ];
+};
+
+export const achievementService = {
+  /**
+   * Badge gallery for a customer
+   * @param {string} userId - User ID
+   * @returns {Promise<{data: Array, error: Object|null}>} See buildBadgeGallery
+   */
+  async getBadges(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const [achievementsResult, awardsResult] = await Promise.all([
+        supabase
+          .from('achievements')
+          .select('code, name, description, icon, rule_type, threshold, points_reward, sort_order')
+          .order('sort_order', { ascending: true }),
+        supabase
+          .from('user_achievements')
+          .select('achievement_code, points_awarded, earned_at')
+          .eq('user_id', userId)
+      ]);
+
+      if (achievementsResult.error) throw achievementsResult.error;
+      if (awardsResult.error) throw awardsResult.error;
+
+      return { data: buildBadgeGallery(achievementsResult.data, awardsResult.data), error: null };
+    } catch (error) {
+      console.error('[AchievementService] Error fetching badges:', error);
+      return {
+        data: [],
+        error: toServiceError(error, 'Failed to load badges', 'BADGES_ERROR')
+      };
+    }
+  }
+};
+
+export default achievementService;
@@ -0,0 +1,445 @@
+/**
+ * Bin Schedule Service
+ * Persists and keeps in sync the service occurrences generated for digital bins
+ *
+ * Occurrences live in the digital_bin_occurrences table. When the table cannot be
+ * read (offline, migration not applied) the schedule is expanded on the client so
+ * users still see their upcoming service dates.
+ */
+
+import supabase from '../utils/supabaseClient.js';
+import statusService from './statusService.js';
+import {
+  generateOccurrences,
+  diffOccurrences,
+  toDateKey,
+  parseDateValue,
+  OCCURRENCE_STATUS,
+  SKIP_REASONS,
+  FREQUENCY_RULES
+} from '../utils/scheduleEngine.js';
+
+const OCCURRENCES_TABLE = 'digital_bin_occurrences';
+
+// Longest pause a household can set in one go
+export const MAX_PAUSE_DAYS = 90;
+
+/**
+ * Build engine parameters from a digital_bins row
+ * @param {Object} bin - Digital bin row
+ * @param {Array} storedOccurrences - Existing occurrence rows for the bin
+ * @returns {Object} Parameters for generateOccurrences
+ */
+const getScheduleParams = (bin, storedOccurrences = []) => ({
+  startDate: bin.start_date || bin.created_at,
+  frequency: bin.frequency,
+  preferredTime: bin.preferred_time || null,
+  pausedUntil: bin.schedule_status === 'paused' ? bin.paused_until : null,
+  // Skips the user chose must survive a resync, including skips of holiday-shifted dates
+  skipDates: storedOccurrences
+    .filter(row => row.status === OCCURRENCE_STATUS.SKIPPED && row.skip_reason === SKIP_REASONS.USER)
+    .map(row => row.original_date)
+});
+
+/**
+ * Get the schedule status in effect today
+ * A pause whose end date has passed resumes on its own.
+ *
+ * @param {Object} bin - Digital bin row
+ * @returns {string} 'active', 'paused' or 'cancelled'
+ */
+export const getEffectiveScheduleStatus = (bin) => {
+  if (!bin) return 'active';
+  if (bin.is_active === false || bin.schedule_status === 'cancelled') return 'cancelled';
+  if (bin.schedule_status === 'paused' && bin.paused_until && bin.paused_until >= toDateKey(new Date())) {
+    return 'paused';
+  }
+  return 'active';
+};
+
+export const binScheduleService = {
+  /**
+   * Preview upcoming occurrences for a bin without touching the database
+   * @param {Object} bin - Digital bin row
+   * @param {Object} options - Extra generateOccurrences options
+   * @returns {Array} Generated occurrences
+   */
+  previewOccurrences(bin, options = {}) {
+    if (!bin) return [];
+    return generateOccurrences({ ...getScheduleParams(bin, bin.occurrences || []), ...options });
+  },
+
+  /**
+   * Get stored upcoming occurrences for a bin
+   * @param {string} binId - Digital bin ID
+   * @returns {Object} { data, error }
+   */
+  async getBinOccurrences(binId) {
+    try {
+      if (!binId) {
+        throw new Error('Bin ID is required');
+      }
+
+      const { data, error } = await supabase
+        .from(OCCURRENCES_TABLE)
+        .select('*')
+        .eq('bin_id', binId)
+        .gte('scheduled_date', toDateKey(new Date()))
+        .order('scheduled_date', { ascending: true });
+
+      if (error) {
+        console.error('[BinScheduleService] Error fetching occurrences:', error);
+        throw error;
+      }
+
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('[BinScheduleService] Error in getBinOccurrences:', error);
+      return {
+        data: [],
+        error: {
+          message: error.message || 'Failed to fetch bin occurrences',
+          code: error.code || 'GET_OCCURRENCES_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Get upcoming occurrences for several bins at once
+   * Falls back to client-side expansion for bins without stored rows.
+   *
+   * @param {Array} bins - Digital bin rows
+   * @returns {Object} { data: { [binId]: occurrences[] }, error }
+   */
+  async getUpcomingOccurrences(bins = []) {
+    const scheduledBins = bins.filter(bin => bin?.id && FREQUENCY_RULES[bin.frequency]);
+    const result = {};
+    if (scheduledBins.length === 0) {
+      return { data: result, error: null };
+    }
+
+    let stored = [];
+    let fetchError = null;
+
+    try {
+      const { data, error } = await supabase
+        .from(OCCURRENCES_TABLE)
+        .select('*')
+        .in('bin_id', scheduledBins.map(bin => bin.id))
+        .gte('scheduled_date', toDateKey(new Date()))
+        .order('scheduled_date', { ascending: true });
+
+      if (error) throw error;
+      stored = data || [];
+    } catch (error) {
+      console.warn('[BinScheduleService] Using client-side schedule preview:', error.message);
+      fetchError = {
+        message: error.message || 'Failed to fetch occurrences',
+        code: error.code || 'GET_UPCOMING_ERROR'
+      };
+    }
+
+    scheduledBins.forEach((bin) => {
+      const rows = stored.filter(row => row.bin_id === bin.id);
+      result[bin.id] = rows.length > 0 ? rows : this.previewOccurrences(bin);
+    });
+
+    return { data: result, error: fetchError };
+  },
+
+  /**
+   * Regenerate a bin's future occurrences and write the differences
+   * Past and completed occurrences are left untouched.
+   *
+   * @param {Object} bin - Digital bin row (id, user_id, frequency, start_date, preferred_time, paused_until)
+   * @returns {Object} { data: occurrences[], error }
+   */
+  async syncBinOccurrences(bin) {
+    try {
+      if (!bin?.id) {
+        throw new Error('Digital bin is required');
+      }
+
+      const { data: existing, error: fetchError } = await this.getBinOccurrences(bin.id);
+      if (fetchError) {
+        throw fetchError;
+      }
+
+      const generated = generateOccurrences(getScheduleParams(bin, existing));
+      const { toInsert, toUpdate, toDelete } = diffOccurrences(existing, generated);
+
+      console.log('[BinScheduleService] Syncing occurrences for bin', bin.id, {
+        insert: toInsert.length,
+        update: toUpdate.length,
+        delete: toDelete.length
+      });
+
+      if (toDelete.length > 0) {
+        const { error } = await supabase
+          .from(OCCURRENCES_TABLE)
+          .delete()
+          .in('id', toDelete.map(row => row.id));
+        if (error) throw error;
+      }
+
+      if (toInsert.length > 0) {
+        const { error } = await supabase
+          .from(OCCURRENCES_TABLE)
+          .insert(toInsert.map(occurrence => ({
+            bin_id: bin.id,
+            user_id: bin.user_id,
+            original_date: occurrence.original_date,
+            scheduled_date: occurrence.scheduled_date,
+            preferred_time: occurrence.preferred_time,
+            status: occurrence.status,
+            skip_reason: occurrence.skip_reason,
+            holiday_name: occurrence.holiday_name
+          })));
+        if (error) throw error;
+      }
+
+      for (const occurrence of toUpdate) {
+        const { error } = await supabase
+          .from(OCCURRENCES_TABLE)
+          .update({
+            scheduled_date: occurrence.scheduled_date,
+            preferred_time: occurrence.preferred_time,
+            status: occurrence.status,
+            skip_reason: occurrence.skip_reason,
+            holiday_name: occurrence.holiday_name,
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', occurrence.id);
+        if (error) throw error;
+      }
+
+      return { data: generated, error: null };
+    } catch (error) {
+      console.error('[BinScheduleService] Error in syncBinOccurrences:', error);
+      return {
+        data: [],
+        error: {
+          message: error.message || 'Failed to sync bin schedule',
+          code: error.code || 'SYNC_SCHEDULE_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Update a bin's schedule state after validating the transition
+   * @param {Object} bin - Digital bin row
+   * @param {string} toStatus - Target schedule status
+   * @param {Object} changes - Extra column changes
+   * @returns {Promise<Object>} Updated bin row with synced occurrences
+   */
+  async _transitionSchedule(bin, toStatus, changes = {}) {
+    const fromStatus = getEffectiveScheduleStatus(bin);
+    if (!statusService.isValidScheduleTransition(fromStatus, toStatus)) {
+      throw new Error(`Cannot change digital bin from ${fromStatus} to ${toStatus}`);
+    }
+
+    const { data: updatedBin, error } = await supabase
+      .from('digital_bins')
+      .update({
+        schedule_status: toStatus,
+        ...changes,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', bin.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[BinScheduleService] Error updating schedule status:', error);
+      throw error;
+    }
+
+    const { data: occurrences, error: syncError } = await this.syncBinOccurrences(updatedBin);
+    if (syncError) {
+      console.warn('[BinScheduleService] Schedule saved but occurrence sync failed:', syncError.message);
+    }
+
+    return { ...updatedBin, occurrences };
+  },
+
+  /**
+   * Pause service until (and including) a date
+   * @param {Object} bin - Digital bin row
+   * @param {string} pausedUntil - Last paused day ('yyyy-MM-dd')
+   * @returns {Object} { data: updatedBin, error }
+   */
+  async pauseBin(bin, pausedUntil) {
+    try {
+      if (!bin?.id) {
+        throw new Error('Digital bin is required');
+      }
+
+      const until = parseDateValue(pausedUntil);
+      const today = parseDateValue(new Date());
+      if (!until || until < today) {
+        throw new Error('Pause date must be today or later');
+      }
+
+      const maxDate = new Date(today);
+      maxDate.setDate(maxDate.getDate() + MAX_PAUSE_DAYS);
+      if (until > maxDate) {
+        throw new Error(`Service can be paused for at most ${MAX_PAUSE_DAYS} days`);
+      }
+
+      console.log('[BinScheduleService] Pausing bin', bin.id, 'until', toDateKey(until));
+      const data = await this._transitionSchedule(bin, 'paused', { paused_until: toDateKey(until) });
+      return { data, error: null };
+    } catch (error) {
+      console.error('[BinScheduleService] Error in pauseBin:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to pause digital bin',
+          code: error.code || 'PAUSE_BIN_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Resume a paused bin immediately
+   * @param {Object} bin - Digital bin row
+   * @returns {Object} { data: updatedBin, error }
+   */
+  async resumeBin(bin) {
+    try {
+      if (!bin?.id) {
+        throw new Error('Digital bin is required');
+      }
+
+      console.log('[BinScheduleService] Resuming bin', bin.id);
+      const data = await this._transitionSchedule(bin, 'active', { paused_until: null });
+      return { data, error: null };
+    } catch (error) {
+      console.error('[BinScheduleService] Error in resumeBin:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to resume digital bin',
+          code: error.code || 'RESUME_BIN_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Skip the next scheduled occurrence without cancelling the bin
+   * @param {Object} bin - Digital bin row
+   * @returns {Object} { data: { skipped, occurrences }, error }
+   */
+  async skipNextOccurrence(bin) {
+    try {
+      if (!bin?.id) {
+        throw new Error('Digital bin is required');
+      }
+
+      if (!statusService.canPerformScheduleAction(getEffectiveScheduleStatus(bin), 'skip')) {
+        throw new Error('Only active digital bins can skip a service');
+      }
+
+      let { data: occurrences, error } = await this.getBinOccurrences(bin.id);
+      if (error) throw error;
+
+      // Bins created before the schedule engine have no stored rows yet
+      if (occurrences.length === 0) {
+        await this.syncBinOccurrences(bin);
+        ({ data: occurrences, error } = await this.getBinOccurrences(bin.id));
+        if (error) throw error;
+      }
+
+      const next = occurrences.find(row => row.status === OCCURRENCE_STATUS.SCHEDULED);
+      if (!next) {
+        throw new Error('There is no upcoming service to skip');
+      }
+
+      const { error: updateError } = await supabase
+        .from(OCCURRENCES_TABLE)
+        .update({
+          status: OCCURRENCE_STATUS.SKIPPED,
+          skip_reason: SKIP_REASONS.USER,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', next.id);
+
+      if (updateError) {
+        console.error('[BinScheduleService] Error skipping occurrence:', updateError);
+        throw updateError;
+      }
+
+      console.log('[BinScheduleService] Skipped occurrence', next.scheduled_date, 'for bin', bin.id);
+
+      return {
+        data: {
+          skipped: { ...next, status: OCCURRENCE_STATUS.SKIPPED, skip_reason: SKIP_REASONS.USER },
+          occurrences: occurrences.map(row =>
+            row.id === next.id ? { ...row, status: OCCURRENCE_STATUS.SKIPPED, skip_reason: SKIP_REASONS.USER } : row
+          )
+        },
+        error: null
+      };
+    } catch (error) {
+      console.error('[BinScheduleService] Error in skipNextOccurrence:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to skip next service',
+          code: error.code || 'SKIP_OCCURRENCE_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Change a bin's frequency and resync its occurrences
+   * @param {string} binId - Digital bin ID
+   * @param {string} frequency - New frequency
+   * @returns {Object} { data: updatedBin, error }
+   */
+  async updateBinFrequency(binId, frequency) {
+    try {
+      if (!binId || !FREQUENCY_RULES[frequency]) {
+        throw new Error('Bin ID and a valid frequency are required');
+      }
+
+      const { data: bin, error } = await supabase
+        .from('digital_bins')
+        .update({
+          frequency,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', binId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('[BinScheduleService] Error updating frequency:', error);
+        throw error;
+      }
+
+      const { data: occurrences, error: syncError } = await this.syncBinOccurrences(bin);
+      if (syncError) {
+        console.warn('[BinScheduleService] Frequency saved but occurrence sync failed:', syncError.message);
+      }
+
+      return { data: { ...bin, occurrences }, error: null };
+    } catch (error) {
+      console.error('[BinScheduleService] Error in updateBinFrequency:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to update frequency',
+          code: error.code || 'UPDATE_FREQUENCY_ERROR'
+        }
+      };
+    }
+  }
+};
+
+export default binScheduleService;
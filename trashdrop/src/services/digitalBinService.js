@@ -3,12 +3,16 @@
  * Helper functions for digital bin creation and fee calculation
  */
 
-import { getCostBreakdown, getCostBreakdownWithGPS } from '../utils/costCalculator.js';
+import quoteService from './quoteService.js';
 
 /**
- * Prepare digital bin data with calculated fees (GPS-based pricing)
+ * Prepare digital bin data priced from a server quote (SOP v4.5.6)
+ * Fee and collector payouts come from the digital-bin-quote function; the
+ * database re-applies them from the referenced quote on insert.
  * @param {Object} params - Parameters for digital bin creation
+ * @param {Object} params.quote - Previously issued quote to reuse if still valid (optional)
  * @returns {Promise<Object>} Complete digital bin data ready for database insert
+ * @throws {Error} When no quote can be obtained
  */
 export const prepareDigitalBinData = async ({
   user_id,
@@ -20,45 +24,43 @@ export const prepareDigitalBinData = async ({
   bin_size_liters,
   is_urgent,
   expires_at,
+  start_date = null,
+  preferred_time = null,
   latitude,
-  longitude
+  longitude,
+  quote = null
 }) => {
-  // Calculate cost breakdown using GPS-based pricing (SOP v4.5.7)
-  let costBreakdown;
-  
-  if (latitude && longitude) {
-    // Use GPS-based pricing
-    costBreakdown = await getCostBreakdownWithGPS({
+  let activeQuote = quote;
+
+  const matchesQuote = activeQuote?.params &&
+    activeQuote.params.bin_size_liters === bin_size_liters &&
+    activeQuote.params.bag_count === bag_count &&
+    activeQuote.params.is_urgent === !!is_urgent &&
+    activeQuote.params.frequency === (frequency || 'weekly') &&
+    activeQuote.params.waste_type === (waste_type || 'general');
+
+  if (!matchesQuote || !quoteService.isQuoteValid(activeQuote)) {
+    const { data, error } = await quoteService.requestQuote({
       bin_size_liters,
-      latitude,
-      longitude,
-      frequency,
-      waste_type,
-      is_urgent,
       bag_count,
-      distance_km: 0, // Will be calculated when collector accepts
-      on_site_charges: 0,
-      discount_amount: 0
-    });
-    console.log('[DigitalBinService] GPS pricing used:', costBreakdown.pricing_source, costBreakdown.pricing_zone);
-  } else {
-    // Fallback to default pricing
-    costBreakdown = getCostBreakdown({
-      bin_size_liters,
+      is_urgent,
       frequency,
       waste_type,
-      is_urgent,
-      bag_count,
-      distance_km: 0,
-      on_site_charges: 0,
-      discount_amount: 0
+      latitude,
+      longitude,
+      promo_code: quote?.params?.promo_code || null
     });
-    console.log('[DigitalBinService] Default pricing used (no GPS coordinates)');
+
+    if (error) {
+      throw new Error(`Unable to price this digital bin: ${error.message}`);
+    }
+    activeQuote = data;
   }
 
-  console.log('[DigitalBinService] Calculated cost breakdown:', costBreakdown);
+  const { breakdown } = activeQuote;
+  console.log('[DigitalBinService] Using server quote:', activeQuote.quote_id, breakdown.pricing_source, breakdown.pricing_zone);
 
-  // Prepare complete digital bin data with all fee fields
+  // Prepare complete digital bin data. Payout fields are filled from the quote server-side.
   const digitalBinData = {
     user_id,
     location_id,
@@ -69,25 +71,15 @@ export const prepareDigitalBinData = async ({
     bin_size_liters,
     is_urgent,
     expires_at,
+    start_date,
+    preferred_time,
     is_active: true,
     status: 'pending', // Set initial status to comply with constraint
-    
+
     // Fee fields (SOP v4.5.6 compliant)
-    fee: costBreakdown.total.toFixed(2),
-    collector_core_payout: costBreakdown.core.toFixed(2),
-    collector_urgent_payout: costBreakdown.urgent_charge.toFixed(2),
-    collector_distance_payout: costBreakdown.distance_charge.toFixed(2),
-    collector_surge_payout: '0.00', // Calculated server-side when accepted
-    collector_tips: '0.00',
-    collector_recyclables_payout: '0.00', // Calculated after collection
-    collector_loyalty_cashback: '0.00',
-    collector_total_payout: (
-      costBreakdown.core + 
-      costBreakdown.urgent_charge + 
-      costBreakdown.distance_charge
-    ).toFixed(2),
-    surge_multiplier: '1.00',
-    deadhead_km: '0.00' // Will be calculated when collector accepts
+    quote_id: activeQuote.quote_id,
+    quote_signature: activeQuote.signature,
+    fee: breakdown.total.toFixed(2)
   };
 
   return digitalBinData;
@@ -0,0 +1,52 @@
+/**
+ * Discount service for customer pricing discounts
+ * Wraps the welcome discount RPCs defined in the welcome_discount migration
+ */
+
+import supabase from '../utils/supabaseClient.js';
+
+/**
+ * Welcome discount rate for a customer's first requests (SOP: 4.5% of Base)
+ */
+export const WELCOME_DISCOUNT_RATE = 0.045;
+
+/**
+ * Number of completed requests that earn the welcome discount
+ */
+export const WELCOME_DISCOUNT_REQUESTS = 5;
+
+export const discountService = {
+  /**
+   * Get the welcome discount multiplier for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<{data: number, error: Object|null}>} 0.045 while eligible, otherwise 0
+   */
+  async getWelcomeDiscountMultiplier(userId) {
+    try {
+      if (!userId) {
+        return { data: 0, error: null };
+      }
+
+      const { data, error } = await supabase.rpc('get_welcome_discount_multiplier', {
+        p_user_id: userId
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      return { data: parseFloat(data) || 0, error: null };
+    } catch (error) {
+      console.error('[DiscountService] Error fetching welcome discount:', error);
+      return {
+        data: 0,
+        error: {
+          message: error.message || 'Failed to fetch welcome discount',
+          code: error.code || 'WELCOME_DISCOUNT_ERROR'
+        }
+      };
+    }
+  }
+};
+
+export default discountService;
@@ -0,0 +1,231 @@
+/**
+ * Dispute service
+ * Customers dispute a completed collection (bags not taken, partly collected, ...) with
+ * photos and a requested resolution. The collector accepts or contests and support
+ * decides; approved refunds reverse the customer's wallet payment through paymentService.
+ * Statuses follow DISPUTE_STATES in statusService.
+ */
+
+import supabase from '../utils/supabaseClient.js';
+import { uploadPhotos, DISPUTE_PHOTO_BUCKET } from './photoUploadService.js';
+import { paymentService } from './paymentService.js';
+import { notificationService } from './notificationService.js';
+
+/**
+ * What went wrong with the collection
+ */
+export const DISPUTE_REASONS = [
+  { value: 'not_collected', label: 'Bags were not collected' },
+  { value: 'partially_collected', label: 'Only some bags were collected' },
+  { value: 'wrong_waste_type', label: 'Wrong waste type was collected' },
+  { value: 'damage', label: 'Bin or property was damaged' },
+  { value: 'other', label: 'Something else' }
+];
+
+/**
+ * What the customer asks for
+ */
+export const DISPUTE_RESOLUTIONS = [
+  { value: 'full_refund', label: 'Full refund' },
+  { value: 'partial_refund', label: 'Partial refund' },
+  { value: 'recollection', label: 'Come back and collect' }
+];
+
+/**
+ * Where the disputed collection lives
+ */
+export const DISPUTE_REQUEST_TYPES = {
+  PICKUP_REQUEST: 'pickup_request',
+  SCHEDULED_PICKUP: 'scheduled_pickup',
+  DIGITAL_BIN: 'digital_bin'
+};
+
+export const MAX_DISPUTE_PHOTOS = 5;
+
+const toServiceError = (error, message, code) => ({
+  message: error.message || message,
+  code: error.hint || error.code || code
+});
+
+// Tell the customer (and the collector, if there is one) about a status change.
+// Notifications are best effort: a failure never undoes the dispute change.
+const notifyParties = async (dispute, { collector = true } = {}) => {
+  const details = {
+    request_type: dispute.request_type,
+    request_id: dispute.request_id,
+    refund_amount: dispute.refund_amount ?? null
+  };
+  await Promise.all([
+    notificationService.createDisputeNotification(dispute.user_id, dispute.id, dispute.status, {
+      ...details,
+      recipient: 'customer'
+    }),
+    collector && dispute.collector_id
+      ? notificationService.createDisputeNotification(dispute.collector_id, dispute.id, dispute.status, {
+        ...details,
+        recipient: 'collector'
+      })
+      : null
+  ]).catch((error) => console.warn('[DisputeService] Notification failed:', error));
+};
+
+export const disputeService = {
+  /**
+   * Raise a dispute against a completed collection
+   * @param {Object} dispute
+   * @param {string} dispute.userId - Customer ID (photo folder)
+   * @param {string} dispute.requestType - DISPUTE_REQUEST_TYPES value
+   * @param {string} dispute.requestId - Pickup or digital bin ID
+   * @param {string} dispute.reason - DISPUTE_REASONS value
+   * @param {string} dispute.description - What happened (optional)
+   * @param {Array<string>} dispute.photos - Blob URLs from CameraModal
+   * @param {string} dispute.requestedResolution - DISPUTE_RESOLUTIONS value
+   * @param {number} dispute.requestedAmount - Partial refunds only
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Created dispute
+   */
+  async openDispute({ userId, requestType, requestId, reason, description = '', photos = [], requestedResolution, requestedAmount = null }) {
+    try {
+      if (!userId || !requestId) {
+        throw new Error('User ID and pickup ID are required');
+      }
+      if (!reason || !requestedResolution) {
+        throw Object.assign(new Error('Choose what went wrong and how you would like it resolved'), { code: 'INVALID_DISPUTE' });
+      }
+      if (photos.length > MAX_DISPUTE_PHOTOS) {
+        throw Object.assign(new Error(`Attach up to ${MAX_DISPUTE_PHOTOS} photos`), { code: 'INVALID_DISPUTE' });
+      }
+
+      console.log('[DisputeService] Opening dispute:', requestType, requestId, reason);
+
+      // dispute-photos is private, so the dispute keeps storage paths rather than URLs
+      let photoPaths = [];
+      if (photos.length > 0) {
+        const upload = await uploadPhotos(photos, userId, { bucket: DISPUTE_PHOTO_BUCKET });
+        if (!upload.success || upload.totalFailed > 0) {
+          throw Object.assign(new Error('Some photos could not be uploaded. Please try again.'), { code: 'PHOTO_UPLOAD_ERROR' });
+        }
+        photoPaths = upload.paths;
+      }
+
+      const { data, error } = await supabase.rpc('open_pickup_dispute', {
+        p_request_type: requestType,
+        p_request_id: requestId,
+        p_reason: reason,
+        p_requested_resolution: requestedResolution,
+        p_description: description,
+        p_photo_urls: photoPaths,
+        p_requested_amount: requestedResolution === 'partial_refund' ? requestedAmount : null
+      });
+
+      if (error) throw error;
+
+      await notifyParties(data);
+      return { data, error: null };
+    } catch (error) {
+      console.error('[DisputeService] Error opening dispute:', error);
+      return {
+        data: null,
+        error: toServiceError(error, 'Failed to submit dispute', 'DISPUTE_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Disputes a customer has raised, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<{data: Array, error: Object|null}>}
+   */
+  async getUserDisputes(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const { data, error } = await supabase
+        .from('pickup_disputes')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('[DisputeService] Error fetching disputes:', error);
+      return {
+        data: [],
+        error: toServiceError(error, 'Failed to load disputes', 'DISPUTE_FETCH_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Withdraw an open or contested dispute
+   * @param {string} disputeId - Dispute ID
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Updated dispute
+   */
+  async withdrawDispute(disputeId) {
+    try {
+      const { data, error } = await supabase.rpc('withdraw_pickup_dispute', { p_dispute_id: disputeId });
+
+      if (error) throw error;
+
+      await notifyParties(data);
+      return { data, error: null };
+    } catch (error) {
+      console.error('[DisputeService] Error withdrawing dispute:', error);
+      return {
+        data: null,
+        error: toServiceError(error, 'Failed to withdraw dispute', 'DISPUTE_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Collector's answer to an open dispute. Accepted or contested, the dispute goes to
+   * support, who approve any refund or recollection.
+   * @param {string} disputeId - Dispute ID
+   * @param {boolean} accept - Whether the collector agrees with the customer
+   * @param {string} note - Collector's note (optional)
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Updated dispute
+   */
+  async respondToDispute(disputeId, accept, note = '') {
+    try {
+      const { data, error } = await supabase.rpc('respond_to_pickup_dispute', {
+        p_dispute_id: disputeId,
+        p_accept: Boolean(accept),
+        p_note: note
+      });
+
+      if (error) throw error;
+
+      await notifyParties(data, { collector: false });
+      return { data, error: null };
+    } catch (error) {
+      console.error('[DisputeService] Error responding to dispute:', error);
+      return {
+        data: null,
+        error: toServiceError(error, 'Failed to respond to dispute', 'DISPUTE_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Pay out an approved refund (e.g. one approved by support)
+   * @param {Object} dispute - Dispute with status refund_approved
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Updated dispute (status refunded)
+   */
+  async claimRefund(dispute) {
+    const { data, error } = await paymentService.refundDispute(dispute.id);
+    if (error) {
+      // The approval stands; the refund can be retried from the dispute
+      await notifyParties(dispute, { collector: false });
+      return { data: null, error };
+    }
+
+    await notifyParties(data);
+    return { data, error: null };
+  }
+};
+
+export default disputeService;
@@ -3,30 +3,21 @@
  * Provides location-specific pricing for waste collection services
  * 
  * This service queries the pricing_zones table to find location-specific pricing.
- * Falls back to default BASE_COSTS if no zone is found within range.
+ * A zone whose boundary polygon contains the location wins; otherwise the nearest
+ * zone centre within range is used. When offline or the RPC is failing, zones are
+ * resolved from the IndexedDB snapshot kept by pricingSnapshotService.
+ * Falls back to default BASE_COSTS if no zone is found.
  */
 
 import supabase from '../utils/supabaseClient.js';
+import pricingSnapshotService from './pricingSnapshotService.js';
+import { BIN_SIZES, DEFAULT_BASE_PRICES, DEFAULT_BIN_SIZE, getZonePriceColumn } from '../utils/pricingCatalogue.js';
 
 /**
- * Default fallback prices by bin size (in GHS)
+ * Default fallback prices by bin size (in GHS), from the pricing catalogue
  * Used when no GPS pricing zone is found
  */
-const DEFAULT_PRICES = {
-  50: 10,
-  60: 15,
-  80: 18,
-  90: 22,
-  100: 25,
-  120: 30,
-  240: 40,
-  260: 50,
-  320: 65,
-  340: 55,
-  360: 75,
-  660: 100,
-  1100: 150
-};
+const DEFAULT_PRICES = DEFAULT_BASE_PRICES;
 
 /**
  * Maximum distance in km to search for a pricing zone
@@ -74,6 +65,7 @@ const metrics = {
   rpcSuccesses: 0,
   rpcFailures: 0,
   circuitBreakerTrips: 0,
+  snapshotHits: 0,
   lastReset: Date.now()
 };
 
@@ -171,14 +163,30 @@ const withRetry = async (operation, maxRetries = MAX_RETRIES, delayMs = 500) =>
 };
 
 /**
- * Find the nearest pricing zone for given GPS coordinates
+ * Zone from the offline snapshot (null when there is no snapshot or no match)
+ */
+const resolveFromSnapshot = async (latitude, longitude, maxDistanceKm, reason) => {
+  const zone = await pricingSnapshotService.resolveZone(latitude, longitude, maxDistanceKm);
+  if (zone) {
+    metrics.snapshotHits++;
+    console.log(`[GPSPricing] ${reason} - using snapshot zone:`, zone.suburb, `(synced ${zone.snapshot_synced_at})`);
+  } else {
+    console.warn(`[GPSPricing] ${reason} - no snapshot zone, using default pricing`);
+  }
+  return zone;
+};
+
+/**
+ * Find the pricing zone for given GPS coordinates
+ * Uses the zone boundary containing the point, else the nearest zone centre
+ * within maxDistanceKm (find_pricing_zone RPC).
  * 
  * @param {number} latitude - GPS latitude
  * @param {number} longitude - GPS longitude
- * @param {number} maxDistanceKm - Maximum search distance (default: 10km)
- * @returns {Promise<Object|null>} Pricing zone data or null if not found
+ * @param {number} maxDistanceKm - Maximum search distance for the centre fallback (default: 10km)
+ * @returns {Promise<Object|null>} Pricing zone data (with match_type 'polygon' | 'nearest') or null if not found
  */
-export const findNearestPricingZone = async (latitude, longitude, maxDistanceKm = MAX_SEARCH_DISTANCE_KM) => {
+export const findPricingZone = async (latitude, longitude, maxDistanceKm = MAX_SEARCH_DISTANCE_KM) => {
   metrics.totalRequests++;
   
   // Validate coordinates
@@ -196,19 +204,23 @@ export const findNearestPricingZone = async (latitude, longitude, maxDistanceKm
     return cachedEntry.zone;
   }
 
+  // No network: resolve locally (not cached, so we re-query once back online)
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return resolveFromSnapshot(latitude, longitude, maxDistanceKm, 'Offline');
+  }
+
   // Check circuit breaker before making RPC call
   if (!isCircuitClosed()) {
-    console.warn('[GPSPricing] Circuit breaker OPEN - skipping RPC call, using default pricing');
-    return null; // Will trigger fallback to default pricing
+    return resolveFromSnapshot(latitude, longitude, maxDistanceKm, 'Circuit breaker OPEN');
   }
 
   try {
     metrics.rpcCalls++;
-    console.log('[GPSPricing] Querying for nearest zone:', { latitude, longitude, maxDistanceKm });
+    console.log('[GPSPricing] Querying for pricing zone:', { latitude, longitude, maxDistanceKm });
 
     // Call the database function with timeout and retry
     const rpcOperation = async () => {
-      const rpcPromise = supabase.rpc('find_nearest_pricing_zone', {
+      const rpcPromise = supabase.rpc('find_pricing_zone', {
         p_latitude: latitude,
         p_longitude: longitude,
         p_max_distance_km: maxDistanceKm
@@ -242,7 +254,7 @@ export const findNearestPricingZone = async (latitude, longitude, maxDistanceKm
     }
 
     const zone = data[0];
-    console.log('[GPSPricing] Found zone:', zone.suburb, 'at', zone.distance_km?.toFixed(2), 'km');
+    console.log('[GPSPricing] Found zone:', zone.suburb, `(${zone.match_type || 'nearest'})`, 'at', zone.distance_km?.toFixed(2), 'km');
 
     // Cache the result
     pricingCache.set(cacheKey, { zone, timestamp: Date.now(), isError: false });
@@ -252,54 +264,60 @@ export const findNearestPricingZone = async (latitude, longitude, maxDistanceKm
     // Record failure - may trip circuit breaker
     recordFailure();
     console.error('[GPSPricing] Error finding pricing zone:', error.message);
+    const zone = await resolveFromSnapshot(latitude, longitude, maxDistanceKm, 'Lookup failed');
     // Cache the error state briefly to prevent hammering on failures
-    pricingCache.set(cacheKey, { zone: null, timestamp: Date.now(), isError: true });
-    return null;
+    pricingCache.set(cacheKey, { zone, timestamp: Date.now(), isError: true });
+    return zone;
   }
 };
 
+/**
+ * @deprecated Use findPricingZone (same lookup, now polygon-aware)
+ */
+export const findNearestPricingZone = findPricingZone;
+
 /**
  * Get price for a specific bin size at a location
  * Falls back to default pricing if no zone is found
  * 
  * @param {number} latitude - GPS latitude
  * @param {number} longitude - GPS longitude
- * @param {number} binSize - Bin size in liters (50, 60, 80, 90, 100, 120, 240, 260, 320, 340, 360, 660, 1100)
- * @returns {Promise<Object>} Price info with source indicator
+ * @param {number} binSize - Bin size in liters (one of the catalogue BIN_SIZES)
+ * @returns {Promise<Object>} Price info with source indicator ('gps', 'snapshot' or 'default')
  */
 export const getLocationPrice = async (latitude, longitude, binSize) => {
   // Validate bin size
-  const validSizes = [50, 60, 80, 90, 100, 120, 240, 260, 320, 340, 360, 660, 1100];
-  if (!validSizes.includes(binSize)) {
-    console.warn('[GPSPricing] Invalid bin size:', binSize, '- using default 120L');
-    binSize = 120;
+  if (!BIN_SIZES.includes(binSize)) {
+    console.warn('[GPSPricing] Invalid bin size:', binSize, `- using default ${DEFAULT_BIN_SIZE}L`);
+    binSize = DEFAULT_BIN_SIZE;
   }
 
   // Try to find GPS-based pricing
-  const zone = await findNearestPricingZone(latitude, longitude);
+  const zone = await findPricingZone(latitude, longitude);
 
   if (zone) {
     // Map bin size to zone price column
-    const priceKey = `price_${binSize}l`;
-    const price = zone[priceKey];
+    const price = zone[getZonePriceColumn(binSize)];
 
     if (price !== undefined && price !== null) {
       return {
         price: parseFloat(price),
-        source: 'gps',
+        source: zone.from_snapshot ? 'snapshot' : 'gps',
         zone: {
           region: zone.region,
           district: zone.district,
           community: zone.community,
           suburb: zone.suburb,
-          distance_km: zone.distance_km
+          distance_km: zone.distance_km,
+          match_type: zone.match_type || 'nearest',
+          snapshot_synced_at: zone.snapshot_synced_at || null
         }
       };
     }
   }
 
   // Fallback to default pricing
-  const defaultPrice = DEFAULT_PRICES[binSize] || DEFAULT_PRICES[120];
+  const defaultPrice = DEFAULT_PRICES[binSize] || DEFAULT_PRICES[DEFAULT_BIN_SIZE];
   return {
     price: defaultPrice,
     source: 'default',
@@ -316,32 +334,32 @@ export const getLocationPrice = async (latitude, longitude, binSize) => {
  * @returns {Promise<Object>} All prices with source indicator
  */
 export const getAllPricesForLocation = async (latitude, longitude) => {
-  const zone = await findNearestPricingZone(latitude, longitude);
+  const zone = await findPricingZone(latitude, longitude);
 
   const prices = {};
-  const binSizes = [50, 60, 80, 90, 100, 120, 240, 260, 320, 340, 360, 660, 1100];
 
   if (zone) {
-    binSizes.forEach(size => {
-      const priceKey = `price_${size}l`;
-      prices[size] = parseFloat(zone[priceKey]) || DEFAULT_PRICES[size];
+    BIN_SIZES.forEach(size => {
+      prices[size] = parseFloat(zone[getZonePriceColumn(size)]) || DEFAULT_PRICES[size];
     });
 
     return {
       prices,
-      source: 'gps',
+      source: zone.from_snapshot ? 'snapshot' : 'gps',
       zone: {
         region: zone.region,
         district: zone.district,
         community: zone.community,
         suburb: zone.suburb,
-        distance_km: zone.distance_km
+        distance_km: zone.distance_km,
+        match_type: zone.match_type || 'nearest',
+        snapshot_synced_at: zone.snapshot_synced_at || null
       }
     };
   }
 
   // Return default prices
-  binSizes.forEach(size => {
+  BIN_SIZES.forEach(size => {
     prices[size] = DEFAULT_PRICES[size];
   });
 
@@ -370,7 +388,7 @@ export const getBaseCost = async (binSize, latitude = null, longitude = null) =>
   }
 
   // No coordinates - return default
-  return DEFAULT_PRICES[binSize] || DEFAULT_PRICES[120];
+  return DEFAULT_PRICES[binSize] || DEFAULT_PRICES[DEFAULT_BIN_SIZE];
 };
 
 /**
@@ -471,6 +489,7 @@ export const resetMetrics = () => {
   metrics.rpcSuccesses = 0;
   metrics.rpcFailures = 0;
   metrics.circuitBreakerTrips = 0;
+  metrics.snapshotHits = 0;
   metrics.lastReset = Date.now();
   console.log('[GPSPricing] Metrics reset');
 };
@@ -487,6 +506,7 @@ export const resetCircuitBreaker = () => {
 
 // Default export with all functions
 export default {
+  findPricingZone,
   findNearestPricingZone,
   getLocationPrice,
   getAllPricesForLocation,
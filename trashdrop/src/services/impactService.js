@@ -0,0 +1,93 @@
+/**
+ * Impact service
+ * Loads a household's collected pickup requests, scheduled pickups and digital bins, with
+ * any recyclables weighed at completion, in the shape impactCalculator works on.
+ */
+
+import supabase from '../utils/supabaseClient.js';
+
+// Statuses at which the waste has left the household, per table (is_collected_status and
+// record_recyclables in the database)
+const COLLECTED_STATUSES = ['picked_up', 'collected', 'disposed', 'completed'];
+const SCHEDULED_COLLECTED_STATUSES = ['pending_payment', 'completed'];
+
+const toServiceError = (error, message, code) => ({
+  message: error.message || message,
+  code: error.hint || error.code || code
+});
+
+export const impactService = {
+  /**
+   * Collected pickups for the impact dashboard, oldest first
+   * @param {string} userId - User ID
+   * @returns {Promise<{data: Array<{id: string, requestType: string, bagCount: number,
+   *   wasteType: string, completedAt: string, recordedItems: Array}>, error: Object|null}>}
+   */
+  async getCompletedPickups(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const [requestsResult, scheduledResult, binsResult, recyclablesResult] = await Promise.all([
+        supabase
+          .from('pickup_requests')
+          .select('id, bag_count, waste_type, picked_up_at, disposed_at, created_at, updated_at')
+          .eq('user_id', userId)
+          .in('status', COLLECTED_STATUSES),
+        supabase
+          .from('scheduled_pickups')
+          .select('id, bag_count, waste_type, completed_at, created_at, updated_at')
+          .eq('user_id', userId)
+          .in('status', SCHEDULED_COLLECTED_STATUSES),
+        supabase
+          .from('digital_bins')
+          .select('id, bag_count, waste_type, collected_at, created_at, updated_at')
+          .eq('user_id', userId)
+          .in('status', COLLECTED_STATUSES),
+        supabase
+          .from('recyclable_collections')
+          .select('request_type, request_id, items:recyclable_collection_items(material_code, weight_kg)')
+          .eq('user_id', userId)
+          .neq('status', 'rejected')
+      ]);
+
+      if (requestsResult.error) throw requestsResult.error;
+      if (scheduledResult.error) throw scheduledResult.error;
+      if (binsResult.error) throw binsResult.error;
+      if (recyclablesResult.error) throw recyclablesResult.error;
+
+      const recorded = new Map((recyclablesResult.data || []).map((collection) => [
+        `${collection.request_type}:${collection.request_id}`,
+        (collection.items || []).map((item) => ({ material: item.material_code, weightKg: Number(item.weight_kg) || 0 }))
+      ]));
+
+      // updated_at moves with any later edit, so it is only a fallback for rows without
+      // their completion timestamp
+      const toPickup = (requestType, completedAt) => (row) => ({
+        id: row.id,
+        requestType,
+        bagCount: Number(row.bag_count) || 1,
+        wasteType: row.waste_type,
+        completedAt: completedAt(row) || row.updated_at || row.created_at,
+        recordedItems: recorded.get(`${requestType}:${row.id}`) || []
+      });
+
+      const pickups = [
+        ...(requestsResult.data || []).map(toPickup('pickup_request', (row) => row.picked_up_at || row.disposed_at)),
+        ...(scheduledResult.data || []).map(toPickup('scheduled_pickup', (row) => row.completed_at)),
+        ...(binsResult.data || []).map(toPickup('digital_bin', (row) => row.collected_at))
+      ].sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+
+      return { data: pickups, error: null };
+    } catch (error) {
+      console.error('[ImpactService] Error fetching completed pickups:', error);
+      return {
+        data: [],
+        error: toServiceError(error, 'Failed to load your impact', 'IMPACT_ERROR')
+      };
+    }
+  }
+};
+
+export default impactService;
@@ -0,0 +1,161 @@
+/**
+ * Leaderboard service
+ * Opt-in community leaderboards. Joining stores a display name (first name and last
+ * initial, or an anonymous alias) and the customer's neighbourhood; rankings are computed
+ * by get_leaderboard from completed pickups and verified dumping reports, so other
+ * customers' rows are never read directly.
+ */
+
+import supabase from '../utils/supabaseClient.js';
+
+export const LEADERBOARD_PERIODS = {
+  WEEK: 'week',
+  MONTH: 'month'
+};
+
+export const LEADERBOARD_SCOPES = {
+  USERS: 'users',
+  NEIGHBOURHOODS: 'neighbourhoods'
+};
+
+export const LEADERBOARD_METRICS = {
+  BAGS: 'bags',
+  RECYCLING_SHARE: 'recycling_share',
+  VERIFIED_REPORTS: 'verified_reports'
+};
+
+const toServiceError = (error, message, code) => ({
+  message: error.message || message,
+  code: error.hint || error.code || code
+});
+
+const toMembership = (row) => ({
+  displayName: row.display_name,
+  anonymous: Boolean(row.anonymous),
+  zoneId: row.zone_id || null,
+  joinedAt: row.joined_at
+});
+
+const toEntry = (row) => ({
+  rank: row.rank,
+  name: row.name,
+  neighbourhood: row.neighbourhood || null,
+  members: Number(row.members) || 0,
+  bagsCollected: Number(row.bags_collected) || 0,
+  completedPickups: Number(row.completed_pickups) || 0,
+  recyclingShare: row.recycling_share === null ? null : Number(row.recycling_share),
+  verifiedReports: Number(row.verified_reports) || 0,
+  isMe: Boolean(row.is_me)
+});
+
+export const leaderboardService = {
+  /**
+   * The customer's leaderboard membership
+   * @param {string} userId - User ID
+   * @returns {Promise<{data: Object|null, error: Object|null}>} null when not opted in
+   */
+  async getMembership(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const { data, error } = await supabase
+        .from('leaderboard_members')
+        .select('display_name, anonymous, zone_id, joined_at')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return { data: data ? toMembership(data) : null, error: null };
+    } catch (error) {
+      console.error('[LeaderboardService] Error fetching membership:', error);
+      return {
+        data: null,
+        error: toServiceError(error, 'Failed to load leaderboard membership', 'LEADERBOARD_MEMBERSHIP_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Opt in to leaderboards, or switch between named and anonymous display
+   * @param {Object} options
+   * @param {boolean} options.anonymous - Show an alias instead of first name and initial
+   * @returns {Promise<{data: Object|null, error: Object|null}>}
+   */
+  async join({ anonymous = false } = {}) {
+    try {
+      const { data, error } = await supabase.rpc('join_leaderboard', { p_anonymous: anonymous });
+
+      if (error) throw error;
+
+      const row = Array.isArray(data) ? data[0] : data;
+      return { data: row ? toMembership(row) : null, error: null };
+    } catch (error) {
+      console.error('[LeaderboardService] Error joining leaderboard:', error);
+      return {
+        data: null,
+        error: toServiceError(error, 'Failed to join the leaderboard', 'LEADERBOARD_JOIN_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Opt out of leaderboards
+   * @returns {Promise<{data: boolean, error: Object|null}>}
+   */
+  async leave() {
+    try {
+      const { error } = await supabase.rpc('leave_leaderboard');
+
+      if (error) throw error;
+
+      return { data: true, error: null };
+    } catch (error) {
+      console.error('[LeaderboardService] Error leaving leaderboard:', error);
+      return {
+        data: false,
+        error: toServiceError(error, 'Failed to leave the leaderboard', 'LEADERBOARD_LEAVE_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Ranked entries for the current week or month, plus the customer's own entry when it
+   * falls outside the top
+   * @param {Object} options
+   * @param {string} options.period - LEADERBOARD_PERIODS value
+   * @param {string} options.scope - LEADERBOARD_SCOPES value
+   * @param {string} options.metric - LEADERBOARD_METRICS value
+   * @param {number} options.limit - Number of top entries
+   * @returns {Promise<{data: Array, error: Object|null}>}
+   */
+  async getLeaderboard({
+    period = LEADERBOARD_PERIODS.WEEK,
+    scope = LEADERBOARD_SCOPES.USERS,
+    metric = LEADERBOARD_METRICS.BAGS,
+    limit = 20
+  } = {}) {
+    try {
+      const { data, error } = await supabase.rpc('get_leaderboard', {
+        p_period: period,
+        p_scope: scope,
+        p_metric: metric,
+        p_limit: limit
+      });
+
+      if (error) throw error;
+
+      return { data: (data || []).map(toEntry), error: null };
+    } catch (error) {
+      console.error('[LeaderboardService] Error fetching leaderboard:', error);
+      return {
+        data: [],
+        error: toServiceError(error, 'Failed to load the leaderboard', 'LEADERBOARD_ERROR')
+      };
+    }
+  }
+};
+
+export default leaderboardService;
@@ -198,6 +198,62 @@ export const notificationService = {
     });
   },
 
+  /**
+   * Create a dispute notification for the customer or the collector
+   * @param {string} userId - User ID to notify
+   * @param {string} disputeId - Dispute ID
+   * @param {string} status - Dispute status (DISPUTE_STATES value)
+   * @param {Object} details - Additional details (recipient: 'customer' or 'collector', refund_amount, ...)
+   * @returns {Object} Created notification
+   */
+  async createDisputeNotification(userId, disputeId, status, details = {}) {
+    const customerMessages = {
+      open: 'We received your report. The collector has been asked to respond.',
+      under_review: 'The collector has responded. Our support team will review your report.',
+      refund_approved: 'Your refund has been approved.',
+      refunded: 'Your refund has been credited to your TrashDrop wallet.',
+      recollection_scheduled: 'A collector will return to collect the remaining waste.',
+      rejected: 'After review, your report was not upheld.',
+      withdrawn: 'You withdrew your report.'
+    };
+    const collectorMessages = {
+      open: 'A customer reported a problem with a completed pickup. Please respond.',
+      under_review: 'Support is reviewing a disputed pickup.',
+      refund_approved: 'A refund was approved for a disputed pickup.',
+      refunded: 'A refund was issued for a disputed pickup.',
+      recollection_scheduled: 'A recollection was scheduled for a disputed pickup.',
+      rejected: 'A dispute against your pickup was not upheld.',
+      withdrawn: 'The customer withdrew their dispute.'
+    };
+
+    const messages = details.recipient === 'collector' ? collectorMessages : customerMessages;
+    const title = 'Pickup Dispute Update';
+    const message = messages[status] || `Dispute status changed to ${status}`;
+
+    return await this.createNotification(userId, 'pickup_dispute', title, message, {
+      dispute_id: disputeId,
+      status,
+      ...details
+    });
+  },
+
+  /**
+   * Warn a customer that some of their points are about to expire
+   * @param {string} userId - User ID to notify
+   * @param {number} points - Points expiring
+   * @param {string} expiresAt - When they expire (ISO timestamp)
+   * @returns {Object} Created notification
+   */
+  async createPointsExpiryNotification(userId, points, expiresAt) {
+    const title = 'Points Expiring Soon';
+    const message = `${points} of your points expire on ${new Date(expiresAt).toLocaleDateString()}. Redeem a reward to use them.`;
+
+    return await this.createNotification(userId, 'points_expiry', title, message, {
+      points,
+      expires_at: expiresAt
+    });
+  },
+
   /**
    * Delete notifications older than a certain date
    * @param {string} userId - User ID
@@ -1,14 +1,123 @@
 /**
  * Payment service for managing payment methods and processing payments
+ * Provider payments (mobile money request-to-pay) go through the payments Netlify
+ * function; the payer approves them on their phone and the client polls for the outcome.
  */
 
 import supabase from '../utils/supabaseClient.js';
+import { normalizeMsisdn, detectMobileNetwork } from '../utils/mobileMoney.js';
+import { STORED_PAYMENT_DETAIL_KEYS } from '../utils/paymentMethodDisplay.js';
+
+// Base URL for serverless functions. Use direct connection in development to bypass proxy issues
+const FUNCTIONS_BASE = process.env.NODE_ENV === 'development'
+  ? 'http://localhost:9999/.netlify/functions'
+  : (process.env.REACT_APP_FUNCTIONS_URL || '/.netlify/functions').replace(/\/$/, '');
+
+const PAYMENT_REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Provider payment purposes
+ */
+export const PAYMENT_PURPOSES = {
+  WALLET_TOP_UP: 'wallet_top_up',
+  PICKUP_PAYMENT: 'pickup_payment',
+  COLLECTOR_TIP: 'collector_tip'
+};
+
+/**
+ * Collector tips, in GHS. Limits match record_collector_tip.
+ */
+export const TIP_PRESETS = [2, 5, 10];
+export const MIN_TIP = 1;
+export const MAX_TIP = 200;
+
+/**
+ * What a tip is for: the table the collected request lives in
+ */
+export const TIP_REQUEST_TYPES = {
+  SCHEDULED_PICKUP: 'scheduled_pickup',
+  PICKUP_REQUEST: 'pickup_request',
+  DIGITAL_BIN: 'digital_bin'
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Call the payments function with the user's session
+ * @param {string} route - 'request', 'tokenize' or 'status?id=...'
+ * @param {Object} init - fetch options
+ * @returns {Promise<Object>} Response data
+ */
+const callPaymentsFunction = async (route, init = {}) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), PAYMENT_REQUEST_TIMEOUT_MS);
+
+  try {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session?.access_token) {
+      throw Object.assign(new Error('Please sign in to make a payment'), { code: 'UNAUTHORIZED' });
+    }
+
+    const response = await fetch(`${FUNCTIONS_BASE}/payments/${route}`, {
+      ...init,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`
+      },
+      signal: controller.signal
+    });
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || !payload?.data) {
+      throw Object.assign(new Error(payload?.error || `Payment request failed (HTTP ${response.status})`), {
+        code: payload?.code || 'PAYMENT_ERROR'
+      });
+    }
+    return payload.data;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw Object.assign(new Error('Payment service timed out'), { code: 'TIMEOUT' });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+};
 
 export const paymentService = {
   /**
-   * Add a new payment method for a user
+   * Exchange raw card or mobile money details for a provider token
+   * @param {string} type - 'card' or 'mobile'
+   * @param {Object} credentials - { number, expiry, cvv } for cards, { msisdn } for mobile money
+   * @param {string} network - Mobile money network code
+   * @returns {Promise<{data: Object|null, error: Object|null}>} { token, last4, expiry?, brand? }
+   */
+  async tokenizePaymentDetails(type, credentials = {}, network = null) {
+    try {
+      const body = type === 'card'
+        ? { type, card_number: credentials.number, expiry: credentials.expiry, cvv: credentials.cvv }
+        : { type, msisdn: normalizeMsisdn(credentials.msisdn), network: network || detectMobileNetwork(credentials.msisdn) };
+
+      const data = await callPaymentsFunction('tokenize', { method: 'POST', body: JSON.stringify(body) });
+      return { data, error: null };
+    } catch (error) {
+      console.error('[PaymentService] Error tokenising payment details:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to save payment details',
+          code: error.code || 'TOKENIZE_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Add a new payment method for a user. Card and mobile money credentials are
+   * tokenised first; only the token and display fields are stored.
    * @param {string} userId - User ID
-   * @param {Object} paymentData - Payment method data
+   * @param {Object} paymentData - { type, provider, credentials }
    * @returns {Object} Created payment method
    */
   async addPaymentMethod(userId, paymentData) {
@@ -27,11 +136,24 @@ export const paymentService = {
 
       const isDefault = !existingMethods || existingMethods.length === 0;
 
+      let details = {};
+      if (['card', 'mobile'].includes(paymentData.type)) {
+        const { data: tokenised, error: tokenError } = await this.tokenizePaymentDetails(
+          paymentData.type,
+          paymentData.credentials,
+          paymentData.provider
+        );
+        if (tokenError) throw tokenError;
+        details = Object.fromEntries(
+          STORED_PAYMENT_DETAIL_KEYS.filter((key) => tokenised[key]).map((key) => [key, tokenised[key]])
+        );
+      }
+
       const paymentMethod = {
         user_id: userId,
         type: paymentData.type,
         provider: paymentData.provider,
-        details: paymentData.details, // Encrypted in database via Supabase policies
+        details,
         is_default: isDefault,
         status: 'active',
         created_at: new Date().toISOString()
@@ -210,6 +332,195 @@ export const paymentService = {
         }
       };
     }
+  },
+
+  /**
+   * Send a mobile money payment request to the payer's phone. The amount is always the one
+   * recorded for the top-up, pickup or tip. Asking again while a request is still pending
+   * returns that request; a reference that is already paid fails with ALREADY_PAID.
+   * @param {Object} request
+   * @param {string} request.purpose - PAYMENT_PURPOSES value
+   * @param {string} request.referenceId - wallet_top_ups, scheduled_pickups or collector_tips ID
+   * @param {string} request.paymentMethodId - Saved mobile money method, or
+   * @param {string} request.msisdn - Payer's mobile number
+   * @param {string} request.network - Payer's network code
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Pending payment ({ payment_id, status, ... })
+   */
+  async requestMobileMoneyPayment({ purpose, referenceId, paymentMethodId = null, msisdn = null, network = null }) {
+    try {
+      if (!paymentMethodId && !normalizeMsisdn(msisdn)) {
+        throw Object.assign(new Error('Enter a valid mobile money number'), { code: 'INVALID_PAYER' });
+      }
+
+      console.log('[PaymentService] Requesting mobile money payment:', purpose, referenceId);
+
+      const data = await callPaymentsFunction('request', {
+        method: 'POST',
+        body: JSON.stringify({
+          purpose,
+          reference_id: referenceId,
+          payment_method_id: paymentMethodId,
+          msisdn: paymentMethodId ? null : normalizeMsisdn(msisdn),
+          network: paymentMethodId ? null : (network || detectMobileNetwork(msisdn))
+        })
+      });
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('[PaymentService] Error requesting mobile money payment:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to request payment',
+          code: error.code || 'PAYMENT_REQUEST_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Tip the collector of a collected pickup; only the customer may tip. Wallet tips move
+   * to the collector's wallet straight away, cash tips stay pending until the collector
+   * confirms receiving them, and mobile money tips send a payment request and complete
+   * once the payer approves it (see waitForPayment).
+   * @param {Object} tip
+   * @param {string} tip.requestType - TIP_REQUEST_TYPES value
+   * @param {string} tip.requestId - Pickup or digital bin ID
+   * @param {number} tip.amount - Amount in GHS (MIN_TIP to MAX_TIP)
+   * @param {string} tip.method - 'wallet', 'mobile_money' or 'cash'
+   * @param {string} tip.msisdn - Payer's mobile number (mobile money only)
+   * @param {string} tip.network - Payer's network code (mobile money only)
+   * @param {string} tip.message - Optional note for the collector
+   * @returns {Promise<{data: Object|null, error: Object|null}>} { tip, payment } (payment is set for mobile money)
+   */
+  async recordTip({ requestType, requestId, amount, method, msisdn = null, network = null, message = null }) {
+    try {
+      const value = Math.round((parseFloat(amount) || 0) * 100) / 100;
+      if (!requestId) {
+        throw new Error('Pickup ID is required');
+      }
+      if (!(value >= MIN_TIP && value <= MAX_TIP)) {
+        throw Object.assign(new Error(`Enter a tip between ${MIN_TIP} and ${MAX_TIP}`), { code: 'INVALID_TIP' });
+      }
+      if (method === 'mobile_money' && !normalizeMsisdn(msisdn)) {
+        throw Object.assign(new Error('Enter a valid mobile money number'), { code: 'INVALID_PAYER' });
+      }
+
+      console.log('[PaymentService] Recording tip:', requestType, requestId, value, method);
+
+      const { data: tip, error } = await supabase.rpc('record_collector_tip', {
+        p_request_type: requestType,
+        p_request_id: requestId,
+        p_amount: value,
+        p_payment_method: method,
+        p_message: message
+      });
+
+      if (error) {
+        throw Object.assign(new Error(error.message), { code: error.hint || error.code });
+      }
+
+      if (method !== 'mobile_money') {
+        return { data: { tip, payment: null }, error: null };
+      }
+
+      const { data: payment, error: paymentError } = await this.requestMobileMoneyPayment({
+        purpose: PAYMENT_PURPOSES.COLLECTOR_TIP,
+        referenceId: tip.id,
+        msisdn,
+        network
+      });
+      if (paymentError) throw Object.assign(new Error(paymentError.message), { code: paymentError.code });
+
+      return { data: { tip, payment }, error: null };
+    } catch (error) {
+      console.error('[PaymentService] Error recording tip:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to send tip',
+          code: error.code || 'TIP_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Pay out an approved dispute refund by reversing the pickup's wallet payment. Safe to
+   * repeat: a dispute is only ever refunded once. Pickups not paid from the wallet fail
+   * with PROVIDER_REFUND; support refunds those through the provider.
+   * @param {string} disputeId - pickup_disputes ID (status refund_approved)
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Updated dispute (status refunded)
+   */
+  async refundDispute(disputeId) {
+    try {
+      if (!disputeId) {
+        throw new Error('Dispute ID is required');
+      }
+
+      console.log('[PaymentService] Refunding dispute:', disputeId);
+
+      const { data, error } = await supabase.rpc('refund_pickup_dispute', { p_dispute_id: disputeId });
+
+      if (error) {
+        throw Object.assign(new Error(error.message), { code: error.hint || error.code });
+      }
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('[PaymentService] Error refunding dispute:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to issue refund',
+          code: error.code || 'REFUND_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Current status of a provider payment (asks the provider while it is pending)
+   * @param {string} paymentId - Payment ID returned by requestMobileMoneyPayment
+   * @returns {Promise<{data: Object|null, error: Object|null}>}
+   */
+  async getPaymentStatus(paymentId) {
+    try {
+      const data = await callPaymentsFunction(`status?id=${encodeURIComponent(paymentId)}`, { method: 'GET' });
+      return { data, error: null };
+    } catch (error) {
+      console.error('[PaymentService] Error fetching payment status:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to fetch payment status',
+          code: error.code || 'PAYMENT_STATUS_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Poll a provider payment until it succeeds, fails or the payer runs out of time
+   * @param {string} paymentId - Payment ID returned by requestMobileMoneyPayment
+   * @param {Object} options
+   * @param {number} options.intervalMs - Delay between status checks
+   * @param {number} options.timeoutMs - Give up (status stays 'pending') after this long
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Last known payment status
+   */
+  async waitForPayment(paymentId, { intervalMs = 3000, timeoutMs = 120000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    let last = null;
+
+    while (Date.now() < deadline) {
+      const { data, error } = await this.getPaymentStatus(paymentId);
+      if (error) return { data: last, error };
+      last = data;
+      if (data.status !== 'pending') break;
+      await wait(intervalMs);
+    }
+
+    return { data: last, error: null };
   }
 };
 
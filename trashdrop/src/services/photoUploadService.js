@@ -4,7 +4,8 @@
 
 import supabase from '../utils/supabaseClient.js';
 
-const STORAGE_BUCKET = 'dumping-photos'; // Supabase storage bucket name
+const STORAGE_BUCKET = 'dumping-photos'; // Default Supabase storage bucket name
+export const DISPUTE_PHOTO_BUCKET = 'dispute-photos';
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB max file size
 const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'];
 
@@ -64,9 +65,11 @@ const generateFilename = (userId, originalName) => {
  * @param {string} blobUrl - Blob URL from camera capture
  * @param {string} userId - User ID
  * @param {string} originalFilename - Original filename (optional)
+ * @param {Object} options
+ * @param {string} options.bucket - Storage bucket (default: dumping-photos)
  * @returns {Promise<Object>} Upload result with public URL
  */
-export const uploadPhoto = async (blobUrl, userId, originalFilename = 'photo.jpg') => {
+export const uploadPhoto = async (blobUrl, userId, originalFilename = 'photo.jpg', { bucket = STORAGE_BUCKET } = {}) => {
   try {
     console.log('[PhotoUpload] Starting photo upload for user:', userId);
 
@@ -86,7 +89,7 @@ export const uploadPhoto = async (blobUrl, userId, originalFilename = 'photo.jpg
 
     // Upload to Supabase Storage
     const { data, error } = await supabase.storage
-      .from(STORAGE_BUCKET)
+      .from(bucket)
       .upload(filename, file, {
         cacheControl: '3600',
         upsert: false,
@@ -102,7 +105,7 @@ export const uploadPhoto = async (blobUrl, userId, originalFilename = 'photo.jpg
 
     // Get public URL
     const { data: { publicUrl } } = supabase.storage
-      .from(STORAGE_BUCKET)
+      .from(bucket)
       .getPublicUrl(data.path);
 
     console.log('[PhotoUpload] Public URL:', publicUrl);
@@ -127,9 +130,10 @@ export const uploadPhoto = async (blobUrl, userId, originalFilename = 'photo.jpg
  * Upload multiple photos to Supabase Storage
  * @param {string[]} blobUrls - Array of blob URLs
  * @param {string} userId - User ID
- * @returns {Promise<Object>} Upload results with public URLs
+ * @param {Object} options - Passed to uploadPhoto (e.g. { bucket })
+ * @returns {Promise<Object>} Upload results with public URLs and storage paths (for private buckets)
  */
-export const uploadPhotos = async (blobUrls, userId) => {
+export const uploadPhotos = async (blobUrls, userId, options = {}) => {
   try {
     console.log(`[PhotoUpload] Starting batch upload of ${blobUrls.length} photos`);
 
@@ -142,7 +146,7 @@ export const uploadPhotos = async (blobUrls, userId) => {
 
     // Upload all photos in parallel
     const uploadPromises = blobUrls.map((blobUrl, index) =>
-      uploadPhoto(blobUrl, userId, `photo_${index + 1}.jpg`)
+      uploadPhoto(blobUrl, userId, `photo_${index + 1}.jpg`, options)
     );
 
     const results = await Promise.all(uploadPromises);
@@ -156,12 +160,14 @@ export const uploadPhotos = async (blobUrls, userId) => {
     // Extract successful public URLs
     const successfulUploads = results.filter(r => r.success);
     const publicUrls = successfulUploads.map(r => r.publicUrl);
+    const paths = successfulUploads.map(r => r.path);
 
     console.log(`[PhotoUpload] Batch upload complete: ${successfulUploads.length}/${blobUrls.length} successful`);
 
     return {
       success: successfulUploads.length > 0,
       publicUrls: publicUrls,
+      paths: paths,
       totalUploaded: successfulUploads.length,
       totalFailed: failures.length,
       results: results
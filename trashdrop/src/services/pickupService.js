@@ -77,7 +77,7 @@ export const pickupService = {
         try {
           const { data: collectorData } = await supabase
             .from('collector_profiles')
-            .select('user_id, first_name, last_name, email, phone, rating, vehicle_type, vehicle_plate, vehicle_color, profile_image_url, status, region')
+            .select('user_id, first_name, last_name, email, phone, rating, rating_count, vehicle_type, vehicle_plate, vehicle_color, profile_image_url, status, region')
             .eq('user_id', oneTimeData[0].collector_id)
             .single();
           
@@ -342,7 +342,7 @@ export const pickupService = {
           .select(`
             id, user_id, location_id, qr_code_url, frequency, waste_type, bag_count,
             bin_size_liters, is_urgent, is_active, status, expires_at, collected_at,
-            collector_id, created_at, updated_at
+            collector_id, collector_tips, created_at, updated_at
           `)
           .eq('id', pickupId)
           .maybeSingle();
@@ -415,7 +415,7 @@ export const pickupService = {
             try {
               const { data: collectorData } = await supabase
                 .from('collector_profiles')
-                .select('user_id, first_name, last_name, email, phone, rating, vehicle_type, vehicle_plate, vehicle_color, profile_image_url, status, region')
+                .select('user_id, first_name, last_name, email, phone, rating, rating_count, vehicle_type, vehicle_plate, vehicle_color, profile_image_url, status, region')
                 .eq('user_id', digitalBinData.collector_id)
                 .maybeSingle();
               
@@ -451,6 +451,7 @@ export const pickupService = {
             is_active: digitalBinData.is_active,
             expires_at: digitalBinData.expires_at,
             collected_at: digitalBinData.collected_at,
+            collector_tips: Number(digitalBinData.collector_tips) || 0,
             created_at: digitalBinData.created_at,
             updated_at: digitalBinData.updated_at
           };
@@ -471,7 +472,7 @@ export const pickupService = {
           try {
             const { data: collectorData } = await supabase
               .from('collector_profiles')
-              .select('user_id, first_name, last_name, email, phone, rating, vehicle_type, vehicle_plate, vehicle_color, profile_image_url, status, region')
+              .select('user_id, first_name, last_name, email, phone, rating, rating_count, vehicle_type, vehicle_plate, vehicle_color, profile_image_url, status, region')
               .eq('user_id', data.collector_id)
               .maybeSingle();
             
@@ -0,0 +1,296 @@
+/**
+ * Points service
+ * Single source for points balances and history: the append-only points_ledger. Earning
+ * activities and reward redemptions post their own entries in the database; screens read
+ * the balance and history from here instead of re-deriving them from activity tables.
+ */
+
+import supabase from '../utils/supabaseClient.js';
+import { notificationService } from './notificationService.js';
+
+/**
+ * Ledger entry types. earn is positive, spend and expire negative, adjust either.
+ */
+export const POINTS_ENTRY_TYPES = {
+  EARN: 'earn',
+  SPEND: 'spend',
+  EXPIRE: 'expire',
+  ADJUST: 'adjust'
+};
+
+// History labels per source, for the entries' activity column
+const SOURCE_LABELS = {
+  pickup_request: 'Pickup Request',
+  digital_bin: 'Digital Bin',
+  dumping_report: 'Dumping Report',
+  qr_scan: 'QR Code Scan',
+  reward_redemption: 'Reward Redemption',
+  achievement: 'Badge Earned',
+  recyclables: 'Recyclables Credit',
+  manual: 'Adjustment'
+};
+
+const toServiceError = (error, message, code) => ({
+  message: error.message || message,
+  code: error.hint || error.code || code
+});
+
+/**
+ * Days ahead that customers are warned about points expiring
+ */
+export const POINTS_EXPIRY_WARNING_DAYS = 30;
+
+// Expiry date already warned about, per customer
+const EXPIRY_WARNING_KEY = 'trashdrop_points_expiry_warned';
+
+/**
+ * Benefit lines for a loyalty tier, e.g. ['50% off the request fee', 'Priority collector matching']
+ * @param {Object} tier - loyalty_tiers row
+ * @returns {Array<string>}
+ */
+export const describeTierBenefits = (tier) => {
+  const benefits = [];
+  const feeDiscount = Number(tier?.request_fee_discount) || 0;
+  if (feeDiscount >= 1) {
+    benefits.push('No request fee');
+  } else if (feeDiscount > 0) {
+    benefits.push(`${Math.round(feeDiscount * 100)}% off the request fee`);
+  }
+  if (tier?.priority_matching) {
+    benefits.push('Priority collector matching');
+  }
+  return benefits;
+};
+
+/**
+ * Current and next loyalty tier for a customer's stats. Tiers need both their lifetime
+ * points and completed pickups thresholds, like get_user_tier in the database.
+ * @param {Array} tiers - loyalty_tiers rows
+ * @param {Object} stats - userService.getUserStats data (lifetimePoints, completedPickups)
+ * @returns {{tier: Object|null, nextTier: Object|null, pointsToNext: number, pickupsToNext: number}}
+ */
+export const resolveTier = (tiers, stats) => {
+  const lifetimePoints = Number(stats?.lifetimePoints) || 0;
+  const completedPickups = Number(stats?.completedPickups) || 0;
+  const ordered = [...(tiers || [])].sort((a, b) => a.rank - b.rank);
+  const reached = ordered.filter((tier) =>
+    lifetimePoints >= tier.min_lifetime_points && completedPickups >= tier.min_completed_pickups
+  );
+  const tier = reached[reached.length - 1] || null;
+  const nextTier = ordered.find((candidate) => !tier || candidate.rank > tier.rank) || null;
+
+  return {
+    tier,
+    nextTier,
+    pointsToNext: nextTier ? Math.max(0, nextTier.min_lifetime_points - lifetimePoints) : 0,
+    pickupsToNext: nextTier ? Math.max(0, nextTier.min_completed_pickups - completedPickups) : 0
+  };
+};
+
+export const pointsService = {
+  /**
+   * Current points balance
+   * @param {string} userId - User ID
+   * @returns {Promise<{data: number, error: Object|null}>}
+   */
+  async getBalance(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const { data, error } = await supabase.rpc('get_user_points_balance', { p_user_id: userId });
+
+      if (error) throw error;
+
+      return { data: Number(data) || 0, error: null };
+    } catch (error) {
+      console.error('[PointsService] Error fetching balance:', error);
+      return {
+        data: 0,
+        error: toServiceError(error, 'Failed to load points balance', 'POINTS_BALANCE_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Points earned over the customer's lifetime (earn entries only), used for tiers
+   * @param {string} userId - User ID
+   * @returns {Promise<{data: number, error: Object|null}>}
+   */
+  async getLifetimePoints(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const { data, error } = await supabase.rpc('get_user_lifetime_points', { p_user_id: userId });
+
+      if (error) throw error;
+
+      return { data: Number(data) || 0, error: null };
+    } catch (error) {
+      console.error('[PointsService] Error fetching lifetime points:', error);
+      return {
+        data: 0,
+        error: toServiceError(error, 'Failed to load lifetime points', 'LIFETIME_POINTS_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Loyalty tiers, lowest first
+   * @returns {Promise<{data: Array, error: Object|null}>}
+   */
+  async getTiers() {
+    try {
+      const { data, error } = await supabase
+        .from('loyalty_tiers')
+        .select('code, name, rank, min_lifetime_points, min_completed_pickups, request_fee_discount, priority_matching')
+        .order('rank', { ascending: true });
+
+      if (error) throw error;
+
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('[PointsService] Error fetching loyalty tiers:', error);
+      return {
+        data: [],
+        error: toServiceError(error, 'Failed to load loyalty tiers', 'LOYALTY_TIERS_ERROR')
+      };
+    }
+  },
+
+  /**
+   * The customer's current loyalty tier, as the server prices it
+   * @param {string} userId - User ID
+   * @returns {Promise<{data: Object|null, error: Object|null}>} null below the lowest tier
+   */
+  async getTier(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const { data, error } = await supabase.rpc('get_user_tier', { p_user_id: userId });
+
+      if (error) throw error;
+
+      // A NULL composite comes back as a row of nulls
+      const tier = Array.isArray(data) ? data[0] : data;
+      return { data: tier?.code ? tier : null, error: null };
+    } catch (error) {
+      console.error('[PointsService] Error fetching loyalty tier:', error);
+      return {
+        data: null,
+        error: toServiceError(error, 'Failed to load loyalty tier', 'LOYALTY_TIER_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Points due to expire within the next few days
+   * @param {string} userId - User ID
+   * @param {number} withinDays - Look-ahead in days
+   * @returns {Promise<{data: {points: number, expiresAt: string}|null, error: Object|null}>}
+   *   null when nothing expires in that window
+   */
+  async getExpiringPoints(userId, withinDays = POINTS_EXPIRY_WARNING_DAYS) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const { data, error } = await supabase.rpc('get_expiring_points', {
+        p_user_id: userId,
+        p_within_days: withinDays
+      });
+
+      if (error) throw error;
+
+      const row = Array.isArray(data) ? data[0] : data;
+      if (!row || !(Number(row.points) > 0)) {
+        return { data: null, error: null };
+      }
+
+      return { data: { points: Number(row.points), expiresAt: row.expires_at }, error: null };
+    } catch (error) {
+      console.error('[PointsService] Error fetching expiring points:', error);
+      return {
+        data: null,
+        error: toServiceError(error, 'Failed to load expiring points', 'EXPIRING_POINTS_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Warn the customer once about points expiring soon. Repeat calls for the same expiry
+   * date do not notify again.
+   * @param {string} userId - User ID
+   * @returns {Promise<{data: {points: number, expiresAt: string}|null, error: Object|null}>}
+   *   The expiring points, whether or not a notification was sent
+   */
+  async warnExpiringPoints(userId) {
+    const result = await this.getExpiringPoints(userId);
+    const expiring = result.data;
+    if (!expiring) return result;
+
+    const storageKey = `${EXPIRY_WARNING_KEY}_${userId}`;
+    try {
+      if (localStorage.getItem(storageKey) === expiring.expiresAt) return result;
+      localStorage.setItem(storageKey, expiring.expiresAt);
+    } catch (_) {
+      // Storage unavailable: warn anyway
+    }
+
+    await notificationService.createPointsExpiryNotification(userId, expiring.points, expiring.expiresAt);
+    return result;
+  },
+
+  /**
+   * Ledger entries, newest first, shaped for the points history list
+   * @param {string} userId - User ID
+   * @param {number} limit - Number of entries to fetch
+   * @returns {Promise<{data: Array, error: Object|null}>}
+   */
+  async getHistory(userId, limit = 10) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const { data, error } = await supabase
+        .from('points_ledger')
+        .select('id, entry_type, points, source_type, source_id, description, created_at')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      const history = (data || []).map((entry) => ({
+        id: entry.id,
+        type: entry.entry_type,
+        activity: entry.entry_type === POINTS_ENTRY_TYPES.EXPIRE
+          ? 'Points Expired'
+          : SOURCE_LABELS[entry.source_type] || 'Points',
+        details: entry.description,
+        points: entry.points,
+        sourceType: entry.source_type,
+        sourceId: entry.source_id,
+        date: new Date(entry.created_at).toLocaleDateString(),
+        timestamp: entry.created_at
+      }));
+
+      return { data: history, error: null };
+    } catch (error) {
+      console.error('[PointsService] Error fetching history:', error);
+      return {
+        data: [],
+        error: toServiceError(error, 'Failed to load points history', 'POINTS_HISTORY_ERROR')
+      };
+    }
+  }
+};
+
+export default pointsService;
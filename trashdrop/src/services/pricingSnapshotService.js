@@ -0,0 +1,164 @@
+/**
+ * Pricing Snapshot Service
+ * Keeps an offline copy of pricing_zones in IndexedDB so digital bin prices can
+ * be resolved from the local zone when the device is offline or the GPS pricing
+ * RPC is unavailable.
+ *
+ * The first sync downloads every active zone; later syncs fetch only zones
+ * changed or removed since the stored version (get_pricing_zone_changes).
+ */
+
+import supabase from '../utils/supabaseClient.js';
+import { resolvePricingZone } from '../utils/geoUtils.js';
+import {
+  savePricingZoneSnapshot,
+  getPricingZoneSnapshotMeta,
+  getCachedPricingZones
+} from '../utils/offlineStorage.js';
+
+// Bump when the stored zone shape changes; forces a full re-download
+export const SNAPSHOT_SCHEMA_VERSION = 1;
+
+// Refresh every 6 hours; check hourly and when connectivity returns
+export const SNAPSHOT_REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const SNAPSHOT_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let refreshInFlight = null;
+let zonesMemo = null; // { version, zones } - avoids re-reading IndexedDB on every lookup
+
+/**
+ * Human-readable snapshot age, e.g. "just now", "3 hours ago"
+ * @param {string} syncedAt - ISO timestamp of the last sync
+ * @param {Date} now - Reference time (default: now)
+ * @returns {string}
+ */
+export const formatSnapshotAge = (syncedAt, now = new Date()) => {
+  const minutes = Math.floor((now.getTime() - new Date(syncedAt).getTime()) / 60000);
+  if (!(minutes >= 1)) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
+export const pricingSnapshotService = {
+  /**
+   * Download zone changes since the stored snapshot version and apply them
+   * @param {Object} options
+   * @param {boolean} options.force - Ignore the stored version and download everything
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Snapshot metadata
+   */
+  async refreshSnapshot({ force = false } = {}) {
+    if (refreshInFlight) return refreshInFlight;
+
+    refreshInFlight = (async () => {
+      try {
+        const meta = await getPricingZoneSnapshotMeta();
+        const since = !force && meta?.schema_version === SNAPSHOT_SCHEMA_VERSION ? meta.version : null;
+
+        console.log('[PricingSnapshot] Refreshing', since ? `changes since ${since}` : 'full snapshot');
+        const { data, error } = await supabase.rpc('get_pricing_zone_changes', { p_since: since });
+        if (error) throw error;
+
+        const stored = await savePricingZoneSnapshot({
+          zones: data.zones || [],
+          removedIds: data.removed_ids || [],
+          full: !!data.full,
+          meta: {
+            schema_version: SNAPSHOT_SCHEMA_VERSION,
+            version: data.version,
+            synced_at: new Date().toISOString()
+          }
+        });
+        zonesMemo = null;
+
+        console.log('[PricingSnapshot] Snapshot updated:', stored.zone_count, 'zones,', (data.zones || []).length, 'changed,', (data.removed_ids || []).length, 'removed');
+        return { data: stored, error: null };
+      } catch (error) {
+        console.error('[PricingSnapshot] Error refreshing snapshot:', error);
+        return {
+          data: null,
+          error: {
+            message: error.message || 'Failed to refresh pricing snapshot',
+            code: error.code || 'SNAPSHOT_REFRESH_ERROR'
+          }
+        };
+      } finally {
+        refreshInFlight = null;
+      }
+    })();
+
+    return refreshInFlight;
+  },
+
+  /**
+   * Refresh only if the snapshot is missing, outdated or older than the refresh interval
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<{data: Object|null, error: Object|null}>}
+   */
+  async refreshIfDue(now = new Date()) {
+    try {
+      const meta = await getPricingZoneSnapshotMeta();
+      const due = !meta ||
+        meta.schema_version !== SNAPSHOT_SCHEMA_VERSION ||
+        now.getTime() - new Date(meta.synced_at).getTime() >= SNAPSHOT_REFRESH_INTERVAL_MS;
+      if (!due) return { data: meta, error: null };
+    } catch (error) {
+      console.warn('[PricingSnapshot] Could not read snapshot metadata:', error);
+    }
+    return this.refreshSnapshot();
+  },
+
+  /**
+   * Start background refreshes: now (if due), hourly, and whenever the device comes back online
+   * @returns {Function} Stop function
+   */
+  startScheduledRefresh() {
+    const check = () => {
+      if (navigator.onLine) this.refreshIfDue();
+    };
+    check();
+    const intervalId = setInterval(check, SNAPSHOT_CHECK_INTERVAL_MS);
+    window.addEventListener('online', check);
+
+    return () => {
+      clearInterval(intervalId);
+      window.removeEventListener('online', check);
+    };
+  },
+
+  /**
+   * Resolve the pricing zone for a location from the offline snapshot
+   * Same rules as find_pricing_zone: containing boundary first, else nearest centre in range.
+   * @param {number} latitude - GPS latitude
+   * @param {number} longitude - GPS longitude
+   * @param {number} maxDistanceKm - Range for the nearest-centre fallback
+   * @returns {Promise<Object|null>} Zone (with from_snapshot and snapshot_synced_at) or null
+   */
+  async resolveZone(latitude, longitude, maxDistanceKm) {
+    try {
+      const meta = await getPricingZoneSnapshotMeta();
+      if (!meta) return null;
+
+      if (!zonesMemo || zonesMemo.version !== meta.version) {
+        zonesMemo = { version: meta.version, zones: await getCachedPricingZones() };
+      }
+
+      const zone = resolvePricingZone(zonesMemo.zones, latitude, longitude, maxDistanceKm);
+      if (!zone) return null;
+
+      return {
+        ...zone,
+        zone_id: zone.id,
+        from_snapshot: true,
+        snapshot_synced_at: meta.synced_at
+      };
+    } catch (error) {
+      console.error('[PricingSnapshot] Error resolving zone from snapshot:', error);
+      return null;
+    }
+  }
+};
+
+export default pricingSnapshotService;
@@ -0,0 +1,244 @@
+/**
+ * Promo and referral service
+ * Validates and redeems promo codes and manages the per-profile referral code.
+ * Discount amounts are computed by costCalculator (client estimates) and the
+ * digital-bin-quote function (billed price); this service only talks to the database.
+ */
+
+import supabase from '../utils/supabaseClient.js';
+
+/**
+ * Service types a promo code can be restricted to
+ */
+export const PROMO_SERVICE_TYPES = {
+  DIGITAL_BIN: 'digital_bin',
+  PICKUP: 'pickup'
+};
+
+/**
+ * Normalise user input to the stored code format
+ * @param {string} code - Code as typed by the user
+ * @returns {string} Upper-cased, trimmed code
+ */
+export const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Describe a promo in a short user-facing phrase
+ * @param {Object} promo - Promo returned by validatePromoCode
+ * @returns {string} e.g. "10% off", "GH₵ 5.00 off", "Free request fee"
+ */
+export const describePromo = (promo) => {
+  if (!promo) return '';
+  const value = parseFloat(promo.discount_value) || 0;
+  switch (promo.discount_type) {
+    case 'percent':
+      return `${+value.toFixed(2)}% off`;
+    case 'fixed':
+      return `GH₵ ${value.toFixed(2)} off`;
+    case 'free_request_fee':
+      return 'Free request fee';
+    default:
+      return promo.description || '';
+  }
+};
+
+export const promoService = {
+  /**
+   * Check that a promo code can be used by the current user
+   * @param {string} code - Promo code
+   * @param {string} serviceType - 'digital_bin' or 'pickup'
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Promo details when valid
+   */
+  async validatePromoCode(code, serviceType = PROMO_SERVICE_TYPES.DIGITAL_BIN) {
+    try {
+      const normalized = normalizePromoCode(code);
+      if (!normalized) {
+        throw Object.assign(new Error('Enter a promo code'), { code: 'PROMO_REQUIRED' });
+      }
+
+      console.log('[PromoService] Validating promo code:', normalized, serviceType);
+
+      const { data, error } = await supabase.rpc('validate_promo_code', {
+        p_code: normalized,
+        p_service_type: serviceType
+      });
+
+      if (error) throw error;
+
+      const promo = Array.isArray(data) ? data[0] : data;
+      if (!promo) {
+        throw Object.assign(new Error('Promo code not recognised'), { code: 'INVALID_PROMO' });
+      }
+
+      return { data: promo, error: null };
+    } catch (error) {
+      console.error('[PromoService] Error validating promo code:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to validate promo code',
+          code: error.code || 'INVALID_PROMO'
+        }
+      };
+    }
+  },
+
+  /**
+   * Record a promo redemption against a pickup. The server prices the discount from the
+   * promo and the pickup's stored fee. Use status 'reserved' when the pickup is requested;
+   * applying at payment converts that reservation. Digital bin promos are redeemed from
+   * their quote when the bin is created.
+   * @param {Object} params - Redemption parameters
+   * @param {string} params.code - Promo code
+   * @param {string} params.serviceType - 'pickup'
+   * @param {string} params.requestId - Pickup request ID when reserving, scheduled pickup ID when applying
+   * @param {string} params.status - 'reserved' or 'applied'
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Redemption record
+   */
+  async redeemPromoCode({ code, serviceType, requestId, status = 'applied' }) {
+    try {
+      console.log('[PromoService] Redeeming promo code:', normalizePromoCode(code), status, requestId);
+
+      const { data, error } = await supabase.rpc('redeem_promo_code', {
+        p_code: normalizePromoCode(code),
+        p_service_type: serviceType,
+        p_request_id: requestId,
+        p_status: status
+      });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('[PromoService] Error redeeming promo code:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to redeem promo code',
+          code: error.code || 'PROMO_REDEEM_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Get the user's own referral code
+   * @param {string} userId - User ID
+   * @returns {Promise<{data: string|null, error: Object|null}>}
+   */
+  async getReferralCode(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const { data, error } = await supabase
+        .from('profiles')
+        .select('referral_code')
+        .eq('id', userId)
+        .single();
+
+      if (error) throw error;
+
+      return { data: data?.referral_code || null, error: null };
+    } catch (error) {
+      console.error('[PromoService] Error fetching referral code:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to fetch referral code',
+          code: error.code || 'REFERRAL_FETCH_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Apply a friend's referral code to the current user
+   * Both parties are credited after this user's first completed request.
+   * @param {string} code - Referral code
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Referral record
+   */
+  async applyReferralCode(code) {
+    try {
+      const normalized = normalizePromoCode(code);
+      if (!normalized) {
+        throw Object.assign(new Error('Enter a referral code'), { code: 'REFERRAL_REQUIRED' });
+      }
+
+      const { data, error } = await supabase.rpc('apply_referral_code', { p_code: normalized });
+
+      if (error) throw error;
+
+      console.log('[PromoService] Referral code applied:', normalized);
+      return { data, error: null };
+    } catch (error) {
+      console.error('[PromoService] Error applying referral code:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to apply referral code',
+          code: error.code || 'REFERRAL_APPLY_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Get referrals the user is part of (as referrer or referee)
+   * @param {string} userId - User ID
+   * @returns {Promise<{data: Array, error: Object|null}>}
+   */
+  async getReferrals(userId) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const { data, error } = await supabase
+        .from('referrals')
+        .select('id, referrer_id, referee_id, status, referrer_credit, referee_credit, created_at, credited_at')
+        .or(`referrer_id.eq.${userId},referee_id.eq.${userId}`)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('[PromoService] Error fetching referrals:', error);
+      return {
+        data: [],
+        error: {
+          message: error.message || 'Failed to fetch referrals',
+          code: error.code || 'REFERRAL_FETCH_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Get unspent referral credit
+   * @param {string} userId - User ID
+   * @returns {Promise<{data: number, error: Object|null}>} Balance in GHS
+   */
+  async getReferralCreditBalance(userId) {
+    try {
+      const { data, error } = await supabase.rpc('get_referral_credit_balance', { p_user_id: userId });
+
+      if (error) throw error;
+
+      return { data: parseFloat(data) || 0, error: null };
+    } catch (error) {
+      console.error('[PromoService] Error fetching referral credit:', error);
+      return {
+        data: 0,
+        error: {
+          message: error.message || 'Failed to fetch referral credit',
+          code: error.code || 'REFERRAL_CREDIT_ERROR'
+        }
+      };
+    }
+  }
+};
+
+export default promoService;
@@ -0,0 +1,107 @@
+/**
+ * Quote service for server-authoritative digital bin pricing
+ * Requests signed quotes from the digital-bin-quote Netlify function.
+ * Bins must be inserted with the returned quote_id and signature; the database
+ * verifies the signature and copies fee and collector payouts from the quote.
+ */
+
+import supabase from '../utils/supabaseClient.js';
+
+// Base URL for serverless functions. Use direct connection in development to bypass proxy issues
+const FUNCTIONS_BASE = process.env.NODE_ENV === 'development'
+  ? 'http://localhost:9999/.netlify/functions'
+  : (process.env.REACT_APP_FUNCTIONS_URL || '/.netlify/functions').replace(/\/$/, '');
+
+const QUOTE_TIMEOUT_MS = 10000;
+
+export const quoteService = {
+  /**
+   * Request a signed price quote for a digital bin
+   * @param {Object} params - Service description
+   * @param {number} params.bin_size_liters - Size of bin in liters
+   * @param {number} params.bag_count - Number of bins
+   * @param {boolean} params.is_urgent - Whether request is urgent
+   * @param {string} params.frequency - Service frequency
+   * @param {string} params.waste_type - Type of waste
+   * @param {number} params.latitude - GPS latitude (optional)
+   * @param {number} params.longitude - GPS longitude (optional)
+   * @param {string} params.promo_code - Promo code to apply (optional; error code INVALID_PROMO when rejected)
+   * @returns {Promise<{data: {quote_id, signature, expires_at, breakdown}|null, error: Object|null}>}
+   */
+  async requestQuote({
+    bin_size_liters,
+    bag_count = 1,
+    is_urgent = false,
+    frequency = 'weekly',
+    waste_type = 'general',
+    latitude = null,
+    longitude = null,
+    promo_code = null
+  }) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), QUOTE_TIMEOUT_MS);
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session?.access_token) {
+        return { data: null, error: { message: 'Please sign in to get a price quote', code: 'UNAUTHORIZED' } };
+      }
+
+      console.log('[QuoteService] Requesting quote:', { bin_size_liters, bag_count, is_urgent, frequency });
+
+      const response = await fetch(`${FUNCTIONS_BASE}/digital-bin-quote`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({
+          bin_size_liters,
+          bag_count,
+          is_urgent: !!is_urgent,
+          frequency,
+          waste_type,
+          latitude: latitude ?? null,
+          longitude: longitude ?? null,
+          promo_code: promo_code || null
+        }),
+        signal: controller.signal
+      });
+
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok || !payload?.data?.quote_id) {
+        throw Object.assign(new Error(payload?.error || `Quote request failed (HTTP ${response.status})`), {
+          code: payload?.code || 'QUOTE_ERROR'
+        });
+      }
+
+      console.log('[QuoteService] Received quote:', payload.data.quote_id, 'total', payload.data.breakdown?.total);
+      return { data: payload.data, error: null };
+    } catch (error) {
+      console.error('[QuoteService] Error requesting quote:', error);
+      return {
+        data: null,
+        error: {
+          message: error.name === 'AbortError' ? 'Price quote timed out' : (error.message || 'Failed to get price quote'),
+          code: error.name === 'AbortError' ? 'TIMEOUT' : (error.code || 'QUOTE_ERROR')
+        }
+      };
+    } finally {
+      clearTimeout(timeout);
+    }
+  },
+
+  /**
+   * Whether a quote is still usable for bin creation
+   * @param {Object} quote - Quote returned by requestQuote
+   * @param {Date} now - Reference time (default: now)
+   * @returns {boolean}
+   */
+  isQuoteValid(quote, now = new Date()) {
+    if (!quote?.quote_id || !quote?.expires_at) return false;
+    return new Date(quote.expires_at).getTime() > now.getTime();
+  }
+};
+
+export default quoteService;
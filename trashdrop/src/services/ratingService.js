@@ -0,0 +1,79 @@
+/**
+ * Rating service
+ * Customers rate the collector of each collected pickup once (1-5 stars and an optional
+ * review). Each collector's score on collector_profiles is kept up to date by the
+ * database: rating is the average of their 100 most recent ratings, rating_count the total.
+ */
+
+import supabase from '../utils/supabaseClient.js';
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+/**
+ * Where the rated collection lives
+ */
+export const RATING_REQUEST_TYPES = {
+  PICKUP_REQUEST: 'pickup_request',
+  SCHEDULED_PICKUP: 'scheduled_pickup',
+  DIGITAL_BIN: 'digital_bin'
+};
+
+const toServiceError = (error, message, code) => ({
+  message: error.message || message,
+  code: error.hint || error.code || code
+});
+
+/**
+ * Short label for a collector's score, e.g. "4.8 (23 ratings)" or "New collector"
+ * @param {Object} collector - Collector profile with rating and rating_count
+ * @returns {string}
+ */
+export const formatCollectorRating = (collector) => {
+  const count = Number(collector?.rating_count) || 0;
+  if (count === 0) return 'New collector';
+  return `${Number(collector.rating).toFixed(1)} (${count} rating${count === 1 ? '' : 's'})`;
+};
+
+export const ratingService = {
+  /**
+   * Rate the collector of a collected pickup
+   * @param {Object} rating
+   * @param {string} rating.requestType - RATING_REQUEST_TYPES value
+   * @param {string} rating.requestId - Pickup or digital bin ID
+   * @param {number} rating.rating - Stars, MIN_RATING to MAX_RATING
+   * @param {string} rating.review - Review text (optional)
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Stored rating
+   */
+  async submitRating({ requestType, requestId, rating, review = '' }) {
+    try {
+      if (!requestId) {
+        throw new Error('Pickup ID is required');
+      }
+      if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+        throw Object.assign(new Error(`Choose between ${MIN_RATING} and ${MAX_RATING} stars`), { code: 'INVALID_RATING' });
+      }
+
+      console.log('[RatingService] Rating collector:', requestType, requestId, rating);
+
+      const { data, error } = await supabase.rpc('submit_collector_rating', {
+        p_request_type: requestType,
+        p_request_id: requestId,
+        p_rating: rating,
+        p_review: review?.trim() || null
+      });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('[RatingService] Error submitting rating:', error);
+      return {
+        data: null,
+        error: toServiceError(error, 'Failed to submit rating', 'RATING_ERROR')
+      };
+    }
+  }
+};
+
+export default ratingService;
@@ -0,0 +1,175 @@
+/**
+ * Receipt service
+ * Loads a completed digital bin pickup with its stored quote breakdown, or a
+ * completed pickup request, with its collector and downloads the itemised
+ * receipt (utils/receiptGenerator.js).
+ */
+
+import { saveAs } from 'file-saver';
+import supabase from '../utils/supabaseClient.js';
+import { statusService } from './statusService.js';
+import {
+  buildReceipt,
+  buildPickupRequestReceipt,
+  receiptToHtml,
+  receiptToPdf,
+  getReceiptFileName
+} from '../utils/receiptGenerator.js';
+
+/**
+ * Receipt download formats
+ */
+export const RECEIPT_FORMATS = {
+  PDF: 'pdf',
+  HTML: 'html'
+};
+
+/**
+ * Pickup types that have receipts
+ */
+export const RECEIPT_REQUEST_TYPES = {
+  DIGITAL_BIN: 'digital_bin',
+  PICKUP_REQUEST: 'pickup_request'
+};
+
+const COLLECTOR_COLUMNS = 'user_id, first_name, last_name, vehicle_type, vehicle_plate';
+
+const loadCollector = (collectorId) => (collectorId
+  ? supabase.from('collector_profiles').select(COLLECTOR_COLUMNS).eq('user_id', collectorId).maybeSingle()
+  : Promise.resolve({ data: null, error: null }));
+
+export const receiptService = {
+  /**
+   * Whether a pickup in this status has a receipt
+   * @param {string} status - Pickup or digital bin status
+   * @returns {boolean}
+   */
+  isReceiptAvailable(status) {
+    return statusService.getAvailableActions(statusService.resolveStatus(status)).includes('receipt');
+  },
+
+  /**
+   * Build the receipt for a completed pickup
+   * @param {string} requestId - digital_bins or pickup_requests ID
+   * @param {string} requestType - RECEIPT_REQUEST_TYPES value
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Receipt from buildReceipt
+   */
+  async getReceipt(requestId, requestType = RECEIPT_REQUEST_TYPES.DIGITAL_BIN) {
+    try {
+      if (!requestId) {
+        throw new Error('Pickup ID is required');
+      }
+
+      console.log(`[ReceiptService] Building receipt for ${requestType}:`, requestId);
+
+      const receipt = requestType === RECEIPT_REQUEST_TYPES.PICKUP_REQUEST
+        ? await this.buildPickupRequestReceipt(requestId)
+        : await this.buildDigitalBinReceipt(requestId);
+
+      return { data: receipt, error: null };
+    } catch (error) {
+      console.error('[ReceiptService] Error building receipt:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to load receipt',
+          code: error.code || 'RECEIPT_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Throw unless the loaded pickup exists and is completed
+   * @param {Object|null} row - digital_bins or pickup_requests row
+   */
+  assertReceiptAvailable(row) {
+    if (!row) {
+      throw Object.assign(new Error('Pickup not found'), { code: 'NOT_FOUND' });
+    }
+    if (!this.isReceiptAvailable(row.status)) {
+      throw Object.assign(new Error('A receipt is available once the pickup is completed'), { code: 'RECEIPT_UNAVAILABLE' });
+    }
+  },
+
+  /**
+   * Receipt for a digital bin, itemised from its stored quote
+   * @param {string} binId - digital_bins ID
+   * @returns {Promise<Object>}
+   */
+  async buildDigitalBinReceipt(binId) {
+    const { data: bin, error: binError } = await supabase
+      .from('digital_bins')
+      .select('*, bin_locations:location_id(location_name, address)')
+      .eq('id', binId)
+      .maybeSingle();
+
+    if (binError) throw binError;
+    this.assertReceiptAvailable(bin);
+
+    const [quoteResult, collectorResult] = await Promise.all([
+      bin.quote_id
+        ? supabase.from('digital_bin_quotes_client').select('breakdown').eq('id', bin.quote_id).maybeSingle()
+        : Promise.resolve({ data: null, error: null }),
+      loadCollector(bin.collector_id)
+    ]);
+
+    if (quoteResult.error) {
+      console.warn('[ReceiptService] Quote breakdown unavailable, using stored totals:', quoteResult.error);
+    }
+    if (collectorResult.error) {
+      console.warn('[ReceiptService] Collector details unavailable:', collectorResult.error);
+    }
+
+    return buildReceipt({
+      bin,
+      breakdown: quoteResult.data?.breakdown || null,
+      collector: collectorResult.data || null,
+      location: bin.bin_locations || null
+    });
+  },
+
+  /**
+   * Receipt for a pickup request, which only carries its fee
+   * @param {string} pickupId - pickup_requests ID
+   * @returns {Promise<Object>}
+   */
+  async buildPickupRequestReceipt(pickupId) {
+    const { data: pickup, error: pickupError } = await supabase
+      .from('pickup_requests')
+      .select('id, user_id, status, fee, collector_id, waste_type, bag_count, address, picked_up_at, disposed_at, created_at, updated_at')
+      .eq('id', pickupId)
+      .maybeSingle();
+
+    if (pickupError) throw pickupError;
+    this.assertReceiptAvailable(pickup);
+
+    const collectorResult = await loadCollector(pickup.collector_id);
+    if (collectorResult.error) {
+      console.warn('[ReceiptService] Collector details unavailable:', collectorResult.error);
+    }
+
+    return buildPickupRequestReceipt({ pickup, collector: collectorResult.data || null });
+  },
+
+  /**
+   * Download the receipt for a completed pickup
+   * @param {string} requestId - digital_bins or pickup_requests ID
+   * @param {string} format - RECEIPT_FORMATS value
+   * @param {string} requestType - RECEIPT_REQUEST_TYPES value
+   * @returns {Promise<{data: Object|null, error: Object|null}>} The receipt that was saved
+   */
+  async downloadReceipt(requestId, format = RECEIPT_FORMATS.PDF, requestType = RECEIPT_REQUEST_TYPES.DIGITAL_BIN) {
+    const { data: receipt, error } = await this.getReceipt(requestId, requestType);
+    if (error) return { data: null, error };
+
+    const blob = format === RECEIPT_FORMATS.HTML
+      ? new Blob([receiptToHtml(receipt)], { type: 'text/html;charset=utf-8' })
+      : new Blob([receiptToPdf(receipt)], { type: 'application/pdf' });
+    saveAs(blob, getReceiptFileName(receipt, format));
+
+    return { data: receipt, error: null };
+  }
+};
+
+export default receiptService;
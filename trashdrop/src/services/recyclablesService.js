@@ -0,0 +1,153 @@
+/**
+ * Recyclables service
+ * Collectors weigh recyclables by material when completing a pickup. The database values
+ * them at the recyclable_materials price per kg and splits the value 60/25/15 between
+ * the collector, the household and the platform (record_recyclables). The shares are paid
+ * once an operator or the buyer confirms the material; the household share arrives as
+ * wallet credit or points, per the customer's preference. The split here is only an
+ * estimate for the collector's screen.
+ */
+
+import supabase from '../utils/supabaseClient.js';
+
+/**
+ * Shares of the recyclables value, mirrored by record_recyclables
+ */
+export const RECYCLABLES_SPLIT = {
+  COLLECTOR: 0.6,
+  HOUSEHOLD: 0.25,
+  PLATFORM: 0.15
+};
+
+/**
+ * Most recyclables one pickup can record, across all materials (recyclables_max_weight_kg)
+ */
+export const RECYCLABLES_MAX_WEIGHT_KG = 100;
+
+/**
+ * Points per cedi when the household share is taken as points
+ */
+export const RECYCLABLES_POINTS_PER_CEDI = 10;
+
+/**
+ * How the household share can be credited (profiles.recyclables_credit_type)
+ */
+export const RECYCLABLES_CREDIT_TYPES = {
+  WALLET: 'wallet',
+  POINTS: 'points'
+};
+
+const roundCurrency = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+const toServiceError = (error, message, code) => ({
+  message: error.message || message,
+  code: error.hint || error.code || code
+});
+
+/**
+ * Value weighed recyclables and split the value like record_recyclables: collector and
+ * household shares are rounded to the pesewa and the platform keeps the remainder
+ * @param {Object} weights - Weight in kg by material code; empty or zero weights are skipped
+ * @param {Array} materials - recyclable_materials rows
+ * @returns {{items: Array, totalWeight: number, totalValue: number, collectorShare: number,
+ *   householdShare: number, platformShare: number, householdPoints: number}}
+ */
+export const splitRecyclablesValue = (weights, materials) => {
+  const prices = new Map((materials || []).map((material) => [material.code, Number(material.price_per_kg) || 0]));
+  const items = Object.entries(weights || {})
+    .map(([material, weight]) => ({ material, weightKg: roundCurrency(weight) }))
+    .filter((item) => item.weightKg > 0 && prices.has(item.material))
+    .map((item) => ({ ...item, value: roundCurrency(item.weightKg * prices.get(item.material)) }));
+
+  const totalValue = roundCurrency(items.reduce((sum, item) => sum + item.value, 0));
+  const collectorShare = roundCurrency(totalValue * RECYCLABLES_SPLIT.COLLECTOR);
+  const householdShare = roundCurrency(totalValue * RECYCLABLES_SPLIT.HOUSEHOLD);
+
+  return {
+    items,
+    totalWeight: roundCurrency(items.reduce((sum, item) => sum + item.weightKg, 0)),
+    totalValue,
+    collectorShare,
+    householdShare,
+    platformShare: roundCurrency(totalValue - collectorShare - householdShare),
+    householdPoints: Math.floor(householdShare * RECYCLABLES_POINTS_PER_CEDI)
+  };
+};
+
+export const recyclablesService = {
+  /**
+   * Active recyclable materials and their prices, in display order
+   * @returns {Promise<{data: Array, error: Object|null}>}
+   */
+  async getMaterials() {
+    try {
+      const { data, error } = await supabase
+        .from('recyclable_materials')
+        .select('code, name, price_per_kg')
+        .eq('active', true)
+        .order('sort_order', { ascending: true });
+
+      if (error) throw error;
+
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('[RecyclablesService] Error fetching materials:', error);
+      return {
+        data: [],
+        error: toServiceError(error, 'Failed to load recyclable materials', 'RECYCLABLE_MATERIALS_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Record the recyclables weighed at a collected pickup. The split is held as pending
+   * until confirmed. Only the pickup's collector can record them, once per pickup
+   * (ALREADY_RECORDED otherwise), up to RECYCLABLES_MAX_WEIGHT_KG (WEIGHT_LIMIT).
+   * @param {Object} params
+   * @param {string} params.requestType - 'scheduled_pickup', 'pickup_request' or 'digital_bin'
+   * @param {string} params.requestId - Pickup ID
+   * @param {Object} params.weights - Weight in kg by material code
+   * @returns {Promise<{data: Object|null, error: Object|null}>} recyclable_collections row
+   */
+  async recordRecyclables({ requestType, requestId, weights }) {
+    try {
+      if (!requestId) {
+        throw new Error('Pickup ID is required');
+      }
+
+      const items = Object.entries(weights || {})
+        .map(([material, weight]) => ({ material, weight_kg: roundCurrency(weight) }))
+        .filter((item) => item.weight_kg > 0);
+
+      if (items.length === 0) {
+        return { data: null, error: null };
+      }
+
+      const totalWeight = items.reduce((sum, item) => sum + item.weight_kg, 0);
+      if (totalWeight > RECYCLABLES_MAX_WEIGHT_KG) {
+        throw Object.assign(
+          new Error(`Recyclables are limited to ${RECYCLABLES_MAX_WEIGHT_KG} kg per pickup`),
+          { code: 'WEIGHT_LIMIT' }
+        );
+      }
+
+      const { data, error } = await supabase.rpc('record_recyclables', {
+        p_request_type: requestType,
+        p_request_id: requestId,
+        p_items: items
+      });
+
+      if (error) throw error;
+
+      return { data: Array.isArray(data) ? data[0] : data, error: null };
+    } catch (error) {
+      console.error('[RecyclablesService] Error recording recyclables:', error);
+      return {
+        data: null,
+        error: toServiceError(error, 'Failed to record recyclables', 'RECYCLABLES_RECORD_ERROR')
+      };
+    }
+  }
+};
+
+export default recyclablesService;
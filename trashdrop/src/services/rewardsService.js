@@ -3,6 +3,7 @@
  * Replaces rewards mock data with real Supabase queries
  */
 
+import QRCode from 'qrcode';
 import supabase from '../utils/supabaseClient.js';
 
 export const rewardsService = {
@@ -55,18 +56,18 @@ export const rewardsService = {
       console.log('[RewardsService] Fetching redemption history for:', userId);
 
       const { data, error } = await supabase
-        .from('reward_redemptions')
+        .from('rewards_redemption')
         .select(`
           *,
           rewards (
             name,
             description,
-            points_required,
+            points_cost,
             category
           )
         `)
         .eq('user_id', userId)
-        .order('redemption_date', { ascending: false })
+        .order('created_at', { ascending: false })
         .limit(limit);
 
       if (error) {
@@ -79,9 +80,11 @@ export const rewardsService = {
         reward_id: redemption.reward_id,
         reward_name: redemption.rewards?.name || 'Unknown Reward',
         reward_description: redemption.rewards?.description || '',
-        points_used: redemption.points_used,
+        points_used: redemption.points_spent,
         status: redemption.status,
-        redemption_date: redemption.redemption_date,
+        voucher_code: redemption.voucher_code || null,
+        voucher_expires_at: redemption.voucher_expires_at || null,
+        redemption_date: redemption.created_at,
         created_at: redemption.created_at
       })) || [];
 
@@ -101,12 +104,14 @@ export const rewardsService = {
   },
 
   /**
-   * Redeem a reward for a user
-   * @param {string} userId - User ID
+   * Redeem a reward for a user. Stock, per-user caps and the points balance are checked
+   * and the voucher issued in one database transaction (redeem_reward).
+   * @param {string} userId - User ID (must be the signed-in user)
    * @param {string} rewardId - Reward ID
-   * @returns {Object} Redemption record
+   * @param {string} idempotencyKey - Reused on retries so a double tap redeems once (optional)
+   * @returns {Object} Redemption record with voucher_code and voucher_expires_at
    */
-  async redeemReward(userId, rewardId) {
+  async redeemReward(userId, rewardId, idempotencyKey = null) {
     try {
       if (!userId || !rewardId) {
         throw new Error('User ID and Reward ID are required');
@@ -114,85 +119,14 @@ export const rewardsService = {
 
       console.log('[RewardsService] Processing reward redemption:', { userId, rewardId });
 
-      // First, get the reward details
-      const { data: reward, error: rewardError } = await supabase
-        .from('rewards')
-        .select('*')
-        .eq('id', rewardId)
-        .single();
-
-      if (rewardError) {
-        console.error('[RewardsService] Error fetching reward details:', rewardError);
-        throw rewardError;
-      }
-
-      if (!reward) {
-        throw new Error('Reward not found');
-      }
-
-      // Check if reward is still active
-      if (!reward.is_active) {
-        throw new Error('Reward is no longer available');
-      }
-
-      // Get user's current points
-      const { data: profile, error: profileError } = await supabase
-        .from('profiles')
-        .select('points')
-        .eq('id', userId)
-        .single();
-
-      if (profileError) {
-        console.error('[RewardsService] Error fetching user profile:', profileError);
-        throw profileError;
-      }
+      const { data: redemption, error } = await supabase.rpc('redeem_reward', {
+        p_reward_id: rewardId,
+        p_idempotency_key: idempotencyKey
+      });
 
-      const userPoints = profile?.points || 0;
-
-      // Check if user has enough points
-      if (userPoints < reward.points_required) {
-        throw new Error(`Insufficient points. Required: ${reward.points_required}, Available: ${userPoints}`);
-      }
-
-      // Create redemption record
-      const redemptionData = {
-        user_id: userId,
-        reward_id: rewardId,
-        points_used: reward.points_required,
-        status: 'pending',
-        redemption_date: new Date().toISOString(),
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-
-      const { data: redemption, error: redemptionError } = await supabase
-        .from('reward_redemptions')
-        .insert(redemptionData)
-        .select()
-        .single();
-
-      if (redemptionError) {
-        console.error('[RewardsService] Error creating redemption record:', redemptionError);
-        throw redemptionError;
-      }
-
-      // Deduct points from user profile
-      const { error: pointsError } = await supabase
-        .from('profiles')
-        .update({
-          points: userPoints - reward.points_required,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', userId);
-
-      if (pointsError) {
-        console.error('[RewardsService] Error deducting points:', pointsError);
-        // Try to rollback redemption record
-        await supabase
-          .from('reward_redemptions')
-          .delete()
-          .eq('id', redemption.id);
-        throw pointsError;
+      if (error) {
+        console.error('[RewardsService] Error redeeming reward:', error);
+        throw error;
       }
 
       console.log('[RewardsService] Successfully processed reward redemption:', redemption.id);
@@ -204,12 +138,35 @@ export const rewardsService = {
         data: null, 
         error: {
           message: error.message || 'Failed to redeem reward',
-          code: error.code || 'REWARD_REDEMPTION_ERROR'
+          code: error.hint || error.code || 'REWARD_REDEMPTION_ERROR'
         }
       };
     }
   },
 
+  /**
+   * QR code image for a voucher, for partners to scan
+   * @param {string} voucherCode - Voucher code from a redemption
+   * @returns {Promise<string|null>} PNG data URL, or null if it could not be drawn
+   */
+  async getVoucherQrCode(voucherCode) {
+    if (!voucherCode) return null;
+
+    try {
+      return await QRCode.toDataURL(voucherCode, {
+        width: 200,
+        margin: 2,
+        color: {
+          dark: '#000000',
+          light: '#FFFFFF'
+        }
+      });
+    } catch (error) {
+      console.error('[RewardsService] Error generating voucher QR code:', error);
+      return null;
+    }
+  },
+
   /**
    * Get reward categories
    * @returns {Array} Array of reward categories
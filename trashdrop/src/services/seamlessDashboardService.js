@@ -126,33 +126,25 @@ class SeamlessDashboardService {
         
         const updatedStats = { ...currentStats };
         
+        // Points are left alone: the server posts them to the points ledger (pickups and
+        // bins only once collected) and the confirmation below brings the balance in
         switch (actionType) {
           case 'pickup_request':
             updatedStats.pickups = (updatedStats.pickups || 0) + 1;
             updatedStats.totalBags = Math.max(0, (updatedStats.totalBags || 0) - (actionData.bag_count || 1));
-            updatedStats.points = (updatedStats.points || 0) + (actionData.points_earned || 10);
             break;
             
           case 'qr_scan':
             updatedStats.batches = (updatedStats.batches || 0) + 1;
             updatedStats.totalBags = (updatedStats.totalBags || 0) + (actionData.bag_count || 1);
-            updatedStats.points = (updatedStats.points || 0) + (actionData.points_impact || 5);
             break;
             
           case 'dumping_report':
             updatedStats.reports = (updatedStats.reports || 0) + 1;
-            const severity = actionData.severity || 'medium';
-            const points = severity === 'high' ? 20 : severity === 'low' ? 10 : 15;
-            updatedStats.points = (updatedStats.points || 0) + points;
             break;
             
           case 'digital_bin':
             updatedStats.pickups = (updatedStats.pickups || 0) + 1;
-            updatedStats.points = (updatedStats.points || 0) + 15;
-            break;
-            
-          case 'reward_redemption':
-            updatedStats.points = Math.max(0, (updatedStats.points || 0) - (actionData.points_spent || 0));
             break;
         }
         
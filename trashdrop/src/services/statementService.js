@@ -0,0 +1,101 @@
+/**
+ * Statement service
+ * Loads a month of pickup requests and digital bins for the monthly statement
+ * (utils/statementBuilder.js) and downloads it as CSV or PDF.
+ */
+
+import { saveAs } from 'file-saver';
+import supabase from '../utils/supabaseClient.js';
+import {
+  buildMonthlyStatement,
+  getMonthRange,
+  statementToCsv,
+  statementToPdf,
+  getStatementFileName
+} from '../utils/statementBuilder.js';
+
+/**
+ * Statement export formats
+ */
+export const STATEMENT_FORMATS = {
+  CSV: 'csv',
+  PDF: 'pdf'
+};
+
+const QUERY_TIMEOUT_MS = 8000;
+
+// Same guard as the Activity page's fetches
+const withTimeout = (promise) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error('Statement fetch timeout')), QUERY_TIMEOUT_MS))
+]);
+
+export const statementService = {
+  /**
+   * Build a user's statement for one month
+   * @param {string} userId - User ID
+   * @param {string} month - "YYYY-MM"
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Statement from buildMonthlyStatement
+   */
+  async getMonthlyStatement(userId, month) {
+    try {
+      if (!userId || !/^\d{4}-\d{2}$/.test(month || '')) {
+        throw new Error('User ID and month (YYYY-MM) are required');
+      }
+
+      console.log('[StatementService] Building statement for user:', userId, month);
+
+      const { start, end } = getMonthRange(month);
+      const [pickupResult, binResult] = await Promise.all([
+        withTimeout(supabase
+          .from('pickup_requests')
+          .select('*')
+          .eq('user_id', userId)
+          .gte('created_at', start.toISOString())
+          .lt('created_at', end.toISOString())
+          .order('created_at', { ascending: true })),
+        withTimeout(supabase
+          .from('digital_bins')
+          .select('*, bin_locations:location_id(location_name, address)')
+          .eq('user_id', userId)
+          .gte('created_at', start.toISOString())
+          .lt('created_at', end.toISOString())
+          .order('created_at', { ascending: true }))
+      ]);
+
+      if (pickupResult.error) throw pickupResult.error;
+      if (binResult.error) throw binResult.error;
+
+      const statement = buildMonthlyStatement({
+        month,
+        pickups: pickupResult.data || [],
+        bins: binResult.data || []
+      });
+
+      return { data: statement, error: null };
+    } catch (error) {
+      console.error('[StatementService] Error building statement:', error);
+      return {
+        data: null,
+        error: {
+          message: error.message || 'Failed to load statement',
+          code: error.code || 'STATEMENT_ERROR'
+        }
+      };
+    }
+  },
+
+  /**
+   * Save a statement as CSV or PDF
+   * @param {Object} statement - From getMonthlyStatement
+   * @param {string} format - STATEMENT_FORMATS value
+   */
+  exportStatement(statement, format = STATEMENT_FORMATS.CSV) {
+    const blob = format === STATEMENT_FORMATS.PDF
+      ? new Blob([statementToPdf(statement)], { type: 'application/pdf' })
+      : new Blob([statementToCsv(statement)], { type: 'text/csv;charset=utf-8' });
+    saveAs(blob, getStatementFileName(statement, format));
+  }
+};
+
+export default statementService;
@@ -73,7 +73,7 @@ export const PICKUP_STATES = {
     icon: '🎉',
     next: [],
     notifications: { toast: true, alert: true, push: true },
-    actions: ['rate', 'receipt'],
+    actions: ['rate', 'receipt', 'dispute'],
     tracking: false,
     showRating: true,
     terminal: true
@@ -92,6 +92,129 @@ export const PICKUP_STATES = {
   }
 };
 
+// Statuses written by the collector app and digital bins that mean the same as a PICKUP_STATES value
+const STATUS_ALIASES = {
+  available: 'pending',
+  in_transit: 'en_route',
+  picked_up: 'completed',
+  collected: 'completed',
+  disposed: 'completed',
+  canceled: 'cancelled'
+};
+
+// Schedule-level states for recurring digital bin service
+// Kept separate from PICKUP_STATES: pausing a subscription does not change
+// the collection status of the current service.
+export const BIN_SCHEDULE_STATES = {
+  active: {
+    value: 'active',
+    display: 'Active',
+    description: 'Your digital bin is serviced on its schedule',
+    color: '#3B82F6', // blue
+    icon: '📅',
+    next: ['paused', 'cancelled'],
+    actions: ['pause', 'skip', 'cancel']
+  },
+  paused: {
+    value: 'paused',
+    display: 'Paused',
+    description: 'Service is paused until the selected date',
+    color: '#6B7280', // gray
+    icon: '⏸️',
+    next: ['active', 'cancelled'],
+    actions: ['resume', 'cancel']
+  },
+  cancelled: {
+    value: 'cancelled',
+    display: 'Cancelled',
+    description: 'This digital bin is no longer serviced',
+    color: '#EF4444', // red
+    icon: '❌',
+    next: [],
+    actions: [],
+    terminal: true
+  }
+};
+
+// Disputes raised by a customer against a completed pickup, e.g. bags that were not taken.
+// The collector accepts or contests it, and support decides on a refund or recollection.
+export const DISPUTE_STATES = {
+  open: {
+    value: 'open',
+    display: 'Submitted',
+    description: 'Waiting for the collector to respond',
+    color: '#F59E0B', // amber
+    icon: '📝',
+    next: ['under_review', 'refund_approved', 'recollection_scheduled', 'rejected', 'withdrawn'],
+    notifications: { toast: true, alert: true, push: true },
+    actions: ['withdraw']
+  },
+  under_review: {
+    value: 'under_review',
+    display: 'Under review',
+    description: 'Our support team is reviewing your report',
+    color: '#3B82F6', // blue
+    icon: '🔎',
+    next: ['refund_approved', 'recollection_scheduled', 'rejected', 'withdrawn'],
+    notifications: { toast: true, alert: true, push: true },
+    actions: ['withdraw']
+  },
+  refund_approved: {
+    value: 'refund_approved',
+    display: 'Refund approved',
+    description: 'Your refund has been approved and is on its way to your wallet',
+    color: '#10B981', // emerald
+    icon: '✅',
+    next: ['refunded'],
+    notifications: { toast: true, alert: true, push: true },
+    actions: ['claim_refund']
+  },
+  refunded: {
+    value: 'refunded',
+    display: 'Refunded',
+    description: 'The refund has been credited to your TrashDrop wallet',
+    color: '#22C55E', // green
+    icon: '💰',
+    next: [],
+    notifications: { toast: true, alert: true, push: true },
+    actions: [],
+    terminal: true
+  },
+  recollection_scheduled: {
+    value: 'recollection_scheduled',
+    display: 'Recollection scheduled',
+    description: 'A collector will return to collect the remaining waste',
+    color: '#22C55E', // green
+    icon: '🔁',
+    next: [],
+    notifications: { toast: true, alert: true, push: true },
+    actions: [],
+    terminal: true
+  },
+  rejected: {
+    value: 'rejected',
+    display: 'Not upheld',
+    description: 'After review, the collection was found to be complete',
+    color: '#EF4444', // red
+    icon: '❌',
+    next: [],
+    notifications: { toast: true, alert: true, push: true },
+    actions: [],
+    terminal: true
+  },
+  withdrawn: {
+    value: 'withdrawn',
+    display: 'Withdrawn',
+    description: 'You withdrew this report',
+    color: '#6B7280', // gray
+    icon: '↩️',
+    next: [],
+    notifications: { toast: false, alert: false, push: false },
+    actions: [],
+    terminal: true
+  }
+};
+
 /**
  * Status Service provides unified status management
  */
@@ -105,6 +228,15 @@ export const statusService = {
     return PICKUP_STATES[status] || PICKUP_STATES.pending;
   },
 
+  /**
+   * Map collector-side and digital bin statuses onto PICKUP_STATES
+   * @param {string} status - Status as stored
+   * @returns {string} PICKUP_STATES key (unknown values are returned unchanged)
+   */
+  resolveStatus(status) {
+    return STATUS_ALIASES[status] || status;
+  },
+
   /**
    * Get all available statuses in order
    * @returns {Array} Array of status configurations
@@ -277,6 +409,68 @@ export const statusService = {
     });
   },
 
+  /**
+   * Get schedule state configuration for a digital bin
+   * @param {string} scheduleStatus - Schedule status value
+   * @returns {Object} Schedule state configuration
+   */
+  getScheduleStatusConfig(scheduleStatus) {
+    return BIN_SCHEDULE_STATES[scheduleStatus] || BIN_SCHEDULE_STATES.active;
+  },
+
+  /**
+   * Validate if a schedule status transition is allowed
+   * @param {string} fromStatus - Current schedule status
+   * @param {string} toStatus - Target schedule status
+   * @returns {boolean} Whether transition is valid
+   */
+  isValidScheduleTransition(fromStatus, toStatus) {
+    const config = this.getScheduleStatusConfig(fromStatus);
+    return (config.next || []).includes(toStatus);
+  },
+
+  /**
+   * Check if a schedule action (pause, skip, resume, cancel) is allowed
+   * @param {string} scheduleStatus - Current schedule status
+   * @param {string} action - Action name
+   * @returns {boolean} Whether the action is available
+   */
+  canPerformScheduleAction(scheduleStatus, action) {
+    const config = this.getScheduleStatusConfig(scheduleStatus);
+    return (config.actions || []).includes(action);
+  },
+
+  /**
+   * Get dispute state configuration
+   * @param {string} disputeStatus - Dispute status value
+   * @returns {Object} Dispute state configuration
+   */
+  getDisputeStatusConfig(disputeStatus) {
+    return DISPUTE_STATES[disputeStatus] || DISPUTE_STATES.open;
+  },
+
+  /**
+   * Validate if a dispute status transition is allowed
+   * @param {string} fromStatus - Current dispute status
+   * @param {string} toStatus - Target dispute status
+   * @returns {boolean} Whether transition is valid
+   */
+  isValidDisputeTransition(fromStatus, toStatus) {
+    const config = this.getDisputeStatusConfig(fromStatus);
+    return (config.next || []).includes(toStatus);
+  },
+
+  /**
+   * Check if a dispute action (withdraw, claim_refund) is allowed
+   * @param {string} disputeStatus - Current dispute status
+   * @param {string} action - Action name
+   * @returns {boolean} Whether the action is available
+   */
+  canPerformDisputeAction(disputeStatus, action) {
+    const config = this.getDisputeStatusConfig(disputeStatus);
+    return (config.actions || []).includes(action);
+  },
+
   /**
    * Get recommended actions based on status and context
    * @param {string} status - Current status
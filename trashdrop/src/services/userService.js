@@ -4,6 +4,7 @@
  */
 
 import supabase from '../utils/supabaseClient.js';
+import { pointsService } from './pointsService.js';
 
 export const userService = {
   /**
@@ -60,9 +61,8 @@ export const userService = {
         console.error('[UserService] Error fetching stats:', statsError);
       }
 
-      // Count user's pickup requests and calculate total points from them
+      // Count user's pickup requests
       let pickupCount = 0;
-      let totalPointsFromPickups = 0;
       let pickupError = null;
       
       try {
@@ -72,19 +72,11 @@ export const userService = {
         
         const result = await supabase
           .from('pickup_requests')
-          .select('id, points_earned', { count: 'exact' })
-          .eq('user_id', userId);  // Get ALL pickup requests for points calculation
+          .select('id', { count: 'exact' })
+          .eq('user_id', userId);
         console.log('[UserService] Pickup requests query result:', result);
         pickupCount = result.count;
         pickupError = result.error;
-        
-        // Calculate total points from pickup requests (single source of truth)
-        if (result.data && Array.isArray(result.data)) {
-          totalPointsFromPickups = result.data.reduce((sum, pickup) => {
-            return sum + (pickup.points_earned || 0);
-          }, 0);
-          console.log(`[UserService] Calculated total points from pickup_requests: ${totalPointsFromPickups}`);
-        }
       } catch (error) {
         console.warn('[UserService] pickup_requests table query failed:', error.message);
         pickupError = error;
@@ -96,7 +88,6 @@ export const userService = {
 
       // Count user's digital bins and add to pickup count
       let digitalBinCount = 0;
-      let totalPointsFromDigitalBins = 0;
       
       try {
         console.log('[UserService] Querying digital_bins by user_id');
@@ -108,12 +99,6 @@ export const userService = {
         
         digitalBinCount = result.count || 0;
         
-        // Digital bins earn 15 points each
-        if (result.data && Array.isArray(result.data)) {
-          totalPointsFromDigitalBins = result.data.length * 15;
-          console.log(`[UserService] Calculated total points from digital_bins: ${totalPointsFromDigitalBins}`);
-        }
-        
         // Add digital bin count to pickup count for display
         pickupCount = (pickupCount || 0) + digitalBinCount;
         console.log(`[UserService] Total pickups (requests + digital bins): ${pickupCount} (${pickupCount - digitalBinCount} requests + ${digitalBinCount} bins)`);
@@ -121,31 +106,17 @@ export const userService = {
         console.warn('[UserService] digital_bins table query failed:', error.message);
       }
 
-      // Count user's dumping reports and calculate points from them
+      // Count user's dumping reports
       let reportCount = 0;
-      let totalPointsFromReports = 0;
       let reportError = null;
       
       try {
         const result = await supabase
           .from('illegal_dumping_mobile')
-          .select('id, severity', { count: 'exact' })
+          .select('id', { count: 'exact' })
           .eq('reported_by', userId);
         reportCount = result.count;
         reportError = result.error;
-        
-        // Calculate points from dumping reports based on severity
-        if (result.data && Array.isArray(result.data)) {
-          totalPointsFromReports = result.data.reduce((sum, report) => {
-            // Award points based on severity: high=20, medium=15, low=10
-            const severity = report.severity || 'medium';
-            let points = 15; // default for medium
-            if (severity === 'high') points = 20;
-            else if (severity === 'low') points = 10;
-            return sum + points;
-          }, 0);
-          console.log(`[UserService] Calculated total points from dumping reports: ${totalPointsFromReports}`);
-        }
       } catch (error) {
         console.warn('[UserService] illegal_dumping_mobile table query failed:', error.message);
         reportError = error;
@@ -233,69 +204,26 @@ export const userService = {
       const totalBagsFromStats = totalBagsFromBatches;
       const batchesFromStats = batchesCount;
       
-      // Count user's reward redemptions and calculate points spent
-      let totalPointsSpent = 0;
-      let redemptionError = null;
-      
-      try {
-        const result = await supabase
-          .from('rewards_redemption')
-          .select('points_spent', { count: 'exact' })
-          .eq('user_id', userId);
-        
-        if (result.data && Array.isArray(result.data)) {
-          totalPointsSpent = result.data.reduce((sum, redemption) => {
-            return sum + (redemption.points_spent || 0);
-          }, 0);
-          console.log(`[UserService] Calculated total points spent on rewards: ${totalPointsSpent}`);
-        }
-      } catch (error) {
-        console.warn('[UserService] rewards_redemption table query failed:', error.message);
-        redemptionError = error;
-      }
-
-      if (redemptionError) {
-        console.error('[UserService] Error counting redemptions:', redemptionError);
-      }
-
-      // Count user's QR scans and calculate points from them
-      let totalPointsFromScans = 0;
-      let scanError = null;
-      
-      try {
-        const result = await supabase
-          .from('user_activity')
-          .select('id, points_impact', { count: 'exact' })
-          .eq('user_id', userId)
-          .eq('activity_type', 'qr_scan');
-        
-        if (result.data && Array.isArray(result.data)) {
-          totalPointsFromScans = result.data.reduce((sum, scan) => {
-            // QR scans typically earn 5 points each
-            return sum + (scan.points_impact || 5);
-          }, 0);
-          console.log(`[UserService] Calculated total points from QR scans: ${totalPointsFromScans}`);
-        }
-      } catch (error) {
-        console.warn('[UserService] user_activity table query failed:', error.message);
-        scanError = error;
+      // Points balance and lifetime points (for loyalty tiers) from the points ledger
+      const [
+        { data: totalPoints, error: pointsError },
+        { data: lifetimePoints, error: lifetimeError }
+      ] = await Promise.all([
+        pointsService.getBalance(userId),
+        pointsService.getLifetimePoints(userId)
+      ]);
+      if (pointsError) {
+        console.error('[UserService] Error fetching points balance:', pointsError);
       }
-
-      if (scanError) {
-        console.error('[UserService] Error counting QR scans:', scanError);
+      if (lifetimeError) {
+        console.error('[UserService] Error fetching lifetime points:', lifetimeError);
       }
-
-      // Calculate total points from all sources (earned - spent)
-      const totalPoints = totalPointsFromPickups + totalPointsFromDigitalBins + totalPointsFromReports + totalPointsFromScans - totalPointsSpent;
       
       // Debug output to verify data mapping
       console.log('[UserService] User stats calculation:', {
-        'pickup_requests.points': totalPointsFromPickups,
-        'digital_bins.points': totalPointsFromDigitalBins,
-        'dumping_reports.points': totalPointsFromReports,
-        'qr_scans.points': totalPointsFromScans,
-        'rewards_redemption.points_spent': totalPointsSpent,
-        'total_points': totalPoints,
+        'points_ledger.balance': totalPoints,
+        'points_ledger.lifetime': lifetimePoints,
+        'user_stats.completed_requests_count': statsData?.completed_requests_count,
         'batches_table.count': batchesCount,
         'batches_table.total_bags': totalBagsFromBatches,
         'user_stats.total_batches': statsData?.total_batches,
@@ -308,7 +236,9 @@ export const userService = {
       });
       
       const userStats = {
-        points: totalPoints, // Points from pickup_requests + illegal_dumping_mobile tables
+        points: totalPoints, // Balance from the points ledger
+        lifetimePoints, // Points ever earned, for loyalty tiers
+        completedPickups: statsData?.completed_requests_count || 0, // Completed requests from user_stats
         pickups: pickupCount || 0,
         reports: reportCount || 0,
         batches: batchesFromStats, // Direct from batches table only
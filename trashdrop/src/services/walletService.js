@@ -0,0 +1,219 @@
+/**
+ * Wallet service
+ * Balance, history, top-ups and pickup payments for the TrashDrop Wallet.
+ * The wallet is a double-entry ledger in the database (wallet_accounts,
+ * wallet_transactions, wallet_ledger_entries); balances only change through its
+ * functions. Top-ups are credited once the payment provider confirms them and
+ * refunds are issued server-side, so neither is callable from here.
+ */
+
+import supabase from '../utils/supabaseClient.js';
+
+/**
+ * Top-up limits, mirrored by request_wallet_top_up
+ */
+export const WALLET_TOP_UP_LIMITS = {
+  MIN: 1,
+  MAX: 1000
+};
+
+/**
+ * User-facing labels for wallet transaction types
+ */
+export const WALLET_TRANSACTION_LABELS = {
+  top_up: 'Wallet top-up',
+  pickup_payment: 'Pickup payment',
+  refund: 'Refund',
+  recyclables_payout: 'Recyclables payout',
+  recyclables_credit: 'Recyclables credit'
+};
+
+const roundCurrency = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Map a database error to the service error shape, recognising the insufficient-funds case
+ * @param {Object} error - Supabase/PostgREST error
+ * @param {string} message - Fallback message
+ * @param {string} code - Fallback code
+ * @returns {{message: string, code: string}}
+ */
+const toServiceError = (error, message, code) => ({
+  message: error.message || message,
+  code: error.hint === 'INSUFFICIENT_FUNDS' ? 'INSUFFICIENT_FUNDS' : (error.code || code)
+});
+
+export const walletService = {
+  /**
+   * Get a user's wallet balance
+   * @param {string} userId - Wallet owner (defaults to the signed-in user)
+   * @returns {Promise<{data: number, error: Object|null}>} Balance in GHS
+   */
+  async getBalance(userId = null) {
+    try {
+      console.log('[WalletService] Fetching wallet balance:', userId || 'current user');
+
+      const { data, error } = await supabase.rpc('get_wallet_balance', { p_user_id: userId });
+      if (error) throw error;
+
+      return { data: roundCurrency(data), error: null };
+    } catch (error) {
+      console.error('[WalletService] Error fetching wallet balance:', error);
+      return {
+        data: 0,
+        error: toServiceError(error, 'Failed to load wallet balance', 'WALLET_BALANCE_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Get the signed-in user's wallet history, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options
+   * @param {number} options.limit - Maximum entries to return
+   * @returns {Promise<{data: Array, error: Object|null}>} Entries with signed amount and running balance
+   */
+  async getHistory(userId, { limit = 20 } = {}) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      console.log('[WalletService] Fetching wallet history for user:', userId);
+
+      const { data, error } = await supabase
+        .from('wallet_ledger_entries')
+        .select(`
+          id, amount, balance_after, created_at,
+          account:wallet_accounts!inner(user_id),
+          transaction:wallet_transactions(id, transaction_type, description, reference_type, reference_id)
+        `)
+        .eq('account.user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      const entries = (data || []).map((entry) => ({
+        id: entry.id,
+        transaction_id: entry.transaction?.id || null,
+        type: entry.transaction?.transaction_type || null,
+        description: entry.transaction?.description
+          || WALLET_TRANSACTION_LABELS[entry.transaction?.transaction_type]
+          || 'Wallet transaction',
+        reference_type: entry.transaction?.reference_type || null,
+        reference_id: entry.transaction?.reference_id || null,
+        amount: roundCurrency(entry.amount),
+        balance_after: roundCurrency(entry.balance_after),
+        created_at: entry.created_at
+      }));
+
+      return { data: entries, error: null };
+    } catch (error) {
+      console.error('[WalletService] Error fetching wallet history:', error);
+      return {
+        data: [],
+        error: toServiceError(error, 'Failed to load wallet history', 'WALLET_HISTORY_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Start a wallet top-up. The balance is credited when the payment provider confirms it.
+   * @param {number} amount - Amount in GHS
+   * @param {string} paymentMethodId - Payment method to charge (optional)
+   * @returns {Promise<{data: Object|null, error: Object|null}>} Pending wallet_top_ups row
+   */
+  async requestTopUp(amount, paymentMethodId = null) {
+    try {
+      const value = roundCurrency(amount);
+      if (!(value >= WALLET_TOP_UP_LIMITS.MIN && value <= WALLET_TOP_UP_LIMITS.MAX)) {
+        throw Object.assign(
+          new Error(`Top-ups must be between ${WALLET_TOP_UP_LIMITS.MIN} and ${WALLET_TOP_UP_LIMITS.MAX}`),
+          { code: 'INVALID_AMOUNT' }
+        );
+      }
+
+      console.log('[WalletService] Requesting wallet top-up:', value);
+
+      const { data, error } = await supabase.rpc('request_wallet_top_up', {
+        p_amount: value,
+        p_payment_method_id: paymentMethodId
+      });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('[WalletService] Error requesting top-up:', error);
+      return {
+        data: null,
+        error: toServiceError(error, 'Failed to start top-up', 'TOP_UP_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Get the signed-in user's recent top-ups (pending ones are not in the ledger yet)
+   * @param {string} userId - User ID
+   * @param {Object} options
+   * @param {number} options.limit - Maximum top-ups to return
+   * @returns {Promise<{data: Array, error: Object|null}>}
+   */
+  async getTopUps(userId, { limit = 5 } = {}) {
+    try {
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const { data, error } = await supabase
+        .from('wallet_top_ups')
+        .select('id, amount, status, created_at, completed_at')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('[WalletService] Error fetching top-ups:', error);
+      return {
+        data: [],
+        error: toServiceError(error, 'Failed to load top-ups', 'TOP_UPS_ERROR')
+      };
+    }
+  },
+
+  /**
+   * Pay for a collected pickup from the customer's wallet. The database charges the pickup's
+   * stored fee less any recorded promo; paying twice returns the first payment.
+   * @param {string} pickupId - scheduled_pickups ID
+   * @returns {Promise<{data: Object|null, error: Object|null}>} wallet_transactions row;
+   *   error.code is 'INSUFFICIENT_FUNDS' when the balance does not cover the amount
+   */
+  async payForPickup(pickupId) {
+    try {
+      if (!pickupId) {
+        throw new Error('Pickup ID is required');
+      }
+
+      console.log('[WalletService] Paying for pickup from wallet:', pickupId);
+
+      const { data, error } = await supabase.rpc('pay_pickup_from_wallet', {
+        p_pickup_id: pickupId
+      });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('[WalletService] Error paying for pickup:', error);
+      return {
+        data: null,
+        error: toServiceError(error, 'Wallet payment failed', 'WALLET_PAYMENT_ERROR')
+      };
+    }
+  }
+};
+
+export default walletService;
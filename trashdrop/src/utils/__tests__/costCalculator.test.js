@@ -0,0 +1,166 @@
+import supabase from '../supabaseClient';
+import { getScheduleCostEstimate, getCostBreakdown, getCostBreakdownWithGPS, calculatePromoDiscount, calculateTaxes } from '../costCalculator.js';
+import catalogue from '../pricingCatalogue.json';
+
+// costCalculator pulls in gpsPricingService, which imports the Supabase client
+jest.mock('../supabaseClient', () => ({
+  rpc: jest.fn(),
+  from: jest.fn()
+}));
+
+describe('costCalculator', () => {
+  describe('getScheduleCostEstimate', () => {
+    const occurrences = [
+      { scheduled_date: '2025-06-02', status: 'scheduled' },
+      { scheduled_date: '2025-06-09', status: 'skipped' },
+      { scheduled_date: '2025-06-16', status: 'paused' },
+      { scheduled_date: '2025-06-23', status: 'scheduled' }
+    ];
+
+    it('bills scheduled occurrences and reports skipped/paused ones separately', () => {
+      const estimate = getScheduleCostEstimate({ occurrences, fee_per_service: '31.00' });
+
+      expect(estimate).toEqual({
+        per_service: 31,
+        billable_count: 2,
+        excluded_count: 2,
+        billable_total: 62,
+        excluded_total: 62
+      });
+    });
+
+    it('falls back to the default breakdown when no fee is stored', () => {
+      const perService = getCostBreakdown({ bin_size_liters: 240, is_urgent: true, bag_count: 1 }).total;
+      const estimate = getScheduleCostEstimate({
+        occurrences,
+        bin_size_liters: 240,
+        is_urgent: true
+      });
+
+      expect(estimate.per_service).toBe(perService);
+      expect(estimate.billable_total).toBe(parseFloat((perService * 2).toFixed(2)));
+    });
+  });
+
+  describe('welcome discount', () => {
+    it('takes 4.5% off base and keeps urgent on the undiscounted base', () => {
+      const breakdown = getCostBreakdown({ bin_size_liters: 120, bag_count: 2, is_urgent: true, welcome_discount_rate: 0.045 });
+
+      expect(breakdown.discounts).toEqual([{ code: 'WELCOME', label: 'Welcome discount (4.5%)', amount: 2.7 }]);
+      expect(breakdown.welcome_discount).toBe(2.7);
+      expect(breakdown.core).toBe(57.3);
+      expect(breakdown.urgent_charge).toBe(18);
+      expect(breakdown.total).toBe(76.3);
+      expect(breakdown.display.discount).toBe(true);
+    });
+
+    it('caps combined discounts at 80% of core', () => {
+      const breakdown = getCostBreakdown({ bin_size_liters: 120, welcome_discount_rate: 0.045, discount_amount: 50 });
+
+      expect(breakdown.discount_applied).toBe(24);
+      expect(breakdown.discounts.map(d => d.amount)).toEqual([1.35, 22.65]);
+    });
+
+    it('looks up eligibility for the user when pricing with GPS', async () => {
+      supabase.rpc.mockResolvedValueOnce({ data: 0.045, error: null });
+
+      const breakdown = await getCostBreakdownWithGPS({ bin_size_liters: 120, user_id: 'user-1' });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('get_welcome_discount_multiplier', { p_user_id: 'user-1' });
+      expect(breakdown.welcome_discount).toBe(1.35);
+      expect(breakdown.total).toBe(29.65);
+    });
+  });
+
+  describe('promo codes and referral credit', () => {
+    it('values each promo discount type', () => {
+      expect(calculatePromoDiscount({ discount_type: 'percent', discount_value: 10 }, 60)).toBe(6);
+      expect(calculatePromoDiscount({ discount_type: 'percent', discount_value: 50, max_discount: 10 }, 60)).toBe(10);
+      expect(calculatePromoDiscount({ discount_type: 'fixed', discount_value: 7.5 }, 60)).toBe(7.5);
+      expect(calculatePromoDiscount({ discount_type: 'free_request_fee', discount_value: 0 }, 60)).toBe(1);
+      expect(calculatePromoDiscount(null, 60)).toBe(0);
+    });
+
+    it('applies welcome, promo and referral credit in order within the 80% cap', () => {
+      const breakdown = getCostBreakdown({
+        bin_size_liters: 120,
+        welcome_discount_rate: 0.045,
+        promo: { code: 'SAVE10', discount_type: 'percent', discount_value: 10 },
+        referral_credit: 50
+      });
+
+      expect(breakdown.discounts).toEqual([
+        { code: 'WELCOME', label: 'Welcome discount (4.5%)', amount: 1.35 },
+        { code: 'PROMO', label: 'Promo SAVE10', amount: 3 },
+        { code: 'REFERRAL', label: 'Referral credit', amount: 19.65 }
+      ]);
+      expect(breakdown.core).toBe(6);
+      expect(breakdown.total).toBe(7);
+    });
+
+    it('takes free_request_fee promos off the request fee, not core', () => {
+      const breakdown = getCostBreakdown({
+        bin_size_liters: 120,
+        promo: { code: 'NOFEE', discount_type: 'free_request_fee', discount_value: 0 }
+      });
+
+      expect(breakdown.discounts).toEqual([]);
+      expect(breakdown.core).toBe(30);
+      expect(breakdown.request_fee).toBe(0);
+      expect(breakdown.request_fee_discounts).toEqual([{ code: 'PROMO', label: 'Promo NOFEE', amount: 1 }]);
+      expect(breakdown.total).toBe(30);
+    });
+
+    it('takes the loyalty tier share off the request fee before a free_request_fee promo', () => {
+      const breakdown = getCostBreakdown({
+        bin_size_liters: 120,
+        tier: { code: 'silver', name: 'Silver', request_fee_discount: 0.25 },
+        promo: { code: 'NOFEE', discount_type: 'free_request_fee', discount_value: 0 }
+      });
+
+      expect(breakdown.discounts).toEqual([]);
+      expect(breakdown.core).toBe(30);
+      expect(breakdown.request_fee_discounts).toEqual([
+        { code: 'TIER', label: 'Silver tier: 25% off request fee', amount: 0.25 },
+        { code: 'PROMO', label: 'Promo NOFEE', amount: 0.75 }
+      ]);
+      expect(breakdown.request_fee).toBe(0);
+      expect(breakdown.total).toBe(30);
+    });
+  });
+
+  describe('taxes and levies', () => {
+    // The catalogue's levy and VAT rules, switched on
+    const rules = catalogue.tax_rules.map(({ active, ...rule }) => rule);
+
+    it('charges levies on the service and VAT on the service plus levies', () => {
+      expect(calculateTaxes({ core: 30, urgent_charge: 9, request_fee: 1 }, rules)).toEqual([
+        { code: 'NHIL', label: 'NHIL (2.5%)', rate: 0.025, amount: 1 },
+        { code: 'GETFUND', label: 'GETFund levy (2.5%)', rate: 0.025, amount: 1 },
+        { code: 'VAT', label: 'VAT (15%)', rate: 0.15, amount: 6.3 }
+      ]);
+    });
+
+    it('only taxes the components a rule applies to', () => {
+      const [levy] = calculateTaxes({ core: 30, request_fee: 1 }, [{ code: 'LEVY', label: 'Levy', rate: 0.1, applies_to: ['request_fee'] }]);
+      expect(levy.amount).toBe(0.1);
+    });
+
+    it('adds tax lines after the request fee', () => {
+      const breakdown = getCostBreakdown({ bin_size_liters: 120, is_urgent: true, tax_rules: rules });
+
+      expect(breakdown.subtotal).toBe(39);
+      expect(breakdown.tax_total).toBe(8.3);
+      expect(breakdown.total).toBe(48.3);
+      expect(breakdown.display.taxes).toBe(true);
+    });
+
+    it('charges nothing while the catalogue rules are inactive', () => {
+      const breakdown = getCostBreakdown({ bin_size_liters: 120 });
+
+      expect(breakdown.taxes).toEqual([]);
+      expect(breakdown.display.taxes).toBe(false);
+      expect(breakdown.total).toBe(31);
+    });
+  });
+});
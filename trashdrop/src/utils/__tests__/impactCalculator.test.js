@@ -0,0 +1,98 @@
+import {
+  normalizeWasteType,
+  calculatePickupImpact,
+  summarizeImpact,
+  bucketImpact,
+  periodStart
+} from '../impactCalculator.js';
+
+describe('impactCalculator', () => {
+  it('maps pickup and bin waste types onto the impact categories', () => {
+    expect(normalizeWasteType('recycling')).toBe('recycling');
+    expect(normalizeWasteType('Recyclables')).toBe('recycling');
+    expect(normalizeWasteType('plastic')).toBe('recycling');
+    expect(normalizeWasteType('organic')).toBe('organic');
+    expect(normalizeWasteType('General Waste')).toBe('general');
+    expect(normalizeWasteType(null)).toBe('general');
+  });
+
+  it('estimates weight from bags when nothing was weighed', () => {
+    expect(calculatePickupImpact({ bagCount: 2, wasteType: 'organic' })).toEqual({
+      totalKg: 20,
+      recyclingKg: 0,
+      organicKg: 20,
+      divertedKg: 20,
+      co2eKg: 10
+    });
+    expect(calculatePickupImpact({ bagCount: 1, wasteType: 'general' }).divertedKg).toBe(0);
+  });
+
+  it('uses weighed recyclables and their material factors', () => {
+    const impact = calculatePickupImpact({
+      bagCount: 3,
+      wasteType: 'recycling',
+      recordedItems: [{ material: 'aluminium', weightKg: 2 }, { material: 'pet', weightKg: 4 }]
+    });
+
+    expect(impact.totalKg).toBe(6);
+    expect(impact.recyclingKg).toBe(6);
+    expect(impact.co2eKg).toBeCloseTo(24);
+  });
+
+  it('counts recyclables weighed out of general waste towards recycling', () => {
+    const impact = calculatePickupImpact({
+      bagCount: 1,
+      wasteType: 'general',
+      recordedItems: [{ material: 'cardboard', weightKg: 3 }]
+    });
+
+    expect(impact.totalKg).toBe(8);
+    expect(impact.recyclingKg).toBe(3);
+    expect(impact.co2eKg).toBeCloseTo(3 * 0.9 + 5 * 0.1);
+  });
+
+  it('summarizes totals and the recycling rate', () => {
+    const summary = summarizeImpact([
+      { bagCount: 2, wasteType: 'recycling' },
+      { bagCount: 1, wasteType: 'general' },
+      { bagCount: 1, wasteType: 'organic' }
+    ]);
+
+    expect(summary).toEqual({
+      pickups: 3,
+      bags: 4,
+      totalKg: 28,
+      divertedKg: 20,
+      recyclingKg: 10,
+      co2eKg: 15.8,
+      recyclingRate: 36
+    });
+  });
+
+  it('starts weeks on Monday', () => {
+    expect(periodStart(new Date(2026, 9, 18), 'week')).toEqual(new Date(2026, 9, 12));
+    expect(periodStart(new Date(2026, 9, 19), 'week')).toEqual(new Date(2026, 9, 19));
+    expect(periodStart(new Date(2026, 9, 19), 'month')).toEqual(new Date(2026, 9, 1));
+  });
+
+  it('buckets pickups by week and month, ending with the current period', () => {
+    const now = new Date(2026, 9, 21);
+    const pickups = [
+      { bagCount: 1, wasteType: 'recycling', completedAt: new Date(2026, 9, 20).toISOString() },
+      { bagCount: 2, wasteType: 'general', completedAt: new Date(2026, 9, 14).toISOString() },
+      { bagCount: 1, wasteType: 'organic', completedAt: new Date(2026, 7, 3).toISOString() }
+    ];
+
+    const weeks = bucketImpact(pickups, 'week', now);
+    expect(weeks).toHaveLength(8);
+    expect(weeks[7].start).toEqual(new Date(2026, 9, 19));
+    expect(weeks[7].totalKg).toBe(5);
+    expect(weeks[6].totalKg).toBe(16);
+
+    const months = bucketImpact(pickups, 'month', now);
+    expect(months).toHaveLength(6);
+    expect(months[5].totalKg).toBe(21);
+    expect(months[3].start).toEqual(new Date(2026, 7, 1));
+    expect(months[3].divertedKg).toBe(10);
+  });
+});
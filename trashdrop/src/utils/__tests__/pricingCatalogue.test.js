@@ -0,0 +1,153 @@
+import fs from 'fs';
+import path from 'path';
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import {
+  BIN_SIZE_CATALOGUE,
+  BIN_SIZES,
+  DEFAULT_BASE_PRICES,
+  DEFAULT_BIN_SIZE,
+  getDefaultBasePrice,
+  getZonePriceColumn,
+  TAX_RULES,
+  TAXABLE_COMPONENTS
+} from '../pricingCatalogue.js';
+import catalogue from '../pricingCatalogue.json';
+import { getCostBreakdown, getBinSizeLabel, calculateTaxes } from '../costCalculator.js';
+import gpsPricingService from '../../services/gpsPricingService.js';
+import { DEFAULT_BASE_COSTS, TAX_RULES as SERVER_TAX_RULES, calculateTaxes as calculateServerTaxes } from '../../../netlify/functions/lib/quotePricing.js';
+import { PRICE_SIZES } from '../../../netlify/functions/lib/pricingZones.js';
+import WasteDetailsStep from '../../components/digitalBin/WasteDetailsStep.js';
+
+jest.mock('../supabaseClient', () => ({
+  rpc: () => Promise.resolve({ data: null, error: null }),
+  from: () => ({})
+}));
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '../../../supabase/migrations');
+
+// Migration files in apply order, as one string each
+const migrations = fs.readdirSync(MIGRATIONS_DIR)
+  .filter((file) => file.endsWith('.sql'))
+  .sort()
+  .map((file) => fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8')
+    // Rollback blocks are commented out; ignore them
+    .replace(/\/\*[\s\S]*?\*\//g, ''));
+
+const priceColumnSizes = (sql) => [...sql.matchAll(/\bprice_(\d+)l\b/g)]
+  .map((match) => Number(match[1]));
+
+const unique = (sizes) => [...new Set(sizes)].sort((a, b) => a - b);
+
+// Body of the most recent definition of a database function
+const latestFunction = (name) => {
+  const pattern = new RegExp(`CREATE (?:OR REPLACE )?FUNCTION public\\.${name}\\([\\s\\S]*?\\$\\$[\\s\\S]*?\\$\\$`, 'g');
+  const definitions = migrations.flatMap((sql) => sql.match(pattern) || []);
+  return definitions[definitions.length - 1];
+};
+
+describe('pricing catalogue', () => {
+  it('gives every size a label and a positive default price, in ascending order', () => {
+    BIN_SIZE_CATALOGUE.forEach((entry) => {
+      expect(entry.label).toEqual(expect.any(String));
+      expect(entry.default_price).toBeGreaterThan(0);
+    });
+    expect([...BIN_SIZES]).toEqual(unique(BIN_SIZES));
+    expect(BIN_SIZES).toContain(DEFAULT_BIN_SIZE);
+  });
+
+  it('charges more for every larger size', () => {
+    BIN_SIZE_CATALOGUE.slice(1).forEach((entry, index) => {
+      expect(entry.default_price).toBeGreaterThan(BIN_SIZE_CATALOGUE[index].default_price);
+    });
+  });
+
+  it('falls back to the default size price for unknown sizes', () => {
+    expect(getDefaultBasePrice(240)).toBe(DEFAULT_BASE_PRICES[240]);
+    expect(getDefaultBasePrice(999)).toBe(DEFAULT_BASE_PRICES[DEFAULT_BIN_SIZE]);
+  });
+
+  describe('default prices', () => {
+    it('match the server quote defaults', () => {
+      expect(DEFAULT_BASE_COSTS).toEqual(DEFAULT_BASE_PRICES);
+    });
+
+    it('match the GPS pricing fallback', () => {
+      expect(gpsPricingService.DEFAULT_PRICES).toEqual(DEFAULT_BASE_PRICES);
+    });
+
+    it.each(BIN_SIZES)('price the client estimate for %iL', (size) => {
+      const breakdown = getCostBreakdown({ bin_size_liters: size, bag_count: 1 });
+      expect(breakdown.base).toBe(DEFAULT_BASE_PRICES[size]);
+    });
+  });
+
+  describe('pricing zones', () => {
+    it('have a price column for every size and no others', () => {
+      const columns = unique(migrations.flatMap((sql) => {
+        const created = sql.match(/CREATE TABLE IF NOT EXISTS public\.pricing_zones \([\s\S]*?\n\);/);
+        const added = sql.match(/ALTER TABLE public\.pricing_zones[\s\S]*?;/g) || [];
+        return priceColumnSizes([created ? created[0] : '', ...added].join('\n'));
+      }));
+
+      expect(columns).toEqual([...BIN_SIZES]);
+    });
+
+    it.each(['find_pricing_zone', 'get_location_price', 'get_pricing_zone_changes', 'import_pricing_zones'])(
+      'are fully covered by the latest %s',
+      (name) => {
+        expect(unique(priceColumnSizes(latestFunction(name)))).toEqual([...BIN_SIZES]);
+      }
+    );
+
+    it('are imported and exported for every size', () => {
+      expect(PRICE_SIZES).toEqual([...BIN_SIZES]);
+      expect(BIN_SIZES.map(getZonePriceColumn)).toContain('price_1100l');
+    });
+  });
+
+  describe('tax rules', () => {
+    it('charge the same active rules on the client and the server', () => {
+      expect(SERVER_TAX_RULES).toEqual(TAX_RULES);
+    });
+
+    it('only apply to known components or earlier rules', () => {
+      catalogue.tax_rules.forEach((rule, index) => {
+        const earlier = catalogue.tax_rules.slice(0, index).map((previous) => previous.code);
+        expect(rule.rate).toBeGreaterThan(0);
+        (rule.applies_to || []).forEach((key) => {
+          expect([...TAXABLE_COMPONENTS, ...earlier]).toContain(key);
+        });
+      });
+    });
+
+    it('are calculated the same way on the client and the server', () => {
+      const rules = catalogue.tax_rules.map(({ active, ...rule }) => rule);
+      const components = { core: 52.5, urgent_charge: 10.5, distance_charge: 3.78, surge_charge: 0, request_fee: 1 };
+      expect(calculateTaxes(components, rules)).toEqual(calculateServerTaxes(rules, components));
+    });
+  });
+
+  it('matches the digital_bins bin size constraint', () => {
+    const checks = migrations.flatMap((sql) =>
+      [...sql.matchAll(/CONSTRAINT check_bin_size\s+CHECK \(bin_size_liters IN \(([\d,\s]+)\)\)/g)]);
+    const latest = checks[checks.length - 1][1].split(',').map(Number);
+
+    expect(latest).toEqual([...BIN_SIZES]);
+  });
+
+  it('drives the bin size picker', () => {
+    render(
+      <WasteDetailsStep
+        formData={{ numberOfBags: '1', wasteType: 'general', bin_size_liters: DEFAULT_BIN_SIZE }}
+        updateFormData={() => {}}
+        nextStep={() => {}}
+        prevStep={() => {}}
+      />
+    );
+
+    const options = within(screen.getByLabelText(/Bin Size/)).getAllByRole('option');
+    expect(options.map((option) => Number(option.value))).toEqual([...BIN_SIZES]);
+    expect(options.map((option) => option.textContent)).toEqual(BIN_SIZES.map(getBinSizeLabel));
+  });
+});
@@ -0,0 +1,168 @@
+import {
+  generateOccurrences,
+  getOccurrenceDate,
+  getGhanaHolidays,
+  getNextOccurrence,
+  diffOccurrences,
+  toDateKey,
+  HOLIDAY_RULES
+} from '../scheduleEngine.js';
+
+describe('scheduleEngine', () => {
+  describe('getOccurrenceDate', () => {
+    it('steps weekly and biweekly from the start date', () => {
+      expect(toDateKey(getOccurrenceDate('2025-06-02', 'weekly', 3))).toBe('2025-06-23');
+      expect(toDateKey(getOccurrenceDate('2025-06-02', 'biweekly', 2))).toBe('2025-06-30');
+    });
+
+    it('does not drift when monthly schedules start at month end', () => {
+      expect(toDateKey(getOccurrenceDate('2025-01-31', 'monthly', 1))).toBe('2025-02-28');
+      expect(toDateKey(getOccurrenceDate('2025-01-31', 'monthly', 2))).toBe('2025-03-31');
+    });
+
+    it('returns a single date for one-time schedules', () => {
+      expect(toDateKey(getOccurrenceDate('2025-06-02', 'one-time', 0))).toBe('2025-06-02');
+      expect(getOccurrenceDate('2025-06-02', 'one-time', 1)).toBeNull();
+    });
+  });
+
+  describe('getGhanaHolidays', () => {
+    it('includes fixed and Easter-based holidays', () => {
+      const holidays = getGhanaHolidays(2025);
+      expect(holidays['2025-03-06']).toBe('Independence Day');
+      expect(holidays['2025-04-18']).toBe('Good Friday');
+      expect(holidays['2025-04-21']).toBe('Easter Monday');
+    });
+  });
+
+  describe('generateOccurrences', () => {
+    it('only returns occurrences on or after the from date', () => {
+      const occurrences = generateOccurrences({
+        startDate: '2025-06-02',
+        frequency: 'weekly',
+        from: '2025-06-10',
+        maxOccurrences: 2
+      });
+
+      expect(occurrences.map(o => o.scheduled_date)).toEqual(['2025-06-16', '2025-06-23']);
+      expect(occurrences[0].index).toBe(2);
+    });
+
+    it('shifts holiday occurrences to the next non-holiday day', () => {
+      // 2025-12-25 is Christmas and 2025-12-26 Boxing Day
+      const [occurrence] = generateOccurrences({
+        startDate: '2025-12-25',
+        frequency: 'weekly',
+        from: '2025-12-01',
+        maxOccurrences: 1
+      });
+
+      expect(occurrence.original_date).toBe('2025-12-25');
+      expect(occurrence.scheduled_date).toBe('2025-12-27');
+      expect(occurrence.holiday_name).toBe('Christmas Day');
+      expect(occurrence.shifted).toBe(true);
+    });
+
+    it('marks holiday occurrences as skipped with the skip rule', () => {
+      const [occurrence] = generateOccurrences({
+        startDate: '2025-03-06',
+        frequency: 'monthly',
+        from: '2025-03-01',
+        maxOccurrences: 1,
+        holidayRule: HOLIDAY_RULES.SKIP
+      });
+
+      expect(occurrence.status).toBe('skipped');
+      expect(occurrence.skip_reason).toBe('holiday');
+      expect(occurrence.scheduled_date).toBe('2025-03-06');
+    });
+
+    it('keeps a user skip of a holiday-shifted occurrence', () => {
+      const [occurrence] = generateOccurrences({
+        startDate: '2025-12-25',
+        frequency: 'weekly',
+        from: '2025-12-01',
+        maxOccurrences: 1,
+        skipDates: ['2025-12-25']
+      });
+
+      expect(occurrence.status).toBe('skipped');
+      expect(occurrence.skip_reason).toBe('user');
+      expect(occurrence.holiday_name).toBe('Christmas Day');
+    });
+
+    it('applies user skips and pause windows', () => {
+      const occurrences = generateOccurrences({
+        startDate: '2025-06-02',
+        frequency: 'weekly',
+        from: '2025-06-01',
+        maxOccurrences: 4,
+        skipDates: ['2025-06-02'],
+        pausedUntil: '2025-06-16'
+      });
+
+      expect(occurrences.map(o => o.status)).toEqual(['skipped', 'paused', 'paused', 'scheduled']);
+    });
+
+    it('accepts extra holidays and returns nothing for invalid input', () => {
+      const [occurrence] = generateOccurrences({
+        startDate: '2025-06-06',
+        frequency: 'weekly',
+        from: '2025-06-01',
+        maxOccurrences: 1,
+        holidays: [{ date: '2025-06-06', name: 'Eid al-Adha' }]
+      });
+
+      expect(occurrence.scheduled_date).toBe('2025-06-07');
+      expect(generateOccurrences({ startDate: 'not-a-date', frequency: 'weekly' })).toEqual([]);
+      expect(generateOccurrences({ startDate: '2025-06-06', frequency: 'daily' })).toEqual([]);
+    });
+  });
+
+  describe('getNextOccurrence', () => {
+    it('skips over paused and skipped occurrences', () => {
+      const next = getNextOccurrence({
+        startDate: '2025-06-02',
+        frequency: 'weekly',
+        from: '2025-06-01',
+        skipDates: ['2025-06-02', '2025-06-09']
+      });
+
+      expect(next.scheduled_date).toBe('2025-06-16');
+    });
+  });
+
+  describe('diffOccurrences', () => {
+    it('replaces future occurrences when the frequency changes but keeps history', () => {
+      const existing = [
+        { id: 'a', original_date: '2025-06-02', scheduled_date: '2025-06-02', status: 'completed' },
+        { id: 'b', original_date: '2025-06-09', scheduled_date: '2025-06-09', status: 'scheduled' },
+        { id: 'c', original_date: '2025-06-16', scheduled_date: '2025-06-16', status: 'scheduled' }
+      ];
+      const generated = generateOccurrences({
+        startDate: '2025-06-02',
+        frequency: 'biweekly',
+        from: '2025-06-02',
+        maxOccurrences: 2
+      });
+
+      const { toInsert, toUpdate, toDelete } = diffOccurrences(existing, generated);
+
+      expect(toDelete.map(row => row.id)).toEqual(['b']);
+      expect(toUpdate).toEqual([]);
+      expect(toInsert).toEqual([]);
+    });
+
+    it('updates rows whose status or date changed', () => {
+      const existing = [
+        { id: 'b', original_date: '2025-06-09', scheduled_date: '2025-06-09', status: 'scheduled' }
+      ];
+      const generated = [
+        { original_date: '2025-06-09', scheduled_date: '2025-06-09', status: 'paused', preferred_time: null }
+      ];
+
+      const { toUpdate } = diffOccurrences(existing, generated);
+      expect(toUpdate).toEqual([expect.objectContaining({ id: 'b', status: 'paused' })]);
+    });
+  });
+});
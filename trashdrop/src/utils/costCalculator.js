@@ -3,7 +3,10 @@
  * Calculates estimated collection costs based on bin size, frequency, waste type, and urgency
  * 
  * IMPORTANT: This provides CLIENT-SIDE ESTIMATES ONLY.
- * Final pricing is calculated SERVER-SIDE via /api/digital-bins/quote endpoint.
+ * Final pricing is calculated SERVER-SIDE via /api/digital-bins/quote endpoint
+ * (netlify/functions/digital-bin-quote.js). Keep the SOP constants in sync with
+ * netlify/functions/lib/quotePricing.js; bin sizes and default prices come from
+ * the shared pricing catalogue (pricingCatalogue.js).
  * 
  * Pricing Order (SOP v4.5.6):
  * Base → On-site → Discounts (max 80%) → Urgent (30% of Base) → 
@@ -15,28 +18,19 @@
  */
 
 import gpsPricingService from '../services/gpsPricingService.js';
+import discountService from '../services/discountService.js';
+import { BIN_SIZES, DEFAULT_BASE_PRICES, getBinSizeCategory, TAX_RULES, TAXABLE_COMPONENTS } from './pricingCatalogue.js';
 
 /**
- * Available bin sizes in liters
+ * Available bin sizes in liters (from the pricing catalogue)
  */
-export const BIN_SIZES = [60, 80, 90, 100, 120, 240, 340, 360, 660, 1100];
+export { BIN_SIZES };
 
 /**
  * Base cost mapping by bin size (in GHS - Ghana Cedis)
- * These are weekly base rates - ACTUAL PRICING
+ * These are weekly base rates from the pricing catalogue - ACTUAL PRICING
  */
-const BASE_COSTS = {
-  60: 15,    // Extra Small
-  80: 18,    // Small
-  90: 22,    // Small
-  100: 25,   // Medium
-  120: 30,   // Standard (Recommended)
-  240: 40,   // Large
-  340: 55,   // Extra Large
-  360: 60,   // Extra Large
-  660: 85,   // Industrial
-  1100: 120  // Commercial
-};
+const BASE_COSTS = DEFAULT_BASE_PRICES;
 
 /**
  * Frequency discount multipliers (OPTIONAL - City-level feature)
@@ -51,7 +45,7 @@ const FREQUENCY_MULTIPLIERS = {
 
 /**
  * Waste type adjustment multipliers (OPTIONAL - City-level feature)
- * NOTE: Not in core SOP v4.5.6; recyclables handled via separate 60/25/15 split post-pickup
+ * NOTE: Not in core SOP v4.5.6; recyclables are valued post-pickup and split 60/25/15 (see recyclablesService)
  */
 const WASTE_TYPE_MULTIPLIERS = {
   general: 1.0,     // Standard rate
@@ -77,6 +71,153 @@ const DISTANCE_RATE_MULTIPLIER = 0.06; // 0.06 × Base per km (derived: 20% of 3
 // Discount cap (SOP v4.5.6: max 80% of Core)
 const DISCOUNT_CAP_PERCENTAGE = 0.80;
 
+/**
+ * Calculate the discount a promo code is worth
+ * Percent codes apply to Base (optionally capped by max_discount), fixed codes
+ * are a GHS amount and free_request_fee waives the request fee.
+ * 
+ * @param {Object} promo - Promo returned by promoService.validatePromoCode
+ * @param {number} base - Base for all bins (or service amount)
+ * @returns {number} Discount in GHS before the 80% cap
+ * 
+ * @example
+ * calculatePromoDiscount({ discount_type: 'percent', discount_value: 10 }, 30);
+ * // Returns: 3.00
+ */
+export const calculatePromoDiscount = (promo, base) => {
+  if (!promo) return 0;
+  const value = parseFloat(promo.discount_value) || 0;
+  let amount = 0;
+
+  switch (promo.discount_type) {
+    case 'percent':
+      amount = base * (value / 100);
+      if (promo.max_discount !== null && promo.max_discount !== undefined) {
+        amount = Math.min(amount, parseFloat(promo.max_discount));
+      }
+      break;
+    case 'fixed':
+      amount = value;
+      break;
+    case 'free_request_fee':
+      amount = REQUEST_FEE;
+      break;
+    default:
+      amount = 0;
+  }
+
+  return parseFloat(Math.max(0, amount).toFixed(2));
+};
+
+/**
+ * Build discount lines and apply them in order up to the 80% cap
+ * Order: welcome discount, promo code, referral credit, then any other flat discount.
+ * Later lines are trimmed first when the cap is reached.
+ * 
+ * @param {number} base - Base for all bins
+ * @param {number} coreBeforeDiscount - Base + on-site charges
+ * @param {Object} options - Discount sources
+ * @param {number} options.welcomeRate - Welcome discount multiplier (0 when not eligible)
+ * @param {Object} options.promo - Validated promo code (optional)
+ * @param {number} options.referralCredit - Available referral credit in GHS
+ * @param {number} options.discountAmount - Other flat discount in GHS
+ * @returns {{ discounts: Array, applied: number, welcome: number }}
+ */
+const applyDiscounts = (base, coreBeforeDiscount, { welcomeRate = 0, promo = null, referralCredit = 0, discountAmount = 0 } = {}) => {
+  const requested = [];
+  if (welcomeRate > 0) {
+    requested.push({
+      code: 'WELCOME',
+      label: `Welcome discount (${+(welcomeRate * 100).toFixed(1)}%)`,
+      amount: base * welcomeRate
+    });
+  }
+  // free_request_fee codes come off the request fee (see applyRequestFeeDiscounts)
+  const promoAmount = promo?.discount_type === 'free_request_fee' ? 0 : calculatePromoDiscount(promo, base);
+  if (promoAmount > 0) {
+    requested.push({ code: 'PROMO', label: `Promo ${promo.code}`, amount: promoAmount });
+  }
+  if (referralCredit > 0) {
+    requested.push({ code: 'REFERRAL', label: 'Referral credit', amount: referralCredit });
+  }
+  if (discountAmount > 0) {
+    requested.push({ code: 'DISCOUNT', label: 'Discount', amount: discountAmount });
+  }
+
+  let remaining = coreBeforeDiscount * DISCOUNT_CAP_PERCENTAGE;
+  const discounts = [];
+  requested.forEach((discount) => {
+    const amount = parseFloat(Math.min(discount.amount, remaining).toFixed(2));
+    if (amount <= 0) return;
+    remaining -= amount;
+    discounts.push({ ...discount, amount });
+  });
+
+  const applied = discounts.reduce((sum, d) => sum + d.amount, 0);
+  const welcome = discounts.find(d => d.code === 'WELCOME')?.amount || 0;
+  return { discounts, applied, welcome };
+};
+
+/**
+ * Take request fee discounts off the ₵1 request fee
+ * The request fee is platform revenue, so these never reduce core or collector payouts.
+ * Mirrors step 7 of calculateQuote in netlify/functions/lib/quotePricing.js.
+ * 
+ * @param {Object} options - Discount sources
+ * @param {Object} options.tier - Customer's loyalty tier (request_fee_discount 0-1)
+ * @param {Object} options.promo - Validated promo code (only free_request_fee codes apply)
+ * @returns {{ requestFee: number, discounts: Array }}
+ */
+const applyRequestFeeDiscounts = ({ tier = null, promo = null } = {}) => {
+  const requested = [];
+  const tierRate = Math.min(1, Number(tier?.request_fee_discount) || 0);
+  if (tierRate > 0) {
+    const label = tierRate >= 1
+      ? `${tier.name} tier: request fee waived`
+      : `${tier.name} tier: ${Math.round(tierRate * 100)}% off request fee`;
+    requested.push({ code: 'TIER', label, amount: parseFloat((REQUEST_FEE * tierRate).toFixed(2)) });
+  }
+  if (promo?.discount_type === 'free_request_fee') {
+    requested.push({ code: 'PROMO', label: `Promo ${promo.code}`, amount: REQUEST_FEE });
+  }
+
+  let requestFee = REQUEST_FEE;
+  const discounts = [];
+  requested.forEach((discount) => {
+    const amount = parseFloat(Math.min(discount.amount, requestFee).toFixed(2));
+    if (amount <= 0) return;
+    requestFee = parseFloat((requestFee - amount).toFixed(2));
+    discounts.push({ ...discount, amount });
+  });
+
+  return { requestFee, discounts };
+};
+
+/**
+ * Calculate tax and levy lines (last step of the SOP pricing order)
+ * Each rule is a percentage of the components it applies_to; a rule may also
+ * apply to earlier rules by code (e.g. VAT charged on top of levies).
+ * Mirrors calculateTaxes in netlify/functions/lib/quotePricing.js.
+ * 
+ * @param {Object} components - Pre-tax amounts keyed by TAXABLE_COMPONENTS
+ * @param {Array<Object>} rules - Tax rules (default: active catalogue TAX_RULES)
+ * @returns {Array<{code: string, label: string, rate: number, amount: number}>}
+ * 
+ * @example
+ * calculateTaxes({ core: 30, request_fee: 1 }, [{ code: 'VAT', label: 'VAT (15%)', rate: 0.15 }]);
+ * // Returns: [{ code: 'VAT', label: 'VAT (15%)', rate: 0.15, amount: 4.65 }]
+ */
+export const calculateTaxes = (components, rules = TAX_RULES) => {
+  const amounts = { ...components };
+  return rules.map((rule) => {
+    const taxable = (rule.applies_to || TAXABLE_COMPONENTS)
+      .reduce((sum, key) => sum + (amounts[key] || 0), 0);
+    const amount = parseFloat((taxable * rule.rate).toFixed(2));
+    amounts[rule.code] = amount;
+    return { code: rule.code, label: rule.label, rate: rule.rate, amount };
+  });
+};
+
 /**
  * Calculate PRELIMINARY estimate (CLIENT-SIDE ONLY)
  * 
@@ -180,21 +321,7 @@ export const calculateBinCost = ({
  * // Returns: "120L - Standard (Recommended)"
  */
 export const getBinSizeLabel = (liters) => {
-  const labels = {
-    60: 'Extra Small',
-    80: 'Small',
-    90: 'Small',
-    100: 'Medium',
-    120: 'Standard (Recommended)',
-    240: 'Large',
-    340: 'Extra Large',
-    360: 'Extra Large',
-    660: 'Industrial',
-    1100: 'Commercial'
-  };
-
-  const label = labels[liters] || 'Standard';
-  return `${liters}L - ${label}`;
+  return `${liters}L - ${getBinSizeCategory(liters)}`;
 };
 
 /**
@@ -237,7 +364,12 @@ export const getCostBreakdown = ({
   bag_count = 1,
   distance_km = 0,  // For estimates only; real value from server
   on_site_charges = 0,
-  discount_amount = 0
+  discount_amount = 0,
+  welcome_discount_rate = 0,
+  promo = null,
+  tier = null,
+  referral_credit = 0,
+  tax_rules = TAX_RULES
 }) => {
   const binCount = Math.max(1, parseInt(bag_count) || 1);
   const baseCost = BASE_COSTS[bin_size_liters] || BASE_COSTS[120];
@@ -245,8 +377,13 @@ export const getCostBreakdown = ({
 
   // Core = Base + On-site - Discounts (capped at 80%)
   const coreBeforeDiscount = base + on_site_charges;
-  const maxDiscount = coreBeforeDiscount * DISCOUNT_CAP_PERCENTAGE;
-  const appliedDiscount = Math.min(discount_amount, maxDiscount);
+  const { discounts, applied: appliedDiscount, welcome: welcomeDiscount } =
+    applyDiscounts(base, coreBeforeDiscount, {
+      welcomeRate: welcome_discount_rate,
+      promo,
+      referralCredit: referral_credit,
+      discountAmount: discount_amount
+    });
   const core = Math.max(0, coreBeforeDiscount - appliedDiscount);
 
   // Urgent surcharge (30% of base, not core)
@@ -261,14 +398,23 @@ export const getCostBreakdown = ({
     distanceCharge = billableKm * perKmRate;
   }
 
-  // Request fee
-  const requestFee = REQUEST_FEE;
+  // Request fee, less its own discounts
+  const { requestFee, discounts: requestFeeDiscounts } = applyRequestFeeDiscounts({ tier, promo });
 
   // Subtotal
   const subtotal = core + urgentCharge + distanceCharge;
 
-  // Total (no surge on client-side; server adds surge)
-  const total = subtotal + requestFee;
+  // Taxes and levies (no surge on client-side; server adds surge)
+  const taxes = calculateTaxes({
+    core,
+    urgent_charge: urgentCharge,
+    distance_charge: distanceCharge,
+    request_fee: requestFee
+  }, tax_rules);
+  const taxTotal = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+
+  // Total
+  const total = subtotal + requestFee + taxTotal;
 
   return {
     base: parseFloat(base.toFixed(2)),
@@ -276,13 +422,18 @@ export const getCostBreakdown = ({
     bin_count: binCount,
     on_site_charges: parseFloat(on_site_charges.toFixed(2)),
     discount_applied: parseFloat(appliedDiscount.toFixed(2)),
+    discounts,
+    welcome_discount: parseFloat(welcomeDiscount.toFixed(2)),
     core: parseFloat(core.toFixed(2)),
     urgent_charge: parseFloat(urgentCharge.toFixed(2)),
     distance_charge: parseFloat(distanceCharge.toFixed(2)),
     distance_km: distance_km,
     billable_km: is_urgent ? Math.max(0, Math.min(distance_km, DISTANCE_CAP_KM) - DISTANCE_THRESHOLD_KM) : 0,
     request_fee: requestFee,
+    request_fee_discounts: requestFeeDiscounts,
     subtotal: parseFloat(subtotal.toFixed(2)),
+    taxes,
+    tax_total: parseFloat(taxTotal.toFixed(2)),
     total: parseFloat(total.toFixed(2)),
     
     // Display flags (hide if 0)
@@ -290,7 +441,8 @@ export const getCostBreakdown = ({
       urgent_charge: urgentCharge > 0,
       distance_charge: distanceCharge > 0,
       on_site_charges: on_site_charges > 0,
-      discount: appliedDiscount > 0
+      discount: appliedDiscount > 0,
+      taxes: taxTotal > 0
     }
   };
 };
@@ -351,6 +503,47 @@ export const calculateDistanceCharge = (base, distanceKm, isUrgent) => {
   return parseFloat((billableKm * perKmRate).toFixed(2));
 };
 
+/**
+ * Estimate cost across a set of scheduled service occurrences
+ * Skipped and paused occurrences are not billed and are reported separately
+ * so users can see what a pause or skip saves them.
+ * 
+ * @param {Object} params - Schedule cost parameters
+ * @param {Array} params.occurrences - Occurrences from the schedule engine
+ * @param {number} params.fee_per_service - Stored fee per service (optional, overrides estimate)
+ * @param {number} params.bin_size_liters - Size of bin in liters
+ * @param {boolean} params.is_urgent - Whether request is urgent
+ * @param {number} params.bag_count - Number of bins
+ * @returns {Object} Billable and excluded totals
+ * 
+ * @example
+ * getScheduleCostEstimate({ occurrences, bin_size_liters: 120 });
+ * // Returns: { per_service: 31.00, billable_count: 3, excluded_count: 1, billable_total: 93.00, excluded_total: 31.00 }
+ */
+export const getScheduleCostEstimate = ({
+  occurrences = [],
+  fee_per_service = null,
+  bin_size_liters,
+  is_urgent = false,
+  bag_count = 1
+}) => {
+  const storedFee = parseFloat(fee_per_service);
+  const perService = storedFee > 0
+    ? storedFee
+    : getCostBreakdown({ bin_size_liters, is_urgent, bag_count }).total;
+
+  const billableCount = occurrences.filter(o => o.status === 'scheduled').length;
+  const excludedCount = occurrences.filter(o => o.status === 'skipped' || o.status === 'paused').length;
+
+  return {
+    per_service: parseFloat(perService.toFixed(2)),
+    billable_count: billableCount,
+    excluded_count: excludedCount,
+    billable_total: parseFloat((perService * billableCount).toFixed(2)),
+    excluded_total: parseFloat((perService * excludedCount).toFixed(2))
+  };
+};
+
 /**
  * SOP v4.5.6 Constants Export
  * For use in server-side validation
@@ -390,6 +583,12 @@ export const SOP_CONSTANTS = {
  * @param {number} params.distance_km - Distance for urgent charge
  * @param {number} params.on_site_charges - Additional on-site charges
  * @param {number} params.discount_amount - Discount amount
+ * @param {string} params.user_id - User ID for welcome discount eligibility (optional)
+ * @param {number} params.welcome_discount_rate - Known welcome rate; skips the lookup when provided
+ * @param {Object} params.promo - Validated promo code (optional)
+ * @param {Object} params.tier - Customer's loyalty tier from get_user_tier (optional)
+ * @param {number} params.referral_credit - Available referral credit in GHS
+ * @param {Array<Object>} params.tax_rules - Tax/levy rules (default: active catalogue TAX_RULES)
  * @returns {Promise<Object>} Cost breakdown with GPS pricing info
  */
 export const getCostBreakdownWithGPS = async ({
@@ -402,9 +601,22 @@ export const getCostBreakdownWithGPS = async ({
   bag_count = 1,
   distance_km = 0,
   on_site_charges = 0,
-  discount_amount = 0
+  discount_amount = 0,
+  user_id = null,
+  welcome_discount_rate = null,
+  promo = null,
+  tier = null,
+  referral_credit = 0,
+  tax_rules = TAX_RULES
 }) => {
   const binCount = Math.max(1, parseInt(bag_count) || 1);
+
+  // Welcome discount eligibility (first 5 completed requests)
+  let welcomeRate = welcome_discount_rate || 0;
+  if (welcome_discount_rate === null && user_id) {
+    const { data: rate } = await discountService.getWelcomeDiscountMultiplier(user_id);
+    welcomeRate = rate;
+  }
   
   // Get base cost - try GPS pricing first, fallback to default
   let baseCost;
@@ -430,8 +642,13 @@ export const getCostBreakdownWithGPS = async ({
 
   // Core = Base + On-site - Discounts (capped at 80%)
   const coreBeforeDiscount = base + on_site_charges;
-  const maxDiscount = coreBeforeDiscount * DISCOUNT_CAP_PERCENTAGE;
-  const appliedDiscount = Math.min(discount_amount, maxDiscount);
+  const { discounts, applied: appliedDiscount, welcome: welcomeDiscount } =
+    applyDiscounts(base, coreBeforeDiscount, {
+      welcomeRate,
+      promo,
+      referralCredit: referral_credit,
+      discountAmount: discount_amount
+    });
   const core = Math.max(0, coreBeforeDiscount - appliedDiscount);
 
   // Urgent surcharge (30% of base, not core)
@@ -445,14 +662,23 @@ export const getCostBreakdownWithGPS = async ({
     distanceCharge = billableKm * perKmRate;
   }
 
-  // Request fee
-  const requestFee = REQUEST_FEE;
+  // Request fee, less its own discounts
+  const { requestFee, discounts: requestFeeDiscounts } = applyRequestFeeDiscounts({ tier, promo });
 
   // Subtotal
   const subtotal = core + urgentCharge + distanceCharge;
 
+  // Taxes and levies
+  const taxes = calculateTaxes({
+    core,
+    urgent_charge: urgentCharge,
+    distance_charge: distanceCharge,
+    request_fee: requestFee
+  }, tax_rules);
+  const taxTotal = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+
   // Total
-  const total = subtotal + requestFee;
+  const total = subtotal + requestFee + taxTotal;
 
   return {
     base: parseFloat(base.toFixed(2)),
@@ -460,13 +686,18 @@ export const getCostBreakdownWithGPS = async ({
     bin_count: binCount,
     on_site_charges: parseFloat(on_site_charges.toFixed(2)),
     discount_applied: parseFloat(appliedDiscount.toFixed(2)),
+    discounts,
+    welcome_discount: parseFloat(welcomeDiscount.toFixed(2)),
     core: parseFloat(core.toFixed(2)),
     urgent_charge: parseFloat(urgentCharge.toFixed(2)),
     distance_charge: parseFloat(distanceCharge.toFixed(2)),
     distance_km: distance_km,
     billable_km: is_urgent ? Math.max(0, Math.min(distance_km, DISTANCE_CAP_KM) - DISTANCE_THRESHOLD_KM) : 0,
     request_fee: requestFee,
+    request_fee_discounts: requestFeeDiscounts,
     subtotal: parseFloat(subtotal.toFixed(2)),
+    taxes,
+    tax_total: parseFloat(taxTotal.toFixed(2)),
     total: parseFloat(total.toFixed(2)),
     
     // GPS pricing info
@@ -479,7 +710,9 @@ export const getCostBreakdownWithGPS = async ({
       distance_charge: distanceCharge > 0,
       on_site_charges: on_site_charges > 0,
       discount: appliedDiscount > 0,
-      gps_pricing: pricingSource === 'gps'
+      taxes: taxTotal > 0,
+      gps_pricing: pricingSource === 'gps',
+      snapshot_pricing: pricingSource === 'snapshot'
     }
   };
 };
@@ -519,6 +752,8 @@ export default {
   getLocationPrices,          // Get all bin prices for a location
   getGPSBaseCost,             // Get GPS-based base cost
   calculateDistanceCharge,
+  calculatePromoDiscount,     // Promo code value before the 80% cap
+  getScheduleCostEstimate,    // Billable vs skipped/paused totals for a schedule
   formatCurrency,
   getRecommendedBinSize,
   SOP_CONSTANTS
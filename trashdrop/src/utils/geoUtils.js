@@ -152,3 +152,97 @@ export function formatDistance(distance) {
   }
   return `${distance}m`;
 }
+
+/**
+ * Great-circle distance in km (haversine, as used by find_nearest_pricing_zone)
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number} Distance in km
+ */
+export function haversineKm(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Ray casting against one ring of [lng, lat] positions. Points on an edge count as inside.
+function pointInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const onSegment =
+      (lng - xi) * (yj - yi) === (lat - yi) * (xj - xi) &&
+      lng >= Math.min(xi, xj) && lng <= Math.max(xi, xj) &&
+      lat >= Math.min(yi, yj) && lat <= Math.max(yi, yj);
+    if (onSegment) return true;
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point lies inside a GeoJSON Polygon or MultiPolygon (holes excluded).
+ * Same rules as the point_in_boundary database function.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} geometry - GeoJSON geometry with [lng, lat] positions
+ * @returns {boolean}
+ */
+export function pointInGeometry(lat, lng, geometry) {
+  if (!geometry) return false;
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+  return polygons.some((rings) =>
+    pointInRing(lat, lng, rings[0]) && !rings.slice(1).some((hole) => pointInRing(lat, lng, hole))
+  );
+}
+
+const boundaryArea = (geometry) => {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const lngs = [];
+  const lats = [];
+  polygons.forEach((rings) => rings[0].forEach(([lng, lat]) => { lngs.push(lng); lats.push(lat); }));
+  return (Math.max(...lngs) - Math.min(...lngs)) * (Math.max(...lats) - Math.min(...lats));
+};
+
+/**
+ * Resolve the pricing zone for a point from a list of zones, like find_pricing_zone:
+ * the smallest active boundary containing the point wins, else the nearest active
+ * centre in range. Kept in step with netlify/functions/lib/pricingZones.js by
+ * src/services/__tests__/pricingZones.test.js.
+ * @param {Array<Object>} zones - Pricing zone rows (boundary optional)
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} maxDistanceKm - Range for the nearest-centre fallback
+ * @returns {Object|null} Zone plus distance_km and match_type ('polygon' | 'nearest')
+ */
+export function resolvePricingZone(zones, lat, lng, maxDistanceKm) {
+  const active = zones.filter((zone) => zone.is_active !== false);
+  const withDistance = (zone) => ({
+    ...zone,
+    distance_km: zone.latitude != null && zone.longitude != null
+      ? haversineKm(lat, lng, Number(zone.latitude), Number(zone.longitude))
+      : null
+  });
+
+  const containing = active
+    .filter((zone) => zone.boundary && pointInGeometry(lat, lng, zone.boundary))
+    .sort((a, b) => boundaryArea(a.boundary) - boundaryArea(b.boundary));
+  if (containing.length > 0) {
+    return { ...withDistance(containing[0]), match_type: 'polygon' };
+  }
+
+  const nearest = active
+    .filter((zone) => zone.latitude != null && zone.longitude != null)
+    .map(withDistance)
+    .filter((zone) => zone.distance_km <= maxDistanceKm)
+    .sort((a, b) => a.distance_km - b.distance_km)[0];
+  return nearest ? { ...nearest, match_type: 'nearest' } : null;
+}
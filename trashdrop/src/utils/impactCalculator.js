@@ -0,0 +1,188 @@
+/**
+ * Environmental impact calculator
+ * Converts a household's completed pickups and digital bins into kilograms collected and
+ * diverted from landfill, estimated CO2e avoided and recycling rate.
+ *
+ * Weights recorded at completion (recyclables weighed by material, see recyclablesService)
+ * are used where they exist; otherwise bags are converted with an average weight per bag
+ * for the waste type. CO2e factors are conservative estimates of emissions avoided
+ * compared with open dumping and burning, so figures are indicative only.
+ */
+
+/**
+ * Average kg per bag, by waste type
+ */
+export const KG_PER_BAG = {
+  general: 8,
+  recycling: 5,
+  organic: 10
+};
+
+/**
+ * Estimated kg CO2e avoided per kg collected, by waste type
+ */
+export const CO2E_PER_KG = {
+  general: 0.1,     // Managed disposal instead of open dumping/burning
+  recycling: 1.0,   // Mixed recyclables
+  organic: 0.5      // Composted instead of landfilled
+};
+
+/**
+ * Estimated kg CO2e avoided per kg of a weighed recyclable material
+ * (codes match recyclable_materials)
+ */
+export const CO2E_PER_KG_BY_MATERIAL = {
+  pet: 1.5,
+  hdpe: 1.4,
+  aluminium: 9.0,
+  scrap_metal: 1.8,
+  cardboard: 0.9,
+  paper: 0.9,
+  glass: 0.3
+};
+
+/**
+ * Chart periods and how many of each are shown
+ */
+export const IMPACT_PERIODS = {
+  week: { label: 'Weekly', count: 8 },
+  month: { label: 'Monthly', count: 6 }
+};
+
+const round1 = (value) => Math.round((Number(value) || 0) * 10) / 10;
+
+/**
+ * Map the waste types used across pickups and bins onto general, recycling or organic
+ * @param {string} wasteType - e.g. 'recycling', 'Recyclables', 'plastic', 'organic'
+ * @returns {'general'|'recycling'|'organic'}
+ */
+export const normalizeWasteType = (wasteType) => {
+  const type = String(wasteType || '').toLowerCase();
+  if (/recycl|plastic|paper|glass|metal/.test(type)) return 'recycling';
+  if (/organic|food|green|garden|compost/.test(type)) return 'organic';
+  return 'general';
+};
+
+/**
+ * Impact of one completed pickup. Recorded recyclables count towards recycling; the
+ * pickup weighs at least its recorded weight, and a recycling pickup's recorded weight
+ * replaces the per-bag estimate.
+ * @param {Object} pickup
+ * @param {number} pickup.bagCount - Bags collected
+ * @param {string} pickup.wasteType - Waste type of the pickup
+ * @param {Array} pickup.recordedItems - Weighed recyclables [{material, weightKg}]
+ * @returns {{totalKg: number, recyclingKg: number, organicKg: number, divertedKg: number, co2eKg: number}}
+ */
+export const calculatePickupImpact = ({ bagCount, wasteType, recordedItems = [] }) => {
+  const type = normalizeWasteType(wasteType);
+  const bags = Math.max(Number(bagCount) || 1, 1);
+  const estimatedKg = bags * KG_PER_BAG[type];
+  const recordedKg = recordedItems.reduce((sum, item) => sum + (Number(item.weightKg) || 0), 0);
+
+  const totalKg = type === 'recycling' && recordedKg > 0 ? recordedKg : Math.max(estimatedKg, recordedKg);
+  const recyclingKg = type === 'recycling' ? totalKg : recordedKg;
+  const organicKg = type === 'organic' ? totalKg - recyclingKg : 0;
+  const otherKg = totalKg - recyclingKg - organicKg;
+
+  // Weighed materials use their own factor; the rest of the pickup its waste type's
+  const recordedCo2e = recordedItems.reduce(
+    (sum, item) => sum + (Number(item.weightKg) || 0) * (CO2E_PER_KG_BY_MATERIAL[item.material] ?? CO2E_PER_KG.recycling),
+    0
+  );
+  const co2eKg = recordedCo2e
+    + (recyclingKg - recordedKg) * CO2E_PER_KG.recycling
+    + organicKg * CO2E_PER_KG.organic
+    + otherKg * CO2E_PER_KG.general;
+
+  return {
+    totalKg,
+    recyclingKg,
+    organicKg,
+    divertedKg: recyclingKg + organicKg,
+    co2eKg
+  };
+};
+
+/**
+ * Totals over a set of pickups
+ * @param {Array} pickups - Pickups as accepted by calculatePickupImpact
+ * @returns {{pickups: number, bags: number, totalKg: number, divertedKg: number,
+ *   recyclingKg: number, co2eKg: number, recyclingRate: number}} Weights rounded to 0.1 kg;
+ *   recyclingRate is a percentage of the kg collected
+ */
+export const summarizeImpact = (pickups) => {
+  const totals = (pickups || []).reduce((acc, pickup) => {
+    const impact = calculatePickupImpact(pickup);
+    acc.bags += Math.max(Number(pickup.bagCount) || 1, 1);
+    acc.totalKg += impact.totalKg;
+    acc.divertedKg += impact.divertedKg;
+    acc.recyclingKg += impact.recyclingKg;
+    acc.co2eKg += impact.co2eKg;
+    return acc;
+  }, { bags: 0, totalKg: 0, divertedKg: 0, recyclingKg: 0, co2eKg: 0 });
+
+  return {
+    pickups: (pickups || []).length,
+    bags: totals.bags,
+    totalKg: round1(totals.totalKg),
+    divertedKg: round1(totals.divertedKg),
+    recyclingKg: round1(totals.recyclingKg),
+    co2eKg: round1(totals.co2eKg),
+    recyclingRate: totals.totalKg > 0 ? Math.round((totals.recyclingKg / totals.totalKg) * 100) : 0
+  };
+};
+
+/**
+ * Start of the week (Monday) or month containing a date, in local time
+ * @param {Date} date
+ * @param {'week'|'month'} period
+ * @returns {Date}
+ */
+export const periodStart = (date, period) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), period === 'month' ? 1 : date.getDate());
+  if (period === 'week') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start;
+};
+
+/**
+ * Impact per week or month for the chart, oldest first, ending with the current period
+ * @param {Array} pickups - Pickups with completedAt plus the calculatePickupImpact fields
+ * @param {'week'|'month'} period
+ * @param {Date} now - Reference date
+ * @returns {Array<Object>} summarizeImpact totals with start and label per period
+ */
+export const bucketImpact = (pickups, period = 'week', now = new Date()) => {
+  const { count } = IMPACT_PERIODS[period] || IMPACT_PERIODS.week;
+  const current = periodStart(now, period);
+  const starts = Array.from({ length: count }, (_, index) => {
+    const start = new Date(current);
+    if (period === 'month') {
+      start.setMonth(start.getMonth() - (count - 1 - index));
+    } else {
+      start.setDate(start.getDate() - 7 * (count - 1 - index));
+    }
+    return start;
+  });
+
+  return starts.map((start) => {
+    const inPeriod = (pickups || []).filter((pickup) =>
+      periodStart(new Date(pickup.completedAt), period).getTime() === start.getTime()
+    );
+    return {
+      start,
+      label: period === 'month'
+        ? start.toLocaleDateString(undefined, { month: 'short' })
+        : start.toLocaleDateString(undefined, { day: 'numeric', month: 'short' }),
+      ...summarizeImpact(inPeriod)
+    };
+  });
+};
+
+export default {
+  normalizeWasteType,
+  calculatePickupImpact,
+  summarizeImpact,
+  bucketImpact
+};
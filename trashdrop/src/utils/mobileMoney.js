@@ -0,0 +1,51 @@
+/**
+ * Mobile Money
+ * Ghanaian mobile money networks and phone number handling.
+ *
+ * The network table lives in mobileMoneyNetworks.json so the payments function
+ * (netlify/functions/lib/paymentProviders.js) validates numbers the same way.
+ */
+
+import networkCatalogue from './mobileMoneyNetworks.json';
+
+/**
+ * Networks customers can pay with: { code, label }
+ */
+export const MOBILE_MONEY_NETWORKS = Object.freeze(
+  networkCatalogue.networks.map(({ code, label }) => Object.freeze({ code, label }))
+);
+
+/**
+ * Display name for a network code
+ * @param {string} code - Network code
+ * @returns {string} Label, or the code itself when unknown
+ */
+export const getNetworkLabel = (code) =>
+  MOBILE_MONEY_NETWORKS.find((network) => network.code === code)?.label || code;
+
+/**
+ * Normalise a Ghanaian mobile number to international format without the plus
+ * @param {string} input - e.g. "024 123 4567", "+233241234567"
+ * @returns {string|null} e.g. "233241234567", or null when not a valid mobile number
+ */
+export const normalizeMsisdn = (input) => {
+  const digits = String(input || '').replace(/[^\d]/g, '');
+  const local = digits.startsWith(networkCatalogue.country_code)
+    ? `0${digits.slice(networkCatalogue.country_code.length)}`
+    : digits;
+  if (!/^0\d{9}$/.test(local)) return null;
+  return `${networkCatalogue.country_code}${local.slice(1)}`;
+};
+
+/**
+ * Network a mobile number belongs to, from its prefix
+ * @param {string} msisdn - Any format accepted by normalizeMsisdn
+ * @returns {string|null} Network code ('mtn', 'telecel', 'airteltigo')
+ */
+export const detectMobileNetwork = (msisdn) => {
+  const normalized = normalizeMsisdn(msisdn);
+  if (!normalized) return null;
+  const prefix = `0${normalized.slice(networkCatalogue.country_code.length, networkCatalogue.country_code.length + 2)}`;
+  const network = networkCatalogue.networks.find((entry) => entry.prefixes.includes(prefix));
+  return network ? network.code : null;
+};
@@ -6,7 +6,7 @@
 
 // Constants for IndexedDB
 const DB_NAME = 'trashdrop_offline_db';
-const DB_VERSION = 4; // Incremented for new stores: batches, bags, batch_count
+const DB_VERSION = 5; // Incremented for new stores: pricing_zones, pricing_snapshot
 const REPORTS_STORE = 'dumping_reports';
 const LOCATIONS_STORE = 'saved_locations';
 const SYNC_QUEUE_STORE = 'sync_queue';
@@ -15,6 +15,8 @@ const USER_ACTIVITY_STORE = 'user_activity';
 const BATCHES_STORE = 'batches';
 const BAGS_STORE = 'bags';
 const BATCH_COUNT_STORE = 'batch_count';
+const PRICING_ZONES_STORE = 'pricing_zones';
+const PRICING_SNAPSHOT_STORE = 'pricing_snapshot';
 
 /**
  * Initialize IndexedDB
@@ -95,6 +97,17 @@ const initDB = () => {
         console.log('Creating batch_count store');
         db.createObjectStore(BATCH_COUNT_STORE, { keyPath: 'id' });
       }
+
+      // Offline copy of pricing_zones for quoting without network
+      if (!db.objectStoreNames.contains(PRICING_ZONES_STORE)) {
+        console.log('Creating pricing zones store');
+        db.createObjectStore(PRICING_ZONES_STORE, { keyPath: 'id' });
+      }
+
+      if (!db.objectStoreNames.contains(PRICING_SNAPSHOT_STORE)) {
+        console.log('Creating pricing snapshot store');
+        db.createObjectStore(PRICING_SNAPSHOT_STORE, { keyPath: 'id' });
+      }
     };
   });
 };
@@ -521,6 +534,70 @@ export const getCachedBatchCount = async (id = 'singleton') => {
   });
 };
 
+// -----------------------
+// Pricing zone snapshot helpers
+// -----------------------
+
+/**
+ * Apply a full snapshot or delta of pricing zones and record its metadata
+ * @param {Object} snapshot
+ * @param {Array} snapshot.zones - Zones to add or replace
+ * @param {Array<string>} snapshot.removedIds - Zone IDs to drop
+ * @param {boolean} snapshot.full - Replace every stored zone instead of merging
+ * @param {Object} snapshot.meta - Metadata stored with the snapshot (version, synced_at, ...)
+ * @returns {Promise<Object>} - Stored metadata including zone_count
+ */
+export const savePricingZoneSnapshot = async ({ zones = [], removedIds = [], full = false, meta = {} }) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([PRICING_ZONES_STORE, PRICING_SNAPSHOT_STORE], 'readwrite');
+    const zoneStore = tx.objectStore(PRICING_ZONES_STORE);
+    const metaStore = tx.objectStore(PRICING_SNAPSHOT_STORE);
+    const storedMeta = { ...meta, id: 'singleton' };
+
+    if (full) zoneStore.clear();
+    removedIds.forEach((id) => zoneStore.delete(id));
+    zones.forEach((zone) => zoneStore.put(zone));
+
+    const countReq = zoneStore.count();
+    countReq.onsuccess = () => {
+      storedMeta.zone_count = countReq.result;
+      metaStore.put(storedMeta);
+    };
+
+    tx.oncomplete = () => resolve(storedMeta);
+    tx.onerror = (e) => reject(e.target.error);
+  });
+};
+
+/**
+ * Get the stored pricing zone snapshot metadata
+ * @returns {Promise<Object|null>} - { version, synced_at, zone_count, ... } or null if none
+ */
+export const getPricingZoneSnapshotMeta = async () => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([PRICING_SNAPSHOT_STORE], 'readonly');
+    const req = tx.objectStore(PRICING_SNAPSHOT_STORE).get('singleton');
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = (e) => reject(e.target.error);
+  });
+};
+
+/**
+ * Get every zone in the pricing zone snapshot
+ * @returns {Promise<Array>} - Stored zones
+ */
+export const getCachedPricingZones = async () => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([PRICING_ZONES_STORE], 'readonly');
+    const req = tx.objectStore(PRICING_ZONES_STORE).getAll();
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = (e) => reject(e.target.error);
+  });
+};
+
 /**
  * Cache user stats for offline access
  * @param {string} userId - User ID
@@ -887,6 +964,9 @@ const offlineStorageAPI = {
   getCachedBags,
   cacheBatchCount,
   getCachedBatchCount,
+  savePricingZoneSnapshot,
+  getPricingZoneSnapshotMeta,
+  getCachedPricingZones,
   // Expose sync queue readers for services like batchService
   getAllSyncQueue,
   getSyncQueueByOperation,
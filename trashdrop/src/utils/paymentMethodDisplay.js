@@ -0,0 +1,36 @@
+/**
+ * Payment Method Display
+ * Saved payment methods only hold a provider token and display fields
+ * (last4, expiry, brand); these helpers build what the UI shows from them.
+ */
+
+import { getNetworkLabel } from './mobileMoney.js';
+
+/**
+ * Fields a payment method may persist in payment_methods.details
+ * (enforced by the enforce_tokenised_payment_details trigger)
+ */
+export const STORED_PAYMENT_DETAIL_KEYS = Object.freeze(['token', 'last4', 'expiry', 'brand']);
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+/**
+ * Masked label for a saved payment method, e.g. "MTN MoMo •••• 4567"
+ * @param {Object} method - payment_methods row
+ * @returns {string}
+ */
+export const maskPaymentMethod = (method) => {
+  const name = method.type === 'mobile'
+    ? getNetworkLabel(method.provider)
+    : capitalize(method.details?.brand || method.provider);
+  const last4 = /^\d{4}$/.test(method.details?.last4 || '') ? method.details.last4 : null;
+  return last4 ? `${name} •••• ${last4}` : name;
+};
+
+/**
+ * Card expiry for display
+ * @param {Object} method - payment_methods row
+ * @returns {string|null} e.g. "Expires 08/27", or null for methods without one
+ */
+export const formatPaymentMethodExpiry = (method) =>
+  method.type === 'card' && method.details?.expiry ? `Expires ${method.details.expiry}` : null;
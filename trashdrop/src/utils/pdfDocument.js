@@ -0,0 +1,131 @@
+/**
+ * PDF Document
+ * Minimal text-only PDF writer for receipts and statements. Uses the built-in
+ * Courier fonts (fixed width), so columns can be right-aligned without font
+ * metrics and no PDF library is needed.
+ */
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 48;
+const CHAR_WIDTH = 0.6; // Courier advance width per point of font size
+
+// Characters outside Latin-1 have no glyph in the standard fonts
+const toLatin1 = (text) => String(text ?? '')
+  .replace(/GH₵/g, 'GHS')
+  .replace(/₵/g, 'GHS')
+  .replace(/[•·]/g, '*')
+  .replace(/[–—]/g, '-')
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const escapePdfText = (text) => toLatin1(text).replace(/([\\()])/g, '\\$1');
+
+const textWidth = (text, size) => toLatin1(text).length * size * CHAR_WIDTH;
+
+/**
+ * Line height for a row
+ * @param {Object} row
+ * @returns {number}
+ */
+const rowHeight = (row) => (row.gap ?? 0) + (row.size || 10) * 1.5;
+
+/**
+ * Content stream operators for one row: left text, optional right-aligned text
+ */
+const rowOperators = (row, y) => {
+  const size = row.size || 10;
+  const font = row.bold ? 'F2' : 'F1';
+  const ops = [];
+  if (row.left) {
+    ops.push(`BT /${font} ${size} Tf ${MARGIN} ${y.toFixed(2)} Td (${escapePdfText(row.left)}) Tj ET`);
+  }
+  if (row.right) {
+    const x = PAGE_WIDTH - MARGIN - textWidth(row.right, size);
+    ops.push(`BT /${font} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapePdfText(row.right)}) Tj ET`);
+  }
+  if (row.rule) {
+    ops.push(`${MARGIN} ${(y - 4).toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${(y - 4).toFixed(2)} l S`);
+  }
+  return ops;
+};
+
+/**
+ * Lay rows out over as many pages as needed
+ * @param {Array<Object>} rows
+ * @returns {Array<string>} Content stream per page
+ */
+const paginate = (rows) => {
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  rows.forEach((row) => {
+    const height = rowHeight(row);
+    if (y - height < MARGIN && ops.length) {
+      pages.push(ops.join('\n'));
+      ops = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+    ops.push(...rowOperators(row, y));
+  });
+
+  pages.push(ops.join('\n'));
+  return pages;
+};
+
+/**
+ * Build a PDF from rows of text
+ *
+ * @param {Array<Object>} rows - { left, right, size, bold, gap, rule }
+ *   left/right: text drawn at the left margin / right-aligned to the right margin
+ *   size: font size in points (default 10); bold: use Courier-Bold
+ *   gap: extra space above the row; rule: draw a line under the row
+ * @param {Object} options
+ * @param {string} options.title - Document title metadata
+ * @returns {Uint8Array} PDF file bytes
+ *
+ * @example
+ * createPdf([{ left: 'Receipt', size: 16, bold: true }, { left: 'Base', right: 'GHS 25.00' }]);
+ */
+export const createPdf = (rows, { title = '' } = {}) => {
+  const pageStreams = paginate(rows);
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title (${escapePdfText(title)}) /Producer (TrashDrop) >>`);
+
+  const pageIds = pageStreams.map((stream) => {
+    const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Every character is a single Latin-1 byte, so string length is the byte offset
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Uint8Array.from(output, (char) => char.charCodeAt(0) & 0xff);
+};
@@ -0,0 +1,120 @@
+/**
+ * Pricing Catalogue
+ * Single source for the bin sizes TrashDrop sells, their default base prices and
+ * the tax/levy rules charged on top.
+ *
+ * The data lives in pricingCatalogue.json so the digital-bin-quote function
+ * (netlify/functions/lib/quotePricing.js) reads the same table. Every size must
+ * have a default price, a pricing_zones price_<liters>l column and be allowed by
+ * digital_bins.check_bin_size; src/utils/__tests__/pricingCatalogue.test.js
+ * enforces this.
+ */
+
+import catalogue from './pricingCatalogue.json';
+
+/**
+ * Currency for all catalogue prices
+ */
+export const CURRENCY = catalogue.currency;
+
+/**
+ * Size used when an unknown size is requested
+ */
+export const DEFAULT_BIN_SIZE = catalogue.default_bin_size;
+
+/**
+ * Catalogue entries: { liters, label, default_price }
+ */
+export const BIN_SIZE_CATALOGUE = Object.freeze(catalogue.bin_sizes.map(entry => Object.freeze({ ...entry })));
+
+/**
+ * Selectable bin sizes in liters, ascending
+ */
+export const BIN_SIZES = Object.freeze(BIN_SIZE_CATALOGUE.map(entry => entry.liters));
+
+/**
+ * Default base price per bin by size (GHS), used when no pricing zone applies
+ */
+export const DEFAULT_BASE_PRICES = Object.freeze(
+  BIN_SIZE_CATALOGUE.reduce((prices, entry) => ({ ...prices, [entry.liters]: entry.default_price }), {})
+);
+
+/**
+ * Breakdown components a tax rule may apply to when it has no applies_to list
+ */
+export const TAXABLE_COMPONENTS = Object.freeze([...catalogue.taxable_components]);
+
+/**
+ * Active tax and levy rules, in the order they are charged:
+ * { code, label, rate, applies_to }. applies_to lists breakdown components
+ * (TAXABLE_COMPONENTS) and/or codes of earlier rules, e.g. VAT on top of levies.
+ * Inactive rules stay in the catalogue but are not charged.
+ *
+ * NHIL, GETFund and VAT are all inactive on purpose: SOP v4.5.6 sets the tax
+ * rate to 0% until TrashDrop is VAT-registered. Set "active": true on all three
+ * together when it is; quotes and estimates pick the change up without code edits.
+ */
+export const TAX_RULES = Object.freeze(
+  catalogue.tax_rules
+    .filter(rule => rule.active)
+    .map(({ active, ...rule }) => Object.freeze({ ...rule, applies_to: Object.freeze([...(rule.applies_to || TAXABLE_COMPONENTS)]) }))
+);
+
+/**
+ * Whether a size is in the catalogue
+ * 
+ * @param {number} liters - Bin size in liters
+ * @returns {boolean}
+ */
+export const isValidBinSize = (liters) => BIN_SIZES.includes(liters);
+
+/**
+ * Default base price for a size, falling back to the default size's price
+ * 
+ * @param {number} liters - Bin size in liters
+ * @returns {number} Price in GHS
+ * 
+ * @example
+ * getDefaultBasePrice(240);
+ * // Returns: 40
+ */
+export const getDefaultBasePrice = (liters) => {
+  return DEFAULT_BASE_PRICES[liters] ?? DEFAULT_BASE_PRICES[DEFAULT_BIN_SIZE];
+};
+
+/**
+ * pricing_zones column holding a zone's price for a size
+ * 
+ * @param {number} liters - Bin size in liters
+ * @returns {string}
+ * 
+ * @example
+ * getZonePriceColumn(120);
+ * // Returns: "price_120l"
+ */
+export const getZonePriceColumn = (liters) => `price_${liters}l`;
+
+/**
+ * Size category label, e.g. "Standard (Recommended)"
+ * 
+ * @param {number} liters - Bin size in liters
+ * @returns {string}
+ */
+export const getBinSizeCategory = (liters) => {
+  const entry = BIN_SIZE_CATALOGUE.find(item => item.liters === liters);
+  return entry ? entry.label : 'Standard';
+};
+
+export default {
+  CURRENCY,
+  DEFAULT_BIN_SIZE,
+  BIN_SIZE_CATALOGUE,
+  BIN_SIZES,
+  DEFAULT_BASE_PRICES,
+  isValidBinSize,
+  getDefaultBasePrice,
+  getZonePriceColumn,
+  getBinSizeCategory,
+  TAXABLE_COMPONENTS,
+  TAX_RULES
+};
@@ -378,6 +378,21 @@ export function subscribeToRewardsUpdates(userId, onUpdate) {
           }
         }
       )
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'points_ledger',
+          filter: `user_id=eq.${userId}`
+        },
+        (payload) => {
+          if (typeof onUpdate === 'function') {
+            console.log('[Realtime] Points ledger entry received');
+            onUpdate('points_ledger', payload);
+          }
+        }
+      )
       .subscribe((status) => {
         if (status === 'SUBSCRIBED') {
           console.log(`[Realtime] Successfully subscribed to rewards updates for ${userId}`);
@@ -415,7 +430,7 @@ export function subscribeToRewardsUpdates(userId, onUpdate) {
 
 /**
  * Handle rewards update payload and update the local state
- * @param {string} tableType - The table that was updated (rewards, reward_redemptions, profiles)
+ * @param {string} tableType - The table that was updated (rewards, reward_redemptions, profiles, points_ledger)
  * @param {object} payload - The payload from the real-time subscription
  * @param {object} currentData - The current rewards data state object
  * @returns {object} The updated rewards data object
@@ -472,6 +487,13 @@ export function handleRewardsUpdate(tableType, payload, currentData) {
       }
       break;
       
+    case 'points_ledger':
+      // Apply the new ledger entry to the balance
+      if (newRecord && newRecord.points) {
+        updatedData.userPoints = (updatedData.userPoints || 0) + newRecord.points;
+      }
+      break;
+      
     default:
       return currentData;
   }
@@ -0,0 +1,233 @@
+/**
+ * Receipt Generator
+ * Itemised receipts for completed digital bin pickups, built from the cost
+ * breakdown stored with the bin's quote, and for completed pickup requests,
+ * which only carry their fee. Renders to HTML or PDF; receiptService loads the
+ * data and downloads the file.
+ *
+ * The stored breakdown comes from digital_bin_quotes_client, which has already
+ * folded any surge into base and left out collector payouts.
+ */
+
+import { formatCurrency, getBinSizeLabelShort } from './costCalculator.js';
+import { createPdf } from './pdfDocument.js';
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Receipt number shown to customers, e.g. "TD-1A2B3C4D-20261019"
+ * @param {string} binId - digital_bins ID
+ * @param {string|Date} issuedAt - Collection date
+ * @returns {string}
+ */
+export const getReceiptNumber = (binId, issuedAt) => {
+  const date = new Date(issuedAt).toISOString().slice(0, 10).replace(/-/g, '');
+  return `TD-${String(binId).replace(/-/g, '').slice(0, 8).toUpperCase()}-${date}`;
+};
+
+/**
+ * Assemble a receipt from a completed digital bin
+ *
+ * @param {Object} params
+ * @param {Object} params.bin - digital_bins row (fee, taxes, sizes, status, collected_at, ...)
+ * @param {Object} params.breakdown - Stored quote breakdown (digital_bin_quotes_client.breakdown)
+ * @param {Object} params.collector - collector_profiles row (optional)
+ * @param {Object} params.location - bin_locations row (optional)
+ * @returns {Object} Receipt with line items, discounts, taxes and total
+ */
+export const buildReceipt = ({ bin, breakdown = null, collector = null, location = null }) => {
+  const issuedAt = bin.collected_at || bin.updated_at || bin.created_at;
+  const binCount = breakdown?.bin_count || bin.bag_count || 1;
+  const items = [];
+  const addItem = (code, label, amount) => {
+    if (round2(amount) > 0) items.push({ code, label, amount: round2(amount) });
+  };
+
+  if (breakdown) {
+    addItem('base', `Base (${getBinSizeLabelShort(bin.bin_size_liters)} × ${binCount})`, breakdown.base);
+    addItem('urgent', 'Urgent surcharge (30%)', breakdown.urgent_charge);
+    addItem('distance', `Distance (${Number(breakdown.billable_km || 0).toFixed(1)} km)`, breakdown.distance_charge);
+    addItem('on_site', 'On-site charges', breakdown.on_site_charges);
+    addItem('request_fee', 'Request fee', breakdown.request_fee);
+  } else {
+    // Bins created before quotes were stored only carry the total
+    addItem('service', `Collection service (${getBinSizeLabelShort(bin.bin_size_liters)} × ${binCount})`, Number(bin.fee) - Number(bin.tax_total || 0));
+  }
+
+  const discounts = (breakdown?.discounts || [])
+    .filter((discount) => round2(discount.amount) > 0)
+    .map(({ code, label, amount }) => ({ code, label, amount: round2(amount) }));
+
+  const taxes = (bin.taxes?.length ? bin.taxes : breakdown?.taxes || [])
+    .filter((tax) => round2(tax.amount) > 0)
+    .map(({ code, label, rate, amount }) => ({ code, label, rate, amount: round2(amount) }));
+
+  const collectorName = collector
+    ? [collector.first_name, collector.last_name].filter(Boolean).join(' ') || null
+    : null;
+
+  return {
+    number: getReceiptNumber(bin.id, issuedAt),
+    issued_at: new Date(issuedAt).toISOString(),
+    bin_id: bin.id,
+    service: {
+      bin_size: getBinSizeLabelShort(bin.bin_size_liters),
+      bin_count: binCount,
+      waste_type: bin.waste_type || 'general',
+      frequency: bin.frequency || null,
+      is_urgent: !!bin.is_urgent,
+      location: location?.location_name || null,
+      address: location?.address || null
+    },
+    collector: collectorName
+      ? { name: collectorName, vehicle: [collector.vehicle_type, collector.vehicle_plate].filter(Boolean).join(' · ') || null }
+      : null,
+    items,
+    discounts,
+    taxes,
+    tax_total: round2(taxes.reduce((sum, tax) => sum + tax.amount, 0)),
+    total: round2(bin.fee ?? breakdown?.total),
+    // Paid to the collector on top of the total
+    tip: round2(bin.collector_tips),
+    payment: bin.payment_method
+      ? { method: bin.payment_method, status: bin.payment_status || null }
+      : null
+  };
+};
+
+/**
+ * Assemble a receipt from a completed pickup request
+ *
+ * Pickup requests have no stored quote, so the fee is a single line item.
+ *
+ * @param {Object} params
+ * @param {Object} params.pickup - pickup_requests row (fee, bag_count, waste_type, address, disposed_at, ...)
+ * @param {Object} params.collector - collector_profiles row (optional)
+ * @returns {Object} Receipt in the same shape as buildReceipt
+ */
+export const buildPickupRequestReceipt = ({ pickup, collector = null }) => {
+  const issuedAt = pickup.disposed_at || pickup.picked_up_at || pickup.updated_at || pickup.created_at;
+  const bagCount = pickup.bag_count || 1;
+  const fee = round2(pickup.fee);
+
+  const collectorName = collector
+    ? [collector.first_name, collector.last_name].filter(Boolean).join(' ') || null
+    : null;
+
+  return {
+    number: getReceiptNumber(pickup.id, issuedAt),
+    issued_at: new Date(issuedAt).toISOString(),
+    pickup_request_id: pickup.id,
+    service: {
+      bin_size: null,
+      bin_count: bagCount,
+      waste_type: pickup.waste_type || 'general',
+      frequency: null,
+      is_urgent: false,
+      location: null,
+      address: pickup.address || null
+    },
+    collector: collectorName
+      ? { name: collectorName, vehicle: [collector.vehicle_type, collector.vehicle_plate].filter(Boolean).join(' · ') || null }
+      : null,
+    items: fee > 0 ? [{ code: 'service', label: `Pickup (${bagCount} ${bagCount === 1 ? 'bag' : 'bags'})`, amount: fee }] : [],
+    discounts: [],
+    taxes: [],
+    tax_total: 0,
+    total: fee,
+    tip: 0,
+    payment: null
+  };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ') : '');
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+/**
+ * Rows shared by the HTML and PDF renderings: [label, amount, kind]
+ */
+const receiptRows = (receipt) => [
+  ...receipt.items.map((item) => [item.label, formatCurrency(item.amount), 'item']),
+  ...receipt.discounts.map((discount) => [discount.label, `-${formatCurrency(discount.amount)}`, 'discount']),
+  ...receipt.taxes.map((tax) => [tax.label, formatCurrency(tax.amount), 'tax'])
+];
+
+const serviceDetails = (receipt) => [
+  ['Service', `${receipt.service.bin_size
+    ? `${receipt.service.bin_size} × ${receipt.service.bin_count}`
+    : `${receipt.service.bin_count} ${receipt.service.bin_count === 1 ? 'bag' : 'bags'}`} · ${capitalize(receipt.service.waste_type)}${receipt.service.is_urgent ? ' · Urgent' : ''}`],
+  receipt.service.frequency && ['Schedule', capitalize(receipt.service.frequency)],
+  (receipt.service.location || receipt.service.address) && ['Location', [receipt.service.location, receipt.service.address].filter(Boolean).join(', ')],
+  receipt.collector && ['Collector', receipt.collector.name],
+  receipt.payment && ['Paid with', `${capitalize(receipt.payment.method)}${receipt.payment.status ? ` (${receipt.payment.status})` : ''}`]
+].filter(Boolean);
+
+/**
+ * Standalone HTML document for a receipt
+ * @param {Object} receipt - From buildReceipt
+ * @returns {string}
+ */
+export const receiptToHtml = (receipt) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>TrashDrop receipt ${escapeHtml(receipt.number)}</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111827; max-width: 480px; margin: 32px auto; padding: 0 16px; }
+  h1 { font-size: 20px; margin: 0; color: #16a34a; }
+  .meta { color: #6b7280; font-size: 13px; margin: 4px 0 20px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  td { padding: 6px 0; }
+  td.amount { text-align: right; white-space: nowrap; }
+  tr.discount td { color: #16a34a; }
+  tr.total td { border-top: 1px solid #d1d5db; font-weight: 600; font-size: 16px; padding-top: 10px; }
+  dl { display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; font-size: 13px; margin: 0 0 20px; }
+  dt { color: #6b7280; }
+  dd { margin: 0; }
+  footer { color: #6b7280; font-size: 12px; margin-top: 24px; }
+</style>
+</head>
+<body>
+<h1>TrashDrop</h1>
+<p class="meta">Receipt ${escapeHtml(receipt.number)} · ${escapeHtml(formatDate(receipt.issued_at))}</p>
+<dl>
+${serviceDetails(receipt).map(([label, value]) => `  <dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n')}
+</dl>
+<table>
+${receiptRows(receipt).map(([label, amount, kind]) => `  <tr class="${kind}"><td>${escapeHtml(label)}</td><td class="amount">${escapeHtml(amount)}</td></tr>`).join('\n')}
+  <tr class="total"><td>Total</td><td class="amount">${escapeHtml(formatCurrency(receipt.total))}</td></tr>
+${receipt.tip > 0 ? `  <tr class="item"><td>Tip for collector (paid separately)</td><td class="amount">${escapeHtml(formatCurrency(receipt.tip))}</td></tr>\n` : ''}</table>
+<footer>Taxes and levies included: ${escapeHtml(formatCurrency(receipt.tax_total))}. Thank you for keeping your community clean.</footer>
+</body>
+</html>
+`;
+
+/**
+ * PDF file for a receipt
+ * @param {Object} receipt - From buildReceipt
+ * @returns {Uint8Array}
+ */
+export const receiptToPdf = (receipt) => createPdf([
+  { left: 'TrashDrop', size: 18, bold: true },
+  { left: `Receipt ${receipt.number}`, right: formatDate(receipt.issued_at), size: 9 },
+  ...serviceDetails(receipt).map(([label, value], index) => ({ left: `${label}: ${value}`, size: 9, gap: index === 0 ? 12 : 0 })),
+  ...receiptRows(receipt).map(([label, amount], index) => ({ left: label, right: amount, gap: index === 0 ? 16 : 0 })),
+  { left: 'Total', right: formatCurrency(receipt.total), bold: true, size: 12, gap: 8 },
+  ...(receipt.tip > 0 ? [{ left: 'Tip for collector (paid separately)', right: formatCurrency(receipt.tip), size: 9 }] : []),
+  { left: `Taxes and levies included: ${formatCurrency(receipt.tax_total)}`, size: 8, gap: 16 }
+], { title: `TrashDrop receipt ${receipt.number}` });
+
+/**
+ * Download file name for a receipt
+ * @param {Object} receipt - From buildReceipt
+ * @param {string} format - 'pdf' or 'html'
+ * @returns {string}
+ */
+export const getReceiptFileName = (receipt, format) => `trashdrop-receipt-${receipt.number.toLowerCase()}.${format}`;
@@ -0,0 +1,359 @@
+/**
+ * Schedule Engine for Digital Bin Services
+ * Expands a bin's frequency and start date into concrete service occurrences
+ *
+ * Rules applied to every generated occurrence (in order):
+ * Frequency step → Holiday rule (shift to next working day or skip) →
+ * User skips (skip_dates) → Pause window (paused_until, inclusive)
+ *
+ * Dates are handled as calendar days ('yyyy-MM-dd' strings) so that the
+ * device timezone never moves a service day.
+ */
+
+import { addDays, addMonths, addWeeks, format, isValid, parseISO } from 'date-fns';
+
+/**
+ * Supported frequencies and how far each step advances
+ */
+export const FREQUENCY_RULES = {
+  'one-time': { unit: null, step: 0 },
+  weekly: { unit: 'weeks', step: 1 },
+  biweekly: { unit: 'weeks', step: 2 },
+  monthly: { unit: 'months', step: 1 }
+};
+
+/**
+ * Occurrence statuses
+ */
+export const OCCURRENCE_STATUS = {
+  SCHEDULED: 'scheduled',
+  SKIPPED: 'skipped',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Why an occurrence was skipped
+ */
+export const SKIP_REASONS = {
+  USER: 'user',       // The household skipped it
+  HOLIDAY: 'holiday'  // Dropped by HOLIDAY_RULES.SKIP
+};
+
+/**
+ * What to do when an occurrence falls on a public holiday
+ */
+export const HOLIDAY_RULES = {
+  SHIFT: 'shift', // Move to the next non-holiday day
+  SKIP: 'skip'    // Drop the service for that cycle
+};
+
+// How far ahead occurrences are generated by default
+export const DEFAULT_HORIZON_DAYS = 90;
+
+// Hard cap on generated occurrences per call
+export const DEFAULT_MAX_OCCURRENCES = 12;
+
+// Guard against runaway loops on bad input
+const MAX_ITERATIONS = 520;
+
+/**
+ * Fixed-date public holidays in Ghana (MM-dd)
+ */
+const FIXED_HOLIDAYS = {
+  '01-01': "New Year's Day",
+  '01-07': 'Constitution Day',
+  '03-06': 'Independence Day',
+  '05-01': 'May Day',
+  '07-01': 'Republic Day',
+  '08-04': "Founders' Day",
+  '09-21': 'Kwame Nkrumah Memorial Day',
+  '12-25': 'Christmas Day',
+  '12-26': 'Boxing Day'
+};
+
+/**
+ * Format a date as a calendar-day key
+ * @param {Date} date - Date to format
+ * @returns {string} Date in 'yyyy-MM-dd' format
+ */
+export const toDateKey = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * Parse a date-like value into a Date at local midnight
+ * @param {Date|string} value - Date object or ISO string
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+export const parseDateValue = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : parseISO(String(value).slice(0, 10));
+  if (!isValid(date)) return null;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/**
+ * Compute Easter Sunday for a year (anonymous Gregorian algorithm)
+ * @param {number} year - Calendar year
+ * @returns {Date} Easter Sunday
+ */
+const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Get Ghana public holidays for a year
+ * Movable Islamic holidays are announced yearly and should be passed in
+ * through the `holidays` option of generateOccurrences.
+ *
+ * @param {number} year - Calendar year
+ * @returns {Object} Map of 'yyyy-MM-dd' → holiday name
+ *
+ * @example
+ * getGhanaHolidays(2025)['2025-03-06'];
+ * // Returns: "Independence Day"
+ */
+export const getGhanaHolidays = (year) => {
+  const holidays = {};
+
+  Object.entries(FIXED_HOLIDAYS).forEach(([monthDay, name]) => {
+    holidays[`${year}-${monthDay}`] = name;
+  });
+
+  const easter = getEasterSunday(year);
+  holidays[toDateKey(addDays(easter, -2))] = 'Good Friday';
+  holidays[toDateKey(addDays(easter, 1))] = 'Easter Monday';
+
+  return holidays;
+};
+
+/**
+ * Build a holiday lookup covering a date range
+ * @param {Date} fromDate - Range start
+ * @param {Date} toDate - Range end
+ * @param {Object|Array} extraHolidays - Additional holidays (map or array of { date, name })
+ * @returns {Object} Map of 'yyyy-MM-dd' → holiday name
+ */
+const buildHolidayLookup = (fromDate, toDate, extraHolidays) => {
+  let lookup = {};
+  for (let year = fromDate.getFullYear(); year <= toDate.getFullYear() + 1; year++) {
+    lookup = { ...lookup, ...getGhanaHolidays(year) };
+  }
+
+  if (Array.isArray(extraHolidays)) {
+    extraHolidays.forEach(({ date, name }) => {
+      if (date) lookup[String(date).slice(0, 10)] = name || 'Public Holiday';
+    });
+  } else if (extraHolidays && typeof extraHolidays === 'object') {
+    lookup = { ...lookup, ...extraHolidays };
+  }
+
+  return lookup;
+};
+
+/**
+ * Get the nth occurrence date for a schedule (before any rules are applied)
+ * Always computed from the start date to avoid month-end drift.
+ *
+ * @param {Date|string} startDate - First service date
+ * @param {string} frequency - One of FREQUENCY_RULES keys
+ * @param {number} index - Zero-based occurrence index
+ * @returns {Date|null} Occurrence date or null if it does not exist
+ */
+export const getOccurrenceDate = (startDate, frequency, index) => {
+  const start = parseDateValue(startDate);
+  const rule = FREQUENCY_RULES[frequency];
+  if (!start || !rule || index < 0) return null;
+
+  if (!rule.unit) {
+    return index === 0 ? start : null;
+  }
+
+  return rule.unit === 'months'
+    ? addMonths(start, rule.step * index)
+    : addWeeks(start, rule.step * index);
+};
+
+/**
+ * Expand a schedule into concrete upcoming service occurrences
+ *
+ * @param {Object} params - Schedule parameters
+ * @param {Date|string} params.startDate - First service date (required)
+ * @param {string} params.frequency - Service frequency (required)
+ * @param {string} params.preferredTime - Preferred time slot (morning/afternoon/evening)
+ * @param {Date|string} params.from - Only return occurrences on/after this day (default: today)
+ * @param {number} params.horizonDays - How many days ahead of `from` to generate
+ * @param {number} params.maxOccurrences - Maximum number of occurrences to return
+ * @param {string[]} params.skipDates - Original dates the user chose to skip
+ * @param {Date|string} params.pausedUntil - Service paused up to and including this day
+ * @param {Object|Array} params.holidays - Extra holidays on top of the Ghana calendar
+ * @param {string} params.holidayRule - HOLIDAY_RULES.SHIFT or HOLIDAY_RULES.SKIP
+ * @returns {Array} Occurrences ordered by date
+ *
+ * @example
+ * generateOccurrences({ startDate: '2025-03-03', frequency: 'weekly', from: '2025-03-01', maxOccurrences: 2 });
+ * // Returns: [
+ * //   { index: 0, original_date: '2025-03-03', scheduled_date: '2025-03-03', status: 'scheduled', ... },
+ * //   { index: 1, original_date: '2025-03-10', scheduled_date: '2025-03-10', status: 'scheduled', ... }
+ * // ]
+ */
+export const generateOccurrences = ({
+  startDate,
+  frequency,
+  preferredTime = null,
+  from = new Date(),
+  horizonDays = DEFAULT_HORIZON_DAYS,
+  maxOccurrences = DEFAULT_MAX_OCCURRENCES,
+  skipDates = [],
+  pausedUntil = null,
+  holidays = null,
+  holidayRule = HOLIDAY_RULES.SHIFT
+}) => {
+  const start = parseDateValue(startDate);
+  const fromDate = parseDateValue(from) || parseDateValue(new Date());
+
+  if (!start || !FREQUENCY_RULES[frequency]) {
+    console.warn('[ScheduleEngine] Invalid schedule:', { startDate, frequency });
+    return [];
+  }
+
+  const horizonEnd = addDays(fromDate, horizonDays);
+  const fromKey = toDateKey(fromDate);
+  const horizonKey = toDateKey(horizonEnd);
+  const pausedKey = pausedUntil ? toDateKey(parseDateValue(pausedUntil)) : null;
+  const skipped = new Set((skipDates || []).map(date => String(date).slice(0, 10)));
+  const holidayLookup = buildHolidayLookup(start < fromDate ? start : fromDate, horizonEnd, holidays);
+
+  const occurrences = [];
+
+  for (let index = 0; index < MAX_ITERATIONS && occurrences.length < maxOccurrences; index++) {
+    const original = getOccurrenceDate(start, frequency, index);
+    if (!original) break;
+
+    const originalKey = toDateKey(original);
+    if (originalKey > horizonKey) break;
+
+    let scheduled = original;
+    let status = OCCURRENCE_STATUS.SCHEDULED;
+    let skipReason = null;
+    const holidayName = holidayLookup[originalKey] || null;
+
+    if (holidayName) {
+      if (holidayRule === HOLIDAY_RULES.SKIP) {
+        status = OCCURRENCE_STATUS.SKIPPED;
+        skipReason = SKIP_REASONS.HOLIDAY;
+      } else {
+        while (holidayLookup[toDateKey(scheduled)]) {
+          scheduled = addDays(scheduled, 1);
+        }
+      }
+    }
+
+    const scheduledKey = toDateKey(scheduled);
+    if (scheduledKey < fromKey) continue;
+
+    if (status === OCCURRENCE_STATUS.SCHEDULED && skipped.has(originalKey)) {
+      status = OCCURRENCE_STATUS.SKIPPED;
+      skipReason = SKIP_REASONS.USER;
+    }
+
+    if (status === OCCURRENCE_STATUS.SCHEDULED && pausedKey && scheduledKey <= pausedKey) {
+      status = OCCURRENCE_STATUS.PAUSED;
+    }
+
+    occurrences.push({
+      index,
+      original_date: originalKey,
+      scheduled_date: scheduledKey,
+      preferred_time: preferredTime,
+      status,
+      skip_reason: skipReason,
+      holiday_name: holidayName,
+      shifted: scheduledKey !== originalKey
+    });
+  }
+
+  return occurrences;
+};
+
+/**
+ * Get the next occurrence that will actually be serviced
+ * @param {Object} params - Same parameters as generateOccurrences
+ * @returns {Object|null} Next scheduled occurrence
+ */
+export const getNextOccurrence = (params) => {
+  const occurrences = generateOccurrences({ ...params, maxOccurrences: DEFAULT_MAX_OCCURRENCES * 2 });
+  return occurrences.find(occurrence => occurrence.status === OCCURRENCE_STATUS.SCHEDULED) || null;
+};
+
+/**
+ * Compare stored occurrences with freshly generated ones
+ * Completed and cancelled rows are history and are never touched.
+ *
+ * @param {Array} existing - Stored occurrence rows (must include original_date)
+ * @param {Array} generated - Output of generateOccurrences
+ * @returns {Object} { toInsert, toUpdate, toDelete } arrays
+ */
+export const diffOccurrences = (existing = [], generated = []) => {
+  const isHistory = (row) =>
+    row.status === OCCURRENCE_STATUS.COMPLETED || row.status === OCCURRENCE_STATUS.CANCELLED;
+
+  const existingByDate = new Map(existing.map(row => [row.original_date, row]));
+  const generatedDates = new Set(generated.map(occurrence => occurrence.original_date));
+
+  const toInsert = [];
+  const toUpdate = [];
+
+  generated.forEach((occurrence) => {
+    const current = existingByDate.get(occurrence.original_date);
+    if (!current) {
+      toInsert.push(occurrence);
+      return;
+    }
+    if (isHistory(current)) return;
+
+    const changed =
+      current.scheduled_date !== occurrence.scheduled_date ||
+      current.status !== occurrence.status ||
+      (current.skip_reason || null) !== (occurrence.skip_reason || null) ||
+      (current.preferred_time || null) !== (occurrence.preferred_time || null);
+
+    if (changed) {
+      toUpdate.push({ ...occurrence, id: current.id });
+    }
+  });
+
+  const toDelete = existing.filter(row => !isHistory(row) && !generatedDates.has(row.original_date));
+
+  return { toInsert, toUpdate, toDelete };
+};
+
+export default {
+  FREQUENCY_RULES,
+  OCCURRENCE_STATUS,
+  SKIP_REASONS,
+  HOLIDAY_RULES,
+  DEFAULT_HORIZON_DAYS,
+  DEFAULT_MAX_OCCURRENCES,
+  toDateKey,
+  parseDateValue,
+  getGhanaHolidays,
+  getOccurrenceDate,
+  generateOccurrences,
+  getNextOccurrence,
+  diffOccurrences
+};
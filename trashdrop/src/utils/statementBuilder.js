@@ -0,0 +1,192 @@
+/**
+ * Statement Builder
+ * Monthly spending statements from pickup requests and digital bins, with totals
+ * per service type and per location, exported as CSV or PDF.
+ *
+ * Charges are dated by when the service was requested (created_at), the same date
+ * the Activity page shows. Only requests that were collected or paid for are
+ * charges; pending, in-progress and cancelled requests are left out.
+ */
+
+import { formatCurrency } from './costCalculator.js';
+import { createPdf } from './pdfDocument.js';
+
+export const STATEMENT_SERVICE_TYPES = {
+  pickup_request: 'Waste pickup',
+  digital_bin: 'Digital bin'
+};
+
+// Statuses statusService treats as completed
+const CHARGED_STATUSES = ['completed', 'picked_up', 'collected', 'disposed'];
+const PAID_PAYMENT_STATUSES = ['completed', 'paid'];
+
+const isCharged = (row) =>
+  CHARGED_STATUSES.includes(row.status) || PAID_PAYMENT_STATUSES.includes(row.payment_status);
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Month key for a date, in local time
+ * @param {Date} date
+ * @returns {string} e.g. "2026-10"
+ */
+export const toMonthKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+/**
+ * Start (inclusive) and end (exclusive) of a month, in local time
+ * @param {string} month - "YYYY-MM"
+ * @returns {{ start: Date, end: Date }}
+ */
+export const getMonthRange = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return { start: new Date(year, monthIndex - 1, 1), end: new Date(year, monthIndex, 1) };
+};
+
+/**
+ * Display name for a month, e.g. "October 2026"
+ * @param {string} month - "YYYY-MM"
+ * @returns {string}
+ */
+export const formatMonth = (month) =>
+  getMonthRange(month).start.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+
+/**
+ * Most recent months, newest first
+ * @param {number} count - Number of months
+ * @param {Date} now - Reference date (default: now)
+ * @returns {Array<string>} Month keys
+ */
+export const listStatementMonths = (count = 12, now = new Date()) =>
+  Array.from({ length: count }, (_, index) => toMonthKey(new Date(now.getFullYear(), now.getMonth() - index, 1)));
+
+/**
+ * Group entries and total them
+ */
+const summarise = (entries, keyOf, labelOf) => {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const key = keyOf(entry);
+    const group = groups.get(key) || { key, label: labelOf(entry), count: 0, total: 0 };
+    group.count += 1;
+    group.total = round2(group.total + entry.amount);
+    groups.set(key, group);
+  });
+  return [...groups.values()].sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Build a monthly statement
+ *
+ * @param {Object} params
+ * @param {string} params.month - "YYYY-MM"
+ * @param {Array} params.pickups - pickup_requests rows (fee, status, address/location, ...)
+ * @param {Array} params.bins - digital_bins rows with bin_locations
+ * @returns {Object} { month, entries, total, tax_total, by_service_type, by_location }
+ */
+export const buildMonthlyStatement = ({ month, pickups = [], bins = [] }) => {
+  const { start, end } = getMonthRange(month);
+  const inMonth = (row) => {
+    const date = new Date(row.created_at);
+    return date >= start && date < end && isCharged(row);
+  };
+
+  const entries = [
+    ...pickups.filter(inMonth).map((pickup) => ({
+      id: pickup.id,
+      date: pickup.created_at,
+      service_type: 'pickup_request',
+      description: `${pickup.waste_type || 'Waste'} Pickup - ${pickup.bag_count || 1} bag(s)`,
+      location: pickup.address || (typeof pickup.location === 'string' ? pickup.location : null) || 'Custom location',
+      status: pickup.status || 'submitted',
+      amount: round2(pickup.fee),
+      tax: 0
+    })),
+    ...bins.filter(inMonth).map((bin) => ({
+      id: bin.id,
+      date: bin.created_at,
+      service_type: 'digital_bin',
+      description: `Digital bin (${bin.frequency || 'one-time'}) - ${bin.bin_size_liters ? `${bin.bin_size_liters}L × ` : ''}${bin.bag_count || 1}`,
+      location: bin.bin_locations?.location_name || bin.bin_locations?.address || 'Unknown location',
+      status: bin.status || (bin.is_active ? 'active' : 'inactive'),
+      amount: round2(bin.fee),
+      tax: round2(bin.tax_total)
+    }))
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  return {
+    month,
+    entries,
+    total: round2(entries.reduce((sum, entry) => sum + entry.amount, 0)),
+    tax_total: round2(entries.reduce((sum, entry) => sum + entry.tax, 0)),
+    by_service_type: summarise(entries, (entry) => entry.service_type, (entry) => STATEMENT_SERVICE_TYPES[entry.service_type]),
+    by_location: summarise(entries, (entry) => entry.location, (entry) => entry.location)
+  };
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-GB');
+
+// Spreadsheets run cells starting with these as formulas; a leading quote keeps them text
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+const csvCell = (value) => {
+  const raw = String(value ?? '');
+  const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV export: one row per charge, amounts in GHS without the currency symbol
+ * so spreadsheets read them as numbers
+ * @param {Object} statement - From buildMonthlyStatement
+ * @returns {string}
+ */
+export const statementToCsv = (statement) => {
+  const rows = [
+    ['Date', 'Service', 'Description', 'Location', 'Status', 'Amount (GHS)', 'Tax included (GHS)'],
+    ...statement.entries.map((entry) => [
+      formatDate(entry.date),
+      STATEMENT_SERVICE_TYPES[entry.service_type],
+      entry.description,
+      entry.location,
+      entry.status,
+      entry.amount.toFixed(2),
+      entry.tax.toFixed(2)
+    ]),
+    ['', '', '', '', 'Total', statement.total.toFixed(2), statement.tax_total.toFixed(2)]
+  ];
+  return `${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * PDF export: summary by service type and location, then each charge
+ * @param {Object} statement - From buildMonthlyStatement
+ * @returns {Uint8Array}
+ */
+export const statementToPdf = (statement) => createPdf([
+  { left: 'TrashDrop', size: 18, bold: true },
+  { left: `Statement for ${formatMonth(statement.month)}`, size: 12 },
+  { left: 'Total spent', right: formatCurrency(statement.total), bold: true, gap: 12 },
+  { left: 'Taxes and levies included', right: formatCurrency(statement.tax_total), size: 9 },
+  { left: 'By service', bold: true, gap: 12, rule: true },
+  ...statement.by_service_type.map((group) => ({ left: `${group.label} (${group.count})`, right: formatCurrency(group.total) })),
+  { left: 'By location', bold: true, gap: 12, rule: true },
+  ...statement.by_location.map((group) => ({ left: `${group.label} (${group.count})`, right: formatCurrency(group.total) })),
+  { left: 'Charges', bold: true, gap: 12, rule: true },
+  ...(statement.entries.length
+    ? statement.entries.map((entry) => ({
+      left: `${formatDate(entry.date)}  ${entry.description}`,
+      right: formatCurrency(entry.amount),
+      size: 9
+    }))
+    : [{ left: 'No charges this month', size: 9 }])
+], { title: `TrashDrop statement ${statement.month}` });
+
+/**
+ * Download file name for a statement
+ * @param {Object} statement - From buildMonthlyStatement
+ * @param {string} format - 'csv' or 'pdf'
+ * @returns {string}
+ */
+export const getStatementFileName = (statement, format) => `trashdrop-statement-${statement.month}.${format}`;
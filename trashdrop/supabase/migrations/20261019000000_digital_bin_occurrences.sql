@@ -0,0 +1,104 @@
+-- Migration: Recurring schedule occurrences for digital bins
+-- Date: 2026-10-19
+-- Purpose: Store the concrete service dates generated from a bin's frequency and start date
+
+-- Schedule fields captured by the DigitalBin wizard
+ALTER TABLE public.digital_bins
+ADD COLUMN IF NOT EXISTS start_date DATE;
+
+ALTER TABLE public.digital_bins
+ADD COLUMN IF NOT EXISTS preferred_time VARCHAR(20);
+
+-- The wizard defaults to one-time service, which the original constraint rejected
+ALTER TABLE public.digital_bins DROP CONSTRAINT IF EXISTS check_frequency;
+ALTER TABLE public.digital_bins
+ADD CONSTRAINT check_frequency CHECK (frequency IN ('one-time', 'weekly', 'biweekly', 'monthly'));
+
+ALTER TABLE public.digital_bins DROP CONSTRAINT IF EXISTS check_preferred_time;
+ALTER TABLE public.digital_bins
+ADD CONSTRAINT check_preferred_time CHECK (preferred_time IS NULL OR preferred_time IN ('morning', 'afternoon', 'evening'));
+
+-- Backfill start dates for existing bins
+UPDATE public.digital_bins
+SET start_date = created_at::DATE
+WHERE start_date IS NULL;
+
+-- Concrete service occurrences
+CREATE TABLE IF NOT EXISTS public.digital_bin_occurrences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bin_id UUID REFERENCES public.digital_bins(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  original_date DATE NOT NULL,   -- Date produced by the frequency rule
+  scheduled_date DATE NOT NULL,  -- Date after holiday shifting
+  preferred_time VARCHAR(20),
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+  skip_reason VARCHAR(20),       -- user or holiday, on skipped occurrences only
+  holiday_name TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT check_occurrence_status CHECK (status IN ('scheduled', 'skipped', 'paused', 'completed', 'cancelled')),
+  CONSTRAINT check_occurrence_skip_reason CHECK (
+    (status = 'skipped' AND skip_reason IN ('user', 'holiday'))
+    OR (status <> 'skipped' AND skip_reason IS NULL)
+  ),
+  CONSTRAINT uq_bin_occurrence_original_date UNIQUE (bin_id, original_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bin_occurrences_bin_id ON public.digital_bin_occurrences(bin_id);
+CREATE INDEX IF NOT EXISTS idx_bin_occurrences_user_id ON public.digital_bin_occurrences(user_id);
+CREATE INDEX IF NOT EXISTS idx_bin_occurrences_scheduled
+ON public.digital_bin_occurrences(scheduled_date)
+WHERE status = 'scheduled';
+
+ALTER TABLE public.digital_bin_occurrences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own bin occurrences"
+  ON public.digital_bin_occurrences
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- The schedule engine only moves upcoming occurrences between scheduled, skipped and
+-- paused. Completed and cancelled are set by the service side and are history.
+CREATE POLICY "Users can create their own bin occurrences"
+  ON public.digital_bin_occurrences
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id AND status IN ('scheduled', 'skipped', 'paused'));
+
+CREATE POLICY "Users can update their own bin occurrences"
+  ON public.digital_bin_occurrences
+  FOR UPDATE
+  USING (auth.uid() = user_id AND status IN ('scheduled', 'skipped', 'paused'))
+  WITH CHECK (auth.uid() = user_id AND status IN ('scheduled', 'skipped', 'paused'));
+
+CREATE POLICY "Users can delete their own upcoming bin occurrences"
+  ON public.digital_bin_occurrences
+  FOR DELETE
+  USING (auth.uid() = user_id AND status NOT IN ('completed', 'cancelled'));
+
+CREATE OR REPLACE FUNCTION update_digital_bin_occurrences_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_digital_bin_occurrences_updated_at ON public.digital_bin_occurrences;
+CREATE TRIGGER update_digital_bin_occurrences_updated_at
+BEFORE UPDATE ON public.digital_bin_occurrences
+FOR EACH ROW
+EXECUTE FUNCTION update_digital_bin_occurrences_updated_at_column();
+
+COMMENT ON TABLE public.digital_bin_occurrences IS 'Upcoming and past service dates generated from digital_bins frequency/start_date. Kept in sync by the client schedule engine.';
+COMMENT ON COLUMN public.digital_bin_occurrences.original_date IS 'Date produced by the frequency rule before holiday shifting. Unique per bin.';
+COMMENT ON COLUMN public.digital_bin_occurrences.skip_reason IS 'Set on skipped occurrences: user (kept across resyncs) or holiday (from the holiday skip rule).';
+
+-- Rollback instructions
+/*
+DROP TRIGGER IF EXISTS update_digital_bin_occurrences_updated_at ON public.digital_bin_occurrences;
+DROP FUNCTION IF EXISTS update_digital_bin_occurrences_updated_at_column();
+DROP TABLE IF EXISTS public.digital_bin_occurrences;
+ALTER TABLE public.digital_bins DROP CONSTRAINT IF EXISTS check_preferred_time;
+ALTER TABLE public.digital_bins DROP COLUMN IF EXISTS preferred_time;
+ALTER TABLE public.digital_bins DROP COLUMN IF EXISTS start_date;
+*/
@@ -0,0 +1,41 @@
+-- Migration: Pause, skip and resume for scheduled digital bin service
+-- Date: 2026-10-19
+-- Purpose: Let households pause service until a date or skip a single occurrence without cancelling
+
+-- Schedule-level state. Kept separate from digital_bins.status, which tracks the
+-- collection lifecycle (pending → completed) and is guarded by enforce_status_transition.
+ALTER TABLE public.digital_bins
+ADD COLUMN IF NOT EXISTS schedule_status VARCHAR(20) NOT NULL DEFAULT 'active';
+
+ALTER TABLE public.digital_bins
+ADD COLUMN IF NOT EXISTS paused_until DATE;
+
+ALTER TABLE public.digital_bins DROP CONSTRAINT IF EXISTS check_schedule_status;
+ALTER TABLE public.digital_bins
+ADD CONSTRAINT check_schedule_status CHECK (schedule_status IN ('active', 'paused', 'cancelled'));
+
+-- A paused bin must say until when
+ALTER TABLE public.digital_bins DROP CONSTRAINT IF EXISTS check_paused_until;
+ALTER TABLE public.digital_bins
+ADD CONSTRAINT check_paused_until CHECK (schedule_status <> 'paused' OR paused_until IS NOT NULL);
+
+-- Existing inactive bins were cancelled by the user
+UPDATE public.digital_bins
+SET schedule_status = 'cancelled'
+WHERE is_active = false AND schedule_status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_digital_bins_paused
+ON public.digital_bins(paused_until)
+WHERE schedule_status = 'paused';
+
+COMMENT ON COLUMN public.digital_bins.schedule_status IS 'Recurring service state: active, paused (until paused_until, inclusive) or cancelled.';
+COMMENT ON COLUMN public.digital_bins.paused_until IS 'Last day of a pause. Service resumes automatically the day after.';
+
+-- Rollback instructions
+/*
+DROP INDEX IF EXISTS idx_digital_bins_paused;
+ALTER TABLE public.digital_bins DROP CONSTRAINT IF EXISTS check_paused_until;
+ALTER TABLE public.digital_bins DROP CONSTRAINT IF EXISTS check_schedule_status;
+ALTER TABLE public.digital_bins DROP COLUMN IF EXISTS paused_until;
+ALTER TABLE public.digital_bins DROP COLUMN IF EXISTS schedule_status;
+*/
@@ -0,0 +1,269 @@
+-- Migration: Server-authoritative digital bin quotes
+-- Date: 2026-10-19
+-- Purpose: Store signed quotes issued by the digital-bin-quote function and require
+--          every digital bin to reference one, so fee and payouts are never client-computed.
+--          The signing secret must also be stored in Vault as quote_signing_secret.
+
+CREATE TABLE IF NOT EXISTS public.digital_bin_quotes (
+  id UUID PRIMARY KEY,  -- Generated by the function so it can be signed before insert
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+
+  -- Service the quote was priced for
+  bin_size_liters INTEGER NOT NULL,
+  bag_count INTEGER NOT NULL,
+  is_urgent BOOLEAN NOT NULL DEFAULT false,
+  frequency VARCHAR(20) NOT NULL,
+  waste_type VARCHAR(20) NOT NULL,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  pricing_source VARCHAR(20) NOT NULL DEFAULT 'default',
+  pricing_zone JSONB,
+
+  -- Amounts (SOP v4.5.6). breakdown includes hidden surge; clients never see it.
+  breakdown JSONB NOT NULL,
+  fee NUMERIC(10, 2) NOT NULL,
+  collector_core_payout NUMERIC(10, 2) NOT NULL,
+  collector_urgent_payout NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  collector_distance_payout NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  collector_surge_payout NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  collector_total_payout NUMERIC(10, 2) NOT NULL,
+  surge_multiplier NUMERIC(4, 2) NOT NULL DEFAULT 1.00,
+
+  signature TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  used_by_bin_id UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_digital_bin_quotes_user_id ON public.digital_bin_quotes(user_id);
+CREATE INDEX IF NOT EXISTS idx_digital_bin_quotes_unused
+ON public.digital_bin_quotes(expires_at)
+WHERE used_at IS NULL;
+
+ALTER TABLE public.digital_bin_quotes ENABLE ROW LEVEL SECURITY;
+
+-- Quotes are written and read only by the function and the triggers below (service role
+-- bypasses RLS). Customers read theirs through digital_bin_quotes_client, which leaves out
+-- the surge multiplier and collector payouts. Surge is folded into base, base_per_bin and
+-- core, as toClientBreakdown does for fresh quotes, so the lines still add up to the fee.
+REVOKE ALL ON public.digital_bin_quotes FROM anon, authenticated;
+
+CREATE OR REPLACE VIEW public.digital_bin_quotes_client AS
+SELECT
+  q.id,
+  q.user_id,
+  q.bin_size_liters,
+  q.bag_count,
+  q.is_urgent,
+  q.frequency,
+  q.waste_type,
+  q.pricing_source,
+  q.pricing_zone,
+  (q.breakdown - 'surge_multiplier' - 'surge_charge' - 'payouts')
+    || jsonb_build_object(
+      'base', (q.breakdown->>'base')::NUMERIC + s.surge_charge,
+      'base_per_bin', ROUND(((q.breakdown->>'base')::NUMERIC + s.surge_charge)
+        / GREATEST(COALESCE((q.breakdown->>'bin_count')::INTEGER, 1), 1), 2),
+      'core', (q.breakdown->>'core')::NUMERIC + s.surge_charge
+    ) AS breakdown,
+  q.fee,
+  q.expires_at,
+  q.used_at,
+  q.used_by_bin_id,
+  q.created_at
+FROM public.digital_bin_quotes q
+CROSS JOIN LATERAL (
+  SELECT COALESCE((q.breakdown->>'surge_charge')::NUMERIC, 0) AS surge_charge
+) s
+WHERE q.user_id = auth.uid();
+
+ALTER VIEW public.digital_bin_quotes_client OWNER TO postgres;
+REVOKE ALL ON public.digital_bin_quotes_client FROM anon;
+GRANT SELECT ON public.digital_bin_quotes_client TO authenticated;
+
+-- Recomputes a quote's HMAC (see signQuote in netlify/functions/lib/quotePricing.js) with
+-- the quote_signing_secret held in Vault, which must match QUOTE_SIGNING_SECRET
+CREATE OR REPLACE FUNCTION public.verify_quote_signature(
+  p_quote_id UUID,
+  p_user_id UUID,
+  p_fee NUMERIC,
+  p_expires_at TIMESTAMPTZ,
+  p_signature TEXT
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_secret TEXT;
+BEGIN
+  SELECT decrypted_secret INTO v_secret
+  FROM vault.decrypted_secrets
+  WHERE name = 'quote_signing_secret';
+
+  IF v_secret IS NULL THEN
+    RAISE EXCEPTION 'Quote signing is not configured' USING ERRCODE = 'P0001', HINT = 'QUOTE_CONFIG_ERROR';
+  END IF;
+
+  RETURN p_signature IS NOT NULL AND p_signature = encode(extensions.hmac(
+    p_quote_id::TEXT
+      || '.' || p_user_id::TEXT
+      || '.' || to_char(p_fee, 'FM999999990.00')
+      || '.' || to_char(p_expires_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+    v_secret,
+    'sha256'
+  ), 'hex');
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.verify_quote_signature(UUID, UUID, NUMERIC, TIMESTAMPTZ, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Link bins to the quote they were created from
+ALTER TABLE public.digital_bins
+ADD COLUMN IF NOT EXISTS quote_id UUID REFERENCES public.digital_bin_quotes(id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_digital_bins_quote_id
+ON public.digital_bins(quote_id)
+WHERE quote_id IS NOT NULL;
+
+-- Signature returned with the quote. Checked on insert and never stored.
+ALTER TABLE public.digital_bins
+ADD COLUMN IF NOT EXISTS quote_signature TEXT;
+
+-- Validate the referenced quote and take all pricing fields from it. Later pricing
+-- concerns (discounts, taxes) add their own BEFORE INSERT triggers named
+-- enforce_digital_bin_quote_<concern>; triggers fire in name order, so they run after
+-- this one and can rely on the quote being valid and marked used by the bin.
+CREATE OR REPLACE FUNCTION public.enforce_digital_bin_quote()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  q public.digital_bin_quotes%ROWTYPE;
+BEGIN
+  IF NEW.quote_id IS NULL THEN
+    RAISE EXCEPTION 'A price quote is required to create a digital bin'
+      USING ERRCODE = 'P0001', HINT = 'Request one from /api/digital-bins/quote';
+  END IF;
+
+  SELECT * INTO q
+  FROM public.digital_bin_quotes
+  WHERE id = NEW.quote_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR q.user_id IS DISTINCT FROM NEW.user_id THEN
+    RAISE EXCEPTION 'Price quote not found' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF q.used_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Price quote has already been used' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF q.expires_at < NOW() THEN
+    RAISE EXCEPTION 'Price quote has expired' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF NEW.quote_signature IS DISTINCT FROM q.signature
+     OR NOT public.verify_quote_signature(q.id, q.user_id, q.fee, q.expires_at, NEW.quote_signature) THEN
+    RAISE EXCEPTION 'Price quote signature is invalid' USING ERRCODE = 'P0001';
+  END IF;
+
+  -- Frequency and waste type left out of the insert are taken from the quote
+  IF q.bin_size_liters IS DISTINCT FROM NEW.bin_size_liters
+     OR q.bag_count IS DISTINCT FROM NEW.bag_count
+     OR q.is_urgent IS DISTINCT FROM COALESCE(NEW.is_urgent, false)
+     OR q.frequency IS DISTINCT FROM COALESCE(NEW.frequency, q.frequency)
+     OR q.waste_type IS DISTINCT FROM COALESCE(NEW.waste_type, q.waste_type) THEN
+    RAISE EXCEPTION 'Digital bin does not match its price quote' USING ERRCODE = 'P0001';
+  END IF;
+
+  NEW.frequency := q.frequency;
+  NEW.waste_type := q.waste_type;
+
+  -- Server values always win over anything the client sent
+  NEW.fee := q.fee;
+  NEW.collector_core_payout := q.collector_core_payout;
+  NEW.collector_urgent_payout := q.collector_urgent_payout;
+  NEW.collector_distance_payout := q.collector_distance_payout;
+  NEW.collector_surge_payout := q.collector_surge_payout;
+  NEW.collector_tips := 0;
+  NEW.collector_recyclables_payout := 0;
+  NEW.collector_loyalty_cashback := 0;
+  NEW.collector_total_payout := q.collector_total_payout;
+  NEW.surge_multiplier := q.surge_multiplier;
+  NEW.deadhead_km := 0;
+  NEW.quote_signature := NULL;
+
+  UPDATE public.digital_bin_quotes
+  SET used_at = NOW(), used_by_bin_id = NEW.id
+  WHERE id = q.id;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_digital_bin_quote ON public.digital_bins;
+CREATE TRIGGER enforce_digital_bin_quote
+BEFORE INSERT ON public.digital_bins
+FOR EACH ROW
+EXECUTE FUNCTION public.enforce_digital_bin_quote();
+
+-- Pricing columns come from the quote and later from server-side functions (tips,
+-- recyclables). The app may update other bin columns, but never these.
+CREATE OR REPLACE FUNCTION public.protect_digital_bin_pricing()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated') AND (
+    NEW.quote_id IS DISTINCT FROM OLD.quote_id
+    OR NEW.fee IS DISTINCT FROM OLD.fee
+    OR NEW.collector_core_payout IS DISTINCT FROM OLD.collector_core_payout
+    OR NEW.collector_urgent_payout IS DISTINCT FROM OLD.collector_urgent_payout
+    OR NEW.collector_distance_payout IS DISTINCT FROM OLD.collector_distance_payout
+    OR NEW.collector_surge_payout IS DISTINCT FROM OLD.collector_surge_payout
+    OR NEW.collector_tips IS DISTINCT FROM OLD.collector_tips
+    OR NEW.collector_recyclables_payout IS DISTINCT FROM OLD.collector_recyclables_payout
+    OR NEW.collector_loyalty_cashback IS DISTINCT FROM OLD.collector_loyalty_cashback
+    OR NEW.collector_total_payout IS DISTINCT FROM OLD.collector_total_payout
+    OR NEW.surge_multiplier IS DISTINCT FROM OLD.surge_multiplier
+    OR NEW.deadhead_km IS DISTINCT FROM OLD.deadhead_km
+  ) THEN
+    RAISE EXCEPTION 'Digital bin pricing cannot be changed after creation' USING ERRCODE = '42501';
+  END IF;
+
+  NEW.quote_signature := NULL;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_digital_bin_pricing ON public.digital_bins;
+CREATE TRIGGER protect_digital_bin_pricing
+BEFORE UPDATE ON public.digital_bins
+FOR EACH ROW
+EXECUTE FUNCTION public.protect_digital_bin_pricing();
+
+COMMENT ON TABLE public.digital_bin_quotes IS 'Signed price quotes issued by the digital-bin-quote Netlify function. Single use, short-lived.';
+COMMENT ON COLUMN public.digital_bin_quotes.signature IS 'HMAC-SHA256 of id.user_id.fee.expires_at with QUOTE_SIGNING_SECRET (Vault: quote_signing_secret).';
+COMMENT ON COLUMN public.digital_bins.quote_id IS 'Quote this bin was priced from. Fee and collector payouts are copied from it on insert and cannot be changed by the app afterwards.';
+COMMENT ON COLUMN public.digital_bins.quote_signature IS 'Write-only: the signature returned with the quote, verified on insert and then cleared.';
+COMMENT ON VIEW public.digital_bin_quotes_client IS 'The signed-in customer''s quotes, with surge folded into base and core and no collector payouts.';
+
+-- Rollback instructions
+/*
+DROP TRIGGER IF EXISTS protect_digital_bin_pricing ON public.digital_bins;
+DROP FUNCTION IF EXISTS public.protect_digital_bin_pricing();
+DROP TRIGGER IF EXISTS enforce_digital_bin_quote ON public.digital_bins;
+DROP FUNCTION IF EXISTS public.enforce_digital_bin_quote();
+DROP FUNCTION IF EXISTS public.verify_quote_signature(UUID, UUID, NUMERIC, TIMESTAMPTZ, TEXT);
+DROP VIEW IF EXISTS public.digital_bin_quotes_client;
+DROP INDEX IF EXISTS idx_digital_bins_quote_id;
+ALTER TABLE public.digital_bins DROP COLUMN IF EXISTS quote_signature;
+ALTER TABLE public.digital_bins DROP COLUMN IF EXISTS quote_id;
+DROP TABLE IF EXISTS public.digital_bin_quotes;
+*/
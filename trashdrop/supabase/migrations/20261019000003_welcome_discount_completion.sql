@@ -0,0 +1,54 @@
+-- Migration: Count completed digital bins towards the welcome discount
+-- Date: 2026-10-19
+-- Purpose: trigger_increment_on_digital_bin_collected only fired on status 'collected',
+--          which the digital_bins lifecycle never reaches (it ends at 'completed'), so
+--          completed_requests_count never advanced and the discount never expired
+
+CREATE OR REPLACE FUNCTION public.trigger_increment_on_digital_bin_collected()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  -- 'collected' kept for rows written before the status lifecycle was enforced
+  IF NEW.status IN ('completed', 'collected')
+     AND (OLD.status IS NULL OR OLD.status NOT IN ('completed', 'collected')) THEN
+    PERFORM public.increment_completed_requests(NEW.user_id);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_digital_bin_collected ON public.digital_bins;
+CREATE TRIGGER trigger_digital_bin_collected
+  AFTER UPDATE ON public.digital_bins
+  FOR EACH ROW
+  EXECUTE FUNCTION public.trigger_increment_on_digital_bin_collected();
+
+-- Backfill counts for bins completed before this fix. The count already holds the
+-- user's completed pickups and any bins the old trigger saw reach 'collected', so only
+-- the missed 'completed' bins are added on top.
+INSERT INTO public.user_stats (user_id, completed_requests_count)
+SELECT db.user_id, COUNT(*)
+FROM public.digital_bins db
+WHERE db.status = 'completed'
+GROUP BY db.user_id
+ON CONFLICT (user_id)
+DO UPDATE SET completed_requests_count =
+  COALESCE(public.user_stats.completed_requests_count, 0) + EXCLUDED.completed_requests_count;
+
+-- Rollback instructions
+/*
+CREATE OR REPLACE FUNCTION public.trigger_increment_on_digital_bin_collected()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  IF NEW.status = 'collected' AND (OLD.status IS NULL OR OLD.status != 'collected') THEN
+    PERFORM public.increment_completed_requests(NEW.user_id);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+*/
@@ -0,0 +1,562 @@
+-- Migration: Promo codes and referral credits
+-- Date: 2026-10-19
+-- Purpose: Promo codes with validity windows, usage limits and per-user caps; a referral
+--          code per profile that credits both parties after the referee's first completion.
+--          Both feed the discount step of the pricing pipeline (80% cap still applies).
+
+-- ============================================================================
+-- Promo codes
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.promo_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code VARCHAR(32) NOT NULL UNIQUE,
+  description TEXT,
+  discount_type VARCHAR(20) NOT NULL,
+  discount_value NUMERIC(10, 2) NOT NULL DEFAULT 0,  -- Percent (0-100) or GHS amount
+  max_discount NUMERIC(10, 2),                       -- Optional ceiling for percent codes
+  service_types TEXT[] NOT NULL DEFAULT ARRAY['digital_bin', 'pickup'],
+  valid_from TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  valid_until TIMESTAMPTZ,
+  usage_limit INTEGER,                                -- NULL = unlimited
+  per_user_limit INTEGER NOT NULL DEFAULT 1,
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT check_promo_code_format CHECK (code = UPPER(code) AND code ~ '^[A-Z0-9-]{3,32}$'),
+  CONSTRAINT check_promo_discount_type CHECK (discount_type IN ('percent', 'fixed', 'free_request_fee')),
+  CONSTRAINT check_promo_discount_value CHECK (
+    discount_value >= 0 AND (discount_type <> 'percent' OR discount_value <= 100)
+  ),
+  CONSTRAINT check_promo_limits CHECK (
+    (usage_limit IS NULL OR usage_limit > 0) AND per_user_limit > 0 AND usage_count >= 0
+  ),
+  CONSTRAINT check_promo_window CHECK (valid_until IS NULL OR valid_until > valid_from)
+);
+
+CREATE TABLE IF NOT EXISTS public.promo_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  promo_code_id UUID REFERENCES public.promo_codes(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  service_type VARCHAR(20) NOT NULL,
+  request_id UUID,                                   -- digital_bins.id or scheduled_pickups.id (pickup_requests.id while reserved)
+  discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'applied',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT check_promo_redemption_status CHECK (status IN ('reserved', 'applied', 'cancelled')),
+  CONSTRAINT check_promo_redemption_service CHECK (service_type IN ('digital_bin', 'pickup'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_user ON public.promo_redemptions(user_id, promo_code_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promo_redemptions_request
+ON public.promo_redemptions(promo_code_id, request_id)
+WHERE request_id IS NOT NULL AND status <> 'cancelled';
+
+ALTER TABLE public.promo_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.promo_redemptions ENABLE ROW LEVEL SECURITY;
+
+-- Codes are only exposed through validate_promo_code so they cannot be enumerated
+CREATE POLICY "Users can view their own promo redemptions"
+  ON public.promo_redemptions
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Validate a code for a user and service; raises with a user-facing reason when unusable
+CREATE OR REPLACE FUNCTION public.validate_promo_code(
+  p_code TEXT,
+  p_user_id UUID DEFAULT NULL,
+  p_service_type TEXT DEFAULT 'digital_bin'
+)
+RETURNS TABLE (
+  promo_code_id UUID,
+  code VARCHAR,
+  description TEXT,
+  discount_type VARCHAR,
+  discount_value NUMERIC,
+  max_discount NUMERIC
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := COALESCE(p_user_id, auth.uid());
+  v_promo public.promo_codes%ROWTYPE;
+  v_user_uses INTEGER;
+BEGIN
+  IF v_user_id IS NULL OR (auth.uid() IS NOT NULL AND auth.uid() <> v_user_id) THEN
+    RAISE EXCEPTION 'Not authorized to use promo codes for this user' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_promo FROM public.promo_codes pc WHERE pc.code = UPPER(TRIM(p_code));
+
+  IF NOT FOUND OR NOT v_promo.is_active THEN
+    RAISE EXCEPTION 'Promo code not recognised' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_promo.valid_from > NOW() THEN
+    RAISE EXCEPTION 'Promo code is not active yet' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_promo.valid_until IS NOT NULL AND v_promo.valid_until <= NOW() THEN
+    RAISE EXCEPTION 'Promo code has expired' USING ERRCODE = 'P0001';
+  END IF;
+  IF NOT (p_service_type = ANY (v_promo.service_types)) THEN
+    RAISE EXCEPTION 'Promo code cannot be used for this service' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_promo.usage_limit IS NOT NULL AND v_promo.usage_count >= v_promo.usage_limit THEN
+    RAISE EXCEPTION 'Promo code has reached its usage limit' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT COUNT(*) INTO v_user_uses
+  FROM public.promo_redemptions pr
+  WHERE pr.promo_code_id = v_promo.id AND pr.user_id = v_user_id AND pr.status <> 'cancelled';
+
+  IF v_user_uses >= v_promo.per_user_limit THEN
+    RAISE EXCEPTION 'You have already used this promo code' USING ERRCODE = 'P0001';
+  END IF;
+
+  RETURN QUERY SELECT v_promo.id, v_promo.code, v_promo.description, v_promo.discount_type,
+    v_promo.discount_value, v_promo.max_discount;
+END;
+$$;
+
+-- GHS value of a promo on a base amount, before the 80% cap. Percent codes apply to the
+-- base (optionally capped), fixed codes are a GHS amount and free_request_fee is worth
+-- the ₵1 request fee, as in the quote pricing.
+CREATE OR REPLACE FUNCTION public.promo_discount_amount(p_promo public.promo_codes, p_base NUMERIC)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT ROUND(GREATEST(
+    CASE p_promo.discount_type
+      WHEN 'free_request_fee' THEN 1.00
+      WHEN 'percent' THEN LEAST(COALESCE(p_base, 0) * p_promo.discount_value / 100, p_promo.max_discount)
+      WHEN 'fixed' THEN p_promo.discount_value
+      ELSE 0
+    END, 0), 2);
+$$;
+
+-- Record a redemption (re-validates under lock) with a discount the server has priced.
+-- Internal: digital bins redeem from their quote, pickups through redeem_promo_code.
+-- A 'reserved' row for the same request is promoted instead of counting twice, and
+-- applying converts the user's reservation made against the pickup request.
+CREATE OR REPLACE FUNCTION public.record_promo_redemption(
+  p_code TEXT,
+  p_service_type TEXT,
+  p_request_id UUID,
+  p_discount_amount NUMERIC,
+  p_status TEXT,
+  p_user_id UUID
+)
+RETURNS public.promo_redemptions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_promo_id UUID;
+  v_redemption public.promo_redemptions%ROWTYPE;
+BEGIN
+  IF p_status NOT IN ('reserved', 'applied') THEN
+    RAISE EXCEPTION 'Invalid redemption status: %', p_status USING ERRCODE = '22023';
+  END IF;
+
+  SELECT pc.id INTO v_promo_id FROM public.promo_codes pc WHERE pc.code = UPPER(TRIM(p_code)) FOR UPDATE;
+
+  -- Already applied to this request: retries return the same redemption
+  SELECT * INTO v_redemption
+  FROM public.promo_redemptions pr
+  WHERE pr.promo_code_id = v_promo_id
+    AND pr.user_id = p_user_id
+    AND pr.request_id = p_request_id
+    AND pr.status = 'applied';
+
+  IF FOUND THEN
+    RETURN v_redemption;
+  END IF;
+
+  SELECT * INTO v_redemption
+  FROM public.promo_redemptions pr
+  WHERE pr.promo_code_id = v_promo_id
+    AND pr.user_id = p_user_id
+    AND pr.service_type = p_service_type
+    AND pr.status = 'reserved'
+    AND (pr.request_id = p_request_id OR p_status = 'applied')
+  ORDER BY pr.request_id = p_request_id DESC, pr.created_at
+  LIMIT 1
+  FOR UPDATE;
+
+  IF FOUND THEN
+    UPDATE public.promo_redemptions
+    SET status = p_status,
+        request_id = p_request_id,
+        discount_amount = GREATEST(p_discount_amount, 0)
+    WHERE id = v_redemption.id
+    RETURNING * INTO v_redemption;
+    RETURN v_redemption;
+  END IF;
+
+  PERFORM 1 FROM public.validate_promo_code(p_code, p_user_id, p_service_type);
+
+  INSERT INTO public.promo_redemptions (promo_code_id, user_id, service_type, request_id, discount_amount, status)
+  VALUES (v_promo_id, p_user_id, p_service_type, p_request_id, GREATEST(p_discount_amount, 0), p_status)
+  RETURNING * INTO v_redemption;
+
+  UPDATE public.promo_codes SET usage_count = usage_count + 1 WHERE id = v_promo_id;
+
+  RETURN v_redemption;
+END;
+$$;
+
+-- Customer-facing redemption for pickups. 'reserved' holds the code when the pickup is
+-- requested (no fee yet); 'applied' prices the discount from the promo and the scheduled
+-- pickup's stored fee, capped at 80%, so the client never supplies an amount.
+CREATE OR REPLACE FUNCTION public.redeem_promo_code(
+  p_code TEXT,
+  p_service_type TEXT,
+  p_request_id UUID,
+  p_status TEXT DEFAULT 'applied'
+)
+RETURNS public.promo_redemptions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_promo public.promo_codes%ROWTYPE;
+  v_fee NUMERIC;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authorized to use promo codes for this user' USING ERRCODE = '42501';
+  END IF;
+  IF p_service_type IS DISTINCT FROM 'pickup' THEN
+    RAISE EXCEPTION 'Digital bin promos are applied from the price quote' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_status = 'reserved' THEN
+    IF NOT EXISTS (SELECT 1 FROM public.pickup_requests WHERE id = p_request_id AND user_id = v_user_id)
+       AND NOT EXISTS (SELECT 1 FROM public.scheduled_pickups WHERE id = p_request_id AND user_id = v_user_id) THEN
+      RAISE EXCEPTION 'Pickup not found' USING ERRCODE = 'P0001';
+    END IF;
+    RETURN public.record_promo_redemption(p_code, p_service_type, p_request_id, 0, p_status, v_user_id);
+  END IF;
+
+  SELECT fee INTO v_fee FROM public.scheduled_pickups WHERE id = p_request_id AND user_id = v_user_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Pickup not found' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT * INTO v_promo FROM public.promo_codes WHERE code = UPPER(TRIM(p_code));
+
+  RETURN public.record_promo_redemption(
+    p_code,
+    p_service_type,
+    p_request_id,
+    ROUND(LEAST(public.promo_discount_amount(v_promo, v_fee), COALESCE(v_fee, 0) * 0.8), 2),
+    p_status,
+    v_user_id
+  );
+END;
+$$;
+
+-- ============================================================================
+-- Referrals
+-- ============================================================================
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS referral_code VARCHAR(12);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_profiles_referral_code
+ON public.profiles(referral_code)
+WHERE referral_code IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION public.generate_referral_code()
+RETURNS VARCHAR
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_code VARCHAR(12);
+BEGIN
+  LOOP
+    -- No 0/O/1/I to keep codes easy to read aloud
+    v_code := 'TD' || translate(UPPER(SUBSTRING(md5(gen_random_uuid()::TEXT) FROM 1 FOR 6)), '01', '89');
+    EXIT WHEN NOT EXISTS (SELECT 1 FROM public.profiles WHERE referral_code = v_code);
+  END LOOP;
+  RETURN v_code;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.set_profile_referral_code()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.referral_code IS NULL THEN
+    NEW.referral_code := public.generate_referral_code();
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS set_profile_referral_code ON public.profiles;
+CREATE TRIGGER set_profile_referral_code
+BEFORE INSERT ON public.profiles
+FOR EACH ROW
+EXECUTE FUNCTION public.set_profile_referral_code();
+
+UPDATE public.profiles
+SET referral_code = public.generate_referral_code()
+WHERE referral_code IS NULL;
+
+CREATE TABLE IF NOT EXISTS public.referrals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  referrer_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  referee_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL UNIQUE,  -- One referrer per user
+  referral_code VARCHAR(12) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  referrer_credit NUMERIC(10, 2) NOT NULL DEFAULT 5.00,
+  referee_credit NUMERIC(10, 2) NOT NULL DEFAULT 5.00,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  credited_at TIMESTAMPTZ,
+  CONSTRAINT check_referral_status CHECK (status IN ('pending', 'credited', 'void')),
+  CONSTRAINT check_referral_not_self CHECK (referrer_id <> referee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer ON public.referrals(referrer_id);
+
+-- Credit balance spent in the discount step of later requests
+CREATE TABLE IF NOT EXISTS public.referral_credits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  referral_id UUID REFERENCES public.referrals(id) ON DELETE CASCADE NOT NULL,
+  amount NUMERIC(10, 2) NOT NULL,
+  remaining_amount NUMERIC(10, 2) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT check_referral_credit_amounts CHECK (amount > 0 AND remaining_amount >= 0 AND remaining_amount <= amount),
+  CONSTRAINT uq_referral_credit_user UNIQUE (referral_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_referral_credits_available
+ON public.referral_credits(user_id, created_at)
+WHERE remaining_amount > 0;
+
+ALTER TABLE public.referrals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.referral_credits ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view referrals they are part of"
+  ON public.referrals
+  FOR SELECT
+  USING (auth.uid() = referrer_id OR auth.uid() = referee_id);
+
+CREATE POLICY "Users can view their own referral credits"
+  ON public.referral_credits
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Redeem a friend's referral code. Only new customers (no completed requests) qualify.
+CREATE OR REPLACE FUNCTION public.apply_referral_code(p_code TEXT)
+RETURNS public.referrals
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_referrer_id UUID;
+  v_completed INTEGER;
+  v_referral public.referrals%ROWTYPE;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT id INTO v_referrer_id FROM public.profiles WHERE referral_code = UPPER(TRIM(p_code));
+  IF v_referrer_id IS NULL THEN
+    RAISE EXCEPTION 'Referral code not recognised' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_referrer_id = v_user_id THEN
+    RAISE EXCEPTION 'You cannot use your own referral code' USING ERRCODE = 'P0001';
+  END IF;
+  IF EXISTS (SELECT 1 FROM public.referrals WHERE referee_id = v_user_id) THEN
+    RAISE EXCEPTION 'You have already used a referral code' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT COALESCE(completed_requests_count, 0) INTO v_completed
+  FROM public.user_stats WHERE user_id = v_user_id;
+  IF COALESCE(v_completed, 0) > 0 THEN
+    RAISE EXCEPTION 'Referral codes are for new customers only' USING ERRCODE = 'P0001';
+  END IF;
+
+  INSERT INTO public.referrals (referrer_id, referee_id, referral_code)
+  VALUES (v_referrer_id, v_user_id, UPPER(TRIM(p_code)))
+  RETURNING * INTO v_referral;
+
+  RETURN v_referral;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.get_referral_credit_balance(p_user_id UUID DEFAULT NULL)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(SUM(remaining_amount), 0)
+  FROM public.referral_credits
+  WHERE user_id = COALESCE(p_user_id, auth.uid())
+    AND (auth.uid() IS NULL OR user_id = auth.uid());
+$$;
+
+-- Credit both parties when the referee completes their first pickup or digital bin
+CREATE OR REPLACE FUNCTION public.credit_referral_on_completion()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_referral public.referrals%ROWTYPE;
+BEGIN
+  IF NEW.status NOT IN ('completed', 'collected') OR OLD.status IN ('completed', 'collected') THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_referral
+  FROM public.referrals
+  WHERE referee_id = NEW.user_id AND status = 'pending'
+  FOR UPDATE;
+
+  IF FOUND THEN
+    INSERT INTO public.referral_credits (user_id, referral_id, amount, remaining_amount)
+    VALUES
+      (v_referral.referrer_id, v_referral.id, v_referral.referrer_credit, v_referral.referrer_credit),
+      (v_referral.referee_id, v_referral.id, v_referral.referee_credit, v_referral.referee_credit)
+    ON CONFLICT (referral_id, user_id) DO NOTHING;
+
+    UPDATE public.referrals SET status = 'credited', credited_at = NOW() WHERE id = v_referral.id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS credit_referral_on_digital_bin_completion ON public.digital_bins;
+CREATE TRIGGER credit_referral_on_digital_bin_completion
+  AFTER UPDATE ON public.digital_bins
+  FOR EACH ROW
+  EXECUTE FUNCTION public.credit_referral_on_completion();
+
+DROP TRIGGER IF EXISTS credit_referral_on_pickup_completion ON public.pickup_requests;
+CREATE TRIGGER credit_referral_on_pickup_completion
+  AFTER UPDATE ON public.pickup_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION public.credit_referral_on_completion();
+
+-- ============================================================================
+-- Quotes: carry promo and referral credit through to bin creation
+-- ============================================================================
+ALTER TABLE public.digital_bin_quotes
+ADD COLUMN IF NOT EXISTS promo_code_id UUID REFERENCES public.promo_codes(id);
+
+ALTER TABLE public.digital_bin_quotes
+ADD COLUMN IF NOT EXISTS promo_discount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE public.digital_bin_quotes
+ADD COLUMN IF NOT EXISTS referral_credit_applied NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+-- Runs after enforce_digital_bin_quote (trigger name order), which has validated the
+-- quote and marked it used by this bin
+CREATE OR REPLACE FUNCTION public.enforce_digital_bin_quote_discounts()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  q public.digital_bin_quotes%ROWTYPE;
+  v_promo_code VARCHAR;
+  v_credit RECORD;
+  v_credit_left NUMERIC;
+  v_take NUMERIC;
+BEGIN
+  SELECT * INTO q
+  FROM public.digital_bin_quotes
+  WHERE id = NEW.quote_id AND used_by_bin_id = NEW.id;
+
+  IF NOT FOUND THEN
+    RETURN NEW;
+  END IF;
+
+  -- Promo: re-validated under lock so limits hold across concurrent quotes
+  IF q.promo_code_id IS NOT NULL THEN
+    SELECT code INTO v_promo_code FROM public.promo_codes WHERE id = q.promo_code_id;
+    PERFORM public.record_promo_redemption(v_promo_code, 'digital_bin', NEW.id, q.promo_discount, 'applied', q.user_id);
+  END IF;
+
+  -- Referral credit: spend oldest credit first
+  IF q.referral_credit_applied > 0 THEN
+    v_credit_left := q.referral_credit_applied;
+    FOR v_credit IN
+      SELECT id, remaining_amount FROM public.referral_credits
+      WHERE user_id = q.user_id AND remaining_amount > 0
+      ORDER BY created_at
+      FOR UPDATE
+    LOOP
+      EXIT WHEN v_credit_left <= 0;
+      v_take := LEAST(v_credit.remaining_amount, v_credit_left);
+      UPDATE public.referral_credits SET remaining_amount = remaining_amount - v_take WHERE id = v_credit.id;
+      v_credit_left := v_credit_left - v_take;
+    END LOOP;
+
+    IF v_credit_left > 0 THEN
+      RAISE EXCEPTION 'Referral credit is no longer available, please review the price again' USING ERRCODE = 'P0001';
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_digital_bin_quote_discounts ON public.digital_bins;
+CREATE TRIGGER enforce_digital_bin_quote_discounts
+BEFORE INSERT ON public.digital_bins
+FOR EACH ROW
+EXECUTE FUNCTION public.enforce_digital_bin_quote_discounts();
+
+GRANT EXECUTE ON FUNCTION public.validate_promo_code TO authenticated;
+GRANT EXECUTE ON FUNCTION public.redeem_promo_code TO authenticated;
+REVOKE EXECUTE ON FUNCTION public.record_promo_redemption FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.apply_referral_code TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_referral_credit_balance TO authenticated;
+
+COMMENT ON TABLE public.promo_codes IS 'Promotional discount codes. Validated via validate_promo_code; usage_count maintained by record_promo_redemption.';
+COMMENT ON TABLE public.referrals IS 'Referee → referrer links. Credited once the referee completes their first pickup or digital bin.';
+COMMENT ON TABLE public.referral_credits IS 'GHS credit from referrals, spent in the discount step of later digital bin quotes.';
+
+-- Rollback instructions
+/*
+DROP TRIGGER IF EXISTS credit_referral_on_pickup_completion ON public.pickup_requests;
+DROP TRIGGER IF EXISTS credit_referral_on_digital_bin_completion ON public.digital_bins;
+DROP FUNCTION IF EXISTS public.credit_referral_on_completion();
+DROP TRIGGER IF EXISTS enforce_digital_bin_quote_discounts ON public.digital_bins;
+DROP FUNCTION IF EXISTS public.enforce_digital_bin_quote_discounts();
+DROP FUNCTION IF EXISTS public.get_referral_credit_balance;
+DROP FUNCTION IF EXISTS public.apply_referral_code;
+DROP FUNCTION IF EXISTS public.redeem_promo_code;
+DROP FUNCTION IF EXISTS public.record_promo_redemption;
+DROP FUNCTION IF EXISTS public.promo_discount_amount;
+DROP FUNCTION IF EXISTS public.validate_promo_code;
+ALTER TABLE public.digital_bin_quotes DROP COLUMN IF EXISTS referral_credit_applied;
+ALTER TABLE public.digital_bin_quotes DROP COLUMN IF EXISTS promo_discount;
+ALTER TABLE public.digital_bin_quotes DROP COLUMN IF EXISTS promo_code_id;
+DROP TABLE IF EXISTS public.referral_credits;
+DROP TABLE IF EXISTS public.referrals;
+DROP TRIGGER IF EXISTS set_profile_referral_code ON public.profiles;
+DROP FUNCTION IF EXISTS public.set_profile_referral_code();
+DROP FUNCTION IF EXISTS public.generate_referral_code();
+DROP INDEX IF EXISTS idx_profiles_referral_code;
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS referral_code;
+DROP TABLE IF EXISTS public.promo_redemptions;
+DROP TABLE IF EXISTS public.promo_codes;
+*/
@@ -0,0 +1,350 @@
+-- Migration: Polygon boundaries for pricing zones
+-- Date: 2026-10-19
+-- Purpose: Resolve a household's pricing zone by the district shape that contains it,
+--          keeping the nearest-centre lookup as the fallback for zones without a boundary,
+--          and let operations import/export zones as GeoJSON
+
+-- GeoJSON Polygon or MultiPolygon ([lng, lat] positions) plus a bounding box for cheap pre-filtering
+ALTER TABLE public.pricing_zones ADD COLUMN IF NOT EXISTS boundary JSONB;
+ALTER TABLE public.pricing_zones ADD COLUMN IF NOT EXISTS bbox_min_lat DOUBLE PRECISION;
+ALTER TABLE public.pricing_zones ADD COLUMN IF NOT EXISTS bbox_min_lng DOUBLE PRECISION;
+ALTER TABLE public.pricing_zones ADD COLUMN IF NOT EXISTS bbox_max_lat DOUBLE PRECISION;
+ALTER TABLE public.pricing_zones ADD COLUMN IF NOT EXISTS bbox_max_lng DOUBLE PRECISION;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'check_pricing_zone_boundary_type') THEN
+    ALTER TABLE public.pricing_zones ADD CONSTRAINT check_pricing_zone_boundary_type
+      CHECK (boundary IS NULL OR boundary->>'type' IN ('Polygon', 'MultiPolygon'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_pricing_zones_bbox
+  ON public.pricing_zones(bbox_min_lat, bbox_max_lat, bbox_min_lng, bbox_max_lng)
+  WHERE boundary IS NOT NULL;
+
+-- Keep the bounding box in step with the boundary
+CREATE OR REPLACE FUNCTION public.set_pricing_zone_bbox()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_polygons JSONB;
+BEGIN
+  IF NEW.boundary IS NULL THEN
+    NEW.bbox_min_lat := NULL;
+    NEW.bbox_min_lng := NULL;
+    NEW.bbox_max_lat := NULL;
+    NEW.bbox_max_lng := NULL;
+    RETURN NEW;
+  END IF;
+
+  v_polygons := CASE NEW.boundary->>'type'
+    WHEN 'Polygon' THEN jsonb_build_array(NEW.boundary->'coordinates')
+    ELSE NEW.boundary->'coordinates'
+  END;
+
+  -- Outer rings only; holes lie inside them
+  SELECT MIN((pos->>1)::DOUBLE PRECISION), MIN((pos->>0)::DOUBLE PRECISION),
+         MAX((pos->>1)::DOUBLE PRECISION), MAX((pos->>0)::DOUBLE PRECISION)
+  INTO NEW.bbox_min_lat, NEW.bbox_min_lng, NEW.bbox_max_lat, NEW.bbox_max_lng
+  FROM jsonb_array_elements(v_polygons) AS poly(rings),
+       jsonb_array_elements(poly.rings->0) AS pos(pos);
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS set_pricing_zone_bbox ON public.pricing_zones;
+CREATE TRIGGER set_pricing_zone_bbox
+  BEFORE INSERT OR UPDATE OF boundary ON public.pricing_zones
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_pricing_zone_bbox();
+
+-- Ray casting against one ring of [lng, lat] positions. Points on an edge count as inside.
+CREATE OR REPLACE FUNCTION public.point_in_ring(
+  p_latitude DOUBLE PRECISION,
+  p_longitude DOUBLE PRECISION,
+  p_ring JSONB
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  v_count INTEGER := jsonb_array_length(p_ring);
+  v_inside BOOLEAN := false;
+  xi DOUBLE PRECISION;
+  yi DOUBLE PRECISION;
+  xj DOUBLE PRECISION;
+  yj DOUBLE PRECISION;
+  i INTEGER;
+  j INTEGER := v_count - 1;
+BEGIN
+  FOR i IN 0..v_count - 1 LOOP
+    xi := (p_ring->i->>0)::DOUBLE PRECISION;
+    yi := (p_ring->i->>1)::DOUBLE PRECISION;
+    xj := (p_ring->j->>0)::DOUBLE PRECISION;
+    yj := (p_ring->j->>1)::DOUBLE PRECISION;
+
+    IF (p_longitude - xi) * (yj - yi) = (p_latitude - yi) * (xj - xi)
+       AND p_longitude BETWEEN LEAST(xi, xj) AND GREATEST(xi, xj)
+       AND p_latitude BETWEEN LEAST(yi, yj) AND GREATEST(yi, yj) THEN
+      RETURN true;
+    END IF;
+
+    IF (yi > p_latitude) <> (yj > p_latitude)
+       AND p_longitude < (xj - xi) * (p_latitude - yi) / (yj - yi) + xi THEN
+      v_inside := NOT v_inside;
+    END IF;
+
+    j := i;
+  END LOOP;
+
+  RETURN v_inside;
+END;
+$$;
+
+-- Point-in-polygon for a GeoJSON Polygon or MultiPolygon (holes excluded)
+CREATE OR REPLACE FUNCTION public.point_in_boundary(
+  p_latitude DOUBLE PRECISION,
+  p_longitude DOUBLE PRECISION,
+  p_boundary JSONB
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(bool_or(
+    public.point_in_ring(p_latitude, p_longitude, poly.rings->0)
+    AND NOT EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(poly.rings) WITH ORDINALITY AS hole(ring, idx)
+      WHERE hole.idx > 1 AND public.point_in_ring(p_latitude, p_longitude, hole.ring)
+    )
+  ), false)
+  FROM jsonb_array_elements(
+    CASE p_boundary->>'type'
+      WHEN 'Polygon' THEN jsonb_build_array(p_boundary->'coordinates')
+      WHEN 'MultiPolygon' THEN p_boundary->'coordinates'
+      ELSE '[]'::JSONB
+    END
+  ) AS poly(rings);
+$$;
+
+-- Resolve the pricing zone for a location: the smallest boundary containing the
+-- point wins; otherwise fall back to the nearest zone centre within range.
+CREATE OR REPLACE FUNCTION public.find_pricing_zone(
+  p_latitude DECIMAL,
+  p_longitude DECIMAL,
+  p_max_distance_km DECIMAL DEFAULT 10
+)
+RETURNS TABLE (
+  zone_id UUID,
+  region VARCHAR,
+  district VARCHAR,
+  community VARCHAR,
+  suburb VARCHAR,
+  distance_km DECIMAL,
+  price_50l DECIMAL,
+  price_60l DECIMAL,
+  price_80l DECIMAL,
+  price_90l DECIMAL,
+  price_100l DECIMAL,
+  price_120l DECIMAL,
+  price_240l DECIMAL,
+  price_260l DECIMAL,
+  price_320l DECIMAL,
+  price_360l DECIMAL,
+  match_type VARCHAR
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    pz.id,
+    pz.region,
+    pz.district,
+    pz.community,
+    pz.suburb,
+    CASE WHEN pz.latitude IS NULL OR pz.longitude IS NULL THEN NULL ELSE
+      (6371 * acos(LEAST(1, GREATEST(-1,
+        cos(radians(p_latitude)) * cos(radians(pz.latitude)) *
+        cos(radians(pz.longitude) - radians(p_longitude)) +
+        sin(radians(p_latitude)) * sin(radians(pz.latitude))
+      ))))::DECIMAL
+    END,
+    pz.price_50l,
+    pz.price_60l,
+    pz.price_80l,
+    pz.price_90l,
+    pz.price_100l,
+    pz.price_120l,
+    pz.price_240l,
+    pz.price_260l,
+    pz.price_320l,
+    pz.price_360l,
+    'polygon'::VARCHAR
+  FROM public.pricing_zones pz
+  WHERE pz.is_active = true
+    AND pz.boundary IS NOT NULL
+    AND p_latitude BETWEEN pz.bbox_min_lat AND pz.bbox_max_lat
+    AND p_longitude BETWEEN pz.bbox_min_lng AND pz.bbox_max_lng
+    AND public.point_in_boundary(p_latitude, p_longitude, pz.boundary)
+  ORDER BY (pz.bbox_max_lat - pz.bbox_min_lat) * (pz.bbox_max_lng - pz.bbox_min_lng) ASC
+  LIMIT 1;
+
+  IF FOUND THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT nz.*, 'nearest'::VARCHAR
+  FROM public.find_nearest_pricing_zone(p_latitude, p_longitude, p_max_distance_km) nz;
+END;
+$$;
+
+-- get_location_price now resolves through find_pricing_zone
+CREATE OR REPLACE FUNCTION public.get_location_price(
+  p_latitude DECIMAL,
+  p_longitude DECIMAL,
+  p_bin_size INTEGER
+)
+RETURNS DECIMAL
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_price DECIMAL;
+  v_zone RECORD;
+BEGIN
+  SELECT * INTO v_zone
+  FROM public.find_pricing_zone(p_latitude, p_longitude, 10)
+  LIMIT 1;
+
+  IF v_zone IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  CASE p_bin_size
+    WHEN 50 THEN v_price := v_zone.price_50l;
+    WHEN 60 THEN v_price := v_zone.price_60l;
+    WHEN 80 THEN v_price := v_zone.price_80l;
+    WHEN 90 THEN v_price := v_zone.price_90l;
+    WHEN 100 THEN v_price := v_zone.price_100l;
+    WHEN 120 THEN v_price := v_zone.price_120l;
+    WHEN 240 THEN v_price := v_zone.price_240l;
+    WHEN 260 THEN v_price := v_zone.price_260l;
+    WHEN 320 THEN v_price := v_zone.price_320l;
+    WHEN 360 THEN v_price := v_zone.price_360l;
+    ELSE v_price := NULL;
+  END CASE;
+
+  RETURN v_price;
+END;
+$$;
+
+-- Bulk import from scripts/pricingZones.js. Zones are matched on
+-- (region, district, community, suburb); only supplied fields are updated.
+CREATE OR REPLACE FUNCTION public.import_pricing_zones(p_zones JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_zone JSONB;
+  v_id UUID;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+BEGIN
+  IF jsonb_typeof(p_zones) <> 'array' THEN
+    RAISE EXCEPTION 'Expected an array of zones' USING ERRCODE = '22023';
+  END IF;
+
+  FOR v_zone IN SELECT * FROM jsonb_array_elements(p_zones) LOOP
+    SELECT pz.id INTO v_id
+    FROM public.pricing_zones pz
+    WHERE pz.region = v_zone->>'region'
+      AND pz.district = v_zone->>'district'
+      AND pz.community = v_zone->>'community'
+      AND pz.suburb = v_zone->>'suburb'
+    ORDER BY pz.created_at
+    LIMIT 1;
+
+    IF v_id IS NULL THEN
+      INSERT INTO public.pricing_zones (
+        country, region, district, community, suburb, latitude, longitude, boundary, is_active,
+        price_50l, price_60l, price_80l, price_90l, price_100l,
+        price_120l, price_240l, price_260l, price_320l, price_360l
+      ) VALUES (
+        COALESCE(v_zone->>'country', 'Ghana'),
+        v_zone->>'region', v_zone->>'district', v_zone->>'community', v_zone->>'suburb',
+        (v_zone->>'latitude')::DECIMAL, (v_zone->>'longitude')::DECIMAL,
+        v_zone->'boundary',
+        COALESCE((v_zone->>'is_active')::BOOLEAN, true),
+        (v_zone->>'price_50l')::DECIMAL, (v_zone->>'price_60l')::DECIMAL,
+        (v_zone->>'price_80l')::DECIMAL, (v_zone->>'price_90l')::DECIMAL,
+        (v_zone->>'price_100l')::DECIMAL, (v_zone->>'price_120l')::DECIMAL,
+        (v_zone->>'price_240l')::DECIMAL, (v_zone->>'price_260l')::DECIMAL,
+        (v_zone->>'price_320l')::DECIMAL, (v_zone->>'price_360l')::DECIMAL
+      );
+      v_inserted := v_inserted + 1;
+    ELSE
+      UPDATE public.pricing_zones pz SET
+        country = COALESCE(v_zone->>'country', pz.country),
+        latitude = COALESCE((v_zone->>'latitude')::DECIMAL, pz.latitude),
+        longitude = COALESCE((v_zone->>'longitude')::DECIMAL, pz.longitude),
+        boundary = CASE WHEN v_zone ? 'boundary' THEN v_zone->'boundary' ELSE pz.boundary END,
+        is_active = COALESCE((v_zone->>'is_active')::BOOLEAN, pz.is_active),
+        price_50l = COALESCE((v_zone->>'price_50l')::DECIMAL, pz.price_50l),
+        price_60l = COALESCE((v_zone->>'price_60l')::DECIMAL, pz.price_60l),
+        price_80l = COALESCE((v_zone->>'price_80l')::DECIMAL, pz.price_80l),
+        price_90l = COALESCE((v_zone->>'price_90l')::DECIMAL, pz.price_90l),
+        price_100l = COALESCE((v_zone->>'price_100l')::DECIMAL, pz.price_100l),
+        price_120l = COALESCE((v_zone->>'price_120l')::DECIMAL, pz.price_120l),
+        price_240l = COALESCE((v_zone->>'price_240l')::DECIMAL, pz.price_240l),
+        price_260l = COALESCE((v_zone->>'price_260l')::DECIMAL, pz.price_260l),
+        price_320l = COALESCE((v_zone->>'price_320l')::DECIMAL, pz.price_320l),
+        price_360l = COALESCE((v_zone->>'price_360l')::DECIMAL, pz.price_360l),
+        updated_at = NOW()
+      WHERE pz.id = v_id;
+      v_updated := v_updated + 1;
+    END IF;
+  END LOOP;
+
+  RETURN jsonb_build_object('inserted', v_inserted, 'updated', v_updated);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.point_in_ring TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.point_in_boundary TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.find_pricing_zone TO authenticated, anon;
+-- Import is an operations task; only the service role may call it
+REVOKE EXECUTE ON FUNCTION public.import_pricing_zones FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.import_pricing_zones TO service_role;
+
+COMMENT ON COLUMN public.pricing_zones.boundary IS 'GeoJSON Polygon or MultiPolygon ([lng, lat]). When set, points inside it use this zone regardless of centre distance.';
+COMMENT ON FUNCTION public.find_pricing_zone IS 'Point-in-polygon zone lookup with nearest-centre fallback. match_type is polygon or nearest.';
+
+-- Rollback instructions
+/*
+DROP FUNCTION IF EXISTS public.import_pricing_zones;
+DROP FUNCTION IF EXISTS public.find_pricing_zone;
+DROP FUNCTION IF EXISTS public.point_in_boundary;
+DROP FUNCTION IF EXISTS public.point_in_ring;
+DROP TRIGGER IF EXISTS set_pricing_zone_bbox ON public.pricing_zones;
+DROP FUNCTION IF EXISTS public.set_pricing_zone_bbox();
+DROP INDEX IF EXISTS idx_pricing_zones_bbox;
+ALTER TABLE public.pricing_zones DROP CONSTRAINT IF EXISTS check_pricing_zone_boundary_type;
+ALTER TABLE public.pricing_zones DROP COLUMN IF EXISTS bbox_max_lng;
+ALTER TABLE public.pricing_zones DROP COLUMN IF EXISTS bbox_max_lat;
+ALTER TABLE public.pricing_zones DROP COLUMN IF EXISTS bbox_min_lng;
+ALTER TABLE public.pricing_zones DROP COLUMN IF EXISTS bbox_min_lat;
+ALTER TABLE public.pricing_zones DROP COLUMN IF EXISTS boundary;
+-- Re-run 20250113000000_gps_pricing_zones.sql to restore get_location_price
+*/
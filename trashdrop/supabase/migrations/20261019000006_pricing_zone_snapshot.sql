@@ -0,0 +1,136 @@
+-- Migration: Pricing zone snapshot deltas
+-- Date: 2026-10-19
+-- Purpose: Let clients keep an offline copy of pricing_zones up to date with delta
+--          updates (changed zones plus removals since their last sync)
+
+-- Keep updated_at accurate on every change
+CREATE OR REPLACE FUNCTION public.touch_pricing_zone_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS touch_pricing_zone_updated_at ON public.pricing_zones;
+CREATE TRIGGER touch_pricing_zone_updated_at
+  BEFORE UPDATE ON public.pricing_zones
+  FOR EACH ROW
+  EXECUTE FUNCTION public.touch_pricing_zone_updated_at();
+
+CREATE INDEX IF NOT EXISTS idx_pricing_zones_updated_at ON public.pricing_zones(updated_at);
+
+-- Tombstones so deltas can report hard-deleted zones
+CREATE TABLE IF NOT EXISTS public.pricing_zone_deletions (
+  zone_id UUID PRIMARY KEY,
+  deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_zone_deletions_deleted_at ON public.pricing_zone_deletions(deleted_at);
+
+ALTER TABLE public.pricing_zone_deletions ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.record_pricing_zone_deletion()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.pricing_zone_deletions (zone_id, deleted_at)
+  VALUES (OLD.id, NOW())
+  ON CONFLICT (zone_id) DO UPDATE SET deleted_at = EXCLUDED.deleted_at;
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_pricing_zone_deletion ON public.pricing_zones;
+CREATE TRIGGER record_pricing_zone_deletion
+  AFTER DELETE ON public.pricing_zones
+  FOR EACH ROW
+  EXECUTE FUNCTION public.record_pricing_zone_deletion();
+
+-- Snapshot or delta of pricing zones.
+-- p_since NULL: every active zone (full = true).
+-- p_since set: zones changed since then; deactivated and deleted zones are listed in removed_ids.
+-- version is the server time to pass back as p_since next time. A one-minute overlap
+-- covers transactions that committed after the previous call; re-applying a zone is harmless.
+CREATE OR REPLACE FUNCTION public.get_pricing_zone_changes(p_since TIMESTAMPTZ DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_version TIMESTAMPTZ := NOW();
+  v_since TIMESTAMPTZ := p_since - INTERVAL '1 minute';
+  v_zones JSONB;
+  v_removed JSONB;
+BEGIN
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+    'id', pz.id,
+    'region', pz.region,
+    'district', pz.district,
+    'community', pz.community,
+    'suburb', pz.suburb,
+    'latitude', pz.latitude,
+    'longitude', pz.longitude,
+    'boundary', pz.boundary,
+    'price_50l', pz.price_50l,
+    'price_60l', pz.price_60l,
+    'price_80l', pz.price_80l,
+    'price_90l', pz.price_90l,
+    'price_100l', pz.price_100l,
+    'price_120l', pz.price_120l,
+    'price_240l', pz.price_240l,
+    'price_260l', pz.price_260l,
+    'price_320l', pz.price_320l,
+    'price_360l', pz.price_360l,
+    'updated_at', pz.updated_at
+  )), '[]'::JSONB)
+  INTO v_zones
+  FROM public.pricing_zones pz
+  WHERE pz.is_active = true
+    AND (p_since IS NULL OR pz.updated_at > v_since);
+
+  IF p_since IS NULL THEN
+    v_removed := '[]'::JSONB;
+  ELSE
+    SELECT COALESCE(jsonb_agg(ids.zone_id), '[]'::JSONB)
+    INTO v_removed
+    FROM (
+      SELECT pz.id AS zone_id FROM public.pricing_zones pz
+      WHERE pz.is_active = false AND pz.updated_at > v_since
+      UNION
+      SELECT d.zone_id FROM public.pricing_zone_deletions d
+      WHERE d.deleted_at > v_since
+    ) ids;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'version', v_version,
+    'full', p_since IS NULL,
+    'zones', v_zones,
+    'removed_ids', v_removed
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_pricing_zone_changes TO authenticated, anon;
+
+COMMENT ON FUNCTION public.get_pricing_zone_changes IS 'Full snapshot (p_since NULL) or delta of pricing zones for the offline pricing snapshot.';
+COMMENT ON TABLE public.pricing_zone_deletions IS 'Tombstones for deleted pricing zones, reported by get_pricing_zone_changes.';
+
+-- Rollback instructions
+/*
+DROP FUNCTION IF EXISTS public.get_pricing_zone_changes;
+DROP TRIGGER IF EXISTS record_pricing_zone_deletion ON public.pricing_zones;
+DROP FUNCTION IF EXISTS public.record_pricing_zone_deletion();
+DROP TABLE IF EXISTS public.pricing_zone_deletions;
+DROP INDEX IF EXISTS idx_pricing_zones_updated_at;
+DROP TRIGGER IF EXISTS touch_pricing_zone_updated_at ON public.pricing_zones;
+DROP FUNCTION IF EXISTS public.touch_pricing_zone_updated_at();
+*/
@@ -0,0 +1,348 @@
+-- Migration: Align pricing zones and bin sizes with the pricing catalogue
+-- Date: 2026-10-19
+-- Purpose: Every size in src/utils/pricingCatalogue.json needs a price_<size>l zone
+--          column, a slot in the zone lookup/snapshot functions and a place in the
+--          digital_bins check_bin_size constraint. 340L, 660L and 1100L were
+--          selectable and billed but had no zone column; 50L, 260L and 320L had
+--          zone prices but could not be stored on a bin.
+--          The consistency test in src/utils/__tests__/pricingCatalogue.test.js
+--          reads these migrations, so add new sizes here and in the catalogue together.
+
+-- New zone columns are nullable: NULL means "use the catalogue default price"
+ALTER TABLE public.pricing_zones
+  ADD COLUMN IF NOT EXISTS price_340l DECIMAL(10, 2),
+  ADD COLUMN IF NOT EXISTS price_660l DECIMAL(10, 2),
+  ADD COLUMN IF NOT EXISTS price_1100l DECIMAL(10, 2);
+
+COMMENT ON COLUMN public.pricing_zones.price_340l IS 'Price in GHS for 340 liter bin collection (NULL uses the catalogue default)';
+COMMENT ON COLUMN public.pricing_zones.price_660l IS 'Price in GHS for 660 liter bin collection (NULL uses the catalogue default)';
+COMMENT ON COLUMN public.pricing_zones.price_1100l IS 'Price in GHS for 1100 liter bin collection (NULL uses the catalogue default)';
+
+-- Bins may use any catalogue size
+ALTER TABLE public.digital_bins DROP CONSTRAINT IF EXISTS check_bin_size;
+ALTER TABLE public.digital_bins
+ADD CONSTRAINT check_bin_size
+CHECK (bin_size_liters IN (50, 60, 80, 90, 100, 120, 240, 260, 320, 340, 360, 660, 1100));
+
+-- The return type changes, so find_pricing_zone has to be recreated.
+-- The nearest-centre fallback is inlined because find_nearest_pricing_zone
+-- (kept for older clients) only returns the original ten price columns.
+DROP FUNCTION IF EXISTS public.find_pricing_zone(DECIMAL, DECIMAL, DECIMAL);
+
+CREATE FUNCTION public.find_pricing_zone(
+  p_latitude DECIMAL,
+  p_longitude DECIMAL,
+  p_max_distance_km DECIMAL DEFAULT 10
+)
+RETURNS TABLE (
+  zone_id UUID,
+  region VARCHAR,
+  district VARCHAR,
+  community VARCHAR,
+  suburb VARCHAR,
+  distance_km DECIMAL,
+  price_50l DECIMAL,
+  price_60l DECIMAL,
+  price_80l DECIMAL,
+  price_90l DECIMAL,
+  price_100l DECIMAL,
+  price_120l DECIMAL,
+  price_240l DECIMAL,
+  price_260l DECIMAL,
+  price_320l DECIMAL,
+  price_340l DECIMAL,
+  price_360l DECIMAL,
+  price_660l DECIMAL,
+  price_1100l DECIMAL,
+  match_type VARCHAR
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    pz.id,
+    pz.region,
+    pz.district,
+    pz.community,
+    pz.suburb,
+    CASE WHEN pz.latitude IS NULL OR pz.longitude IS NULL THEN NULL ELSE
+      (6371 * acos(LEAST(1, GREATEST(-1,
+        cos(radians(p_latitude)) * cos(radians(pz.latitude)) *
+        cos(radians(pz.longitude) - radians(p_longitude)) +
+        sin(radians(p_latitude)) * sin(radians(pz.latitude))
+      ))))::DECIMAL
+    END,
+    pz.price_50l,
+    pz.price_60l,
+    pz.price_80l,
+    pz.price_90l,
+    pz.price_100l,
+    pz.price_120l,
+    pz.price_240l,
+    pz.price_260l,
+    pz.price_320l,
+    pz.price_340l,
+    pz.price_360l,
+    pz.price_660l,
+    pz.price_1100l,
+    'polygon'::VARCHAR
+  FROM public.pricing_zones pz
+  WHERE pz.is_active = true
+    AND pz.boundary IS NOT NULL
+    AND p_latitude BETWEEN pz.bbox_min_lat AND pz.bbox_max_lat
+    AND p_longitude BETWEEN pz.bbox_min_lng AND pz.bbox_max_lng
+    AND public.point_in_boundary(p_latitude, p_longitude, pz.boundary)
+  ORDER BY (pz.bbox_max_lat - pz.bbox_min_lat) * (pz.bbox_max_lng - pz.bbox_min_lng) ASC
+  LIMIT 1;
+
+  IF FOUND THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    nz.id,
+    nz.region,
+    nz.district,
+    nz.community,
+    nz.suburb,
+    nz.distance_km,
+    nz.price_50l,
+    nz.price_60l,
+    nz.price_80l,
+    nz.price_90l,
+    nz.price_100l,
+    nz.price_120l,
+    nz.price_240l,
+    nz.price_260l,
+    nz.price_320l,
+    nz.price_340l,
+    nz.price_360l,
+    nz.price_660l,
+    nz.price_1100l,
+    'nearest'::VARCHAR
+  FROM (
+    SELECT
+      pz.*,
+      (6371 * acos(LEAST(1, GREATEST(-1,
+        cos(radians(p_latitude)) * cos(radians(pz.latitude)) *
+        cos(radians(pz.longitude) - radians(p_longitude)) +
+        sin(radians(p_latitude)) * sin(radians(pz.latitude))
+      ))))::DECIMAL AS distance_km
+    FROM public.pricing_zones pz
+    WHERE pz.is_active = true
+      AND pz.latitude IS NOT NULL
+      AND pz.longitude IS NOT NULL
+  ) nz
+  WHERE nz.distance_km <= p_max_distance_km
+  ORDER BY nz.distance_km ASC
+  LIMIT 1;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.get_location_price(
+  p_latitude DECIMAL,
+  p_longitude DECIMAL,
+  p_bin_size INTEGER
+)
+RETURNS DECIMAL
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_price DECIMAL;
+  v_zone RECORD;
+BEGIN
+  SELECT * INTO v_zone
+  FROM public.find_pricing_zone(p_latitude, p_longitude, 10)
+  LIMIT 1;
+
+  IF v_zone IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  CASE p_bin_size
+    WHEN 50 THEN v_price := v_zone.price_50l;
+    WHEN 60 THEN v_price := v_zone.price_60l;
+    WHEN 80 THEN v_price := v_zone.price_80l;
+    WHEN 90 THEN v_price := v_zone.price_90l;
+    WHEN 100 THEN v_price := v_zone.price_100l;
+    WHEN 120 THEN v_price := v_zone.price_120l;
+    WHEN 240 THEN v_price := v_zone.price_240l;
+    WHEN 260 THEN v_price := v_zone.price_260l;
+    WHEN 320 THEN v_price := v_zone.price_320l;
+    WHEN 340 THEN v_price := v_zone.price_340l;
+    WHEN 360 THEN v_price := v_zone.price_360l;
+    WHEN 660 THEN v_price := v_zone.price_660l;
+    WHEN 1100 THEN v_price := v_zone.price_1100l;
+    ELSE v_price := NULL;
+  END CASE;
+
+  RETURN v_price;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.get_pricing_zone_changes(p_since TIMESTAMPTZ DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_version TIMESTAMPTZ := NOW();
+  v_since TIMESTAMPTZ := p_since - INTERVAL '1 minute';
+  v_zones JSONB;
+  v_removed JSONB;
+BEGIN
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+    'id', pz.id,
+    'region', pz.region,
+    'district', pz.district,
+    'community', pz.community,
+    'suburb', pz.suburb,
+    'latitude', pz.latitude,
+    'longitude', pz.longitude,
+    'boundary', pz.boundary,
+    'price_50l', pz.price_50l,
+    'price_60l', pz.price_60l,
+    'price_80l', pz.price_80l,
+    'price_90l', pz.price_90l,
+    'price_100l', pz.price_100l,
+    'price_120l', pz.price_120l,
+    'price_240l', pz.price_240l,
+    'price_260l', pz.price_260l,
+    'price_320l', pz.price_320l,
+    'price_340l', pz.price_340l,
+    'price_360l', pz.price_360l,
+    'price_660l', pz.price_660l,
+    'price_1100l', pz.price_1100l,
+    'updated_at', pz.updated_at
+  )), '[]'::JSONB)
+  INTO v_zones
+  FROM public.pricing_zones pz
+  WHERE pz.is_active = true
+    AND (p_since IS NULL OR pz.updated_at > v_since);
+
+  IF p_since IS NULL THEN
+    v_removed := '[]'::JSONB;
+  ELSE
+    SELECT COALESCE(jsonb_agg(ids.zone_id), '[]'::JSONB)
+    INTO v_removed
+    FROM (
+      SELECT pz.id AS zone_id FROM public.pricing_zones pz
+      WHERE pz.is_active = false AND pz.updated_at > v_since
+      UNION
+      SELECT d.zone_id FROM public.pricing_zone_deletions d
+      WHERE d.deleted_at > v_since
+    ) ids;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'version', v_version,
+    'full', p_since IS NULL,
+    'zones', v_zones,
+    'removed_ids', v_removed
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.import_pricing_zones(p_zones JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_zone JSONB;
+  v_id UUID;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+BEGIN
+  IF jsonb_typeof(p_zones) <> 'array' THEN
+    RAISE EXCEPTION 'Expected an array of zones' USING ERRCODE = '22023';
+  END IF;
+
+  FOR v_zone IN SELECT * FROM jsonb_array_elements(p_zones) LOOP
+    SELECT pz.id INTO v_id
+    FROM public.pricing_zones pz
+    WHERE pz.region = v_zone->>'region'
+      AND pz.district = v_zone->>'district'
+      AND pz.community = v_zone->>'community'
+      AND pz.suburb = v_zone->>'suburb'
+    ORDER BY pz.created_at
+    LIMIT 1;
+
+    IF v_id IS NULL THEN
+      INSERT INTO public.pricing_zones (
+        country, region, district, community, suburb, latitude, longitude, boundary, is_active,
+        price_50l, price_60l, price_80l, price_90l, price_100l, price_120l, price_240l,
+        price_260l, price_320l, price_340l, price_360l, price_660l, price_1100l
+      ) VALUES (
+        COALESCE(v_zone->>'country', 'Ghana'),
+        v_zone->>'region', v_zone->>'district', v_zone->>'community', v_zone->>'suburb',
+        (v_zone->>'latitude')::DECIMAL, (v_zone->>'longitude')::DECIMAL,
+        v_zone->'boundary',
+        COALESCE((v_zone->>'is_active')::BOOLEAN, true),
+        (v_zone->>'price_50l')::DECIMAL, (v_zone->>'price_60l')::DECIMAL,
+        (v_zone->>'price_80l')::DECIMAL, (v_zone->>'price_90l')::DECIMAL,
+        (v_zone->>'price_100l')::DECIMAL, (v_zone->>'price_120l')::DECIMAL,
+        (v_zone->>'price_240l')::DECIMAL, (v_zone->>'price_260l')::DECIMAL,
+        (v_zone->>'price_320l')::DECIMAL, (v_zone->>'price_340l')::DECIMAL,
+        (v_zone->>'price_360l')::DECIMAL, (v_zone->>'price_660l')::DECIMAL,
+        (v_zone->>'price_1100l')::DECIMAL
+      );
+      v_inserted := v_inserted + 1;
+    ELSE
+      UPDATE public.pricing_zones pz SET
+        country = COALESCE(v_zone->>'country', pz.country),
+        latitude = COALESCE((v_zone->>'latitude')::DECIMAL, pz.latitude),
+        longitude = COALESCE((v_zone->>'longitude')::DECIMAL, pz.longitude),
+        boundary = CASE WHEN v_zone ? 'boundary' THEN v_zone->'boundary' ELSE pz.boundary END,
+        is_active = COALESCE((v_zone->>'is_active')::BOOLEAN, pz.is_active),
+        price_50l = COALESCE((v_zone->>'price_50l')::DECIMAL, pz.price_50l),
+        price_60l = COALESCE((v_zone->>'price_60l')::DECIMAL, pz.price_60l),
+        price_80l = COALESCE((v_zone->>'price_80l')::DECIMAL, pz.price_80l),
+        price_90l = COALESCE((v_zone->>'price_90l')::DECIMAL, pz.price_90l),
+        price_100l = COALESCE((v_zone->>'price_100l')::DECIMAL, pz.price_100l),
+        price_120l = COALESCE((v_zone->>'price_120l')::DECIMAL, pz.price_120l),
+        price_240l = COALESCE((v_zone->>'price_240l')::DECIMAL, pz.price_240l),
+        price_260l = COALESCE((v_zone->>'price_260l')::DECIMAL, pz.price_260l),
+        price_320l = COALESCE((v_zone->>'price_320l')::DECIMAL, pz.price_320l),
+        price_340l = COALESCE((v_zone->>'price_340l')::DECIMAL, pz.price_340l),
+        price_360l = COALESCE((v_zone->>'price_360l')::DECIMAL, pz.price_360l),
+        price_660l = COALESCE((v_zone->>'price_660l')::DECIMAL, pz.price_660l),
+        price_1100l = COALESCE((v_zone->>'price_1100l')::DECIMAL, pz.price_1100l),
+        updated_at = NOW()
+      WHERE pz.id = v_id;
+      v_updated := v_updated + 1;
+    END IF;
+  END LOOP;
+
+  RETURN jsonb_build_object('inserted', v_inserted, 'updated', v_updated);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.find_pricing_zone TO authenticated, anon;
+REVOKE EXECUTE ON FUNCTION public.import_pricing_zones FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.import_pricing_zones TO service_role;
+
+COMMENT ON FUNCTION public.find_pricing_zone IS 'Point-in-polygon zone lookup with nearest-centre fallback. match_type is polygon or nearest. Returns one price column per catalogue bin size.';
+
+-- Rollback instructions
+/*
+-- Re-run the find_pricing_zone, get_location_price and import_pricing_zones
+-- definitions from 20261019000005 and get_pricing_zone_changes from 20261019000006
+-- (drop find_pricing_zone first; its return type differs), then:
+ALTER TABLE public.digital_bins DROP CONSTRAINT IF EXISTS check_bin_size;
+ALTER TABLE public.digital_bins
+ADD CONSTRAINT check_bin_size
+CHECK (bin_size_liters IN (60, 80, 90, 100, 120, 240, 340, 360, 660, 1100));
+ALTER TABLE public.pricing_zones DROP COLUMN IF EXISTS price_1100l;
+ALTER TABLE public.pricing_zones DROP COLUMN IF EXISTS price_660l;
+ALTER TABLE public.pricing_zones DROP COLUMN IF EXISTS price_340l;
+*/
@@ -0,0 +1,199 @@
+-- Migration: Demand/supply surge pricing
+-- Date: 2026-10-19
+-- Purpose: Inputs and per-zone state for the hidden surge multiplier (SOP v4.5.6)
+--          applied to urgent digital bin quotes. The multiplier itself is computed
+--          in netlify/functions/lib/surgePricing.js.
+
+-- Online collectors near a point (used by collectorService.getNearbyCollectors
+-- for the collector map and by get_surge_inputs for supply).
+-- A collector counts as online while is_online is set and they were active in the last 10 minutes.
+CREATE OR REPLACE FUNCTION public.find_nearby_collectors(
+  p_latitude DECIMAL,
+  p_longitude DECIMAL,
+  p_radius_km DECIMAL DEFAULT 5
+)
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  status VARCHAR,
+  current_location JSONB,
+  distance DOUBLE PRECISION,
+  last_active TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    nc.user_id,
+    NULLIF(TRIM(CONCAT_WS(' ', nc.first_name, nc.last_name)), ''),
+    nc.status::VARCHAR,
+    jsonb_build_object('latitude', nc.current_latitude, 'longitude', nc.current_longitude),
+    nc.distance_km,
+    nc.last_active
+  FROM (
+    SELECT
+      cp.*,
+      6371 * acos(LEAST(1, GREATEST(-1,
+        cos(radians(p_latitude)) * cos(radians(cp.current_latitude)) *
+        cos(radians(cp.current_longitude) - radians(p_longitude)) +
+        sin(radians(p_latitude)) * sin(radians(cp.current_latitude))
+      ))) AS distance_km
+    FROM public.collector_profiles cp
+    WHERE cp.is_online = true
+      AND cp.last_active > NOW() - INTERVAL '10 minutes'
+      AND cp.current_latitude IS NOT NULL
+      AND cp.current_longitude IS NOT NULL
+  ) nc
+  WHERE nc.distance_km <= p_radius_km
+  ORDER BY nc.distance_km ASC;
+END;
+$$;
+
+-- Demand and supply around a point: open (unaccepted) pickup requests and digital
+-- bins vs online collectors.
+CREATE OR REPLACE FUNCTION public.get_surge_inputs(
+  p_latitude DECIMAL,
+  p_longitude DECIMAL,
+  p_radius_km DECIMAL DEFAULT 5
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_pending INTEGER;
+  v_online INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO v_pending
+  FROM (
+    SELECT ST_Y(pr.coordinates::geometry) AS lat, ST_X(pr.coordinates::geometry) AS lng
+    FROM public.pickup_requests pr
+    WHERE pr.status IN ('pending', 'available')
+      AND pr.coordinates IS NOT NULL
+    UNION ALL
+    SELECT ST_Y(bl.coordinates), ST_X(bl.coordinates)
+    FROM public.digital_bins db
+    JOIN public.bin_locations bl ON bl.id = db.location_id
+    WHERE db.status = 'pending'
+      AND db.is_active = true
+  ) open_requests
+  WHERE 6371 * acos(LEAST(1, GREATEST(-1,
+    cos(radians(p_latitude)) * cos(radians(open_requests.lat)) *
+    cos(radians(open_requests.lng) - radians(p_longitude)) +
+    sin(radians(p_latitude)) * sin(radians(open_requests.lat))
+  ))) <= p_radius_km;
+
+  SELECT COUNT(*) INTO v_online
+  FROM public.find_nearby_collectors(p_latitude, p_longitude, p_radius_km);
+
+  RETURN jsonb_build_object('pending_requests', v_pending, 'online_collectors', v_online);
+END;
+$$;
+
+-- Smoothed surge state per pricing zone
+CREATE TABLE IF NOT EXISTS public.pricing_zone_surge (
+  zone_id UUID PRIMARY KEY REFERENCES public.pricing_zones(id) ON DELETE CASCADE,
+  multiplier NUMERIC(4, 2) NOT NULL DEFAULT 1.00,
+  target_multiplier NUMERIC(4, 2) NOT NULL DEFAULT 1.00,
+  pending_requests INTEGER NOT NULL DEFAULT 0,
+  online_collectors INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT check_surge_multiplier CHECK (multiplier >= 1 AND target_multiplier >= 1)
+);
+
+-- Surge is hidden from customers; only the quote function (service role) reads it
+ALTER TABLE public.pricing_zone_surge ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.record_zone_surge(
+  p_zone_id UUID,
+  p_multiplier NUMERIC,
+  p_target_multiplier NUMERIC,
+  p_pending_requests INTEGER,
+  p_online_collectors INTEGER
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.pricing_zone_surge (
+    zone_id, multiplier, target_multiplier, pending_requests, online_collectors, updated_at
+  ) VALUES (
+    p_zone_id, p_multiplier, p_target_multiplier, p_pending_requests, p_online_collectors, NOW()
+  )
+  ON CONFLICT (zone_id) DO UPDATE SET
+    multiplier = EXCLUDED.multiplier,
+    target_multiplier = EXCLUDED.target_multiplier,
+    pending_requests = EXCLUDED.pending_requests,
+    online_collectors = EXCLUDED.online_collectors,
+    updated_at = EXCLUDED.updated_at;
+END;
+$$;
+
+-- The quote function computes the smoothed state but only stores it on the quote;
+-- the zone moves when a bin is actually created, so re-quoting cannot push surge up.
+ALTER TABLE public.digital_bin_quotes
+ADD COLUMN IF NOT EXISTS surge_state JSONB;
+
+CREATE OR REPLACE FUNCTION public.record_bin_zone_surge()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_state JSONB;
+BEGIN
+  SELECT surge_state INTO v_state
+  FROM public.digital_bin_quotes
+  WHERE id = NEW.quote_id;
+
+  IF v_state IS NOT NULL THEN
+    PERFORM public.record_zone_surge(
+      (v_state->>'zone_id')::UUID,
+      (v_state->>'multiplier')::NUMERIC,
+      (v_state->>'target_multiplier')::NUMERIC,
+      (v_state->>'pending_requests')::INTEGER,
+      (v_state->>'online_collectors')::INTEGER
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_record_bin_zone_surge ON public.digital_bins;
+CREATE TRIGGER trigger_record_bin_zone_surge
+  AFTER INSERT ON public.digital_bins
+  FOR EACH ROW
+  WHEN (NEW.quote_id IS NOT NULL)
+  EXECUTE FUNCTION public.record_bin_zone_surge();
+
+GRANT EXECUTE ON FUNCTION public.find_nearby_collectors TO authenticated;
+REVOKE EXECUTE ON FUNCTION public.get_surge_inputs FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.get_surge_inputs TO service_role;
+REVOKE EXECUTE ON FUNCTION public.record_zone_surge FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.record_zone_surge TO service_role;
+
+COMMENT ON FUNCTION public.find_nearby_collectors IS 'Online collectors (active in the last 10 minutes) within p_radius_km, nearest first.';
+COMMENT ON FUNCTION public.get_surge_inputs IS 'Open pending requests and online collectors within p_radius_km, the inputs to the surge multiplier.';
+COMMENT ON TABLE public.pricing_zone_surge IS 'Smoothed surge multiplier per pricing zone, updated when a digital bin is created from an urgent quote. Hidden from customers.';
+COMMENT ON COLUMN public.digital_bin_quotes.surge_state IS 'Smoothed surge state computed for the quote, written to pricing_zone_surge when a bin uses it.';
+
+-- Rollback instructions
+/*
+DROP TRIGGER IF EXISTS trigger_record_bin_zone_surge ON public.digital_bins;
+DROP FUNCTION IF EXISTS public.record_bin_zone_surge;
+ALTER TABLE public.digital_bin_quotes DROP COLUMN IF EXISTS surge_state;
+DROP FUNCTION IF EXISTS public.record_zone_surge;
+DROP TABLE IF EXISTS public.pricing_zone_surge;
+DROP FUNCTION IF EXISTS public.get_surge_inputs;
+DROP FUNCTION IF EXISTS public.find_nearby_collectors;
+*/
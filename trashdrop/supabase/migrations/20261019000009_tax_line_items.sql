@@ -0,0 +1,82 @@
+-- Migration: Tax and levy line items
+-- Date: 2026-10-19
+-- Purpose: Store the tax/levy lines charged on digital bin quotes (rules live in
+--          src/utils/pricingCatalogue.json) and copy them onto the digital bin
+--          with the fee
+
+ALTER TABLE public.digital_bin_quotes
+ADD COLUMN IF NOT EXISTS tax_total NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE public.digital_bin_quotes
+ADD COLUMN IF NOT EXISTS taxes JSONB NOT NULL DEFAULT '[]'::JSONB;
+
+ALTER TABLE public.digital_bins
+ADD COLUMN IF NOT EXISTS tax_total NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE public.digital_bins
+ADD COLUMN IF NOT EXISTS taxes JSONB NOT NULL DEFAULT '[]'::JSONB;
+
+COMMENT ON COLUMN public.digital_bins.tax_total IS 'Taxes and levies included in fee (GHS), from the quote.';
+COMMENT ON COLUMN public.digital_bins.taxes IS 'Tax/levy lines included in fee: [{code, label, rate, amount}], from the quote.';
+
+-- Copies the quote's tax lines onto the bin. Runs after enforce_digital_bin_quote (trigger
+-- name order), which has validated the quote and marked it used by this bin.
+CREATE OR REPLACE FUNCTION public.enforce_digital_bin_quote_taxes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  q public.digital_bin_quotes%ROWTYPE;
+BEGIN
+  SELECT * INTO q
+  FROM public.digital_bin_quotes
+  WHERE id = NEW.quote_id AND used_by_bin_id = NEW.id;
+
+  NEW.tax_total := COALESCE(q.tax_total, 0);
+  NEW.taxes := COALESCE(q.taxes, '[]'::JSONB);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_digital_bin_quote_taxes ON public.digital_bins;
+CREATE TRIGGER enforce_digital_bin_quote_taxes
+BEFORE INSERT ON public.digital_bins
+FOR EACH ROW
+EXECUTE FUNCTION public.enforce_digital_bin_quote_taxes();
+
+-- Tax lines are pricing too; runs alongside protect_digital_bin_pricing
+CREATE OR REPLACE FUNCTION public.protect_digital_bin_taxes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated') AND (
+    NEW.tax_total IS DISTINCT FROM OLD.tax_total
+    OR NEW.taxes IS DISTINCT FROM OLD.taxes
+  ) THEN
+    RAISE EXCEPTION 'Digital bin pricing cannot be changed after creation' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS protect_digital_bin_taxes ON public.digital_bins;
+CREATE TRIGGER protect_digital_bin_taxes
+BEFORE UPDATE ON public.digital_bins
+FOR EACH ROW
+EXECUTE FUNCTION public.protect_digital_bin_taxes();
+
+-- Rollback instructions
+/*
+DROP TRIGGER IF EXISTS protect_digital_bin_taxes ON public.digital_bins;
+DROP FUNCTION IF EXISTS public.protect_digital_bin_taxes();
+DROP TRIGGER IF EXISTS enforce_digital_bin_quote_taxes ON public.digital_bins;
+DROP FUNCTION IF EXISTS public.enforce_digital_bin_quote_taxes();
+ALTER TABLE public.digital_bins DROP COLUMN IF EXISTS taxes;
+ALTER TABLE public.digital_bins DROP COLUMN IF EXISTS tax_total;
+ALTER TABLE public.digital_bin_quotes DROP COLUMN IF EXISTS taxes;
+ALTER TABLE public.digital_bin_quotes DROP COLUMN IF EXISTS tax_total;
+*/
@@ -0,0 +1,593 @@
+-- Migration: Wallet ledger
+-- Date: 2026-10-19
+-- Purpose: TrashDrop Wallet backed by a double-entry ledger. Every movement is a
+--          wallet_transactions row with balanced wallet_ledger_entries (entries sum to zero).
+--          Customers top up (settled by the payment provider), pay for completed pickups
+--          from their balance, and receive refunds back into it.
+
+-- ============================================================================
+-- Accounts
+-- ============================================================================
+-- One 'customer' account per user; system accounts have no owner:
+--   top_up_clearing - funds received from payment providers (goes negative as customers top up)
+--   service_revenue - pickup payments taken from wallets (refunds are paid back out of it)
+CREATE TABLE IF NOT EXISTS public.wallet_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  account_type VARCHAR(20) NOT NULL DEFAULT 'customer',
+  currency VARCHAR(3) NOT NULL DEFAULT 'GHS',
+  balance NUMERIC(12, 2) NOT NULL DEFAULT 0,           -- Running total of this account's entries
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT check_wallet_account_type CHECK (account_type IN ('customer', 'top_up_clearing', 'service_revenue')),
+  CONSTRAINT check_wallet_account_owner CHECK ((account_type = 'customer') = (user_id IS NOT NULL)),
+  CONSTRAINT check_wallet_customer_balance CHECK (account_type <> 'customer' OR balance >= 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_accounts_user
+ON public.wallet_accounts(user_id)
+WHERE user_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_accounts_system
+ON public.wallet_accounts(account_type)
+WHERE user_id IS NULL;
+
+INSERT INTO public.wallet_accounts (account_type)
+SELECT t.account_type
+FROM (VALUES ('top_up_clearing'), ('service_revenue')) AS t(account_type)
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.wallet_accounts wa WHERE wa.account_type = t.account_type AND wa.user_id IS NULL
+);
+
+-- ============================================================================
+-- Transactions and entries
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.wallet_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_type VARCHAR(20) NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL,
+  reference_type VARCHAR(30),                          -- e.g. 'wallet_top_up', 'scheduled_pickup', 'wallet_transaction'
+  reference_id UUID,
+  description TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT check_wallet_transaction_type CHECK (transaction_type IN ('top_up', 'pickup_payment', 'refund')),
+  CONSTRAINT check_wallet_transaction_amount CHECK (amount > 0)
+);
+
+-- A top-up or pickup is settled at most once; refunds may be partial so they are not unique
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_transactions_reference
+ON public.wallet_transactions(transaction_type, reference_type, reference_id)
+WHERE reference_id IS NOT NULL AND transaction_type <> 'refund';
+
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_refunds
+ON public.wallet_transactions(reference_id)
+WHERE transaction_type = 'refund';
+
+CREATE TABLE IF NOT EXISTS public.wallet_ledger_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id UUID REFERENCES public.wallet_transactions(id) ON DELETE RESTRICT NOT NULL,
+  account_id UUID REFERENCES public.wallet_accounts(id) ON DELETE RESTRICT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL,                      -- Positive credits the account, negative debits it
+  balance_after NUMERIC(12, 2) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT check_wallet_entry_amount CHECK (amount <> 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_ledger_entries_account
+ON public.wallet_ledger_entries(account_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_ledger_entries_transaction
+ON public.wallet_ledger_entries(transaction_id);
+
+-- Entries of a transaction must balance; checked at commit so both legs can be inserted first
+CREATE OR REPLACE FUNCTION public.check_wallet_transaction_balanced()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_total NUMERIC;
+BEGIN
+  SELECT COALESCE(SUM(amount), 0) INTO v_total
+  FROM public.wallet_ledger_entries
+  WHERE transaction_id = NEW.transaction_id;
+
+  IF v_total <> 0 THEN
+    RAISE EXCEPTION 'Wallet transaction % is unbalanced by %', NEW.transaction_id, v_total
+      USING ERRCODE = '23514';
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_wallet_transaction_balanced ON public.wallet_ledger_entries;
+CREATE CONSTRAINT TRIGGER check_wallet_transaction_balanced
+  AFTER INSERT ON public.wallet_ledger_entries
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW
+  EXECUTE FUNCTION public.check_wallet_transaction_balanced();
+
+-- The ledger is append-only; corrections are new transactions (e.g. refunds)
+CREATE OR REPLACE FUNCTION public.prevent_wallet_ledger_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'Wallet ledger entries cannot be changed or deleted' USING ERRCODE = '42501';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS prevent_wallet_ledger_changes ON public.wallet_ledger_entries;
+CREATE TRIGGER prevent_wallet_ledger_changes
+  BEFORE UPDATE OR DELETE ON public.wallet_ledger_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION public.prevent_wallet_ledger_changes();
+
+-- ============================================================================
+-- Top-ups
+-- ============================================================================
+-- Requested by the customer, credited only once the payment provider confirms it
+CREATE TABLE IF NOT EXISTS public.wallet_top_ups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL,
+  payment_method_id UUID REFERENCES public.payment_methods(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  provider_reference TEXT,
+  transaction_id UUID REFERENCES public.wallet_transactions(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  CONSTRAINT check_wallet_top_up_amount CHECK (amount >= 1 AND amount <= 1000),
+  CONSTRAINT check_wallet_top_up_status CHECK (status IN ('pending', 'completed', 'failed', 'cancelled'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_top_ups_user ON public.wallet_top_ups(user_id, created_at DESC);
+
+-- ============================================================================
+-- Row level security: customers read their own wallet; all writes go through the functions below
+-- ============================================================================
+ALTER TABLE public.wallet_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.wallet_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.wallet_ledger_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.wallet_top_ups ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own wallet account"
+  ON public.wallet_accounts
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own wallet entries"
+  ON public.wallet_ledger_entries
+  FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM public.wallet_accounts wa
+    WHERE wa.id = wallet_ledger_entries.account_id AND wa.user_id = auth.uid()
+  ));
+
+CREATE POLICY "Users can view their own wallet transactions"
+  ON public.wallet_transactions
+  FOR SELECT
+  USING (EXISTS (
+    SELECT 1
+    FROM public.wallet_ledger_entries le
+    JOIN public.wallet_accounts wa ON wa.id = le.account_id
+    WHERE le.transaction_id = wallet_transactions.id AND wa.user_id = auth.uid()
+  ));
+
+CREATE POLICY "Users can view their own wallet top-ups"
+  ON public.wallet_top_ups
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- Posting
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.ensure_wallet_account(p_user_id UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_account_id UUID;
+BEGIN
+  INSERT INTO public.wallet_accounts (user_id, account_type)
+  VALUES (p_user_id, 'customer')
+  ON CONFLICT (user_id) WHERE user_id IS NOT NULL DO NOTHING;
+
+  SELECT id INTO v_account_id FROM public.wallet_accounts WHERE user_id = p_user_id;
+  RETURN v_account_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.wallet_system_account(p_account_type TEXT)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT id FROM public.wallet_accounts WHERE account_type = p_account_type AND user_id IS NULL;
+$$;
+
+-- Move p_amount from one account to another as a single balanced transaction.
+-- Accounts are locked in id order so concurrent postings cannot deadlock.
+CREATE OR REPLACE FUNCTION public.post_wallet_transfer(
+  p_transaction_type TEXT,
+  p_from_account UUID,
+  p_to_account UUID,
+  p_amount NUMERIC,
+  p_reference_type TEXT DEFAULT NULL,
+  p_reference_id UUID DEFAULT NULL,
+  p_description TEXT DEFAULT NULL,
+  p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS public.wallet_transactions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_amount NUMERIC := ROUND(p_amount, 2);
+  v_from public.wallet_accounts%ROWTYPE;
+  v_transaction public.wallet_transactions%ROWTYPE;
+BEGIN
+  IF v_amount IS NULL OR v_amount <= 0 THEN
+    RAISE EXCEPTION 'Wallet amounts must be positive' USING ERRCODE = '22023';
+  END IF;
+  IF p_from_account IS NULL OR p_to_account IS NULL OR p_from_account = p_to_account THEN
+    RAISE EXCEPTION 'Invalid wallet transfer accounts' USING ERRCODE = '22023';
+  END IF;
+
+  PERFORM 1 FROM public.wallet_accounts
+  WHERE id IN (p_from_account, p_to_account)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT * INTO v_from FROM public.wallet_accounts WHERE id = p_from_account;
+  IF v_from.account_type = 'customer' AND v_from.balance < v_amount THEN
+    RAISE EXCEPTION 'Insufficient wallet balance' USING ERRCODE = 'P0001', HINT = 'INSUFFICIENT_FUNDS';
+  END IF;
+
+  INSERT INTO public.wallet_transactions (
+    transaction_type, amount, reference_type, reference_id, description, metadata, created_by
+  ) VALUES (
+    p_transaction_type, v_amount, p_reference_type, p_reference_id, p_description,
+    COALESCE(p_metadata, '{}'::jsonb), auth.uid()
+  )
+  RETURNING * INTO v_transaction;
+
+  UPDATE public.wallet_accounts SET balance = balance - v_amount, updated_at = NOW() WHERE id = p_from_account;
+  UPDATE public.wallet_accounts SET balance = balance + v_amount, updated_at = NOW() WHERE id = p_to_account;
+
+  INSERT INTO public.wallet_ledger_entries (transaction_id, account_id, amount, balance_after)
+  SELECT v_transaction.id, wa.id,
+    CASE WHEN wa.id = p_from_account THEN -v_amount ELSE v_amount END,
+    wa.balance
+  FROM public.wallet_accounts wa
+  WHERE wa.id IN (p_from_account, p_to_account);
+
+  RETURN v_transaction;
+END;
+$$;
+
+-- ============================================================================
+-- Customer API
+-- ============================================================================
+-- Balance of a user's wallet. Customers see their own; the collector handling one of the
+-- user's pickups at the payment step may see it too, for the insufficient-funds check.
+CREATE OR REPLACE FUNCTION public.get_wallet_balance(p_user_id UUID DEFAULT NULL)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := COALESCE(p_user_id, auth.uid());
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+  IF auth.uid() IS NOT NULL AND auth.uid() <> v_user_id AND NOT EXISTS (
+    SELECT 1 FROM public.scheduled_pickups sp
+    WHERE sp.user_id = v_user_id
+      AND sp.collector_id = auth.uid()
+      AND sp.status = 'pending_payment'
+  ) THEN
+    RAISE EXCEPTION 'Not authorized to view this wallet' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN COALESCE((SELECT balance FROM public.wallet_accounts WHERE user_id = v_user_id), 0);
+END;
+$$;
+
+-- Start a top-up; the wallet is credited by complete_wallet_top_up once the provider confirms
+CREATE OR REPLACE FUNCTION public.request_wallet_top_up(
+  p_amount NUMERIC,
+  p_payment_method_id UUID DEFAULT NULL
+)
+RETURNS public.wallet_top_ups
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_top_up public.wallet_top_ups%ROWTYPE;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+  IF p_amount IS NULL OR p_amount < 1 OR p_amount > 1000 THEN
+    RAISE EXCEPTION 'Top-ups must be between 1 and 1000' USING ERRCODE = 'P0001';
+  END IF;
+  IF p_payment_method_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM public.payment_methods
+    WHERE id = p_payment_method_id AND user_id = v_user_id AND status = 'active'
+  ) THEN
+    RAISE EXCEPTION 'Payment method not found' USING ERRCODE = 'P0001';
+  END IF;
+
+  PERFORM public.ensure_wallet_account(v_user_id);
+
+  INSERT INTO public.wallet_top_ups (user_id, amount, payment_method_id)
+  VALUES (v_user_id, ROUND(p_amount, 2), p_payment_method_id)
+  RETURNING * INTO v_top_up;
+
+  RETURN v_top_up;
+END;
+$$;
+
+-- Amount due for a pickup: its stored fee less any promo applied to it, with the discount
+-- priced from the promo definition and capped at 80% like every other discount. Wallet and
+-- mobile money payments both charge this, so the amount never comes from the client.
+CREATE OR REPLACE FUNCTION public.pickup_payment_amount(p_pickup_id UUID)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_fee NUMERIC;
+  v_discount NUMERIC;
+BEGIN
+  SELECT fee INTO v_fee FROM public.scheduled_pickups WHERE id = p_pickup_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Pickup not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF COALESCE(v_fee, 0) <= 0 THEN
+    RAISE EXCEPTION 'This pickup has no fee to pay' USING ERRCODE = 'P0001', HINT = 'NOTHING_DUE';
+  END IF;
+
+  SELECT COALESCE(SUM(public.promo_discount_amount(pc, v_fee)), 0) INTO v_discount
+  FROM public.promo_redemptions pr
+  JOIN public.promo_codes pc ON pc.id = pr.promo_code_id
+  WHERE pr.request_id = p_pickup_id
+    AND pr.service_type = 'pickup'
+    AND pr.status = 'applied';
+
+  RETURN ROUND(v_fee - LEAST(v_discount, v_fee * 0.8), 2);
+END;
+$$;
+
+-- The fee is what pickup_payment_amount charges, so clients cannot change it after booking
+CREATE OR REPLACE FUNCTION public.protect_scheduled_pickup_fee()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated') AND NEW.fee IS DISTINCT FROM OLD.fee THEN
+    RAISE EXCEPTION 'Pickup fee cannot be changed after booking' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_protect_scheduled_pickup_fee ON public.scheduled_pickups;
+CREATE TRIGGER trigger_protect_scheduled_pickup_fee
+  BEFORE UPDATE ON public.scheduled_pickups
+  FOR EACH ROW
+  EXECUTE FUNCTION public.protect_scheduled_pickup_fee();
+
+-- Pay for a pickup from the customer's wallet at completion. Either the customer or the
+-- collector on the pickup may take the payment; a pickup is only ever debited once.
+CREATE OR REPLACE FUNCTION public.pay_pickup_from_wallet(p_pickup_id UUID)
+RETURNS public.wallet_transactions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_pickup RECORD;
+  v_transaction public.wallet_transactions%ROWTYPE;
+BEGIN
+  SELECT sp.id, sp.user_id, sp.collector_id, sp.status INTO v_pickup
+  FROM public.scheduled_pickups sp
+  WHERE sp.id = p_pickup_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Pickup not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF auth.uid() IS NOT NULL AND auth.uid() NOT IN (v_pickup.user_id, v_pickup.collector_id) THEN
+    RAISE EXCEPTION 'Not authorized to take payment for this pickup' USING ERRCODE = '42501';
+  END IF;
+  IF v_pickup.status NOT IN ('pending_payment', 'completed') THEN
+    RAISE EXCEPTION 'Pickup must be collected before it is paid' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT * INTO v_transaction
+  FROM public.wallet_transactions
+  WHERE transaction_type = 'pickup_payment'
+    AND reference_type = 'scheduled_pickup'
+    AND reference_id = p_pickup_id;
+
+  IF FOUND THEN
+    RETURN v_transaction;
+  END IF;
+
+  RETURN public.post_wallet_transfer(
+    'pickup_payment',
+    public.ensure_wallet_account(v_pickup.user_id),
+    public.wallet_system_account('service_revenue'),
+    public.pickup_payment_amount(p_pickup_id),
+    'scheduled_pickup',
+    p_pickup_id,
+    'Pickup payment'
+  );
+END;
+$$;
+
+-- ============================================================================
+-- Operations API (service role only)
+-- ============================================================================
+-- Credit a pending top-up once the payment provider confirms the charge. Idempotent.
+CREATE OR REPLACE FUNCTION public.complete_wallet_top_up(
+  p_top_up_id UUID,
+  p_provider_reference TEXT DEFAULT NULL
+)
+RETURNS public.wallet_top_ups
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_top_up public.wallet_top_ups%ROWTYPE;
+  v_transaction public.wallet_transactions%ROWTYPE;
+BEGIN
+  SELECT * INTO v_top_up FROM public.wallet_top_ups WHERE id = p_top_up_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Top-up not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_top_up.status = 'completed' THEN
+    RETURN v_top_up;
+  END IF;
+  IF v_top_up.status <> 'pending' THEN
+    RAISE EXCEPTION 'Top-up is %', v_top_up.status USING ERRCODE = 'P0001';
+  END IF;
+
+  v_transaction := public.post_wallet_transfer(
+    'top_up',
+    public.wallet_system_account('top_up_clearing'),
+    public.ensure_wallet_account(v_top_up.user_id),
+    v_top_up.amount,
+    'wallet_top_up',
+    v_top_up.id,
+    'Wallet top-up',
+    jsonb_build_object('provider_reference', p_provider_reference)
+  );
+
+  UPDATE public.wallet_top_ups
+  SET status = 'completed',
+      provider_reference = COALESCE(p_provider_reference, provider_reference),
+      transaction_id = v_transaction.id,
+      completed_at = NOW()
+  WHERE id = p_top_up_id
+  RETURNING * INTO v_top_up;
+
+  RETURN v_top_up;
+END;
+$$;
+
+-- Refund all or part of a wallet payment back to the customer. Refunds of one payment
+-- can never add up to more than it.
+CREATE OR REPLACE FUNCTION public.refund_wallet_payment(
+  p_transaction_id UUID,
+  p_amount NUMERIC DEFAULT NULL,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS public.wallet_transactions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_payment public.wallet_transactions%ROWTYPE;
+  v_customer_account UUID;
+  v_refunded NUMERIC;
+  v_amount NUMERIC;
+BEGIN
+  SELECT * INTO v_payment
+  FROM public.wallet_transactions
+  WHERE id = p_transaction_id AND transaction_type = 'pickup_payment'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Wallet payment not found' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT le.account_id INTO v_customer_account
+  FROM public.wallet_ledger_entries le
+  WHERE le.transaction_id = v_payment.id AND le.amount < 0;
+
+  SELECT COALESCE(SUM(amount), 0) INTO v_refunded
+  FROM public.wallet_transactions
+  WHERE transaction_type = 'refund' AND reference_id = v_payment.id;
+
+  v_amount := COALESCE(p_amount, v_payment.amount - v_refunded);
+  IF v_amount <= 0 OR v_refunded + v_amount > v_payment.amount THEN
+    RAISE EXCEPTION 'Refund exceeds the amount paid (% of % already refunded)', v_refunded, v_payment.amount
+      USING ERRCODE = 'P0001';
+  END IF;
+
+  RETURN public.post_wallet_transfer(
+    'refund',
+    public.wallet_system_account('service_revenue'),
+    v_customer_account,
+    v_amount,
+    'wallet_transaction',
+    v_payment.id,
+    COALESCE(p_reason, 'Refund'),
+    jsonb_build_object('original_reference_type', v_payment.reference_type, 'original_reference_id', v_payment.reference_id)
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.ensure_wallet_account FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION public.wallet_system_account FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION public.post_wallet_transfer FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.get_wallet_balance TO authenticated;
+GRANT EXECUTE ON FUNCTION public.request_wallet_top_up TO authenticated;
+REVOKE EXECUTE ON FUNCTION public.pickup_payment_amount FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.pickup_payment_amount TO service_role;
+GRANT EXECUTE ON FUNCTION public.pay_pickup_from_wallet TO authenticated;
+REVOKE EXECUTE ON FUNCTION public.complete_wallet_top_up FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.complete_wallet_top_up TO service_role;
+REVOKE EXECUTE ON FUNCTION public.refund_wallet_payment FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.refund_wallet_payment TO service_role;
+
+COMMENT ON TABLE public.wallet_accounts IS 'Wallet ledger accounts: one per customer plus the top_up_clearing and service_revenue system accounts.';
+COMMENT ON COLUMN public.wallet_accounts.balance IS 'Sum of the account''s wallet_ledger_entries, maintained by post_wallet_transfer.';
+COMMENT ON TABLE public.wallet_transactions IS 'Wallet movements (top_up, pickup_payment, refund); each has balanced entries in wallet_ledger_entries.';
+COMMENT ON TABLE public.wallet_ledger_entries IS 'Append-only double-entry legs of wallet_transactions. Positive amounts credit the account.';
+COMMENT ON TABLE public.wallet_top_ups IS 'Customer top-up requests, credited to the wallet when the payment provider confirms them.';
+COMMENT ON FUNCTION public.pickup_payment_amount IS 'Amount due for a scheduled pickup: its stored fee less applied promos, priced from promo_codes (capped at 80%).';
+COMMENT ON FUNCTION public.pay_pickup_from_wallet IS 'Debits the customer wallet for a collected pickup (pickup_payment_amount), at most once per pickup.';
+COMMENT ON FUNCTION public.refund_wallet_payment IS 'Refunds all or part of a wallet pickup payment back to the customer wallet.';
+
+-- Rollback instructions
+/*
+DROP FUNCTION IF EXISTS public.refund_wallet_payment;
+DROP FUNCTION IF EXISTS public.complete_wallet_top_up;
+DROP FUNCTION IF EXISTS public.pay_pickup_from_wallet;
+DROP TRIGGER IF EXISTS trigger_protect_scheduled_pickup_fee ON public.scheduled_pickups;
+DROP FUNCTION IF EXISTS public.protect_scheduled_pickup_fee;
+DROP FUNCTION IF EXISTS public.pickup_payment_amount;
+DROP FUNCTION IF EXISTS public.request_wallet_top_up;
+DROP FUNCTION IF EXISTS public.get_wallet_balance;
+DROP FUNCTION IF EXISTS public.post_wallet_transfer;
+DROP FUNCTION IF EXISTS public.wallet_system_account;
+DROP FUNCTION IF EXISTS public.ensure_wallet_account;
+DROP TABLE IF EXISTS public.wallet_top_ups;
+DROP TABLE IF EXISTS public.wallet_ledger_entries;
+DROP TABLE IF EXISTS public.wallet_transactions;
+DROP TABLE IF EXISTS public.wallet_accounts;
+DROP FUNCTION IF EXISTS public.prevent_wallet_ledger_changes;
+DROP FUNCTION IF EXISTS public.check_wallet_transaction_balanced;
+*/
@@ -0,0 +1,123 @@
+-- Migration: Payment provider transactions
+-- Date: 2026-10-19
+-- Purpose: Track mobile money (and mock) provider payments for wallet top-ups and
+--          pickup payments. Rows are written by the payments Netlify function with the
+--          service role; settle_payment_transaction applies the outcome exactly once.
+
+CREATE TABLE IF NOT EXISTS public.payment_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,      -- Customer being charged
+  initiated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,         -- Customer or collector who started it
+  purpose VARCHAR(20) NOT NULL,
+  reference_id UUID NOT NULL,                                             -- wallet_top_ups.id or scheduled_pickups.id
+  provider VARCHAR(20) NOT NULL,
+  network VARCHAR(20),
+  msisdn VARCHAR(15),
+  amount NUMERIC(12, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'GHS',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  provider_reference TEXT,
+  provider_transaction_id TEXT,
+  failure_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  CONSTRAINT check_payment_purpose CHECK (purpose IN ('wallet_top_up', 'pickup_payment')),
+  CONSTRAINT check_payment_status CHECK (status IN ('pending', 'successful', 'failed')),
+  CONSTRAINT check_payment_amount CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_user ON public.payment_transactions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_reference ON public.payment_transactions(purpose, reference_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_transactions_provider_reference
+ON public.payment_transactions(provider, provider_reference)
+WHERE provider_reference IS NOT NULL;
+
+-- At most one successful provider payment per top-up or pickup
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_transactions_settled
+ON public.payment_transactions(purpose, reference_id)
+WHERE status = 'successful';
+
+-- At most one prompt open per top-up, pickup or tip: concurrent requests for the same
+-- reference collide here and the loser reuses the winner's pending payment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_transactions_pending
+ON public.payment_transactions(purpose, reference_id)
+WHERE status = 'pending';
+
+ALTER TABLE public.payment_transactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view payments they are charged for or started"
+  ON public.payment_transactions
+  FOR SELECT
+  USING (auth.uid() = user_id OR auth.uid() = initiated_by);
+
+-- Record a provider outcome and apply it: credit the wallet for a top-up, or mark the
+-- pickup paid. Outcomes for payments that are already final are ignored.
+CREATE OR REPLACE FUNCTION public.settle_payment_transaction(
+  p_payment_id UUID,
+  p_status TEXT,
+  p_provider_transaction_id TEXT DEFAULT NULL,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS public.payment_transactions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_payment public.payment_transactions%ROWTYPE;
+BEGIN
+  IF p_status NOT IN ('successful', 'failed') THEN
+    RAISE EXCEPTION 'Invalid settlement status: %', p_status USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_payment FROM public.payment_transactions WHERE id = p_payment_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_payment.status <> 'pending' THEN
+    RETURN v_payment;
+  END IF;
+
+  UPDATE public.payment_transactions
+  SET status = p_status,
+      provider_transaction_id = COALESCE(p_provider_transaction_id, provider_transaction_id),
+      failure_reason = CASE WHEN p_status = 'failed' THEN p_reason END,
+      completed_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_payment_id
+  RETURNING * INTO v_payment;
+
+  IF v_payment.purpose = 'wallet_top_up' THEN
+    IF p_status = 'successful' THEN
+      PERFORM public.complete_wallet_top_up(v_payment.reference_id, v_payment.provider_reference);
+    ELSE
+      UPDATE public.wallet_top_ups
+      SET status = 'failed'
+      WHERE id = v_payment.reference_id AND status = 'pending';
+    END IF;
+  ELSIF v_payment.purpose = 'pickup_payment' AND p_status = 'successful' THEN
+    UPDATE public.scheduled_pickups
+    SET payment_method = 'mobile_money',
+        payment_amount = v_payment.amount,
+        payment_status = 'completed',
+        updated_at = NOW()
+    WHERE id = v_payment.reference_id;
+  END IF;
+
+  RETURN v_payment;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.settle_payment_transaction FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.settle_payment_transaction TO service_role;
+
+COMMENT ON TABLE public.payment_transactions IS 'Payments collected through a payment provider (mobile money or the local mock) for wallet top-ups and pickups.';
+COMMENT ON FUNCTION public.settle_payment_transaction IS 'Applies a provider outcome once: credits the wallet top-up or marks the pickup paid.';
+
+-- Rollback instructions
+/*
+DROP FUNCTION IF EXISTS public.settle_payment_transaction;
+DROP TABLE IF EXISTS public.payment_transactions;
+*/
@@ -0,0 +1,121 @@
+-- Migration: Tokenised payment methods
+-- Date: 2026-10-19
+-- Purpose: payment_methods.details may only hold a provider token and display fields
+--          (last four digits, expiry, brand). Mobile money numbers move to a vault only
+--          the payments function (service role) can read; any other stored details
+--          (card numbers, CVVs) are purged and the cards they belonged to are retired.
+
+-- Token → mobile money number, for request-to-pay. Cards are tokenised by the provider
+-- and never reach the database.
+CREATE TABLE IF NOT EXISTS public.payment_method_tokens (
+  token TEXT PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  type VARCHAR(20) NOT NULL,
+  network VARCHAR(20),
+  msisdn VARCHAR(15) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT check_payment_token_type CHECK (type = 'mobile')
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_method_tokens_user ON public.payment_method_tokens(user_id);
+
+-- No policies: only the service role reads or writes the vault
+ALTER TABLE public.payment_method_tokens ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- Purge stored raw details
+-- ============================================================================
+-- Mobile numbers saved before tokenisation are vaulted and replaced by a token
+WITH vaulted AS (
+  INSERT INTO public.payment_method_tokens (token, user_id, type, network, msisdn)
+  SELECT
+    'pmt_' || replace(gen_random_uuid()::TEXT, '-', ''),
+    pm.user_id,
+    'mobile',
+    pm.provider,
+    pm.details->>'msisdn'
+  FROM public.payment_methods pm
+  WHERE pm.type = 'mobile' AND pm.details ? 'msisdn'
+  RETURNING token, user_id, msisdn
+)
+UPDATE public.payment_methods pm
+SET details = jsonb_build_object('token', v.token, 'last4', RIGHT(v.msisdn, 4)),
+    updated_at = NOW()
+FROM vaulted v
+WHERE pm.type = 'mobile'
+  AND pm.user_id = v.user_id
+  AND pm.details->>'msisdn' = v.msisdn;
+
+-- Everything else keeps only the display fields
+UPDATE public.payment_methods
+SET details = (
+      SELECT COALESCE(jsonb_object_agg(key, value), '{}'::jsonb)
+      FROM jsonb_each(details)
+      WHERE key IN ('token', 'last4', 'expiry', 'brand')
+    ),
+    updated_at = NOW()
+WHERE details IS NOT NULL
+  AND EXISTS (
+    SELECT 1 FROM jsonb_object_keys(details) AS k(key)
+    WHERE k.key NOT IN ('token', 'last4', 'expiry', 'brand')
+  );
+
+-- Cards (and any mobile number that could not be vaulted) are left without a token, so
+-- they cannot be charged. Retire them like a removed method; the customer adds the
+-- card again through the tokenising form.
+UPDATE public.payment_methods
+SET status = 'inactive',
+    is_default = false,
+    updated_at = NOW()
+WHERE type IN ('card', 'mobile')
+  AND status = 'active'
+  AND NOT COALESCE(details, '{}'::jsonb) ? 'token';
+
+-- ============================================================================
+-- Keep it that way
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.enforce_tokenised_payment_details()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_key TEXT;
+BEGIN
+  IF NEW.details IS NULL THEN
+    NEW.details := '{}'::jsonb;
+  END IF;
+
+  FOR v_key IN SELECT jsonb_object_keys(NEW.details) LOOP
+    IF v_key NOT IN ('token', 'last4', 'expiry', 'brand') THEN
+      RAISE EXCEPTION 'Payment method details may only contain a token and display fields (got %)', v_key
+        USING ERRCODE = '22023', HINT = 'Tokenise payment details with /api/payments/tokenize first';
+    END IF;
+  END LOOP;
+
+  IF NEW.details ? 'last4' AND NEW.details->>'last4' !~ '^\d{4}$' THEN
+    RAISE EXCEPTION 'last4 must be four digits' USING ERRCODE = '22023';
+  END IF;
+  IF NEW.type IN ('card', 'mobile') AND NOT NEW.details ? 'token' AND NEW.status = 'active' THEN
+    RAISE EXCEPTION 'A payment token is required for % payment methods', NEW.type USING ERRCODE = '22023';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_tokenised_payment_details ON public.payment_methods;
+CREATE TRIGGER enforce_tokenised_payment_details
+  BEFORE INSERT OR UPDATE OF details, type, status ON public.payment_methods
+  FOR EACH ROW
+  EXECUTE FUNCTION public.enforce_tokenised_payment_details();
+
+COMMENT ON TABLE public.payment_method_tokens IS 'Vault of mobile money numbers behind payment_methods tokens. Service role only.';
+COMMENT ON FUNCTION public.enforce_tokenised_payment_details IS 'Rejects payment_methods.details other than token, last4, expiry and brand.';
+
+-- Rollback instructions (purged details cannot be restored)
+/*
+DROP TRIGGER IF EXISTS enforce_tokenised_payment_details ON public.payment_methods;
+DROP FUNCTION IF EXISTS public.enforce_tokenised_payment_details;
+DROP TABLE IF EXISTS public.payment_method_tokens;
+*/
@@ -0,0 +1,353 @@
+-- Migration: Collector tips
+-- Date: 2026-10-19
+-- Purpose: Let customers tip the collector once a pickup or digital bin is collected.
+--          Tips are recorded in collector_tips and reach the collector's wallet: wallet
+--          tips move between wallets straight away, mobile money tips are credited when
+--          the provider confirms, and cash tips count once the collector confirms they
+--          were handed over. Completed digital bin tips are added to
+--          digital_bins.collector_tips and the payout total.
+
+-- collector_tips already exists in deployed databases; create it for fresh ones
+CREATE TABLE IF NOT EXISTS public.collector_tips (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  collector_id UUID REFERENCES auth.users(id) NOT NULL,
+  request_id UUID,
+  request_type VARCHAR DEFAULT 'pickup_request',
+  amount NUMERIC NOT NULL DEFAULT 0,
+  user_id UUID REFERENCES auth.users(id),
+  message TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE public.collector_tips
+ADD COLUMN IF NOT EXISTS payment_method VARCHAR(20) NOT NULL DEFAULT 'cash',
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'completed',
+ADD COLUMN IF NOT EXISTS wallet_transaction_id UUID REFERENCES public.wallet_transactions(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+ALTER TABLE public.collector_tips
+DROP CONSTRAINT IF EXISTS check_collector_tip_payment_method,
+DROP CONSTRAINT IF EXISTS check_collector_tip_status,
+DROP CONSTRAINT IF EXISTS check_collector_tip_request_type;
+
+ALTER TABLE public.collector_tips
+ADD CONSTRAINT check_collector_tip_payment_method CHECK (payment_method IN ('wallet', 'mobile_money', 'cash')),
+ADD CONSTRAINT check_collector_tip_status CHECK (status IN ('pending', 'completed', 'failed')),
+ADD CONSTRAINT check_collector_tip_request_type CHECK (request_type IN ('pickup_request', 'scheduled_pickup', 'digital_bin')) NOT VALID;
+
+CREATE INDEX IF NOT EXISTS idx_collector_tips_collector ON public.collector_tips(collector_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_collector_tips_user ON public.collector_tips(user_id, created_at DESC);
+
+-- One tip per pickup; a failed mobile money tip may be retried
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collector_tips_request
+ON public.collector_tips(request_type, request_id)
+WHERE request_id IS NOT NULL AND status <> 'failed';
+
+ALTER TABLE public.collector_tips ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view tips they gave or received" ON public.collector_tips;
+CREATE POLICY "Users can view tips they gave or received"
+  ON public.collector_tips
+  FOR SELECT
+  USING (auth.uid() = user_id OR auth.uid() = collector_id);
+
+-- Tips are a new kind of wallet transaction and provider payment
+ALTER TABLE public.wallet_transactions DROP CONSTRAINT IF EXISTS check_wallet_transaction_type;
+ALTER TABLE public.wallet_transactions
+ADD CONSTRAINT check_wallet_transaction_type CHECK (transaction_type IN ('top_up', 'pickup_payment', 'refund', 'tip'));
+
+ALTER TABLE public.payment_transactions DROP CONSTRAINT IF EXISTS check_payment_purpose;
+ALTER TABLE public.payment_transactions
+ADD CONSTRAINT check_payment_purpose CHECK (purpose IN ('wallet_top_up', 'pickup_payment', 'collector_tip'));
+
+-- ============================================================================
+-- Completion
+-- ============================================================================
+-- Mark a tip received and add it to the digital bin's collector payout. Idempotent.
+CREATE OR REPLACE FUNCTION public.complete_collector_tip(
+  p_tip_id UUID,
+  p_wallet_transaction_id UUID DEFAULT NULL
+)
+RETURNS public.collector_tips
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tip public.collector_tips%ROWTYPE;
+BEGIN
+  SELECT * INTO v_tip FROM public.collector_tips WHERE id = p_tip_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Tip not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_tip.status = 'completed' THEN
+    RETURN v_tip;
+  END IF;
+
+  UPDATE public.collector_tips
+  SET status = 'completed',
+      wallet_transaction_id = COALESCE(p_wallet_transaction_id, wallet_transaction_id),
+      completed_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_tip_id
+  RETURNING * INTO v_tip;
+
+  IF v_tip.request_type = 'digital_bin' THEN
+    UPDATE public.digital_bins
+    SET collector_tips = COALESCE(collector_tips, 0) + v_tip.amount,
+        collector_total_payout = COALESCE(collector_total_payout, 0) + v_tip.amount,
+        updated_at = NOW()
+    WHERE id = v_tip.request_id;
+  END IF;
+
+  RETURN v_tip;
+END;
+$$;
+
+-- ============================================================================
+-- Customer API
+-- ============================================================================
+-- Tip the collector of a collected pickup or digital bin. Only the customer may tip, so a
+-- collector cannot move money out of the customer's wallet or book tips to themselves.
+CREATE OR REPLACE FUNCTION public.record_collector_tip(
+  p_request_type TEXT,
+  p_request_id UUID,
+  p_amount NUMERIC,
+  p_payment_method TEXT,
+  p_message TEXT DEFAULT NULL
+)
+RETURNS public.collector_tips
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_amount NUMERIC := ROUND(p_amount, 2);
+  v_user_id UUID;
+  v_collector_id UUID;
+  v_status TEXT;
+  v_collected BOOLEAN;
+  v_tip public.collector_tips%ROWTYPE;
+  v_transaction public.wallet_transactions%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+  IF v_amount IS NULL OR v_amount < 1 OR v_amount > 200 THEN
+    RAISE EXCEPTION 'Tips must be between 1 and 200' USING ERRCODE = 'P0001';
+  END IF;
+  IF p_payment_method NOT IN ('wallet', 'mobile_money', 'cash') THEN
+    RAISE EXCEPTION 'Invalid tip payment method: %', p_payment_method USING ERRCODE = '22023';
+  END IF;
+
+  IF p_request_type = 'digital_bin' THEN
+    SELECT user_id, collector_id, status INTO v_user_id, v_collector_id, v_status
+    FROM public.digital_bins WHERE id = p_request_id;
+    v_collected := v_status IN ('picked_up', 'disposed', 'completed');
+  ELSIF p_request_type = 'scheduled_pickup' THEN
+    SELECT user_id, collector_id, status INTO v_user_id, v_collector_id, v_status
+    FROM public.scheduled_pickups WHERE id = p_request_id;
+    v_collected := v_status IN ('pending_payment', 'completed');
+  ELSIF p_request_type = 'pickup_request' THEN
+    SELECT user_id, collector_id, status INTO v_user_id, v_collector_id, v_status
+    FROM public.pickup_requests WHERE id = p_request_id;
+    v_collected := v_status IN ('picked_up', 'disposed', 'completed');
+  ELSE
+    RAISE EXCEPTION 'Invalid request type: %', p_request_type USING ERRCODE = '22023';
+  END IF;
+
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Pickup not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_collector_id IS NULL OR NOT v_collected THEN
+    RAISE EXCEPTION 'Tips can be added once the pickup is collected' USING ERRCODE = 'P0001';
+  END IF;
+  IF auth.uid() <> v_user_id THEN
+    RAISE EXCEPTION 'Only the customer can tip for this pickup' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO public.collector_tips (
+    collector_id, request_id, request_type, amount, user_id, message, payment_method, status
+  ) VALUES (
+    v_collector_id, p_request_id, p_request_type, v_amount, v_user_id,
+    NULLIF(BTRIM(p_message), ''), p_payment_method, 'pending'
+  )
+  RETURNING * INTO v_tip;
+
+  -- Mobile money tips stay pending until the provider confirms (settle_payment_transaction),
+  -- cash tips until the collector confirms receiving the cash (confirm_cash_tip)
+  IF p_payment_method IN ('mobile_money', 'cash') THEN
+    RETURN v_tip;
+  END IF;
+
+  IF p_payment_method = 'wallet' THEN
+    v_transaction := public.post_wallet_transfer(
+      'tip',
+      public.ensure_wallet_account(v_user_id),
+      public.ensure_wallet_account(v_collector_id),
+      v_amount,
+      'collector_tip',
+      v_tip.id,
+      'Tip for collector'
+    );
+  END IF;
+
+  RETURN public.complete_collector_tip(v_tip.id, v_transaction.id);
+EXCEPTION
+  WHEN unique_violation THEN
+    RAISE EXCEPTION 'This pickup has already been tipped' USING ERRCODE = 'P0001', HINT = 'ALREADY_TIPPED';
+END;
+$$;
+
+-- ============================================================================
+-- Collector API
+-- ============================================================================
+-- Confirm a cash tip was handed over. Until then it is not added to the payout.
+CREATE OR REPLACE FUNCTION public.confirm_cash_tip(p_tip_id UUID)
+RETURNS public.collector_tips
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tip public.collector_tips%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_tip FROM public.collector_tips WHERE id = p_tip_id FOR UPDATE;
+
+  IF NOT FOUND OR v_tip.collector_id <> auth.uid() THEN
+    RAISE EXCEPTION 'Tip not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_tip.payment_method <> 'cash' THEN
+    RAISE EXCEPTION 'Only cash tips are confirmed by the collector' USING ERRCODE = 'P0001';
+  END IF;
+
+  RETURN public.complete_collector_tip(v_tip.id);
+END;
+$$;
+
+-- ============================================================================
+-- Operations API (service role only)
+-- ============================================================================
+-- Same as migration 20261019000011, plus collector tips: a successful mobile money tip
+-- is credited to the collector's wallet from the provider clearing account.
+CREATE OR REPLACE FUNCTION public.settle_payment_transaction(
+  p_payment_id UUID,
+  p_status TEXT,
+  p_provider_transaction_id TEXT DEFAULT NULL,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS public.payment_transactions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_payment public.payment_transactions%ROWTYPE;
+  v_tip public.collector_tips%ROWTYPE;
+  v_transaction public.wallet_transactions%ROWTYPE;
+BEGIN
+  IF p_status NOT IN ('successful', 'failed') THEN
+    RAISE EXCEPTION 'Invalid settlement status: %', p_status USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_payment FROM public.payment_transactions WHERE id = p_payment_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_payment.status <> 'pending' THEN
+    RETURN v_payment;
+  END IF;
+
+  UPDATE public.payment_transactions
+  SET status = p_status,
+      provider_transaction_id = COALESCE(p_provider_transaction_id, provider_transaction_id),
+      failure_reason = CASE WHEN p_status = 'failed' THEN p_reason END,
+      completed_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_payment_id
+  RETURNING * INTO v_payment;
+
+  IF v_payment.purpose = 'wallet_top_up' THEN
+    IF p_status = 'successful' THEN
+      PERFORM public.complete_wallet_top_up(v_payment.reference_id, v_payment.provider_reference);
+    ELSE
+      UPDATE public.wallet_top_ups
+      SET status = 'failed'
+      WHERE id = v_payment.reference_id AND status = 'pending';
+    END IF;
+  ELSIF v_payment.purpose = 'pickup_payment' AND p_status = 'successful' THEN
+    UPDATE public.scheduled_pickups
+    SET payment_method = 'mobile_money',
+        payment_amount = v_payment.amount,
+        payment_status = 'completed',
+        updated_at = NOW()
+    WHERE id = v_payment.reference_id;
+  ELSIF v_payment.purpose = 'collector_tip' THEN
+    SELECT * INTO v_tip FROM public.collector_tips WHERE id = v_payment.reference_id FOR UPDATE;
+
+    IF FOUND AND v_tip.status = 'pending' THEN
+      IF p_status = 'successful' THEN
+        v_transaction := public.post_wallet_transfer(
+          'tip',
+          public.wallet_system_account('top_up_clearing'),
+          public.ensure_wallet_account(v_tip.collector_id),
+          v_tip.amount,
+          'collector_tip',
+          v_tip.id,
+          'Tip for collector',
+          jsonb_build_object('provider', v_payment.provider, 'provider_reference', v_payment.provider_reference)
+        );
+        PERFORM public.complete_collector_tip(v_tip.id, v_transaction.id);
+      ELSE
+        UPDATE public.collector_tips
+        SET status = 'failed', updated_at = NOW()
+        WHERE id = v_tip.id;
+      END IF;
+    END IF;
+  END IF;
+
+  RETURN v_payment;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.complete_collector_tip FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION public.settle_payment_transaction FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.settle_payment_transaction TO service_role;
+GRANT EXECUTE ON FUNCTION public.record_collector_tip TO authenticated;
+GRANT EXECUTE ON FUNCTION public.confirm_cash_tip TO authenticated;
+
+COMMENT ON TABLE public.collector_tips IS 'Tips from customers to the collector of a completed pickup or digital bin.';
+COMMENT ON FUNCTION public.record_collector_tip IS 'Records the customer''s tip for a collected pickup: wallet tips complete immediately, mobile money tips when the provider confirms and cash tips when the collector confirms.';
+COMMENT ON FUNCTION public.confirm_cash_tip IS 'Collector confirms a cash tip was handed over, completing it.';
+COMMENT ON FUNCTION public.complete_collector_tip IS 'Marks a tip received and adds it to the digital bin collector payout.';
+
+-- Rollback instructions
+/*
+DROP FUNCTION IF EXISTS public.confirm_cash_tip;
+DROP FUNCTION IF EXISTS public.record_collector_tip;
+DROP FUNCTION IF EXISTS public.complete_collector_tip;
+-- Re-run settle_payment_transaction from 20261019000011_payment_transactions.sql
+ALTER TABLE public.payment_transactions DROP CONSTRAINT IF EXISTS check_payment_purpose;
+ALTER TABLE public.payment_transactions
+ADD CONSTRAINT check_payment_purpose CHECK (purpose IN ('wallet_top_up', 'pickup_payment'));
+ALTER TABLE public.wallet_transactions DROP CONSTRAINT IF EXISTS check_wallet_transaction_type;
+ALTER TABLE public.wallet_transactions
+ADD CONSTRAINT check_wallet_transaction_type CHECK (transaction_type IN ('top_up', 'pickup_payment', 'refund'));
+DROP POLICY IF EXISTS "Users can view tips they gave or received" ON public.collector_tips;
+DROP INDEX IF EXISTS public.idx_collector_tips_request;
+ALTER TABLE public.collector_tips
+DROP CONSTRAINT IF EXISTS check_collector_tip_payment_method,
+DROP CONSTRAINT IF EXISTS check_collector_tip_status,
+DROP CONSTRAINT IF EXISTS check_collector_tip_request_type,
+DROP COLUMN IF EXISTS payment_method,
+DROP COLUMN IF EXISTS status,
+DROP COLUMN IF EXISTS wallet_transaction_id,
+DROP COLUMN IF EXISTS completed_at;
+*/
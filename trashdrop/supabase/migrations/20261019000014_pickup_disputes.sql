@@ -0,0 +1,379 @@
+-- Migration: Pickup disputes
+-- Date: 2026-10-19
+-- Purpose: Let customers dispute a completed pickup or digital bin collection (bags not
+--          taken, partly collected, ...) with photos and a requested resolution. The
+--          collector answers with their side; support decides every dispute. Approved
+--          refunds reverse the customer's wallet payment for the pickup. Statuses follow
+--          DISPUTE_STATES in src/services/statusService.js.
+
+CREATE TABLE IF NOT EXISTS public.pickup_disputes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_type VARCHAR(20) NOT NULL,
+  request_id UUID NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,     -- Customer
+  collector_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  reason VARCHAR(30) NOT NULL,
+  description TEXT,
+  photo_urls TEXT[] NOT NULL DEFAULT '{}',                                -- dispute-photos storage paths
+  requested_resolution VARCHAR(20) NOT NULL,
+  requested_amount NUMERIC(12, 2),
+  amount_charged NUMERIC(12, 2) NOT NULL DEFAULT 0,                        -- What the customer paid for the request
+  status VARCHAR(30) NOT NULL DEFAULT 'open',
+  refund_amount NUMERIC(12, 2),
+  refund_transaction_id UUID REFERENCES public.wallet_transactions(id) ON DELETE SET NULL,
+  collector_accepted BOOLEAN,                                             -- Collector's answer; support still decides
+  collector_note TEXT,
+  resolution_note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ,
+  CONSTRAINT check_dispute_request_type CHECK (request_type IN ('pickup_request', 'scheduled_pickup', 'digital_bin')),
+  CONSTRAINT check_dispute_reason CHECK (reason IN ('not_collected', 'partially_collected', 'wrong_waste_type', 'damage', 'other')),
+  CONSTRAINT check_dispute_resolution CHECK (requested_resolution IN ('full_refund', 'partial_refund', 'recollection')),
+  CONSTRAINT check_dispute_status CHECK (status IN (
+    'open', 'under_review', 'refund_approved', 'refunded', 'recollection_scheduled', 'rejected', 'withdrawn'
+  )),
+  CONSTRAINT check_dispute_photos CHECK (COALESCE(array_length(photo_urls, 1), 0) <= 5),
+  CONSTRAINT check_dispute_refund_amount CHECK (refund_amount IS NULL OR (refund_amount > 0 AND refund_amount <= amount_charged))
+);
+
+CREATE INDEX IF NOT EXISTS idx_pickup_disputes_user ON public.pickup_disputes(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_pickup_disputes_collector ON public.pickup_disputes(collector_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_pickup_disputes_status ON public.pickup_disputes(status) WHERE status IN ('open', 'under_review');
+
+-- One dispute per collection; a withdrawn dispute may be raised again
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pickup_disputes_request
+ON public.pickup_disputes(request_type, request_id)
+WHERE status <> 'withdrawn';
+
+ALTER TABLE public.pickup_disputes ENABLE ROW LEVEL SECURITY;
+
+-- Changes go through the functions below
+CREATE POLICY "Users can view disputes they raised or that concern them"
+  ON public.pickup_disputes
+  FOR SELECT
+  USING (auth.uid() = user_id OR auth.uid() = collector_id);
+
+-- ============================================================================
+-- Customer API
+-- ============================================================================
+-- Raise a dispute against a collected pickup. The amount charged is captured now so
+-- refunds can never exceed it.
+CREATE OR REPLACE FUNCTION public.open_pickup_dispute(
+  p_request_type TEXT,
+  p_request_id UUID,
+  p_reason TEXT,
+  p_requested_resolution TEXT,
+  p_description TEXT DEFAULT NULL,
+  p_photo_urls TEXT[] DEFAULT '{}',
+  p_requested_amount NUMERIC DEFAULT NULL
+)
+RETURNS public.pickup_disputes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID;
+  v_collector_id UUID;
+  v_status TEXT;
+  v_charged NUMERIC;
+  v_collected BOOLEAN;
+  v_requested NUMERIC;
+  v_dispute public.pickup_disputes%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_request_type = 'digital_bin' THEN
+    SELECT user_id, collector_id, status, COALESCE(fee, 0) INTO v_user_id, v_collector_id, v_status, v_charged
+    FROM public.digital_bins WHERE id = p_request_id;
+    v_collected := v_status IN ('picked_up', 'disposed', 'completed');
+  ELSIF p_request_type = 'scheduled_pickup' THEN
+    SELECT user_id, collector_id, status, COALESCE(payment_amount, 0) INTO v_user_id, v_collector_id, v_status, v_charged
+    FROM public.scheduled_pickups WHERE id = p_request_id;
+    v_collected := v_status = 'completed';
+  ELSIF p_request_type = 'pickup_request' THEN
+    SELECT user_id, collector_id, status, COALESCE(fee, 0) INTO v_user_id, v_collector_id, v_status, v_charged
+    FROM public.pickup_requests WHERE id = p_request_id;
+    v_collected := v_status IN ('picked_up', 'disposed', 'completed');
+  ELSE
+    RAISE EXCEPTION 'Invalid request type: %', p_request_type USING ERRCODE = '22023';
+  END IF;
+
+  IF v_user_id IS NULL OR v_user_id <> auth.uid() THEN
+    RAISE EXCEPTION 'Pickup not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF NOT v_collected THEN
+    RAISE EXCEPTION 'Only completed pickups can be disputed' USING ERRCODE = 'P0001';
+  END IF;
+  IF EXISTS (
+    SELECT 1 FROM unnest(COALESCE(p_photo_urls, '{}')) AS path
+    WHERE split_part(path, '/', 1) <> auth.uid()::text
+  ) THEN
+    RAISE EXCEPTION 'Photos must be uploaded to your own dispute-photos folder' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_requested_resolution = 'full_refund' THEN
+    v_requested := v_charged;
+  ELSIF p_requested_resolution = 'partial_refund' THEN
+    v_requested := ROUND(p_requested_amount, 2);
+    IF v_requested IS NULL OR v_requested <= 0 OR v_requested >= v_charged THEN
+      RAISE EXCEPTION 'A partial refund must be more than 0 and less than %', v_charged USING ERRCODE = 'P0001';
+    END IF;
+  END IF;
+  IF p_requested_resolution IN ('full_refund', 'partial_refund') AND v_charged <= 0 THEN
+    RAISE EXCEPTION 'Nothing was charged for this pickup; request a recollection instead' USING ERRCODE = 'P0001';
+  END IF;
+
+  INSERT INTO public.pickup_disputes (
+    request_type, request_id, user_id, collector_id, reason, description, photo_urls,
+    requested_resolution, requested_amount, amount_charged
+  ) VALUES (
+    p_request_type, p_request_id, v_user_id, v_collector_id, p_reason, NULLIF(BTRIM(p_description), ''),
+    COALESCE(p_photo_urls, '{}'), p_requested_resolution, v_requested, v_charged
+  )
+  RETURNING * INTO v_dispute;
+
+  RETURN v_dispute;
+EXCEPTION
+  WHEN unique_violation THEN
+    RAISE EXCEPTION 'A dispute is already open for this pickup' USING ERRCODE = 'P0001', HINT = 'DISPUTE_EXISTS';
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.withdraw_pickup_dispute(p_dispute_id UUID)
+RETURNS public.pickup_disputes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_dispute public.pickup_disputes%ROWTYPE;
+BEGIN
+  SELECT * INTO v_dispute FROM public.pickup_disputes WHERE id = p_dispute_id FOR UPDATE;
+
+  IF NOT FOUND OR v_dispute.user_id <> auth.uid() THEN
+    RAISE EXCEPTION 'Dispute not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_dispute.status NOT IN ('open', 'under_review') THEN
+    RAISE EXCEPTION 'This dispute can no longer be withdrawn' USING ERRCODE = 'P0001';
+  END IF;
+
+  UPDATE public.pickup_disputes
+  SET status = 'withdrawn', resolved_at = NOW(), updated_at = NOW()
+  WHERE id = p_dispute_id
+  RETURNING * INTO v_dispute;
+
+  RETURN v_dispute;
+END;
+$$;
+
+-- ============================================================================
+-- Collector API
+-- ============================================================================
+-- The collector accepts or contests the customer's account. Either way the dispute goes
+-- to support: the collector is a party to it and cannot approve refunds or recollections.
+CREATE OR REPLACE FUNCTION public.respond_to_pickup_dispute(
+  p_dispute_id UUID,
+  p_accept BOOLEAN,
+  p_note TEXT DEFAULT NULL
+)
+RETURNS public.pickup_disputes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_dispute public.pickup_disputes%ROWTYPE;
+BEGIN
+  SELECT * INTO v_dispute FROM public.pickup_disputes WHERE id = p_dispute_id FOR UPDATE;
+
+  IF NOT FOUND OR v_dispute.collector_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Dispute not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_dispute.status <> 'open' THEN
+    RAISE EXCEPTION 'This dispute has already been answered' USING ERRCODE = 'P0001';
+  END IF;
+
+  UPDATE public.pickup_disputes
+  SET status = 'under_review',
+      collector_accepted = p_accept,
+      collector_note = NULLIF(BTRIM(p_note), ''),
+      updated_at = NOW()
+  WHERE id = p_dispute_id
+  RETURNING * INTO v_dispute;
+
+  RETURN v_dispute;
+END;
+$$;
+
+-- ============================================================================
+-- Refunds
+-- ============================================================================
+-- Refund an approved dispute by reversing the customer's wallet payment for the pickup
+-- (refund_wallet_payment), so a refund never exceeds what was actually paid from the
+-- wallet. Pickups paid by mobile money or cash have no wallet payment to reverse; support
+-- refunds those through the provider. Either party (or support) may trigger it; the
+-- refund is posted once.
+CREATE OR REPLACE FUNCTION public.refund_pickup_dispute(p_dispute_id UUID)
+RETURNS public.pickup_disputes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_dispute public.pickup_disputes%ROWTYPE;
+  v_payment_id UUID;
+  v_transaction public.wallet_transactions%ROWTYPE;
+BEGIN
+  SELECT * INTO v_dispute FROM public.pickup_disputes WHERE id = p_dispute_id FOR UPDATE;
+
+  IF NOT FOUND OR (auth.uid() IS NOT NULL AND auth.uid() NOT IN (v_dispute.user_id, v_dispute.collector_id)) THEN
+    RAISE EXCEPTION 'Dispute not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_dispute.status = 'refunded' THEN
+    RETURN v_dispute;
+  END IF;
+  IF v_dispute.status <> 'refund_approved' THEN
+    RAISE EXCEPTION 'No refund has been approved for this dispute' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT id INTO v_payment_id
+  FROM public.wallet_transactions
+  WHERE transaction_type = 'pickup_payment'
+    AND reference_type = v_dispute.request_type
+    AND reference_id = v_dispute.request_id;
+
+  IF v_payment_id IS NULL THEN
+    RAISE EXCEPTION 'This pickup was not paid from the wallet; support will refund it through the original payment method'
+      USING ERRCODE = 'P0001', HINT = 'PROVIDER_REFUND';
+  END IF;
+
+  v_transaction := public.refund_wallet_payment(v_payment_id, v_dispute.refund_amount, 'Refund for disputed pickup');
+
+  UPDATE public.pickup_disputes
+  SET status = 'refunded',
+      refund_transaction_id = v_transaction.id,
+      resolved_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_dispute_id
+  RETURNING * INTO v_dispute;
+
+  RETURN v_dispute;
+END;
+$$;
+
+-- ============================================================================
+-- Operations API (service role only)
+-- ============================================================================
+-- Support decision on an open or contested dispute. p_refund_amount defaults to the
+-- amount the customer asked for.
+CREATE OR REPLACE FUNCTION public.resolve_pickup_dispute(
+  p_dispute_id UUID,
+  p_status TEXT,
+  p_refund_amount NUMERIC DEFAULT NULL,
+  p_note TEXT DEFAULT NULL
+)
+RETURNS public.pickup_disputes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_dispute public.pickup_disputes%ROWTYPE;
+BEGIN
+  IF p_status NOT IN ('refund_approved', 'recollection_scheduled', 'rejected') THEN
+    RAISE EXCEPTION 'Invalid resolution: %', p_status USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_dispute FROM public.pickup_disputes WHERE id = p_dispute_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Dispute not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_dispute.status NOT IN ('open', 'under_review') THEN
+    RAISE EXCEPTION 'Dispute is already %', v_dispute.status USING ERRCODE = 'P0001';
+  END IF;
+
+  UPDATE public.pickup_disputes
+  SET status = p_status,
+      refund_amount = CASE
+        WHEN p_status = 'refund_approved' THEN ROUND(COALESCE(p_refund_amount, requested_amount, amount_charged), 2)
+      END,
+      resolution_note = NULLIF(BTRIM(p_note), ''),
+      resolved_at = CASE WHEN p_status <> 'refund_approved' THEN NOW() END,
+      updated_at = NOW()
+  WHERE id = p_dispute_id
+  RETURNING * INTO v_dispute;
+
+  RETURN v_dispute;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.open_pickup_dispute TO authenticated;
+GRANT EXECUTE ON FUNCTION public.withdraw_pickup_dispute TO authenticated;
+GRANT EXECUTE ON FUNCTION public.respond_to_pickup_dispute TO authenticated;
+GRANT EXECUTE ON FUNCTION public.refund_pickup_dispute TO authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION public.resolve_pickup_dispute FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.resolve_pickup_dispute TO service_role;
+
+-- ============================================================================
+-- Evidence photos
+-- ============================================================================
+-- Same layout as dumping-photos: dispute-photos/{user_id}/{timestamp}_{random}.jpg
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_namespace WHERE nspname = 'storage') THEN
+    -- Private: evidence shows customers' homes, so it is read through signed URLs
+    INSERT INTO storage.buckets (id, name, public)
+    VALUES ('dispute-photos', 'dispute-photos', false)
+    ON CONFLICT (id) DO UPDATE SET public = false;
+
+    DROP POLICY IF EXISTS "Users can upload dispute photos" ON storage.objects;
+    CREATE POLICY "Users can upload dispute photos"
+    ON storage.objects FOR INSERT
+    TO authenticated
+    WITH CHECK (
+      bucket_id = 'dispute-photos' AND
+      (storage.foldername(name))[1] = auth.uid()::text
+    );
+
+    -- The customer who uploaded them, and the collector of a dispute they are attached to
+    DROP POLICY IF EXISTS "Public can view dispute photos" ON storage.objects;
+    DROP POLICY IF EXISTS "Dispute parties can view dispute photos" ON storage.objects;
+    CREATE POLICY "Dispute parties can view dispute photos"
+    ON storage.objects FOR SELECT
+    TO authenticated
+    USING (
+      bucket_id = 'dispute-photos' AND (
+        (storage.foldername(name))[1] = auth.uid()::text OR
+        EXISTS (
+          SELECT 1 FROM public.pickup_disputes d
+          WHERE d.collector_id = auth.uid() AND name = ANY(d.photo_urls)
+        )
+      )
+    );
+  ELSE
+    RAISE NOTICE 'Storage schema not accessible. Create the dispute-photos bucket and its policies manually.';
+  END IF;
+END $$;
+
+COMMENT ON TABLE public.pickup_disputes IS 'Customer disputes against completed collections, with the requested resolution and any refund.';
+COMMENT ON FUNCTION public.open_pickup_dispute IS 'Raises a dispute against one of the caller''s completed pickups or digital bins.';
+COMMENT ON FUNCTION public.respond_to_pickup_dispute IS 'Collector accepts or contests an open dispute, sending it to support review.';
+COMMENT ON FUNCTION public.refund_pickup_dispute IS 'Refunds an approved dispute against the pickup''s wallet payment, once.';
+COMMENT ON FUNCTION public.resolve_pickup_dispute IS 'Support decision on an open or contested dispute.';
+
+-- Rollback instructions
+/*
+DROP POLICY IF EXISTS "Users can upload dispute photos" ON storage.objects;
+DROP POLICY IF EXISTS "Dispute parties can view dispute photos" ON storage.objects;
+DROP FUNCTION IF EXISTS public.resolve_pickup_dispute;
+DROP FUNCTION IF EXISTS public.refund_pickup_dispute;
+DROP FUNCTION IF EXISTS public.respond_to_pickup_dispute;
+DROP FUNCTION IF EXISTS public.withdraw_pickup_dispute;
+DROP FUNCTION IF EXISTS public.open_pickup_dispute;
+DROP TABLE IF EXISTS public.pickup_disputes;
+*/
@@ -0,0 +1,175 @@
+-- Migration: Collector ratings
+-- Date: 2026-10-19
+-- Purpose: Store the 1-5 star rating and review left for each collected pickup (one per
+--          pickup) and keep each collector's score on collector_profiles: rating is the
+--          average of their 100 most recent ratings, rating_count the lifetime total.
+
+CREATE TABLE IF NOT EXISTS public.collector_ratings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  collector_id UUID NOT NULL REFERENCES auth.users(id),
+  user_id UUID NOT NULL REFERENCES auth.users(id),
+  request_type TEXT NOT NULL CHECK (request_type IN ('pickup_request', 'scheduled_pickup', 'digital_bin')),
+  request_id UUID NOT NULL,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  review TEXT CHECK (review IS NULL OR char_length(review) <= 1000),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One rating per pickup
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collector_ratings_request
+  ON public.collector_ratings(request_type, request_id);
+CREATE INDEX IF NOT EXISTS idx_collector_ratings_collector
+  ON public.collector_ratings(collector_id, created_at DESC);
+
+ALTER TABLE public.collector_profiles
+ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS rating_updated_at TIMESTAMPTZ;
+
+ALTER TABLE public.collector_ratings ENABLE ROW LEVEL SECURITY;
+
+-- Ratings are written through submit_collector_rating only
+DROP POLICY IF EXISTS "Users can view their own collector ratings" ON public.collector_ratings;
+CREATE POLICY "Users can view their own collector ratings"
+ON public.collector_ratings FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id OR auth.uid() = collector_id);
+
+-- ============================================================================
+-- Aggregates
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.refresh_collector_rating(p_collector_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.collector_profiles cp
+  SET rating = COALESCE((
+        SELECT ROUND(AVG(recent.rating), 2)
+        FROM (
+          SELECT rating
+          FROM public.collector_ratings
+          WHERE collector_id = p_collector_id
+          ORDER BY created_at DESC
+          LIMIT 100
+        ) recent
+      ), 0),
+      rating_count = (
+        SELECT COUNT(*) FROM public.collector_ratings WHERE collector_id = p_collector_id
+      ),
+      rating_updated_at = NOW()
+  WHERE cp.user_id = p_collector_id;
+END;
+$$;
+
+-- Keeps the score right when support edits or removes a rating as well
+CREATE OR REPLACE FUNCTION public.trigger_refresh_collector_rating()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM public.refresh_collector_rating(OLD.collector_id);
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') AND (TG_OP = 'INSERT' OR NEW.collector_id <> OLD.collector_id) THEN
+    PERFORM public.refresh_collector_rating(NEW.collector_id);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_collector_rating_changed ON public.collector_ratings;
+CREATE TRIGGER trigger_collector_rating_changed
+  AFTER INSERT OR UPDATE OR DELETE ON public.collector_ratings
+  FOR EACH ROW
+  EXECUTE FUNCTION public.trigger_refresh_collector_rating();
+
+-- ============================================================================
+-- Customer API
+-- ============================================================================
+-- Rate the collector of a collected pickup or digital bin. Only the customer may rate, so
+-- collectors cannot rate themselves.
+CREATE OR REPLACE FUNCTION public.submit_collector_rating(
+  p_request_type TEXT,
+  p_request_id UUID,
+  p_rating INTEGER,
+  p_review TEXT DEFAULT NULL
+)
+RETURNS public.collector_ratings
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID;
+  v_collector_id UUID;
+  v_status TEXT;
+  v_collected BOOLEAN;
+  v_rating public.collector_ratings%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+  IF p_rating IS NULL OR p_rating < 1 OR p_rating > 5 THEN
+    RAISE EXCEPTION 'Ratings must be between 1 and 5 stars' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF p_request_type = 'digital_bin' THEN
+    SELECT user_id, collector_id, status INTO v_user_id, v_collector_id, v_status
+    FROM public.digital_bins WHERE id = p_request_id;
+    v_collected := v_status IN ('picked_up', 'disposed', 'completed');
+  ELSIF p_request_type = 'scheduled_pickup' THEN
+    SELECT user_id, collector_id, status INTO v_user_id, v_collector_id, v_status
+    FROM public.scheduled_pickups WHERE id = p_request_id;
+    v_collected := v_status IN ('pending_payment', 'completed');
+  ELSIF p_request_type = 'pickup_request' THEN
+    SELECT user_id, collector_id, status INTO v_user_id, v_collector_id, v_status
+    FROM public.pickup_requests WHERE id = p_request_id;
+    v_collected := v_status IN ('picked_up', 'disposed', 'completed');
+  ELSE
+    RAISE EXCEPTION 'Invalid request type: %', p_request_type USING ERRCODE = '22023';
+  END IF;
+
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Pickup not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_collector_id IS NULL OR NOT v_collected THEN
+    RAISE EXCEPTION 'Collectors can be rated once the pickup is collected' USING ERRCODE = 'P0001';
+  END IF;
+  IF auth.uid() <> v_user_id THEN
+    RAISE EXCEPTION 'Only the customer can rate this pickup' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO public.collector_ratings (collector_id, user_id, request_type, request_id, rating, review)
+  VALUES (v_collector_id, v_user_id, p_request_type, p_request_id, p_rating, NULLIF(BTRIM(p_review), ''))
+  RETURNING * INTO v_rating;
+
+  RETURN v_rating;
+EXCEPTION
+  WHEN unique_violation THEN
+    RAISE EXCEPTION 'This pickup has already been rated' USING ERRCODE = 'P0001', HINT = 'ALREADY_RATED';
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.refresh_collector_rating FROM PUBLIC, authenticated, anon;
+REVOKE EXECUTE ON FUNCTION public.trigger_refresh_collector_rating FROM PUBLIC, authenticated, anon;
+GRANT EXECUTE ON FUNCTION public.submit_collector_rating TO authenticated;
+
+COMMENT ON TABLE public.collector_ratings IS 'Star rating and review for the collector of each collected pickup or digital bin.';
+COMMENT ON COLUMN public.collector_profiles.rating IS 'Average of the collector''s 100 most recent ratings (0 until first rated).';
+COMMENT ON COLUMN public.collector_profiles.rating_count IS 'Number of ratings the collector has received.';
+COMMENT ON FUNCTION public.submit_collector_rating IS 'Rates the collector of a collected pickup, once per pickup.';
+COMMENT ON FUNCTION public.refresh_collector_rating IS 'Recomputes a collector''s rolling average and rating count.';
+
+-- Rollback instructions
+/*
+DROP FUNCTION IF EXISTS public.submit_collector_rating;
+DROP TRIGGER IF EXISTS trigger_collector_rating_changed ON public.collector_ratings;
+DROP FUNCTION IF EXISTS public.trigger_refresh_collector_rating;
+DROP FUNCTION IF EXISTS public.refresh_collector_rating;
+DROP TABLE IF EXISTS public.collector_ratings;
+ALTER TABLE public.collector_profiles DROP COLUMN IF EXISTS rating_count, DROP COLUMN IF EXISTS rating_updated_at;
+*/
@@ -0,0 +1,198 @@
+-- Migration: Atomic reward redemption
+-- Date: 2026-10-19
+-- Purpose: Redeem rewards in one transaction. redeem_reward locks the customer and the
+--          reward, checks the reward is active, in stock and under the per-customer cap,
+--          checks the points balance, decrements stock and issues a voucher code. The
+--          client can no longer write rewards_redemption directly, and a retried request
+--          with the same idempotency key returns the original redemption.
+
+-- ============================================================================
+-- Stock, caps and vouchers
+-- ============================================================================
+ALTER TABLE public.rewards
+ADD COLUMN IF NOT EXISTS stock_remaining INTEGER CHECK (stock_remaining IS NULL OR stock_remaining >= 0),
+ADD COLUMN IF NOT EXISTS max_per_user INTEGER CHECK (max_per_user IS NULL OR max_per_user > 0),
+ADD COLUMN IF NOT EXISTS voucher_valid_days INTEGER NOT NULL DEFAULT 90 CHECK (voucher_valid_days > 0);
+
+ALTER TABLE public.rewards_redemption
+ADD COLUMN IF NOT EXISTS voucher_code TEXT,
+ADD COLUMN IF NOT EXISTS voucher_expires_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS idempotency_key UUID;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rewards_redemption_voucher_code
+  ON public.rewards_redemption(voucher_code)
+  WHERE voucher_code IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rewards_redemption_idempotency
+  ON public.rewards_redemption(user_id, idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_rewards_redemption_user_reward
+  ON public.rewards_redemption(user_id, reward_id);
+
+-- Redemptions are created by redeem_reward only
+REVOKE INSERT, UPDATE, DELETE ON public.rewards_redemption FROM anon, authenticated;
+
+-- ============================================================================
+-- Points balance
+-- ============================================================================
+-- Same sources and weights as userService.getUserStats: collected pickups (10 each) and
+-- digital bins (15 each), dumping reports (10/15/20 by severity) and QR scans (5 each),
+-- less points spent on rewards. Fixed rates are used because pickup_requests.points_earned
+-- and user_activity.points_impact are written by the client. Callers may only read their
+-- own balance. Migration 20261019000017 moves this onto the points ledger.
+CREATE OR REPLACE FUNCTION public.get_user_points_balance(p_user_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS DISTINCT FROM p_user_id THEN
+    RAISE EXCEPTION 'Not authorized to view these points' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN (
+    COALESCE((
+        SELECT COUNT(*) * 10
+        FROM public.pickup_requests
+        WHERE user_id = p_user_id AND status IN ('picked_up', 'collected', 'disposed', 'completed')
+      ), 0)
+    + COALESCE((
+        SELECT COUNT(*) * 15
+        FROM public.digital_bins
+        WHERE user_id = p_user_id AND status IN ('picked_up', 'collected', 'disposed', 'completed')
+      ), 0)
+    + COALESCE((
+        SELECT SUM(CASE severity WHEN 'high' THEN 20 WHEN 'low' THEN 10 ELSE 15 END)
+        FROM public.illegal_dumping_mobile
+        WHERE reported_by = p_user_id
+      ), 0)
+    + COALESCE((
+        SELECT COUNT(*) * 5
+        FROM public.user_activity
+        WHERE user_id = p_user_id AND activity_type = 'qr_scan'
+      ), 0)
+    - COALESCE((SELECT SUM(points_spent) FROM public.rewards_redemption WHERE user_id = p_user_id), 0)
+  )::INTEGER;
+END;
+$$;
+
+-- ============================================================================
+-- Customer API
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.redeem_reward(
+  p_reward_id UUID,
+  p_idempotency_key UUID DEFAULT NULL
+)
+RETURNS public.rewards_redemption
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_reward public.rewards%ROWTYPE;
+  v_redemption public.rewards_redemption%ROWTYPE;
+  v_redeemed INTEGER;
+  v_balance INTEGER;
+  v_code TEXT;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  -- One redemption at a time per customer, so double taps see each other's spend
+  PERFORM pg_advisory_xact_lock(hashtext('redeem_reward'), hashtext(v_user_id::text));
+
+  IF p_idempotency_key IS NOT NULL THEN
+    SELECT * INTO v_redemption
+    FROM public.rewards_redemption
+    WHERE user_id = v_user_id AND idempotency_key = p_idempotency_key;
+
+    IF FOUND THEN
+      RETURN v_redemption;
+    END IF;
+  END IF;
+
+  SELECT * INTO v_reward FROM public.rewards WHERE id = p_reward_id FOR UPDATE;
+
+  IF NOT FOUND OR NOT COALESCE(v_reward.active, false) THEN
+    RAISE EXCEPTION 'Reward is no longer available' USING ERRCODE = 'P0001', HINT = 'REWARD_UNAVAILABLE';
+  END IF;
+  IF v_reward.stock_remaining IS NOT NULL AND v_reward.stock_remaining <= 0 THEN
+    RAISE EXCEPTION 'This reward is out of stock' USING ERRCODE = 'P0001', HINT = 'OUT_OF_STOCK';
+  END IF;
+
+  IF v_reward.max_per_user IS NOT NULL THEN
+    SELECT COUNT(*) INTO v_redeemed
+    FROM public.rewards_redemption
+    WHERE user_id = v_user_id AND reward_id = p_reward_id AND status <> 'cancelled';
+
+    IF v_redeemed >= v_reward.max_per_user THEN
+      RAISE EXCEPTION 'You have already redeemed this reward % time(s)', v_redeemed
+        USING ERRCODE = 'P0001', HINT = 'REDEMPTION_LIMIT';
+    END IF;
+  END IF;
+
+  v_balance := public.get_user_points_balance(v_user_id);
+  IF v_balance < v_reward.points_cost THEN
+    RAISE EXCEPTION 'Insufficient points. Required: %, Available: %', v_reward.points_cost, v_balance
+      USING ERRCODE = 'P0001', HINT = 'INSUFFICIENT_POINTS';
+  END IF;
+
+  IF v_reward.stock_remaining IS NOT NULL THEN
+    UPDATE public.rewards
+    SET stock_remaining = stock_remaining - 1, updated_at = NOW()
+    WHERE id = p_reward_id;
+  END IF;
+
+  -- TD-XXXX-XXXX-XXXX from a random UUID; retry on the (unlikely) collision
+  LOOP
+    v_code := 'TD-' || UPPER(
+      regexp_replace(substr(replace(gen_random_uuid()::text, '-', ''), 1, 12), '(.{4})(.{4})(.{4})', '\1-\2-\3')
+    );
+    EXIT WHEN NOT EXISTS (SELECT 1 FROM public.rewards_redemption WHERE voucher_code = v_code);
+  END LOOP;
+
+  INSERT INTO public.rewards_redemption (
+    user_id, reward_id, points_spent, status, voucher_code, voucher_expires_at, idempotency_key
+  ) VALUES (
+    v_user_id, p_reward_id, v_reward.points_cost, 'issued', v_code,
+    NOW() + make_interval(days => v_reward.voucher_valid_days), p_idempotency_key
+  )
+  RETURNING * INTO v_redemption;
+
+  INSERT INTO public.user_activity (user_id, activity_type, description, related_id, points_impact)
+  VALUES (v_user_id, 'reward_redemption', 'Redeemed ' || v_reward.name, v_redemption.id, -v_reward.points_cost);
+
+  RETURN v_redemption;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.get_user_points_balance FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.get_user_points_balance TO authenticated;
+GRANT EXECUTE ON FUNCTION public.redeem_reward TO authenticated;
+
+COMMENT ON COLUMN public.rewards.stock_remaining IS 'Vouchers left to issue; NULL for unlimited.';
+COMMENT ON COLUMN public.rewards.max_per_user IS 'Redemptions allowed per customer; NULL for unlimited.';
+COMMENT ON COLUMN public.rewards_redemption.voucher_code IS 'Code (and QR payload) the customer shows to claim the reward.';
+COMMENT ON FUNCTION public.get_user_points_balance IS 'Caller''s points earned from pickups, bins, reports and scans less points spent on rewards.';
+COMMENT ON FUNCTION public.redeem_reward IS 'Redeems a reward for the caller in one transaction: stock, per-customer cap and balance checks, then a voucher.';
+
+-- Rollback instructions
+/*
+DROP FUNCTION IF EXISTS public.redeem_reward;
+DROP FUNCTION IF EXISTS public.get_user_points_balance;
+GRANT INSERT, UPDATE, DELETE ON public.rewards_redemption TO authenticated;
+DROP INDEX IF EXISTS idx_rewards_redemption_user_reward;
+DROP INDEX IF EXISTS idx_rewards_redemption_idempotency;
+DROP INDEX IF EXISTS idx_rewards_redemption_voucher_code;
+ALTER TABLE public.rewards_redemption
+DROP COLUMN IF EXISTS voucher_code,
+DROP COLUMN IF EXISTS voucher_expires_at,
+DROP COLUMN IF EXISTS idempotency_key;
+ALTER TABLE public.rewards
+DROP COLUMN IF EXISTS stock_remaining,
+DROP COLUMN IF EXISTS max_per_user,
+DROP COLUMN IF EXISTS voucher_valid_days;
+*/
@@ -0,0 +1,427 @@
+-- Migration: Points ledger
+-- Date: 2026-10-19
+-- Purpose: Record every points movement in one append-only ledger instead of re-deriving
+--          balances from pickups, bins, reports, scans and redemptions in each screen.
+--          Entries are typed: earn (+), spend (-), expire (-) and adjust (+/-, support
+--          corrections). Earning activities and reward redemptions post their entries by
+--          trigger at values set here rather than from client-written columns, existing
+--          history is backfilled, and get_user_points_balance now reads the ledger.
+--          reconcile_points_ledger compares the ledger with the per-table calculation and
+--          flags customers whose totals disagree.
+
+CREATE TABLE IF NOT EXISTS public.points_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id),
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('earn', 'spend', 'expire', 'adjust')),
+  points INTEGER NOT NULL,
+  source_type TEXT NOT NULL,
+  source_id UUID,
+  description TEXT NOT NULL,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_by UUID DEFAULT auth.uid(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT check_points_ledger_sign CHECK (
+    (entry_type = 'earn' AND points > 0)
+    OR (entry_type IN ('spend', 'expire') AND points < 0)
+    OR (entry_type = 'adjust' AND points <> 0)
+  )
+);
+
+-- An activity or redemption posts each entry type once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_points_ledger_source
+  ON public.points_ledger(source_type, source_id, entry_type)
+  WHERE source_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_points_ledger_user
+  ON public.points_ledger(user_id, created_at DESC);
+
+ALTER TABLE public.points_ledger ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own points" ON public.points_ledger;
+CREATE POLICY "Users can view their own points"
+ON public.points_ledger FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+REVOKE INSERT, UPDATE, DELETE ON public.points_ledger FROM anon, authenticated;
+
+-- Append-only: corrections are new adjust entries
+CREATE OR REPLACE FUNCTION public.prevent_points_ledger_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'points_ledger is append-only; post an adjust entry instead' USING ERRCODE = '42501';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_points_ledger_append_only ON public.points_ledger;
+CREATE TRIGGER trigger_points_ledger_append_only
+  BEFORE UPDATE OR DELETE ON public.points_ledger
+  FOR EACH ROW
+  EXECUTE FUNCTION public.prevent_points_ledger_changes();
+
+-- ============================================================================
+-- Posting
+-- ============================================================================
+-- Posts an entry; a repeat for the same source and type returns the original entry
+CREATE OR REPLACE FUNCTION public.post_points_entry(
+  p_user_id UUID,
+  p_entry_type TEXT,
+  p_points INTEGER,
+  p_source_type TEXT,
+  p_source_id UUID,
+  p_description TEXT,
+  p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS public.points_ledger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry public.points_ledger%ROWTYPE;
+BEGIN
+  INSERT INTO public.points_ledger (user_id, entry_type, points, source_type, source_id, description, metadata)
+  VALUES (p_user_id, p_entry_type, p_points, p_source_type, p_source_id, p_description, COALESCE(p_metadata, '{}'::jsonb))
+  ON CONFLICT (source_type, source_id, entry_type) WHERE source_id IS NOT NULL DO NOTHING
+  RETURNING * INTO v_entry;
+
+  IF NOT FOUND THEN
+    SELECT * INTO v_entry
+    FROM public.points_ledger
+    WHERE source_type = p_source_type AND source_id = p_source_id AND entry_type = p_entry_type;
+  END IF;
+
+  RETURN v_entry;
+END;
+$$;
+
+-- Points per activity, as awarded by the app since launch. Pickups and digital bins earn
+-- once collected; pickup_requests.points_earned and user_activity.points_impact are
+-- written by the client, so they are never used as the amount.
+CREATE OR REPLACE FUNCTION public.activity_points(p_source_type TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_source_type
+    WHEN 'pickup_request' THEN 10
+    WHEN 'digital_bin' THEN 15
+    WHEN 'qr_scan' THEN 5
+  END;
+$$;
+
+-- Statuses at which a pickup or digital bin has been collected
+CREATE OR REPLACE FUNCTION public.is_collected_status(p_status TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(p_status IN ('picked_up', 'collected', 'disposed', 'completed'), false);
+$$;
+
+CREATE OR REPLACE FUNCTION public.dumping_report_points(p_severity TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_severity WHEN 'high' THEN 20 WHEN 'low' THEN 10 ELSE 15 END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.trigger_post_activity_points()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_TABLE_NAME = 'pickup_requests' THEN
+    IF NEW.user_id IS NOT NULL AND public.is_collected_status(NEW.status) THEN
+      PERFORM public.post_points_entry(
+        NEW.user_id, 'earn', public.activity_points('pickup_request'), 'pickup_request', NEW.id, 'Pickup request'
+      );
+    END IF;
+  ELSIF TG_TABLE_NAME = 'digital_bins' THEN
+    IF public.is_collected_status(NEW.status) THEN
+      PERFORM public.post_points_entry(
+        NEW.user_id, 'earn', public.activity_points('digital_bin'), 'digital_bin', NEW.id, 'Digital bin'
+      );
+    END IF;
+  ELSIF TG_TABLE_NAME = 'illegal_dumping_mobile' THEN
+    PERFORM public.post_points_entry(
+      NEW.reported_by, 'earn', public.dumping_report_points(NEW.severity), 'dumping_report', NEW.id,
+      'Illegal dumping report', jsonb_build_object('severity', NEW.severity)
+    );
+  ELSIF TG_TABLE_NAME = 'user_activity' AND NEW.activity_type = 'qr_scan' THEN
+    PERFORM public.post_points_entry(
+      NEW.user_id, 'earn', public.activity_points('qr_scan'), 'qr_scan', NEW.id, 'QR code scan'
+    );
+  ELSIF TG_TABLE_NAME = 'rewards_redemption' AND NEW.points_spent > 0 THEN
+    PERFORM public.post_points_entry(
+      NEW.user_id, 'spend', -NEW.points_spent, 'reward_redemption', NEW.id, 'Reward redemption',
+      jsonb_build_object('reward_id', NEW.reward_id)
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+-- Posting is idempotent per source, so later status changes do not earn again
+DROP TRIGGER IF EXISTS trigger_pickup_request_points ON public.pickup_requests;
+CREATE TRIGGER trigger_pickup_request_points
+  AFTER INSERT OR UPDATE OF status ON public.pickup_requests
+  FOR EACH ROW EXECUTE FUNCTION public.trigger_post_activity_points();
+
+DROP TRIGGER IF EXISTS trigger_digital_bin_points ON public.digital_bins;
+CREATE TRIGGER trigger_digital_bin_points
+  AFTER INSERT OR UPDATE OF status ON public.digital_bins
+  FOR EACH ROW EXECUTE FUNCTION public.trigger_post_activity_points();
+
+DROP TRIGGER IF EXISTS trigger_dumping_report_points ON public.illegal_dumping_mobile;
+CREATE TRIGGER trigger_dumping_report_points
+  AFTER INSERT ON public.illegal_dumping_mobile
+  FOR EACH ROW EXECUTE FUNCTION public.trigger_post_activity_points();
+
+DROP TRIGGER IF EXISTS trigger_qr_scan_points ON public.user_activity;
+CREATE TRIGGER trigger_qr_scan_points
+  AFTER INSERT ON public.user_activity
+  FOR EACH ROW
+  WHEN (NEW.activity_type = 'qr_scan')
+  EXECUTE FUNCTION public.trigger_post_activity_points();
+
+DROP TRIGGER IF EXISTS trigger_reward_redemption_points ON public.rewards_redemption;
+CREATE TRIGGER trigger_reward_redemption_points
+  AFTER INSERT ON public.rewards_redemption
+  FOR EACH ROW EXECUTE FUNCTION public.trigger_post_activity_points();
+
+-- ============================================================================
+-- Backfill existing history
+-- ============================================================================
+INSERT INTO public.points_ledger (user_id, entry_type, points, source_type, source_id, description, created_at, created_by)
+SELECT user_id, 'earn', public.activity_points('pickup_request'), 'pickup_request', id, 'Pickup request', created_at, NULL
+FROM public.pickup_requests
+WHERE user_id IS NOT NULL AND public.is_collected_status(status)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.points_ledger (user_id, entry_type, points, source_type, source_id, description, created_at, created_by)
+SELECT user_id, 'earn', public.activity_points('digital_bin'), 'digital_bin', id, 'Digital bin', created_at, NULL
+FROM public.digital_bins
+WHERE public.is_collected_status(status)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.points_ledger (user_id, entry_type, points, source_type, source_id, description, metadata, created_at, created_by)
+SELECT reported_by, 'earn', public.dumping_report_points(severity), 'dumping_report', id,
+       'Illegal dumping report', jsonb_build_object('severity', severity), created_at, NULL
+FROM public.illegal_dumping_mobile
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.points_ledger (user_id, entry_type, points, source_type, source_id, description, created_at, created_by)
+SELECT user_id, 'earn', public.activity_points('qr_scan'), 'qr_scan', id, 'QR code scan', created_at, NULL
+FROM public.user_activity
+WHERE activity_type = 'qr_scan'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.points_ledger (user_id, entry_type, points, source_type, source_id, description, metadata, created_at, created_by)
+SELECT user_id, 'spend', -points_spent, 'reward_redemption', id, 'Reward redemption',
+       jsonb_build_object('reward_id', reward_id), created_at, NULL
+FROM public.rewards_redemption
+WHERE points_spent > 0
+ON CONFLICT DO NOTHING;
+
+-- ============================================================================
+-- Balances
+-- ============================================================================
+-- The per-table calculation from before the ledger (migration 20261019000016), at the
+-- earning rules above; kept for reconciliation only
+CREATE OR REPLACE FUNCTION public.get_legacy_points_balance(p_user_id UUID)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT (
+    COALESCE((
+        SELECT COUNT(*) * public.activity_points('pickup_request')
+        FROM public.pickup_requests
+        WHERE user_id = p_user_id AND public.is_collected_status(status)
+      ), 0)
+    + COALESCE((
+        SELECT COUNT(*) * public.activity_points('digital_bin')
+        FROM public.digital_bins
+        WHERE user_id = p_user_id AND public.is_collected_status(status)
+      ), 0)
+    + COALESCE((
+        SELECT SUM(public.dumping_report_points(severity))
+        FROM public.illegal_dumping_mobile
+        WHERE reported_by = p_user_id
+      ), 0)
+    + COALESCE((
+        SELECT COUNT(*) * public.activity_points('qr_scan')
+        FROM public.user_activity
+        WHERE user_id = p_user_id AND activity_type = 'qr_scan'
+      ), 0)
+    - COALESCE((SELECT SUM(points_spent) FROM public.rewards_redemption WHERE user_id = p_user_id), 0)
+  )::INTEGER;
+$$;
+
+CREATE OR REPLACE FUNCTION public.get_user_points_balance(p_user_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS DISTINCT FROM p_user_id THEN
+    RAISE EXCEPTION 'Not authorized to view these points' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN COALESCE((SELECT SUM(points) FROM public.points_ledger WHERE user_id = p_user_id), 0)::INTEGER;
+END;
+$$;
+
+-- ============================================================================
+-- Support API (service role only)
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.adjust_user_points(
+  p_user_id UUID,
+  p_points INTEGER,
+  p_reason TEXT
+)
+RETURNS public.points_ledger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NULLIF(BTRIM(p_reason), '') IS NULL THEN
+    RAISE EXCEPTION 'A reason is required for points adjustments' USING ERRCODE = '22023';
+  END IF;
+
+  RETURN public.post_points_entry(p_user_id, 'adjust', p_points, 'manual', NULL, p_reason);
+END;
+$$;
+
+-- ============================================================================
+-- Reconciliation
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.points_reconciliation_flags (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id),
+  ledger_points INTEGER NOT NULL,
+  legacy_points INTEGER NOT NULL,
+  difference INTEGER NOT NULL,
+  detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ,
+  resolution_note TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_points_reconciliation_open
+  ON public.points_reconciliation_flags(user_id)
+  WHERE resolved_at IS NULL;
+
+ALTER TABLE public.points_reconciliation_flags ENABLE ROW LEVEL SECURITY;
+
+-- Compares each customer's earn and spend entries with the legacy calculation (expiry and
+-- adjustments have no legacy equivalent). Opens or updates a flag per mismatch and closes
+-- flags that now agree. Returns the number of open flags.
+CREATE OR REPLACE FUNCTION public.reconcile_points_ledger()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_open INTEGER;
+BEGIN
+  DROP TABLE IF EXISTS points_reconciliation_run;
+  CREATE TEMP TABLE points_reconciliation_run ON COMMIT DROP AS
+  SELECT users.user_id,
+         COALESCE((
+           SELECT SUM(points) FROM public.points_ledger l
+           WHERE l.user_id = users.user_id AND l.entry_type IN ('earn', 'spend')
+         ), 0)::INTEGER AS ledger_points,
+         public.get_legacy_points_balance(users.user_id) AS legacy_points
+  FROM (
+    SELECT user_id FROM public.points_ledger
+    UNION SELECT user_id FROM public.pickup_requests WHERE user_id IS NOT NULL
+    UNION SELECT user_id FROM public.digital_bins
+    UNION SELECT reported_by FROM public.illegal_dumping_mobile
+    UNION SELECT user_id FROM public.user_activity WHERE activity_type = 'qr_scan'
+    UNION SELECT user_id FROM public.rewards_redemption
+  ) users;
+
+  UPDATE public.points_reconciliation_flags f
+  SET resolved_at = NOW(),
+      resolution_note = COALESCE(f.resolution_note, 'Totals agree')
+  FROM points_reconciliation_run r
+  WHERE f.user_id = r.user_id AND f.resolved_at IS NULL AND r.ledger_points = r.legacy_points;
+
+  INSERT INTO public.points_reconciliation_flags (user_id, ledger_points, legacy_points, difference)
+  SELECT user_id, ledger_points, legacy_points, ledger_points - legacy_points
+  FROM points_reconciliation_run
+  WHERE ledger_points <> legacy_points
+  ON CONFLICT (user_id) WHERE resolved_at IS NULL
+  DO UPDATE SET ledger_points = EXCLUDED.ledger_points,
+                legacy_points = EXCLUDED.legacy_points,
+                difference = EXCLUDED.difference,
+                detected_at = NOW();
+
+  SELECT COUNT(*) INTO v_open FROM public.points_reconciliation_flags WHERE resolved_at IS NULL;
+  RETURN v_open;
+END;
+$$;
+
+-- Live balance updates on the Rewards page (utils/realtime.js)
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+     AND NOT EXISTS (
+       SELECT 1 FROM pg_publication_tables
+       WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'points_ledger'
+     ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.points_ledger;
+  ELSIF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+    RAISE NOTICE 'supabase_realtime publication not found. Add points_ledger to realtime manually.';
+  END IF;
+END $$;
+
+REVOKE EXECUTE ON FUNCTION public.post_points_entry FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.trigger_post_activity_points FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.get_legacy_points_balance FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.adjust_user_points FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.reconcile_points_ledger FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.adjust_user_points TO service_role;
+GRANT EXECUTE ON FUNCTION public.reconcile_points_ledger TO service_role;
+GRANT EXECUTE ON FUNCTION public.get_user_points_balance TO authenticated;
+
+COMMENT ON TABLE public.points_ledger IS 'Append-only record of every points movement: earn, spend, expire and adjust.';
+COMMENT ON TABLE public.points_reconciliation_flags IS 'Customers whose ledger earn/spend total disagrees with the legacy points calculation.';
+COMMENT ON FUNCTION public.get_user_points_balance IS 'Current points balance from the points ledger.';
+COMMENT ON FUNCTION public.get_legacy_points_balance IS 'Per-table points calculation, used by reconcile_points_ledger.';
+COMMENT ON FUNCTION public.activity_points IS 'Points earned per pickup request, digital bin or QR scan.';
+COMMENT ON FUNCTION public.adjust_user_points IS 'Support correction to a customer''s points, with a reason.';
+COMMENT ON FUNCTION public.reconcile_points_ledger IS 'Flags customers whose ledger and legacy points totals disagree; returns the open flag count.';
+
+-- Rollback instructions
+/*
+ALTER PUBLICATION supabase_realtime DROP TABLE public.points_ledger;
+DROP FUNCTION IF EXISTS public.reconcile_points_ledger;
+DROP TABLE IF EXISTS public.points_reconciliation_flags;
+DROP FUNCTION IF EXISTS public.adjust_user_points;
+DROP TRIGGER IF EXISTS trigger_pickup_request_points ON public.pickup_requests;
+DROP TRIGGER IF EXISTS trigger_digital_bin_points ON public.digital_bins;
+DROP TRIGGER IF EXISTS trigger_dumping_report_points ON public.illegal_dumping_mobile;
+DROP TRIGGER IF EXISTS trigger_qr_scan_points ON public.user_activity;
+DROP TRIGGER IF EXISTS trigger_reward_redemption_points ON public.rewards_redemption;
+DROP FUNCTION IF EXISTS public.trigger_post_activity_points;
+DROP FUNCTION IF EXISTS public.post_points_entry;
+DROP TABLE IF EXISTS public.points_ledger;
+DROP FUNCTION IF EXISTS public.prevent_points_ledger_changes;
+-- Restore get_user_points_balance from migration 20261019000016, then:
+DROP FUNCTION IF EXISTS public.get_legacy_points_balance;
+DROP FUNCTION IF EXISTS public.dumping_report_points;
+DROP FUNCTION IF EXISTS public.is_collected_status;
+DROP FUNCTION IF EXISTS public.activity_points;
+*/
@@ -0,0 +1,270 @@
+-- Migration: Loyalty tiers and points expiry
+-- Date: 2026-10-19
+-- Purpose: Give customers a progression on top of their points balance. Tiers are reached
+--          on lifetime points earned and completed pickups, and carry benefits: a discount
+--          on the request fee (applied by the digital-bin-quote function) and priority
+--          matching (new requests are flagged for the collector queue). Points now expire
+--          12 months after they were earned, oldest first; expire_points posts the expire
+--          entries and get_expiring_points tells the app what is about to lapse.
+
+-- ============================================================================
+-- Tiers
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.loyalty_tiers (
+  code TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  rank INTEGER NOT NULL UNIQUE CHECK (rank > 0),
+  min_lifetime_points INTEGER NOT NULL DEFAULT 0 CHECK (min_lifetime_points >= 0),
+  min_completed_pickups INTEGER NOT NULL DEFAULT 0 CHECK (min_completed_pickups >= 0),
+  request_fee_discount NUMERIC(3,2) NOT NULL DEFAULT 0 CHECK (request_fee_discount BETWEEN 0 AND 1),
+  priority_matching BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO public.loyalty_tiers (code, name, rank, min_lifetime_points, min_completed_pickups, request_fee_discount, priority_matching)
+VALUES
+  ('bronze', 'Bronze', 1, 0, 0, 0, false),
+  ('silver', 'Silver', 2, 500, 5, 0.25, false),
+  ('gold', 'Gold', 3, 1500, 15, 0.50, true),
+  ('platinum', 'Platinum', 4, 4000, 40, 1.00, true)
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE public.loyalty_tiers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone signed in can view loyalty tiers" ON public.loyalty_tiers;
+CREATE POLICY "Anyone signed in can view loyalty tiers"
+ON public.loyalty_tiers FOR SELECT
+TO authenticated
+USING (true);
+
+-- Points earned over the customer's lifetime; spending and expiry do not lower a tier
+CREATE OR REPLACE FUNCTION public.get_user_lifetime_points(p_user_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id THEN
+    RAISE EXCEPTION 'Not authorized to view these points' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN COALESCE((
+    SELECT SUM(points) FROM public.points_ledger
+    WHERE user_id = p_user_id AND entry_type = 'earn'
+  ), 0)::INTEGER;
+END;
+$$;
+
+-- Highest tier whose points and pickup thresholds the customer meets
+CREATE OR REPLACE FUNCTION public.loyalty_tier_for(p_user_id UUID)
+RETURNS public.loyalty_tiers
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT t.*
+  FROM public.loyalty_tiers t
+  WHERE t.min_lifetime_points <= COALESCE((
+          SELECT SUM(points) FROM public.points_ledger
+          WHERE user_id = p_user_id AND entry_type = 'earn'
+        ), 0)
+    AND t.min_completed_pickups <= COALESCE((
+          SELECT completed_requests_count FROM public.user_stats WHERE user_id = p_user_id
+        ), 0)
+  ORDER BY t.rank DESC
+  LIMIT 1;
+$$;
+
+CREATE OR REPLACE FUNCTION public.get_user_tier(p_user_id UUID)
+RETURNS public.loyalty_tiers
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id THEN
+    RAISE EXCEPTION 'Not authorized to view this tier' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN public.loyalty_tier_for(p_user_id);
+END;
+$$;
+
+-- ============================================================================
+-- Priority matching
+-- ============================================================================
+ALTER TABLE public.digital_bins
+ADD COLUMN IF NOT EXISTS priority_matching BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE public.pickup_requests
+ADD COLUMN IF NOT EXISTS priority_matching BOOLEAN NOT NULL DEFAULT false;
+
+-- Collector queues list priority requests first, then oldest first
+CREATE INDEX IF NOT EXISTS idx_digital_bins_priority
+  ON public.digital_bins(priority_matching, created_at)
+  WHERE priority_matching = true;
+CREATE INDEX IF NOT EXISTS idx_pickup_requests_priority
+  ON public.pickup_requests(priority_matching, created_at)
+  WHERE priority_matching = true;
+
+-- Set from the customer's tier when the request is created; clients cannot set it
+CREATE OR REPLACE FUNCTION public.trigger_set_priority_matching()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  NEW.priority_matching := NEW.user_id IS NOT NULL
+    AND COALESCE((public.loyalty_tier_for(NEW.user_id)).priority_matching, false);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_digital_bin_priority ON public.digital_bins;
+CREATE TRIGGER trigger_digital_bin_priority
+  BEFORE INSERT ON public.digital_bins
+  FOR EACH ROW EXECUTE FUNCTION public.trigger_set_priority_matching();
+
+DROP TRIGGER IF EXISTS trigger_pickup_request_priority ON public.pickup_requests;
+CREATE TRIGGER trigger_pickup_request_priority
+  BEFORE INSERT ON public.pickup_requests
+  FOR EACH ROW EXECUTE FUNCTION public.trigger_set_priority_matching();
+
+-- ============================================================================
+-- Expiry
+-- ============================================================================
+-- Points lapse 12 months after they were earned. Spending and earlier expiry use up the
+-- oldest points first, so what has lapsed by p_as_of is the points credited before
+-- p_as_of - 12 months less everything debited so far.
+CREATE OR REPLACE FUNCTION public.points_lapsed_by(p_user_id UUID, p_as_of TIMESTAMPTZ)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT GREATEST(
+    0,
+    COALESCE(SUM(points) FILTER (WHERE points > 0 AND created_at <= p_as_of - INTERVAL '12 months'), 0)
+    + COALESCE(SUM(points) FILTER (WHERE points < 0), 0)
+  )::INTEGER
+  FROM public.points_ledger
+  WHERE user_id = p_user_id;
+$$;
+
+-- Points that will have lapsed within p_within_days, and when the oldest of them lapse
+CREATE OR REPLACE FUNCTION public.get_expiring_points(p_user_id UUID, p_within_days INTEGER DEFAULT 30)
+RETURNS TABLE (points INTEGER, expires_at TIMESTAMPTZ)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_points INTEGER;
+  v_debited INTEGER;
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id THEN
+    RAISE EXCEPTION 'Not authorized to view these points' USING ERRCODE = '42501';
+  END IF;
+
+  v_points := public.points_lapsed_by(p_user_id, NOW() + make_interval(days => p_within_days));
+  IF v_points <= 0 THEN
+    RETURN;
+  END IF;
+
+  SELECT COALESCE(-SUM(l.points), 0) INTO v_debited
+  FROM public.points_ledger l
+  WHERE l.user_id = p_user_id AND l.points < 0;
+
+  -- The oldest credit not yet used up is the next to lapse
+  RETURN QUERY
+  SELECT v_points, credits.created_at + INTERVAL '12 months'
+  FROM (
+    SELECT l.created_at, SUM(l.points) OVER (ORDER BY l.created_at, l.id) AS running_total
+    FROM public.points_ledger l
+    WHERE l.user_id = p_user_id AND l.points > 0
+  ) credits
+  WHERE credits.running_total > v_debited
+  ORDER BY credits.created_at
+  LIMIT 1;
+END;
+$$;
+
+-- Posts an expire entry for every customer with lapsed points; returns the points expired
+CREATE OR REPLACE FUNCTION public.expire_points()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user RECORD;
+  v_lapsed INTEGER;
+  v_total INTEGER := 0;
+BEGIN
+  FOR v_user IN
+    SELECT DISTINCT user_id
+    FROM public.points_ledger
+    WHERE points > 0 AND created_at <= NOW() - INTERVAL '12 months'
+  LOOP
+    -- Serialise with redeem_reward so a redemption never spends points being expired
+    PERFORM pg_advisory_xact_lock(hashtext('redeem_reward'), hashtext(v_user.user_id::text));
+
+    v_lapsed := public.points_lapsed_by(v_user.user_id, NOW());
+    IF v_lapsed > 0 THEN
+      PERFORM public.post_points_entry(
+        v_user.user_id, 'expire', -v_lapsed, 'expiry', NULL,
+        'Points earned over 12 months ago expired',
+        jsonb_build_object('as_of', NOW())
+      );
+      v_total := v_total + v_lapsed;
+    END IF;
+  END LOOP;
+
+  RETURN v_total;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.loyalty_tier_for FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.trigger_set_priority_matching FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.points_lapsed_by FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.expire_points FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.get_user_lifetime_points FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.get_user_tier FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.get_expiring_points FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.get_user_lifetime_points TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_user_tier TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION public.get_expiring_points TO authenticated;
+GRANT EXECUTE ON FUNCTION public.expire_points TO service_role;
+
+COMMENT ON TABLE public.loyalty_tiers IS 'Loyalty tiers: thresholds on lifetime points and completed pickups, and the benefits each tier carries.';
+COMMENT ON COLUMN public.loyalty_tiers.request_fee_discount IS 'Share of the request fee waived for the tier (0-1).';
+COMMENT ON COLUMN public.digital_bins.priority_matching IS 'Set from the customer''s tier at creation; priority requests are offered to collectors first.';
+COMMENT ON COLUMN public.pickup_requests.priority_matching IS 'Set from the customer''s tier at creation; priority requests are offered to collectors first.';
+COMMENT ON FUNCTION public.get_user_tier IS 'Current loyalty tier for a customer.';
+COMMENT ON FUNCTION public.get_expiring_points IS 'Points lapsing within the given number of days and when the next ones lapse.';
+COMMENT ON FUNCTION public.expire_points IS 'Posts expire entries for points earned over 12 months ago; returns the points expired.';
+
+-- Rollback instructions
+/*
+DROP FUNCTION IF EXISTS public.expire_points;
+DROP FUNCTION IF EXISTS public.get_expiring_points;
+DROP FUNCTION IF EXISTS public.points_lapsed_by;
+DROP TRIGGER IF EXISTS trigger_pickup_request_priority ON public.pickup_requests;
+DROP TRIGGER IF EXISTS trigger_digital_bin_priority ON public.digital_bins;
+DROP FUNCTION IF EXISTS public.trigger_set_priority_matching;
+DROP INDEX IF EXISTS idx_pickup_requests_priority;
+DROP INDEX IF EXISTS idx_digital_bins_priority;
+ALTER TABLE public.pickup_requests DROP COLUMN IF EXISTS priority_matching;
+ALTER TABLE public.digital_bins DROP COLUMN IF EXISTS priority_matching;
+DROP FUNCTION IF EXISTS public.get_user_tier;
+DROP FUNCTION IF EXISTS public.loyalty_tier_for;
+DROP FUNCTION IF EXISTS public.get_user_lifetime_points;
+DROP TABLE IF EXISTS public.loyalty_tiers;
+*/
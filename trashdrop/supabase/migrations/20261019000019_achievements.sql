@@ -0,0 +1,428 @@
+-- Migration: Achievements and badges
+-- Date: 2026-10-19
+-- Purpose: Reward milestones and streaks. Badge definitions are rules over user_activity:
+--          a count of an activity type ("10 recycling pickups") or a run of consecutive
+--          weeks with one ("4-week streak"), optionally narrowed by activity metadata.
+--          Every new user_activity row is evaluated against the rules; a badge is awarded
+--          once and its points are posted to the points ledger. Completed pickups,
+--          dumping reports and batch QR scans now log their own activity rows so the
+--          rules have data, and existing completions are backfilled.
+
+-- ============================================================================
+-- Activity data for the rules
+-- ============================================================================
+ALTER TABLE public.user_activity
+ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_user_activity_user_type
+  ON public.user_activity(user_id, activity_type, created_at);
+
+-- Logs an activity once per related record
+CREATE OR REPLACE FUNCTION public.log_user_activity(
+  p_user_id UUID,
+  p_activity_type TEXT,
+  p_description TEXT,
+  p_related_id UUID,
+  p_metadata JSONB DEFAULT '{}'::jsonb,
+  p_created_at TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF p_user_id IS NULL OR EXISTS (
+    SELECT 1 FROM public.user_activity
+    WHERE user_id = p_user_id AND activity_type = p_activity_type AND related_id = p_related_id
+  ) THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.user_activity (user_id, activity_type, description, related_id, points_impact, metadata, created_at)
+  VALUES (p_user_id, p_activity_type, p_description, p_related_id, 0, COALESCE(p_metadata, '{}'::jsonb), p_created_at);
+END;
+$$;
+
+-- Completions, reports and QR scans are logged by the triggers below only, so badges
+-- and scan points cannot be earned from activity rows the app writes itself
+CREATE OR REPLACE FUNCTION public.trigger_protect_logged_activity()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.activity_type IN ('pickup_completed', 'report_created', 'report_verified', 'qr_scan')
+     AND current_user IN ('anon', 'authenticated') THEN
+    RAISE EXCEPTION '% activity is recorded automatically', NEW.activity_type USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_user_activity_protect_logged ON public.user_activity;
+CREATE TRIGGER trigger_user_activity_protect_logged
+  BEFORE INSERT ON public.user_activity
+  FOR EACH ROW EXECUTE FUNCTION public.trigger_protect_logged_activity();
+
+-- A pickup counts once it is collected (is_collected_status), whichever of picked_up,
+-- disposed or completed it reaches first
+CREATE OR REPLACE FUNCTION public.trigger_log_pickup_completed()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF public.is_collected_status(NEW.status) AND NOT public.is_collected_status(OLD.status) THEN
+    PERFORM public.log_user_activity(
+      NEW.user_id, 'pickup_completed', 'Pickup completed', NEW.id,
+      jsonb_build_object(
+        'request_type', CASE TG_TABLE_NAME WHEN 'digital_bins' THEN 'digital_bin' ELSE 'pickup_request' END,
+        'waste_type', NEW.waste_type
+      )
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_pickup_request_completed_activity ON public.pickup_requests;
+CREATE TRIGGER trigger_pickup_request_completed_activity
+  AFTER UPDATE OF status ON public.pickup_requests
+  FOR EACH ROW EXECUTE FUNCTION public.trigger_log_pickup_completed();
+
+DROP TRIGGER IF EXISTS trigger_digital_bin_completed_activity ON public.digital_bins;
+CREATE TRIGGER trigger_digital_bin_completed_activity
+  AFTER UPDATE OF status ON public.digital_bins
+  FOR EACH ROW EXECUTE FUNCTION public.trigger_log_pickup_completed();
+
+CREATE OR REPLACE FUNCTION public.trigger_log_dumping_report()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM public.log_user_activity(
+      NEW.reported_by, 'report_created', 'Reported illegal dumping', NEW.id,
+      jsonb_build_object('severity', NEW.severity, 'waste_type', NEW.waste_type)
+    );
+  END IF;
+  IF NEW.status = 'verified' AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM 'verified') THEN
+    PERFORM public.log_user_activity(
+      NEW.reported_by, 'report_verified', 'Dumping report verified', NEW.id,
+      jsonb_build_object('severity', NEW.severity, 'waste_type', NEW.waste_type)
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_dumping_report_activity ON public.illegal_dumping_mobile;
+CREATE TRIGGER trigger_dumping_report_activity
+  AFTER INSERT OR UPDATE OF status ON public.illegal_dumping_mobile
+  FOR EACH ROW EXECUTE FUNCTION public.trigger_log_dumping_report();
+
+-- A QR scan is a batch being claimed: activate_batch_for_user and process_qr_scan mark
+-- it used by the scanning customer. Once per batch, so rescans earn nothing.
+CREATE OR REPLACE FUNCTION public.trigger_log_batch_scan()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.status = 'used' AND NEW.created_by IS NOT NULL AND OLD.status IS DISTINCT FROM 'used' THEN
+    PERFORM public.log_user_activity(
+      NEW.created_by, 'qr_scan', 'Scanned batch QR code', NEW.id,
+      jsonb_build_object('bag_count', COALESCE(NEW.bag_count, 1))
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_batch_scan_activity ON public.batches;
+CREATE TRIGGER trigger_batch_scan_activity
+  AFTER UPDATE OF status ON public.batches
+  FOR EACH ROW EXECUTE FUNCTION public.trigger_log_batch_scan();
+
+-- ============================================================================
+-- Badge definitions and awards
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.achievements (
+  code TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  description TEXT NOT NULL,
+  icon TEXT NOT NULL DEFAULT 'medal',
+  activity_type TEXT NOT NULL,
+  rule_type TEXT NOT NULL CHECK (rule_type IN ('count', 'weekly_streak')),
+  threshold INTEGER NOT NULL CHECK (threshold > 0),
+  criteria JSONB NOT NULL DEFAULT '{}'::jsonb,
+  points_reward INTEGER NOT NULL DEFAULT 0 CHECK (points_reward >= 0),
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN public.achievements.criteria IS 'Only activity rows whose metadata contains this JSON count towards the badge.';
+
+INSERT INTO public.achievements (code, name, description, icon, activity_type, rule_type, threshold, criteria, points_reward, sort_order)
+VALUES
+  ('first_pickup', 'First Pickup', 'Complete your first pickup', 'truck', 'pickup_completed', 'count', 1, '{}', 10, 10),
+  ('recycling_10', 'Recycling Regular', 'Complete 10 recycling pickups', 'recycle', 'pickup_completed', 'count', 10, '{"waste_type": "recycling"}', 50, 20),
+  ('pickups_50', 'Clean Sweep', 'Complete 50 pickups', 'trophy', 'pickup_completed', 'count', 50, '{}', 100, 30),
+  ('streak_4_weeks', '4-Week Streak', 'Complete a pickup every week for 4 weeks in a row', 'fire', 'pickup_completed', 'weekly_streak', 4, '{}', 40, 40),
+  ('first_verified_report', 'Community Watch', 'Have your first dumping report verified', 'flag', 'report_verified', 'count', 1, '{}', 25, 50),
+  ('reports_10', 'Neighbourhood Guardian', 'Report 10 illegal dumping sites', 'eye', 'report_created', 'count', 10, '{}', 50, 60),
+  ('qr_scans_25', 'Scanner Pro', 'Scan 25 bag QR codes', 'qrcode', 'qr_scan', 'count', 25, '{}', 25, 70),
+  ('first_reward', 'Treat Yourself', 'Redeem your first reward', 'gift', 'reward_redemption', 'count', 1, '{}', 0, 80)
+ON CONFLICT (code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.user_achievements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id),
+  achievement_code TEXT NOT NULL REFERENCES public.achievements(code),
+  activity_id UUID,
+  points_awarded INTEGER NOT NULL DEFAULT 0,
+  earned_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, achievement_code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_achievements_user ON public.user_achievements(user_id, earned_at DESC);
+
+ALTER TABLE public.achievements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_achievements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone signed in can view achievements" ON public.achievements;
+CREATE POLICY "Anyone signed in can view achievements"
+ON public.achievements FOR SELECT
+TO authenticated
+USING (active);
+
+DROP POLICY IF EXISTS "Users can view their own badges" ON public.user_achievements;
+CREATE POLICY "Users can view their own badges"
+ON public.user_achievements FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+REVOKE INSERT, UPDATE, DELETE ON public.user_achievements FROM anon, authenticated;
+
+-- Consecutive weeks, up to the week of p_as_of, with at least one matching activity
+CREATE OR REPLACE FUNCTION public.activity_week_streak(
+  p_user_id UUID,
+  p_activity_type TEXT,
+  p_criteria JSONB,
+  p_as_of TIMESTAMPTZ
+)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM (
+    SELECT week, ROW_NUMBER() OVER (ORDER BY week DESC) AS position
+    FROM (
+      SELECT DISTINCT date_trunc('week', created_at) AS week
+      FROM public.user_activity
+      WHERE user_id = p_user_id
+        AND activity_type = p_activity_type
+        AND metadata @> p_criteria
+        AND created_at <= p_as_of
+    ) weeks
+  ) ranked
+  WHERE week = date_trunc('week', p_as_of) - (position - 1) * INTERVAL '1 week';
+$$;
+
+-- Awards every badge the activity completes; badge points go to the ledger
+CREATE OR REPLACE FUNCTION public.trigger_evaluate_achievements()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_rule public.achievements%ROWTYPE;
+  v_progress INTEGER;
+  v_award public.user_achievements%ROWTYPE;
+BEGIN
+  IF NEW.user_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  FOR v_rule IN
+    SELECT a.* FROM public.achievements a
+    WHERE a.active
+      AND a.activity_type = NEW.activity_type
+      AND COALESCE(NEW.metadata, '{}'::jsonb) @> a.criteria
+      AND NOT EXISTS (
+        SELECT 1 FROM public.user_achievements ua
+        WHERE ua.user_id = NEW.user_id AND ua.achievement_code = a.code
+      )
+  LOOP
+    IF v_rule.rule_type = 'weekly_streak' THEN
+      v_progress := public.activity_week_streak(NEW.user_id, v_rule.activity_type, v_rule.criteria, NEW.created_at);
+    ELSE
+      SELECT COUNT(*) INTO v_progress
+      FROM public.user_activity
+      WHERE user_id = NEW.user_id
+        AND activity_type = v_rule.activity_type
+        AND metadata @> v_rule.criteria;
+    END IF;
+
+    IF v_progress >= v_rule.threshold THEN
+      INSERT INTO public.user_achievements (user_id, achievement_code, activity_id, points_awarded, earned_at)
+      VALUES (NEW.user_id, v_rule.code, NEW.id, v_rule.points_reward, NEW.created_at)
+      ON CONFLICT (user_id, achievement_code) DO NOTHING
+      RETURNING * INTO v_award;
+
+      IF FOUND AND v_rule.points_reward > 0 THEN
+        PERFORM public.post_points_entry(
+          NEW.user_id, 'earn', v_rule.points_reward, 'achievement', v_award.id,
+          'Badge earned: ' || v_rule.name,
+          jsonb_build_object('achievement_code', v_rule.code)
+        );
+      END IF;
+    END IF;
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_user_activity_achievements ON public.user_activity;
+CREATE TRIGGER trigger_user_activity_achievements
+  AFTER INSERT ON public.user_activity
+  FOR EACH ROW EXECUTE FUNCTION public.trigger_evaluate_achievements();
+
+-- ============================================================================
+-- Reconciliation
+-- ============================================================================
+-- Badge points have no legacy equivalent, so only the legacy sources are compared
+CREATE OR REPLACE FUNCTION public.reconcile_points_ledger()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_open INTEGER;
+BEGIN
+  DROP TABLE IF EXISTS points_reconciliation_run;
+  CREATE TEMP TABLE points_reconciliation_run ON COMMIT DROP AS
+  SELECT users.user_id,
+         COALESCE((
+           SELECT SUM(points) FROM public.points_ledger l
+           WHERE l.user_id = users.user_id
+             AND l.entry_type IN ('earn', 'spend')
+             AND l.source_type IN ('pickup_request', 'digital_bin', 'dumping_report', 'qr_scan', 'reward_redemption')
+         ), 0)::INTEGER AS ledger_points,
+         public.get_legacy_points_balance(users.user_id) AS legacy_points
+  FROM (
+    SELECT user_id FROM public.points_ledger
+    UNION SELECT user_id FROM public.pickup_requests WHERE user_id IS NOT NULL
+    UNION SELECT user_id FROM public.digital_bins
+    UNION SELECT reported_by FROM public.illegal_dumping_mobile
+    UNION SELECT user_id FROM public.user_activity WHERE activity_type = 'qr_scan'
+    UNION SELECT user_id FROM public.rewards_redemption
+  ) users;
+
+  UPDATE public.points_reconciliation_flags f
+  SET resolved_at = NOW(),
+      resolution_note = COALESCE(f.resolution_note, 'Totals agree')
+  FROM points_reconciliation_run r
+  WHERE f.user_id = r.user_id AND f.resolved_at IS NULL AND r.ledger_points = r.legacy_points;
+
+  INSERT INTO public.points_reconciliation_flags (user_id, ledger_points, legacy_points, difference)
+  SELECT user_id, ledger_points, legacy_points, ledger_points - legacy_points
+  FROM points_reconciliation_run
+  WHERE ledger_points <> legacy_points
+  ON CONFLICT (user_id) WHERE resolved_at IS NULL
+  DO UPDATE SET ledger_points = EXCLUDED.ledger_points,
+                legacy_points = EXCLUDED.legacy_points,
+                difference = EXCLUDED.difference,
+                detected_at = NOW();
+
+  SELECT COUNT(*) INTO v_open FROM public.points_reconciliation_flags WHERE resolved_at IS NULL;
+  RETURN v_open;
+END;
+$$;
+
+-- ============================================================================
+-- Backfill
+-- ============================================================================
+-- Collected pickups and dumping reports from before activity logging; badges are
+-- awarded by the trigger as the rows go in, oldest first
+DO $$
+DECLARE
+  v_src RECORD;
+BEGIN
+  FOR v_src IN
+    SELECT * FROM (
+      SELECT user_id, 'pickup_completed' AS activity_type, 'Pickup completed' AS description, id,
+             jsonb_build_object('request_type', 'pickup_request', 'waste_type', waste_type) AS metadata,
+             COALESCE(picked_up_at, disposed_at, updated_at, created_at) AS occurred_at
+      FROM public.pickup_requests
+      WHERE public.is_collected_status(status) AND user_id IS NOT NULL
+      UNION ALL
+      SELECT user_id, 'pickup_completed', 'Pickup completed', id,
+             jsonb_build_object('request_type', 'digital_bin', 'waste_type', waste_type),
+             COALESCE(collected_at, updated_at, created_at)
+      FROM public.digital_bins
+      WHERE public.is_collected_status(status)
+      UNION ALL
+      SELECT reported_by, 'report_created', 'Reported illegal dumping', id,
+             jsonb_build_object('severity', severity, 'waste_type', waste_type),
+             created_at
+      FROM public.illegal_dumping_mobile
+      UNION ALL
+      SELECT reported_by, 'report_verified', 'Dumping report verified', id,
+             jsonb_build_object('severity', severity, 'waste_type', waste_type),
+             COALESCE(updated_at, created_at)
+      FROM public.illegal_dumping_mobile
+      WHERE status IN ('verified', 'in_progress', 'completed')
+    ) src
+    ORDER BY src.occurred_at
+  LOOP
+    PERFORM public.log_user_activity(
+      v_src.user_id, v_src.activity_type, v_src.description, v_src.id, v_src.metadata, v_src.occurred_at
+    );
+  END LOOP;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.log_user_activity FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.trigger_log_pickup_completed FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.trigger_log_dumping_report FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.trigger_log_batch_scan FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.activity_week_streak FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.trigger_evaluate_achievements FROM PUBLIC, anon, authenticated;
+
+COMMENT ON TABLE public.achievements IS 'Badge definitions: a count or weekly streak of an activity type, and the points awarded.';
+COMMENT ON TABLE public.user_achievements IS 'Badges earned by customers; one row per customer and badge.';
+COMMENT ON FUNCTION public.trigger_evaluate_achievements IS 'Awards the badges a new user_activity row completes and posts their points.';
+
+-- Rollback instructions
+/*
+-- Restore reconcile_points_ledger from migration 20261019000017, then:
+DROP TRIGGER IF EXISTS trigger_user_activity_achievements ON public.user_activity;
+DROP FUNCTION IF EXISTS public.trigger_evaluate_achievements;
+DROP FUNCTION IF EXISTS public.activity_week_streak;
+DROP TABLE IF EXISTS public.user_achievements;
+DROP TABLE IF EXISTS public.achievements;
+DROP TRIGGER IF EXISTS trigger_batch_scan_activity ON public.batches;
+DROP FUNCTION IF EXISTS public.trigger_log_batch_scan;
+DROP TRIGGER IF EXISTS trigger_dumping_report_activity ON public.illegal_dumping_mobile;
+DROP FUNCTION IF EXISTS public.trigger_log_dumping_report;
+DROP TRIGGER IF EXISTS trigger_digital_bin_completed_activity ON public.digital_bins;
+DROP TRIGGER IF EXISTS trigger_pickup_request_completed_activity ON public.pickup_requests;
+DROP FUNCTION IF EXISTS public.trigger_log_pickup_completed;
+DROP FUNCTION IF EXISTS public.log_user_activity;
+DROP TRIGGER IF EXISTS trigger_user_activity_protect_logged ON public.user_activity;
+DROP FUNCTION IF EXISTS public.trigger_protect_logged_activity;
+DROP INDEX IF EXISTS idx_user_activity_user_type;
+ALTER TABLE public.user_activity DROP COLUMN IF EXISTS metadata;
+*/
@@ -0,0 +1,258 @@
+-- Migration: Neighbourhood leaderboards
+-- Date: 2026-10-19
+-- Purpose: Opt-in community leaderboards. Customers who join are ranked, and their
+--          neighbourhoods (pricing_zones suburb/community, resolved from their default bin
+--          location) are ranked on their members' totals, by bags collected, recycling
+--          share of completed pickups or verified dumping reports, for the current week or
+--          month. Only a derived display name ("Ama K." or an anonymous alias) is ever
+--          shown, and neighbourhoods appear once they have enough members to stay anonymous.
+
+CREATE TABLE IF NOT EXISTS public.leaderboard_members (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  display_name TEXT NOT NULL,
+  anonymous BOOLEAN NOT NULL DEFAULT false,
+  zone_id UUID REFERENCES public.pricing_zones(id) ON DELETE SET NULL,
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_members_zone ON public.leaderboard_members(zone_id);
+CREATE INDEX IF NOT EXISTS idx_user_activity_type_created
+  ON public.user_activity(activity_type, created_at);
+
+ALTER TABLE public.leaderboard_members ENABLE ROW LEVEL SECURITY;
+
+-- Other members are only visible through get_leaderboard
+DROP POLICY IF EXISTS "Users can view their own leaderboard membership" ON public.leaderboard_members;
+CREATE POLICY "Users can view their own leaderboard membership"
+ON public.leaderboard_members FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+REVOKE INSERT, UPDATE, DELETE ON public.leaderboard_members FROM anon, authenticated;
+
+-- Smallest neighbourhood shown, so a ranking never singles out one or two households
+CREATE OR REPLACE FUNCTION public.leaderboard_min_neighbourhood_members()
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT 3;
+$$;
+
+-- ============================================================================
+-- Customer API
+-- ============================================================================
+-- Joins (or updates the name style of) the caller's leaderboard entry
+CREATE OR REPLACE FUNCTION public.join_leaderboard(p_anonymous BOOLEAN DEFAULT false)
+RETURNS public.leaderboard_members
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_profile RECORD;
+  v_name TEXT;
+  v_zone_id UUID;
+  v_member public.leaderboard_members%ROWTYPE;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT first_name, last_name INTO v_profile FROM public.profiles WHERE id = v_user_id;
+
+  -- First name and last initial; an alias for anonymous members or missing names
+  IF NOT COALESCE(p_anonymous, false) AND NULLIF(BTRIM(v_profile.first_name), '') IS NOT NULL THEN
+    v_name := INITCAP(BTRIM(v_profile.first_name))
+      || COALESCE(' ' || UPPER(LEFT(NULLIF(BTRIM(v_profile.last_name), ''), 1)) || '.', '');
+  ELSE
+    v_name := 'Neighbour ' || UPPER(LEFT(md5(v_user_id::text), 4));
+  END IF;
+
+  -- Neighbourhood of the default (else most recent) bin location
+  SELECT zone.zone_id INTO v_zone_id
+  FROM (
+    SELECT coordinates FROM public.bin_locations
+    WHERE user_id = v_user_id
+    ORDER BY COALESCE(is_default, false) DESC, created_at DESC
+    LIMIT 1
+  ) loc,
+  LATERAL public.find_pricing_zone(ST_Y(loc.coordinates)::DECIMAL, ST_X(loc.coordinates)::DECIMAL) zone
+  LIMIT 1;
+
+  INSERT INTO public.leaderboard_members (user_id, display_name, anonymous, zone_id)
+  VALUES (v_user_id, v_name, COALESCE(p_anonymous, false), v_zone_id)
+  ON CONFLICT (user_id) DO UPDATE
+  SET display_name = EXCLUDED.display_name,
+      anonymous = EXCLUDED.anonymous,
+      zone_id = EXCLUDED.zone_id,
+      updated_at = NOW()
+  RETURNING * INTO v_member;
+
+  RETURN v_member;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.leave_leaderboard()
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM public.leaderboard_members WHERE user_id = auth.uid();
+END;
+$$;
+
+-- Ranks members ('users') or neighbourhoods ('neighbourhoods') for the current 'week' or
+-- 'month' by 'bags', 'recycling_share' or 'verified_reports'. Returns the top p_limit
+-- entries with something to show, plus the caller's own entry if it ranks lower.
+CREATE OR REPLACE FUNCTION public.get_leaderboard(
+  p_period TEXT DEFAULT 'week',
+  p_scope TEXT DEFAULT 'users',
+  p_metric TEXT DEFAULT 'bags',
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  rank INTEGER,
+  name TEXT,
+  neighbourhood TEXT,
+  members INTEGER,
+  bags_collected INTEGER,
+  completed_pickups INTEGER,
+  recycling_share NUMERIC,
+  verified_reports INTEGER,
+  is_me BOOLEAN
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_start TIMESTAMPTZ;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+  IF p_period NOT IN ('week', 'month') THEN
+    RAISE EXCEPTION 'Invalid period: %', p_period USING ERRCODE = '22023';
+  END IF;
+  IF p_scope NOT IN ('users', 'neighbourhoods') THEN
+    RAISE EXCEPTION 'Invalid scope: %', p_scope USING ERRCODE = '22023';
+  END IF;
+  IF p_metric NOT IN ('bags', 'recycling_share', 'verified_reports') THEN
+    RAISE EXCEPTION 'Invalid metric: %', p_metric USING ERRCODE = '22023';
+  END IF;
+
+  v_start := date_trunc(p_period, NOW());
+
+  RETURN QUERY
+  WITH activity AS (
+    -- Completions and verifications logged by the achievements triggers
+    SELECT ua.user_id,
+           ua.activity_type,
+           ua.metadata->>'waste_type' AS waste_type,
+           COALESCE(pr.bag_count, db.bag_count, 1) AS bags
+    FROM public.user_activity ua
+    JOIN public.leaderboard_members m ON m.user_id = ua.user_id
+    LEFT JOIN public.pickup_requests pr
+      ON ua.metadata->>'request_type' = 'pickup_request' AND pr.id = ua.related_id
+    LEFT JOIN public.digital_bins db
+      ON ua.metadata->>'request_type' = 'digital_bin' AND db.id = ua.related_id
+    WHERE ua.activity_type IN ('pickup_completed', 'report_verified')
+      AND ua.created_at >= v_start
+  ),
+  member_totals AS (
+    SELECT m.user_id,
+           m.display_name,
+           m.zone_id,
+           COALESCE(SUM(a.bags) FILTER (WHERE a.activity_type = 'pickup_completed'), 0)::INTEGER AS bags,
+           COUNT(a.*) FILTER (WHERE a.activity_type = 'pickup_completed')::INTEGER AS pickups,
+           COUNT(a.*) FILTER (WHERE a.activity_type = 'pickup_completed' AND a.waste_type = 'recycling')::INTEGER AS recycling_pickups,
+           COUNT(a.*) FILTER (WHERE a.activity_type = 'report_verified')::INTEGER AS reports
+    FROM public.leaderboard_members m
+    LEFT JOIN activity a ON a.user_id = m.user_id
+    GROUP BY m.user_id, m.display_name, m.zone_id
+  ),
+  entries AS (
+    SELECT t.display_name AS entry_name,
+           t.zone_id,
+           1 AS member_count,
+           t.bags, t.pickups, t.recycling_pickups, t.reports,
+           t.user_id = v_user_id AS mine
+    FROM member_totals t
+    WHERE p_scope = 'users'
+    UNION ALL
+    SELECT NULL,
+           t.zone_id,
+           COUNT(*)::INTEGER,
+           SUM(t.bags)::INTEGER, SUM(t.pickups)::INTEGER, SUM(t.recycling_pickups)::INTEGER, SUM(t.reports)::INTEGER,
+           BOOL_OR(t.user_id = v_user_id)
+    FROM member_totals t
+    WHERE p_scope = 'neighbourhoods' AND t.zone_id IS NOT NULL
+    GROUP BY t.zone_id
+    HAVING COUNT(*) >= public.leaderboard_min_neighbourhood_members()
+  ),
+  scored AS (
+    SELECT e.*,
+           ROUND(e.recycling_pickups::NUMERIC / NULLIF(e.pickups, 0), 4) AS share,
+           CASE p_metric
+             WHEN 'bags' THEN e.bags::NUMERIC
+             WHEN 'recycling_share' THEN COALESCE(e.recycling_pickups::NUMERIC / NULLIF(e.pickups, 0), 0)
+             ELSE e.reports::NUMERIC
+           END AS score
+    FROM entries e
+  ),
+  ranked AS (
+    SELECT s.*,
+           RANK() OVER (ORDER BY s.score DESC, s.pickups DESC)::INTEGER AS position
+    FROM scored s
+    WHERE s.score > 0
+  )
+  SELECT r.position,
+         COALESCE(r.entry_name, pz.suburb::TEXT, pz.community::TEXT),
+         CASE WHEN pz.id IS NULL THEN NULL
+              WHEN pz.community IS DISTINCT FROM pz.suburb THEN pz.suburb || ', ' || pz.community
+              ELSE pz.suburb::TEXT
+         END,
+         r.member_count,
+         r.bags,
+         r.pickups,
+         r.share,
+         r.reports,
+         r.mine
+  FROM ranked r
+  LEFT JOIN public.pricing_zones pz ON pz.id = r.zone_id
+  WHERE r.position <= p_limit OR r.mine
+  ORDER BY r.position, r.entry_name NULLS LAST;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.join_leaderboard FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.leave_leaderboard FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION public.get_leaderboard FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.join_leaderboard TO authenticated;
+GRANT EXECUTE ON FUNCTION public.leave_leaderboard TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_leaderboard TO authenticated;
+
+COMMENT ON TABLE public.leaderboard_members IS 'Customers who opted in to leaderboards, with their public display name and neighbourhood.';
+COMMENT ON FUNCTION public.join_leaderboard IS 'Opts the caller in to leaderboards (or changes their name style); resolves their neighbourhood.';
+COMMENT ON FUNCTION public.get_leaderboard IS 'Weekly or monthly ranking of opted-in customers or their neighbourhoods.';
+
+-- Rollback instructions
+/*
+DROP FUNCTION IF EXISTS public.get_leaderboard;
+DROP FUNCTION IF EXISTS public.leave_leaderboard;
+DROP FUNCTION IF EXISTS public.join_leaderboard;
+DROP FUNCTION IF EXISTS public.leaderboard_min_neighbourhood_members;
+DROP INDEX IF EXISTS idx_user_activity_type_created;
+DROP TABLE IF EXISTS public.leaderboard_members;
+*/
@@ -0,0 +1,432 @@
+-- Migration: Recyclables credit (60/25/15 split)
+-- Date: 2026-10-19
+-- Purpose: Value the recyclables a collector weighs at completion and share that value
+--          60% collector / 25% household / 15% platform. Materials are priced per kg in
+--          recyclable_materials; each collection is recorded once with its weighed items,
+--          up to a realistic weight per pickup. Weights are the collector's word, so the
+--          shares stay pending until an operator or the buyer confirms the material.
+--          Confirmation pays the collector share into the collector's wallet (and adds it
+--          to the digital bin payout) and credits the household share as wallet credit
+--          or points depending on the customer's preference; the platform keeps the
+--          remainder. Payouts are funded from a recyclables_clearing account settled when
+--          the material is sold on.
+
+-- ============================================================================
+-- Valuation
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.recyclable_materials (
+  code VARCHAR(30) PRIMARY KEY,
+  name TEXT NOT NULL,
+  price_per_kg NUMERIC(10, 2) NOT NULL,                -- GHS paid by recyclers
+  active BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT check_recyclable_price CHECK (price_per_kg >= 0)
+);
+
+INSERT INTO public.recyclable_materials (code, name, price_per_kg, sort_order) VALUES
+  ('pet', 'PET bottles', 2.00, 10),
+  ('hdpe', 'HDPE plastic', 1.80, 20),
+  ('aluminium', 'Aluminium cans', 8.00, 30),
+  ('scrap_metal', 'Scrap metal', 2.50, 40),
+  ('cardboard', 'Cardboard', 0.50, 50),
+  ('paper', 'Paper', 0.60, 60),
+  ('glass', 'Glass', 0.20, 70)
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE public.recyclable_materials ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone signed in can view recyclable prices" ON public.recyclable_materials;
+CREATE POLICY "Anyone signed in can view recyclable prices"
+ON public.recyclable_materials FOR SELECT
+TO authenticated
+USING (true);
+
+-- Shares of the recyclables value; the platform keeps whatever rounding leaves over
+CREATE OR REPLACE FUNCTION public.recyclables_collector_share()
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT 0.60::NUMERIC;
+$$;
+
+CREATE OR REPLACE FUNCTION public.recyclables_household_share()
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT 0.25::NUMERIC;
+$$;
+
+-- Heaviest load of recyclables one pickup can record, across all materials
+CREATE OR REPLACE FUNCTION public.recyclables_max_weight_kg()
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT 100::NUMERIC;
+$$;
+
+-- Points per cedi when the household takes its share as points
+CREATE OR REPLACE FUNCTION public.recyclables_points_per_cedi()
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT 10;
+$$;
+
+-- How each customer takes their share
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS recyclables_credit_type VARCHAR(10) NOT NULL DEFAULT 'wallet';
+
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS check_recyclables_credit_type;
+ALTER TABLE public.profiles
+ADD CONSTRAINT check_recyclables_credit_type CHECK (recyclables_credit_type IN ('wallet', 'points'));
+
+-- ============================================================================
+-- Collections
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.recyclable_collections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_type VARCHAR(20) NOT NULL,
+  request_id UUID NOT NULL,
+  user_id UUID REFERENCES auth.users(id) NOT NULL,     -- Household credited
+  collector_id UUID REFERENCES auth.users(id) NOT NULL,
+  total_weight_kg NUMERIC(10, 2) NOT NULL,
+  total_value NUMERIC(12, 2) NOT NULL,
+  collector_share NUMERIC(12, 2) NOT NULL,
+  household_share NUMERIC(12, 2) NOT NULL,
+  platform_share NUMERIC(12, 2) NOT NULL,
+  household_credit_type VARCHAR(10) NOT NULL,
+  household_points INTEGER NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',        -- Shares are paid once confirmed
+  review_note TEXT,
+  reviewed_at TIMESTAMPTZ,
+  collector_transaction_id UUID REFERENCES public.wallet_transactions(id),
+  household_transaction_id UUID REFERENCES public.wallet_transactions(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT check_recyclable_collection_request_type CHECK (request_type IN ('pickup_request', 'scheduled_pickup', 'digital_bin')),
+  CONSTRAINT check_recyclable_collection_credit_type CHECK (household_credit_type IN ('wallet', 'points')),
+  CONSTRAINT check_recyclable_collection_status CHECK (status IN ('pending', 'confirmed', 'rejected')),
+  CONSTRAINT check_recyclable_collection_split CHECK (collector_share + household_share + platform_share = total_value)
+);
+
+-- Recyclables are valued once per pickup
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recyclable_collections_request
+ON public.recyclable_collections(request_type, request_id);
+CREATE INDEX IF NOT EXISTS idx_recyclable_collections_user ON public.recyclable_collections(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_recyclable_collections_collector ON public.recyclable_collections(collector_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_recyclable_collections_pending
+ON public.recyclable_collections(created_at) WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS public.recyclable_collection_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  collection_id UUID REFERENCES public.recyclable_collections(id) ON DELETE CASCADE NOT NULL,
+  material_code VARCHAR(30) REFERENCES public.recyclable_materials(code) NOT NULL,
+  weight_kg NUMERIC(10, 2) NOT NULL,
+  price_per_kg NUMERIC(10, 2) NOT NULL,                -- Price at the time of collection
+  value NUMERIC(12, 2) NOT NULL,
+  CONSTRAINT check_recyclable_item_weight CHECK (weight_kg > 0),
+  UNIQUE (collection_id, material_code)
+);
+
+ALTER TABLE public.recyclable_collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.recyclable_collection_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view recyclables they handed over or collected" ON public.recyclable_collections;
+CREATE POLICY "Users can view recyclables they handed over or collected"
+  ON public.recyclable_collections
+  FOR SELECT
+  USING (auth.uid() = user_id OR auth.uid() = collector_id);
+
+DROP POLICY IF EXISTS "Users can view items of their recyclable collections" ON public.recyclable_collection_items;
+CREATE POLICY "Users can view items of their recyclable collections"
+  ON public.recyclable_collection_items
+  FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM public.recyclable_collections rc
+    WHERE rc.id = recyclable_collection_items.collection_id
+      AND auth.uid() IN (rc.user_id, rc.collector_id)
+  ));
+
+REVOKE INSERT, UPDATE, DELETE ON public.recyclable_collections FROM anon, authenticated;
+REVOKE INSERT, UPDATE, DELETE ON public.recyclable_collection_items FROM anon, authenticated;
+
+-- Recyclables payouts are new wallet movements, funded from their own clearing account
+ALTER TABLE public.wallet_accounts DROP CONSTRAINT IF EXISTS check_wallet_account_type;
+ALTER TABLE public.wallet_accounts
+ADD CONSTRAINT check_wallet_account_type CHECK (account_type IN ('customer', 'top_up_clearing', 'service_revenue', 'recyclables_clearing'));
+
+INSERT INTO public.wallet_accounts (account_type)
+SELECT 'recyclables_clearing'
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.wallet_accounts WHERE account_type = 'recyclables_clearing' AND user_id IS NULL
+);
+
+ALTER TABLE public.wallet_transactions DROP CONSTRAINT IF EXISTS check_wallet_transaction_type;
+ALTER TABLE public.wallet_transactions
+ADD CONSTRAINT check_wallet_transaction_type CHECK (
+  transaction_type IN ('top_up', 'pickup_payment', 'refund', 'tip', 'recyclables_payout', 'recyclables_credit')
+);
+
+-- ============================================================================
+-- Collector API
+-- ============================================================================
+-- Record the recyclables weighed at a collected pickup and value the split. p_items is
+-- an array of {"material": code, "weight_kg": number}. Only the pickup's collector may
+-- record them, once per pickup, and never for a pickup of their own. Nothing is paid
+-- until confirm_recyclables.
+CREATE OR REPLACE FUNCTION public.record_recyclables(
+  p_request_type TEXT,
+  p_request_id UUID,
+  p_items JSONB
+)
+RETURNS public.recyclable_collections
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID;
+  v_collector_id UUID;
+  v_status TEXT;
+  v_collected BOOLEAN;
+  v_item RECORD;
+  v_total_weight NUMERIC := 0;
+  v_total_value NUMERIC := 0;
+  v_collector_share NUMERIC;
+  v_household_share NUMERIC;
+  v_credit_type TEXT;
+  v_collection public.recyclable_collections%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+  IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Add the weight of at least one material' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_request_type = 'digital_bin' THEN
+    SELECT user_id, collector_id, status INTO v_user_id, v_collector_id, v_status
+    FROM public.digital_bins WHERE id = p_request_id;
+    v_collected := v_status IN ('picked_up', 'disposed', 'completed');
+  ELSIF p_request_type = 'scheduled_pickup' THEN
+    SELECT user_id, collector_id, status INTO v_user_id, v_collector_id, v_status
+    FROM public.scheduled_pickups WHERE id = p_request_id;
+    v_collected := v_status IN ('pending_payment', 'completed');
+  ELSIF p_request_type = 'pickup_request' THEN
+    SELECT user_id, collector_id, status INTO v_user_id, v_collector_id, v_status
+    FROM public.pickup_requests WHERE id = p_request_id;
+    v_collected := v_status IN ('picked_up', 'disposed', 'completed');
+  ELSE
+    RAISE EXCEPTION 'Invalid request type: %', p_request_type USING ERRCODE = '22023';
+  END IF;
+
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Pickup not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_collector_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Only the collector of this pickup can record its recyclables' USING ERRCODE = '42501';
+  END IF;
+  IF v_collector_id = v_user_id THEN
+    RAISE EXCEPTION 'Collectors cannot record recyclables for their own pickups' USING ERRCODE = '42501';
+  END IF;
+  IF NOT v_collected THEN
+    RAISE EXCEPTION 'Recyclables can be recorded once the pickup is collected' USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT COALESCE(recyclables_credit_type, 'wallet') INTO v_credit_type
+  FROM public.profiles WHERE id = v_user_id;
+  v_credit_type := COALESCE(v_credit_type, 'wallet');
+
+  INSERT INTO public.recyclable_collections (
+    request_type, request_id, user_id, collector_id, total_weight_kg, total_value,
+    collector_share, household_share, platform_share, household_credit_type
+  ) VALUES (
+    p_request_type, p_request_id, v_user_id, v_collector_id, 0, 0, 0, 0, 0, v_credit_type
+  )
+  RETURNING * INTO v_collection;
+
+  FOR v_item IN
+    -- A material listed twice is weighed as one item
+    SELECT i.material, ROUND(SUM(i.weight_kg), 2) AS weight_kg, MIN(i.weight_kg) AS smallest,
+           m.code, m.price_per_kg
+    FROM jsonb_to_recordset(p_items) AS i(material TEXT, weight_kg NUMERIC)
+    LEFT JOIN public.recyclable_materials m ON m.code = i.material AND m.active
+    GROUP BY i.material, m.code, m.price_per_kg
+  LOOP
+    IF v_item.code IS NULL THEN
+      RAISE EXCEPTION 'Unknown recyclable material: %', v_item.material USING ERRCODE = '22023';
+    END IF;
+    IF v_item.weight_kg IS NULL OR v_item.smallest <= 0 THEN
+      RAISE EXCEPTION 'Weights must be more than 0 kg' USING ERRCODE = '22023';
+    END IF;
+
+    INSERT INTO public.recyclable_collection_items (collection_id, material_code, weight_kg, price_per_kg, value)
+    VALUES (v_collection.id, v_item.code, v_item.weight_kg, v_item.price_per_kg, ROUND(v_item.weight_kg * v_item.price_per_kg, 2));
+
+    v_total_weight := v_total_weight + v_item.weight_kg;
+    v_total_value := v_total_value + ROUND(v_item.weight_kg * v_item.price_per_kg, 2);
+  END LOOP;
+
+  IF v_total_weight > public.recyclables_max_weight_kg() THEN
+    RAISE EXCEPTION 'Recyclables are limited to % kg per pickup', public.recyclables_max_weight_kg()
+      USING ERRCODE = '22023', HINT = 'WEIGHT_LIMIT';
+  END IF;
+
+  v_collector_share := ROUND(v_total_value * public.recyclables_collector_share(), 2);
+  v_household_share := ROUND(v_total_value * public.recyclables_household_share(), 2);
+
+  UPDATE public.recyclable_collections
+  SET total_weight_kg = v_total_weight,
+      total_value = v_total_value,
+      collector_share = v_collector_share,
+      household_share = v_household_share,
+      platform_share = v_total_value - v_collector_share - v_household_share,
+      household_points = CASE
+        WHEN v_credit_type = 'points' THEN FLOOR(v_household_share * public.recyclables_points_per_cedi())
+        ELSE 0
+      END
+  WHERE id = v_collection.id
+  RETURNING * INTO v_collection;
+
+  RETURN v_collection;
+EXCEPTION
+  WHEN unique_violation THEN
+    RAISE EXCEPTION 'Recyclables have already been recorded for this pickup' USING ERRCODE = 'P0001', HINT = 'ALREADY_RECORDED';
+END;
+$$;
+
+-- ============================================================================
+-- Operations API (service role only)
+-- ============================================================================
+-- Operator or buyer verdict on a pending collection, once the material has been checked.
+-- Confirming pays the collector and credits the household at the recorded shares;
+-- rejecting pays nothing.
+CREATE OR REPLACE FUNCTION public.confirm_recyclables(
+  p_collection_id UUID,
+  p_approve BOOLEAN DEFAULT true,
+  p_note TEXT DEFAULT NULL
+)
+RETURNS public.recyclable_collections
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_collection public.recyclable_collections%ROWTYPE;
+  v_collector_tx public.wallet_transactions%ROWTYPE;
+  v_household_tx public.wallet_transactions%ROWTYPE;
+BEGIN
+  SELECT * INTO v_collection FROM public.recyclable_collections WHERE id = p_collection_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Recyclable collection not found' USING ERRCODE = 'P0001';
+  END IF;
+  IF v_collection.status <> 'pending' THEN
+    RAISE EXCEPTION 'Recyclable collection is already %', v_collection.status USING ERRCODE = 'P0001';
+  END IF;
+
+  IF NOT COALESCE(p_approve, false) THEN
+    UPDATE public.recyclable_collections
+    SET status = 'rejected',
+        review_note = NULLIF(BTRIM(p_note), ''),
+        reviewed_at = NOW()
+    WHERE id = p_collection_id
+    RETURNING * INTO v_collection;
+
+    RETURN v_collection;
+  END IF;
+
+  IF v_collection.collector_share > 0 THEN
+    v_collector_tx := public.post_wallet_transfer(
+      'recyclables_payout',
+      public.wallet_system_account('recyclables_clearing'),
+      public.ensure_wallet_account(v_collection.collector_id),
+      v_collection.collector_share,
+      'recyclable_collection',
+      v_collection.id,
+      'Recyclables payout'
+    );
+  END IF;
+
+  IF v_collection.household_credit_type = 'points' THEN
+    IF v_collection.household_points > 0 THEN
+      PERFORM public.post_points_entry(
+        v_collection.user_id, 'earn', v_collection.household_points, 'recyclables', v_collection.id,
+        'Recyclables credit',
+        jsonb_build_object(
+          'household_share', v_collection.household_share,
+          'request_type', v_collection.request_type,
+          'request_id', v_collection.request_id
+        )
+      );
+    END IF;
+  ELSIF v_collection.household_share > 0 THEN
+    v_household_tx := public.post_wallet_transfer(
+      'recyclables_credit',
+      public.wallet_system_account('recyclables_clearing'),
+      public.ensure_wallet_account(v_collection.user_id),
+      v_collection.household_share,
+      'recyclable_collection',
+      v_collection.id,
+      'Recyclables credit'
+    );
+  END IF;
+
+  UPDATE public.recyclable_collections
+  SET status = 'confirmed',
+      review_note = NULLIF(BTRIM(p_note), ''),
+      reviewed_at = NOW(),
+      collector_transaction_id = v_collector_tx.id,
+      household_transaction_id = v_household_tx.id
+  WHERE id = p_collection_id
+  RETURNING * INTO v_collection;
+
+  IF v_collection.request_type = 'digital_bin' THEN
+    UPDATE public.digital_bins
+    SET collector_recyclables_payout = COALESCE(collector_recyclables_payout, 0) + v_collection.collector_share,
+        collector_total_payout = COALESCE(collector_total_payout, 0) + v_collection.collector_share,
+        updated_at = NOW()
+    WHERE id = v_collection.request_id;
+  END IF;
+
+  RETURN v_collection;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.record_recyclables FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.record_recyclables TO authenticated;
+REVOKE EXECUTE ON FUNCTION public.confirm_recyclables FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.confirm_recyclables TO service_role;
+
+COMMENT ON TABLE public.recyclable_materials IS 'Recyclable materials and the price per kg used to value collections.';
+COMMENT ON TABLE public.recyclable_collections IS 'Recyclables valued at a pickup and their 60/25/15 collector/household/platform split, paid once confirmed.';
+COMMENT ON TABLE public.recyclable_collection_items IS 'Weighed materials of a recyclable collection, priced at collection time.';
+COMMENT ON COLUMN public.profiles.recyclables_credit_type IS 'How the household takes its recyclables share: wallet credit or points.';
+COMMENT ON FUNCTION public.record_recyclables IS 'Collector records recyclable weights for a collected pickup; the split stays pending until confirmed.';
+COMMENT ON FUNCTION public.confirm_recyclables IS 'Operator or buyer confirms (paying the collector and household shares) or rejects a pending recyclable collection.';
+
+-- Rollback instructions
+/*
+DROP FUNCTION IF EXISTS public.confirm_recyclables;
+DROP FUNCTION IF EXISTS public.record_recyclables;
+ALTER TABLE public.wallet_transactions DROP CONSTRAINT IF EXISTS check_wallet_transaction_type;
+ALTER TABLE public.wallet_transactions
+ADD CONSTRAINT check_wallet_transaction_type CHECK (transaction_type IN ('top_up', 'pickup_payment', 'refund', 'tip'));
+DELETE FROM public.wallet_accounts WHERE account_type = 'recyclables_clearing' AND user_id IS NULL;
+ALTER TABLE public.wallet_accounts DROP CONSTRAINT IF EXISTS check_wallet_account_type;
+ALTER TABLE public.wallet_accounts
+ADD CONSTRAINT check_wallet_account_type CHECK (account_type IN ('customer', 'top_up_clearing', 'service_revenue'));
+DROP TABLE IF EXISTS public.recyclable_collection_items;
+DROP TABLE IF EXISTS public.recyclable_collections;
+ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS check_recyclables_credit_type;
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS recyclables_credit_type;
+DROP FUNCTION IF EXISTS public.recyclables_points_per_cedi;
+DROP FUNCTION IF EXISTS public.recyclables_max_weight_kg;
+DROP FUNCTION IF EXISTS public.recyclables_household_share;
+DROP FUNCTION IF EXISTS public.recyclables_collector_share;
+DROP TABLE IF EXISTS public.recyclable_materials;
+*/